@@ -9,6 +9,14 @@ const database = require('./config/database');
 const logger = require('./utils/logger');
 const websocketService = require('./services/websocket/websocketService');
 const monitoringService = require('./services/monitoring/monitoringService');
+const strategyRuntimeService = require('./services/strategy/strategyRuntimeService');
+const priceAlertService = require('./services/alerts/priceAlertService');
+const advancedOrderService = require('./services/trading/advancedOrderService');
+const rebalanceService = require('./services/portfolio/rebalanceService');
+const killSwitchService = require('./services/trading/killSwitchService');
+const exchangeManager = require('./services/exchanges/exchangeManager');
+const credentialRotationService = require('./services/security/credentialRotationService');
+const envelopeEncryptionService = require('./services/security/envelopeEncryptionService');
 
 // Import middleware
 const { auditLog } = require('./middleware/auth');
@@ -22,6 +30,10 @@ const paperTradingRoutes = require('./routes/paperTrading');
 const advancedOrderRoutes = require('./routes/advancedOrders');
 const analyticsRoutes = require('./routes/analytics');
 const portfolioRoutes = require('./routes/portfolio');
+const backtestRoutes = require('./routes/backtests');
+const strategyRoutes = require('./routes/strategies');
+const alertRoutes = require('./routes/alerts');
+const importRoutes = require('./routes/imports');
 
 /**
  * Wire-Trader Application
@@ -44,6 +56,30 @@ class WireTraderApp {
       // Initialize monitoring service
       this.initializeMonitoringService();
 
+      // Check the master key provider before anything encrypts with it
+      await this.initializeEncryption();
+
+      // Move stored credentials to the current master key version
+      this.initializeCredentialRotation();
+
+      // Reconnect stored exchanges and schedule their health checks
+      this.initializeExchangeConnections();
+
+      // Resume running strategies
+      await this.initializeStrategyRuntime();
+
+      // Start price alert evaluation
+      await this.initializePriceAlerts();
+
+      // Start trailing stop, TWAP/VWAP and bracket processing
+      this.initializeAdvancedOrders();
+
+      // Start scheduled portfolio rebalancing
+      this.initializeRebalancing();
+
+      // Start loss limit circuit breakers
+      this.initializeKillSwitch();
+
       // Setup middleware
       this.setupMiddleware();
 
@@ -86,6 +122,107 @@ class WireTraderApp {
     }
   }
 
+  /**
+   * Check that the configured master key provider is usable
+   */
+  async initializeEncryption() {
+    try {
+      const keyVersion = await envelopeEncryptionService.getCurrentKeyVersion();
+      logger.info(
+        `Encryption key provider ${envelopeEncryptionService.getKeyProvider().name} ready (master key version ${keyVersion})`
+      );
+    } catch (error) {
+      logger.error('Encryption key provider initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Initialize credential re-encryption
+   */
+  initializeCredentialRotation() {
+    try {
+      credentialRotationService.initialize();
+    } catch (error) {
+      logger.error('Credential re-encryption initialization failed:', error);
+      // Don't throw error - re-encryption can be started by an admin
+    }
+  }
+
+  /**
+   * Initialize the exchange connection lifecycle
+   */
+  initializeExchangeConnections() {
+    try {
+      exchangeManager.initialize();
+    } catch (error) {
+      logger.error('Exchange connection lifecycle initialization failed:', error);
+      // Don't throw error - exchanges still reconnect on first use
+    }
+  }
+
+  /**
+   * Initialize strategy runtime
+   */
+  async initializeStrategyRuntime() {
+    try {
+      await strategyRuntimeService.initialize();
+      logger.info('Strategy runtime initialized successfully');
+    } catch (error) {
+      logger.error('Strategy runtime initialization failed:', error);
+      // Don't throw error - strategies can be restarted manually
+    }
+  }
+
+  /**
+   * Initialize price alert evaluation
+   */
+  async initializePriceAlerts() {
+    try {
+      await priceAlertService.initialize();
+      logger.info('Price alert service initialized successfully');
+    } catch (error) {
+      logger.error('Price alert service initialization failed:', error);
+      // Don't throw error - alerts are not critical for core functionality
+    }
+  }
+
+  /**
+   * Initialize advanced order processing
+   */
+  initializeAdvancedOrders() {
+    try {
+      advancedOrderService.initialize();
+    } catch (error) {
+      logger.error('Advanced order service initialization failed:', error);
+      // Don't throw error - advanced orders are resumed on the next start
+    }
+  }
+
+  /**
+   * Initialize scheduled portfolio rebalancing
+   */
+  initializeRebalancing() {
+    try {
+      rebalanceService.initialize();
+    } catch (error) {
+      logger.error('Rebalance service initialization failed:', error);
+      // Don't throw error - rebalances can still be run manually
+    }
+  }
+
+  /**
+   * Initialize loss limit circuit breakers
+   */
+  initializeKillSwitch() {
+    try {
+      killSwitchService.initialize();
+    } catch (error) {
+      logger.error('Kill switch service initialization failed:', error);
+      // Don't throw error - the kill switch can still be engaged manually
+    }
+  }
+
   /**
    * Setup Express middleware
    */
@@ -236,6 +373,10 @@ class WireTraderApp {
     this.app.use('/api/advanced-orders', advancedOrderRoutes);
     this.app.use('/api/analytics', analyticsRoutes);
     this.app.use('/api/portfolio', portfolioRoutes);
+    this.app.use('/api/backtests', backtestRoutes);
+    this.app.use('/api/strategies', strategyRoutes);
+    this.app.use('/api/alerts', alertRoutes);
+    this.app.use('/api/imports', importRoutes);
 
     // API documentation endpoint
     this.app.get('/api', (req, res) => {
@@ -265,16 +406,36 @@ class WireTraderApp {
               status: 'GET /api/exchanges/:exchangeName/status',
               balances: 'GET /api/exchanges/balances',
               exchangeBalance: 'GET /api/exchanges/:exchangeName/balance',
-              test: 'POST /api/exchanges/:exchangeName/test'
+              test: 'POST /api/exchanges/:exchangeName/test',
+              startBackfill: 'POST /api/exchanges/:exchangeName/backfill',
+              backfillStatus: 'GET /api/exchanges/:exchangeName/backfill',
+              credentialEncryption: 'GET /api/exchanges/credentials/encryption',
+              reencryptCredentials: 'POST /api/exchanges/credentials/reencrypt'
             },
             trading: {
               placeOrder: 'POST /api/trading/orders',
+              smartOrder: 'POST /api/trading/orders/smart',
+              getSmartOrder: 'GET /api/trading/orders/smart/:orderId',
+              quoteOrder: 'POST /api/trading/orders/quote',
+              checkOrder: 'POST /api/trading/orders/check',
+              feeSchedule: 'GET /api/trading/fees/:exchangeName',
               orderHistory: 'GET /api/trading/orders',
               activeOrders: 'GET /api/trading/orders/active',
               getOrder: 'GET /api/trading/orders/:orderId',
               refreshOrder: 'PUT /api/trading/orders/:orderId/refresh',
               cancelOrder: 'DELETE /api/trading/orders/:orderId',
-              stats: 'GET /api/trading/stats'
+              stats: 'GET /api/trading/stats',
+              riskRules: 'GET /api/trading/risk-rules',
+              updateRiskRules: 'PUT /api/trading/risk-rules',
+              riskProfile: 'GET /api/trading/risk-profile',
+              updateRiskProfile: 'PUT /api/trading/risk-profile',
+              cancelPendingRiskLimits: 'DELETE /api/trading/risk-profile/pending',
+              riskProfileHistory: 'GET /api/trading/risk-profile/history',
+              riskEvents: 'GET /api/trading/risk-events',
+              killSwitch: 'GET /api/trading/kill-switch',
+              engageKillSwitch: 'POST /api/trading/kill-switch',
+              unlockKillSwitch: 'POST /api/trading/kill-switch/unlock',
+              killSwitchPolicy: 'PUT /api/trading/kill-switch/policy'
             },
             market: {
               ticker: 'GET /api/market/ticker/:exchange/:symbol',
@@ -295,6 +456,7 @@ class WireTraderApp {
               placeOrder: 'POST /api/paper-trading/orders',
               cancelOrder: 'DELETE /api/paper-trading/orders/:orderId',
               resetAccount: 'POST /api/paper-trading/account/reset',
+              simulationSettings: 'PUT /api/paper-trading/account/simulation',
               processOrders: 'POST /api/paper-trading/process-orders',
               performance: 'GET /api/paper-trading/performance'
             },
@@ -302,6 +464,15 @@ class WireTraderApp {
               placeOCO: 'POST /api/advanced-orders/oco',
               placeTrailingStop: 'POST /api/advanced-orders/trailing-stop',
               placeIceberg: 'POST /api/advanced-orders/iceberg',
+              placeTWAP: 'POST /api/advanced-orders/twap',
+              placeVWAP: 'POST /api/advanced-orders/vwap',
+              algoProgress: 'GET /api/advanced-orders/:twap|vwap/:orderId/progress',
+              pauseAlgo: 'POST /api/advanced-orders/:twap|vwap/:orderId/pause',
+              resumeAlgo: 'POST /api/advanced-orders/:twap|vwap/:orderId/resume',
+              cancelAlgo: 'DELETE /api/advanced-orders/:twap|vwap/:orderId',
+              placeBracket: 'POST /api/advanced-orders/bracket',
+              getBracket: 'GET /api/advanced-orders/bracket/:orderId',
+              cancelBracket: 'DELETE /api/advanced-orders/bracket/:orderId',
               cancelOCO: 'DELETE /api/advanced-orders/oco/:orderId',
               cancelTrailingStop: 'DELETE /api/advanced-orders/trailing-stop/:orderId',
               getActive: 'GET /api/advanced-orders/active',
@@ -314,6 +485,7 @@ class WireTraderApp {
               pnl: 'GET /api/analytics/pnl',
               tradingStats: 'GET /api/analytics/trading-stats',
               risk: 'GET /api/analytics/risk',
+              stressTest: 'POST /api/analytics/stress-test',
               symbols: 'GET /api/analytics/symbols',
               timeBased: 'GET /api/analytics/time-based',
               positions: 'GET /api/analytics/positions',
@@ -331,10 +503,56 @@ class WireTraderApp {
               metrics: 'GET /api/portfolio/metrics',
               assetDetails: 'GET /api/portfolio/asset/:asset',
               rebalance: 'GET /api/portfolio/rebalance',
+              rebalancePreview: 'GET /api/portfolio/rebalance/preview',
+              rebalanceExecute: 'POST /api/portfolio/rebalance/execute',
+              targetModels: 'GET /api/portfolio/targets',
+              createTargetModel: 'POST /api/portfolio/targets',
+              targetModel: 'GET /api/portfolio/targets/:modelId',
+              updateTargetModel: 'PUT /api/portfolio/targets/:modelId',
+              deleteTargetModel: 'DELETE /api/portfolio/targets/:modelId',
+              activateTargetModel: 'POST /api/portfolio/targets/:modelId/activate',
+              deactivateTargetModel: 'POST /api/portfolio/targets/deactivate',
+              drift: 'GET /api/portfolio/targets/drift',
+              taxReport: 'GET /api/portfolio/tax-report',
               export: 'GET /api/portfolio/export'
+            },
+            backtests: {
+              start: 'POST /api/backtests',
+              list: 'GET /api/backtests',
+              results: 'GET /api/backtests/:id'
+            },
+            strategies: {
+              create: 'POST /api/strategies',
+              list: 'GET /api/strategies',
+              get: 'GET /api/strategies/:strategyId',
+              update: 'PUT /api/strategies/:strategyId',
+              delete: 'DELETE /api/strategies/:strategyId',
+              start: 'POST /api/strategies/:strategyId/start',
+              pause: 'POST /api/strategies/:strategyId/pause',
+              stop: 'POST /api/strategies/:strategyId/stop',
+              logs: 'GET /api/strategies/:strategyId/logs'
+            },
+            alerts: {
+              create: 'POST /api/alerts',
+              list: 'GET /api/alerts',
+              get: 'GET /api/alerts/:alertId',
+              update: 'PUT /api/alerts/:alertId',
+              delete: 'DELETE /api/alerts/:alertId'
+            },
+            imports: {
+              formats: 'GET /api/imports/formats',
+              templates: 'GET /api/imports/templates',
+              createTemplate: 'POST /api/imports/templates',
+              deleteTemplate: 'DELETE /api/imports/templates/:templateId',
+              preview: 'POST /api/imports/preview',
+              list: 'GET /api/imports',
+              get: 'GET /api/imports/:batchId',
+              commit: 'POST /api/imports/:batchId/commit',
+              revert: 'POST /api/imports/:batchId/revert',
+              discard: 'DELETE /api/imports/:batchId'
             }
           },
-          supportedExchanges: ['binance', 'coinbase', 'kraken', 'kucoin', 'lcx'],
+          supportedExchanges: exchangeManager.getSupportedExchanges().map(exchange => exchange.id),
           documentation: 'https://github.com/adsavulescu/wire-trader#readme'
         }
       });
@@ -511,6 +729,62 @@ class WireTraderApp {
       logger.error('Error stopping monitoring service:', error);
     }
 
+    // Stop strategy runners
+    try {
+      strategyRuntimeService.stop();
+      logger.info('Strategy runtime stopped');
+    } catch (error) {
+      logger.error('Error stopping strategy runtime:', error);
+    }
+
+    // Stop price alert evaluation
+    try {
+      priceAlertService.stop();
+      logger.info('Price alert service stopped');
+    } catch (error) {
+      logger.error('Error stopping price alert service:', error);
+    }
+
+    // Stop advanced order processing
+    try {
+      advancedOrderService.stop();
+      logger.info('Advanced order service stopped');
+    } catch (error) {
+      logger.error('Error stopping advanced order service:', error);
+    }
+
+    // Stop scheduled rebalancing
+    try {
+      rebalanceService.stop();
+      logger.info('Rebalance service stopped');
+    } catch (error) {
+      logger.error('Error stopping rebalance service:', error);
+    }
+
+    // Stop circuit breaker monitoring
+    try {
+      killSwitchService.stop();
+      logger.info('Kill switch service stopped');
+    } catch (error) {
+      logger.error('Error stopping kill switch service:', error);
+    }
+
+    // Stop credential re-encryption after the current record
+    try {
+      credentialRotationService.stop();
+      logger.info('Credential re-encryption stopped');
+    } catch (error) {
+      logger.error('Error stopping credential re-encryption:', error);
+    }
+
+    // Stop exchange health checks
+    try {
+      exchangeManager.stop();
+      logger.info('Exchange health checks stopped');
+    } catch (error) {
+      logger.error('Error stopping exchange health checks:', error);
+    }
+
     // Close server
     if (this.server) {
       this.server.close(() => {
@@ -3,6 +3,17 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+/**
+ * Read a numeric environment variable, keeping an explicit 0
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Used when the value is missing or not a number
+ * @returns {number} Parsed value
+ */
+const numberFromEnv = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 /**
  * Application configuration object
  * Centralizes all environment-based configuration
@@ -30,7 +41,23 @@ const config = {
 
   // Encryption configuration
   encryption: {
-    key: process.env.ENCRYPTION_KEY || 'default-32-char-key-change-prod!!!'
+    // Static key of records from before envelope encryption; the env provider
+    // derives master key version 1 from it
+    key: process.env.ENCRYPTION_KEY || 'default-32-char-key-change-prod!!!',
+    // Master key provider for envelope encryption: env, file or local-kms
+    provider: process.env.ENCRYPTION_KEY_PROVIDER || 'env',
+    // env provider: "version:base64Key" pairs, comma separated
+    masterKeys: process.env.ENCRYPTION_MASTER_KEYS,
+    // Defaults to the highest configured version
+    masterKeyVersion: parseInt(process.env.ENCRYPTION_MASTER_KEY_VERSION) || null,
+    // file provider: JSON file with currentVersion and keys by version
+    keyFile: process.env.ENCRYPTION_KEY_FILE,
+    // local-kms provider: key ID and the file its key versions are kept in (required)
+    kmsKeyId: process.env.ENCRYPTION_KMS_KEY_ID || 'credentials',
+    kmsKeyFile: process.env.ENCRYPTION_KMS_KEY_FILE,
+    // Move credentials to the current master key version at boot
+    reencryptOnStartup: process.env.CREDENTIAL_REENCRYPT_ON_STARTUP !== 'false',
+    reencryptBatchSize: parseInt(process.env.CREDENTIAL_REENCRYPT_BATCH_SIZE) || 100
   },
 
   // Rate limiting configuration
@@ -48,6 +75,7 @@ const config = {
   // Exchange configurations
   exchanges: {
     binance: {
+      displayName: 'Binance',
       apiKey: process.env.BINANCE_API_KEY,
       secret: process.env.BINANCE_SECRET_KEY,
       sandbox: process.env.BINANCE_SANDBOX === 'true',
@@ -55,6 +83,7 @@ const config = {
       enabled: true
     },
     coinbase: {
+      displayName: 'Coinbase Pro',
       apiKey: process.env.COINBASE_API_KEY,
       secret: process.env.COINBASE_SECRET_KEY,
       passphrase: process.env.COINBASE_PASSPHRASE,
@@ -63,12 +92,14 @@ const config = {
       enabled: true
     },
     kraken: {
+      displayName: 'Kraken',
       apiKey: process.env.KRAKEN_API_KEY,
       secret: process.env.KRAKEN_SECRET_KEY,
       rateLimit: 15, // requests per second
       enabled: true
     },
     kucoin: {
+      displayName: 'KuCoin',
       apiKey: process.env.KUCOIN_API_KEY,
       secret: process.env.KUCOIN_SECRET_KEY,
       passphrase: process.env.KUCOIN_PASSPHRASE,
@@ -77,6 +108,7 @@ const config = {
       enabled: true
     },
     lcx: {
+      displayName: 'LCX',
       apiKey: process.env.LCX_API_KEY,
       secret: process.env.LCX_SECRET_KEY,
       sandbox: process.env.LCX_SANDBOX === 'true',
@@ -85,6 +117,97 @@ const config = {
     }
   },
 
+  // Exchanges users can connect: any ccxt exchange id or a registered adapter
+  exchangeRegistry: {
+    enabled: (process.env.EXCHANGES_ENABLED || 'binance,coinbase,kraken,kucoin,lcx')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  },
+
+  // Exchange connection lifecycle
+  exchangeConnections: {
+    // Reconnect every stored exchange at boot instead of on first use
+    warmOnStartup: process.env.EXCHANGE_WARM_ON_STARTUP === 'true',
+    healthCheckInterval: parseInt(process.env.EXCHANGE_HEALTH_CHECK_INTERVAL) || 5 * 60 * 1000,
+    // Connections untested for longer (1 hour) are tested by the next health check
+    healthCheckMaxAge: parseInt(process.env.EXCHANGE_HEALTH_CHECK_MAX_AGE) || 60 * 60 * 1000,
+    // Reconnect backoff, doubling per failed attempt from 30 seconds up to 30 minutes
+    reconnectBaseDelay: parseInt(process.env.EXCHANGE_RECONNECT_BASE_DELAY) || 30 * 1000,
+    reconnectMaxDelay: parseInt(process.env.EXCHANGE_RECONNECT_MAX_DELAY) || 30 * 60 * 1000,
+    // Refuse API keys that can withdraw; otherwise connecting them needs confirmation
+    refuseWithdrawKeys: process.env.EXCHANGE_REFUSE_WITHDRAW_KEYS === 'true'
+  },
+
+  // Trading fee configuration
+  fees: {
+    cacheTtl: parseInt(process.env.FEE_CACHE_TTL) || 60 * 60 * 1000, // 1 hour
+    volumeWindowDays: 30,
+    // Used when an exchange publishes no maker/taker rates
+    default: {
+      maker: 0.001,
+      taker: 0.001
+    },
+    // Volume tiers for exchanges without a fee API, keyed by 30-day USD volume
+    schedules: {
+      lcx: [
+        {
+          minVolume: 0,
+          maker: numberFromEnv(process.env.LCX_MAKER_FEE, 0.003),
+          taker: numberFromEnv(process.env.LCX_TAKER_FEE, 0.003)
+        }
+      ]
+    }
+  },
+
+  // Trade history CSV import configuration
+  imports: {
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 10000,
+    previewTtl: parseInt(process.env.IMPORT_PREVIEW_TTL) || 24 * 60 * 60 * 1000 // 24 hours
+  },
+
+  // Tax lot reporting
+  tax: {
+    // Exchange whose hourly candles value fills in the portfolio base currency
+    rateExchange: process.env.TAX_RATE_EXCHANGE || 'binance'
+  },
+
+  // Portfolio rebalancing configuration
+  rebalance: {
+    checkInterval: parseInt(process.env.REBALANCE_CHECK_INTERVAL) || 15 * 60 * 1000, // 15 minutes
+    // Share of a buy budget held back for slippage on market orders
+    slippageBuffer: parseFloat(process.env.REBALANCE_SLIPPAGE_BUFFER) || 0.005
+  },
+
+  // Historical risk analytics (correlation, VaR, beta)
+  riskAnalytics: {
+    exchange: process.env.RISK_DATA_EXCHANGE || 'binance',
+    quote: process.env.RISK_QUOTE_CURRENCY || 'USDT',
+    benchmark: process.env.RISK_BENCHMARK || 'BTC/USDT',
+    timeframe: process.env.RISK_TIMEFRAME || '1d',
+    lookback: parseInt(process.env.RISK_LOOKBACK) || 90, // candles
+    cacheTtl: parseInt(process.env.RISK_CACHE_TTL) || 60 * 60 * 1000 // 1 hour
+  },
+
+  // Kill switch and loss limit circuit breakers
+  killSwitch: {
+    checkInterval: parseInt(process.env.KILL_SWITCH_CHECK_INTERVAL) || 60 * 1000, // 1 minute
+    // Minimum time before a breaker-engaged kill switch can be unlocked
+    unlockCooldown: parseInt(process.env.KILL_SWITCH_UNLOCK_COOLDOWN) || 15 * 60 * 1000 // 15 minutes
+  },
+
+  // Price alerts
+  alerts: {
+    // Let webhooks reach loopback and private networks, e.g. a receiver on the same host
+    allowPrivateWebhooks: process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === 'true'
+  },
+
+  // Risk profiles
+  riskProfile: {
+    // Delay before loosened risk limits take effect
+    // 0 applies loosened limits immediately
+    coolingOffPeriod: numberFromEnv(process.env.RISK_LIMIT_COOLING_OFF, 24 * 60 * 60 * 1000) // 24 hours
+  },
 
   // Security configuration
   security: {
@@ -125,6 +248,20 @@ function validateConfig() {
   }
 }
 
+// Exchanges stored documents may name: every configured or enabled exchange
+// and those listed in EXCHANGES_KNOWN, e.g. ones no longer enabled, so their
+// orders, positions and credentials still validate
+config.exchangeRegistry.known = [
+  ...new Set([
+    ...Object.keys(config.exchanges),
+    ...config.exchangeRegistry.enabled,
+    ...(process.env.EXCHANGES_KNOWN || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  ])
+];
+
 // Validate configuration on load
 try {
   validateConfig();
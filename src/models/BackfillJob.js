@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Backfill Job Schema
+ * Import of a user's trade, order and transfer history from one connected
+ * exchange. Each history source keeps its own paging cursor so an
+ * interrupted job resumes where it stopped.
+ */
+const backfillJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    exchangeName: {
+      type: String,
+      required: [true, 'Exchange name is required']
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+      index: true
+    },
+
+    // Earliest history requested from the exchange
+    since: {
+      type: Date,
+      required: true
+    },
+
+    // Paging position per source, and per symbol for exchanges that
+    // only return history one market at a time
+    cursors: [{
+      _id: false,
+      source: {
+        type: String,
+        enum: ['orders', 'trades', 'deposits', 'withdrawals'],
+        required: true
+      },
+      symbol: String,
+      since: Number, // Timestamp (ms) of the next page
+      done: {
+        type: Boolean,
+        default: false
+      }
+    }],
+
+    progress: {
+      stage: {
+        type: String,
+        enum: ['orders', 'trades', 'deposits', 'withdrawals', 'positions', 'cost_basis', 'done']
+      },
+      symbolsTotal: {
+        type: Number,
+        default: 0
+      },
+      symbolsDone: {
+        type: Number,
+        default: 0
+      },
+      orders: {
+        type: Number,
+        default: 0
+      },
+      trades: {
+        type: Number,
+        default: 0
+      },
+      deposits: {
+        type: Number,
+        default: 0
+      },
+      withdrawals: {
+        type: Number,
+        default: 0
+      },
+      positions: {
+        type: Number,
+        default: 0
+      },
+      duplicates: {
+        type: Number,
+        default: 0
+      }
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+backfillJobSchema.index({ userId: 1, exchangeName: 1 }, { unique: true });
+
+/**
+ * Instance method to get or create the cursor for a source
+ * @param {string} source - 'orders', 'trades', 'deposits' or 'withdrawals'
+ * @param {string} symbol - Market symbol for per-symbol sources
+ * @returns {Object} Cursor subdocument
+ */
+backfillJobSchema.methods.getCursor = function (source, symbol = null) {
+  let cursor = this.cursors.find(entry => entry.source === source && (entry.symbol || null) === symbol);
+
+  if (!cursor) {
+    this.cursors.push({ source, symbol: symbol || undefined, since: this.since.getTime(), done: false });
+    cursor = this.cursors[this.cursors.length - 1];
+  }
+
+  return cursor;
+};
+
+// Create and export the model
+const BackfillJob = mongoose.model('BackfillJob', backfillJobSchema);
+
+module.exports = BackfillJob;
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+/**
+ * Backtest Run Schema
+ * Stores the configuration, status and summary results of a strategy
+ * backtest. Simulated orders and positions reference the run through
+ * their backtestRunId field.
+ */
+const backtestRunSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Backtest name cannot exceed 100 characters']
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+      index: true
+    },
+
+    // Replay configuration
+    config: {
+      exchangeName: {
+        type: String,
+        required: true
+      },
+      symbol: {
+        type: String,
+        required: true,
+        uppercase: true
+      },
+      timeframe: {
+        type: String,
+        required: true,
+        default: '1h'
+      },
+      candleLimit: {
+        type: Number,
+        default: 500,
+        min: 2
+      },
+      initialBalance: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      strategy: {
+        name: {
+          type: String,
+          required: true
+        },
+        params: {
+          type: mongoose.Schema.Types.Mixed,
+          default: {}
+        }
+      }
+    },
+
+    // Replayed data range
+    period: {
+      start: Date,
+      end: Date,
+      candles: Number
+    },
+
+    // Summary results
+    results: {
+      initialBalance: Number,
+      finalEquity: Number,
+      totalReturn: Number,
+      totalReturnPercentage: Number,
+      buyAndHoldReturnPercentage: Number,
+      sharpeRatio: Number,
+      volatility: Number,
+      maxDrawdown: {
+        value: Number,
+        percentage: Number
+      },
+      winRate: Number,
+      totalFees: Number,
+      totalOrders: Number,
+      filledOrders: Number,
+      tradingStats: mongoose.Schema.Types.Mixed,
+      equityCurve: [{
+        _id: false,
+        timestamp: Date,
+        equity: Number
+      }]
+    },
+
+    // Messages written by the strategy through context.log
+    logs: [{
+      _id: false,
+      timestamp: Date,
+      message: String
+    }],
+
+    error: String,
+    startedAt: Date,
+    completedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+backtestRunSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Virtual for run duration in milliseconds
+ */
+backtestRunSchema.virtual('duration').get(function () {
+  if (!this.startedAt || !this.completedAt) {
+    return null;
+  }
+  return this.completedAt - this.startedAt;
+});
+
+// Create and export the model
+const BacktestRun = mongoose.model('BacktestRun', backtestRunSchema);
+
+module.exports = BacktestRun;
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
 const config = require('../config');
+const envelopeEncryptionService = require('../services/security/envelopeEncryptionService');
 
 /**
  * Exchange Credentials Schema
@@ -19,7 +19,7 @@ const exchangeCredentialsSchema = new mongoose.Schema(
     exchangeName: {
       type: String,
       required: [true, 'Exchange name is required'],
-      enum: ['binance', 'coinbase', 'kraken', 'kucoin', 'lcx'],
+      enum: config.exchangeRegistry.known,
       lowercase: true
     },
 
@@ -28,7 +28,7 @@ const exchangeCredentialsSchema = new mongoose.Schema(
       required: true
     },
 
-    // Encrypted credentials
+    // Encrypted credentials, sealed with the record's data key
     encryptedApiKey: {
       type: String,
       required: [true, 'API key is required']
@@ -39,18 +39,27 @@ const exchangeCredentialsSchema = new mongoose.Schema(
       required: [true, 'Secret key is required']
     },
 
+    // Only set for exchanges that need them; the connect route checks which
     encryptedPassphrase: {
-      type: String,
-      // Only required for exchanges that need it (Coinbase and KuCoin)
-      required: function () {
-        return ['coinbase', 'kucoin'].includes(this.exchangeName);
-      }
+      type: String
+    },
+
+    encryptedUid: {
+      type: String
     },
 
-    // IV (Initialization Vector) for encryption
+    // Data key, wrapped by the master key version below
+    wrappedDataKey: {
+      type: String
+    },
+
+    keyVersion: {
+      type: Number
+    },
+
+    // IV of records encrypted with the static key before envelope encryption
     iv: {
-      type: String,
-      required: true
+      type: String
     },
 
     // Settings
@@ -84,7 +93,7 @@ const exchangeCredentialsSchema = new mongoose.Schema(
       type: String
     },
 
-    // Permissions (if supported by exchange)
+    // Permissions, detected when the exchange is connected
     permissions: {
       spot: {
         type: Boolean,
@@ -101,6 +110,16 @@ const exchangeCredentialsSchema = new mongoose.Schema(
       withdraw: {
         type: Boolean,
         default: false
+      },
+      // 'exchange' when read from a key permission endpoint, 'probe' when inferred
+      source: {
+        type: String,
+        enum: ['exchange', 'probe']
+      },
+      // Permissions the probes could not establish either way
+      unverified: [String],
+      detectedAt: {
+        type: Date
       }
     }
   },
@@ -112,6 +131,8 @@ const exchangeCredentialsSchema = new mongoose.Schema(
         delete ret.encryptedApiKey;
         delete ret.encryptedSecret;
         delete ret.encryptedPassphrase;
+        delete ret.encryptedUid;
+        delete ret.wrappedDataKey;
         delete ret.iv;
         delete ret.__v;
         return ret;
@@ -124,95 +145,57 @@ const exchangeCredentialsSchema = new mongoose.Schema(
 exchangeCredentialsSchema.index({ userId: 1, exchangeName: 1 }, { unique: true });
 exchangeCredentialsSchema.index({ exchangeName: 1 });
 exchangeCredentialsSchema.index({ lastUsed: 1 });
+exchangeCredentialsSchema.index({ keyVersion: 1 });
 
 /**
- * Encryption utility functions
- */
-const ALGORITHM = 'aes-256-cbc';
-const ENCRYPTION_KEY = Buffer.from(config.encryption.key, 'utf8');
-
-/**
- * Encrypt text
- * @param {string} text - Text to encrypt
- * @returns {Object} Encrypted data with IV
+ * Instance method to encrypt and set credentials under a new data key
+ * @param {Object} credentials - apiKey, secret, passphrase and uid
  */
-function encrypt(text) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(ALGORITHM, ENCRYPTION_KEY, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return {
-    iv: iv.toString('hex'),
-    encryptedData: encrypted
-  };
-}
+exchangeCredentialsSchema.methods.setCredentials = async function (credentials) {
+  const { wrappedDataKey, keyVersion, fields } = await envelopeEncryptionService.encryptFields({
+    apiKey: credentials.apiKey,
+    secret: credentials.secret,
+    passphrase: credentials.passphrase,
+    uid: credentials.uid
+  });
 
-/**
- * Decrypt text
- * @param {string} encryptedData - Encrypted data
- * @param {string} ivHex - Initialization vector as hex string
- * @returns {string} Decrypted text
- */
-function decrypt(encryptedData, ivHex) {
-  const iv = Buffer.from(ivHex, 'hex');
-  const decipher = crypto.createDecipheriv(ALGORITHM, ENCRYPTION_KEY, iv);
-  let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
+  this.encryptedApiKey = fields.apiKey;
+  this.encryptedSecret = fields.secret;
+  this.encryptedPassphrase = fields.passphrase;
+  this.encryptedUid = fields.uid;
+  this.wrappedDataKey = wrappedDataKey;
+  this.keyVersion = keyVersion;
+  this.iv = undefined;
+};
 
 /**
- * Pre-save middleware to encrypt credentials
+ * Instance method to get decrypted credentials
+ * @returns {Promise<Object>} Decrypted credentials
  */
-exchangeCredentialsSchema.pre('save', function (next) {
+exchangeCredentialsSchema.methods.getDecryptedCredentials = async function () {
   try {
-    // Only encrypt if credentials are being modified
-    if (this.isModified('apiKey') || this.isModified('secret') || this.isModified('passphrase')) {
-      const iv = crypto.randomBytes(16).toString('hex');
-      this.iv = iv;
-
-      // Encrypt API key
-      if (this.apiKey) {
-        const encryptedApiKey = encrypt(this.apiKey);
-        this.encryptedApiKey = encryptedApiKey.encryptedData;
-        this.apiKey = undefined; // Remove plain text
-      }
-
-      // Encrypt secret
-      if (this.secret) {
-        const encryptedSecret = encrypt(this.secret);
-        this.encryptedSecret = encryptedSecret.encryptedData;
-        this.secret = undefined; // Remove plain text
-      }
-
-      // Encrypt passphrase if provided
-      if (this.passphrase) {
-        const encryptedPassphrase = encrypt(this.passphrase);
-        this.encryptedPassphrase = encryptedPassphrase.encryptedData;
-        this.passphrase = undefined; // Remove plain text
-      }
+    if (!this.wrappedDataKey) {
+      return this.getLegacyCredentials();
     }
 
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
+    const decrypted = await envelopeEncryptionService.decryptFields(this, {
+      apiKey: this.encryptedApiKey,
+      secret: this.encryptedSecret,
+      passphrase: this.encryptedPassphrase,
+      uid: this.encryptedUid
+    });
 
-/**
- * Instance method to get decrypted credentials
- * @returns {Object} Decrypted credentials
- */
-exchangeCredentialsSchema.methods.getDecryptedCredentials = function () {
-  try {
     const credentials = {
-      apiKey: decrypt(this.encryptedApiKey, this.iv),
-      secret: decrypt(this.encryptedSecret, this.iv)
+      apiKey: decrypted.apiKey,
+      secret: decrypted.secret
     };
 
-    // Add passphrase if it exists
-    if (this.encryptedPassphrase) {
-      credentials.passphrase = decrypt(this.encryptedPassphrase, this.iv);
+    // Add passphrase and uid if they exist
+    if (decrypted.passphrase) {
+      credentials.passphrase = decrypted.passphrase;
+    }
+    if (decrypted.uid) {
+      credentials.uid = decrypted.uid;
     }
 
     return credentials;
@@ -221,6 +204,26 @@ exchangeCredentialsSchema.methods.getDecryptedCredentials = function () {
   }
 };
 
+/**
+ * Instance method to decrypt credentials stored before envelope encryption
+ * @returns {Object} Decrypted credentials
+ */
+exchangeCredentialsSchema.methods.getLegacyCredentials = function () {
+  const credentials = {
+    apiKey: envelopeEncryptionService.decryptLegacy(this.encryptedApiKey, this.iv),
+    secret: envelopeEncryptionService.decryptLegacy(this.encryptedSecret, this.iv)
+  };
+
+  if (this.encryptedPassphrase) {
+    credentials.passphrase = envelopeEncryptionService.decryptLegacy(
+      this.encryptedPassphrase,
+      this.iv
+    );
+  }
+
+  return credentials;
+};
+
 /**
  * Instance method to update last used timestamp
  */
@@ -253,7 +256,7 @@ exchangeCredentialsSchema.methods.updateConnectionStatus = async function (statu
  */
 exchangeCredentialsSchema.methods.updatePermissions = async function (permissionsData) {
   this.permissions = {
-    ...this.permissions,
+    ...this.permissions.toObject(),
     ...permissionsData
   };
   await this.save();
@@ -304,26 +307,16 @@ exchangeCredentialsSchema.statics.findNeedingHealthCheck = function (hoursOld =
  * @returns {Promise<Object>} Created credentials document
  */
 exchangeCredentialsSchema.statics.createWithEncryption = async function (data) {
-  const { userId, exchangeName, apiKey, secret, passphrase, sandbox = false } = data;
-
-  // Get exchange display name
-  const displayNames = {
-    binance: 'Binance',
-    coinbase: 'Coinbase Pro',
-    kraken: 'Kraken',
-    lcx: 'LCX',
-    kucoin: 'KuCoin'
-  };
+  const { userId, exchangeName, exchangeDisplayName, sandbox = false, permissions } = data;
 
   const credentials = new this({
     userId,
     exchangeName: exchangeName.toLowerCase(),
-    exchangeDisplayName: displayNames[exchangeName.toLowerCase()] || exchangeName,
-    apiKey, // Will be encrypted in pre-save hook
-    secret, // Will be encrypted in pre-save hook
-    passphrase, // Will be encrypted in pre-save hook if provided
-    sandbox
+    exchangeDisplayName: exchangeDisplayName || exchangeName,
+    sandbox,
+    permissions
   });
+  await credentials.setCredentials(data);
 
   return await credentials.save();
 };
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Import Batch Schema
+ * One uploaded trade history file. A batch is created as a preview holding
+ * the parsed trades; committing it creates the orders, positions and
+ * portfolio entries, and reverting it removes them again.
+ */
+const importBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    // Where the trades happened, e.g. bitstamp, gemini or an OTC desk
+    venue: {
+      type: String,
+      required: [true, 'Venue is required'],
+      lowercase: true,
+      trim: true
+    },
+
+    format: {
+      type: String,
+      required: true
+    },
+
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportTemplate'
+    },
+
+    fileName: String,
+
+    status: {
+      type: String,
+      enum: ['preview', 'committed', 'reverted'],
+      default: 'preview',
+      index: true
+    },
+
+    // Valid, non-duplicate trades waiting to be committed
+    trades: [
+      {
+        _id: false,
+        row: Number,
+        key: String,
+        symbol: String,
+        side: String,
+        amount: Number,
+        price: Number,
+        cost: Number,
+        fee: {
+          currency: String,
+          cost: Number
+        },
+        tradeId: String,
+        orderId: String,
+        timestamp: Date
+      }
+    ],
+
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        message: String
+      }
+    ],
+
+    summary: {
+      rows: {
+        type: Number,
+        default: 0
+      },
+      valid: {
+        type: Number,
+        default: 0
+      },
+      invalid: {
+        type: Number,
+        default: 0
+      },
+      duplicates: {
+        type: Number,
+        default: 0
+      },
+      // Rows that are not trades, such as deposits in a full account export
+      skipped: {
+        type: Number,
+        default: 0
+      },
+      orders: {
+        type: Number,
+        default: 0
+      },
+      positions: {
+        type: Number,
+        default: 0
+      }
+    },
+
+    committedAt: Date,
+    revertedAt: Date,
+
+    // Uncommitted previews are removed once this passes
+    expiresAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the model
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * Import Template Schema
+ * User-defined mapping from the columns of a trade history CSV to trade
+ * fields, for venues without a built-in import format.
+ */
+const importTemplateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+
+    delimiter: {
+      type: String,
+      default: ','
+    },
+
+    // CSV header names for each trade field
+    columns: {
+      _id: false,
+      timestamp: {
+        type: String,
+        required: [true, 'A timestamp column is required']
+      },
+      symbol: String, // Pair such as BTC/USD, BTC-USD or BTCUSD
+      base: String,
+      quote: String,
+      side: {
+        type: String,
+        required: [true, 'A side column is required']
+      },
+      amount: {
+        type: String,
+        required: [true, 'An amount column is required']
+      },
+      price: String,
+      cost: String,
+      fee: String,
+      feeCurrency: String,
+      tradeId: String,
+      orderId: String
+    },
+
+    // Cell values meaning buy or sell, compared case-insensitively
+    sideValues: {
+      _id: false,
+      buy: {
+        type: [String],
+        default: ['buy', 'b', 'bought']
+      },
+      sell: {
+        type: [String],
+        default: ['sell', 's', 'sold']
+      }
+    },
+
+    // Quote currency when the file has no quote or pair column
+    defaultQuote: {
+      type: String,
+      uppercase: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+importTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Create and export the model
+const ImportTemplate = mongoose.model('ImportTemplate', importTemplateSchema);
+
+module.exports = ImportTemplate;
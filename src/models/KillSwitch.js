@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// Audit entries kept per user
+const MAX_AUDIT_ENTRIES = 200;
+
+/**
+ * Kill Switch Schema
+ * Per-user trading halt. While engaged no new orders are accepted; it is
+ * engaged manually or by a circuit breaker when a loss limit is breached, and
+ * every engagement, unlock and policy change is recorded in the audit log.
+ */
+const killSwitchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      unique: true
+    },
+
+    engaged: {
+      type: Boolean,
+      default: false
+    },
+
+    // Why the switch is engaged
+    reason: {
+      type: String,
+      enum: ['manual', 'daily_loss', 'drawdown']
+    },
+    message: String,
+    engagedAt: Date,
+    engagedBy: {
+      type: String,
+      enum: ['user', 'system']
+    },
+
+    // What a circuit breaker does beyond blocking new orders
+    policy: {
+      onBreach: {
+        type: String,
+        enum: ['block', 'cancel_orders', 'flatten'],
+        default: 'cancel_orders'
+      }
+    },
+
+    // Outcome of the last engagement's cancellations and liquidations
+    lastActions: {
+      ordersCancelled: {
+        type: Number,
+        default: 0
+      },
+      positionsFlattened: {
+        type: Number,
+        default: 0
+      },
+      failures: [String],
+      // Something could not be cancelled or closed and may still be live
+      incomplete: {
+        type: Boolean,
+        default: false
+      },
+      // Exchanges whose open orders could not all be listed and cancelled
+      incompleteExchanges: [String]
+    },
+
+    // Breach levels acknowledged by the last unlock; a breaker trips again
+    // only when the loss deepens past them
+    acknowledged: {
+      dailyLoss: Number,
+      dailyLossDate: String,
+      drawdown: Number
+    },
+
+    auditLog: [
+      {
+        _id: false,
+        action: {
+          type: String,
+          required: true,
+          enum: ['engaged', 'unlocked', 'policy_updated']
+        },
+        actor: {
+          type: String,
+          required: true,
+          enum: ['user', 'system']
+        },
+        reason: String,
+        ip: String,
+        details: mongoose.Schema.Types.Mixed,
+        timestamp: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ]
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Instance method to record an audit entry
+ * @param {Object} entry - action, actor, reason, ip and details
+ */
+killSwitchSchema.methods.addAuditEntry = function (entry) {
+  this.auditLog.push({ ...entry, timestamp: new Date() });
+
+  if (this.auditLog.length > MAX_AUDIT_ENTRIES) {
+    this.auditLog = this.auditLog.slice(-MAX_AUDIT_ENTRIES);
+  }
+};
+
+/**
+ * Static method to get a user's kill switch, or a new unsaved one
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Kill switch document
+ */
+killSwitchSchema.statics.findOrInitialize = async function (userId) {
+  return (await this.findOne({ userId })) || new this({ userId });
+};
+
+// Create and export the model
+const KillSwitch = mongoose.model('KillSwitch', killSwitchSchema);
+
+module.exports = KillSwitch;
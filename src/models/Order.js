@@ -1,4 +1,52 @@
 const mongoose = require('mongoose');
+const config = require('../config');
+const backtestScope = require('./plugins/backtestScope');
+
+/**
+ * Fields shared by time-sliced (TWAP/VWAP) execution sub-documents.
+ * No defaults, so the sub-documents only exist on orders of that type.
+ * @returns {Object} Schema definition for a fresh sub-document
+ */
+const algoExecutionFields = () => ({
+  duration: Number,                // Execution window in minutes
+  sliceCount: Number,
+  startTime: Date,
+  endTime: Date,
+  // Planned slices, executed in order
+  schedule: {
+    type: [{
+      _id: false,
+      size: Number,
+      scheduledAt: Date
+    }],
+    default: undefined
+  },
+  nextSlice: Number,
+  nextSliceAt: Date,
+  executedSize: Number,
+  remainingSize: Number,
+  sliceRetries: Number,
+  isPaused: Boolean,
+  pausedAt: Date,
+  pauseReason: String,
+  childOrders: {
+    type: [{
+      _id: false,
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+      },
+      sliceIndex: Number,
+      size: Number,
+      filled: Number,
+      cost: Number,
+      status: String,
+      executedAt: Date,
+      error: String
+    }],
+    default: undefined
+  }
+});
 
 const orderSchema = new mongoose.Schema(
   {
@@ -11,7 +59,13 @@ const orderSchema = new mongoose.Schema(
     exchangeName: {
       type: String,
       required: true,
-      enum: ['binance', 'coinbase', 'kraken', 'kucoin', 'lcx', 'paper_trading'],
+      enum: [
+        ...config.exchangeRegistry.known,
+        'paper_trading',
+        'backtest',
+        'smart_router',
+        'imported'
+      ],
       index: true
     },
     symbol: {
@@ -23,7 +77,7 @@ const orderSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ['market', 'limit', 'stop', 'stop_limit', 'take_profit', 'oco', 'trailing_stop', 'iceberg'],
+      enum: ['market', 'limit', 'stop', 'stop_limit', 'take_profit', 'oco', 'trailing_stop', 'iceberg', 'twap', 'vwap', 'bracket'],
       default: 'market'
     },
     side: {
@@ -80,6 +134,16 @@ const orderSchema = new mongoose.Schema(
         min: 0
       }
     },
+    // Fee expected at placement from the user's maker/taker schedule
+    estimatedFee: {
+      currency: String,
+      cost: Number,
+      rate: Number,
+      role: {
+        type: String,
+        enum: ['maker', 'taker']
+      }
+    },
     exchangeOrderId: {
       type: String,
       index: true
@@ -166,6 +230,58 @@ const orderSchema = new mongoose.Schema(
           status: String,
           createdAt: Date
         }]
+      },
+
+      // Bracket order data - entry whose fills arm an OCO take-profit/stop-loss exit
+      bracket: {
+        stage: {
+          type: String,
+          enum: ['pending_entry', 'armed', 'closed', 'cancelled']
+        },
+        entryType: {
+          type: String,
+          enum: ['market', 'limit']
+        },
+        entryPrice: Number,
+        entryOrderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order'
+        },
+        takeProfitPrice: Number,
+        stopLossPrice: Number,
+        stopLimitPrice: Number,
+        // Exit OCO pair, sized to the filled entry amount
+        orderListId: String,
+        takeProfitOrderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order'
+        },
+        stopLossOrderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order'
+        },
+        armedSize: Number,
+        positionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'TradingPosition'
+        }
+      },
+
+      // TWAP order data - equal slices over the execution window
+      twap: {
+        ...algoExecutionFields(),
+        randomization: Number          // Max +/- percent jitter on slice size and timing
+      },
+
+      // VWAP order data - slices weighted by the intraday volume profile
+      vwap: {
+        ...algoExecutionFields(),
+        profileExchange: String,       // Exchange the volume profile was taken from
+        profileDays: Number,           // Days of hourly candles in the profile
+        volumeProfile: {               // Average volume per UTC hour
+          type: [Number],
+          default: undefined
+        }
       }
     },
 
@@ -176,13 +292,43 @@ const orderSchema = new mongoose.Schema(
       index: true
     },
 
+    // Order book fill simulation state (paper orders placed in orderbook mode)
+    paperFill: {
+      fillModel: {
+        type: String,
+        enum: ['simple', 'orderbook']
+      },
+      referenceExchange: String,
+      reserved: Number, // Balance locked when the order was placed
+      queueAhead: Number, // Resting volume ahead of the order at its price
+      lastTradeAt: Date, // Last public trade matched against the order
+      triggered: Boolean // Stop condition met, order is taking liquidity
+    },
+
     // Additional execution data
     executedAt: Date,
     cancelledAt: Date,
 
     metadata: {
       strategy: String,
+      strategyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Strategy',
+        index: true
+      },
       notes: String,
+      // Set on orders imported from exchange history rather than placed here
+      importSource: {
+        type: String,
+        enum: ['exchange_backfill', 'csv_import']
+      },
+      // Trade history file the order came from, and the venue it traded on
+      importBatchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        index: true
+      },
+      venue: String,
       parentOrderId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Order'
@@ -196,7 +342,25 @@ const orderSchema = new mongoose.Schema(
           type: String,
           enum: ['child', 'parent', 'sibling', 'linked']
         }
-      }]
+      }],
+      // Routing plan for smart router parent orders
+      routing: {
+        allocations: [{
+          _id: false,
+          exchangeName: String,
+          amount: Number,
+          averagePrice: Number,
+          takerFee: Number
+        }],
+        expectedPrice: Number,
+        expectedEffectivePrice: Number,
+        singleVenue: {
+          exchangeName: String,
+          averagePrice: Number,
+          effectivePrice: Number,
+          complete: Boolean
+        }
+      }
     },
     timestamps: {
       created: {
@@ -338,6 +502,8 @@ orderSchema.pre('save', function (next) {
   next();
 });
 
+orderSchema.plugin(backtestScope);
+
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ exchangeName: 1, status: 1 });
 orderSchema.index({ symbol: 1, createdAt: -1 });
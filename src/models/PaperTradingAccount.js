@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const config = require('../config');
 
 /**
  * Paper Trading Account Schema
@@ -138,6 +139,26 @@ const paperTradingAccountSchema = new mongoose.Schema(
       }
     },
 
+    // Order fill simulation
+    simulationSettings: {
+      fillModel: {
+        type: String,
+        enum: ['simple', 'orderbook'],
+        default: 'simple' // simple: ticker price plus flat slippage
+      },
+      referenceExchange: {
+        type: String,
+        enum: config.exchangeRegistry.known,
+        default: 'binance' // Order book and trades used in orderbook mode
+      },
+      orderbookDepth: {
+        type: Number,
+        default: 50,
+        min: [5, 'Minimum orderbook depth is 5 levels'],
+        max: [500, 'Maximum orderbook depth is 500 levels']
+      }
+    },
+
     // Trading statistics by timeframe
     dailyStats: [{
       date: {
@@ -152,7 +152,8 @@ const portfolioSchema = new mongoose.Schema(
         of: {
           percentage: Number,
           value: Number,
-          targetPercentage: Number
+          targetPercentage: Number,
+          band: Number // Allowed drift in percentage points around the target
         },
         default: new Map()
       },
@@ -167,16 +168,27 @@ const portfolioSchema = new mongoose.Schema(
       byType: {
         crypto: {
           percentage: { type: Number, default: 0 },
-          value: { type: Number, default: 0 }
+          value: { type: Number, default: 0 },
+          targetPercentage: Number,
+          band: Number
         },
         stablecoin: {
           percentage: { type: Number, default: 0 },
-          value: { type: Number, default: 0 }
+          value: { type: Number, default: 0 },
+          targetPercentage: Number,
+          band: Number
         },
         fiat: {
           percentage: { type: Number, default: 0 },
-          value: { type: Number, default: 0 }
+          value: { type: Number, default: 0 },
+          targetPercentage: Number,
+          band: Number
         }
+      },
+      // Target allocation model whose targets are applied above
+      targetModelId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TargetAllocation'
       }
     },
 
@@ -237,6 +249,42 @@ const portfolioSchema = new mongoose.Schema(
           default: 0
         }
       }],
+
+      // Daily drift from the target allocation model, in percentage points
+      driftHistory: [{
+        date: {
+          type: Date,
+          required: true
+        },
+        modelId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'TargetAllocation'
+        },
+        assetDrift: {
+          type: Number,
+          default: 0
+        },
+        classDrift: {
+          type: Number,
+          default: 0
+        },
+        maxDrift: {
+          type: Number,
+          default: 0
+        },
+        outOfBand: {
+          type: Number,
+          default: 0
+        },
+        assets: {
+          type: Map,
+          of: Number
+        },
+        classes: {
+          type: Map,
+          of: Number
+        }
+      }],
       
       // High water mark tracking
       highWaterMark: {
@@ -274,7 +322,19 @@ const portfolioSchema = new mongoose.Schema(
           default: 5, // 5% deviation threshold
           min: 1,
           max: 50
-        }
+        },
+        mode: {
+          type: String,
+          enum: ['paper', 'live'],
+          default: 'paper'
+        },
+        intervalHours: {
+          type: Number,
+          default: 24,
+          min: 1,
+          max: 720
+        },
+        lastRunAt: Date
       },
       
       riskManagement: {
@@ -561,14 +621,28 @@ portfolioSchema.methods.recalculatePortfolio = function () {
   this.performance.bestPerformingAsset = bestAsset.symbol ? bestAsset : { symbol: null, pnlPercentage: 0 };
   this.performance.worstPerformingAsset = worstAsset.symbol ? worstAsset : { symbol: null, pnlPercentage: 0 };
 
-  // Calculate asset allocations
+  // Calculate asset allocations, keeping the targets of assets no longer held
+  const previousAllocations = this.allocation.byAsset || new Map();
+  for (const [asset, allocation] of previousAllocations) {
+    if (allocation.targetPercentage > 0) {
+      assetAllocations.set(asset, {
+        percentage: 0,
+        value: 0,
+        targetPercentage: allocation.targetPercentage,
+        band: allocation.band
+      });
+    }
+  }
+
   for (const [asset, holding] of this.holdings) {
     if (holding.totalAmount > 0) {
       const percentage = totalValue > 0 ? (holding.currentValue / totalValue) * 100 : 0;
+      const previous = previousAllocations.get(asset);
       assetAllocations.set(asset, {
         percentage,
         value: holding.currentValue,
-        targetPercentage: 0 // This could be set by user preferences
+        targetPercentage: previous ? previous.targetPercentage : 0,
+        band: previous ? previous.band : undefined
       });
     }
   }
@@ -643,6 +717,93 @@ portfolioSchema.methods.addDailyPerformance = function () {
   }
 };
 
+/**
+ * Instance method to measure drift from the target allocation
+ * @returns {Object} Per asset and per class drift with summary figures
+ */
+portfolioSchema.methods.calculateDrift = function () {
+  const defaultBand = this.settings.autoRebalance.threshold;
+  const describe = (name, allocation) => {
+    const drift = allocation.percentage - allocation.targetPercentage;
+    const band = allocation.band || defaultBand;
+    return {
+      name,
+      currentPercentage: allocation.percentage,
+      targetPercentage: allocation.targetPercentage,
+      band,
+      drift,
+      outOfBand: Math.abs(drift) > band
+    };
+  };
+
+  const assets = [];
+  for (const [asset, allocation] of this.allocation.byAsset) {
+    if (allocation.targetPercentage > 0) {
+      assets.push(describe(asset, allocation));
+    }
+  }
+
+  // A class target of 0% is meaningful, so unset means untracked
+  const classes = [];
+  for (const assetClass of ['crypto', 'stablecoin', 'fiat']) {
+    const allocation = this.allocation.byType[assetClass];
+    if (typeof allocation.targetPercentage === 'number') {
+      classes.push(describe(assetClass, allocation));
+    }
+  }
+
+  // Half the summed absolute drift is the share of the portfolio to trade
+  const sumDrift = items => items.reduce((sum, item) => sum + Math.abs(item.drift), 0) / 2;
+  const all = [...assets, ...classes];
+
+  return {
+    modelId: this.allocation.targetModelId,
+    assets,
+    classes,
+    assetDrift: sumDrift(assets),
+    classDrift: sumDrift(classes),
+    maxDrift: all.reduce((max, item) => Math.max(max, Math.abs(item.drift)), 0),
+    outOfBand: all.filter(item => item.outOfBand).length
+  };
+};
+
+/**
+ * Instance method to add daily drift record
+ */
+portfolioSchema.methods.addDailyDrift = function () {
+  const drift = this.calculateDrift();
+  if (drift.assets.length === 0 && drift.classes.length === 0) {
+    return;
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const record = {
+    date: today,
+    modelId: drift.modelId,
+    assetDrift: drift.assetDrift,
+    classDrift: drift.classDrift,
+    maxDrift: drift.maxDrift,
+    outOfBand: drift.outOfBand,
+    assets: new Map(drift.assets.map(item => [item.name, item.drift])),
+    classes: new Map(drift.classes.map(item => [item.name, item.drift]))
+  };
+
+  const history = this.performance.driftHistory;
+  const existingIndex = history.findIndex(entry => entry.date.getTime() === today.getTime());
+  if (existingIndex >= 0) {
+    history.set(existingIndex, record);
+  } else {
+    history.push(record);
+  }
+
+  // Keep the same window as dailyValues
+  if (history.length > 365) {
+    this.performance.driftHistory = history.slice(-365);
+  }
+};
+
 /**
  * Static method to find portfolio by user ID
  * @param {string} userId - User ID
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+/**
+ * Price Alert Schema
+ * Alert rule evaluated against the live ticker feed for a symbol, either
+ * on one exchange or on the unified ticker across all enabled exchanges.
+ */
+const priceAlertSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Alert name cannot exceed 100 characters']
+    },
+
+    symbol: {
+      type: String,
+      required: [true, 'Symbol is required'],
+      uppercase: true,
+      index: true
+    },
+
+    // Exchange to watch; empty means the unified ticker
+    exchangeName: {
+      type: String,
+      enum: [...config.exchangeRegistry.known, null],
+      default: null
+    },
+
+    condition: {
+      type: {
+        type: String,
+        required: [true, 'Condition type is required'],
+        enum: ['price_above', 'price_below', 'percent_change', 'volume_spike', 'spread_widening']
+      },
+      // Price level for price_above/price_below, otherwise a percentage
+      value: {
+        type: Number,
+        required: [true, 'Condition value is required'],
+        min: [0, 'Condition value cannot be negative']
+      },
+      // Lookback window for percent_change and volume_spike
+      windowMinutes: {
+        type: Number,
+        min: [1, 'Window must be at least 1 minute'],
+        max: [1440, 'Window cannot exceed 24 hours']
+      },
+      // Move direction for percent_change
+      direction: {
+        type: String,
+        enum: ['up', 'down', 'any'],
+        default: 'any'
+      }
+    },
+
+    channels: {
+      type: [{
+        type: String,
+        enum: ['websocket', 'email', 'webhook']
+      }],
+      default: ['websocket']
+    },
+
+    webhookUrl: String,
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Note cannot exceed 200 characters']
+    },
+
+    // Recurring alerts re-arm after the cooldown, one-shot alerts stop after triggering
+    recurring: {
+      type: Boolean,
+      default: false
+    },
+
+    cooldownMinutes: {
+      type: Number,
+      default: 15,
+      min: [0, 'Cooldown cannot be negative']
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'triggered', 'disabled'],
+      default: 'active',
+      index: true
+    },
+
+    triggerCount: {
+      type: Number,
+      default: 0
+    },
+
+    lastTriggeredAt: Date,
+
+    // Most recent triggers and their delivery results
+    history: [{
+      _id: false,
+      triggeredAt: {
+        type: Date,
+        default: Date.now
+      },
+      value: Number,
+      message: String,
+      deliveries: [{
+        _id: false,
+        channel: String,
+        success: Boolean,
+        skipped: Boolean,
+        error: String
+      }]
+    }]
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+priceAlertSchema.index({ status: 1, symbol: 1 });
+
+/**
+ * Virtual for whether the alert is still in its cooldown period
+ */
+priceAlertSchema.virtual('isCoolingDown').get(function () {
+  return Boolean(
+    this.lastTriggeredAt &&
+      Date.now() - this.lastTriggeredAt.getTime() < this.cooldownMinutes * 60 * 1000
+  );
+});
+
+/**
+ * Static method to find alerts for user
+ * @param {string} userId - User ID
+ * @param {string} status - Optional status filter
+ * @returns {Promise<Array>} Alerts without trigger history
+ */
+priceAlertSchema.statics.findByUserId = function (userId, status = null) {
+  const query = { userId };
+  if (status) {
+    query.status = status;
+  }
+  return this.find(query).select('-history').sort({ createdAt: -1 });
+};
+
+// Create and export the model
+const PriceAlert = mongoose.model('PriceAlert', priceAlertSchema);
+
+module.exports = PriceAlert;
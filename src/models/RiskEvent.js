@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Risk Event Schema
+ * A risk rule violation or warning raised by a pre-trade check, a circuit
+ * breaker trip or a portfolio risk alert.
+ */
+const riskEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+
+    type: {
+      type: String,
+      required: true,
+      enum: ['violation', 'warning']
+    },
+
+    // Pre-trade rule, breaker or alert type, e.g. 'positionSize' or 'drawdown'
+    rule: {
+      type: String,
+      required: true
+    },
+
+    message: {
+      type: String,
+      required: true
+    },
+
+    source: {
+      type: String,
+      required: true,
+      enum: ['order', 'strategy', 'circuit_breaker', 'monitor']
+    },
+
+    // Whether the order was placed; only set for pre-trade checks
+    outcome: {
+      type: String,
+      enum: ['blocked', 'allowed']
+    },
+
+    order: {
+      exchangeName: String,
+      symbol: String,
+      side: String,
+      type: { type: String },
+      amount: Number,
+      price: Number
+    },
+
+    // Risk profile version the check ran against
+    profileVersion: Number
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+riskEventSchema.index({ userId: 1, createdAt: -1 });
+riskEventSchema.index({ userId: 1, type: 1, rule: 1, createdAt: -1 });
+
+// Create and export the model
+const RiskEvent = mongoose.model('RiskEvent', riskEventSchema);
+
+module.exports = RiskEvent;
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+
+// Limit versions kept per user
+const MAX_HISTORY_ENTRIES = 500;
+
+const ruleMode = {
+  type: String,
+  enum: ['warn', 'block'],
+  default: 'block'
+};
+
+/**
+ * Risk Profile Schema
+ * A user's risk limits and per-rule enforcement modes. Every change bumps the
+ * version and is recorded in the history with who made it and why; changes
+ * that loosen a limit wait as pending changes until a cooling-off period ends.
+ */
+const riskProfileSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      unique: true
+    },
+
+    riskLevel: {
+      type: String,
+      enum: ['conservative', 'moderate', 'aggressive'],
+      default: 'moderate'
+    },
+
+    // Fractions of the portfolio value unless noted
+    limits: {
+      maxPositionSize: Number,
+      maxDailyLoss: Number,
+      maxDrawdown: Number,
+      maxLeverage: Number, // Multiple
+      maxOpenPositions: Number, // Count
+      stopLossRequired: Boolean,
+      minStopLossDistance: Number,
+      maxCorrelation: Number, // Coefficient
+      allowedAssetClasses: [String],
+      requiredDiversification: Number
+    },
+
+    // Whether a breach of a pre-trade rule blocks the order or only warns
+    ruleModes: {
+      positionSize: ruleMode,
+      concentration: ruleMode,
+      correlation: { ...ruleMode, default: 'warn' },
+      dailyLoss: ruleMode,
+      leverage: ruleMode,
+      assetClass: ruleMode,
+      stopLoss: ruleMode
+    },
+
+    version: {
+      type: Number,
+      default: 1
+    },
+
+    // Loosened values waiting out the cooling-off period, one per field
+    pendingChanges: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true
+        },
+        value: mongoose.Schema.Types.Mixed,
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reason: String,
+        ip: String,
+        requestedAt: {
+          type: Date,
+          default: Date.now
+        },
+        effectiveAt: {
+          type: Date,
+          required: true
+        }
+      }
+    ],
+
+    history: [
+      {
+        _id: false,
+        version: {
+          type: Number,
+          required: true
+        },
+        changes: [
+          {
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed
+          }
+        ],
+        // Absent for changes made by the system, e.g. the initial profile
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reason: String,
+        ip: String,
+        requestedAt: Date,
+        effectiveAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+
+    monitoring: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      lastCheck: Date
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Instance method to apply field changes as a new version
+ * @param {Array} changes - Changes as { field, value }, field being a path such as 'limits.maxLeverage'
+ * @param {Object} meta - changedBy, reason, ip, requestedAt and effectiveAt
+ * @returns {Object|null} History entry, or null when nothing changed
+ */
+riskProfileSchema.methods.applyChanges = function (changes, meta = {}) {
+  const applied = [];
+
+  for (const { field, value } of changes) {
+    const current = this.get(field);
+    const from = current && current.toObject ? current.toObject() : current;
+    if (JSON.stringify(from) === JSON.stringify(value)) {
+      continue;
+    }
+
+    applied.push({ field, from, to: value });
+    this.set(field, value);
+  }
+
+  if (applied.length === 0) {
+    return null;
+  }
+
+  this.version += 1;
+  this.history.push({
+    version: this.version,
+    changes: applied,
+    changedBy: meta.changedBy,
+    reason: meta.reason,
+    ip: meta.ip,
+    requestedAt: meta.requestedAt,
+    effectiveAt: meta.effectiveAt || new Date()
+  });
+
+  if (this.history.length > MAX_HISTORY_ENTRIES) {
+    this.history = this.history.slice(-MAX_HISTORY_ENTRIES);
+  }
+
+  return this.history[this.history.length - 1];
+};
+
+/**
+ * Instance method to apply pending changes whose cooling-off period is over
+ * @param {Date} now - Current time
+ * @returns {number} Number of changes applied
+ */
+riskProfileSchema.methods.applyDueChanges = function (now = new Date()) {
+  const due = this.pendingChanges.filter(change => change.effectiveAt <= now);
+
+  // Changes requested together become one version
+  const requests = new Map();
+  for (const change of due) {
+    const key = change.requestedAt.getTime();
+    requests.set(key, [...(requests.get(key) || []), change]);
+  }
+
+  for (const changes of requests.values()) {
+    this.applyChanges(changes, {
+      changedBy: changes[0].requestedBy,
+      reason: changes[0].reason,
+      ip: changes[0].ip,
+      requestedAt: changes[0].requestedAt,
+      effectiveAt: changes[0].effectiveAt
+    });
+  }
+
+  if (due.length > 0) {
+    this.pendingChanges = this.pendingChanges.filter(change => change.effectiveAt > now);
+  }
+
+  return due.length;
+};
+
+// Create and export the model
+const RiskProfile = mongoose.model('RiskProfile', riskProfileSchema);
+
+module.exports = RiskProfile;
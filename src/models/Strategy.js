@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+/**
+ * Strategy Schema
+ * User-defined trading strategy executed by the strategy runtime.
+ * The code is a CommonJS-style module that exports onCandle, onTicker
+ * and/or onOrderUpdate hooks.
+ */
+const strategySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Strategy name is required'],
+      trim: true,
+      maxlength: [100, 'Strategy name cannot exceed 100 characters']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    code: {
+      type: String,
+      required: [true, 'Strategy code is required'],
+      maxlength: [100000, 'Strategy code cannot exceed 100000 characters']
+    },
+
+    // Where orders are routed: paper trading account or live exchange
+    mode: {
+      type: String,
+      enum: ['paper', 'live'],
+      default: 'paper'
+    },
+
+    // Exchange used for market data (and order routing in live mode)
+    exchangeName: {
+      type: String,
+      required: [true, 'Exchange name is required'],
+      enum: config.exchangeRegistry.known
+    },
+
+    symbol: {
+      type: String,
+      required: [true, 'Symbol is required'],
+      uppercase: true
+    },
+
+    timeframe: {
+      type: String,
+      enum: ['1m', '5m', '15m', '30m', '1h', '4h', '1d'],
+      default: '1h'
+    },
+
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    // How often the runtime polls market data, in milliseconds
+    pollInterval: {
+      type: Number,
+      default: 60000,
+      min: [5000, 'Poll interval must be at least 5 seconds']
+    },
+
+    status: {
+      type: String,
+      enum: ['stopped', 'running', 'paused', 'error'],
+      default: 'stopped',
+      index: true
+    },
+
+    lastError: String,
+
+    stats: {
+      ordersPlaced: {
+        type: Number,
+        default: 0
+      },
+      ordersRejected: {
+        type: Number,
+        default: 0
+      },
+      lastCandleAt: Date,
+      lastRunAt: Date,
+      startedAt: Date,
+      stoppedAt: Date
+    },
+
+    // Most recent runtime and strategy log entries
+    logs: [{
+      _id: false,
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      level: {
+        type: String,
+        enum: ['debug', 'info', 'warn', 'error'],
+        default: 'info'
+      },
+      message: String
+    }]
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+strategySchema.index({ userId: 1, name: 1 }, { unique: true });
+
+/**
+ * Virtual for whether the strategy is scheduled in the runtime
+ */
+strategySchema.virtual('isActive').get(function () {
+  return ['running', 'paused'].includes(this.status);
+});
+
+/**
+ * Static method to append a log entry, keeping only the most recent ones
+ * @param {string} strategyId - Strategy ID
+ * @param {string} level - Log level
+ * @param {string} message - Log message
+ * @param {number} maxEntries - Number of entries to keep
+ * @returns {Promise<Object>} Update result
+ */
+strategySchema.statics.appendLog = function (strategyId, level, message, maxEntries = 500) {
+  return this.updateOne(
+    { _id: strategyId },
+    {
+      $push: {
+        logs: {
+          $each: [{ timestamp: new Date(), level, message }],
+          $slice: -maxEntries
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Static method to find strategies for user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Strategies without code and logs
+ */
+strategySchema.statics.findByUserId = function (userId) {
+  return this.find({ userId }).select('-code -logs').sort({ createdAt: -1 });
+};
+
+// Create and export the model
+const Strategy = mongoose.model('Strategy', strategySchema);
+
+module.exports = Strategy;
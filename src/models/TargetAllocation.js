@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Target Allocation Schema
+ * A named model portfolio: target weights per asset and/or per asset class,
+ * each with a band of allowed drift around it. Activating a model copies its
+ * targets onto the user's portfolio allocation.
+ */
+const targetAllocationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Model name is required'],
+      trim: true,
+      maxlength: [100, 'Model name cannot exceed 100 characters']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    // Drift in percentage points allowed when a target has no band of its own
+    defaultBand: {
+      type: Number,
+      default: 5,
+      min: [0.1, 'Band must be at least 0.1 percentage points'],
+      max: [50, 'Band cannot exceed 50 percentage points']
+    },
+
+    // Weights in percent; when present they sum to 100
+    assets: [
+      {
+        _id: false,
+        asset: {
+          type: String,
+          required: true,
+          uppercase: true,
+          trim: true
+        },
+        weight: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100
+        },
+        band: {
+          type: Number,
+          min: 0.1,
+          max: 50
+        }
+      }
+    ],
+
+    classes: [
+      {
+        _id: false,
+        assetClass: {
+          type: String,
+          required: true,
+          enum: ['crypto', 'stablecoin', 'fiat']
+        },
+        weight: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100
+        },
+        band: {
+          type: Number,
+          min: 0.1,
+          max: 50
+        }
+      }
+    ]
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+targetAllocationSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Create and export the model
+const TargetAllocation = mongoose.model('TargetAllocation', targetAllocationSchema);
+
+module.exports = TargetAllocation;
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tax Lot Schema
+ * One acquisition of an asset from a filled exchange trade, with the
+ * disposals matched against it under a cost basis method. Lots are kept
+ * per method in step with the user's order history, so each method keeps its
+ * own set.
+ */
+const taxLotSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    method: {
+      type: String,
+      required: [true, 'Cost basis method is required'],
+      enum: ['fifo', 'lifo', 'hifo', 'average']
+    },
+
+    asset: {
+      type: String,
+      required: [true, 'Asset is required'],
+      uppercase: true
+    },
+
+    // Currency the cost basis and proceeds are reported in (the portfolio's base currency)
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      uppercase: true
+    },
+
+    exchangeName: String,
+
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+
+    // Order trade the lot was acquired in, `${orderId}:${index}`, with
+    // `:${currency}` appended for the quote leg of the trade
+    sourceKey: String,
+
+    // Sold more than the recorded acquisitions, e.g. coins deposited from elsewhere
+    basisUnknown: {
+      type: Boolean,
+      default: false
+    },
+
+    acquiredAt: Date,
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    // Total cost including fees
+    costBasis: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    disposals: [{
+      _id: false,
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+      },
+      sourceKey: String,
+      exchangeName: String,
+      disposedAt: Date,
+      amount: Number,
+      proceeds: Number, // Net of fees
+      costBasis: Number,
+      gain: Number,
+      term: {
+        type: String,
+        enum: ['short', 'long']
+      }
+    }]
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+taxLotSchema.index({ userId: 1, method: 1, asset: 1, acquiredAt: 1 });
+taxLotSchema.index({ userId: 1, method: 1, 'disposals.disposedAt': 1 });
+
+/**
+ * Virtual for cost per unit of the lot
+ */
+taxLotSchema.virtual('costPerUnit').get(function () {
+  return this.amount > 0 ? this.costBasis / this.amount : 0;
+});
+
+/**
+ * Static method to find lots with disposals in a period
+ * @param {string} userId - User ID
+ * @param {string} method - Cost basis method
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end (exclusive)
+ * @returns {Promise<Array>} Tax lots
+ */
+taxLotSchema.statics.findDisposed = function (userId, method, start, end) {
+  return this.find({
+    userId,
+    method,
+    disposals: { $elemMatch: { disposedAt: { $gte: start, $lt: end } } }
+  });
+};
+
+// Create and export the model
+const TaxLot = mongoose.model('TaxLot', taxLotSchema);
+
+module.exports = TaxLot;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const config = require('../config');
+const backtestScope = require('./plugins/backtestScope');
 
 /**
  * Trading Position Schema
@@ -23,7 +25,7 @@ const tradingPositionSchema = new mongoose.Schema(
     exchangeName: {
       type: String,
       required: true,
-      enum: ['binance', 'coinbase', 'kraken', 'paper_trading'],
+      enum: [...config.exchangeRegistry.known, 'paper_trading', 'backtest', 'imported'],
       index: true
     },
 
@@ -181,6 +183,8 @@ const tradingPositionSchema = new mongoose.Schema(
   }
 );
 
+tradingPositionSchema.plugin(backtestScope);
+
 // Indexes for performance
 tradingPositionSchema.index({ userId: 1, status: 1 });
 tradingPositionSchema.index({ symbol: 1, createdAt: -1 });
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Transfer Schema
+ * Deposit or withdrawal on a connected exchange, imported from the
+ * exchange's transaction history.
+ */
+const transferSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    exchangeName: {
+      type: String,
+      required: [true, 'Exchange name is required']
+    },
+
+    // Exchange's transaction ID
+    transferId: {
+      type: String,
+      required: [true, 'Transfer ID is required']
+    },
+
+    type: {
+      type: String,
+      enum: ['deposit', 'withdrawal'],
+      required: true
+    },
+
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      uppercase: true
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    fee: {
+      currency: {
+        type: String,
+        uppercase: true
+      },
+      cost: Number
+    },
+
+    status: String,
+    txid: String,
+    network: String,
+    address: String,
+
+    timestamp: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+transferSchema.index({ userId: 1, exchangeName: 1, transferId: 1 }, { unique: true });
+transferSchema.index({ userId: 1, currency: 1, timestamp: 1 });
+
+// Create and export the model
+const Transfer = mongoose.model('Transfer', transferSchema);
+
+module.exports = Transfer;
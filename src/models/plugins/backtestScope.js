@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Backtest scope plugin
+ * Adds a backtestRunId reference to a schema and keeps simulated documents
+ * out of regular queries and aggregations. Queries that filter on
+ * backtestRunId explicitly are left untouched.
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const backtestScope = schema => {
+  schema.add({
+    backtestRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BacktestRun',
+      index: true
+    }
+  });
+
+  const scopedQueries = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateMany'];
+
+  schema.pre(scopedQueries, function (next) {
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'backtestRunId')) {
+      this.where({ backtestRunId: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function (next) {
+    const [firstStage] = this.pipeline();
+    const scoped = firstStage && firstStage.$match &&
+      Object.prototype.hasOwnProperty.call(firstStage.$match, 'backtestRunId');
+
+    if (!scoped) {
+      this.pipeline().unshift({ $match: { backtestRunId: null } });
+    }
+    next();
+  });
+};
+
+module.exports = backtestScope;
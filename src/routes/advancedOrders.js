@@ -2,6 +2,8 @@ const express = require('express');
 const Joi = require('joi');
 const { authenticateToken: auth } = require('../middleware/auth');
 const advancedOrderService = require('../services/trading/advancedOrderService');
+const Order = require('../models/Order');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -14,7 +16,9 @@ const ocoOrderSchema = Joi.object({
   price: Joi.number().positive().required(),
   stopPrice: Joi.number().positive().required(),
   stopLimitPrice: Joi.number().positive().optional(),
-  exchangeName: Joi.string().valid('binance', 'coinbase', 'kraken', 'paper_trading').default('paper_trading')
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds(), 'paper_trading')
+    .default('paper_trading')
 });
 
 const trailingStopSchema = Joi.object({
@@ -24,7 +28,9 @@ const trailingStopSchema = Joi.object({
   trailingAmount: Joi.number().positive().optional(),
   trailingPercent: Joi.number().min(0.01).max(99.99).optional(),
   activationPrice: Joi.number().positive().optional(),
-  exchangeName: Joi.string().valid('binance', 'coinbase', 'kraken', 'paper_trading').default('paper_trading')
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds(), 'paper_trading')
+    .default('paper_trading')
 }).xor('trailingAmount', 'trailingPercent');
 
 const icebergOrderSchema = Joi.object({
@@ -38,9 +44,105 @@ const icebergOrderSchema = Joi.object({
     then: Joi.required(),
     otherwise: Joi.optional()
   }),
-  exchangeName: Joi.string().valid('binance', 'coinbase', 'kraken', 'paper_trading').default('paper_trading')
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds(), 'paper_trading')
+    .default('paper_trading')
 });
 
+const algoOrderFields = {
+  symbol: Joi.string().required().pattern(/^[A-Z]+\/[A-Z]+$/),
+  side: Joi.string().valid('buy', 'sell').required(),
+  amount: Joi.number().positive().required(),
+  duration: Joi.number().min(1).max(10080).required(), // Minutes, up to one week
+  sliceCount: Joi.number().integer().min(1).max(1000).default(10),
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds(), 'paper_trading')
+    .default('paper_trading')
+};
+
+const twapOrderSchema = Joi.object({
+  ...algoOrderFields,
+  randomization: Joi.number().min(0).max(50).default(0)
+});
+
+const vwapOrderSchema = Joi.object({
+  ...algoOrderFields,
+  profileExchange: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds())
+    .optional(),
+  profileDays: Joi.number().integer().min(1).max(30).default(7)
+});
+
+const bracketOrderSchema = Joi.object({
+  symbol: Joi.string().required().pattern(/^[A-Z]+\/[A-Z]+$/),
+  side: Joi.string().valid('buy', 'sell').required(),
+  amount: Joi.number().positive().required(),
+  entryType: Joi.string().valid('market', 'limit').default('market'),
+  entryPrice: Joi.number().positive().when('entryType', {
+    is: 'limit',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  takeProfitPrice: Joi.number().positive().required(),
+  stopLossPrice: Joi.number().positive().required(),
+  stopLimitPrice: Joi.number().positive().optional(),
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds(), 'paper_trading')
+    .default('paper_trading')
+});
+
+const CLIENT_ERRORS = ['Invalid', 'Missing', 'must be', 'not connected', 'Unable to load', 'Cannot'];
+
+/**
+ * Send an error response for TWAP/VWAP and bracket operations
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the advanced order service
+ * @param {string} message - Fallback message for unexpected errors
+ */
+const sendOrderError = (res, error, message) => {
+  if (error.message.includes('Trading halted')) {
+    return res.status(423).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('not permitted')) {
+    return res.status(403).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.riskCheck) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      riskCheck: error.riskCheck
+    });
+  }
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (CLIENT_ERRORS.some(text => error.message.includes(text))) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
 /**
  * @route POST /api/advanced-orders/oco
  * @desc Place an OCO (One-Cancels-Other) order
@@ -68,6 +170,21 @@ router.post('/oco', auth, async (req, res) => {
   } catch (error) {
     logger.error('Error placing OCO order:', error);
     
+    if (error.message.includes('Trading halted')) {
+      return res.status(423).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.riskCheck) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        riskCheck: error.riskCheck
+      });
+    }
+    
     if (error.message.includes('Invalid') || 
         error.message.includes('Missing') ||
         error.message.includes('must be')) {
@@ -112,6 +229,21 @@ router.post('/trailing-stop', auth, async (req, res) => {
   } catch (error) {
     logger.error('Error placing trailing stop order:', error);
     
+    if (error.message.includes('Trading halted')) {
+      return res.status(423).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.riskCheck) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        riskCheck: error.riskCheck
+      });
+    }
+    
     if (error.message.includes('Invalid') || 
         error.message.includes('Missing') ||
         error.message.includes('must be')) {
@@ -156,6 +288,21 @@ router.post('/iceberg', auth, async (req, res) => {
   } catch (error) {
     logger.error('Error placing iceberg order:', error);
     
+    if (error.message.includes('Trading halted')) {
+      return res.status(423).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.riskCheck) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        riskCheck: error.riskCheck
+      });
+    }
+    
     if (error.message.includes('Invalid') || 
         error.message.includes('Missing') ||
         error.message.includes('must be')) {
@@ -255,6 +402,240 @@ router.delete('/trailing-stop/:orderId', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/advanced-orders/twap
+ * @desc Place a TWAP order executed in equal slices over a duration
+ * @access Private
+ */
+router.post('/twap', auth, async (req, res) => {
+  try {
+    const { error, value } = twapOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid TWAP order parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await advancedOrderService.placeTWAPOrder(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'TWAP order placed successfully',
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Error placing TWAP order:', error);
+    sendOrderError(res, error, 'Failed to place TWAP order');
+  }
+});
+
+/**
+ * @route POST /api/advanced-orders/vwap
+ * @desc Place a VWAP order executed in slices weighted by the intraday volume profile
+ * @access Private
+ */
+router.post('/vwap', auth, async (req, res) => {
+  try {
+    const { error, value } = vwapOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid VWAP order parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await advancedOrderService.placeVWAPOrder(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'VWAP order placed successfully',
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Error placing VWAP order:', error);
+    sendOrderError(res, error, 'Failed to place VWAP order');
+  }
+});
+
+/**
+ * Validate the order ID of TWAP/VWAP and bracket routes
+ */
+const validateOrderId = (req, res, next) => {
+  if (!req.params.orderId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid order ID format'
+    });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/advanced-orders/:algo(twap|vwap)/:orderId/progress
+ * @desc Get execution progress of a TWAP/VWAP order
+ * @access Private
+ */
+router.get('/:algo(twap|vwap)/:orderId/progress', auth, validateOrderId, async (req, res) => {
+  try {
+    const progress = await advancedOrderService.getAlgoOrderProgress(
+      req.user.id,
+      req.params.orderId,
+      req.params.algo
+    );
+
+    res.json({
+      success: true,
+      data: { progress }
+    });
+  } catch (error) {
+    logger.error('Error fetching TWAP/VWAP order progress:', error);
+    sendOrderError(res, error, 'Failed to fetch order progress');
+  }
+});
+
+/**
+ * @route POST /api/advanced-orders/:algo(twap|vwap)/:orderId/pause
+ * @desc Pause a running TWAP/VWAP order
+ * @access Private
+ */
+router.post('/:algo(twap|vwap)/:orderId/pause', auth, validateOrderId, async (req, res) => {
+  try {
+    const order = await advancedOrderService.pauseAlgoOrder(
+      req.user.id,
+      req.params.orderId,
+      req.params.algo
+    );
+
+    res.json({
+      success: true,
+      message: `${req.params.algo.toUpperCase()} order paused successfully`,
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Error pausing TWAP/VWAP order:', error);
+    sendOrderError(res, error, 'Failed to pause order');
+  }
+});
+
+/**
+ * @route POST /api/advanced-orders/:algo(twap|vwap)/:orderId/resume
+ * @desc Resume a paused TWAP/VWAP order
+ * @access Private
+ */
+router.post('/:algo(twap|vwap)/:orderId/resume', auth, validateOrderId, async (req, res) => {
+  try {
+    const order = await advancedOrderService.resumeAlgoOrder(
+      req.user.id,
+      req.params.orderId,
+      req.params.algo
+    );
+
+    res.json({
+      success: true,
+      message: `${req.params.algo.toUpperCase()} order resumed successfully`,
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Error resuming TWAP/VWAP order:', error);
+    sendOrderError(res, error, 'Failed to resume order');
+  }
+});
+
+/**
+ * @route DELETE /api/advanced-orders/:algo(twap|vwap)/:orderId
+ * @desc Cancel a TWAP/VWAP order and its open slices
+ * @access Private
+ */
+router.delete('/:algo(twap|vwap)/:orderId', auth, validateOrderId, async (req, res) => {
+  try {
+    const order = await advancedOrderService.cancelAlgoOrder(
+      req.user.id,
+      req.params.orderId,
+      req.params.algo
+    );
+
+    res.json({
+      success: true,
+      message: `${req.params.algo.toUpperCase()} order cancelled successfully`,
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Error cancelling TWAP/VWAP order:', error);
+    sendOrderError(res, error, 'Failed to cancel order');
+  }
+});
+
+/**
+ * @route POST /api/advanced-orders/bracket
+ * @desc Place a bracket order (entry with take-profit and stop-loss exits)
+ * @access Private
+ */
+router.post('/bracket', auth, async (req, res) => {
+  try {
+    const { error, value } = bracketOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bracket order parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await advancedOrderService.placeBracketOrder(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bracket order placed successfully',
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Error placing bracket order:', error);
+    sendOrderError(res, error, 'Failed to place bracket order');
+  }
+});
+
+/**
+ * @route GET /api/advanced-orders/bracket/:orderId
+ * @desc Get a bracket order with its entry, exit orders and position
+ * @access Private
+ */
+router.get('/bracket/:orderId', auth, validateOrderId, async (req, res) => {
+  try {
+    const bracket = await advancedOrderService.getBracketOrder(req.user.id, req.params.orderId);
+
+    res.json({
+      success: true,
+      data: bracket
+    });
+  } catch (error) {
+    logger.error('Error fetching bracket order:', error);
+    sendOrderError(res, error, 'Failed to fetch bracket order');
+  }
+});
+
+/**
+ * @route DELETE /api/advanced-orders/bracket/:orderId
+ * @desc Cancel a bracket order and unwind its live entry and exit orders
+ * @access Private
+ */
+router.delete('/bracket/:orderId', auth, validateOrderId, async (req, res) => {
+  try {
+    const order = await advancedOrderService.cancelBracketOrder(req.user.id, req.params.orderId);
+
+    res.json({
+      success: true,
+      message: 'Bracket order cancelled successfully',
+      data: { order }
+    });
+  } catch (error) {
+    logger.error('Error cancelling bracket order:', error);
+    sendOrderError(res, error, 'Failed to cancel bracket order');
+  }
+});
+
 /**
  * @route GET /api/advanced-orders/active
  * @desc Get all active advanced orders for user
@@ -270,7 +651,7 @@ router.get('/active', auth, async (req, res) => {
     };
     
     if (type) {
-      if (['oco', 'trailing_stop', 'iceberg'].includes(type)) {
+      if (['oco', 'trailing_stop', 'iceberg', 'twap', 'vwap', 'bracket'].includes(type)) {
         query.type = type;
       } else {
         return res.status(400).json({
@@ -279,7 +660,7 @@ router.get('/active', auth, async (req, res) => {
         });
       }
     } else {
-      query.type = { $in: ['oco', 'trailing_stop', 'iceberg'] };
+      query.type = { $in: ['oco', 'trailing_stop', 'iceberg', 'twap', 'vwap', 'bracket'] };
     }
     
     const orders = await Order.find(query)
@@ -320,7 +701,7 @@ router.get('/:orderId', auth, async (req, res) => {
     const order = await Order.findOne({
       _id: orderId,
       userId: req.user.userId,
-      type: { $in: ['oco', 'trailing_stop', 'iceberg'] }
+      type: { $in: ['oco', 'trailing_stop', 'iceberg', 'twap', 'vwap', 'bracket'] }
     })
     .populate('metadata.parentOrderId')
     .populate('advancedOrderData.oco.linkedOrderId')
@@ -366,11 +747,11 @@ router.get('/history', auth, async (req, res) => {
     
     const query = {
       userId: req.user.userId,
-      type: { $in: ['oco', 'trailing_stop', 'iceberg'] }
+      type: { $in: ['oco', 'trailing_stop', 'iceberg', 'twap', 'vwap', 'bracket'] }
     };
     
     // Apply filters
-    if (type && ['oco', 'trailing_stop', 'iceberg'].includes(type)) {
+    if (type && ['oco', 'trailing_stop', 'iceberg', 'twap', 'vwap', 'bracket'].includes(type)) {
       query.type = type;
     }
     
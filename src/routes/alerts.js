@@ -0,0 +1,232 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken: auth } = require('../middleware/auth');
+const priceAlertService = require('../services/alerts/priceAlertService');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const conditionSchema = Joi.object({
+  type: Joi.string()
+    .valid('price_above', 'price_below', 'percent_change', 'volume_spike', 'spread_widening')
+    .required(),
+  value: Joi.number().positive().required(),
+  windowMinutes: Joi.number().integer().min(1).max(1440).when('type', {
+    is: Joi.string().valid('percent_change', 'volume_spike'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  direction: Joi.string().valid('up', 'down', 'any').when('type', {
+    is: 'percent_change',
+    then: Joi.optional().default('any'),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const alertFields = {
+  name: Joi.string().trim().max(100).allow(''),
+  symbol: Joi.string().pattern(/^[A-Z0-9]+\/[A-Z0-9]+$/),
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds())
+    .allow(null),
+  condition: conditionSchema,
+  channels: Joi.array().items(Joi.string().valid('websocket', 'email', 'webhook')).min(1).unique(),
+  webhookUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow(null),
+  note: Joi.string().trim().max(200).allow(''),
+  recurring: Joi.boolean(),
+  cooldownMinutes: Joi.number().min(0).max(10080)
+};
+
+const requireWebhookUrl = (alert, helpers) => {
+  if (alert.channels && alert.channels.includes('webhook') && !alert.webhookUrl) {
+    return helpers.message('webhookUrl is required for the webhook channel');
+  }
+  return alert;
+};
+
+const createAlertSchema = Joi.object({
+  ...alertFields,
+  symbol: alertFields.symbol.required(),
+  condition: alertFields.condition.required(),
+  channels: alertFields.channels.default(['websocket'])
+}).custom(requireWebhookUrl);
+
+const updateAlertSchema = Joi.object({
+  ...alertFields,
+  status: Joi.string().valid('active', 'disabled')
+}).min(1);
+
+const listSchema = Joi.object({
+  status: Joi.string().valid('active', 'triggered', 'disabled').optional()
+});
+
+const CLIENT_ERRORS = ['limit reached', 'not enabled', 'not available', 'webhookUrl is required'];
+
+/**
+ * Send an error response for alert operations
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the alert service
+ * @param {string} message - Fallback message for unexpected errors
+ */
+const sendAlertError = (res, error, message) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (CLIENT_ERRORS.some(text => error.message.includes(text))) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Validate the alert ID route parameter
+ */
+router.param('alertId', (req, res, next, alertId) => {
+  if (!alertId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert ID format'
+    });
+  }
+  next();
+});
+
+/**
+ * @route POST /api/alerts
+ * @desc Create a price alert
+ * @access Private
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = createAlertSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const alert = await priceAlertService.createAlert(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Price alert created successfully',
+      data: { alert }
+    });
+  } catch (error) {
+    logger.error('Error creating price alert:', error);
+    sendAlertError(res, error, 'Failed to create price alert');
+  }
+});
+
+/**
+ * @route GET /api/alerts
+ * @desc List user price alerts
+ * @access Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const alerts = await priceAlertService.listAlerts(req.user.id, value.status);
+
+    res.json({
+      success: true,
+      data: { alerts }
+    });
+  } catch (error) {
+    logger.error('Error fetching price alerts:', error);
+    sendAlertError(res, error, 'Failed to fetch price alerts');
+  }
+});
+
+/**
+ * @route GET /api/alerts/:alertId
+ * @desc Get a price alert with its trigger history
+ * @access Private
+ */
+router.get('/:alertId', auth, async (req, res) => {
+  try {
+    const alert = await priceAlertService.getAlert(req.user.id, req.params.alertId);
+
+    res.json({
+      success: true,
+      data: { alert }
+    });
+  } catch (error) {
+    logger.error('Error fetching price alert:', error);
+    sendAlertError(res, error, 'Failed to fetch price alert');
+  }
+});
+
+/**
+ * @route PUT /api/alerts/:alertId
+ * @desc Update a price alert (status "active" re-arms a triggered alert)
+ * @access Private
+ */
+router.put('/:alertId', auth, async (req, res) => {
+  try {
+    const { error, value } = updateAlertSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const alert = await priceAlertService.updateAlert(req.user.id, req.params.alertId, value);
+
+    res.json({
+      success: true,
+      message: 'Price alert updated successfully',
+      data: { alert }
+    });
+  } catch (error) {
+    logger.error('Error updating price alert:', error);
+    sendAlertError(res, error, 'Failed to update price alert');
+  }
+});
+
+/**
+ * @route DELETE /api/alerts/:alertId
+ * @desc Delete a price alert
+ * @access Private
+ */
+router.delete('/:alertId', auth, async (req, res) => {
+  try {
+    await priceAlertService.deleteAlert(req.user.id, req.params.alertId);
+
+    res.json({
+      success: true,
+      message: 'Price alert deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting price alert:', error);
+    sendAlertError(res, error, 'Failed to delete price alert');
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const Joi = require('joi');
 const { authenticateToken: auth } = require('../middleware/auth');
 const performanceAnalyticsService = require('../services/analytics/performanceAnalyticsService');
+const stressTestService = require('../services/analytics/stressTestService');
 const TradingPosition = require('../models/TradingPosition');
 const logger = require('../utils/logger');
 
@@ -23,6 +24,45 @@ const positionFilterSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
+const shockSchema = Joi.object({
+  type: Joi.string().valid('asset', 'class', 'exchange').required(),
+  target: Joi.when('type', {
+    switch: [
+      { is: 'asset', then: Joi.string().uppercase().trim().required() },
+      {
+        is: 'class',
+        then: Joi.string().valid('crypto', 'stablecoin', 'defi', 'fiat').required()
+      }
+    ],
+    otherwise: Joi.string().trim().required()
+  }),
+  change: Joi.number().min(-100).max(1000).required()
+});
+
+const stressTestSchema = Joi.object({
+  mode: Joi.string().valid('scenario', 'monte_carlo').default('scenario'),
+  shocks: Joi.when('mode', {
+    is: 'scenario',
+    then: Joi.array().items(shockSchema).min(1).required(),
+    otherwise: Joi.forbidden()
+  }),
+  paths: Joi.when('mode', {
+    is: 'monte_carlo',
+    then: Joi.number().integer().min(100).max(10000).default(1000),
+    otherwise: Joi.forbidden()
+  }),
+  horizon: Joi.when('mode', {
+    is: 'monte_carlo',
+    then: Joi.number().integer().min(1).max(365).default(1),
+    otherwise: Joi.forbidden()
+  }),
+  seed: Joi.when('mode', {
+    is: 'monte_carlo',
+    then: Joi.number().integer().min(0).optional(),
+    otherwise: Joi.forbidden()
+  })
+});
+
 /**
  * @route GET /api/analytics/performance
  * @desc Get comprehensive performance analytics
@@ -175,6 +215,52 @@ router.get('/risk', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/analytics/stress-test
+ * @desc Run a shock scenario or a Monte Carlo simulation on current holdings
+ * @access Private
+ */
+router.post('/stress-test', auth, async (req, res) => {
+  try {
+    const { error, value } = stressTestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid stress test parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { mode, shocks, ...options } = value;
+    const stressTest =
+      mode === 'monte_carlo'
+        ? await stressTestService.runMonteCarlo(req.user.id, options)
+        : await stressTestService.runScenario(req.user.id, shocks);
+
+    res.json({
+      success: true,
+      data: { stressTest }
+    });
+  } catch (error) {
+    if (
+      error.message.includes('no holdings') ||
+      error.message.includes('Not enough return history')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error running stress test:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run stress test',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route GET /api/analytics/symbols
  * @desc Get performance by symbol/asset
@@ -0,0 +1,194 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken: auth } = require('../middleware/auth');
+const backtestingService = require('../services/backtesting/backtestingService');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const scheduledOrderSchema = Joi.object({
+  at: Joi.date().required(),
+  side: Joi.string().valid('buy', 'sell').required(),
+  type: Joi.string().valid('market', 'limit', 'stop', 'stop_limit', 'take_profit').default('market'),
+  amount: Joi.number().positive().required(),
+  price: Joi.number().positive().when('type', {
+    is: Joi.string().valid('limit', 'stop_limit', 'take_profit'),
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  stopPrice: Joi.number().positive().when('type', {
+    is: Joi.string().valid('stop', 'stop_limit'),
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+const strategyParamsSchemas = {
+  sma_crossover: Joi.object({
+    fastPeriod: Joi.number().integer().min(1).max(500).default(10),
+    slowPeriod: Joi.number().integer().min(2).max(500).default(30),
+    allocation: Joi.number().greater(0).max(1).default(0.95)
+  }).custom((params, helpers) => {
+    if (params.slowPeriod <= params.fastPeriod) {
+      return helpers.message('slowPeriod must be greater than fastPeriod');
+    }
+    return params;
+  }),
+  rsi_reversion: Joi.object({
+    period: Joi.number().integer().min(2).max(200).default(14),
+    oversold: Joi.number().min(0).max(100).default(30),
+    overbought: Joi.number().min(0).max(100).default(70),
+    allocation: Joi.number().greater(0).max(1).default(0.95)
+  }).custom((params, helpers) => {
+    if (params.overbought <= params.oversold) {
+      return helpers.message('overbought must be greater than oversold');
+    }
+    return params;
+  }),
+  scheduled_orders: Joi.object({
+    orders: Joi.array().items(scheduledOrderSchema).min(1).max(500).required()
+  })
+};
+
+const backtestSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds())
+    .required(),
+  symbol: Joi.string().required().pattern(/^[A-Z0-9]+\/[A-Z0-9]+$/),
+  timeframe: Joi.string().valid('1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w').default('1h'),
+  candleLimit: Joi.number().integer().min(2).max(1000).default(500),
+  initialBalance: Joi.number().positive().default(10000),
+  strategy: Joi.object({
+    name: Joi.string().valid(...Object.keys(strategyParamsSchemas)).required(),
+    params: Joi.when('name', {
+      switch: Object.entries(strategyParamsSchemas).map(([name, schema]) => ({
+        is: name,
+        then: schema.default()
+      }))
+    })
+  }).required()
+});
+
+const listSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+  status: Joi.string().valid('pending', 'running', 'completed', 'failed').optional()
+});
+
+/**
+ * @route POST /api/backtests
+ * @desc Start a strategy backtest over historical candles
+ * @access Private
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = backtestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid backtest parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const backtest = await backtestingService.createBacktest(req.user.id, value);
+
+    res.status(202).json({
+      success: true,
+      message: 'Backtest started',
+      data: { backtest }
+    });
+  } catch (error) {
+    logger.error('Error starting backtest:', error);
+
+    if (error.message.includes('Unknown strategy')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start backtest',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route GET /api/backtests
+ * @desc List backtest runs
+ * @access Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await backtestingService.listBacktests(req.user.id, value);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing backtests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch backtests',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route GET /api/backtests/:id
+ * @desc Get backtest status, results, simulated orders and positions
+ * @access Private
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid backtest ID format'
+      });
+    }
+
+    const result = await backtestingService.getBacktest(req.user.id, id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error fetching backtest:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch backtest',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
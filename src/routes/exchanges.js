@@ -1,32 +1,52 @@
 const express = require('express');
 const Joi = require('joi');
 const exchangeManager = require('../services/exchanges/exchangeManager');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
+const tradeBackfillService = require('../services/portfolio/tradeBackfillService');
+const permissionDetector = require('../services/exchanges/permissionDetector');
+const credentialRotationService = require('../services/security/credentialRotationService');
 const ExchangeCredentials = require('../models/ExchangeCredentials');
-const { authenticateToken, requirePermission, rateLimitByUser } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requirePermission,
+  rateLimitByUser,
+  adminOnly
+} = require('../middleware/auth');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // Input validation schemas
 const connectExchangeSchema = Joi.object({
-  exchangeName: Joi.string().valid('binance', 'coinbase', 'kraken').required().messages({
-    'any.only': 'Exchange must be one of: binance, coinbase, kraken',
-    'any.required': 'Exchange name is required'
-  }),
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds())
+    .required()
+    .messages({
+      'any.only': `Exchange must be one of: ${exchangeRegistry.getExchangeIds().join(', ')}`,
+      'any.required': 'Exchange name is required'
+    }),
   apiKey: Joi.string().required().messages({
     'any.required': 'API key is required'
   }),
   secret: Joi.string().required().messages({
     'any.required': 'Secret key is required'
   }),
-  passphrase: Joi.string().when('exchangeName', {
-    is: 'coinbase',
-    then: Joi.required().messages({
-      'any.required': 'Passphrase is required for Coinbase'
-    }),
-    otherwise: Joi.optional()
-  }),
-  sandbox: Joi.boolean().default(false)
+  // Required for exchanges whose ccxt class needs them, see exchangeRegistry
+  passphrase: Joi.string().optional(),
+  uid: Joi.string().optional(),
+  sandbox: Joi.boolean().default(false),
+  // Connect a key that can withdraw funds anyway
+  confirmWithdrawPermission: Joi.boolean().default(false)
+});
+
+const backfillSchema = Joi.object({
+  since: Joi.date().iso().max('now').optional(),
+  restart: Joi.boolean().default(false)
+});
+
+const reencryptSchema = Joi.object({
+  batchSize: Joi.number().integer().min(1).max(1000).optional()
 });
 
 /**
@@ -56,7 +76,7 @@ router.get('/', (req, res) => {
 
 /**
  * @route POST /api/exchanges/connect
- * @desc Connect to an exchange with API credentials
+ * @desc Connect to an exchange with API credentials; keys that can withdraw need confirmation
  * @access Private
  */
 router.post(
@@ -76,9 +96,21 @@ router.post(
         });
       }
 
-      const { exchangeName, apiKey, secret, passphrase, sandbox } = value;
+      const { exchangeName, apiKey, secret, passphrase, uid, sandbox, confirmWithdrawPermission } =
+        value;
       const userId = req.user.id;
 
+      const missingFields = exchangeRegistry
+        .getCredentialFields(exchangeName)
+        .filter(field => !value[field]);
+      if (missingFields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: missingFields.map(field => `${field} is required for ${exchangeName}`)
+        });
+      }
+
       // Check if user already has credentials for this exchange
       const existingCredentials = await ExchangeCredentials.findByUserAndExchange(
         userId,
@@ -92,23 +124,56 @@ router.post(
       }
 
       // Test connection with the provided credentials
-      await exchangeManager.createExchange(exchangeName, { apiKey, secret, passphrase }, sandbox);
+      const exchange = await exchangeManager.createExchange(
+        exchangeName,
+        { apiKey, secret, passphrase, uid },
+        sandbox
+      );
+
+      // Find out what the key may do before storing it
+      const permissions = await permissionDetector.detect(exchange, exchangeName);
+      if (permissions.withdraw) {
+        if (config.exchangeConnections.refuseWithdrawKeys) {
+          return res.status(403).json({
+            success: false,
+            message: `This ${exchangeName} API key can withdraw funds. Please create a key without withdrawal permission.`,
+            data: { permissions }
+          });
+        }
+
+        if (!confirmWithdrawPermission) {
+          return res.status(409).json({
+            success: false,
+            message: `This ${exchangeName} API key can withdraw funds. Connect it with confirmWithdrawPermission set to confirm, or create a key without withdrawal permission.`,
+            data: { permissions, requiresConfirmation: true }
+          });
+        }
+      } else if (permissions.unverified.includes('withdraw') && !confirmWithdrawPermission) {
+        return res.status(409).json({
+          success: false,
+          message: `Could not verify whether this ${exchangeName} API key can withdraw funds. Connect it with confirmWithdrawPermission set to confirm, or create a key without withdrawal permission.`,
+          data: { permissions, requiresConfirmation: true }
+        });
+      }
 
       // Save encrypted credentials to database
       const credentials = await ExchangeCredentials.createWithEncryption({
         userId,
         exchangeName,
+        exchangeDisplayName: exchangeManager.getExchangeDisplayName(exchangeName),
         apiKey,
         secret,
         passphrase,
-        sandbox
+        uid,
+        sandbox,
+        permissions
       });
 
       // Add exchange to manager
       const exchangeId = await exchangeManager.addExchange(
         userId,
         exchangeName,
-        { apiKey, secret, passphrase },
+        { apiKey, secret, passphrase, uid },
         sandbox
       );
 
@@ -124,7 +189,13 @@ router.post(
         userId,
         exchangeName,
         exchangeId,
-        sandbox
+        sandbox,
+        withdrawPermission: permissions.withdraw
+      });
+
+      // Import trade history in the background
+      tradeBackfillService.startBackfill(userId, exchangeName).catch(backfillError => {
+        logger.warn(`Could not start trade backfill for ${exchangeName}:`, backfillError.message);
       });
 
       res.status(201).json({
@@ -138,7 +209,8 @@ router.post(
             sandbox,
             connectionStatus: 'connected',
             connectedAt: credentials.createdAt
-          }
+          },
+          permissions
         }
       });
     } catch (error) {
@@ -175,19 +247,20 @@ router.post(
 
 /**
  * @route GET /api/exchanges/connected
- * @desc Get user's connected exchanges
+ * @desc Get user's exchanges with their connection status, reconnecting as needed
  * @access Private
  */
-router.get('/connected', authenticateToken, (req, res) => {
+router.get('/connected', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userExchanges = exchangeManager.getUserExchanges(userId);
+    const userExchanges = await exchangeManager.getConnectionStatuses(userId);
 
     res.json({
       success: true,
       data: {
         exchanges: userExchanges,
-        total: userExchanges.length
+        total: userExchanges.length,
+        connected: userExchanges.filter(exchange => exchange.status === 'connected').length
       }
     });
   } catch (error) {
@@ -210,7 +283,7 @@ router.get('/:exchangeName/status', authenticateToken, async (req, res) => {
     const userId = req.user.id;
 
     // Validate exchange name
-    if (!['binance', 'coinbase', 'kraken'].includes(exchangeName)) {
+    if (!exchangeRegistry.isSupported(exchangeName)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid exchange name'
@@ -250,7 +323,7 @@ router.delete(
       const userId = req.user.id;
 
       // Validate exchange name
-      if (!['binance', 'coinbase', 'kraken'].includes(exchangeName)) {
+      if (!exchangeRegistry.isSupported(exchangeName)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid exchange name'
@@ -342,7 +415,7 @@ router.get(
       const userId = req.user.id;
 
       // Validate exchange name
-      if (!['binance', 'coinbase', 'kraken'].includes(exchangeName)) {
+      if (!exchangeRegistry.isSupported(exchangeName)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid exchange name'
@@ -350,7 +423,7 @@ router.get(
       }
 
       // Get exchange instance
-      const exchange = exchangeManager.getExchange(userId, exchangeName);
+      const exchange = await exchangeManager.loadExchange(userId, exchangeName);
       if (!exchange) {
         return res.status(404).json({
           success: false,
@@ -403,6 +476,64 @@ router.get('/stats', authenticateToken, (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/exchanges/credentials/encryption
+ * @desc Get the master key version and re-encryption progress of stored credentials
+ * @access Admin
+ */
+router.get('/credentials/encryption', authenticateToken, adminOnly, async (req, res) => {
+  try {
+    const status = await credentialRotationService.getStatus();
+
+    res.json({
+      success: true,
+      data: {
+        encryption: status
+      }
+    });
+  } catch (error) {
+    logger.error('Get credential encryption status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get credential encryption status'
+    });
+  }
+});
+
+/**
+ * @route POST /api/exchanges/credentials/reencrypt
+ * @desc Start moving stored credentials to the current master key version
+ * @access Admin
+ */
+router.post('/credentials/reencrypt', authenticateToken, adminOnly, async (req, res) => {
+  try {
+    const { error, value } = reencryptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const status = await credentialRotationService.start(value);
+
+    res.status(202).json({
+      success: true,
+      message: 'Credential re-encryption started',
+      data: {
+        encryption: status
+      }
+    });
+  } catch (error) {
+    logger.error('Start credential re-encryption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start credential re-encryption'
+    });
+  }
+});
+
 /**
  * @route POST /api/exchanges/:exchangeName/test
  * @desc Test connection to a specific exchange
@@ -419,7 +550,7 @@ router.post(
       const userId = req.user.id;
 
       // Validate exchange name
-      if (!['binance', 'coinbase', 'kraken'].includes(exchangeName)) {
+      if (!exchangeRegistry.isSupported(exchangeName)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid exchange name'
@@ -427,7 +558,7 @@ router.post(
       }
 
       // Get exchange instance
-      const exchange = exchangeManager.getExchange(userId, exchangeName);
+      const exchange = await exchangeManager.loadExchange(userId, exchangeName);
       if (!exchange) {
         return res.status(404).json({
           success: false,
@@ -438,10 +569,12 @@ router.post(
       // Test connection
       await exchangeManager.testConnection(exchange);
 
-      // Update credentials status
+      // Update credentials status, picking up permission changes made on the exchange
       const credentials = await ExchangeCredentials.findByUserAndExchange(userId, exchangeName);
+      let permissions = null;
       if (credentials) {
         await credentials.updateConnectionStatus('connected');
+        permissions = await exchangeManager.detectPermissions(credentials, exchange);
       }
 
       res.json({
@@ -450,6 +583,7 @@ router.post(
         data: {
           exchange: exchangeName,
           status: 'connected',
+          permissions,
           testedAt: new Date().toISOString()
         }
       });
@@ -483,4 +617,106 @@ router.post(
   }
 );
 
+/**
+ * @route POST /api/exchanges/:exchangeName/backfill
+ * @desc Start or resume importing trade, order and transfer history
+ * @access Private
+ */
+router.post(
+  '/:exchangeName/backfill',
+  authenticateToken,
+  requirePermission('manage_exchanges'),
+  rateLimitByUser(10, 60 * 60 * 1000),
+  async (req, res) => {
+    try {
+      const { exchangeName } = req.params;
+      const userId = req.user.id;
+
+      // Validate exchange name
+      if (!exchangeRegistry.isSupported(exchangeName)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid exchange name'
+        });
+      }
+
+      const { error, value } = backfillSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const job = await tradeBackfillService.startBackfill(userId, exchangeName, value);
+
+      res.status(202).json({
+        success: true,
+        message: `Backfill started for ${exchangeName}`,
+        data: {
+          backfill: tradeBackfillService.summarizeJob(job)
+        }
+      });
+    } catch (error) {
+      logger.error('Start backfill error:', error);
+
+      if (error.message.includes('not connected')) {
+        return res.status(404).json({
+          success: false,
+          message: `You are not connected to ${req.params.exchangeName}`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start backfill'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/exchanges/:exchangeName/backfill
+ * @desc Get trade history backfill progress
+ * @access Private
+ */
+router.get('/:exchangeName/backfill', authenticateToken, async (req, res) => {
+  try {
+    const { exchangeName } = req.params;
+    const userId = req.user.id;
+
+    // Validate exchange name
+    if (!exchangeRegistry.isSupported(exchangeName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exchange name'
+      });
+    }
+
+    const backfill = await tradeBackfillService.getBackfillStatus(userId, exchangeName);
+
+    res.json({
+      success: true,
+      data: {
+        backfill
+      }
+    });
+  } catch (error) {
+    logger.error('Get backfill status error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get backfill status'
+    });
+  }
+});
+
 module.exports = router;
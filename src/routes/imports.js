@@ -0,0 +1,327 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken: auth } = require('../middleware/auth');
+const csvImportService = require('../services/portfolio/csvImportService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const columnName = Joi.string().trim().max(100);
+
+const mappingSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  delimiter: Joi.string().valid(',', ';', '\t', '|').default(','),
+  columns: Joi.object({
+    timestamp: columnName.required(),
+    symbol: columnName,
+    base: columnName,
+    quote: columnName,
+    side: columnName.required(),
+    amount: columnName.required(),
+    price: columnName,
+    cost: columnName,
+    fee: columnName,
+    feeCurrency: columnName,
+    tradeId: columnName,
+    orderId: columnName
+  })
+    .or('symbol', 'base')
+    .or('price', 'cost')
+    .required(),
+  sideValues: Joi.object({
+    buy: Joi.array().items(Joi.string().trim()).min(1),
+    sell: Joi.array().items(Joi.string().trim()).min(1)
+  }),
+  defaultQuote: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z0-9]+$/)
+});
+
+const templateSchema = mappingSchema.keys({
+  name: Joi.string().trim().max(100).required()
+});
+
+const previewSchema = Joi.object({
+  venue: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9_-]+$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'Venue may only contain letters, numbers, dashes and underscores'
+    }),
+  csv: Joi.string().required(),
+  fileName: Joi.string().trim().max(255),
+  format: Joi.string(),
+  templateId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  mapping: mappingSchema
+}).xor('format', 'templateId', 'mapping');
+
+const CLIENT_ERRORS = [
+  'Unknown import format',
+  'Missing required columns',
+  'exceeds the limit',
+  'already',
+  'Only committed',
+  'Only previews'
+];
+
+/**
+ * Send an error response for import operations
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the import service
+ * @param {string} message - Fallback message for unexpected errors
+ */
+const sendImportError = (res, error, message) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (CLIENT_ERRORS.some(text => error.message.includes(text))) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Validate the batch and template ID route parameters
+ */
+router.param('batchId', (req, res, next, batchId) => {
+  if (!batchId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid import batch ID format'
+    });
+  }
+  next();
+});
+
+router.param('templateId', (req, res, next, templateId) => {
+  if (!templateId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid template ID format'
+    });
+  }
+  next();
+});
+
+/**
+ * @route GET /api/imports/formats
+ * @desc List built-in trade history formats
+ * @access Private
+ */
+router.get('/formats', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: { formats: csvImportService.getFormats() }
+  });
+});
+
+/**
+ * @route POST /api/imports/templates
+ * @desc Save a column mapping template
+ * @access Private
+ */
+router.post('/templates', auth, async (req, res) => {
+  try {
+    const { error, value } = templateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const template = await csvImportService.createTemplate(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Import template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    logger.error('Error creating import template:', error);
+    sendImportError(res, error, 'Failed to create import template');
+  }
+});
+
+/**
+ * @route GET /api/imports/templates
+ * @desc List column mapping templates
+ * @access Private
+ */
+router.get('/templates', auth, async (req, res) => {
+  try {
+    const templates = await csvImportService.getTemplates(req.user.id);
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    logger.error('Error fetching import templates:', error);
+    sendImportError(res, error, 'Failed to fetch import templates');
+  }
+});
+
+/**
+ * @route DELETE /api/imports/templates/:templateId
+ * @desc Delete a column mapping template
+ * @access Private
+ */
+router.delete('/templates/:templateId', auth, async (req, res) => {
+  try {
+    await csvImportService.deleteTemplate(req.user.id, req.params.templateId);
+
+    res.json({
+      success: true,
+      message: 'Import template deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting import template:', error);
+    sendImportError(res, error, 'Failed to delete import template');
+  }
+});
+
+/**
+ * @route POST /api/imports/preview
+ * @desc Parse and validate a trade history CSV without importing it
+ * @access Private
+ */
+router.post('/preview', auth, async (req, res) => {
+  try {
+    const { error, value } = previewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid import parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const batch = await csvImportService.previewImport(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: `${batch.summary.valid} trades ready to import`,
+      data: { batch: csvImportService.summarizeBatch(batch) }
+    });
+  } catch (error) {
+    logger.error('Error previewing trade import:', error);
+    sendImportError(res, error, 'Failed to preview trade import');
+  }
+});
+
+/**
+ * @route GET /api/imports
+ * @desc List trade import batches
+ * @access Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const batches = await csvImportService.getImports(req.user.id);
+
+    res.json({
+      success: true,
+      data: { batches }
+    });
+  } catch (error) {
+    logger.error('Error fetching trade imports:', error);
+    sendImportError(res, error, 'Failed to fetch trade imports');
+  }
+});
+
+/**
+ * @route GET /api/imports/:batchId
+ * @desc Get a trade import batch
+ * @access Private
+ */
+router.get('/:batchId', auth, async (req, res) => {
+  try {
+    const batch = await csvImportService.getBatch(req.user.id, req.params.batchId);
+
+    res.json({
+      success: true,
+      data: { batch: csvImportService.summarizeBatch(batch) }
+    });
+  } catch (error) {
+    logger.error('Error fetching trade import:', error);
+    sendImportError(res, error, 'Failed to fetch trade import');
+  }
+});
+
+/**
+ * @route POST /api/imports/:batchId/commit
+ * @desc Create orders, positions and holdings from a previewed import
+ * @access Private
+ */
+router.post('/:batchId/commit', auth, async (req, res) => {
+  try {
+    const batch = await csvImportService.commitImport(req.user.id, req.params.batchId);
+
+    res.json({
+      success: true,
+      message: `Imported ${batch.summary.orders} trades`,
+      data: { batch: csvImportService.summarizeBatch(batch) }
+    });
+  } catch (error) {
+    logger.error('Error committing trade import:', error);
+    sendImportError(res, error, 'Failed to commit trade import');
+  }
+});
+
+/**
+ * @route POST /api/imports/:batchId/revert
+ * @desc Remove the orders, positions and holdings created by an import
+ * @access Private
+ */
+router.post('/:batchId/revert', auth, async (req, res) => {
+  try {
+    const batch = await csvImportService.revertImport(req.user.id, req.params.batchId);
+
+    res.json({
+      success: true,
+      message: 'Trade import reverted successfully',
+      data: { batch: csvImportService.summarizeBatch(batch) }
+    });
+  } catch (error) {
+    logger.error('Error reverting trade import:', error);
+    sendImportError(res, error, 'Failed to revert trade import');
+  }
+});
+
+/**
+ * @route DELETE /api/imports/:batchId
+ * @desc Discard a previewed import
+ * @access Private
+ */
+router.delete('/:batchId', auth, async (req, res) => {
+  try {
+    await csvImportService.discardImport(req.user.id, req.params.batchId);
+
+    res.json({
+      success: true,
+      message: 'Trade import preview discarded'
+    });
+  } catch (error) {
+    logger.error('Error discarding trade import:', error);
+    sendImportError(res, error, 'Failed to discard trade import');
+  }
+});
+
+module.exports = router;
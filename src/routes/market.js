@@ -2,6 +2,8 @@ const express = require('express');
 const Joi = require('joi');
 const { authenticateToken: authenticate } = require('../middleware/auth');
 const marketDataService = require('../services/market/marketDataService');
+const marketStreamService = require('../services/market/marketStreamService');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -9,7 +11,9 @@ const router = express.Router();
 const symbolSchema = Joi.string()
   .pattern(/^[A-Z]+\/[A-Z]+$/)
   .required();
-const exchangeSchema = Joi.string().valid('binance', 'coinbase', 'kraken').required();
+const exchangeSchema = Joi.string()
+  .valid(...exchangeRegistry.getExchangeIds())
+  .required();
 const timeframeSchema = Joi.string()
   .valid('1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w')
   .default('1h');
@@ -452,6 +456,7 @@ router.get('/stats', authenticate, async (req, res) => {
       message: 'Market data statistics retrieved successfully',
       data: {
         ...stats,
+        streaming: marketStreamService.getStats(),
         timestamp: new Date().toISOString()
       }
     });
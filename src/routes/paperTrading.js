@@ -2,6 +2,7 @@ const express = require('express');
 const Joi = require('joi');
 const { authenticateToken: auth } = require('../middleware/auth');
 const paperTradingService = require('../services/trading/paperTradingService');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -21,9 +22,17 @@ const orderSchema = Joi.object({
     is: Joi.string().valid('stop', 'stop_limit'),
     then: Joi.required(),
     otherwise: Joi.optional()
-  })
+  }),
+  timeInForce: Joi.string().valid('GTC', 'IOC', 'FOK').default('GTC'),
+  postOnly: Joi.boolean().default(false)
 });
 
+const simulationSettingsSchema = Joi.object({
+  fillModel: Joi.string().valid('simple', 'orderbook'),
+  referenceExchange: Joi.string().valid(...exchangeRegistry.getExchangeIds()),
+  orderbookDepth: Joi.number().integer().min(5).max(500)
+}).min(1);
+
 const resetAccountSchema = Joi.object({
   newBalance: Joi.number().min(1000).default(100000),
   reason: Joi.string().valid('manual_reset', 'performance_reset', 'strategy_change').default('manual_reset')
@@ -126,6 +135,21 @@ router.post('/orders', auth, async (req, res) => {
   } catch (error) {
     logger.error('Error placing paper trading order:', error);
     
+    if (error.message.includes('Trading halted')) {
+      return res.status(423).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.riskCheck) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        riskCheck: error.riskCheck
+      });
+    }
+    
     if (error.message.includes('Insufficient balance') || 
         error.message.includes('Invalid order')) {
       return res.status(400).json({
@@ -222,6 +246,39 @@ router.post('/account/reset', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route PUT /api/paper-trading/account/simulation
+ * @desc Choose how paper orders are filled (simple ticker fills or order book simulation)
+ * @access Private
+ */
+router.put('/account/simulation', auth, async (req, res) => {
+  try {
+    const { error, value } = simulationSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid simulation settings',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const simulationSettings = await paperTradingService.updateSimulationSettings(req.user.id, value);
+
+    res.json({
+      success: true,
+      message: 'Simulation settings updated successfully',
+      data: { simulationSettings }
+    });
+  } catch (error) {
+    logger.error('Error updating paper trading simulation settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update simulation settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route POST /api/paper-trading/process-orders
  * @desc Manually trigger processing of pending orders (for development/testing)
@@ -2,6 +2,9 @@ const express = require('express');
 const Joi = require('joi');
 const { authenticateToken: auth } = require('../middleware/auth');
 const portfolioService = require('../services/portfolio/portfolioService');
+const rebalanceService = require('../services/portfolio/rebalanceService');
+const targetAllocationService = require('../services/portfolio/targetAllocationService');
+const taxLotService = require('../services/portfolio/taxLotService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -10,7 +13,9 @@ const router = express.Router();
 const portfolioSettingsSchema = Joi.object({
   autoRebalance: Joi.object({
     enabled: Joi.boolean(),
-    threshold: Joi.number().min(1).max(50)
+    threshold: Joi.number().min(1).max(50),
+    mode: Joi.string().valid('paper', 'live'),
+    intervalHours: Joi.number().min(1).max(720)
   }).optional(),
   riskManagement: Joi.object({
     maxAssetAllocation: Joi.number().min(5).max(100),
@@ -24,12 +29,118 @@ const portfolioSettingsSchema = Joi.object({
   }).optional()
 });
 
+const taxReportSchema = Joi.object({
+  year: Joi.number()
+    .integer()
+    .min(2009)
+    .max(Joi.ref('$currentYear'))
+    .messages({ 'number.max': '"year" cannot be in the future' })
+    .default(() => new Date().getUTCFullYear()),
+  method: Joi.string().valid('fifo', 'lifo', 'hifo', 'average').default('fifo'),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+const rebalanceSchema = Joi.object({
+  mode: Joi.string().valid('paper', 'live').default('live'),
+  dryRun: Joi.boolean().default(false)
+});
+
+const targetBand = Joi.number().min(0.1).max(50);
+
+const targetModelKeys = {
+  name: Joi.string().trim().max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  defaultBand: targetBand,
+  assets: Joi.array()
+    .items(
+      Joi.object({
+        asset: Joi.string()
+          .trim()
+          .uppercase()
+          .pattern(/^[A-Z0-9]+$/)
+          .required(),
+        weight: Joi.number().greater(0).max(100).required(),
+        band: targetBand
+      })
+    )
+    .unique('asset'),
+  classes: Joi.array()
+    .items(
+      Joi.object({
+        assetClass: Joi.string().valid('crypto', 'stablecoin', 'fiat').required(),
+        weight: Joi.number().min(0).max(100).required(),
+        band: targetBand
+      })
+    )
+    .unique('assetClass')
+};
+
+const targetModelSchema = Joi.object({
+  ...targetModelKeys,
+  name: targetModelKeys.name.required()
+}).or('assets', 'classes');
+
+const targetModelUpdateSchema = Joi.object(targetModelKeys).min(1);
+
+const driftSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(30)
+});
+
 const holdingsFilterSchema = Joi.object({
   minValue: Joi.number().min(0).optional(),
   asset: Joi.string().optional(),
   exchange: Joi.string().optional()
 });
 
+const CLIENT_ERRORS = [
+  'No exchanges connected',
+  'already exists',
+  'must sum to 100%',
+  'Duplicate target',
+  'needs asset or class weights'
+];
+
+/**
+ * Send an error response for rebalance and target allocation operations
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} message - Fallback message for unexpected errors
+ */
+const sendPortfolioError = (res, error, message) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (CLIENT_ERRORS.some(text => error.message.includes(text))) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Validate the target allocation model ID route parameter
+ */
+router.param('modelId', (req, res, next, modelId) => {
+  if (!modelId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid target allocation model ID format'
+    });
+  }
+  next();
+});
+
 /**
  * @route GET /api/portfolio
  * @desc Get portfolio summary
@@ -336,34 +447,11 @@ router.get('/asset/:asset', auth, async (req, res) => {
 router.get('/rebalance', auth, async (req, res) => {
   try {
     const summary = await portfolioService.getPortfolioSummary(req.user.userId);
-    const recommendations = [];
-    
-    // Simple rebalancing logic based on target allocations
-    for (const [asset, allocation] of summary.allocation.byAsset) {
-      if (allocation.targetPercentage > 0) {
-        const currentPercentage = allocation.percentage;
-        const targetPercentage = allocation.targetPercentage;
-        const deviation = Math.abs(currentPercentage - targetPercentage);
-        
-        if (deviation > summary.settings.autoRebalance.threshold) {
-          const action = currentPercentage > targetPercentage ? 'SELL' : 'BUY';
-          const amount = (Math.abs(currentPercentage - targetPercentage) / 100) * summary.totalValue.current;
-          
-          recommendations.push({
-            asset,
-            action,
-            currentPercentage,
-            targetPercentage,
-            deviation,
-            recommendedAmount: amount,
-            priority: deviation > 10 ? 'HIGH' : deviation > 5 ? 'MEDIUM' : 'LOW'
-          });
-        }
-      }
-    }
-    
-    // Sort by deviation (highest first)
-    recommendations.sort((a, b) => b.deviation - a.deviation);
+    const recommendations = rebalanceService.getRecommendations(
+      summary.allocation.byAsset,
+      summary.totalValue.current,
+      summary.settings.autoRebalance.threshold
+    );
     
     res.json({
       success: true,
@@ -383,6 +471,295 @@ router.get('/rebalance', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/portfolio/rebalance/preview
+ * @desc Preview the orders a rebalance would place, without placing them
+ * @access Private
+ */
+router.get('/rebalance/preview', auth, async (req, res) => {
+  try {
+    const { error, value } = rebalanceSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rebalance parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const plan = await rebalanceService.planRebalance(req.user.id, { mode: value.mode });
+
+    res.json({
+      success: true,
+      data: { plan }
+    });
+  } catch (error) {
+    logger.error('Error planning rebalance:', error);
+    sendPortfolioError(res, error, 'Failed to plan rebalance');
+  }
+});
+
+/**
+ * @route POST /api/portfolio/rebalance/execute
+ * @desc Place the orders that bring the portfolio back to its target allocation
+ * @access Private
+ */
+router.post('/rebalance/execute', auth, async (req, res) => {
+  try {
+    const { error, value } = rebalanceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rebalance parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const execution = await rebalanceService.executeRebalance(req.user.id, value);
+    const failed = execution.results.filter(result => result.status === 'failed').length;
+
+    res.json({
+      success: true,
+      message: value.dryRun
+        ? `Rebalance plan has ${execution.plan.orders.length} orders`
+        : `Placed ${execution.results.length - failed} of ${execution.plan.orders.length} rebalance orders`,
+      data: execution
+    });
+  } catch (error) {
+    logger.error('Error executing rebalance:', error);
+    sendPortfolioError(res, error, 'Failed to execute rebalance');
+  }
+});
+
+/**
+ * @route GET /api/portfolio/targets
+ * @desc List target allocation models
+ * @access Private
+ */
+router.get('/targets', auth, async (req, res) => {
+  try {
+    const models = await targetAllocationService.getModels(req.user.id);
+
+    res.json({
+      success: true,
+      data: { models }
+    });
+  } catch (error) {
+    logger.error('Error fetching target allocation models:', error);
+    sendPortfolioError(res, error, 'Failed to fetch target allocation models');
+  }
+});
+
+/**
+ * @route POST /api/portfolio/targets
+ * @desc Create a target allocation model
+ * @access Private
+ */
+router.post('/targets', auth, async (req, res) => {
+  try {
+    const { error, value } = targetModelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid target allocation parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const model = await targetAllocationService.createModel(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Target allocation model created successfully',
+      data: { model }
+    });
+  } catch (error) {
+    logger.error('Error creating target allocation model:', error);
+    sendPortfolioError(res, error, 'Failed to create target allocation model');
+  }
+});
+
+/**
+ * @route GET /api/portfolio/targets/drift
+ * @desc Current drift from the active target allocation and its daily history
+ * @access Private
+ */
+router.get('/targets/drift', auth, async (req, res) => {
+  try {
+    const { error, value } = driftSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid drift parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const drift = await targetAllocationService.getDrift(req.user.id, value.days);
+
+    res.json({
+      success: true,
+      data: drift
+    });
+  } catch (error) {
+    logger.error('Error fetching allocation drift:', error);
+    sendPortfolioError(res, error, 'Failed to fetch allocation drift');
+  }
+});
+
+/**
+ * @route POST /api/portfolio/targets/deactivate
+ * @desc Stop targeting any allocation model
+ * @access Private
+ */
+router.post('/targets/deactivate', auth, async (req, res) => {
+  try {
+    await targetAllocationService.deactivateModel(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Target allocation cleared'
+    });
+  } catch (error) {
+    logger.error('Error clearing target allocation:', error);
+    sendPortfolioError(res, error, 'Failed to clear target allocation');
+  }
+});
+
+/**
+ * @route GET /api/portfolio/targets/:modelId
+ * @desc Get a target allocation model
+ * @access Private
+ */
+router.get('/targets/:modelId', auth, async (req, res) => {
+  try {
+    const model = await targetAllocationService.getModel(req.user.id, req.params.modelId);
+
+    res.json({
+      success: true,
+      data: { model }
+    });
+  } catch (error) {
+    logger.error('Error fetching target allocation model:', error);
+    sendPortfolioError(res, error, 'Failed to fetch target allocation model');
+  }
+});
+
+/**
+ * @route PUT /api/portfolio/targets/:modelId
+ * @desc Update a target allocation model
+ * @access Private
+ */
+router.put('/targets/:modelId', auth, async (req, res) => {
+  try {
+    const { error, value } = targetModelUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid target allocation parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const model = await targetAllocationService.updateModel(
+      req.user.id,
+      req.params.modelId,
+      value
+    );
+
+    res.json({
+      success: true,
+      message: 'Target allocation model updated successfully',
+      data: { model }
+    });
+  } catch (error) {
+    logger.error('Error updating target allocation model:', error);
+    sendPortfolioError(res, error, 'Failed to update target allocation model');
+  }
+});
+
+/**
+ * @route DELETE /api/portfolio/targets/:modelId
+ * @desc Delete a target allocation model
+ * @access Private
+ */
+router.delete('/targets/:modelId', auth, async (req, res) => {
+  try {
+    await targetAllocationService.deleteModel(req.user.id, req.params.modelId);
+
+    res.json({
+      success: true,
+      message: 'Target allocation model deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting target allocation model:', error);
+    sendPortfolioError(res, error, 'Failed to delete target allocation model');
+  }
+});
+
+/**
+ * @route POST /api/portfolio/targets/:modelId/activate
+ * @desc Make a model the portfolio's target allocation
+ * @access Private
+ */
+router.post('/targets/:modelId/activate', auth, async (req, res) => {
+  try {
+    const { model, drift } = await targetAllocationService.activateModel(
+      req.user.id,
+      req.params.modelId
+    );
+
+    res.json({
+      success: true,
+      message: `Target allocation set to ${model.name}`,
+      data: { model, drift }
+    });
+  } catch (error) {
+    logger.error('Error activating target allocation model:', error);
+    sendPortfolioError(res, error, 'Failed to activate target allocation model');
+  }
+});
+
+/**
+ * @route GET /api/portfolio/tax-report
+ * @desc Realized gains per disposal for a tax year under a cost basis method
+ * @access Private
+ */
+router.get('/tax-report', auth, async (req, res) => {
+  try {
+    const { error, value } = taxReportSchema.validate(req.query, {
+      context: { currentYear: new Date().getUTCFullYear() }
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax report parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const report = await taxLotService.getTaxReport(req.user.id, value);
+
+    if (value.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=tax-report-${value.year}-${value.method}.csv`);
+      return res.send(taxLotService.toCsv(report));
+    }
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+  } catch (error) {
+    logger.error('Error generating tax report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate tax report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route GET /api/portfolio/export
  * @desc Export portfolio data
@@ -0,0 +1,302 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken: auth } = require('../middleware/auth');
+const strategyRuntimeService = require('../services/strategy/strategyRuntimeService');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const strategyFields = {
+  name: Joi.string().trim().max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  code: Joi.string().max(100000),
+  mode: Joi.string().valid('paper', 'live'),
+  exchangeName: Joi.string().valid(...exchangeRegistry.getExchangeIds()),
+  symbol: Joi.string().pattern(/^[A-Z0-9]+\/[A-Z0-9]+$/),
+  timeframe: Joi.string().valid('1m', '5m', '15m', '30m', '1h', '4h', '1d'),
+  params: Joi.object().unknown(true),
+  pollInterval: Joi.number().integer().min(5000).max(3600000)
+};
+
+const createStrategySchema = Joi.object({
+  ...strategyFields,
+  name: strategyFields.name.required(),
+  code: strategyFields.code.required(),
+  exchangeName: strategyFields.exchangeName.required(),
+  symbol: strategyFields.symbol.required(),
+  mode: strategyFields.mode.default('paper'),
+  timeframe: strategyFields.timeframe.default('1h'),
+  params: strategyFields.params.default({}),
+  pollInterval: strategyFields.pollInterval.default(60000)
+});
+
+const updateStrategySchema = Joi.object(strategyFields).min(1);
+
+const logsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+const CLIENT_ERRORS = [
+  'already exists',
+  'Invalid strategy code',
+  'must be stopped',
+  'already running',
+  'already stopped',
+  'Only running strategies'
+];
+
+/**
+ * Send an error response for strategy operations
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the runtime
+ * @param {string} message - Fallback message for unexpected errors
+ */
+const sendStrategyError = (res, error, message) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (CLIENT_ERRORS.some(text => error.message.includes(text))) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Validate the strategy ID route parameter
+ */
+router.param('strategyId', (req, res, next, strategyId) => {
+  if (!strategyId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid strategy ID format'
+    });
+  }
+  next();
+});
+
+/**
+ * @route POST /api/strategies
+ * @desc Register a strategy module
+ * @access Private
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = createStrategySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const strategy = await strategyRuntimeService.createStrategy(req.user.id, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Strategy created successfully',
+      data: { strategy }
+    });
+  } catch (error) {
+    logger.error('Error creating strategy:', error);
+    sendStrategyError(res, error, 'Failed to create strategy');
+  }
+});
+
+/**
+ * @route GET /api/strategies
+ * @desc List user strategies
+ * @access Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const strategies = await strategyRuntimeService.listStrategies(req.user.id);
+
+    res.json({
+      success: true,
+      data: { strategies }
+    });
+  } catch (error) {
+    logger.error('Error fetching strategies:', error);
+    sendStrategyError(res, error, 'Failed to fetch strategies');
+  }
+});
+
+/**
+ * @route GET /api/strategies/:strategyId
+ * @desc Get strategy details
+ * @access Private
+ */
+router.get('/:strategyId', auth, async (req, res) => {
+  try {
+    const strategy = await strategyRuntimeService.getStrategy(req.user.id, req.params.strategyId);
+
+    res.json({
+      success: true,
+      data: { strategy }
+    });
+  } catch (error) {
+    logger.error('Error fetching strategy:', error);
+    sendStrategyError(res, error, 'Failed to fetch strategy');
+  }
+});
+
+/**
+ * @route PUT /api/strategies/:strategyId
+ * @desc Update a stopped strategy
+ * @access Private
+ */
+router.put('/:strategyId', auth, async (req, res) => {
+  try {
+    const { error, value } = updateStrategySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const strategy = await strategyRuntimeService.updateStrategy(
+      req.user.id,
+      req.params.strategyId,
+      value
+    );
+
+    res.json({
+      success: true,
+      message: 'Strategy updated successfully',
+      data: { strategy }
+    });
+  } catch (error) {
+    logger.error('Error updating strategy:', error);
+    sendStrategyError(res, error, 'Failed to update strategy');
+  }
+});
+
+/**
+ * @route DELETE /api/strategies/:strategyId
+ * @desc Delete a strategy
+ * @access Private
+ */
+router.delete('/:strategyId', auth, async (req, res) => {
+  try {
+    await strategyRuntimeService.deleteStrategy(req.user.id, req.params.strategyId);
+
+    res.json({
+      success: true,
+      message: 'Strategy deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting strategy:', error);
+    sendStrategyError(res, error, 'Failed to delete strategy');
+  }
+});
+
+/**
+ * @route POST /api/strategies/:strategyId/start
+ * @desc Start or resume a strategy
+ * @access Private
+ */
+router.post('/:strategyId/start', auth, async (req, res) => {
+  try {
+    const strategy = await strategyRuntimeService.startStrategy(req.user.id, req.params.strategyId);
+
+    res.json({
+      success: true,
+      message: 'Strategy started',
+      data: { strategy }
+    });
+  } catch (error) {
+    logger.error('Error starting strategy:', error);
+    sendStrategyError(res, error, 'Failed to start strategy');
+  }
+});
+
+/**
+ * @route POST /api/strategies/:strategyId/pause
+ * @desc Pause a running strategy
+ * @access Private
+ */
+router.post('/:strategyId/pause', auth, async (req, res) => {
+  try {
+    const strategy = await strategyRuntimeService.pauseStrategy(req.user.id, req.params.strategyId);
+
+    res.json({
+      success: true,
+      message: 'Strategy paused',
+      data: { strategy }
+    });
+  } catch (error) {
+    logger.error('Error pausing strategy:', error);
+    sendStrategyError(res, error, 'Failed to pause strategy');
+  }
+});
+
+/**
+ * @route POST /api/strategies/:strategyId/stop
+ * @desc Stop a strategy
+ * @access Private
+ */
+router.post('/:strategyId/stop', auth, async (req, res) => {
+  try {
+    const strategy = await strategyRuntimeService.stopStrategy(req.user.id, req.params.strategyId);
+
+    res.json({
+      success: true,
+      message: 'Strategy stopped',
+      data: { strategy }
+    });
+  } catch (error) {
+    logger.error('Error stopping strategy:', error);
+    sendStrategyError(res, error, 'Failed to stop strategy');
+  }
+});
+
+/**
+ * @route GET /api/strategies/:strategyId/logs
+ * @desc Get recent strategy log entries
+ * @access Private
+ */
+router.get('/:strategyId/logs', auth, async (req, res) => {
+  try {
+    const { error, value } = logsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const logs = await strategyRuntimeService.getLogs(
+      req.user.id,
+      req.params.strategyId,
+      value.limit
+    );
+
+    res.json({
+      success: true,
+      data: { logs }
+    });
+  } catch (error) {
+    logger.error('Error fetching strategy logs:', error);
+    sendStrategyError(res, error, 'Failed to fetch strategy logs');
+  }
+});
+
+module.exports = router;
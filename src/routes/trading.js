@@ -2,12 +2,19 @@ const express = require('express');
 const Joi = require('joi');
 const { authenticateToken: authenticate } = require('../middleware/auth');
 const tradingService = require('../services/trading/tradingService');
+const smartOrderRouter = require('../services/trading/smartOrderRouter');
+const feeService = require('../services/trading/feeService');
+const killSwitchService = require('../services/trading/killSwitchService');
+const riskManagementService = require('../services/trading/riskManagementService');
+const exchangeRegistry = require('../services/exchanges/exchangeRegistry');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 const orderSchema = Joi.object({
-  exchangeName: Joi.string().valid('binance', 'coinbase', 'kraken', 'kucoin', 'lcx').required(),
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds())
+    .required(),
   symbol: Joi.string()
     .pattern(/^[A-Z]+\/[A-Z]+$/)
     .required(),
@@ -35,8 +42,104 @@ const orderSchema = Joi.object({
   notes: Joi.string().max(500).optional()
 });
 
+const quoteSchema = orderSchema.keys({
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds(), 'paper_trading')
+    .required()
+});
+
+const smartOrderSchema = Joi.object({
+  symbol: Joi.string()
+    .pattern(/^[A-Z]+\/[A-Z]+$/)
+    .required(),
+  side: Joi.string().valid('buy', 'sell').required(),
+  amount: Joi.number().positive().required(),
+  dryRun: Joi.boolean().default(false),
+  strategy: Joi.string().max(100).optional(),
+  notes: Joi.string().max(500).optional()
+});
+
+const killSwitchSchema = Joi.object({
+  reason: Joi.string().max(500).optional(),
+  cancelOrders: Joi.boolean().default(true),
+  flattenPositions: Joi.boolean().default(false)
+});
+
+const killSwitchUnlockSchema = Joi.object({
+  // Typed confirmation so trading is not resumed by accident
+  confirm: Joi.string().valid('UNLOCK').required(),
+  reason: Joi.string().min(10).max(500).required()
+});
+
+const killSwitchPolicySchema = Joi.object({
+  onBreach: Joi.string().valid('block', 'cancel_orders', 'flatten').required()
+});
+
+const ruleMode = Joi.string().valid('warn', 'block');
+
+const riskRulesSchema = Joi.object({
+  positionSize: ruleMode,
+  concentration: ruleMode,
+  correlation: ruleMode,
+  dailyLoss: ruleMode,
+  leverage: ruleMode,
+  assetClass: ruleMode,
+  stopLoss: ruleMode
+}).min(1);
+
+const fraction = Joi.number().min(0).max(1);
+
+const riskProfileSchema = Joi.object({
+  riskLevel: Joi.string().valid('conservative', 'moderate', 'aggressive'),
+  limits: Joi.object({
+    maxPositionSize: fraction.greater(0),
+    maxDailyLoss: fraction.greater(0),
+    maxDrawdown: fraction.greater(0),
+    maxLeverage: Joi.number().min(1).max(100),
+    maxOpenPositions: Joi.number().integer().min(1).max(1000),
+    stopLossRequired: Joi.boolean(),
+    minStopLossDistance: fraction,
+    maxCorrelation: fraction,
+    allowedAssetClasses: Joi.array()
+      .items(Joi.string().valid('crypto', 'stablecoin', 'defi', 'derivatives'))
+      .min(1)
+      .unique(),
+    requiredDiversification: fraction
+  }).min(1),
+  ruleModes: riskRulesSchema,
+  reason: Joi.string().max(500).optional()
+}).or('riskLevel', 'limits', 'ruleModes');
+
+const riskEventsSchema = Joi.object({
+  type: Joi.string().valid('violation', 'warning').optional(),
+  rule: Joi.string().max(50).optional(),
+  source: Joi.string().valid('order', 'strategy', 'circuit_breaker', 'monitor').optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const riskHistorySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Risk profile without its change history
+const formatRiskProfile = profile => ({
+  riskLevel: profile.riskLevel,
+  limits: profile.limits,
+  ruleModes: profile.ruleModes,
+  version: profile.version,
+  pendingChanges: profile.pendingChanges,
+  monitoring: profile.monitoring,
+  updatedAt: profile.updatedAt
+});
+
 const orderHistorySchema = Joi.object({
-  exchangeName: Joi.string().valid('binance', 'coinbase', 'kraken', 'kucoin', 'lcx').optional(),
+  exchangeName: Joi.string()
+    .valid(...exchangeRegistry.getExchangeIds())
+    .optional(),
   symbol: Joi.string()
     .pattern(/^[A-Z]+\/[A-Z]+$/)
     .optional(),
@@ -88,6 +191,7 @@ router.post('/orders', authenticate, async (req, res) => {
           remaining: order.remaining,
           cost: order.cost,
           fee: order.fee,
+          estimatedFee: order.estimatedFee,
           exchangeOrderId: order.exchangeOrderId,
           clientOrderId: order.clientOrderId,
           timeInForce: order.timeInForce,
@@ -103,19 +207,219 @@ router.post('/orders', authenticate, async (req, res) => {
       orderData: req.body
     });
 
-    const statusCode = error.message.includes('Insufficient')
-      ? 400
-      : error.message.includes('not supported')
-        ? 400
-        : error.message.includes('not connected')
+    const statusCode = error.message.includes('Trading halted')
+      ? 423
+      : error.message.includes('not permitted')
+        ? 403
+        : error.riskCheck || error.message.includes('Insufficient')
           ? 400
-          : error.message.includes('Invalid')
+          : error.message.includes('not supported')
             ? 400
-            : 500;
+            : error.message.includes('not connected')
+              ? 400
+              : error.message.includes('Invalid')
+                ? 400
+                : 500;
 
     res.status(statusCode).json({
       success: false,
       message: 'Failed to place order',
+      error: error.message,
+      ...(error.riskCheck && { riskCheck: error.riskCheck })
+    });
+  }
+});
+
+router.post('/orders/smart', authenticate, async (req, res) => {
+  try {
+    const { error, value } = smartOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await smartOrderRouter.routeOrder(req.user.id, value);
+
+    if (value.dryRun) {
+      return res.json({
+        success: true,
+        message: 'Smart order route calculated successfully',
+        data: { routing: result.routing }
+      });
+    }
+
+    logger.info('Smart order placed via API', {
+      userId: req.user.id,
+      orderId: result.order._id,
+      symbol: result.order.symbol,
+      childOrders: result.children.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Smart order placed successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Smart order placement failed via API', {
+      userId: req.user.id,
+      error: error.message,
+      orderData: req.body
+    });
+
+    const statusCode = error.message.includes('Trading halted')
+      ? 423
+      : error.message.includes('not permitted')
+        ? 403
+        : error.riskCheck || error.message.includes('Insufficient')
+          ? 400
+          : error.message.includes('not available')
+            ? 400
+            : error.message.includes('No orderbook data')
+              ? 400
+              : 500;
+
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to place smart order',
+      error: error.message,
+      ...(error.riskCheck && { riskCheck: error.riskCheck })
+    });
+  }
+});
+
+router.get('/orders/smart/:orderId', authenticate, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!orderId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const result = await smartOrderRouter.getSmartOrder(req.user.id, orderId);
+
+    res.json({
+      success: true,
+      message: 'Smart order retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to get smart order via API', {
+      userId: req.user.id,
+      orderId: req.params.orderId,
+      error: error.message
+    });
+
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to retrieve smart order',
+      error: error.message
+    });
+  }
+});
+
+router.post('/orders/quote', authenticate, async (req, res) => {
+  try {
+    const { error, value } = quoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const quote = await feeService.getQuote(req.user.id, value);
+
+    res.json({
+      success: true,
+      message: 'Order quote calculated successfully',
+      data: { quote }
+    });
+  } catch (error) {
+    logger.error('Failed to quote order via API', {
+      userId: req.user.id,
+      error: error.message,
+      orderData: req.body
+    });
+
+    res.status(error.message.includes('not connected') ? 400 : 500).json({
+      success: false,
+      message: 'Failed to calculate order quote',
+      error: error.message
+    });
+  }
+});
+
+router.post('/orders/check', authenticate, async (req, res) => {
+  try {
+    const { error, value } = quoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const riskCheck = await riskManagementService.checkOrder(req.user.id, value);
+
+    res.json({
+      success: true,
+      message: riskCheck.allowed
+        ? 'Order passes pre-trade risk checks'
+        : 'Order would be rejected by risk management',
+      data: { riskCheck }
+    });
+  } catch (error) {
+    logger.error('Failed to check order via API', {
+      userId: req.user.id,
+      error: error.message,
+      orderData: req.body
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check order',
+      error: error.message
+    });
+  }
+});
+
+router.get('/fees/:exchangeName', authenticate, async (req, res) => {
+  try {
+    const { exchangeName } = req.params;
+
+    if (exchangeName !== 'paper_trading' && !exchangeRegistry.isSupported(exchangeName)) {
+      return res.status(400).json({
+        success: false,
+        message: `Exchange ${exchangeName} is not supported`
+      });
+    }
+
+    const schedule = await feeService.getSchedule(req.user.id, exchangeName);
+
+    res.json({
+      success: true,
+      message: 'Fee schedule retrieved successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    logger.error('Failed to get fee schedule via API', {
+      userId: req.user.id,
+      exchangeName: req.params.exchangeName,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve fee schedule',
       error: error.message
     });
   }
@@ -186,7 +490,7 @@ router.get('/orders/active', authenticate, async (req, res) => {
   try {
     const { exchangeName } = req.query;
 
-    if (exchangeName && !['binance', 'coinbase', 'kraken', 'kucoin', 'lcx'].includes(exchangeName)) {
+    if (exchangeName && !exchangeRegistry.isSupported(exchangeName)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid exchange name'
@@ -436,4 +740,374 @@ router.get('/stats', authenticate, async (req, res) => {
   }
 });
 
+router.get('/risk-rules', authenticate, async (req, res) => {
+  try {
+    const ruleModes = await riskManagementService.loadRuleModes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Risk rules retrieved successfully',
+      data: { ruleModes }
+    });
+  } catch (error) {
+    logger.error('Failed to get risk rules via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve risk rules',
+      error: error.message
+    });
+  }
+});
+
+router.put('/risk-rules', authenticate, async (req, res) => {
+  try {
+    const { error, value } = riskRulesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await riskManagementService.updateRuleModes(req.user.id, value, {
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message:
+        result.pendingChanges.length > 0
+          ? 'Risk rules updated, loosened rules take effect after the cooling-off period'
+          : 'Risk rules updated successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to update risk rules via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to update risk rules',
+      error: error.message
+    });
+  }
+});
+
+router.get('/risk-profile', authenticate, async (req, res) => {
+  try {
+    const profile = await riskManagementService.getRiskProfile(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Risk profile retrieved successfully',
+      data: { profile: formatRiskProfile(profile) }
+    });
+  } catch (error) {
+    logger.error('Failed to get risk profile via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to retrieve risk profile',
+      error: error.message
+    });
+  }
+});
+
+router.put('/risk-profile', authenticate, async (req, res) => {
+  try {
+    const { error, value } = riskProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { reason, ...updates } = value;
+    const { profile, applied, pending } = await riskManagementService.updateRiskProfile(
+      req.user.id,
+      updates,
+      { reason, ip: req.ip }
+    );
+
+    res.json({
+      success: true,
+      message:
+        pending.length > 0
+          ? 'Risk profile updated, loosened limits take effect after the cooling-off period'
+          : 'Risk profile updated successfully',
+      data: {
+        profile: formatRiskProfile(profile),
+        applied: applied ? applied.changes : [],
+        pendingChanges: pending
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to update risk profile via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to update risk profile',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/risk-profile/pending', authenticate, async (req, res) => {
+  try {
+    const profile = await riskManagementService.cancelPendingChanges(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Pending risk limit changes cancelled successfully',
+      data: { profile: formatRiskProfile(profile) }
+    });
+  } catch (error) {
+    logger.error('Failed to cancel pending risk limit changes via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to cancel pending risk limit changes',
+      error: error.message
+    });
+  }
+});
+
+router.get('/risk-profile/history', authenticate, async (req, res) => {
+  try {
+    const { error, value } = riskHistorySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const profile = await riskManagementService.getRiskProfile(req.user.id);
+    const history = [...profile.history].reverse();
+
+    res.json({
+      success: true,
+      message: 'Risk profile history retrieved successfully',
+      data: {
+        version: profile.version,
+        history: history.slice(value.offset, value.offset + value.limit),
+        pagination: {
+          total: history.length,
+          limit: value.limit,
+          offset: value.offset
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get risk profile history via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to retrieve risk profile history',
+      error: error.message
+    });
+  }
+});
+
+router.get('/risk-events', authenticate, async (req, res) => {
+  try {
+    const { error, value } = riskEventsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { events, total } = await riskManagementService.getRiskEvents(req.user.id, value);
+
+    res.json({
+      success: true,
+      message: 'Risk events retrieved successfully',
+      data: {
+        events,
+        pagination: {
+          total,
+          limit: value.limit,
+          offset: value.offset
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get risk events via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve risk events',
+      error: error.message
+    });
+  }
+});
+
+router.get('/kill-switch', authenticate, async (req, res) => {
+  try {
+    const killSwitch = await killSwitchService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Kill switch status retrieved successfully',
+      data: { killSwitch }
+    });
+  } catch (error) {
+    logger.error('Failed to get kill switch status via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve kill switch status',
+      error: error.message
+    });
+  }
+});
+
+router.post('/kill-switch', authenticate, async (req, res) => {
+  try {
+    const { error, value } = killSwitchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const killSwitch = await killSwitchService.engage(req.user.id, {
+      message: value.reason,
+      cancelOrders: value.cancelOrders,
+      flattenPositions: value.flattenPositions,
+      ip: req.ip
+    });
+
+    logger.warn('Kill switch engaged via API', {
+      userId: req.user.id,
+      lastActions: killSwitch.lastActions
+    });
+
+    res.json({
+      success: true,
+      message: killSwitch.lastActions.incomplete
+        ? 'Kill switch engaged, trading halted, but some orders or positions may still be live'
+        : 'Kill switch engaged, trading halted',
+      data: { killSwitch }
+    });
+  } catch (error) {
+    logger.error('Failed to engage kill switch via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to engage kill switch',
+      error: error.message
+    });
+  }
+});
+
+router.post('/kill-switch/unlock', authenticate, async (req, res) => {
+  try {
+    const { error, value } = killSwitchUnlockSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const killSwitch = await killSwitchService.unlock(req.user.id, {
+      reason: value.reason,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Kill switch unlocked, trading resumed',
+      data: { killSwitch }
+    });
+  } catch (error) {
+    logger.error('Failed to unlock kill switch via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    const statusCode = error.message.includes('not engaged')
+      ? 400
+      : error.message.includes('cannot be unlocked')
+        ? 423
+        : 500;
+
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to unlock kill switch',
+      error: error.message
+    });
+  }
+});
+
+router.put('/kill-switch/policy', authenticate, async (req, res) => {
+  try {
+    const { error, value } = killSwitchPolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const killSwitch = await killSwitchService.updatePolicy(req.user.id, value, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Kill switch policy updated successfully',
+      data: { killSwitch }
+    });
+  } catch (error) {
+    logger.error('Failed to update kill switch policy via API', {
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update kill switch policy',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,644 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const PriceAlert = require('../../models/PriceAlert');
+const User = require('../../models/User');
+const exchangeManager = require('../exchanges/exchangeManager');
+const marketDataService = require('../market/marketDataService');
+const marketStreamService = require('../market/marketStreamService');
+const websocketService = require('../websocket/websocketService');
+const config = require('../../config');
+const { isPublicAddress, publicLookup } = require('../../utils/publicAddress');
+const logger = require('../../utils/logger');
+
+const WINDOWED_CONDITIONS = ['percent_change', 'volume_spike'];
+
+/**
+ * Price Alert Service
+ * Evaluates active price alerts against the ticker feed from
+ * MarketDataService and delivers triggered alerts through the alert's
+ * channels. Channels are pluggable via registerChannel; there is no email
+ * transport built in, so alerts can only use email once one is registered,
+ * and it is only used while the user has price alert emails enabled.
+ */
+class PriceAlertService {
+  constructor() {
+    this.alerts = new Map();
+    this.state = new Map();
+    this.watchedSymbols = new Map();
+    this.triggering = new Set();
+    this.isRunning = false;
+    this.marketDataUnsubscribe = null;
+    this.maxAlertsPerUser = 100;
+    this.maxHistoryEntries = 50;
+    this.samplesPerWindow = 60;
+    this.webhookTimeout = 5000;
+    this.channels = new Map([
+      ['websocket', (alert, notification, user) => this.deliverWebsocket(alert, notification, user)],
+      ['webhook', (alert, notification) => this.deliverWebhook(alert, notification)]
+    ]);
+  }
+
+  /**
+   * Register or replace a delivery channel
+   * @param {string} name - Channel name (websocket, email, webhook)
+   * @param {Function} handler - async (alert, notification, user) => void, throws on failure
+   */
+  registerChannel(name, handler) {
+    this.channels.set(name, handler);
+  }
+
+  /**
+   * Load active alerts and start evaluating the ticker feed
+   */
+  async initialize() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.marketDataUnsubscribe = marketDataService.subscribe((type, data) => {
+      if (type === 'ticker') {
+        this.handleTicker(data.symbol, data.data);
+      }
+    });
+
+    const alerts = await PriceAlert.find({ status: 'active' }).select('-history');
+    alerts.forEach(alert => this.trackAlert(alert));
+
+    logger.info(`Price alert service initialized with ${alerts.length} active alerts`);
+  }
+
+  /**
+   * Stop evaluating alerts and release market data streams
+   */
+  stop() {
+    if (this.marketDataUnsubscribe) {
+      this.marketDataUnsubscribe();
+      this.marketDataUnsubscribe = null;
+    }
+
+    Array.from(this.alerts.keys()).forEach(alertId => this.untrackAlert(alertId));
+    this.isRunning = false;
+  }
+
+  /**
+   * Create a price alert
+   * @param {string} userId - User ID
+   * @param {Object} alertData - Alert definition
+   * @returns {Promise<Object>} Created alert
+   */
+  async createAlert(userId, alertData) {
+    try {
+      this.validateChannels(alertData.channels);
+
+      const count = await PriceAlert.countDocuments({ userId });
+      if (count >= this.maxAlertsPerUser) {
+        throw new Error(`Alert limit reached (${this.maxAlertsPerUser} per user)`);
+      }
+
+      this.validateExchange(alertData.exchangeName);
+
+      const alert = await PriceAlert.create({ ...alertData, userId });
+      this.trackAlert(alert);
+
+      logger.info('Price alert created', {
+        userId,
+        alertId: alert._id,
+        symbol: alert.symbol,
+        condition: alert.condition.type
+      });
+
+      return alert;
+    } catch (error) {
+      logger.error('Failed to create price alert', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a price alert; setting status to active re-arms a triggered alert
+   * @param {string} userId - User ID
+   * @param {string} alertId - Alert ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated alert
+   */
+  async updateAlert(userId, alertId, updates) {
+    const alert = await this.getAlert(userId, alertId);
+
+    if (updates.exchangeName !== undefined) {
+      this.validateExchange(updates.exchangeName);
+    }
+    if (updates.channels !== undefined) {
+      this.validateChannels(updates.channels);
+    }
+
+    alert.set(updates);
+    if (alert.channels.includes('webhook') && !alert.webhookUrl) {
+      throw new Error('webhookUrl is required for the webhook channel');
+    }
+    await alert.save();
+
+    this.untrackAlert(alert._id.toString());
+    this.trackAlert(alert);
+
+    return alert;
+  }
+
+  /**
+   * Delete a price alert
+   * @param {string} userId - User ID
+   * @param {string} alertId - Alert ID
+   */
+  async deleteAlert(userId, alertId) {
+    const alert = await this.getAlert(userId, alertId);
+
+    await PriceAlert.deleteOne({ _id: alert._id });
+    this.untrackAlert(alert._id.toString());
+  }
+
+  /**
+   * Get a price alert with its trigger history
+   * @param {string} userId - User ID
+   * @param {string} alertId - Alert ID
+   * @returns {Promise<Object>} Alert
+   */
+  async getAlert(userId, alertId) {
+    const alert = await PriceAlert.findOne({ _id: alertId, userId });
+
+    if (!alert) {
+      throw new Error('Price alert not found');
+    }
+
+    return alert;
+  }
+
+  /**
+   * List a user's price alerts
+   * @param {string} userId - User ID
+   * @param {string} status - Optional status filter
+   * @returns {Promise<Array>} Alerts
+   */
+  listAlerts(userId, status = null) {
+    return PriceAlert.findByUserId(userId, status);
+  }
+
+  /**
+   * Make sure every channel of an alert has a registered handler
+   * @param {Array<string>} channels - Channel names
+   */
+  validateChannels(channels = []) {
+    const unavailable = channels.find(channel => !this.channels.has(channel));
+    if (unavailable) {
+      throw new Error(`Channel ${unavailable} is not available`);
+    }
+  }
+
+  /**
+   * Make sure an exchange-specific alert watches an enabled exchange
+   * @param {string|null} exchangeName - Exchange name, null for the unified ticker
+   */
+  validateExchange(exchangeName) {
+    if (!exchangeName) {
+      return;
+    }
+
+    const exchange = exchangeManager.getSupportedExchanges().find(e => e.id === exchangeName);
+    if (!exchange || !exchange.enabled) {
+      throw new Error(`Exchange ${exchangeName} is not enabled for market data`);
+    }
+  }
+
+  /**
+   * Start evaluating an alert if it is active
+   * @param {Object} alert - Alert document
+   */
+  trackAlert(alert) {
+    if (!this.isRunning || alert.status !== 'active') {
+      return;
+    }
+
+    const alertId = alert._id.toString();
+    if (!this.alerts.has(alertId)) {
+      this.watchSymbol(alert.symbol);
+    }
+    this.alerts.set(alertId, alert);
+  }
+
+  /**
+   * Stop evaluating an alert
+   * @param {string} alertId - Alert ID
+   */
+  untrackAlert(alertId) {
+    const alert = this.alerts.get(alertId);
+    if (!alert) {
+      return;
+    }
+
+    this.alerts.delete(alertId);
+    this.state.delete(alertId);
+    this.unwatchSymbol(alert.symbol);
+  }
+
+  watchSymbol(symbol) {
+    const count = this.watchedSymbols.get(symbol) || 0;
+    this.watchedSymbols.set(symbol, count + 1);
+
+    if (count === 0) {
+      marketStreamService.subscribe('ticker', symbol);
+    }
+  }
+
+  unwatchSymbol(symbol) {
+    const count = this.watchedSymbols.get(symbol) || 0;
+
+    if (count <= 1) {
+      this.watchedSymbols.delete(symbol);
+      if (count === 1) {
+        marketStreamService.unsubscribe('ticker', symbol);
+      }
+      return;
+    }
+
+    this.watchedSymbols.set(symbol, count - 1);
+  }
+
+  /**
+   * Evaluate all alerts for a symbol against a unified ticker update
+   * @param {string} symbol - Trading symbol
+   * @param {Object} ticker - Unified ticker from MarketDataService
+   */
+  handleTicker(symbol, ticker) {
+    this.alerts.forEach(alert => {
+      if (alert.symbol !== symbol) {
+        return;
+      }
+
+      try {
+        const result = this.evaluateAlert(alert, ticker);
+        if (result) {
+          this.triggerAlert(alert, result).catch(error => {
+            logger.error('Failed to trigger price alert', {
+              alertId: alert._id,
+              error: error.message
+            });
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to evaluate price alert', {
+          alertId: alert._id,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Check whether an alert condition is met by a ticker update
+   * @param {Object} alert - Alert document
+   * @param {Object} ticker - Unified ticker from MarketDataService
+   * @param {number} now - Evaluation time in ms
+   * @returns {Object|null} Trigger value and message, or null
+   */
+  evaluateAlert(alert, ticker, now = Date.now()) {
+    const observation = this.getObservation(alert, ticker);
+    if (!observation) {
+      return null;
+    }
+
+    const alertId = alert._id.toString();
+    if (!this.state.has(alertId)) {
+      this.state.set(alertId, { lastPrice: null, samples: [] });
+    }
+    const state = this.state.get(alertId);
+
+    const { type, value: threshold } = alert.condition;
+    const source = alert.exchangeName || 'unified ticker';
+    let result = null;
+
+    if (type === 'price_above' || type === 'price_below') {
+      // Only trigger on an actual cross, not when the first price seen is already past the level
+      const previous = state.lastPrice;
+      state.lastPrice = observation.price;
+
+      const crossed =
+        previous !== null &&
+        (type === 'price_above'
+          ? previous < threshold && observation.price >= threshold
+          : previous > threshold && observation.price <= threshold);
+
+      if (crossed) {
+        result = {
+          value: observation.price,
+          message: `${alert.symbol} crossed ${type === 'price_above' ? 'above' : 'below'} ${threshold} on ${source} (now ${observation.price})`
+        };
+      }
+    } else if (WINDOWED_CONDITIONS.includes(type)) {
+      const base = this.recordSample(state, alert.condition.windowMinutes, observation, now);
+
+      if (type === 'percent_change' && base.price > 0) {
+        const change = ((observation.price - base.price) / base.price) * 100;
+        const direction = alert.condition.direction || 'any';
+        const matches =
+          (direction !== 'down' && change >= threshold) || (direction !== 'up' && change <= -threshold);
+
+        if (matches) {
+          result = {
+            value: change,
+            message: `${alert.symbol} moved ${change.toFixed(2)}% in ${alert.condition.windowMinutes}m on ${source} (now ${observation.price})`
+          };
+        }
+      }
+
+      // 24h volume grows sharply when a burst of trading lands inside the window
+      if (type === 'volume_spike' && base.volume > 0) {
+        const growth = ((observation.volume - base.volume) / base.volume) * 100;
+
+        if (growth >= threshold) {
+          result = {
+            value: growth,
+            message: `${alert.symbol} 24h volume rose ${growth.toFixed(2)}% in ${alert.condition.windowMinutes}m on ${source}`
+          };
+        }
+      }
+    } else if (type === 'spread_widening' && observation.spreadPercentage >= threshold) {
+      result = {
+        value: observation.spreadPercentage,
+        message: `${alert.symbol} spread widened to ${observation.spreadPercentage.toFixed(4)}% on ${source}`
+      };
+    }
+
+    if (!result || alert.isCoolingDown || this.triggering.has(alertId)) {
+      return null;
+    }
+
+    if (alert.note) {
+      result.message = `${result.message} - ${alert.note}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract price, volume and spread for the alert's exchange or the unified ticker
+   * @param {Object} alert - Alert document
+   * @param {Object} ticker - Unified ticker from MarketDataService
+   * @returns {Object|null} Observation, or null if the exchange has no data
+   */
+  getObservation(alert, ticker) {
+    if (!alert.exchangeName) {
+      return {
+        price: ticker.unified.averagePrice,
+        volume: ticker.unified.totalVolume,
+        spreadPercentage: ticker.unified.spreadPercentage
+      };
+    }
+
+    const exchangeTicker = (ticker.byExchange || []).find(t => t.exchange === alert.exchangeName);
+    if (!exchangeTicker || !exchangeTicker.last) {
+      return null;
+    }
+
+    const midPrice =
+      exchangeTicker.bid && exchangeTicker.ask ? (exchangeTicker.bid + exchangeTicker.ask) / 2 : 0;
+
+    return {
+      price: exchangeTicker.last,
+      volume: exchangeTicker.volume || 0,
+      spreadPercentage: midPrice > 0 ? ((exchangeTicker.ask - exchangeTicker.bid) / midPrice) * 100 : 0
+    };
+  }
+
+  /**
+   * Keep a downsampled history over the alert window
+   * @param {Object} state - Alert evaluation state
+   * @param {number} windowMinutes - Window length
+   * @param {Object} observation - Current observation
+   * @param {number} now - Current time in ms
+   * @returns {Object} Oldest sample in the window
+   */
+  recordSample(state, windowMinutes, observation, now) {
+    const windowMs = windowMinutes * 60 * 1000;
+    const sampleInterval = Math.max(1000, windowMs / this.samplesPerWindow);
+
+    while (state.samples.length > 0 && state.samples[0].timestamp < now - windowMs) {
+      state.samples.shift();
+    }
+
+    const lastSample = state.samples[state.samples.length - 1];
+    if (!lastSample || now - lastSample.timestamp >= sampleInterval) {
+      state.samples.push({ timestamp: now, price: observation.price, volume: observation.volume });
+    }
+
+    return state.samples[0];
+  }
+
+  /**
+   * Record a trigger and deliver the notification
+   * @param {Object} alert - Alert document
+   * @param {Object} result - Trigger value and message from evaluateAlert
+   * @returns {Promise<Object|null>} Updated alert and delivery results
+   */
+  async triggerAlert(alert, result) {
+    const alertId = alert._id.toString();
+    if (this.triggering.has(alertId)) {
+      return null;
+    }
+
+    this.triggering.add(alertId);
+
+    try {
+      const triggeredAt = new Date();
+      const update = {
+        $set: { lastTriggeredAt: triggeredAt },
+        $inc: { triggerCount: 1 }
+      };
+      if (!alert.recurring) {
+        update.$set.status = 'triggered';
+      }
+
+      // Guard on status so an alert changed or triggered elsewhere is not fired twice
+      const updated = await PriceAlert.findOneAndUpdate({ _id: alert._id, status: 'active' }, update, {
+        new: true,
+        projection: { history: 0 }
+      });
+
+      if (!updated) {
+        this.untrackAlert(alertId);
+        return null;
+      }
+
+      if (updated.recurring) {
+        this.alerts.set(alertId, updated);
+      } else {
+        this.untrackAlert(alertId);
+      }
+
+      const notification = {
+        alertId: updated._id,
+        name: updated.name,
+        symbol: updated.symbol,
+        exchangeName: updated.exchangeName || 'unified',
+        condition: updated.condition.type,
+        threshold: updated.condition.value,
+        value: result.value,
+        message: result.message,
+        triggeredAt: triggeredAt.toISOString()
+      };
+
+      const deliveries = await this.deliver(updated, notification);
+
+      await PriceAlert.updateOne(
+        { _id: updated._id },
+        {
+          $push: {
+            history: {
+              $each: [{ triggeredAt, value: result.value, message: result.message, deliveries }],
+              $slice: -this.maxHistoryEntries
+            }
+          }
+        }
+      );
+
+      logger.info('Price alert triggered', {
+        alertId,
+        userId: updated.userId,
+        message: result.message,
+        deliveries
+      });
+
+      return { alert: updated, deliveries };
+    } finally {
+      this.triggering.delete(alertId);
+    }
+  }
+
+  /**
+   * Deliver a notification through each of the alert's channels
+   * @param {Object} alert - Alert document
+   * @param {Object} notification - Notification payload
+   * @returns {Promise<Array>} Delivery result per channel
+   */
+  async deliver(alert, notification) {
+    const user = await User.findById(alert.userId).select('email preferences');
+    const emailPreferences = user?.preferences?.notifications?.email;
+
+    return Promise.all(
+      alert.channels.map(async channel => {
+        if (channel === 'email' && !(emailPreferences?.enabled && emailPreferences?.priceAlerts)) {
+          return {
+            channel,
+            success: false,
+            skipped: true,
+            error: 'Price alert emails are disabled in notification preferences'
+          };
+        }
+
+        try {
+          const handler = this.channels.get(channel);
+          if (!handler) {
+            throw new Error(`Channel ${channel} is not available`);
+          }
+
+          await handler(alert, notification, user);
+          return { channel, success: true };
+        } catch (error) {
+          logger.warn('Price alert delivery failed', {
+            alertId: alert._id,
+            channel,
+            error: error.message
+          });
+          return { channel, success: false, error: error.message };
+        }
+      })
+    );
+  }
+
+  deliverWebsocket(alert, notification, user) {
+    if (!websocketService.io) {
+      throw new Error('WebSocket service is not running');
+    }
+
+    const { sound: soundPreferences, push: pushPreferences } = user?.preferences?.notifications || {};
+
+    websocketService.notifyUserMessage(alert.userId, notification.message, 'price_alert', {
+      ...notification,
+      sound: Boolean(soundPreferences?.enabled && soundPreferences?.priceAlerts),
+      push: Boolean(pushPreferences?.enabled && pushPreferences?.priceMovements)
+    });
+  }
+
+  deliverWebhook(alert, notification) {
+    if (!alert.webhookUrl) {
+      throw new Error('Webhook URL is not configured');
+    }
+
+    return this.postJson(alert.webhookUrl, { event: 'price_alert', ...notification });
+  }
+
+  /**
+   * POST a JSON payload, resolving on a 2xx response
+   * Unless private webhooks are allowed, the target must resolve to public
+   * addresses only. Redirects are not followed, so a public host cannot
+   * bounce the request to a private one.
+   * @param {string} url - Target URL
+   * @param {Object} payload - Request body
+   * @returns {Promise<number>} Response status code
+   */
+  postJson(url, payload) {
+    return new Promise((resolve, reject) => {
+      const body = JSON.stringify(payload);
+      const client = url.startsWith('https:') ? https : http;
+      const allowPrivate = config.alerts.allowPrivateWebhooks;
+
+      // IP literals skip the lookup, so they are checked here
+      const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+      if (!allowPrivate && net.isIP(hostname) && !isPublicAddress(hostname)) {
+        reject(new Error(`Webhook address ${hostname} is not public`));
+        return;
+      }
+
+      const request = client.request(
+        url,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'Wire-Trader-Alerts'
+          },
+          timeout: this.webhookTimeout,
+          lookup: allowPrivate ? undefined : publicLookup
+        },
+        response => {
+          response.resume();
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve(response.statusCode);
+          } else {
+            reject(new Error(`Webhook responded with status ${response.statusCode}`));
+          }
+        }
+      );
+
+      request.on('timeout', () => request.destroy(new Error('Webhook request timed out')));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      activeAlerts: this.alerts.size,
+      watchedSymbols: this.watchedSymbols.size,
+      channels: Array.from(this.channels.keys())
+    };
+  }
+}
+
+const priceAlertService = new PriceAlertService();
+
+module.exports = priceAlertService;
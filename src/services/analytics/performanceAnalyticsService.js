@@ -2,6 +2,7 @@ const TradingPosition = require('../../models/TradingPosition');
 const Order = require('../../models/Order');
 const PaperTradingAccount = require('../../models/PaperTradingAccount');
 const marketDataService = require('../market/marketDataService');
+const riskAnalyticsService = require('./riskAnalyticsService');
 const logger = require('../../utils/logger');
 
 /**
@@ -249,51 +250,7 @@ class PerformanceAnalyticsService {
         exitDate: { $gte: startDate }
       });
 
-      if (closedPositions.length === 0) {
-        return this.getEmptyTradingStats();
-      }
-
-      // Calculate statistics
-      const wins = closedPositions.filter(p => p.netPnL > 0);
-      const losses = closedPositions.filter(p => p.netPnL < 0);
-      
-      const winRate = (wins.length / closedPositions.length) * 100;
-      const averageWin = wins.length > 0 
-        ? wins.reduce((sum, p) => sum + p.netPnL, 0) / wins.length 
-        : 0;
-      const averageLoss = losses.length > 0 
-        ? Math.abs(losses.reduce((sum, p) => sum + p.netPnL, 0) / losses.length)
-        : 0;
-      
-      const profitFactor = averageLoss > 0 ? (averageWin * wins.length) / (averageLoss * losses.length) : 0;
-      
-      const holdingPeriods = closedPositions.map(p => {
-        const duration = p.exitDate - p.entryDate;
-        return duration / (1000 * 60 * 60 * 24); // Convert to days
-      });
-      
-      const averageHoldingPeriod = holdingPeriods.reduce((sum, period) => sum + period, 0) / holdingPeriods.length;
-      
-      // Calculate consecutive wins/losses
-      const { maxConsecutiveWins, maxConsecutiveLosses } = this.calculateConsecutiveWinLoss(closedPositions);
-
-      return {
-        totalTrades: closedPositions.length,
-        winningTrades: wins.length,
-        losingTrades: losses.length,
-        winRate,
-        lossRate: 100 - winRate,
-        averageWin,
-        averageLoss,
-        profitFactor,
-        averageHoldingPeriod,
-        maxConsecutiveWins,
-        maxConsecutiveLosses,
-        largestWin: wins.length > 0 ? Math.max(...wins.map(p => p.netPnL)) : 0,
-        largestLoss: losses.length > 0 ? Math.min(...losses.map(p => p.netPnL)) : 0,
-        totalVolume: closedPositions.reduce((sum, p) => sum + p.entryValue, 0),
-        averageTradeSize: closedPositions.reduce((sum, p) => sum + p.entryValue, 0) / closedPositions.length
-      };
+      return this.calculateTradingStatistics(closedPositions);
 
     } catch (error) {
       logger.error('Error calculating trading statistics:', error);
@@ -325,10 +282,11 @@ class PerformanceAnalyticsService {
       // Calculate historical drawdown
       const historicalDrawdown = this.calculateMaxDrawdown(closedPositions);
       
-      // Calculate Value at Risk (simplified)
-      const dailyReturns = closedPositions.map(p => p.pnlPercentage);
-      const var95 = this.calculateVaR(dailyReturns, 0.95);
-      const var99 = this.calculateVaR(dailyReturns, 0.99);
+      // Value at Risk, beta and correlation from the open positions' price history
+      const portfolioRisk = await riskAnalyticsService.getPortfolioRisk(
+        riskAnalyticsService.getPositionExposures(openPositions)
+      );
+      const historicalVaR = portfolioRisk.valueAtRisk ? portfolioRisk.valueAtRisk.historical : {};
 
       return {
         totalExposure,
@@ -339,10 +297,17 @@ class PerformanceAnalyticsService {
         concentrationRisk: maxSinglePositionSize / Math.max(totalExposure, 1),
         historicalDrawdown,
         currentDrawdown: Math.min(0, totalUnrealizedPnL),
+        volatility: portfolioRisk.volatility,
         valueAtRisk: {
-          var95,
-          var99
-        }
+          var95: historicalVaR.var95 || 0,
+          var99: historicalVaR.var99 || 0,
+          ...portfolioRisk.valueAtRisk
+        },
+        beta: portfolioRisk.beta,
+        benchmark: portfolioRisk.benchmark,
+        correlation: portfolioRisk.correlation,
+        observations: portfolioRisk.observations,
+        timeframe: portfolioRisk.timeframe
       };
 
     } catch (error) {
@@ -559,6 +524,58 @@ class PerformanceAnalyticsService {
     };
   }
 
+  /**
+   * Calculate trade statistics for a set of closed positions
+   * @param {Array} closedPositions - Closed trading positions
+   * @returns {Object} Trading statistics
+   */
+  calculateTradingStatistics(closedPositions) {
+    if (closedPositions.length === 0) {
+      return this.getEmptyTradingStats();
+    }
+
+    const wins = closedPositions.filter(p => p.netPnL > 0);
+    const losses = closedPositions.filter(p => p.netPnL < 0);
+  
+    const winRate = (wins.length / closedPositions.length) * 100;
+    const averageWin = wins.length > 0 
+      ? wins.reduce((sum, p) => sum + p.netPnL, 0) / wins.length 
+      : 0;
+    const averageLoss = losses.length > 0 
+      ? Math.abs(losses.reduce((sum, p) => sum + p.netPnL, 0) / losses.length)
+      : 0;
+  
+    const profitFactor = averageLoss > 0 ? (averageWin * wins.length) / (averageLoss * losses.length) : 0;
+  
+    const holdingPeriods = closedPositions.map(p => {
+      const duration = p.exitDate - p.entryDate;
+      return duration / (1000 * 60 * 60 * 24); // Convert to days
+    });
+  
+    const averageHoldingPeriod = holdingPeriods.reduce((sum, period) => sum + period, 0) / holdingPeriods.length;
+  
+    // Calculate consecutive wins/losses
+    const { maxConsecutiveWins, maxConsecutiveLosses } = this.calculateConsecutiveWinLoss(closedPositions);
+
+    return {
+      totalTrades: closedPositions.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate,
+      lossRate: 100 - winRate,
+      averageWin,
+      averageLoss,
+      profitFactor,
+      averageHoldingPeriod,
+      maxConsecutiveWins,
+      maxConsecutiveLosses,
+      largestWin: wins.length > 0 ? Math.max(...wins.map(p => p.netPnL)) : 0,
+      largestLoss: losses.length > 0 ? Math.min(...losses.map(p => p.netPnL)) : 0,
+      totalVolume: closedPositions.reduce((sum, p) => sum + p.entryValue, 0),
+      averageTradeSize: closedPositions.reduce((sum, p) => sum + p.entryValue, 0) / closedPositions.length
+    };
+  }
+
   calculateConsecutiveWinLoss(positions) {
     let maxConsecutiveWins = 0;
     let maxConsecutiveLosses = 0;
@@ -620,14 +637,6 @@ class PerformanceAnalyticsService {
     
     return volatility > 0 ? (averageReturn - riskFreeRate) / volatility : 0;
   }
-
-  calculateVaR(returns, confidence) {
-    if (returns.length === 0) return 0;
-    
-    const sortedReturns = returns.sort((a, b) => a - b);
-    const index = Math.floor((1 - confidence) * sortedReturns.length);
-    return sortedReturns[index] || 0;
-  }
 }
 
 // Export singleton instance
@@ -0,0 +1,346 @@
+const marketDataService = require('../market/marketDataService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Assets held as cash: zero return, no market data needed
+const CASH_ASSETS = ['USD', 'USDT', 'USDC', 'BUSD', 'DAI', 'TUSD', 'USDP'];
+
+// Fewer overlapping returns than this give no meaningful statistics
+const MIN_OBSERVATIONS = 10;
+
+const CONFIDENCE_LEVELS = [0.95, 0.99];
+
+// One-sided standard normal quantiles
+const Z_SCORES = { 0.95: 1.6448536, 0.99: 2.3263479 };
+
+/**
+ * Risk Analytics Service
+ * Computes rolling returns from exchange candles and derives correlation,
+ * Value at Risk / Conditional VaR and beta against a benchmark from them
+ */
+class RiskAnalyticsService {
+  constructor() {
+    this.returnsCache = new Map();
+  }
+
+  /**
+   * Get simple returns for a symbol, cached per exchange, symbol and timeframe
+   * @param {string} symbol - Trading pair
+   * @param {Object} options - Optional exchange, timeframe and lookback overrides
+   * @returns {Promise<Array>} Returns as { timestamp, value }, oldest first
+   */
+  async getReturns(symbol, options = {}) {
+    const { exchange, timeframe, lookback, cacheTtl } = { ...config.riskAnalytics, ...options };
+    const cacheKey = `${exchange}:${symbol}:${timeframe}:${lookback}`;
+    const cached = this.returnsCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < cacheTtl) {
+      return cached.data;
+    }
+
+    // One extra candle yields lookback returns
+    const { candles } = await marketDataService.getCandles(
+      exchange,
+      symbol,
+      timeframe,
+      lookback + 1
+    );
+    const returns = [];
+    for (let i = 1; i < candles.length; i++) {
+      const previous = candles[i - 1].close;
+      if (previous > 0) {
+        returns.push({ timestamp: candles[i].timestamp, value: candles[i].close / previous - 1 });
+      }
+    }
+
+    this.returnsCache.set(cacheKey, { data: returns, timestamp: Date.now() });
+    return returns;
+  }
+
+  /**
+   * Drop cached return series
+   */
+  clearCache() {
+    this.returnsCache.clear();
+  }
+
+  /**
+   * Whether an asset is held as cash
+   * @param {string} asset - Asset symbol
+   * @returns {boolean} True for fiat and stablecoins
+   */
+  isCash(asset) {
+    return CASH_ASSETS.includes(asset);
+  }
+
+  /**
+   * Pair used to price an asset's returns
+   * @param {string} asset - Asset symbol
+   * @returns {string} Trading pair
+   */
+  getAssetSymbol(asset) {
+    return `${asset}/${config.riskAnalytics.quote}`;
+  }
+
+  /**
+   * Correlation of two assets' returns over the lookback window
+   * @param {string} assetA - Asset symbol
+   * @param {string} assetB - Asset symbol
+   * @returns {Promise<number|null>} Pearson correlation, or null without enough data
+   */
+  async calculateCorrelation(assetA, assetB) {
+    if (assetA === assetB) {
+      return 1;
+    }
+    if (this.isCash(assetA) || this.isCash(assetB)) {
+      return 0;
+    }
+
+    const [returnsA, returnsB] = await Promise.all([
+      this.getReturns(this.getAssetSymbol(assetA)),
+      this.getReturns(this.getAssetSymbol(assetB))
+    ]);
+    const [a, b] = this.alignReturns([returnsA, returnsB]).columns;
+
+    return this.correlation(a, b);
+  }
+
+  /**
+   * Correlation matrix of asset returns
+   * @param {Array<string>} assets - Asset symbols
+   * @returns {Promise<Object>} { assets, matrix, unavailable }
+   */
+  async getCorrelationMatrix(assets) {
+    const risky = [...new Set(assets)].filter(asset => !this.isCash(asset));
+    const { series, unavailable } = await this.loadReturns(risky);
+
+    return { ...this.buildCorrelationMatrix(series), unavailable };
+  }
+
+  /**
+   * Exposure per asset of open positions, marked to market; shorts are negative
+   * @param {Array} positions - Open trading positions
+   * @returns {Array} Exposures as { asset, value }
+   */
+  getPositionExposures(positions) {
+    const exposures = new Map();
+
+    for (const position of positions) {
+      const [asset] = position.symbol.split('/');
+      const value =
+        (position.entryValue + (position.unrealizedPnL || 0)) *
+        (position.side === 'short' ? -1 : 1);
+      exposures.set(asset, (exposures.get(asset) || 0) + value);
+    }
+
+    return Array.from(exposures, ([asset, value]) => ({ asset, value }));
+  }
+
+  /**
+   * Risk of a set of exposures from their historical returns
+   * @param {Array} exposures - Exposures as { asset, value } in the quote currency
+   * @returns {Promise<Object>} Volatility, VaR/CVaR, beta and correlation
+   */
+  async getPortfolioRisk(exposures) {
+    const { timeframe, lookback, benchmark } = config.riskAnalytics;
+    const grossValue = exposures.reduce((sum, exposure) => sum + Math.abs(exposure.value), 0);
+    const risky = exposures.filter(
+      exposure => exposure.value !== 0 && !this.isCash(exposure.asset)
+    );
+    const { series, unavailable } = await this.loadReturns(risky.map(exposure => exposure.asset));
+
+    const priced = risky.filter(exposure => series.has(exposure.asset));
+    const { timestamps, columns } = this.alignReturns(
+      priced.map(exposure => series.get(exposure.asset))
+    );
+
+    // Profit and loss the current exposures would have made on each past period
+    const pnl = timestamps.map((timestamp, t) =>
+      priced.reduce((sum, exposure, i) => sum + exposure.value * columns[i][t], 0)
+    );
+
+    const risk = {
+      value: grossValue,
+      timeframe,
+      lookback,
+      observations: pnl.length,
+      volatility: null,
+      valueAtRisk: null,
+      beta: null,
+      benchmark,
+      correlation: this.buildCorrelationMatrix(series),
+      unavailable
+    };
+
+    if (pnl.length < MIN_OBSERVATIONS || grossValue === 0) {
+      return risk;
+    }
+
+    risk.volatility = this.standardDeviation(pnl) / grossValue;
+    risk.valueAtRisk = {
+      historical: this.calculateVaR(pnl, 'historical'),
+      parametric: this.calculateVaR(pnl, 'parametric')
+    };
+
+    try {
+      const portfolioReturns = timestamps.map((timestamp, t) => ({
+        timestamp,
+        value: pnl[t] / grossValue
+      }));
+      risk.beta = this.calculateBeta(portfolioReturns, await this.getReturns(benchmark));
+    } catch (error) {
+      logger.warn(`Could not load benchmark ${benchmark} returns: ${error.message}`);
+    }
+
+    return risk;
+  }
+
+  /**
+   * Value at Risk and Conditional VaR (expected shortfall) of a P&L series,
+   * reported as positive losses
+   * @param {Array<number>} pnl - Profit and loss per period
+   * @param {string} method - 'historical' or 'parametric' (normal distribution)
+   * @returns {Object} { var95, cvar95, var99, cvar99 }
+   */
+  calculateVaR(pnl, method) {
+    const result = {};
+
+    for (const confidence of CONFIDENCE_LEVELS) {
+      const label = Math.round(confidence * 100);
+      let valueAtRisk;
+      let expectedShortfall;
+
+      if (method === 'historical') {
+        const sorted = [...pnl].sort((a, b) => a - b);
+        const tail = sorted.slice(0, Math.max(1, Math.floor((1 - confidence) * sorted.length)));
+        valueAtRisk = -tail[tail.length - 1];
+        expectedShortfall = -this.mean(tail);
+      } else {
+        const mean = this.mean(pnl);
+        const deviation = this.standardDeviation(pnl);
+        const z = Z_SCORES[confidence];
+        const density = Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI);
+        valueAtRisk = z * deviation - mean;
+        expectedShortfall = (deviation * density) / (1 - confidence) - mean;
+      }
+
+      result[`var${label}`] = Math.max(0, valueAtRisk);
+      result[`cvar${label}`] = Math.max(0, expectedShortfall);
+    }
+
+    return result;
+  }
+
+  /**
+   * Beta of a return series against a benchmark
+   * @param {Array} returns - Returns as { timestamp, value }
+   * @param {Array} benchmarkReturns - Benchmark returns as { timestamp, value }
+   * @returns {number|null} Beta, or null without enough data
+   */
+  calculateBeta(returns, benchmarkReturns) {
+    const [portfolio, benchmark] = this.alignReturns([returns, benchmarkReturns]).columns;
+    if (portfolio.length < MIN_OBSERVATIONS) {
+      return null;
+    }
+
+    const benchmarkVariance = this.covariance(benchmark, benchmark);
+    return benchmarkVariance > 0 ? this.covariance(portfolio, benchmark) / benchmarkVariance : null;
+  }
+
+  /**
+   * Load return series for assets, leaving out those without market data
+   * @param {Array<string>} assets - Asset symbols
+   * @returns {Promise<Object>} { series: Map of asset to returns, unavailable }
+   */
+  async loadReturns(assets) {
+    const series = new Map();
+    const unavailable = [];
+
+    for (const asset of assets) {
+      try {
+        series.set(asset, await this.getReturns(this.getAssetSymbol(asset)));
+      } catch (error) {
+        logger.warn(`No return history for ${asset}: ${error.message}`);
+        unavailable.push(asset);
+      }
+    }
+
+    return { series, unavailable };
+  }
+
+  /**
+   * Pairwise correlation matrix; each pair uses the periods both assets have
+   * @param {Map} series - Asset to returns
+   * @returns {Object} { assets, matrix }
+   */
+  buildCorrelationMatrix(series) {
+    const assets = Array.from(series.keys());
+    const matrix = assets.map((assetA, i) =>
+      assets.map((assetB, j) => {
+        if (i === j) {
+          return 1;
+        }
+        const [a, b] = this.alignReturns([series.get(assetA), series.get(assetB)]).columns;
+        return this.correlation(a, b);
+      })
+    );
+
+    return { assets, matrix };
+  }
+
+  /**
+   * Keep the periods present in every series
+   * @param {Array<Array>} seriesList - Return series as { timestamp, value }
+   * @returns {Object} { timestamps, columns } with one column of values per series
+   */
+  alignReturns(seriesList) {
+    if (seriesList.length === 0) {
+      return { timestamps: [], columns: [] };
+    }
+
+    const lookups = seriesList.map(
+      series => new Map(series.map(point => [point.timestamp, point.value]))
+    );
+    const timestamps = seriesList[0]
+      .map(point => point.timestamp)
+      .filter(timestamp => lookups.every(lookup => lookup.has(timestamp)));
+
+    return {
+      timestamps,
+      columns: lookups.map(lookup => timestamps.map(timestamp => lookup.get(timestamp)))
+    };
+  }
+
+  /**
+   * Pearson correlation
+   * @param {Array<number>} a - Values
+   * @param {Array<number>} b - Values of the same length
+   * @returns {number|null} Correlation, or null without enough data or variance
+   */
+  correlation(a, b) {
+    if (a.length < MIN_OBSERVATIONS) {
+      return null;
+    }
+
+    const deviation = Math.sqrt(this.covariance(a, a) * this.covariance(b, b));
+    return deviation > 0 ? this.covariance(a, b) / deviation : null;
+  }
+
+  mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  covariance(a, b) {
+    const meanA = this.mean(a);
+    const meanB = this.mean(b);
+    const sum = a.reduce((total, value, i) => total + (value - meanA) * (b[i] - meanB), 0);
+    return sum / (a.length - 1);
+  }
+
+  standardDeviation(values) {
+    return Math.sqrt(this.covariance(values, values));
+  }
+}
+
+// Export singleton instance
+module.exports = new RiskAnalyticsService();
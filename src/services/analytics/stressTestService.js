@@ -0,0 +1,276 @@
+const portfolioService = require('../portfolio/portfolioService');
+const riskAnalyticsService = require('./riskAnalyticsService');
+const riskManagementService = require('../trading/riskManagementService');
+const config = require('../../config');
+
+// Fewer overlapping returns than this are too few to resample from
+const MIN_OBSERVATIONS = 10;
+
+const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+
+const HISTOGRAM_BINS = 20;
+
+// Cash no crypto or stablecoin shock should move
+const FIAT_CURRENCIES = ['USD', 'EUR', 'GBP'];
+
+/**
+ * Stress Test Service
+ * Applies what-if shocks to the current portfolio holdings and simulates
+ * loss distributions by resampling historical returns
+ */
+class StressTestService {
+  /**
+   * Apply price and exchange shocks to the current holdings.
+   * A holding takes its asset shock, or failing that its asset class shock;
+   * an exchange shock (e.g. -100 for insolvency) compounds on top of it.
+   * @param {string} userId - User ID
+   * @param {Array} shocks - Shocks as { type: 'asset'|'class'|'exchange', target, change } in percent
+   * @returns {Promise<Object>} Totals and P&L per holding and per exchange
+   */
+  async runScenario(userId, shocks) {
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+    const positions = this.getPositions(portfolio);
+
+    const lookup = type =>
+      new Map(
+        shocks.filter(shock => shock.type === type).map(shock => [shock.target, shock.change])
+      );
+    const assetShocks = lookup('asset');
+    const classShocks = lookup('class');
+    const exchangeShocks = lookup('exchange');
+
+    const holdings = new Map();
+    const exchanges = new Map();
+
+    for (const position of positions) {
+      const priceShock = assetShocks.has(position.asset)
+        ? assetShocks.get(position.asset)
+        : classShocks.get(position.assetClass) || 0;
+      const exchangeShock = exchangeShocks.get(position.exchange) || 0;
+      const stressedValue = position.value * (1 + priceShock / 100) * (1 + exchangeShock / 100);
+
+      const holding = holdings.get(position.asset) || {
+        asset: position.asset,
+        assetClass: position.assetClass,
+        amount: 0,
+        price: position.price,
+        priceShock,
+        value: 0,
+        stressedValue: 0,
+        exchanges: []
+      };
+      holding.amount += position.amount;
+      holding.value += position.value;
+      holding.stressedValue += stressedValue;
+      holding.exchanges.push({
+        exchange: position.exchange,
+        amount: position.amount,
+        value: position.value,
+        stressedValue,
+        pnl: stressedValue - position.value
+      });
+      holdings.set(position.asset, holding);
+
+      const exchange = exchanges.get(position.exchange) || {
+        exchange: position.exchange,
+        exchangeShock,
+        value: 0,
+        stressedValue: 0
+      };
+      exchange.value += position.value;
+      exchange.stressedValue += stressedValue;
+      exchanges.set(position.exchange, exchange);
+    }
+
+    const withPnL = item => ({
+      ...item,
+      pnl: item.stressedValue - item.value,
+      pnlPercentage: item.value > 0 ? ((item.stressedValue - item.value) / item.value) * 100 : 0
+    });
+    const byLoss = (a, b) => a.pnl - b.pnl;
+
+    const value = positions.reduce((sum, position) => sum + position.value, 0);
+    const stressedValue = Array.from(holdings.values()).reduce(
+      (sum, holding) => sum + holding.stressedValue,
+      0
+    );
+
+    return {
+      mode: 'scenario',
+      baseCurrency: portfolio.baseCurrency,
+      shocks,
+      value,
+      stressedValue,
+      pnl: stressedValue - value,
+      pnlPercentage: value > 0 ? ((stressedValue - value) / value) * 100 : 0,
+      holdings: Array.from(holdings.values()).map(withPnL).sort(byLoss),
+      exchanges: Array.from(exchanges.values()).map(withPnL).sort(byLoss),
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Simulate portfolio P&L by bootstrapping historical returns. Each period of
+   * a path draws one past period for all assets at once, which keeps their
+   * correlation.
+   * @param {string} userId - User ID
+   * @param {Object} options - paths, horizon in periods of the risk timeframe, and seed
+   * @returns {Promise<Object>} Loss distribution
+   */
+  async runMonteCarlo(userId, options = {}) {
+    const { paths = 1000, horizon = 1, seed } = options;
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+
+    const exposures = new Map();
+    for (const position of this.getPositions(portfolio)) {
+      exposures.set(position.asset, (exposures.get(position.asset) || 0) + position.value);
+    }
+    const value = Array.from(exposures.values()).reduce((sum, exposure) => sum + exposure, 0);
+
+    const risky = Array.from(exposures.keys()).filter(asset => !riskAnalyticsService.isCash(asset));
+    const { series, unavailable } = await riskAnalyticsService.loadReturns(risky);
+    const assets = risky.filter(asset => series.has(asset));
+    const { columns } = riskAnalyticsService.alignReturns(assets.map(asset => series.get(asset)));
+    const observations = columns.length > 0 ? columns[0].length : 0;
+
+    if (assets.length > 0 && observations < MIN_OBSERVATIONS) {
+      throw new Error(
+        `Not enough return history for a Monte Carlo simulation (${observations} periods)`
+      );
+    }
+
+    const random = this.createRandom(seed);
+    const pnl = [];
+    for (let path = 0; path < paths; path++) {
+      const growth = assets.map(() => 1);
+      for (let period = 0; period < horizon && observations > 0; period++) {
+        const draw = Math.floor(random() * observations);
+        assets.forEach((asset, i) => {
+          growth[i] *= 1 + columns[i][draw];
+        });
+      }
+      pnl.push(assets.reduce((sum, asset, i) => sum + exposures.get(asset) * (growth[i] - 1), 0));
+    }
+
+    const sorted = [...pnl].sort((a, b) => a - b);
+    const percentile = p =>
+      sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+
+    return {
+      mode: 'monte_carlo',
+      baseCurrency: portfolio.baseCurrency,
+      value,
+      paths,
+      horizon,
+      timeframe: config.riskAnalytics.timeframe,
+      observations,
+      assets,
+      unavailable,
+      expectedPnL: riskAnalyticsService.mean(pnl),
+      worst: sorted[0],
+      best: sorted[sorted.length - 1],
+      probabilityOfLoss: pnl.filter(item => item < 0).length / paths,
+      valueAtRisk: riskAnalyticsService.calculateVaR(pnl, 'historical'),
+      percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(p)])),
+      histogram: this.buildHistogram(sorted),
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Split holdings into positions per asset and exchange, valued in the base currency
+   * @param {Object} portfolio - Portfolio document
+   * @returns {Array} Positions as { asset, assetClass, exchange, amount, price, value }
+   */
+  getPositions(portfolio) {
+    const positions = [];
+
+    for (const [asset, holding] of portfolio.holdings) {
+      if (holding.totalAmount <= 0) {
+        continue;
+      }
+
+      const assetClass = this.getAssetClass(asset);
+      for (const [exchange, balance] of holding.exchanges) {
+        if (balance.amount > 0) {
+          positions.push({
+            asset,
+            assetClass,
+            exchange,
+            amount: balance.amount,
+            price: holding.currentPrice,
+            value: balance.amount * holding.currentPrice
+          });
+        }
+      }
+    }
+
+    if (positions.length === 0) {
+      throw new Error('Portfolio has no holdings to stress test');
+    }
+
+    return positions;
+  }
+
+  /**
+   * Asset class a class shock targets, from the asset alone: the portfolio's
+   * base currency is classified like any other holding. Uses the risk
+   * manager's classes, plus fiat for cash currencies.
+   * @param {string} asset - Asset symbol
+   * @returns {string} 'crypto', 'stablecoin', 'defi' or 'fiat'
+   */
+  getAssetClass(asset) {
+    if (FIAT_CURRENCIES.includes(asset)) {
+      return 'fiat';
+    }
+
+    return riskManagementService.getAssetClass(asset);
+  }
+
+  /**
+   * Equal-width histogram of simulated P&L
+   * @param {Array<number>} sorted - P&L, ascending
+   * @returns {Array} Bins as { from, to, count }
+   */
+  buildHistogram(sorted) {
+    const min = sorted[0];
+    const width = (sorted[sorted.length - 1] - min) / HISTOGRAM_BINS;
+    if (width === 0) {
+      return [{ from: min, to: min, count: sorted.length }];
+    }
+
+    const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+      from: min + i * width,
+      to: min + (i + 1) * width,
+      count: 0
+    }));
+    for (const item of sorted) {
+      bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((item - min) / width))].count++;
+    }
+
+    return bins;
+  }
+
+  /**
+   * Uniform random number generator, reproducible when seeded (mulberry32)
+   * @param {number} seed - Optional seed
+   * @returns {Function} Generator of numbers in [0, 1)
+   */
+  createRandom(seed) {
+    if (seed === undefined) {
+      return Math.random;
+    }
+
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new StressTestService();
@@ -0,0 +1,609 @@
+const BacktestRun = require('../../models/BacktestRun');
+const Order = require('../../models/Order');
+const TradingPosition = require('../../models/TradingPosition');
+const marketDataService = require('../market/marketDataService');
+const paperTradingService = require('../trading/paperTradingService');
+const performanceAnalyticsService = require('../analytics/performanceAnalyticsService');
+const indicators = require('../../utils/indicators');
+const { createStrategy } = require('./strategies');
+const logger = require('../../utils/logger');
+
+/**
+ * Backtesting Service
+ * Replays historical candles bar by bar through a strategy and fills the
+ * resulting orders with the paper trading rules (trigger conditions,
+ * slippage and fees). Simulated orders and positions are stored with the
+ * run id so results can be inspected like regular trading history.
+ */
+class BacktestingService {
+  constructor() {
+    this.maxCandles = 1000;
+    this.maxLogEntries = 500;
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Create a backtest run and start it in the background
+   * @param {string} userId - User ID
+   * @param {Object} config - Backtest configuration
+   * @param {Object} strategy - Optional strategy instance (defaults to the built-in named in config)
+   * @returns {Promise<Object>} Created backtest run
+   */
+  async createBacktest(userId, config, strategy = null) {
+    try {
+      const { name, exchangeName, symbol, timeframe, candleLimit, initialBalance } = config;
+
+      // Fail fast on unknown strategies before anything is stored
+      const activeStrategy = strategy || createStrategy(config.strategy.name, config.strategy.params);
+
+      const run = await BacktestRun.create({
+        userId,
+        name,
+        config: {
+          exchangeName,
+          symbol,
+          timeframe,
+          candleLimit: Math.min(candleLimit || 500, this.maxCandles),
+          initialBalance,
+          strategy: config.strategy
+        }
+      });
+
+      this.activeRuns.set(run._id.toString(), run);
+
+      // Runs can take a while, so they are not awaited by the caller
+      this.executeBacktest(run, activeStrategy).catch(error => {
+        logger.error(`Backtest ${run._id} failed unexpectedly:`, error);
+      });
+
+      logger.info(`Backtest ${run._id} created for user ${userId}`, {
+        symbol,
+        exchangeName,
+        timeframe,
+        strategy: config.strategy.name
+      });
+
+      return run;
+    } catch (error) {
+      logger.error('Error creating backtest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a backtest run: fetch candles, simulate and persist results
+   * @param {Object} run - BacktestRun document
+   * @param {Object} strategy - Strategy instance
+   * @returns {Promise<Object>} Updated backtest run
+   */
+  async executeBacktest(run, strategy) {
+    const runId = run._id.toString();
+
+    try {
+      run.status = 'running';
+      run.startedAt = new Date();
+      await run.save();
+
+      const { exchangeName, symbol, timeframe, candleLimit } = run.config;
+      const { candles } = await marketDataService.getCandles(exchangeName, symbol, timeframe, candleLimit);
+
+      if (!candles || candles.length < 2) {
+        throw new Error('Not enough historical data to run backtest');
+      }
+
+      const simulation = await this.simulate(run, candles, strategy);
+
+      await Order.insertMany(simulation.orders);
+      await TradingPosition.insertMany(simulation.positions);
+
+      run.period = {
+        start: new Date(candles[0].timestamp),
+        end: new Date(candles[candles.length - 1].timestamp),
+        candles: candles.length
+      };
+      run.results = this.calculateResults(run, simulation, candles);
+      run.logs = simulation.logs.slice(-this.maxLogEntries);
+      run.status = 'completed';
+      run.completedAt = new Date();
+      await run.save();
+
+      logger.info(`Backtest ${runId} completed`, {
+        totalReturnPercentage: run.results.totalReturnPercentage,
+        orders: simulation.orders.length
+      });
+    } catch (error) {
+      logger.error(`Backtest ${runId} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+      run.completedAt = new Date();
+      await run.save();
+    } finally {
+      this.activeRuns.delete(runId);
+    }
+
+    return run;
+  }
+
+  /**
+   * Replay candles through a strategy
+   * Orders submitted on a bar are evaluated from the next bar onwards, so a
+   * strategy never trades on data it could not have seen.
+   * @param {Object} run - BacktestRun document
+   * @param {Array} candles - Historical candles (oldest first)
+   * @param {Object} strategy - Strategy instance
+   * @returns {Promise<Object>} Simulation state
+   */
+  async simulate(run, candles, strategy) {
+    const state = {
+      run,
+      balances: { base: 0, quote: run.config.initialBalance },
+      reserved: { base: 0, quote: 0 },
+      reservations: new Map(),
+      openOrders: [],
+      orders: [],
+      positions: [],
+      currentPosition: null,
+      equityCurve: [],
+      logs: []
+    };
+
+    for (let i = 0; i < candles.length; i++) {
+      const candle = candles[i];
+
+      this.processOpenOrders(state, candle);
+
+      state.equityCurve.push({
+        timestamp: new Date(candle.timestamp),
+        equity: state.balances.quote + state.balances.base * candle.close
+      });
+
+      if (typeof strategy.onCandle === 'function') {
+        const context = this.createContext(state, candles.slice(0, i + 1), candle);
+        await strategy.onCandle(candle, context);
+      }
+    }
+
+    const lastCandle = candles[candles.length - 1];
+
+    // Anything still resting when the data runs out never filled
+    for (const order of state.openOrders) {
+      order.status = 'expired';
+      order.timestamps.closed = new Date(lastCandle.timestamp);
+    }
+    state.openOrders = [];
+
+    if (state.currentPosition) {
+      state.currentPosition.updateUnrealizedPnL(lastCandle.close);
+    }
+
+    return state;
+  }
+
+  /**
+   * Build the context object handed to strategy hooks
+   * @param {Object} state - Simulation state
+   * @param {Array} history - Candles up to and including the current bar
+   * @param {Object} candle - Current candle
+   * @returns {Object} Strategy context
+   */
+  createContext(state, history, candle) {
+    return {
+      candles: history,
+      indicators,
+      balance: {
+        base: state.balances.base,
+        quote: state.balances.quote,
+        availableBase: state.balances.base - state.reserved.base,
+        availableQuote: state.balances.quote - state.reserved.quote
+      },
+      position: {
+        amount: state.balances.base,
+        entryPrice: state.currentPosition ? state.currentPosition.entryPrice : null
+      },
+      openOrders: state.openOrders.map(order => ({
+        id: order._id.toString(),
+        side: order.side,
+        type: order.type,
+        amount: order.amount,
+        price: order.price,
+        stopPrice: order.stopPrice
+      })),
+      placeOrder: orderData => this.submitOrder(state, orderData, candle),
+      cancelOrder: orderId => this.cancelOrder(state, orderId, candle),
+      cancelAllOrders: () => {
+        state.openOrders.slice().forEach(order => this.cancelOrder(state, order._id.toString(), candle));
+      },
+      log: message => {
+        state.logs.push({ timestamp: new Date(candle.timestamp), message: String(message) });
+      }
+    };
+  }
+
+  /**
+   * Submit a simulated order
+   * @param {Object} state - Simulation state
+   * @param {Object} orderData - Order parameters
+   * @param {Object} candle - Candle the order is submitted on
+   * @returns {string} Order ID
+   */
+  submitOrder(state, orderData, candle) {
+    const { side, type = 'market', amount, price, stopPrice } = orderData;
+    paperTradingService.validateOrderParameters({ ...orderData, symbol: state.run.config.symbol, type });
+
+    const { run } = state;
+    const submittedAt = new Date(candle.timestamp);
+    const sequence = state.orders.length + 1;
+
+    const order = new Order({
+      userId: run.userId,
+      exchangeName: 'backtest',
+      symbol: run.config.symbol,
+      side,
+      type,
+      amount,
+      price,
+      stopPrice,
+      status: 'open',
+      remaining: amount,
+      clientOrderId: `BT_${run._id}_${sequence}`,
+      exchangeOrderId: `BT_${sequence}`,
+      backtestRunId: run._id,
+      metadata: { strategy: run.config.strategy.name },
+      timestamps: { created: submittedAt, submitted: submittedAt }
+    });
+
+    state.orders.push(order);
+
+    // Reserve funds the same way paper trading locks balances
+    const reserveAsset = side === 'buy' ? 'quote' : 'base';
+    const reserveAmount = side === 'buy' ? amount * (price || stopPrice || candle.close) : amount;
+    const available = state.balances[reserveAsset] - state.reserved[reserveAsset];
+
+    if (reserveAmount > available + 1e-12) {
+      this.rejectOrder(order, 'Insufficient balance', submittedAt);
+      return order._id.toString();
+    }
+
+    state.reserved[reserveAsset] += reserveAmount;
+    state.reservations.set(order._id.toString(), reserveAmount);
+    state.openOrders.push(order);
+
+    return order._id.toString();
+  }
+
+  /**
+   * Cancel a simulated open order
+   * @param {Object} state - Simulation state
+   * @param {string} orderId - Order ID
+   * @param {Object} candle - Current candle
+   * @returns {boolean} True if the order was cancelled
+   */
+  cancelOrder(state, orderId, candle) {
+    const index = state.openOrders.findIndex(order => order._id.toString() === orderId);
+
+    if (index === -1) {
+      return false;
+    }
+
+    const [order] = state.openOrders.splice(index, 1);
+    this.releaseReservation(state, order);
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date(candle.timestamp);
+    order.timestamps.canceled = order.cancelledAt;
+    order.timestamps.closed = order.cancelledAt;
+
+    return true;
+  }
+
+  /**
+   * Evaluate open orders against a candle
+   * Market orders fill at the bar open. Resting orders trigger if any price
+   * inside the bar satisfies the paper trading trigger rules.
+   * @param {Object} state - Simulation state
+   * @param {Object} candle - Candle to evaluate
+   */
+  processOpenOrders(state, candle) {
+    for (const order of state.openOrders.slice()) {
+      let executionPrice = null;
+
+      if (order.type === 'market') {
+        executionPrice = paperTradingService.applySlippage(candle.open, order.side);
+      } else {
+        const triggerPrice = [candle.low, candle.high]
+          .find(price => paperTradingService.shouldExecuteOrder(order, price));
+
+        if (triggerPrice !== undefined) {
+          if (order.type === 'stop') {
+            // Stops fill at the stop price, or at the open if the bar gapped through it
+            const marketPrice = order.side === 'buy'
+              ? Math.max(candle.open, order.stopPrice)
+              : Math.min(candle.open, order.stopPrice);
+            executionPrice = paperTradingService.applySlippage(
+              paperTradingService.getExecutionPrice(order, marketPrice),
+              order.side
+            );
+          } else {
+            executionPrice = paperTradingService.getExecutionPrice(order, triggerPrice);
+          }
+        }
+      }
+
+      if (executionPrice !== null) {
+        this.fillOrder(state, order, executionPrice, candle);
+      }
+    }
+  }
+
+  /**
+   * Fill a simulated order and update balances and positions
+   * @param {Object} state - Simulation state
+   * @param {Object} order - Order document
+   * @param {number} executionPrice - Fill price
+   * @param {Object} candle - Candle the fill happens on
+   */
+  fillOrder(state, order, executionPrice, candle) {
+    const executedAt = new Date(candle.timestamp);
+    const [, quoteAsset] = order.symbol.split('/');
+    const value = order.amount * executionPrice;
+    const fee = paperTradingService.calculateTradingFee(value);
+
+    state.openOrders.splice(state.openOrders.indexOf(order), 1);
+    this.releaseReservation(state, order);
+
+    if (order.side === 'buy') {
+      if (state.balances.quote + 1e-9 < value + fee) {
+        this.rejectOrder(order, 'Insufficient balance at execution', executedAt);
+        return;
+      }
+      state.balances.quote -= value + fee;
+      state.balances.base += order.amount;
+    } else {
+      if (state.balances.base + 1e-12 < order.amount) {
+        this.rejectOrder(order, 'Insufficient balance at execution', executedAt);
+        return;
+      }
+      state.balances.base = Math.max(state.balances.base - order.amount, 0);
+      state.balances.quote += value - fee;
+    }
+
+    const feeData = { currency: quoteAsset, cost: fee, rate: value > 0 ? fee / value : 0 };
+
+    order.status = 'filled';
+    order.filled = order.amount;
+    order.remaining = 0;
+    order.cost = value;
+    order.fee = feeData;
+    order.executedAt = executedAt;
+    order.timestamps.filled = executedAt;
+    order.timestamps.closed = executedAt;
+    order.trades = [{
+      id: `${order.exchangeOrderId}_1`,
+      timestamp: executedAt,
+      amount: order.amount,
+      price: executionPrice,
+      cost: value,
+      fee: feeData
+    }];
+
+    this.updatePosition(state, order, executedAt);
+  }
+
+  /**
+   * Track the long position built up by fills
+   * @param {Object} state - Simulation state
+   * @param {Object} order - Filled order
+   * @param {Date} executedAt - Simulated fill time
+   */
+  updatePosition(state, order, executedAt) {
+    const { run } = state;
+
+    if (order.side === 'buy') {
+      if (!state.currentPosition) {
+        state.currentPosition = new TradingPosition({
+          userId: run.userId,
+          symbol: run.config.symbol,
+          exchangeName: 'backtest',
+          side: 'long',
+          status: 'open',
+          size: 0,
+          entryPrice: order.averagePrice,
+          entryValue: 0,
+          entryDate: executedAt,
+          strategy: run.config.strategy.name,
+          backtestRunId: run._id
+        });
+        state.positions.push(state.currentPosition);
+      }
+      state.currentPosition.addEntryOrder(order);
+      return;
+    }
+
+    if (!state.currentPosition) {
+      return;
+    }
+
+    const position = state.currentPosition;
+    position.addExitOrder(order);
+
+    if (position.status === 'closed') {
+      // closePosition stamps wall-clock time, use the simulated time instead
+      position.exitDate = executedAt;
+      position.holdingPeriod = position.duration;
+      state.currentPosition = null;
+    }
+  }
+
+  /**
+   * Release funds reserved by an open order
+   * @param {Object} state - Simulation state
+   * @param {Object} order - Order document
+   */
+  releaseReservation(state, order) {
+    const orderId = order._id.toString();
+    const asset = order.side === 'buy' ? 'quote' : 'base';
+    const amount = state.reservations.get(orderId) || 0;
+
+    state.reserved[asset] = Math.max(state.reserved[asset] - amount, 0);
+    state.reservations.delete(orderId);
+  }
+
+  /**
+   * Mark a simulated order as rejected
+   * @param {Object} order - Order document
+   * @param {string} reason - Rejection reason
+   * @param {Date} timestamp - Simulated time
+   */
+  rejectOrder(order, reason, timestamp) {
+    order.status = 'rejected';
+    order.timestamps.closed = timestamp;
+    order.addError(reason, 'INSUFFICIENT_BALANCE', 'validation');
+  }
+
+  /**
+   * Calculate summary metrics for a finished simulation
+   * @param {Object} run - BacktestRun document
+   * @param {Object} simulation - Simulation state
+   * @param {Array} candles - Replayed candles
+   * @returns {Object} Backtest results
+   */
+  calculateResults(run, simulation, candles) {
+    const { initialBalance } = run.config;
+    const { equityCurve, orders, positions } = simulation;
+
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+    const totalReturn = finalEquity - initialBalance;
+
+    // Per-bar returns in percent
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+      const previous = equityCurve[i - 1].equity;
+      if (previous > 0) {
+        returns.push(((equityCurve[i].equity - previous) / previous) * 100);
+      }
+    }
+
+    const closedPositions = positions.filter(position => position.status === 'closed');
+    const tradingStats = performanceAnalyticsService.calculateTradingStatistics(closedPositions);
+    const filledOrders = orders.filter(order => order.status === 'filled');
+
+    const firstPrice = candles[0].open;
+    const lastPrice = candles[candles.length - 1].close;
+
+    return {
+      initialBalance,
+      finalEquity,
+      totalReturn,
+      totalReturnPercentage: initialBalance > 0 ? (totalReturn / initialBalance) * 100 : 0,
+      buyAndHoldReturnPercentage: firstPrice > 0 ? ((lastPrice - firstPrice) / firstPrice) * 100 : 0,
+      sharpeRatio: performanceAnalyticsService.calculateSharpeRatio(returns, 0),
+      volatility: performanceAnalyticsService.calculateVolatility(returns),
+      maxDrawdown: this.calculateMaxDrawdown(equityCurve),
+      winRate: tradingStats.winRate,
+      totalFees: filledOrders.reduce((sum, order) => sum + (order.fee?.cost || 0), 0),
+      totalOrders: orders.length,
+      filledOrders: filledOrders.length,
+      tradingStats,
+      equityCurve
+    };
+  }
+
+  /**
+   * Calculate the largest peak-to-trough fall of the equity curve, so
+   * drawdowns while positions are still open count too
+   * @param {Array} equityCurve - Equity per bar
+   * @returns {Object} Drawdown value and percentage of the peak
+   */
+  calculateMaxDrawdown(equityCurve) {
+    let peak = -Infinity;
+    let maxDrawdown = { value: 0, percentage: 0 };
+
+    for (const { equity } of equityCurve) {
+      peak = Math.max(peak, equity);
+      const drawdown = peak - equity;
+
+      if (drawdown > maxDrawdown.value) {
+        maxDrawdown = { value: drawdown, percentage: peak > 0 ? (drawdown / peak) * 100 : 0 };
+      }
+    }
+
+    return maxDrawdown;
+  }
+
+  /**
+   * Get a backtest run with its simulated orders and positions
+   * @param {string} userId - User ID
+   * @param {string} runId - Backtest run ID
+   * @returns {Promise<Object>} Backtest run, orders and positions
+   */
+  async getBacktest(userId, runId) {
+    try {
+      const run = await BacktestRun.findOne({ _id: runId, userId });
+
+      if (!run) {
+        throw new Error('Backtest not found');
+      }
+
+      const [orders, positions] = await Promise.all([
+        Order.find({ backtestRunId: run._id }).sort({ 'timestamps.created': 1 }),
+        TradingPosition.find({ backtestRunId: run._id }).sort({ entryDate: 1 })
+      ]);
+
+      return { backtest: run, orders, positions };
+    } catch (error) {
+      logger.error('Error fetching backtest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List backtest runs for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Backtest runs and pagination info
+   */
+  async listBacktests(userId, { limit = 20, offset = 0, status } = {}) {
+    try {
+      const query = { userId };
+      if (status) {
+        query.status = status;
+      }
+
+      const [backtests, total] = await Promise.all([
+        BacktestRun.find(query)
+          .select('-results.equityCurve')
+          .sort({ createdAt: -1 })
+          .skip(offset)
+          .limit(limit),
+        BacktestRun.countDocuments(query)
+      ]);
+
+      return {
+        backtests,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing backtests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Service statistics
+   */
+  getStats() {
+    return {
+      activeRuns: this.activeRuns.size,
+      maxCandles: this.maxCandles
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new BacktestingService();
@@ -0,0 +1,109 @@
+const indicators = require('../../utils/indicators');
+
+/**
+ * Built-in backtest strategies
+ * A strategy is an object exposing onCandle(candle, context). The context
+ * gives access to the candle history, simulated balances and order helpers
+ * (see BacktestingService.createContext).
+ */
+
+/**
+ * Moving average crossover: go long when the fast SMA crosses above the
+ * slow SMA, exit when it crosses back below
+ * @param {Object} params - Strategy parameters
+ * @returns {Object} Strategy instance
+ */
+const smaCrossover = ({ fastPeriod = 10, slowPeriod = 30, allocation = 0.95 } = {}) => ({
+  onCandle(candle, context) {
+    const closes = context.candles.map(c => c.close);
+    const previousCloses = closes.slice(0, -1);
+
+    const fast = indicators.sma(closes, fastPeriod);
+    const slow = indicators.sma(closes, slowPeriod);
+    const previousFast = indicators.sma(previousCloses, fastPeriod);
+    const previousSlow = indicators.sma(previousCloses, slowPeriod);
+
+    if ([fast, slow, previousFast, previousSlow].includes(null)) {
+      return;
+    }
+
+    if (previousFast <= previousSlow && fast > slow && context.position.amount === 0) {
+      const amount = (context.balance.quote * allocation) / candle.close;
+      context.placeOrder({ side: 'buy', type: 'market', amount });
+    } else if (previousFast >= previousSlow && fast < slow && context.position.amount > 0) {
+      context.placeOrder({ side: 'sell', type: 'market', amount: context.position.amount });
+    }
+  }
+});
+
+/**
+ * RSI mean reversion: buy when RSI drops below the oversold level,
+ * sell when it rises above the overbought level
+ * @param {Object} params - Strategy parameters
+ * @returns {Object} Strategy instance
+ */
+const rsiReversion = ({ period = 14, oversold = 30, overbought = 70, allocation = 0.95 } = {}) => ({
+  onCandle(candle, context) {
+    const value = indicators.rsi(context.candles.map(c => c.close), period);
+
+    if (value === null) {
+      return;
+    }
+
+    if (value < oversold && context.position.amount === 0) {
+      const amount = (context.balance.quote * allocation) / candle.close;
+      context.placeOrder({ side: 'buy', type: 'market', amount });
+    } else if (value > overbought && context.position.amount > 0) {
+      context.placeOrder({ side: 'sell', type: 'market', amount: context.position.amount });
+    }
+  }
+});
+
+/**
+ * Scheduled orders: submit a fixed list of orders once the replay reaches
+ * their timestamp. Useful for checking how specific order types would
+ * have filled.
+ * @param {Object} params - Strategy parameters
+ * @returns {Object} Strategy instance
+ */
+const scheduledOrders = ({ orders = [] } = {}) => {
+  const pending = orders
+    .map(order => ({ ...order, at: new Date(order.at).getTime() }))
+    .sort((a, b) => a.at - b.at);
+
+  return {
+    onCandle(candle, context) {
+      while (pending.length > 0 && pending[0].at <= candle.timestamp) {
+        const { at: _at, ...orderData } = pending.shift();
+        context.placeOrder(orderData);
+      }
+    }
+  };
+};
+
+const BUILT_IN_STRATEGIES = {
+  sma_crossover: smaCrossover,
+  rsi_reversion: rsiReversion,
+  scheduled_orders: scheduledOrders
+};
+
+/**
+ * Create a built-in strategy instance
+ * @param {string} name - Strategy name
+ * @param {Object} params - Strategy parameters
+ * @returns {Object} Strategy instance
+ */
+const createStrategy = (name, params = {}) => {
+  const factory = BUILT_IN_STRATEGIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown strategy: ${name}`);
+  }
+
+  return factory(params);
+};
+
+module.exports = {
+  BUILT_IN_STRATEGIES,
+  createStrategy
+};
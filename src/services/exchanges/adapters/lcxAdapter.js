@@ -1,33 +1,70 @@
-const { Exchange, ExchangeError, ExchangeNotAvailable, BadResponse, BadRequest, InvalidOrder, InsufficientFunds, AuthenticationError, RateLimitExceeded, InvalidAddress, DDoSProtection, BadSymbol } = require('ccxt');
+const {
+  Exchange,
+  ExchangeError,
+  ExchangeNotAvailable,
+  BadResponse,
+  BadRequest,
+  InvalidOrder,
+  InsufficientFunds,
+  AuthenticationError,
+  PermissionDenied,
+  OrderNotFound,
+  RateLimitExceeded,
+  InvalidAddress,
+  DDoSProtection,
+  BadSymbol
+} = require('ccxt');
 const crypto = require('crypto');
 
+// Unified order parameters the LCX API does not accept
+const UNIFIED_ORDER_PARAMS = ['timeInForce', 'postOnly', 'reduceOnly', 'clientOrderId'];
+
+// LCX order statuses in lower case, mapped to unified statuses
+const ORDER_STATUSES = {
+  open: 'open',
+  partial: 'open',
+  partially_filled: 'open',
+  cancelled: 'canceled',
+  canceled: 'canceled',
+  filled: 'closed',
+  closed: 'closed',
+  rejected: 'rejected'
+};
+
 /**
  * LCX Exchange Adapter
- * CommonJS wrapper for the LCX exchange implementation
+ * CommonJS wrapper for the LCX exchange implementation, with the public
+ * market data and the private trading endpoints
  */
 class LCXExchange extends Exchange {
   describe() {
     return this.deepExtend(super.describe(), {
-      'id': 'lcx',
-      'name': 'LCX',
-      'countries': ['LI'],
-      'rateLimit': 1000,
-      'has': {
-        'CORS': true,
-        'fetchMarkets': true,
-        'fetchOHLCV': true,
-        'fetchTickers': true,
-        'fetchTicker': true,
-        'fetchOrderBook': true,
-        'fetchTrades': true,
-        'fetchBalance': true,
-        'createOrder': true,
-        'cancelOrder': true,
-        'fetchOpenOrders': true,
-        'fetchClosedOrders': true,
-        'fetchMyTrades': true,
+      id: 'lcx',
+      name: 'LCX',
+      countries: ['LI'],
+      rateLimit: 1000,
+      has: {
+        CORS: true,
+        spot: true,
+        margin: false,
+        swap: false,
+        future: false,
+        option: false,
+        fetchMarkets: true,
+        fetchOHLCV: true,
+        fetchTickers: true,
+        fetchTicker: true,
+        fetchOrderBook: true,
+        fetchTrades: true,
+        fetchBalance: true,
+        createOrder: true,
+        cancelOrder: true,
+        fetchOrder: true,
+        fetchOpenOrders: true,
+        fetchClosedOrders: true,
+        fetchMyTrades: true
       },
-      'timeframes': {
+      timeframes: {
         '1m': '1',
         '3m': '3',
         '5m': '5',
@@ -40,289 +77,563 @@ class LCXExchange extends Exchange {
         '4h': '240',
         '1d': '1D',
         '1w': '1W',
-        '1M': '1M',
+        '1M': '1M'
       },
-      'version': 'v1',
-      'urls': {
-        'logo': 'https://terminal-files.lcx.com/static/img/ccxt/LCX.jpg',
-        'api': {
-          'accounts': 'https://exchange-api.lcx.com',
-          'public': 'https://exchange-api.lcx.com',
-          'private': 'https://exchange-api.lcx.com',
+      version: 'v1',
+      urls: {
+        logo: 'https://terminal-files.lcx.com/static/img/ccxt/LCX.jpg',
+        api: {
+          accounts: 'https://exchange-api.lcx.com',
+          public: 'https://exchange-api.lcx.com',
+          private: 'https://exchange-api.lcx.com'
         },
-        'test': {
-          'accounts': 'https://exchange-api.lcx.com',
-          'public': 'https://exchange-api.lcx.com',
-          'private': 'https://exchange-api.lcx.com',
+        test: {
+          accounts: 'https://exchange-api.lcx.com',
+          public: 'https://exchange-api.lcx.com',
+          private: 'https://exchange-api.lcx.com'
         },
-        'www': 'https://www.lcx.com',
-        'doc': [
-          'https://exchange.lcx.com/v1/docs',
-        ],
-        'fees': 'https://www.lcx.com/fees/',
-        'referral': 'https://accounts.lcx.com/register',
+        www: 'https://www.lcx.com',
+        doc: ['https://exchange.lcx.com/v1/docs'],
+        fees: 'https://www.lcx.com/fees/',
+        referral: 'https://accounts.lcx.com/register'
       },
-      'api': {
-        'public': {
-          'get': [
-            'market/pairs',
-            'currency',
-            'market/tickers',
-          ],
-          'post': [
-            'order/book',
-            'market/ticker',
-            'market/kline',
-            'trade/recent',
-          ],
-        },
-        'private': {
-          'post': [
-            'orderHistory',
-            'open',
-            'create',
-            'cancel',
-          ],
-          'get': [
-            'balances',
-          ],
+      api: {
+        public: {
+          get: ['market/pairs', 'currency', 'market/tickers'],
+          post: ['order/book', 'market/ticker', 'market/kline', 'trade/recent']
         },
+        private: {
+          post: ['orderHistory', 'open', 'create', 'cancel'],
+          get: ['balances', 'order']
+        }
       },
-      'fees': {
-        'trading': {
-          'maker': 0.003,
-          'taker': 0.003,
-        },
+      fees: {
+        trading: {
+          maker: 0.003,
+          taker: 0.003
+        }
       },
-      'exceptions': {
-        'exact': {
-          'UNAUTHORIZED': AuthenticationError,
-          'INVALID_ARGUMENT': BadRequest,
-          'TRADING_UNAVAILABLE': ExchangeNotAvailable,
+      exceptions: {
+        exact: {
+          UNAUTHORIZED: AuthenticationError,
+          INVALID_ARGUMENT: BadRequest,
+          TRADING_UNAVAILABLE: ExchangeNotAvailable,
           'Invalid amount': InvalidOrder,
           'Invalid price': InvalidOrder,
           'Not Enough Balance': InsufficientFunds,
-          'NOT_ALLOWED_COMBINATION': BadRequest,
+          NOT_ALLOWED_COMBINATION: BadRequest,
           'Invalid order': InvalidOrder,
-          'RATE_LIMIT_EXCEEDED': RateLimitExceeded,
-          'MARKET_UNAVAILABLE': ExchangeNotAvailable,
-          'INVALID_MARKET': BadSymbol,
-          'INVALID_CURRENCY': BadRequest,
-          'TOO_MANY_OPEN_ORDERS': DDoSProtection,
-          'DUPLICATE_ADDRESS': InvalidAddress,
-          'Bad Request': BadRequest,
+          RATE_LIMIT_EXCEEDED: RateLimitExceeded,
+          MARKET_UNAVAILABLE: ExchangeNotAvailable,
+          INVALID_MARKET: BadSymbol,
+          INVALID_CURRENCY: BadRequest,
+          TOO_MANY_OPEN_ORDERS: DDoSProtection,
+          DUPLICATE_ADDRESS: InvalidAddress,
+          'Bad Request': BadRequest
         },
+        broad: {
+          'Order not found': OrderNotFound,
+          'Invalid signature': AuthenticationError,
+          'Invalid API key': AuthenticationError,
+          'Insufficient balance': InsufficientFunds,
+          'not permitted': PermissionDenied,
+          'Too many requests': RateLimitExceeded
+        }
       },
-      'requiredCredentials': {
-        'apiKey': true,
-        'secret': true,
-      },
-      'options': {},
-      'commonCurrencies': {
-        'LCX': 'LCX',
-        'BTC': 'Bitcoin',
+      requiredCredentials: {
+        apiKey: true,
+        secret: true
       },
+      options: {}
     });
   }
 
+  nonce() {
+    return this.milliseconds();
+  }
+
   async fetchMarkets(params = {}) {
     const response = await this.publicGetMarketPairs(params);
     const markets = this.safeValue(response, 'data', []);
-    const result = [];
-    
-    for (let i = 0; i < markets.length; i++) {
-      const market = markets[i];
-      const id = this.safeString(market, 'symbol');
-      const baseId = this.safeString(market, 'base');
-      const quoteId = this.safeString(market, 'quote');
+
+    return markets.map(market => {
       const base = this.safeString(market, 'base');
       const quote = this.safeString(market, 'quote');
-      const symbol = base + '/' + quote;
-      const active = this.safeValue(market, 'status', false);
-      const amountPrecision = this.safeInteger(market, 'amountPrecision');
-      const costPrecision = this.safeInteger(market, 'amountPrecision');
-      const precision = {
-        'amount': amountPrecision,
-        'price': this.safeFloat(market, 'pricePrecision'),
-        'cost': costPrecision,
-      };
-      const takerFeeRate = 0.003;
-      const makerFeeRate = 0.003;
-      
-      result.push({
-        'id': id,
-        'info': market,
-        'symbol': symbol,
-        'base': base,
-        'quote': quote,
-        'baseId': baseId,
-        'quoteId': quoteId,
-        'active': active,
-        'precision': precision,
-        'taker': takerFeeRate,
-        'maker': makerFeeRate,
-        'limits': {
-          'amount': {
-            'min': this.safeFloat(market, 'minBaseOrder'),
-            'max': this.safeFloat(market, 'maxBaseOrder'),
-          },
-          'price': {
-            'min': this.safeFloat(market, 'min_price'),
-            'max': this.safeFloat(market, 'max_price'),
+
+      return this.safeMarketStructure({
+        id: this.safeString(market, 'symbol'),
+        info: market,
+        symbol: base + '/' + quote,
+        base,
+        quote,
+        baseId: base,
+        quoteId: quote,
+        type: 'spot',
+        spot: true,
+        margin: false,
+        swap: false,
+        future: false,
+        option: false,
+        contract: false,
+        active: this.safeValue(market, 'status', false),
+        // LCX reports decimal places; markets use tick sizes
+        precision: {
+          amount: this.parseNumber(this.parsePrecision(this.safeString(market, 'amountPrecision'))),
+          price: this.parseNumber(this.parsePrecision(this.safeString(market, 'pricePrecision')))
+        },
+        taker: this.fees.trading.taker,
+        maker: this.fees.trading.maker,
+        limits: {
+          amount: {
+            min: this.safeNumber(market, 'minBaseOrder'),
+            max: this.safeNumber(market, 'maxBaseOrder')
           },
-          'cost': {
-            'min': this.safeFloat(market, 'minQuoteOrder'),
-            'max': this.safeFloat(market, 'maxQuoteOrder'),
+          price: {
+            min: this.safeNumber(market, 'min_price'),
+            max: this.safeNumber(market, 'max_price')
           },
-        },
+          cost: {
+            min: this.safeNumber(market, 'minQuoteOrder'),
+            max: this.safeNumber(market, 'maxQuoteOrder')
+          }
+        }
       });
-    }
-    return result;
+    });
   }
 
   async fetchBalance(params = {}) {
-    await this.loadMarkets();
-    const response = await this.privateGetBalances({});
-    const data = this.safeValue(response, 'data');
-    const result = { 'info': data };
-    
-    for (let i = 0; i < data.length; i++) {
-      const balance = data[i];
-      const code = this.safeString(balance, 'coin');
+    const response = await this.privateGetBalances(params);
+    const data = this.safeValue(response, 'data', []);
+    const result = { info: response };
+
+    for (const entry of data) {
       const account = this.account();
-      account['total'] = this.safeFloat(balance.balance, 'totalBalance');
-      account['free'] = this.safeFloat(balance.balance, 'freeBalance');
-      account['used'] = this.safeFloat(balance.balance, 'occupiedBalance');
-      result[code] = account;
+      account.total = this.safeString(entry.balance, 'totalBalance');
+      account.free = this.safeString(entry.balance, 'freeBalance');
+      account.used = this.safeString(entry.balance, 'occupiedBalance');
+      result[this.safeString(entry, 'coin')] = account;
     }
-    return this.parseBalance(result);
+
+    return this.safeBalance(result);
   }
 
   async fetchTicker(symbol, params = {}) {
     await this.loadMarkets();
     const market = this.market(symbol);
-    const request = {
-      'pair': market['symbol'],
-    };
-    params['pair'] = market['symbol'];
-    const response = await this.publicPostMarketTicker(this.extend(request, params));
-    const ticker = this.safeValue(response, 'data', []);
-    
+    const response = await this.publicPostMarketTicker(this.extend({ pair: market.id }, params));
+    const ticker = this.safeValue(response, 'data');
+
     if (ticker === undefined) {
-      throw new BadResponse(this.id + ' fetchTicker () returned an empty response');
+      throw new BadResponse(this.id + ' fetchTicker() returned an empty response');
     }
+
     return this.parseTicker(ticker, market);
   }
 
+  async fetchTickers(symbols = undefined, params = {}) {
+    await this.loadMarkets();
+    const response = await this.publicGetMarketTickers(params);
+    const data = this.safeValue(response, 'data', {});
+
+    // Keyed by pair, or a list of tickers carrying their pair
+    const tickers = Array.isArray(data)
+      ? data
+      : Object.keys(data).map(pair => this.extend({ symbol: pair }, data[pair]));
+
+    return this.filterByArrayTickers(
+      tickers.map(ticker => this.parseTicker(ticker)),
+      'symbol',
+      symbols
+    );
+  }
+
   parseTicker(ticker, market = undefined) {
-    const timestamp = this.safeInteger(ticker, 'lastUpdated') * 1000;
-    const symbol = this.safeString(ticker, 'symbol');
-    const close = this.safeFloat(ticker, 'lastPrice');
-    const change = this.safeFloat(ticker, 'change');
-    let percentage = undefined;
-    let open = undefined;
-    
-    if (change !== undefined) {
-      if (close !== undefined) {
-        open = close - change;
-        percentage = open ? (change / open) * 100 : 0;
-      }
+    const marketId = this.safeString(ticker, 'symbol');
+    const symbol = this.safeSymbol(marketId, market, '/');
+    const timestamp = this.parseLcxTimestamp(this.safeInteger(ticker, 'lastUpdated'));
+    const last = this.safeString(ticker, 'lastPrice');
+    const change = this.safeString(ticker, 'change');
+
+    return this.safeTicker(
+      {
+        symbol,
+        timestamp,
+        datetime: this.iso8601(timestamp),
+        high: this.safeString(ticker, 'high'),
+        low: this.safeString(ticker, 'low'),
+        bid: this.safeString(ticker, 'bestBid'),
+        bidVolume: undefined,
+        ask: this.safeString(ticker, 'bestAsk'),
+        askVolume: undefined,
+        vwap: undefined,
+        open: undefined,
+        close: last,
+        last,
+        previousClose: undefined,
+        change,
+        percentage: undefined,
+        average: undefined,
+        baseVolume: this.safeString(ticker, 'volume'),
+        quoteVolume: undefined,
+        info: ticker
+      },
+      market
+    );
+  }
+
+  async fetchOrderBook(symbol, limit = undefined, params = {}) {
+    await this.loadMarkets();
+    const market = this.market(symbol);
+    const response = await this.publicPostOrderBook(this.extend({ pair: market.id }, params));
+    const orderbook = this.parseOrderBook(
+      this.safeValue(response, 'data', {}),
+      market.symbol,
+      undefined,
+      'buy',
+      'sell'
+    );
+
+    if (limit !== undefined) {
+      orderbook.bids = orderbook.bids.slice(0, limit);
+      orderbook.asks = orderbook.asks.slice(0, limit);
     }
-    
-    const baseVolume = this.safeFloat(ticker, 'volume');
-    
-    return {
-      'symbol': symbol,
-      'timestamp': timestamp,
-      'datetime': this.iso8601(timestamp),
-      'high': this.safeFloat(ticker, 'high'),
-      'low': this.safeFloat(ticker, 'low'),
-      'bid': this.safeFloat(ticker, 'bestBid'),
-      'bidVolume': undefined,
-      'ask': this.safeFloat(ticker, 'bestAsk'),
-      'askVolume': undefined,
-      'vwap': undefined,
-      'open': open,
-      'close': close,
-      'last': close,
-      'previousClose': undefined,
-      'change': change,
-      'percentage': percentage,
-      'average': undefined,
-      'baseVolume': baseVolume,
-      'quoteVolume': undefined,
-      'info': ticker,
+
+    return orderbook;
+  }
+
+  async fetchTrades(symbol, since = undefined, limit = undefined, params = {}) {
+    await this.loadMarkets();
+    const market = this.market(symbol);
+    const response = await this.publicPostTradeRecent(
+      this.extend({ pair: market.id, offset: 1 }, params)
+    );
+
+    return this.parseTrades(this.safeValue(response, 'data', []), market, since, limit);
+  }
+
+  /**
+   * Public trades come as [price, amount, side, timestamp]
+   */
+  parseTrade(trade, market = undefined) {
+    const timestamp = this.parseLcxTimestamp(this.safeInteger(trade, 3));
+
+    return this.safeTrade(
+      {
+        id: this.safeString(trade, 3),
+        info: trade,
+        timestamp,
+        datetime: this.iso8601(timestamp),
+        symbol: this.safeString(market, 'symbol'),
+        order: undefined,
+        type: undefined,
+        side: this.safeStringLower(trade, 2),
+        takerOrMaker: undefined,
+        price: this.safeString(trade, 0),
+        amount: this.safeString(trade, 1),
+        cost: undefined,
+        fee: undefined
+      },
+      market
+    );
+  }
+
+  async fetchOHLCV(symbol, timeframe = '1m', since = undefined, limit = undefined, params = {}) {
+    await this.loadMarkets();
+    const market = this.market(symbol);
+    const duration = this.parseTimeframe(timeframe) * 1000;
+    const count = limit === undefined ? 1000 : limit;
+    const from = since === undefined ? this.milliseconds() - count * duration : since;
+    const to = Math.min(this.milliseconds(), from + count * duration - 1);
+
+    const request = {
+      pair: market.id,
+      resolution: this.timeframes[timeframe],
+      from: Math.floor(from / 1000),
+      to: Math.floor(to / 1000)
+    };
+    const response = await this.publicPostMarketKline(this.extend(request, params));
+
+    return this.parseOHLCVs(this.safeValue(response, 'data', []), market, timeframe, since, limit);
+  }
+
+  parseOHLCV(ohlcv, _market = undefined) {
+    return [
+      this.parseLcxTimestamp(this.safeInteger(ohlcv, 'timestamp')),
+      this.safeNumber(ohlcv, 'open'),
+      this.safeNumber(ohlcv, 'high'),
+      this.safeNumber(ohlcv, 'low'),
+      this.safeNumber(ohlcv, 'close'),
+      this.safeNumber(ohlcv, 'volume')
+    ];
+  }
+
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    await this.loadMarkets();
+    const market = this.market(symbol);
+    const request = {
+      Pair: market.id,
+      Amount: parseFloat(this.amountToPrecision(symbol, amount)),
+      OrderType: type.toUpperCase(),
+      Side: side.toUpperCase()
     };
+
+    if (type === 'limit') {
+      if (price === undefined) {
+        throw new InvalidOrder(this.id + ' createOrder() requires a price for limit orders');
+      }
+      request.Price = parseFloat(this.priceToPrecision(symbol, price));
+    }
+
+    const response = await this.privatePostCreate(
+      this.extend(request, this.omit(params, UNIFIED_ORDER_PARAMS))
+    );
+
+    return this.parseOrder(this.safeValue(response, 'data'), market);
+  }
+
+  async cancelOrder(id, symbol = undefined, params = {}) {
+    const response = await this.privatePostCancel(this.extend({ OrderId: id }, params));
+    const data = this.safeValue(response, 'data');
+
+    // Some cancels only acknowledge the request
+    if (!data || typeof data !== 'object') {
+      return this.safeOrder({ id, symbol, status: 'canceled', info: response });
+    }
+
+    return this.parseOrder(data);
+  }
+
+  async fetchOrder(id, symbol = undefined, params = {}) {
+    await this.loadMarkets();
+    const response = await this.privateGetOrder(this.extend({ orderId: id }, params));
+    const data = this.safeValue(response, 'data');
+
+    if (!data) {
+      throw new OrderNotFound(this.id + ' order ' + id + ' not found');
+    }
+
+    return this.parseOrder(data, symbol === undefined ? undefined : this.market(symbol));
+  }
+
+  fetchOpenOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    return this.fetchOrdersFrom('privatePostOpen', symbol, since, limit, params);
+  }
+
+  async fetchClosedOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    const orders = await this.fetchOrdersFrom(
+      'privatePostOrderHistory',
+      symbol,
+      since,
+      limit,
+      params
+    );
+
+    return orders.filter(order => order.status !== 'open');
+  }
+
+  /**
+   * LCX has no trade history endpoint; every filled or partly filled order
+   * in the order history is reported as one trade at its average price
+   */
+  async fetchMyTrades(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    const orders = await this.fetchOrdersFrom(
+      'privatePostOrderHistory',
+      symbol,
+      since,
+      undefined,
+      params
+    );
+
+    const trades = orders
+      .filter(order => order.filled > 0)
+      .map(order =>
+        this.safeTrade({
+          id: order.id,
+          info: order.info,
+          timestamp: order.lastTradeTimestamp || order.timestamp,
+          datetime: this.iso8601(order.lastTradeTimestamp || order.timestamp),
+          symbol: order.symbol,
+          order: order.id,
+          type: order.type,
+          side: order.side,
+          takerOrMaker: undefined,
+          price: order.average || order.price,
+          amount: order.filled,
+          cost: undefined,
+          fee: order.fee
+        })
+      );
+
+    return this.filterBySinceLimit(this.sortBy(trades, 'timestamp'), since, limit);
+  }
+
+  /**
+   * Fetch orders from an LCX order listing. Listings come newest first, so
+   * with since every page from it on is fetched, until an empty page, and
+   * limit keeps the oldest orders; otherwise one page is fetched.
+   * @param {string} method - Implicit API method
+   * @param {string} symbol - Unified symbol, or undefined for all markets
+   * @param {number} since - Earliest order timestamp in ms
+   * @param {number} limit - Maximum number of orders
+   * @param {Object} params - Extra request parameters; page selects a single page
+   * @returns {Promise<Array>} Unified orders
+   */
+  async fetchOrdersFrom(method, symbol, since, limit, params) {
+    await this.loadMarkets();
+    const request = { offset: 1 };
+    let market = undefined;
+
+    if (symbol !== undefined) {
+      market = this.market(symbol);
+      request.pair = market.id;
+    }
+
+    const singlePage = since === undefined || 'page' in params;
+    if ('page' in params) {
+      request.offset = parseInt(params.page);
+      params = this.omit(params, 'page');
+    }
+
+    if (since !== undefined) {
+      request.fromDate = this.iso8601(since);
+      request.toDate = this.iso8601(this.milliseconds());
+    }
+
+    const orders = [];
+    let page;
+    do {
+      const response = await this[method](this.extend(request, params));
+      page = this.safeValue(response, 'data', []);
+      orders.push(...page);
+      request.offset += 1;
+    } while (!singlePage && page.length > 0);
+
+    return this.parseOrders(orders, market, since, limit);
+  }
+
+  parseOrderStatus(status) {
+    return this.safeString(ORDER_STATUSES, status, status);
+  }
+
+  parseOrder(order, market = undefined) {
+    const marketId = this.safeString(order, 'Pair');
+    const type = this.safeStringLower(order, 'OrderType');
+    const timestamp = this.parseLcxTimestamp(this.safeInteger(order, 'CreatedAt'));
+    const clientOrderId = this.safeString(order, 'ClientOrderId');
+
+    return this.safeOrder(
+      {
+        id: this.safeString(order, 'Id'),
+        info: order,
+        clientOrderId: clientOrderId === '' ? undefined : clientOrderId,
+        timestamp,
+        datetime: this.iso8601(timestamp),
+        lastTradeTimestamp: undefined,
+        lastUpdateTimestamp: this.parseLcxTimestamp(this.safeInteger(order, 'UpdatedAt')),
+        symbol: this.safeSymbol(marketId, market, '/'),
+        type,
+        timeInForce: undefined,
+        postOnly: undefined,
+        side: this.safeStringLower(order, 'Side'),
+        status: this.parseOrderStatus(this.safeStringLower(order, 'Status')),
+        price: type === 'market' ? undefined : this.safeString(order, 'Price'),
+        stopPrice: undefined,
+        triggerPrice: undefined,
+        amount: this.safeString(order, 'Amount'),
+        filled: this.safeString(order, 'Filled'),
+        remaining: undefined,
+        average: this.omitZero(this.safeString(order, 'Average')),
+        cost: undefined,
+        fee: undefined,
+        trades: undefined
+      },
+      market
+    );
+  }
+
+  /**
+   * LCX mixes second and millisecond timestamps between endpoints
+   * @param {number} value - Timestamp in seconds or milliseconds
+   * @returns {number|undefined} Timestamp in milliseconds
+   */
+  parseLcxTimestamp(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+
+    return value < 1e12 ? value * 1000 : value;
   }
 
   sign(path, api = 'public', method = 'GET', params = {}, headers = undefined, body = undefined) {
-    let url = this.urls['api'][api] + '/';
+    let url = this.urls.api[api] + '/';
     const query = this.omit(params, this.extractParams(path));
-    
+
     if (api === 'private') {
-      path = 'api' + '/' + path;
-      const now = this.nonce();
-      this.checkRequiredCredentials();
-      let payload = method + '/' + path + this.json(query);
-      
-      if (method === 'GET') {
-        payload = method + '/' + path;
+      path = 'api/' + path;
+    }
+    url += this.implodeParams(path, params);
+
+    if (method === 'GET') {
+      if (Object.keys(query).length) {
+        url += '?' + this.urlencode(query);
       }
+    } else if (Object.keys(query).length) {
+      body = this.json(query);
+    }
 
-      const signature = crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
-      const signatureBuffer = Buffer.from(signature, 'hex');
-      const signatureBase64 = signatureBuffer.toString('base64');
+    if (api === 'private') {
+      this.checkRequiredCredentials();
 
+      // GET requests sign the method and path, POST requests their JSON body too
+      const payload = method + '/' + path + (method === 'GET' ? '' : this.json(query));
       headers = {
         'x-access-key': this.apiKey,
-        'x-access-sign': signatureBase64,
-        'x-access-timestamp': now,
+        'x-access-sign': crypto.createHmac('sha256', this.secret).update(payload).digest('base64'),
+        'x-access-timestamp': this.nonce()
       };
     }
 
-    url += this.implodeParams(path, params);
-    if (Object.keys(query).length) {
-      url += '?' + this.urlencode(query);
-    }
-
-    if (method === 'POST') {
-      if (Object.keys(query).length) {
-        body = this.json(query);
-      }
+    if (body !== undefined) {
+      headers = this.extend(headers || {}, { 'Content-Type': 'application/json' });
     }
 
-    return { 'url': url, 'method': method, 'body': body, 'headers': headers };
+    return { url, method, body, headers };
   }
 
-  handleErrors(code, reason, url, method, headers, body, response, requestHeaders, requestBody) {
-    if ((code === 418) || (code === 429)) {
-      throw new DDoSProtection(this.id + ' ' + code.toString() + ' ' + reason + ' ' + body);
-    }
-    
-    if (code === 401) {
-      this.throwExactlyMatchedException(this.exceptions, body, body);
-      return;
+  handleErrors(code, reason, url, method, headers, body, response) {
+    if (code === 418 || code === 429) {
+      throw new DDoSProtection(this.id + ' ' + code + ' ' + reason + ' ' + body);
     }
-    
+
     if (response === undefined) {
-      return;
+      return undefined;
     }
-    
+
     const feedback = this.id + ' ' + body;
     const message = this.safeString(response, 'message');
-    
-    if (message !== undefined) {
-      this.throwExactlyMatchedException(this.exceptions['exact'], message, feedback);
+    const errorCode = this.safeString2(response, 'errorCode', 'code');
+    const status = this.safeStringLower(response, 'status');
+
+    if (status !== 'error' && errorCode === undefined && code < 400) {
+      return undefined;
     }
-    
-    if ('errorCode' in response) {
-      const errorCode = this.safeString(response, 'errorCode');
-      if (errorCode !== undefined) {
-        this.throwBroadlyMatchedException(this.exceptions['exact'], errorCode, feedback);
-        throw new ExchangeError(feedback);
+
+    for (const value of [errorCode, message]) {
+      if (value !== undefined) {
+        this.throwExactlyMatchedException(this.exceptions.exact, value, feedback);
+        this.throwBroadlyMatchedException(this.exceptions.broad, value, feedback);
       }
     }
+
+    if (code === 401) {
+      throw new AuthenticationError(feedback);
+    }
+    if (code === 403) {
+      throw new PermissionDenied(feedback);
+    }
+
+    throw new ExchangeError(feedback);
   }
 }
 
-module.exports = LCXExchange;
\ No newline at end of file
+module.exports = LCXExchange;
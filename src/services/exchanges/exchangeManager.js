@@ -1,5 +1,6 @@
-const ccxt = require('ccxt');
-const LCXExchange = require('./adapters/lcxAdapter');
+const exchangeRegistry = require('./exchangeRegistry');
+const permissionDetector = require('./permissionDetector');
+const ExchangeCredentials = require('../../models/ExchangeCredentials');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 
@@ -10,20 +11,58 @@ const logger = require('../../utils/logger');
 class ExchangeManager {
   constructor() {
     this.exchanges = new Map();
-    this.supportedExchanges = ['binance', 'coinbase', 'kraken', 'kucoin', 'lcx'];
     this.rateLimiters = new Map();
+    // Failed reconnects by exchange ID, with their backoff
+    this.connectionFailures = new Map();
+    // In-flight reconnects by exchange ID, so concurrent callers share one
+    this.pendingConnections = new Map();
+    this.healthCheckInterval = null;
+  }
+
+  /**
+   * Start the connection lifecycle: scheduled health checks and, when
+   * configured, reconnecting every stored exchange at boot
+   */
+  initialize() {
+    this.stop();
+
+    this.healthCheckInterval = setInterval(() => {
+      this.runHealthChecks().catch(error => {
+        logger.error('Exchange health checks failed:', error);
+      });
+    }, config.exchangeConnections.healthCheckInterval);
+
+    if (config.exchangeConnections.warmOnStartup) {
+      this.warmConnections().catch(error => {
+        logger.error('Failed to warm exchange connections:', error);
+      });
+    }
+
+    logger.info('Exchange manager initialized');
+  }
+
+  /**
+   * Stop scheduled health checks
+   */
+  stop() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
   }
 
   /**
    * Get list of supported exchanges
-   * @returns {Array} List of supported exchange names
+   * @returns {Array} Supported exchanges with their features, credential fields and timeframes
    */
   getSupportedExchanges() {
-    return this.supportedExchanges.map(name => ({
-      id: name,
-      name: this.getExchangeDisplayName(name),
-      enabled: config.exchanges[name]?.enabled || false,
-      features: this.getExchangeFeatures(name)
+    return exchangeRegistry.list().map(exchange => ({
+      id: exchange.id,
+      name: exchange.name,
+      enabled: config.exchanges[exchange.id]?.enabled !== false,
+      features: exchange.features,
+      credentials: exchange.credentials,
+      timeframes: exchange.timeframes
     }));
   }
 
@@ -36,35 +75,15 @@ class ExchangeManager {
    */
   async createExchange(exchangeName, credentials, sandbox = false) {
     try {
-      if (!this.supportedExchanges.includes(exchangeName)) {
+      if (!exchangeRegistry.isSupported(exchangeName)) {
         throw new Error(`Exchange ${exchangeName} is not supported`);
       }
 
-      let ExchangeClass;
-      if (exchangeName === 'lcx') {
-        ExchangeClass = LCXExchange;
-      } else {
-        ExchangeClass = ccxt[exchangeName];
-      }
-      
-      if (!ExchangeClass) {
-        throw new Error(`Exchange class ${exchangeName} not found`);
-      }
-
-      const exchangeConfig = {
-        apiKey: credentials.apiKey,
-        secret: credentials.secret,
+      const exchange = exchangeRegistry.create(exchangeName, credentials, {
         sandbox: sandbox,
         enableRateLimit: true,
         rateLimit: config.exchanges[exchangeName]?.rateLimit || 1000
-      };
-
-      // Add exchange-specific configuration
-      if (exchangeName === 'coinbase' && credentials.passphrase) {
-        exchangeConfig.passphrase = credentials.passphrase;
-      }
-
-      const exchange = new ExchangeClass(exchangeConfig);
+      });
 
       // Test connection
       await this.testConnection(exchange);
@@ -162,6 +181,345 @@ class ExchangeManager {
     return null;
   }
 
+  /**
+   * Get exchange instance for user, rebuilding it from the stored
+   * credentials when it is not connected yet, e.g. after a restart
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name
+   * @returns {Promise<Object|null>} Exchange instance or null if not connected
+   */
+  async loadExchange(userId, exchangeName) {
+    const exchange = this.getExchange(userId, exchangeName);
+    if (exchange) {
+      return exchange;
+    }
+
+    const credentials = await ExchangeCredentials.findByUserAndExchange(userId, exchangeName);
+    if (!credentials) {
+      return null;
+    }
+
+    // Failures are logged and recorded for the connection status
+    return this.connectStoredExchange(credentials).catch(() => null);
+  }
+
+  /**
+   * Get all exchanges for user, first reconnecting the ones with stored
+   * credentials that are not connected yet
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} List of user's connected exchanges
+   */
+  async loadUserExchanges(userId) {
+    const { connected } = await this.loadStoredExchanges(userId);
+    return connected;
+  }
+
+  /**
+   * Reconnect the user's stored exchanges that are not connected yet and
+   * report the ones that are still unreachable
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} connected: user's connected exchanges,
+   *   unavailable: stored exchanges that could not be reconnected, as { exchangeName, error }
+   */
+  async loadStoredExchanges(userId) {
+    const storedCredentials = await ExchangeCredentials.findActiveByUser(userId);
+    const unavailable = await this.connectMissingExchanges(userId, storedCredentials);
+
+    return { connected: this.getUserExchanges(userId), unavailable };
+  }
+
+  /**
+   * Reconnect the stored exchanges that are not connected
+   * @param {string} userId - User ID
+   * @param {Array} storedCredentials - User's ExchangeCredentials documents
+   * @returns {Promise<Array>} Exchanges that failed to reconnect, as { exchangeName, error }
+   */
+  async connectMissingExchanges(userId, storedCredentials) {
+    const failed = [];
+
+    for (const credentials of storedCredentials) {
+      const { exchangeName } = credentials;
+      if (this.exchanges.has(`${userId}_${exchangeName}`)) {
+        continue;
+      }
+
+      // Failures are logged and recorded for the connection status
+      try {
+        await this.connectStoredExchange(credentials);
+      } catch (error) {
+        failed.push({ exchangeName, error: error.message });
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Rebuild an exchange instance from stored credentials. Failed attempts
+   * back off exponentially; until the backoff ends, attempts fail at once.
+   * @param {Object} credentials - ExchangeCredentials document
+   * @returns {Promise<Object>} Exchange instance
+   */
+  connectStoredExchange(credentials) {
+    const userId = credentials.userId.toString();
+    const { exchangeName } = credentials;
+    const exchangeId = `${userId}_${exchangeName}`;
+
+    if (this.pendingConnections.has(exchangeId)) {
+      return this.pendingConnections.get(exchangeId);
+    }
+
+    const failure = this.connectionFailures.get(exchangeId);
+    if (failure && failure.nextRetryAt > new Date()) {
+      return Promise.reject(
+        new Error(
+          `Reconnecting to ${exchangeName} is backed off until ` +
+            `${failure.nextRetryAt.toISOString()}: ${failure.lastError}`
+        )
+      );
+    }
+
+    const connecting = this.reconnect(credentials, userId).finally(() => {
+      this.pendingConnections.delete(exchangeId);
+    });
+    this.pendingConnections.set(exchangeId, connecting);
+
+    return connecting;
+  }
+
+  /**
+   * Connect with stored credentials and record the outcome
+   * @param {Object} credentials - ExchangeCredentials document
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Exchange instance
+   */
+  async reconnect(credentials, userId) {
+    const { exchangeName, sandbox } = credentials;
+    const exchangeId = `${userId}_${exchangeName}`;
+
+    try {
+      const decrypted = await credentials.getDecryptedCredentials();
+      await this.addExchange(userId, exchangeName, decrypted, sandbox);
+    } catch (error) {
+      const failure = this.recordConnectionFailure(userId, exchangeName, error);
+      logger.warn('Exchange reconnect failed', {
+        userId,
+        exchangeName,
+        attempts: failure.attempts,
+        nextRetryAt: failure.nextRetryAt
+      });
+      await this.saveConnectionStatus(credentials, 'error', error.message);
+      throw error;
+    }
+
+    this.connectionFailures.delete(exchangeId);
+    await this.saveConnectionStatus(credentials, 'connected');
+
+    const { exchange } = this.exchanges.get(exchangeId);
+
+    // Keys connected before permission detection existed
+    if (!credentials.permissions?.detectedAt) {
+      await this.detectPermissions(credentials, exchange).catch(error => {
+        logger.warn(`Could not detect API key permissions for ${exchangeName}:`, error.message);
+      });
+    }
+
+    return exchange;
+  }
+
+  /**
+   * Detect what an exchange API key may do and store it with its credentials
+   * @param {Object} credentials - ExchangeCredentials document
+   * @param {Object} exchange - CCXT exchange instance using the key
+   * @returns {Promise<Object>} Detected permissions
+   */
+  async detectPermissions(credentials, exchange) {
+    const permissions = await permissionDetector.detect(exchange, credentials.exchangeName);
+    await credentials.updatePermissions(permissions);
+
+    if (permissions.withdraw) {
+      logger.warn('Exchange API key has withdrawal permission', {
+        userId: credentials.userId.toString(),
+        exchangeName: credentials.exchangeName
+      });
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Get the stored permissions of a user's exchange API key
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name
+   * @returns {Promise<Object|null>} Permissions, or null if never detected
+   */
+  async getPermissions(userId, exchangeName) {
+    const credentials = await ExchangeCredentials.findByUserAndExchange(userId, exchangeName);
+    if (!credentials || !credentials.permissions?.detectedAt) {
+      return null;
+    }
+
+    return credentials.permissions.toObject();
+  }
+
+  /**
+   * Record a failed connection and schedule the next attempt
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name
+   * @param {Error} error - Connection error
+   * @returns {Object} Failure with attempts, lastError and nextRetryAt
+   */
+  recordConnectionFailure(userId, exchangeName, error) {
+    const exchangeId = `${userId}_${exchangeName}`;
+    const previous = this.connectionFailures.get(exchangeId);
+    const attempts = previous ? previous.attempts + 1 : 1;
+
+    const { reconnectBaseDelay, reconnectMaxDelay } = config.exchangeConnections;
+    const delay = Math.min(reconnectBaseDelay * 2 ** (attempts - 1), reconnectMaxDelay);
+
+    const failure = {
+      userId,
+      exchangeName,
+      attempts,
+      lastError: error.message,
+      failedAt: new Date(),
+      nextRetryAt: new Date(Date.now() + delay)
+    };
+    this.connectionFailures.set(exchangeId, failure);
+
+    return failure;
+  }
+
+  /**
+   * Persist a connection test result without failing the caller
+   * @param {Object} credentials - ExchangeCredentials document
+   * @param {string} status - Connection status
+   * @param {string} error - Error message if any
+   */
+  async saveConnectionStatus(credentials, status, error = null) {
+    try {
+      await credentials.updateConnectionStatus(status, error);
+    } catch (saveError) {
+      logger.error('Failed to save exchange connection status:', saveError);
+    }
+  }
+
+  /**
+   * Reconnect every stored exchange, e.g. at boot
+   * @returns {Promise<number>} Number of exchanges connected
+   */
+  async warmConnections() {
+    const storedCredentials = await ExchangeCredentials.find({ isActive: true });
+    let connected = 0;
+
+    for (const credentials of storedCredentials) {
+      try {
+        await this.connectStoredExchange(credentials);
+        connected++;
+      } catch (error) {
+        // Recorded as a connection failure, retried by the health checks
+      }
+    }
+
+    logger.info(`Warmed ${connected} of ${storedCredentials.length} exchange connections`);
+    return connected;
+  }
+
+  /**
+   * Test connections that have not been checked recently and retry failed
+   * ones whose backoff has ended. A connection failing its test is dropped
+   * and reconnected with backoff.
+   */
+  async runHealthChecks() {
+    const now = new Date();
+
+    for (const [exchangeId, failure] of this.connectionFailures) {
+      if (failure.nextRetryAt > now || this.exchanges.has(exchangeId)) {
+        continue;
+      }
+
+      const credentials = await ExchangeCredentials.findByUserAndExchange(
+        failure.userId,
+        failure.exchangeName
+      );
+      if (!credentials) {
+        this.connectionFailures.delete(exchangeId);
+        continue;
+      }
+
+      await this.connectStoredExchange(credentials).catch(() => null);
+    }
+
+    const maxAgeHours = config.exchangeConnections.healthCheckMaxAge / (60 * 60 * 1000);
+    const staleCredentials = await ExchangeCredentials.findNeedingHealthCheck(maxAgeHours);
+
+    for (const credentials of staleCredentials) {
+      const userId = credentials.userId.toString();
+      const exchangeId = `${userId}_${credentials.exchangeName}`;
+      const connection = this.exchanges.get(exchangeId);
+
+      if (!connection) {
+        await this.connectStoredExchange(credentials).catch(() => null);
+        continue;
+      }
+
+      try {
+        await this.testConnection(connection.exchange);
+        await this.saveConnectionStatus(credentials, 'connected');
+      } catch (error) {
+        this.exchanges.delete(exchangeId);
+        this.recordConnectionFailure(userId, credentials.exchangeName, error);
+        await this.saveConnectionStatus(credentials, 'error', error.message);
+        logger.warn('Exchange failed its health check', {
+          userId,
+          exchangeName: credentials.exchangeName,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the connection status of each of the user's stored exchanges,
+   * reconnecting the ones that are not connected yet
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Stored exchanges with their connection status
+   */
+  async getConnectionStatuses(userId) {
+    const storedCredentials = await ExchangeCredentials.findActiveByUser(userId);
+    await this.connectMissingExchanges(userId, storedCredentials);
+
+    return storedCredentials.map(credentials => {
+      const exchangeName = credentials.exchangeName;
+      const exchangeId = `${userId}_${exchangeName}`;
+      const connection = this.exchanges.get(exchangeId);
+      const failure = this.connectionFailures.get(exchangeId);
+
+      let status = 'disconnected';
+      if (connection) {
+        status = 'connected';
+      } else if (this.pendingConnections.has(exchangeId)) {
+        status = 'connecting';
+      } else if (failure) {
+        status = 'reconnecting';
+      }
+
+      return {
+        id: exchangeId,
+        name: exchangeName,
+        displayName: this.getExchangeDisplayName(exchangeName),
+        sandbox: credentials.sandbox,
+        status,
+        createdAt: connection ? connection.createdAt : credentials.createdAt,
+        lastUsed: connection ? connection.lastUsed : credentials.lastUsed,
+        lastConnectionTest: credentials.lastConnectionTest,
+        lastError: connection ? null : failure?.lastError || credentials.lastError || null,
+        reconnectAttempts: failure ? failure.attempts : 0,
+        nextRetryAt: failure ? failure.nextRetryAt : null
+      };
+    });
+  }
+
   /**
    * Remove exchange for user
    * @param {string} userId - User ID
@@ -171,6 +529,7 @@ class ExchangeManager {
   removeExchange(userId, exchangeName) {
     const exchangeId = `${userId}_${exchangeName}`;
     const deleted = this.exchanges.delete(exchangeId);
+    this.connectionFailures.delete(exchangeId);
 
     if (deleted) {
       logger.info('Removed exchange for user', {
@@ -192,7 +551,7 @@ class ExchangeManager {
     const userExchanges = [];
 
     for (const [exchangeId, exchangeData] of this.exchanges) {
-      if (exchangeData.userId === userId) {
+      if (String(exchangeData.userId) === String(userId)) {
         userExchanges.push({
           id: exchangeId,
           name: exchangeData.exchangeName,
@@ -216,7 +575,7 @@ class ExchangeManager {
    */
   async getExchangeHealth(userId, exchangeName) {
     try {
-      const exchange = this.getExchange(userId, exchangeName);
+      const exchange = await this.loadExchange(userId, exchangeName);
       if (!exchange) {
         return { status: 'not_connected', message: 'Exchange not found' };
       }
@@ -247,7 +606,7 @@ class ExchangeManager {
    * @returns {Promise<Object>} Unified balance
    */
   async getUnifiedBalance(userId) {
-    const userExchanges = this.getUserExchanges(userId);
+    const userExchanges = await this.loadUserExchanges(userId);
     const unifiedBalance = {};
     const exchangeBalances = {};
 
@@ -297,14 +656,8 @@ class ExchangeManager {
    * @returns {string} Display name
    */
   getExchangeDisplayName(exchangeName) {
-    const displayNames = {
-      binance: 'Binance',
-      coinbase: 'Coinbase Pro',
-      kraken: 'Kraken',
-      kucoin: 'KuCoin',
-      lcx: 'LCX'
-    };
-    return displayNames[exchangeName] || exchangeName;
+    const exchange = exchangeRegistry.describe(exchangeName);
+    return exchange ? exchange.name : exchangeName;
   }
 
   /**
@@ -313,45 +666,8 @@ class ExchangeManager {
    * @returns {Object} Exchange features
    */
   getExchangeFeatures(exchangeName) {
-    const features = {
-      binance: {
-        spot: true,
-        futures: true,
-        margin: true,
-        options: false,
-        websocket: true
-      },
-      coinbase: {
-        spot: true,
-        futures: false,
-        margin: true,
-        options: false,
-        websocket: true
-      },
-      kraken: {
-        spot: true,
-        futures: true,
-        margin: true,
-        options: false,
-        websocket: true
-      },
-      kucoin: {
-        spot: true,
-        futures: true,
-        margin: true,
-        options: false,
-        websocket: true
-      },
-      lcx: {
-        spot: true,
-        futures: false,
-        margin: false,
-        options: false,
-        websocket: false
-      }
-    };
-
-    return features[exchangeName] || {};
+    const exchange = exchangeRegistry.describe(exchangeName);
+    return exchange ? exchange.features : {};
   }
 
   /**
@@ -0,0 +1,173 @@
+const ccxt = require('ccxt');
+const LCXExchange = require('./adapters/lcxAdapter');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// ccxt credential names, mapped to the names credentials are stored under
+const CREDENTIAL_FIELDS = {
+  apiKey: 'apiKey',
+  secret: 'secret',
+  password: 'passphrase',
+  uid: 'uid'
+};
+
+/**
+ * Exchange Registry
+ * Resolves the exchanges enabled in config to exchange classes: any ccxt
+ * exchange by id, or a custom adapter registered under that id. Display
+ * name, features, credential fields and timeframes are read from the class.
+ */
+class ExchangeRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.descriptions = new Map();
+
+    this.register('lcx', LCXExchange);
+  }
+
+  /**
+   * Register a custom adapter, taking precedence over a ccxt exchange with
+   * the same id
+   * @param {string} id - Exchange id
+   * @param {Function} ExchangeClass - Class extending ccxt's Exchange
+   */
+  register(id, ExchangeClass) {
+    this.adapters.set(id, ExchangeClass);
+    this.descriptions.delete(id);
+  }
+
+  /**
+   * Get the class implementing an exchange
+   * @param {string} id - Exchange id
+   * @returns {Function|null} Exchange class or null if unknown
+   */
+  getExchangeClass(id) {
+    if (this.adapters.has(id)) {
+      return this.adapters.get(id);
+    }
+
+    const ccxtIds = ccxt.exchanges || Object.keys(ccxt);
+    return ccxtIds.includes(id) && typeof ccxt[id] === 'function' ? ccxt[id] : null;
+  }
+
+  /**
+   * Describe an exchange from its class
+   * @param {string} id - Exchange id
+   * @returns {Object|null} id, name, has, features, credentials, timeframes
+   *   and unsupportedCredentials; null if no class implements the id
+   */
+  describe(id) {
+    if (this.descriptions.has(id)) {
+      return this.descriptions.get(id);
+    }
+
+    const ExchangeClass = this.getExchangeClass(id);
+    if (!ExchangeClass) {
+      logger.warn(`Neither ccxt nor an adapter implements exchange ${id}`);
+      this.descriptions.set(id, null);
+      return null;
+    }
+
+    const exchange = new ExchangeClass();
+    const has = exchange.has || {};
+    const required = exchange.requiredCredentials || { apiKey: true, secret: true };
+
+    const description = {
+      id,
+      name: config.exchanges[id]?.displayName || exchange.name || id,
+      has,
+      features: {
+        spot: has.spot !== false,
+        futures: Boolean(has.swap || has.future),
+        margin: Boolean(has.margin),
+        options: Boolean(has.option),
+        websocket: Boolean(has.ws || ccxt.pro?.[id])
+      },
+      credentials: Object.keys(CREDENTIAL_FIELDS)
+        .filter(name => required[name])
+        .map(name => CREDENTIAL_FIELDS[name]),
+      // e.g. wallet keys of decentralized exchanges, which cannot be stored
+      unsupportedCredentials: Object.keys(required).filter(
+        name => required[name] && !CREDENTIAL_FIELDS[name]
+      ),
+      timeframes: Object.keys(exchange.timeframes || {})
+    };
+
+    if (description.unsupportedCredentials.length > 0) {
+      logger.warn(`Exchange ${id} needs credentials that cannot be stored`, {
+        credentials: description.unsupportedCredentials
+      });
+    }
+
+    this.descriptions.set(id, description);
+    return description;
+  }
+
+  /**
+   * Get the ids of the enabled exchanges users can connect
+   * @returns {Array<string>} Exchange ids
+   */
+  getExchangeIds() {
+    return config.exchangeRegistry.enabled.filter(id => this.isSupported(id));
+  }
+
+  /**
+   * Get descriptions of the enabled exchanges
+   * @returns {Array<Object>} Exchange descriptions, see describe
+   */
+  list() {
+    return this.getExchangeIds().map(id => this.describe(id));
+  }
+
+  /**
+   * Whether an exchange is enabled and can be connected
+   * @param {string} id - Exchange id
+   * @returns {boolean} Supported
+   */
+  isSupported(id) {
+    if (!config.exchangeRegistry.enabled.includes(id)) {
+      return false;
+    }
+
+    const description = this.describe(id);
+    return Boolean(description) && description.unsupportedCredentials.length === 0;
+  }
+
+  /**
+   * Get the credential fields an exchange requires
+   * @param {string} id - Exchange id
+   * @returns {Array<string>} Field names, e.g. apiKey, secret, passphrase, uid
+   */
+  getCredentialFields(id) {
+    const description = this.describe(id);
+    return description ? description.credentials : [];
+  }
+
+  /**
+   * Create an exchange instance
+   * @param {string} id - Exchange id
+   * @param {Object} credentials - apiKey, secret, passphrase and uid, as needed
+   * @param {Object} options - Further ccxt options
+   * @returns {Object} Exchange instance
+   */
+  create(id, credentials = {}, options = {}) {
+    const ExchangeClass = this.getExchangeClass(id);
+    if (!ExchangeClass) {
+      throw new Error(`Exchange class ${id} not found`);
+    }
+
+    const exchangeConfig = { ...options };
+    for (const [ccxtName, name] of Object.entries(CREDENTIAL_FIELDS)) {
+      if (credentials[name]) {
+        exchangeConfig[ccxtName] = credentials[name];
+      }
+    }
+
+    return new ExchangeClass(exchangeConfig);
+  }
+}
+
+// Create singleton instance
+const exchangeRegistry = new ExchangeRegistry();
+
+module.exports = exchangeRegistry;
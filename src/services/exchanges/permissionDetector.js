@@ -0,0 +1,180 @@
+const logger = require('../../utils/logger');
+
+// Permissions an API key is checked for
+const PERMISSIONS = ['spot', 'futures', 'margin', 'withdraw'];
+
+// Key permission endpoints per exchange, mapped to the permission flags
+const KEY_PERMISSION_ENDPOINTS = {
+  binance: {
+    method: 'sapiGetAccountApiRestrictions',
+    parse: response => ({
+      spot: Boolean(response.enableSpotAndMarginTrading),
+      margin: Boolean(response.enableSpotAndMarginTrading && response.enableMargin),
+      futures: Boolean(response.enableFutures),
+      withdraw: Boolean(response.enableWithdrawals)
+    })
+  },
+  coinbase: {
+    method: 'v3PrivateGetBrokerageKeyPermissions',
+    parse: response => ({
+      spot: Boolean(response.can_trade),
+      margin: false,
+      futures: Boolean(response.can_trade && response.portfolio_type === 'INTX'),
+      withdraw: Boolean(response.can_transfer)
+    })
+  },
+  kucoin: {
+    method: 'privateGetUserApiKey',
+    parse: response => {
+      const granted = String((response.data || response).permission || '')
+        .split(',')
+        .map(permission => permission.trim().toLowerCase());
+
+      return {
+        spot: granted.includes('spot'),
+        margin: granted.includes('margin'),
+        futures: granted.includes('futures'),
+        withdraw: granted.includes('withdrawal')
+      };
+    }
+  }
+};
+
+// Read-only calls that need a permission, used where no key permission endpoint exists
+const PROBES = {
+  futures: exchange => (exchange.has?.fetchPositions ? exchange.fetchPositions() : null),
+  withdraw: exchange =>
+    typeof exchange.privatePostWithdrawMethods === 'function'
+      ? exchange.privatePostWithdrawMethods()
+      : null
+};
+
+/**
+ * Permission Detector
+ * Finds out what an exchange API key may do: from the exchange's key
+ * permission endpoint where ccxt exposes one, otherwise from read-only
+ * probes. Permissions a probe cannot establish are reported as unverified.
+ */
+class PermissionDetector {
+  /**
+   * Detect the permissions of the key an exchange instance uses
+   * @param {Object} exchange - CCXT exchange instance
+   * @param {string} exchangeName - Exchange name
+   * @returns {Promise<Object>} spot, futures, margin and withdraw flags, with
+   *   source ('exchange' or 'probe'), unverified permission names and detectedAt
+   */
+  async detect(exchange, exchangeName) {
+    const endpoint = KEY_PERMISSION_ENDPOINTS[exchangeName];
+
+    if (endpoint && typeof exchange[endpoint.method] === 'function') {
+      try {
+        const response = await exchange[endpoint.method]();
+        return {
+          ...endpoint.parse(response || {}),
+          source: 'exchange',
+          unverified: [],
+          detectedAt: new Date()
+        };
+      } catch (error) {
+        // Sandboxes often lack the endpoint; fall back to probing
+        logger.warn(`Key permission endpoint failed for ${exchangeName}, probing instead`, {
+          error: error.message
+        });
+      }
+    }
+
+    return this.probe(exchange);
+  }
+
+  /**
+   * Detect permissions with read-only calls
+   * @param {Object} exchange - CCXT exchange instance
+   * @returns {Promise<Object>} Permissions, see detect
+   */
+  async probe(exchange) {
+    const permissions = { source: 'probe', unverified: [], detectedAt: new Date() };
+
+    // A readable balance is the best sign of spot access short of placing an
+    // order, so spot stays unverified unless the key was refused outright
+    const spot = await this.runProbe(() => exchange.fetchBalance());
+    permissions.spot = Boolean(spot);
+    if (spot !== false) {
+      permissions.unverified.push('spot');
+    }
+
+    for (const permission of ['futures', 'withdraw']) {
+      const granted = await this.runProbe(() => PROBES[permission](exchange));
+      permissions[permission] = Boolean(granted);
+      if (granted === null) {
+        permissions.unverified.push(permission);
+      }
+    }
+
+    // No read-only call tells margin access apart from spot access
+    permissions.margin = false;
+    permissions.unverified.push('margin');
+
+    return permissions;
+  }
+
+  /**
+   * Run a probe call
+   * @param {Function} call - Returns the call's promise, or null when it is unavailable
+   * @returns {Promise<boolean|null>} Whether the call was allowed, null if unknown
+   */
+  async runProbe(call) {
+    try {
+      const pending = call();
+      if (pending === null) {
+        return null;
+      }
+
+      await pending;
+      return true;
+    } catch (error) {
+      if (this.isPermissionError(error)) {
+        return false;
+      }
+
+      // Anything else, e.g. a timeout, says nothing about the key
+      return null;
+    }
+  }
+
+  /**
+   * Whether an exchange error means the key lacks a permission
+   * @param {Error} error - Exchange error
+   * @returns {boolean} Permission error
+   */
+  isPermissionError(error) {
+    return (
+      error.name === 'PermissionDenied' ||
+      /permission|not allowed|unauthori[sz]ed|forbidden/i.test(error.message)
+    );
+  }
+
+  /**
+   * Market type of an order: futures for derivatives markets, margin for
+   * leveraged spot orders, otherwise spot
+   * @param {Object} market - CCXT market
+   * @param {Object} orderData - Order parameters
+   * @returns {string} spot, margin or futures
+   */
+  getMarketType(market, orderData) {
+    if (market.contract || ['swap', 'future', 'option'].includes(market.type)) {
+      return 'futures';
+    }
+
+    if (market.type === 'margin' || orderData.marginMode || orderData.leverage > 1) {
+      return 'margin';
+    }
+
+    return 'spot';
+  }
+}
+
+// Create singleton instance
+const permissionDetector = new PermissionDetector();
+permissionDetector.PERMISSIONS = PERMISSIONS;
+
+module.exports = permissionDetector;
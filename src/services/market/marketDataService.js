@@ -7,11 +7,7 @@ class MarketDataService {
     this.orderbooks = new Map();
     this.trades = new Map();
     this.candles = new Map();
-    this.updateInterval = 5000; // 5 seconds
     this.subscribers = new Set();
-    this.isUpdating = false;
-
-    this.startMarketDataUpdates();
   }
 
   async getTicker(exchangeName, symbol) {
@@ -25,21 +21,7 @@ class MarketDataService {
 
       const exchange = this.getExchangeInstance(exchangeName);
       const ticker = await exchange.fetchTicker(symbol);
-
-      const tickerData = {
-        symbol,
-        exchange: exchangeName,
-        last: ticker.last,
-        bid: ticker.bid,
-        ask: ticker.ask,
-        high: ticker.high,
-        low: ticker.low,
-        volume: ticker.quoteVolume || ticker.baseVolume,
-        change: ticker.change,
-        percentage: ticker.percentage,
-        timestamp: ticker.timestamp || Date.now(),
-        datetime: ticker.datetime || new Date().toISOString()
-      };
+      const tickerData = this.formatTicker(exchangeName, symbol, ticker);
 
       this.tickers.set(cacheKey, {
         data: tickerData,
@@ -80,32 +62,7 @@ class MarketDataService {
         })
       );
 
-      if (tickers.length === 0) {
-        throw new Error(`No price data available for ${symbol}`);
-      }
-
-      const avgPrice = tickers.reduce((sum, ticker) => sum + ticker.last, 0) / tickers.length;
-      const bestBid = Math.max(...tickers.map(t => t.bid).filter(Boolean));
-      const bestAsk = Math.min(...tickers.map(t => t.ask).filter(Boolean));
-      const totalVolume = tickers.reduce((sum, ticker) => sum + (ticker.volume || 0), 0);
-      const spread = bestAsk - bestBid;
-      const spreadPercentage = (spread / avgPrice) * 100;
-
-      return {
-        symbol,
-        unified: {
-          averagePrice: avgPrice,
-          bestBid,
-          bestAsk,
-          spread,
-          spreadPercentage,
-          totalVolume,
-          exchangeCount: tickers.length
-        },
-        byExchange: tickers,
-        errors,
-        timestamp: new Date().toISOString()
-      };
+      return this.buildUnifiedTicker(symbol, tickers, errors);
     } catch (error) {
       logger.error('Failed to get unified ticker', {
         symbol,
@@ -126,29 +83,7 @@ class MarketDataService {
 
       const exchange = this.getExchangeInstance(exchangeName);
       const orderbook = await exchange.fetchOrderBook(symbol, limit);
-
-      const orderbookData = {
-        symbol,
-        exchange: exchangeName,
-        bids: orderbook.bids.slice(0, limit),
-        asks: orderbook.asks.slice(0, limit),
-        timestamp: orderbook.timestamp || Date.now(),
-        datetime: orderbook.datetime || new Date().toISOString(),
-        nonce: orderbook.nonce
-      };
-
-      // Calculate orderbook metrics
-      orderbookData.spread = orderbookData.asks[0]
-        ? orderbookData.asks[0][0] - orderbookData.bids[0][0]
-        : 0;
-
-      orderbookData.midPrice =
-        orderbookData.asks[0] && orderbookData.bids[0]
-          ? (orderbookData.asks[0][0] + orderbookData.bids[0][0]) / 2
-          : 0;
-
-      orderbookData.bidDepth = orderbookData.bids.reduce((sum, bid) => sum + bid[1], 0);
-      orderbookData.askDepth = orderbookData.asks.reduce((sum, ask) => sum + ask[1], 0);
+      const orderbookData = this.formatOrderbook(exchangeName, symbol, orderbook, limit);
 
       this.orderbooks.set(cacheKey, {
         data: orderbookData,
@@ -189,46 +124,7 @@ class MarketDataService {
         })
       );
 
-      if (orderbooks.length === 0) {
-        throw new Error(`No orderbook data available for ${symbol}`);
-      }
-
-      // Merge and sort all bids and asks
-      const allBids = [];
-      const allAsks = [];
-
-      orderbooks.forEach(orderbook => {
-        orderbook.bids.forEach(bid => {
-          allBids.push([bid[0], bid[1], orderbook.exchange]);
-        });
-        orderbook.asks.forEach(ask => {
-          allAsks.push([ask[0], ask[1], orderbook.exchange]);
-        });
-      });
-
-      // Sort bids (highest price first) and asks (lowest price first)
-      allBids.sort((a, b) => b[0] - a[0]);
-      allAsks.sort((a, b) => a[0] - b[0]);
-
-      const unifiedOrderbook = {
-        symbol,
-        unified: {
-          bids: allBids.slice(0, limit),
-          asks: allAsks.slice(0, limit),
-          bestBid: allBids[0] ? allBids[0][0] : 0,
-          bestAsk: allAsks[0] ? allAsks[0][0] : 0,
-          spread: allAsks[0] && allBids[0] ? allAsks[0][0] - allBids[0][0] : 0,
-          midPrice: allAsks[0] && allBids[0] ? (allAsks[0][0] + allBids[0][0]) / 2 : 0,
-          totalBidDepth: allBids.reduce((sum, bid) => sum + bid[1], 0),
-          totalAskDepth: allAsks.reduce((sum, ask) => sum + ask[1], 0),
-          exchangeCount: orderbooks.length
-        },
-        byExchange: orderbooks,
-        errors,
-        timestamp: new Date().toISOString()
-      };
-
-      return unifiedOrderbook;
+      return this.buildUnifiedOrderbook(symbol, orderbooks, limit, errors);
     } catch (error) {
       logger.error('Failed to get unified orderbook', {
         symbol,
@@ -253,17 +149,7 @@ class MarketDataService {
       const tradesData = {
         symbol,
         exchange: exchangeName,
-        trades: trades.map(trade => ({
-          id: trade.id,
-          timestamp: trade.timestamp,
-          datetime: trade.datetime,
-          price: trade.price,
-          amount: trade.amount,
-          cost: trade.cost,
-          side: trade.side,
-          takerOrMaker: trade.takerOrMaker,
-          fee: trade.fee
-        })),
+        trades: trades.map(trade => this.formatTrade(trade)),
         count: trades.length,
         timestamp: Date.now()
       };
@@ -335,6 +221,43 @@ class MarketDataService {
     }
   }
 
+  /**
+   * Price of a pair at a past time: the close of the hourly candle it falls in
+   * @param {string} exchangeName - Exchange name
+   * @param {string} symbol - Trading pair
+   * @param {Date|number} timestamp - Time to price at
+   * @returns {Promise<number>} Price in the pair's quote currency
+   */
+  async getHistoricalPrice(exchangeName, symbol, timestamp) {
+    try {
+      const exchange = this.getExchangeInstance(exchangeName);
+
+      if (!exchange.has.fetchOHLCV) {
+        throw new Error(`${exchangeName} does not support OHLCV data`);
+      }
+
+      const hour = 60 * 60 * 1000;
+      const since = Math.floor(new Date(timestamp).getTime() / hour) * hour;
+      const [candle] = await exchange.fetchOHLCV(symbol, '1h', since, 1);
+
+      if (!candle || candle[0] !== since) {
+        throw new Error(
+          `No ${symbol} price on ${exchangeName} at ${new Date(since).toISOString()}`
+        );
+      }
+
+      return candle[4];
+    } catch (error) {
+      logger.error('Failed to get historical price', {
+        exchangeName,
+        symbol,
+        timestamp,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   async getMarkets(exchangeName) {
     try {
       const exchange = this.getExchangeInstance(exchangeName);
@@ -432,74 +355,208 @@ class MarketDataService {
     }
   }
 
-  getExchangeInstance(exchangeName) {
-    const supportedExchanges = exchangeManager.getSupportedExchanges();
-    const exchange = supportedExchanges.find(e => e.id === exchangeName);
+  /**
+   * Normalize a ccxt ticker for a single exchange
+   * @param {string} exchangeName - Exchange name
+   * @param {string} symbol - Trading symbol
+   * @param {Object} ticker - ccxt ticker structure
+   * @returns {Object} Ticker data
+   */
+  formatTicker(exchangeName, symbol, ticker) {
+    return {
+      symbol,
+      exchange: exchangeName,
+      last: ticker.last,
+      bid: ticker.bid,
+      ask: ticker.ask,
+      high: ticker.high,
+      low: ticker.low,
+      volume: ticker.quoteVolume || ticker.baseVolume,
+      change: ticker.change,
+      percentage: ticker.percentage,
+      timestamp: ticker.timestamp || Date.now(),
+      datetime: ticker.datetime || new Date().toISOString()
+    };
+  }
 
-    if (!exchange || !exchange.enabled) {
-      throw new Error(`Exchange ${exchangeName} is not supported or disabled`);
-    }
+  /**
+   * Normalize a ccxt order book for a single exchange
+   * @param {string} exchangeName - Exchange name
+   * @param {string} symbol - Trading symbol
+   * @param {Object} orderbook - ccxt order book structure
+   * @param {number} limit - Number of levels per side
+   * @returns {Object} Order book data with spread and depth metrics
+   */
+  formatOrderbook(exchangeName, symbol, orderbook, limit = 20) {
+    const orderbookData = {
+      symbol,
+      exchange: exchangeName,
+      bids: orderbook.bids.slice(0, limit),
+      asks: orderbook.asks.slice(0, limit),
+      timestamp: orderbook.timestamp || Date.now(),
+      datetime: orderbook.datetime || new Date().toISOString(),
+      nonce: orderbook.nonce
+    };
 
-    let ExchangeClass;
-    if (exchangeName === 'lcx') {
-      const LCXExchange = require('../exchanges/adapters/lcxAdapter');
-      ExchangeClass = LCXExchange;
-    } else {
-      const ccxt = require('ccxt');
-      ExchangeClass = ccxt[exchangeName];
+    // Calculate orderbook metrics
+    orderbookData.spread =
+      orderbookData.asks[0] && orderbookData.bids[0]
+        ? orderbookData.asks[0][0] - orderbookData.bids[0][0]
+        : 0;
+
+    orderbookData.midPrice =
+      orderbookData.asks[0] && orderbookData.bids[0]
+        ? (orderbookData.asks[0][0] + orderbookData.bids[0][0]) / 2
+        : 0;
+
+    orderbookData.bidDepth = orderbookData.bids.reduce((sum, bid) => sum + bid[1], 0);
+    orderbookData.askDepth = orderbookData.asks.reduce((sum, ask) => sum + ask[1], 0);
+
+    return orderbookData;
+  }
+
+  /**
+   * Normalize a ccxt trade
+   * @param {Object} trade - ccxt trade structure
+   * @returns {Object} Trade data
+   */
+  formatTrade(trade) {
+    return {
+      id: trade.id,
+      timestamp: trade.timestamp,
+      datetime: trade.datetime,
+      price: trade.price,
+      amount: trade.amount,
+      cost: trade.cost,
+      side: trade.side,
+      takerOrMaker: trade.takerOrMaker,
+      fee: trade.fee
+    };
+  }
+
+  /**
+   * Combine per-exchange tickers into a unified ticker
+   * @param {string} symbol - Trading symbol
+   * @param {Array} tickers - Tickers from formatTicker
+   * @param {Array} errors - Per-exchange errors to report
+   * @returns {Object} Unified ticker
+   */
+  buildUnifiedTicker(symbol, tickers, errors = []) {
+    if (tickers.length === 0) {
+      throw new Error(`No price data available for ${symbol}`);
     }
 
-    if (!ExchangeClass) {
-      throw new Error(`Exchange class ${exchangeName} not found`);
+    const avgPrice = tickers.reduce((sum, ticker) => sum + ticker.last, 0) / tickers.length;
+    const bestBid = Math.max(...tickers.map(t => t.bid).filter(Boolean));
+    const bestAsk = Math.min(...tickers.map(t => t.ask).filter(Boolean));
+    const totalVolume = tickers.reduce((sum, ticker) => sum + (ticker.volume || 0), 0);
+    const spread = bestAsk - bestBid;
+    const spreadPercentage = (spread / avgPrice) * 100;
+
+    return {
+      symbol,
+      unified: {
+        averagePrice: avgPrice,
+        bestBid,
+        bestAsk,
+        spread,
+        spreadPercentage,
+        totalVolume,
+        exchangeCount: tickers.length
+      },
+      byExchange: tickers,
+      errors,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Merge per-exchange order books into a unified order book
+   * @param {string} symbol - Trading symbol
+   * @param {Array} orderbooks - Order books from formatOrderbook
+   * @param {number} limit - Number of levels per side
+   * @param {Array} errors - Per-exchange errors to report
+   * @returns {Object} Unified order book
+   */
+  buildUnifiedOrderbook(symbol, orderbooks, limit = 20, errors = []) {
+    if (orderbooks.length === 0) {
+      throw new Error(`No orderbook data available for ${symbol}`);
     }
 
-    return new ExchangeClass({
-      enableRateLimit: true,
-      sandbox: false
+    // Merge and sort all bids and asks
+    const allBids = [];
+    const allAsks = [];
+
+    orderbooks.forEach(orderbook => {
+      orderbook.bids.forEach(bid => {
+        allBids.push([bid[0], bid[1], orderbook.exchange]);
+      });
+      orderbook.asks.forEach(ask => {
+        allAsks.push([ask[0], ask[1], orderbook.exchange]);
+      });
     });
-  }
 
-  subscribe(callback) {
-    this.subscribers.add(callback);
-    return () => this.subscribers.delete(callback);
+    // Sort bids (highest price first) and asks (lowest price first)
+    allBids.sort((a, b) => b[0] - a[0]);
+    allAsks.sort((a, b) => a[0] - b[0]);
+
+    return {
+      symbol,
+      unified: {
+        bids: allBids.slice(0, limit),
+        asks: allAsks.slice(0, limit),
+        bestBid: allBids[0] ? allBids[0][0] : 0,
+        bestAsk: allAsks[0] ? allAsks[0][0] : 0,
+        spread: allAsks[0] && allBids[0] ? allAsks[0][0] - allBids[0][0] : 0,
+        midPrice: allAsks[0] && allBids[0] ? (allAsks[0][0] + allBids[0][0]) / 2 : 0,
+        totalBidDepth: allBids.reduce((sum, bid) => sum + bid[1], 0),
+        totalAskDepth: allAsks.reduce((sum, ask) => sum + ask[1], 0),
+        exchangeCount: orderbooks.length
+      },
+      byExchange: orderbooks,
+      errors,
+      timestamp: new Date().toISOString()
+    };
   }
 
-  async startMarketDataUpdates() {
-    if (this.isUpdating) {
-      return;
-    }
+  getExchangeInstance(exchangeName) {
+    const supportedExchanges = exchangeManager.getSupportedExchanges();
+    const exchange = supportedExchanges.find(e => e.id === exchangeName);
 
-    this.isUpdating = true;
+    if (!exchange || !exchange.enabled) {
+      throw new Error(`Exchange ${exchangeName} is not supported or disabled`);
+    }
 
-    setInterval(async () => {
-      try {
-        await this.updateMarketData();
-      } catch (error) {
-        logger.error('Market data update error', error);
+    // Loaded on demand, like the exchange classes it resolves
+    const exchangeRegistry = require('../exchanges/exchangeRegistry');
+    return exchangeRegistry.create(
+      exchangeName,
+      {},
+      {
+        enableRateLimit: true,
+        sandbox: false
       }
-    }, this.updateInterval);
+    );
   }
 
-  async updateMarketData() {
-    const popularSymbols = ['BTC/USDC'];
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
 
-    for (const symbol of popularSymbols) {
+  /**
+   * Deliver a market data update to all subscribers
+   * @param {string} type - Update type (ticker, orderbook, trades)
+   * @param {Object} data - Update payload ({ symbol, data })
+   */
+  publish(type, data) {
+    this.subscribers.forEach(callback => {
       try {
-        const unifiedTicker = await this.getUnifiedTicker(symbol);
-
-        // Notify subscribers
-        this.subscribers.forEach(callback => {
-          try {
-            callback('ticker', { symbol, data: unifiedTicker });
-          } catch (error) {
-            logger.error('Subscriber callback error', error);
-          }
-        });
+        callback(type, data);
       } catch (error) {
-        // Continue with other symbols if one fails
-        logger.error(`Failed to update ${symbol}`, error);
+        logger.error('Subscriber callback error', error);
       }
-    }
+    });
   }
 
   clearCache() {
@@ -516,9 +573,7 @@ class MarketDataService {
       orderbooksCount: this.orderbooks.size,
       tradesCount: this.trades.size,
       candlesCount: this.candles.size,
-      subscribersCount: this.subscribers.size,
-      updateInterval: this.updateInterval,
-      isUpdating: this.isUpdating
+      subscribersCount: this.subscribers.size
     };
   }
 }
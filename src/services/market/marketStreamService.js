@@ -0,0 +1,492 @@
+const exchangeManager = require('../exchanges/exchangeManager');
+const marketDataService = require('./marketDataService');
+const logger = require('../../utils/logger');
+
+// ccxt pro watch/unwatch methods and REST fallbacks for each channel
+const CHANNELS = {
+  ticker: {
+    watch: 'watchTicker',
+    unwatch: 'unWatchTicker',
+    fetch: 'getTicker'
+  },
+  orderbook: {
+    watch: 'watchOrderBook',
+    unwatch: 'unWatchOrderBook',
+    fetch: 'getOrderbook'
+  },
+  trades: {
+    watch: 'watchTrades',
+    unwatch: 'unWatchTrades',
+    fetch: 'getRecentTrades'
+  }
+};
+
+/**
+ * Market Stream Service
+ * Streams tickers, order books and trades for the symbols clients are
+ * subscribed to. Exchanges with native websocket support are watched
+ * through ccxt pro, the rest are polled over REST. Updates from all
+ * enabled exchanges are merged and published through marketDataService.
+ */
+class MarketStreamService {
+  constructor() {
+    this.streams = new Map();
+    this.clients = new Map();
+    this.pollInterval = 5000;
+    this.publishInterval = 250; // Minimum time between ticker/orderbook updates
+    this.orderbookLimit = 20;
+    this.retryDelay = 1000;
+    this.maxRetryDelay = 30000;
+    this.maxStreamErrors = 5; // Consecutive errors before falling back to REST polling
+    this.exchangeFactory = exchangeName => {
+      const ccxt = require('ccxt');
+      const ExchangeClass = ccxt.pro[exchangeName];
+
+      if (!ExchangeClass) {
+        throw new Error(`Streaming exchange class ${exchangeName} not found`);
+      }
+
+      return new ExchangeClass({ enableRateLimit: true });
+    };
+  }
+
+  /**
+   * Override how streaming exchange clients are created
+   * @param {Function} factory - Receives an exchange name, returns a ccxt pro compatible client
+   */
+  setExchangeFactory(factory) {
+    this.exchangeFactory = factory;
+  }
+
+  /**
+   * Add a subscriber to a stream, starting it on the first subscription
+   * @param {string} channel - ticker, orderbook or trades
+   * @param {string} symbol - Trading symbol
+   * @returns {number} Number of subscribers for the stream
+   */
+  subscribe(channel, symbol) {
+    if (!CHANNELS[channel]) {
+      throw new Error(`Unsupported market data channel: ${channel}`);
+    }
+
+    const key = `${channel}:${symbol}`;
+    const existing = this.streams.get(key);
+
+    if (existing) {
+      existing.subscribers++;
+      return existing.subscribers;
+    }
+
+    const stream = {
+      key,
+      channel,
+      symbol,
+      subscribers: 1,
+      workers: new Map(),
+      latest: new Map(),
+      lastPublishedAt: 0,
+      publishTimer: null
+    };
+    this.streams.set(key, stream);
+
+    exchangeManager
+      .getSupportedExchanges()
+      .filter(exchange => exchange.enabled)
+      .forEach(exchange => this.startWorker(stream, exchange));
+
+    logger.info('Market stream started', {
+      channel,
+      symbol,
+      exchanges: Array.from(stream.workers.values()).map(worker => `${worker.exchangeName}:${worker.mode}`)
+    });
+
+    return stream.subscribers;
+  }
+
+  /**
+   * Remove a subscriber from a stream, stopping it when none are left
+   * @param {string} channel - ticker, orderbook or trades
+   * @param {string} symbol - Trading symbol
+   * @returns {number} Number of remaining subscribers
+   */
+  unsubscribe(channel, symbol) {
+    const stream = this.streams.get(`${channel}:${symbol}`);
+
+    if (!stream) {
+      return 0;
+    }
+
+    stream.subscribers--;
+
+    if (stream.subscribers > 0) {
+      return stream.subscribers;
+    }
+
+    this.stopStream(stream);
+    this.releaseClients();
+
+    logger.info('Market stream stopped', { channel, symbol });
+
+    return 0;
+  }
+
+  /**
+   * Start watching a stream on one exchange
+   * @param {Object} stream - Stream state
+   * @param {Object} exchange - Exchange from exchangeManager.getSupportedExchanges
+   */
+  startWorker(stream, exchange) {
+    const worker = {
+      exchangeName: exchange.id,
+      mode: 'polling',
+      active: true,
+      client: null,
+      timer: null,
+      errors: 0,
+      lastTradeTimestamp: 0,
+      lastTradeIds: new Set()
+    };
+    stream.workers.set(exchange.id, worker);
+
+    if (exchange.features?.websocket) {
+      const client = this.getClient(exchange.id);
+
+      if (client && typeof client[CHANNELS[stream.channel].watch] === 'function') {
+        worker.mode = 'websocket';
+        worker.client = client;
+        this.runWatchLoop(stream, worker);
+        return;
+      }
+    }
+
+    this.schedulePoll(stream, worker, 0);
+  }
+
+  /**
+   * Stop a stream on all exchanges
+   * @param {Object} stream - Stream state
+   */
+  stopStream(stream) {
+    this.streams.delete(stream.key);
+    clearTimeout(stream.publishTimer);
+
+    stream.workers.forEach(worker => {
+      worker.active = false;
+      clearTimeout(worker.timer);
+
+      const unwatch = worker.client?.[CHANNELS[stream.channel].unwatch];
+      if (typeof unwatch === 'function') {
+        Promise.resolve()
+          .then(() => unwatch.call(worker.client, stream.symbol))
+          .catch(error => {
+            logger.debug('Failed to unwatch market stream', {
+              exchange: worker.exchangeName,
+              stream: stream.key,
+              error: error.message
+            });
+          });
+      }
+    });
+  }
+
+  /**
+   * Watch a stream over the exchange websocket until it is stopped
+   * @param {Object} stream - Stream state
+   * @param {Object} worker - Exchange worker state
+   */
+  async runWatchLoop(stream, worker) {
+    const method = CHANNELS[stream.channel].watch;
+
+    while (worker.active) {
+      try {
+        const data =
+          stream.channel === 'orderbook'
+            ? await worker.client[method](stream.symbol, this.orderbookLimit)
+            : await worker.client[method](stream.symbol);
+
+        worker.errors = 0;
+
+        if (worker.active) {
+          this.handleUpdate(stream, worker, this.formatUpdate(stream, worker, data));
+        }
+      } catch (error) {
+        if (!worker.active) {
+          break;
+        }
+
+        worker.errors++;
+        logger.warn('Market stream error', {
+          exchange: worker.exchangeName,
+          stream: stream.key,
+          attempt: worker.errors,
+          error: error.message
+        });
+
+        if (worker.errors >= this.maxStreamErrors) {
+          logger.warn('Falling back to REST polling for market stream', {
+            exchange: worker.exchangeName,
+            stream: stream.key
+          });
+          worker.mode = 'polling';
+          worker.client = null;
+          worker.errors = 0;
+          this.releaseClients();
+          this.schedulePoll(stream, worker, 0);
+          return;
+        }
+
+        await this.delay(Math.min(this.retryDelay * 2 ** (worker.errors - 1), this.maxRetryDelay));
+      }
+    }
+  }
+
+  /**
+   * Schedule the next REST poll for an exchange without websocket support
+   * @param {Object} stream - Stream state
+   * @param {Object} worker - Exchange worker state
+   * @param {number} wait - Delay before polling in ms
+   */
+  schedulePoll(stream, worker, wait) {
+    worker.timer = setTimeout(async () => {
+      await this.poll(stream, worker);
+
+      if (worker.active) {
+        this.schedulePoll(stream, worker, this.pollInterval);
+      }
+    }, wait);
+  }
+
+  /**
+   * Fetch the latest stream data over REST
+   * @param {Object} stream - Stream state
+   * @param {Object} worker - Exchange worker state
+   */
+  async poll(stream, worker) {
+    try {
+      const fetch = CHANNELS[stream.channel].fetch;
+      const data =
+        stream.channel === 'orderbook'
+          ? await marketDataService[fetch](worker.exchangeName, stream.symbol, this.orderbookLimit)
+          : await marketDataService[fetch](worker.exchangeName, stream.symbol);
+
+      if (worker.active) {
+        this.handleUpdate(stream, worker, data);
+      }
+    } catch (error) {
+      logger.warn('Market data poll failed', {
+        exchange: worker.exchangeName,
+        stream: stream.key,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Convert raw ccxt pro data into the marketDataService format
+   * @param {Object} stream - Stream state
+   * @param {Object} worker - Exchange worker state
+   * @param {Object|Array} data - Ticker, order book or trades from the exchange
+   * @returns {Object} Formatted update
+   */
+  formatUpdate(stream, worker, data) {
+    if (stream.channel === 'ticker') {
+      return marketDataService.formatTicker(worker.exchangeName, stream.symbol, data);
+    }
+
+    if (stream.channel === 'orderbook') {
+      return marketDataService.formatOrderbook(
+        worker.exchangeName,
+        stream.symbol,
+        data,
+        this.orderbookLimit
+      );
+    }
+
+    return {
+      symbol: stream.symbol,
+      exchange: worker.exchangeName,
+      trades: data.map(trade => marketDataService.formatTrade(trade)),
+      count: data.length,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Record an exchange update and publish it to subscribers
+   * @param {Object} stream - Stream state
+   * @param {Object} worker - Exchange worker state
+   * @param {Object} update - Formatted ticker, order book or trades
+   */
+  handleUpdate(stream, worker, update) {
+    if (stream.channel !== 'trades') {
+      stream.latest.set(worker.exchangeName, update);
+      this.schedulePublish(stream);
+      return;
+    }
+
+    // Trade feeds return recent history, so only pass on trades not seen before
+    const trades = update.trades.filter(
+      trade =>
+        trade.timestamp > worker.lastTradeTimestamp ||
+        (trade.timestamp === worker.lastTradeTimestamp && !worker.lastTradeIds.has(trade.id))
+    );
+
+    if (trades.length === 0) {
+      return;
+    }
+
+    const latestTimestamp = Math.max(...trades.map(trade => trade.timestamp));
+    if (latestTimestamp > worker.lastTradeTimestamp) {
+      worker.lastTradeTimestamp = latestTimestamp;
+      worker.lastTradeIds.clear();
+    }
+    trades
+      .filter(trade => trade.timestamp === latestTimestamp)
+      .forEach(trade => worker.lastTradeIds.add(trade.id));
+
+    marketDataService.publish('trades', {
+      symbol: stream.symbol,
+      data: { ...update, trades, count: trades.length }
+    });
+  }
+
+  /**
+   * Publish the merged ticker or order book, at most once per publish interval
+   * @param {Object} stream - Stream state
+   */
+  schedulePublish(stream) {
+    if (stream.publishTimer) {
+      return;
+    }
+
+    const wait = stream.lastPublishedAt + this.publishInterval - Date.now();
+
+    if (wait <= 0) {
+      this.publishSnapshot(stream);
+      return;
+    }
+
+    stream.publishTimer = setTimeout(() => {
+      stream.publishTimer = null;
+      this.publishSnapshot(stream);
+    }, wait);
+  }
+
+  /**
+   * Merge the latest data from every exchange and publish it
+   * @param {Object} stream - Stream state
+   */
+  publishSnapshot(stream) {
+    if (!this.streams.has(stream.key)) {
+      return;
+    }
+
+    const updates = Array.from(stream.latest.values());
+    const data =
+      stream.channel === 'ticker'
+        ? marketDataService.buildUnifiedTicker(stream.symbol, updates)
+        : marketDataService.buildUnifiedOrderbook(stream.symbol, updates, this.orderbookLimit);
+
+    stream.lastPublishedAt = Date.now();
+    marketDataService.publish(stream.channel, { symbol: stream.symbol, data });
+  }
+
+  /**
+   * Get or create the shared streaming client for an exchange
+   * @param {string} exchangeName - Exchange name
+   * @returns {Object|null} Streaming client, or null if it cannot be created
+   */
+  getClient(exchangeName) {
+    if (this.clients.has(exchangeName)) {
+      return this.clients.get(exchangeName);
+    }
+
+    try {
+      const client = this.exchangeFactory(exchangeName);
+      this.clients.set(exchangeName, client);
+      return client;
+    } catch (error) {
+      logger.warn('Failed to create streaming client, using REST polling', {
+        exchange: exchangeName,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Close streaming clients that no active stream is using
+   */
+  releaseClients() {
+    const inUse = new Set();
+
+    this.streams.forEach(stream => {
+      stream.workers.forEach(worker => {
+        if (worker.client) {
+          inUse.add(worker.exchangeName);
+        }
+      });
+    });
+
+    this.clients.forEach((client, exchangeName) => {
+      if (!inUse.has(exchangeName)) {
+        this.clients.delete(exchangeName);
+        this.closeClient(exchangeName, client);
+      }
+    });
+  }
+
+  /**
+   * Close a streaming client connection
+   * @param {string} exchangeName - Exchange name
+   * @param {Object} client - Streaming client
+   */
+  closeClient(exchangeName, client) {
+    if (typeof client.close !== 'function') {
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => client.close())
+      .catch(error => {
+        logger.warn('Failed to close streaming client', {
+          exchange: exchangeName,
+          error: error.message
+        });
+      });
+  }
+
+  /**
+   * Stop all streams and close all clients
+   */
+  stop() {
+    this.streams.forEach(stream => this.stopStream(stream));
+    this.releaseClients();
+    logger.info('Market stream service stopped');
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStats() {
+    return {
+      activeStreams: this.streams.size,
+      connectedClients: this.clients.size,
+      pollInterval: this.pollInterval,
+      streams: Array.from(this.streams.values()).map(stream => ({
+        channel: stream.channel,
+        symbol: stream.symbol,
+        subscribers: stream.subscribers,
+        exchanges: Array.from(stream.workers.values()).map(worker => ({
+          exchange: worker.exchangeName,
+          mode: worker.mode
+        }))
+      }))
+    };
+  }
+}
+
+const marketStreamService = new MarketStreamService();
+
+module.exports = marketStreamService;
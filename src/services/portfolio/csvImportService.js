@@ -0,0 +1,625 @@
+const crypto = require('crypto');
+const Order = require('../../models/Order');
+const TradingPosition = require('../../models/TradingPosition');
+const ImportBatch = require('../../models/ImportBatch');
+const ImportTemplate = require('../../models/ImportTemplate');
+const portfolioService = require('./portfolioService');
+const { formats, fromTemplate } = require('./importFormats');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const IMPORT_SOURCE = 'csv_import';
+const MAX_STORED_ERRORS = 1000;
+const PREVIEW_TRADES = 50;
+
+/**
+ * CSV Import Service
+ * Imports trade history files from venues that are not connected through an
+ * API. A file is parsed into a preview batch first; committing the batch
+ * creates orders on the 'imported' exchange, long positions and portfolio
+ * holdings, all tagged with the batch so it can be reverted as a unit.
+ */
+class CsvImportService {
+  /**
+   * List built-in import formats
+   * @returns {Array} Formats
+   */
+  getFormats() {
+    return Object.entries(formats).map(([id, format]) => ({
+      id,
+      name: format.name,
+      description: format.description,
+      requiredColumns: format.requiredColumns
+    }));
+  }
+
+  /**
+   * Save a user-defined column mapping
+   * @param {string} userId - User ID
+   * @param {Object} templateData - Template fields
+   * @returns {Promise<Object>} Template
+   */
+  async createTemplate(userId, templateData) {
+    const existing = await ImportTemplate.findOne({ userId, name: templateData.name });
+    if (existing) {
+      throw new Error(`Template ${templateData.name} already exists`);
+    }
+
+    const template = new ImportTemplate({ ...templateData, userId });
+    await template.save();
+
+    logger.info(`Created import template ${template._id} for user ${userId}`);
+    return template;
+  }
+
+  /**
+   * Get a user's mapping templates
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Templates
+   */
+  getTemplates(userId) {
+    return ImportTemplate.find({ userId }).sort({ name: 1 });
+  }
+
+  /**
+   * Delete a mapping template
+   * @param {string} userId - User ID
+   * @param {string} templateId - Template ID
+   */
+  async deleteTemplate(userId, templateId) {
+    const template = await ImportTemplate.findOneAndDelete({ _id: templateId, userId });
+    if (!template) {
+      throw new Error('Import template not found');
+    }
+  }
+
+  /**
+   * Parse and validate a trade history file into a preview batch
+   * @param {string} userId - User ID
+   * @param {Object} importData - venue, csv, fileName and one of format,
+   * templateId or mapping
+   * @returns {Promise<Object>} Preview batch
+   */
+  async previewImport(userId, importData) {
+    const { format, formatId, template } = await this.resolveFormat(userId, importData);
+    const records = this.parseRecords(importData.csv, (template && template.delimiter) || ',');
+
+    if (records.length > config.imports.maxRows) {
+      throw new Error(`Import exceeds the limit of ${config.imports.maxRows} rows`);
+    }
+
+    const headers = records.length > 0 ? Object.keys(records[0]) : [];
+    const missing = format.requiredColumns.filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Missing required columns: ${missing.join(', ')}`);
+    }
+
+    const batch = new ImportBatch({
+      userId,
+      venue: importData.venue,
+      format: formatId,
+      templateId: template ? template._id : undefined,
+      fileName: importData.fileName,
+      expiresAt: new Date(Date.now() + config.imports.previewTtl)
+    });
+
+    const { trades, rowErrors, skipped } = this.mapRecords(records, format, batch.venue);
+    const { unique, duplicates } = await this.removeDuplicates(userId, trades);
+
+    batch.trades = unique;
+    batch.rowErrors = rowErrors.slice(0, MAX_STORED_ERRORS);
+    batch.summary = {
+      rows: records.length,
+      valid: unique.length,
+      invalid: rowErrors.length,
+      duplicates,
+      skipped
+    };
+    await batch.save();
+
+    logger.info(
+      `Previewed import ${batch._id} for user ${userId}: ${unique.length} of ${records.length} rows importable`
+    );
+    return batch;
+  }
+
+  /**
+   * Create orders, positions and holdings from a preview batch
+   * @param {string} userId - User ID
+   * @param {string} batchId - Import batch ID
+   * @returns {Promise<Object>} Committed batch
+   */
+  async commitImport(userId, batchId) {
+    const batch = await this.getBatch(userId, batchId);
+    if (batch.status !== 'preview') {
+      throw new Error(`Import batch is already ${batch.status}`);
+    }
+
+    // Another batch may have imported the same trades since the preview
+    const { unique, duplicates } = await this.removeDuplicates(userId, batch.trades);
+
+    const orders = unique.map(trade => this.buildOrder(userId, batch, trade));
+    if (orders.length > 0) {
+      await Order.insertMany(orders);
+    }
+
+    batch.summary.duplicates += duplicates;
+    batch.summary.orders = orders.length;
+    batch.summary.positions = await this.createPositions(batch, orders);
+    batch.status = 'committed';
+    batch.committedAt = new Date();
+    batch.expiresAt = undefined;
+    batch.trades = [];
+    await batch.save();
+
+    await this.refreshPortfolio(userId);
+
+    logger.info(`Committed import ${batch._id} for user ${userId}: ${orders.length} orders`);
+    return batch;
+  }
+
+  /**
+   * Remove everything a committed batch created
+   * @param {string} userId - User ID
+   * @param {string} batchId - Import batch ID
+   * @returns {Promise<Object>} Reverted batch
+   */
+  async revertImport(userId, batchId) {
+    const batch = await this.getBatch(userId, batchId);
+    if (batch.status !== 'committed') {
+      throw new Error('Only committed import batches can be reverted');
+    }
+
+    const [orders, positions] = await Promise.all([
+      Order.deleteMany({ userId, 'metadata.importBatchId': batch._id }),
+      TradingPosition.deleteMany({ userId, tags: this.getBatchTag(batch) })
+    ]);
+
+    batch.status = 'reverted';
+    batch.revertedAt = new Date();
+    await batch.save();
+
+    await this.refreshPortfolio(userId);
+
+    logger.info(
+      `Reverted import ${batch._id} for user ${userId}: removed ${orders.deletedCount} orders and ${positions.deletedCount} positions`
+    );
+    return batch;
+  }
+
+  /**
+   * Discard a preview batch
+   * @param {string} userId - User ID
+   * @param {string} batchId - Import batch ID
+   */
+  async discardImport(userId, batchId) {
+    const batch = await this.getBatch(userId, batchId);
+    if (batch.status !== 'preview') {
+      throw new Error('Only previews can be discarded, revert committed imports instead');
+    }
+
+    await ImportBatch.deleteOne({ _id: batch._id });
+  }
+
+  /**
+   * Get a user's import batches
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Batches without their trades
+   */
+  getImports(userId) {
+    return ImportBatch.find({ userId }).select('-trades -rowErrors').sort({ createdAt: -1 });
+  }
+
+  /**
+   * Get an import batch
+   * @param {string} userId - User ID
+   * @param {string} batchId - Import batch ID
+   * @returns {Promise<Object>} Batch
+   */
+  async getBatch(userId, batchId) {
+    const batch = await ImportBatch.findOne({ _id: batchId, userId });
+    if (!batch) {
+      throw new Error('Import batch not found');
+    }
+    return batch;
+  }
+
+  /**
+   * Public view of a batch with a sample of its trades
+   * @param {Object} batch - Import batch
+   * @returns {Object} Batch summary
+   */
+  summarizeBatch(batch) {
+    return {
+      id: batch._id,
+      venue: batch.venue,
+      format: batch.format,
+      fileName: batch.fileName,
+      status: batch.status,
+      summary: batch.summary,
+      trades: batch.trades.slice(0, PREVIEW_TRADES),
+      rowErrors: batch.rowErrors,
+      createdAt: batch.createdAt,
+      committedAt: batch.committedAt,
+      revertedAt: batch.revertedAt,
+      expiresAt: batch.expiresAt
+    };
+  }
+
+  /**
+   * Pick the format for an import: built-in, saved template or inline mapping
+   * @param {string} userId - User ID
+   * @param {Object} importData - Import request
+   * @returns {Promise<Object>} format, formatId and template
+   */
+  async resolveFormat(userId, importData) {
+    if (importData.format) {
+      const format = formats[importData.format];
+      if (!format) {
+        throw new Error(`Unknown import format: ${importData.format}`);
+      }
+      return { format, formatId: importData.format, template: null };
+    }
+
+    if (importData.templateId) {
+      const template = await ImportTemplate.findOne({ _id: importData.templateId, userId });
+      if (!template) {
+        throw new Error('Import template not found');
+      }
+      return { format: fromTemplate(template.toObject()), formatId: 'template', template };
+    }
+
+    return {
+      format: fromTemplate(importData.mapping),
+      formatId: 'mapping',
+      template: importData.mapping
+    };
+  }
+
+  /**
+   * Parse CSV text into records keyed by header
+   * @param {string} csv - File contents
+   * @param {string} delimiter - Field delimiter
+   * @returns {Array} Records with their row number in __row, counted
+   * as a spreadsheet shows it
+   */
+  parseRecords(csv, delimiter = ',') {
+    const rows = this.parseCsv(csv, delimiter);
+    const headerIndex = rows.findIndex(row => row.some(cell => cell.trim() !== ''));
+    if (headerIndex === -1) {
+      return [];
+    }
+
+    const headers = rows[headerIndex].map(header => header.trim());
+    const records = [];
+
+    rows.slice(headerIndex + 1).forEach((row, index) => {
+      if (row.every(cell => cell.trim() === '')) {
+        return;
+      }
+
+      const record = { __row: headerIndex + index + 2 };
+      headers.forEach((header, column) => {
+        record[header] = row[column] !== undefined ? row[column].trim() : '';
+      });
+      records.push(record);
+    });
+
+    return records;
+  }
+
+  /**
+   * Split CSV text into rows of cells; handles quoted fields, escaped quotes
+   * and line breaks inside quotes
+   * @param {string} text - CSV text
+   * @param {string} delimiter - Field delimiter
+   * @returns {Array<Array<string>>} Rows
+   */
+  parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Map and validate records, keying each trade for deduplication
+   * @param {Array} records - Parsed records
+   * @param {Object} format - Import format
+   * @param {string} venue - Venue name
+   * @returns {Object} trades, rowErrors and skipped count
+   */
+  mapRecords(records, format, venue) {
+    const trades = [];
+    const rowErrors = [];
+    const occurrences = new Map();
+    let skipped = 0;
+
+    for (const record of records) {
+      const mapped = format.mapRow(record);
+      if (!mapped) {
+        skipped += 1;
+        continue;
+      }
+
+      try {
+        const trade = this.validateTrade(mapped);
+
+        // Identical rows without a trade ID are told apart by their position
+        // among the other identical rows, so re-importing a file matches
+        let id = trade.tradeId;
+        if (!id) {
+          const fingerprint = this.fingerprint(trade);
+          const count = (occurrences.get(fingerprint) || 0) + 1;
+          occurrences.set(fingerprint, count);
+          id = `${fingerprint}#${count}`;
+        }
+
+        trades.push({ ...trade, row: record.__row, key: `${venue}:${id}` });
+      } catch (error) {
+        rowErrors.push({ row: record.__row, message: error.message });
+      }
+    }
+
+    return { trades, rowErrors, skipped };
+  }
+
+  /**
+   * Validate a mapped row and fill in price or cost
+   * @param {Object} mapped - Row mapped by a format
+   * @returns {Object} Trade
+   */
+  validateTrade(mapped) {
+    const { timestamp, symbol, side, amount, fee } = mapped;
+
+    if (!(timestamp instanceof Date) || Number.isNaN(timestamp.getTime())) {
+      throw new Error('Invalid or missing date');
+    }
+    if (timestamp > new Date()) {
+      throw new Error('Date is in the future');
+    }
+    if (!symbol || !/^[A-Z0-9]+\/[A-Z0-9]+$/.test(symbol)) {
+      throw new Error('Invalid or missing trading pair');
+    }
+    if (!side) {
+      throw new Error('Side must be buy or sell');
+    }
+    if (!(amount > 0)) {
+      throw new Error('Amount must be a positive number');
+    }
+
+    const price = mapped.price > 0 ? mapped.price : mapped.cost / amount;
+    const cost = mapped.cost > 0 ? mapped.cost : amount * price;
+    if (!(price > 0) || !(cost > 0)) {
+      throw new Error('A positive price or total is required');
+    }
+    if (fee !== null && fee !== undefined && !(fee >= 0)) {
+      throw new Error('Fee must be a number');
+    }
+
+    return {
+      symbol,
+      side,
+      amount,
+      price,
+      cost,
+      fee:
+        fee > 0
+          ? { currency: (mapped.feeCurrency || symbol.split('/')[1]).toUpperCase(), cost: fee }
+          : undefined,
+      tradeId: mapped.tradeId ? String(mapped.tradeId) : undefined,
+      orderId: mapped.orderId ? String(mapped.orderId) : undefined,
+      timestamp
+    };
+  }
+
+  /**
+   * Stable hash of a trade's contents
+   * @param {Object} trade - Validated trade
+   * @returns {string} Fingerprint
+   */
+  fingerprint(trade) {
+    return crypto
+      .createHash('sha1')
+      .update(
+        [trade.timestamp.toISOString(), trade.symbol, trade.side, trade.amount, trade.price].join(
+          '|'
+        )
+      )
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Drop trades repeated within the file or already imported
+   * @param {string} userId - User ID
+   * @param {Array} trades - Keyed trades
+   * @returns {Promise<Object>} unique trades and duplicate count
+   */
+  async removeDuplicates(userId, trades) {
+    const keys = trades.map(trade => trade.key);
+    const imported = new Set(
+      await Order.distinct('exchangeOrderId', {
+        userId,
+        exchangeName: 'imported',
+        exchangeOrderId: { $in: keys }
+      })
+    );
+
+    const seen = new Set();
+    const unique = trades.filter(trade => {
+      if (imported.has(trade.key) || seen.has(trade.key)) {
+        return false;
+      }
+      seen.add(trade.key);
+      return true;
+    });
+
+    return { unique, duplicates: trades.length - unique.length };
+  }
+
+  /**
+   * Build a filled order for an imported trade
+   * @param {string} userId - User ID
+   * @param {Object} batch - Import batch
+   * @param {Object} trade - Validated trade
+   * @returns {Object} Order document
+   */
+  buildOrder(userId, batch, trade) {
+    return new Order({
+      userId,
+      exchangeName: 'imported',
+      exchangeOrderId: trade.key,
+      symbol: trade.symbol,
+      type: 'market',
+      side: trade.side,
+      amount: trade.amount,
+      price: trade.price,
+      status: 'closed',
+      filled: trade.amount,
+      remaining: 0,
+      cost: trade.cost,
+      fee: trade.fee,
+      trades: [
+        {
+          id: trade.tradeId || trade.key,
+          timestamp: trade.timestamp,
+          amount: trade.amount,
+          price: trade.price,
+          cost: trade.cost,
+          fee: trade.fee
+        }
+      ],
+      timestamps: {
+        created: trade.timestamp,
+        submitted: trade.timestamp,
+        filled: trade.timestamp,
+        closed: trade.timestamp,
+        lastUpdate: new Date()
+      },
+      executedAt: trade.timestamp,
+      metadata: {
+        importSource: IMPORT_SOURCE,
+        importBatchId: batch._id,
+        venue: batch.venue,
+        notes: trade.orderId ? `Venue order ${trade.orderId}` : undefined
+      }
+    });
+  }
+
+  /**
+   * Replay a batch's orders into long positions, one open position per
+   * symbol at a time. Sells without an open position in the batch are left
+   * unmatched.
+   * @param {Object} batch - Import batch
+   * @param {Array} orders - Orders created for the batch
+   * @returns {Promise<number>} Positions created
+   */
+  async createPositions(batch, orders) {
+    const openPositions = new Map();
+    const positions = [];
+
+    const sorted = [...orders].sort((a, b) => a.executedAt - b.executedAt);
+    for (const order of sorted) {
+      let position = openPositions.get(order.symbol);
+
+      if (order.side === 'buy') {
+        if (!position) {
+          position = new TradingPosition({
+            userId: batch.userId,
+            exchangeName: 'imported',
+            symbol: order.symbol,
+            side: 'long',
+            size: 0,
+            entryPrice: 0,
+            entryValue: 0,
+            entryDate: order.executedAt,
+            strategy: IMPORT_SOURCE,
+            tags: [batch.venue, this.getBatchTag(batch)]
+          });
+          openPositions.set(order.symbol, position);
+          positions.push(position);
+        }
+        position.addEntryOrder(order);
+      } else if (position) {
+        position.addExitOrder(order);
+        if (position.status === 'closed') {
+          position.exitDate = order.executedAt;
+          position.holdingPeriod = position.duration;
+          openPositions.delete(order.symbol);
+        }
+      }
+    }
+
+    for (const position of positions) {
+      await position.save();
+    }
+
+    return positions.length;
+  }
+
+  /**
+   * Tag identifying positions created by a batch
+   * @param {Object} batch - Import batch
+   * @returns {string} Tag
+   */
+  getBatchTag(batch) {
+    return `import_batch:${batch._id}`;
+  }
+
+  /**
+   * Bring holdings and cost basis in line with imported orders. Failures
+   * are logged rather than thrown; the orders are already stored and the
+   * portfolio catches up on the next import or rebuild.
+   * @param {string} userId - User ID
+   */
+  async refreshPortfolio(userId) {
+    try {
+      await portfolioService.syncImportedHoldings(userId);
+      await portfolioService.rebuildCostBasis(userId);
+    } catch (error) {
+      logger.warn(`Could not update portfolio after import for user ${userId}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new CsvImportService();
@@ -0,0 +1,301 @@
+/**
+ * Trade history import formats
+ * A format maps one parsed CSV record (an object keyed by header) to a trade:
+ * { timestamp, symbol, side, amount, price, cost, fee, feeCurrency, tradeId,
+ * orderId }. mapRow returns null for rows that are not trades. Values are
+ * parsed here and validated by CsvImportService.
+ */
+
+// Longest first so USDT is not read as USD followed by a stray T
+const KNOWN_QUOTES = [
+  'USDT',
+  'USDC',
+  'GUSD',
+  'BUSD',
+  'DAI',
+  'USD',
+  'EUR',
+  'GBP',
+  'SGD',
+  'CAD',
+  'AUD',
+  'BTC',
+  'ETH'
+];
+
+/**
+ * Parse a number as exchanges print it: thousands separators, currency
+ * signs and codes, and accounting style negatives
+ * @param {string|number} value - Cell value
+ * @returns {number|null} Number, or null for empty cells
+ */
+const parseNumber = value => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim().replace(/,/g, '');
+  const match = text.match(/\d*\.?\d+(e[+-]?\d+)?/i);
+  if (!match) {
+    return NaN;
+  }
+
+  const negative = /^\(.*\)$/.test(text) || text.slice(0, match.index).includes('-');
+  const number = parseFloat(match[0]);
+  return negative ? -number : number;
+};
+
+/**
+ * Parse a timestamp; dates without an offset are read as UTC
+ * @param {string|number} value - Cell value
+ * @returns {Date|null} Date, or null for empty cells
+ */
+const parseTimestamp = value => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  // Epoch seconds or milliseconds
+  if (/^\d{10}(\.\d+)?$/.test(text)) {
+    return new Date(parseFloat(text) * 1000);
+  }
+  if (/^\d{13}$/.test(text)) {
+    return new Date(parseInt(text));
+  }
+
+  const isoLike = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(:\d{2}(\.\d+)?)?)$/);
+  if (isoLike) {
+    return new Date(`${isoLike[1]}T${isoLike[2]}Z`);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return new Date(`${text}T00:00:00Z`);
+  }
+
+  return new Date(text);
+};
+
+/**
+ * Normalize a trading pair to BASE/QUOTE
+ * @param {string} pair - Pair such as BTC/USD, btc-usd, BTC_USD or BTCUSD
+ * @param {string} defaultQuote - Quote for cells that only name the base asset
+ * @returns {string|null} Symbol, or null when the pair cannot be read
+ */
+const parseSymbol = (pair, defaultQuote = null) => {
+  if (!pair) {
+    return null;
+  }
+
+  const text = String(pair).trim().toUpperCase();
+  const parts = text.split(/[/\-_: ]/).filter(Boolean);
+  if (parts.length === 2) {
+    return `${parts[0]}/${parts[1]}`;
+  }
+
+  const quote = KNOWN_QUOTES.find(
+    candidate => text.endsWith(candidate) && text.length > candidate.length
+  );
+  if (quote) {
+    return `${text.slice(0, -quote.length)}/${quote}`;
+  }
+
+  return defaultQuote ? `${text}/${defaultQuote.toUpperCase()}` : null;
+};
+
+/**
+ * Read buy or sell from a cell
+ * @param {string} value - Cell value
+ * @param {Object} sideValues - Accepted buy and sell values
+ * @returns {string|null} 'buy', 'sell' or null
+ */
+const parseSide = (value, sideValues = { buy: ['buy'], sell: ['sell'] }) => {
+  const text = String(value || '')
+    .trim()
+    .toLowerCase();
+
+  if (sideValues.buy.some(candidate => candidate.toLowerCase() === text)) {
+    return 'buy';
+  }
+  if (sideValues.sell.some(candidate => candidate.toLowerCase() === text)) {
+    return 'sell';
+  }
+  return null;
+};
+
+const absolute = value =>
+  typeof value === 'number' && !Number.isNaN(value) ? Math.abs(value) : value;
+
+/**
+ * Wire-Trader's own layout, for files prepared by hand
+ */
+const standard = {
+  name: 'Standard CSV',
+  description: 'date, symbol, side, amount, price, fee, fee_currency, trade_id',
+  requiredColumns: ['date', 'symbol', 'side', 'amount', 'price'],
+  mapRow: record => ({
+    timestamp: parseTimestamp(record.date),
+    symbol: parseSymbol(record.symbol),
+    side: parseSide(record.side),
+    amount: absolute(parseNumber(record.amount)),
+    price: parseNumber(record.price),
+    cost: parseNumber(record.cost),
+    fee: absolute(parseNumber(record.fee)),
+    feeCurrency: record.fee_currency,
+    tradeId: record.trade_id,
+    orderId: record.order_id
+  })
+};
+
+/**
+ * Bitstamp transaction history export
+ */
+const bitstamp = {
+  name: 'Bitstamp',
+  description:
+    'Transactions export (ID, Account, Object, Activity, Datetime, Amount, Value, Rate, Fee, Order ID)',
+  requiredColumns: [
+    'ID',
+    'Object',
+    'Activity',
+    'Datetime',
+    'Amount',
+    'Amount currency',
+    'Value',
+    'Value currency'
+  ],
+  mapRow: record => {
+    if (record.Object !== 'Trade') {
+      return null;
+    }
+
+    return {
+      timestamp: parseTimestamp(record.Datetime),
+      symbol: parseSymbol(`${record['Amount currency']}/${record['Value currency']}`),
+      side: parseSide(record.Activity),
+      amount: absolute(parseNumber(record.Amount)),
+      price: parseNumber(record.Rate),
+      cost: absolute(parseNumber(record.Value)),
+      fee: absolute(parseNumber(record.Fee)),
+      feeCurrency: record['Fee currency'],
+      tradeId: record.ID,
+      orderId: record['Order ID']
+    };
+  }
+};
+
+/**
+ * Gemini transaction history export, which has one amount column per
+ * currency (e.g. "BTC Amount BTC", "USD Amount USD", "Fee (USD) USD")
+ */
+const gemini = {
+  name: 'Gemini',
+  description:
+    'Transaction history export (Date, Time (UTC), Type, Symbol, per-currency amount and fee columns)',
+  requiredColumns: ['Date', 'Time (UTC)', 'Type', 'Symbol'],
+  mapRow: record => {
+    if (!['Buy', 'Sell'].includes(record.Type)) {
+      return null;
+    }
+
+    const symbol = parseSymbol(record.Symbol);
+    const [base, quote] = symbol ? symbol.split('/') : [];
+
+    return {
+      timestamp: parseTimestamp(`${record.Date} ${record['Time (UTC)']}`),
+      symbol,
+      side: parseSide(record.Type),
+      amount: absolute(parseNumber(record[`${base} Amount ${base}`])),
+      cost: absolute(parseNumber(record[`${quote} Amount ${quote}`])),
+      fee: absolute(parseNumber(record[`Fee (${quote}) ${quote}`])),
+      feeCurrency: quote,
+      tradeId: record['Trade ID'],
+      orderId: record['Order ID']
+    };
+  }
+};
+
+/**
+ * Bitfinex trades export; sells have a negative amount
+ */
+const bitfinex = {
+  name: 'Bitfinex',
+  description: 'Trades export (#, PAIR, AMOUNT, PRICE, FEE, FEE CURRENCY, DATE, ORDER ID)',
+  requiredColumns: ['#', 'PAIR', 'AMOUNT', 'PRICE', 'DATE'],
+  mapRow: record => {
+    const amount = parseNumber(record.AMOUNT);
+    // Dates are printed as YY-MM-DD HH:mm:ss
+    const date = /^\d{2}-\d{2}-\d{2} /.test(record.DATE) ? `20${record.DATE}` : record.DATE;
+
+    return {
+      timestamp: parseTimestamp(date),
+      symbol: parseSymbol(record.PAIR),
+      side: amount < 0 ? 'sell' : 'buy',
+      amount: absolute(amount),
+      price: parseNumber(record.PRICE),
+      fee: absolute(parseNumber(record.FEE)),
+      feeCurrency: record['FEE CURRENCY'],
+      tradeId: record['#'],
+      orderId: record['ORDER ID']
+    };
+  }
+};
+
+/**
+ * Build a format from a user-defined mapping template
+ * @param {Object} template - Template with columns, sideValues and defaultQuote
+ * @returns {Object} Format
+ */
+const fromTemplate = template => {
+  const { columns } = template;
+  const sideValues = {
+    buy: (template.sideValues && template.sideValues.buy) || ['buy'],
+    sell: (template.sideValues && template.sideValues.sell) || ['sell']
+  };
+  const cell = (record, field) => (columns[field] ? record[columns[field]] : undefined);
+
+  return {
+    name: template.name || 'Custom mapping',
+    description: 'User-defined column mapping',
+    requiredColumns: Object.values(columns).filter(Boolean),
+    mapRow: record => {
+      let symbol;
+      if (columns.symbol) {
+        symbol = parseSymbol(cell(record, 'symbol'), template.defaultQuote);
+      } else {
+        const quote = cell(record, 'quote') || template.defaultQuote;
+        symbol = quote ? parseSymbol(`${cell(record, 'base')}/${quote}`) : null;
+      }
+
+      return {
+        timestamp: parseTimestamp(cell(record, 'timestamp')),
+        symbol,
+        side: parseSide(cell(record, 'side'), sideValues),
+        amount: absolute(parseNumber(cell(record, 'amount'))),
+        price: parseNumber(cell(record, 'price')),
+        cost: absolute(parseNumber(cell(record, 'cost'))),
+        fee: absolute(parseNumber(cell(record, 'fee'))),
+        feeCurrency: cell(record, 'feeCurrency'),
+        tradeId: cell(record, 'tradeId'),
+        orderId: cell(record, 'orderId')
+      };
+    }
+  };
+};
+
+module.exports = {
+  formats: {
+    standard,
+    bitstamp,
+    gemini,
+    bitfinex
+  },
+  fromTemplate,
+  parseNumber,
+  parseTimestamp,
+  parseSymbol,
+  parseSide
+};
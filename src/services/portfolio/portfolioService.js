@@ -4,6 +4,7 @@ const PaperTradingAccount = require('../../models/PaperTradingAccount');
 const Order = require('../../models/Order');
 const marketDataService = require('../market/marketDataService');
 const exchangeManager = require('../exchanges/exchangeManager');
+const taxLotService = require('./taxLotService');
 const logger = require('../../utils/logger');
 
 /**
@@ -251,6 +252,9 @@ class PortfolioService {
       // Update asset type allocations
       this.updateAssetTypeAllocations(portfolio);
 
+      // Record drift from the target allocation model
+      portfolio.addDailyDrift();
+
     } catch (error) {
       logger.error('Error updating portfolio values:', error);
       throw error;
@@ -262,38 +266,38 @@ class PortfolioService {
    * @param {Object} portfolio - Portfolio document
    */
   updateAssetTypeAllocations(portfolio) {
-    let cryptoValue = 0;
-    let stablecoinValue = 0;
-    let fiatValue = 0;
+    const values = { crypto: 0, stablecoin: 0, fiat: 0 };
 
     for (const [asset, holding] of portfolio.holdings) {
       if (holding.totalAmount > 0) {
-        if (this.stablecoins.has(asset) || asset === portfolio.baseCurrency) {
-          stablecoinValue += holding.currentValue;
-        } else if (asset.endsWith('USD') || asset.endsWith('EUR')) {
-          fiatValue += holding.currentValue;
-        } else {
-          cryptoValue += holding.currentValue;
-        }
+        values[this.getAssetClass(asset, portfolio.baseCurrency)] += holding.currentValue;
       }
     }
 
     const totalValue = portfolio.totalValue.current;
 
-    portfolio.allocation.byType = {
-      crypto: {
-        percentage: totalValue > 0 ? (cryptoValue / totalValue) * 100 : 0,
-        value: cryptoValue
-      },
-      stablecoin: {
-        percentage: totalValue > 0 ? (stablecoinValue / totalValue) * 100 : 0,
-        value: stablecoinValue
-      },
-      fiat: {
-        percentage: totalValue > 0 ? (fiatValue / totalValue) * 100 : 0,
-        value: fiatValue
-      }
-    };
+    // Update in place so class targets set by a target allocation model survive
+    for (const [assetClass, value] of Object.entries(values)) {
+      const allocation = portfolio.allocation.byType[assetClass];
+      allocation.percentage = totalValue > 0 ? (value / totalValue) * 100 : 0;
+      allocation.value = value;
+    }
+  }
+
+  /**
+   * Get the allocation bucket of an asset
+   * @param {string} asset - Asset symbol
+   * @param {string} baseCurrency - Portfolio base currency
+   * @returns {string} 'crypto', 'stablecoin' or 'fiat'
+   */
+  getAssetClass(asset, baseCurrency) {
+    if (this.stablecoins.has(asset) || asset === baseCurrency) {
+      return 'stablecoin';
+    }
+    if (asset.endsWith('USD') || asset.endsWith('EUR')) {
+      return 'fiat';
+    }
+    return 'crypto';
   }
 
   /**
@@ -347,6 +351,111 @@ class PortfolioService {
     }
   }
 
+  /**
+   * Set holdings from imported trade history. Each venue gets its own
+   * `imported_<venue>` exchange entry holding the net base asset bought
+   * there; entries no longer backed by imported orders are removed.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Portfolio
+   */
+  async syncImportedHoldings(userId) {
+    try {
+      const portfolio = await this.getOrCreatePortfolio(userId);
+      const orders = await Order.find({
+        userId,
+        exchangeName: 'imported',
+        filled: { $gt: 0 }
+      }).sort({ executedAt: 1 });
+
+      const balances = new Map();
+      for (const order of orders) {
+        const [asset] = order.symbol.split('/');
+        const exchange = `imported_${order.metadata.venue}`;
+        const key = `${asset}|${exchange}`;
+        const balance = balances.get(key) || { asset, exchange, amount: 0, price: 0 };
+
+        balance.amount += order.side === 'buy' ? order.filled : -order.filled;
+        balance.price = order.averagePrice || order.price;
+        balances.set(key, balance);
+      }
+
+      for (const [asset, holding] of portfolio.holdings) {
+        const stale = Array.from(holding.exchanges.keys()).filter(
+          exchange => exchange.startsWith('imported_') && !balances.has(`${asset}|${exchange}`)
+        );
+
+        for (const exchange of stale) {
+          portfolio.updateHolding(asset, exchange, 0, holding.currentPrice);
+          portfolio.holdings.get(asset).exchanges.delete(exchange);
+        }
+      }
+
+      for (const { asset, exchange, amount, price } of balances.values()) {
+        const holding = portfolio.holdings.get(asset);
+        portfolio.updateHolding(asset, exchange, Math.max(0, amount), holding?.currentPrice || price);
+      }
+
+      await portfolio.save();
+      return portfolio;
+
+    } catch (error) {
+      logger.error('Error syncing imported holdings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate average cost, cost basis and realized P&L of every holding
+   * from the user's full exchange trade history
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Portfolio
+   */
+  async rebuildCostBasis(userId) {
+    try {
+      const portfolio = await this.getOrCreatePortfolio(userId);
+      const unvalued = [];
+      const trades = await taxLotService.getTaxableTrades(userId, unvalued);
+      const lots = taxLotService.buildLots(trades, 'average');
+      if (unvalued.length > 0) {
+        logger.warn(`Left ${unvalued.length} trades without a rate out of the cost basis for user ${userId}`);
+      }
+
+      const totals = new Map();
+      for (const lot of lots) {
+        const total = totals.get(lot.asset) || { amount: 0, cost: 0, realizedPnL: 0 };
+
+        if (!lot.basisUnknown) {
+          total.amount += lot.remaining;
+          total.cost += (lot.costBasis * lot.remaining) / lot.amount;
+        }
+        total.realizedPnL += lot.disposals.reduce((sum, disposal) => sum + disposal.gain, 0);
+        totals.set(lot.asset, total);
+      }
+
+      for (const [asset, total] of totals) {
+        const holding = portfolio.holdings.get(asset);
+        if (!holding) {
+          continue;
+        }
+
+        holding.averageCost = total.amount > 0 ? total.cost / total.amount : 0;
+        holding.costBasis = holding.averageCost * holding.totalAmount;
+        holding.realizedPnL = total.realizedPnL;
+        portfolio.holdings.set(asset, holding);
+      }
+
+      await this.updatePortfolioValues(portfolio);
+      await portfolio.save();
+
+      logger.info(`Rebuilt cost basis for ${totals.size} assets from ${trades.length} trades for user ${userId}`);
+      return portfolio;
+
+    } catch (error) {
+      logger.error('Error rebuilding portfolio cost basis:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get portfolio summary with key metrics
    * @param {string} userId - User ID
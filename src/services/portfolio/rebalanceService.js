@@ -0,0 +1,654 @@
+const Portfolio = require('../../models/Portfolio');
+const exchangeManager = require('../exchanges/exchangeManager');
+const marketDataService = require('../market/marketDataService');
+const feeService = require('../trading/feeService');
+const paperTradingService = require('../trading/paperTradingService');
+const tradingService = require('../trading/tradingService');
+const portfolioService = require('./portfolioService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Currencies valued at par with each other when the base currency is one of them
+const USD_EQUIVALENTS = ['USD', 'USDT', 'USDC', 'BUSD', 'DAI', 'TUSD'];
+
+const PAPER_EXCHANGE = 'paper_trading';
+
+/**
+ * Rebalance Service
+ * Turns target allocation drift into an order plan and executes it on the
+ * exchanges that hold each asset, or on the paper trading account
+ */
+class RebalanceService {
+  constructor() {
+    this.schedulerInterval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start the auto-rebalance scheduler
+   */
+  initialize() {
+    this.startScheduler();
+    logger.info('Rebalance service initialized');
+  }
+
+  /**
+   * Check for due auto-rebalance runs on an interval
+   */
+  startScheduler() {
+    if (this.schedulerInterval) {
+      clearInterval(this.schedulerInterval);
+    }
+
+    this.schedulerInterval = setInterval(async () => {
+      try {
+        await this.processAutoRebalance();
+      } catch (error) {
+        logger.error('Error processing auto-rebalance:', error);
+      }
+    }, config.rebalance.checkInterval);
+  }
+
+  /**
+   * Stop the auto-rebalance scheduler
+   */
+  stop() {
+    if (this.schedulerInterval) {
+      clearInterval(this.schedulerInterval);
+      this.schedulerInterval = null;
+    }
+  }
+
+  /**
+   * Rebalance every portfolio with auto-rebalance enabled whose interval has elapsed
+   */
+  async processAutoRebalance() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const portfolios = await Portfolio.find({ 'settings.autoRebalance.enabled': true }).select(
+        'userId settings.autoRebalance'
+      );
+
+      for (const portfolio of portfolios) {
+        const settings = portfolio.settings.autoRebalance;
+        if (!this.isDue(settings)) {
+          continue;
+        }
+
+        const userId = portfolio.userId.toString();
+        try {
+          const { results } = await this.executeRebalance(userId, { mode: settings.mode });
+          const failed = results.filter(result => result.status === 'failed').length;
+          if (failed > 0) {
+            logger.warn(
+              `Auto-rebalance for user ${userId}: ${failed} of ${results.length} orders failed`
+            );
+          }
+        } catch (error) {
+          logger.error(`Auto-rebalance failed for user ${userId}:`, error);
+          // Wait for the next interval instead of retrying on every check
+          await this.recordRun(userId);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Whether an auto-rebalance run is due
+   * @param {Object} settings - Portfolio autoRebalance settings
+   * @param {Date} now - Current time
+   * @returns {boolean} True when the interval has elapsed since the last run
+   */
+  isDue(settings, now = new Date()) {
+    if (!settings.lastRunAt) {
+      return true;
+    }
+
+    return now - settings.lastRunAt >= settings.intervalHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Recommend trades for assets that drifted out of the band around their target
+   * @param {Map|Array} allocations - Entries of [asset, { percentage, targetPercentage, band }]
+   * @param {number} totalValue - Portfolio value in the base currency
+   * @param {number} threshold - Band in percentage points for targets without their own
+   * @returns {Array} Recommendations, largest deviation first
+   */
+  getRecommendations(allocations, totalValue, threshold) {
+    const recommendations = [];
+
+    for (const [asset, allocation] of allocations) {
+      if (allocation.targetPercentage > 0) {
+        const currentPercentage = allocation.percentage;
+        const targetPercentage = allocation.targetPercentage;
+        const deviation = Math.abs(currentPercentage - targetPercentage);
+        const band = allocation.band || threshold;
+
+        if (deviation > band) {
+          recommendations.push({
+            asset,
+            action: currentPercentage > targetPercentage ? 'SELL' : 'BUY',
+            currentPercentage,
+            targetPercentage,
+            band,
+            deviation,
+            recommendedAmount: (deviation / 100) * totalValue,
+            priority: deviation > 10 ? 'HIGH' : deviation > 5 ? 'MEDIUM' : 'LOW'
+          });
+        }
+      }
+    }
+
+    return recommendations.sort((a, b) => b.deviation - a.deviation);
+  }
+
+  /**
+   * Get the target percentage and band of each asset
+   * @param {Object} portfolio - Portfolio document
+   * @returns {Map} Asset to { targetPercentage, band }
+   */
+  getTargets(portfolio) {
+    const targets = new Map();
+
+    for (const [asset, allocation] of portfolio.allocation.byAsset || new Map()) {
+      if (allocation.targetPercentage > 0) {
+        targets.set(asset, {
+          targetPercentage: allocation.targetPercentage,
+          band: allocation.band
+        });
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Build the orders that bring a portfolio back to its target allocation.
+   * Sells come first and are drawn from the exchanges holding the asset,
+   * largest free balance first; buys are funded by free quote balances plus
+   * the proceeds of sells on the same exchange.
+   * @param {string} userId - User ID
+   * @param {Object} options - { mode: 'live' | 'paper' }
+   * @returns {Promise<Object>} Plan with recommendations, orders and skipped trades
+   */
+  async planRebalance(userId, options = {}) {
+    const mode = options.mode || 'live';
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+    const { baseCurrency } = portfolio;
+    const { threshold } = portfolio.settings.autoRebalance;
+    const targets = this.getTargets(portfolio);
+
+    const plan = {
+      mode,
+      baseCurrency,
+      threshold,
+      totalValue: 0,
+      recommendations: [],
+      orders: [],
+      skipped: [],
+      totals: { sell: 0, buy: 0, fees: 0 },
+      generatedAt: new Date()
+    };
+
+    if (targets.size === 0) {
+      return plan;
+    }
+
+    const venues = await this.loadVenues(userId, mode);
+    const quotes = this.getQuoteCurrencies(baseCurrency);
+
+    // Value every asset held in this mode, plus targets not held yet
+    const assets = new Set(targets.keys());
+    for (const venue of venues) {
+      Object.keys(venue.total).forEach(asset => assets.add(asset));
+    }
+
+    const prices = new Map();
+    const values = new Map();
+    for (const asset of assets) {
+      const price = await this.getAssetPrice(venues, asset, baseCurrency, portfolio);
+      const amount = venues.reduce((sum, venue) => sum + (venue.total[asset] || 0), 0);
+
+      if (!price) {
+        if (amount > 0 || targets.has(asset)) {
+          plan.skipped.push({ asset, reason: `No ${asset} price available` });
+        }
+        continue;
+      }
+
+      prices.set(asset, price);
+      values.set(asset, amount * price);
+      plan.totalValue += amount * price;
+    }
+
+    const allocations = new Map();
+    for (const [asset, value] of values) {
+      allocations.set(asset, {
+        percentage: plan.totalValue > 0 ? (value / plan.totalValue) * 100 : 0,
+        ...(targets.get(asset) || { targetPercentage: 0 })
+      });
+    }
+    plan.recommendations = this.getRecommendations(allocations, plan.totalValue, threshold);
+
+    // Quote balances available for buys, keyed by exchange and currency
+    const budgets = new Map();
+    for (const venue of venues) {
+      for (const quote of quotes) {
+        budgets.set(`${venue.exchangeName}:${quote}`, venue.free[quote] || 0);
+      }
+    }
+
+    // Cash moves as a side effect of the other trades
+    const trades = plan.recommendations.filter(rec => !quotes.includes(rec.asset));
+
+    for (const rec of trades.filter(rec => rec.action === 'SELL')) {
+      await this.planSell(userId, plan, venues, rec, prices.get(rec.asset), budgets);
+    }
+    for (const rec of trades.filter(rec => rec.action === 'BUY')) {
+      await this.planBuy(userId, plan, venues, rec, budgets);
+    }
+
+    for (const order of plan.orders) {
+      plan.totals[order.side] += order.value;
+      plan.totals.fees += order.fee.cost;
+    }
+
+    return plan;
+  }
+
+  /**
+   * Plan the sells for an overweight asset
+   * @param {string} userId - User ID
+   * @param {Object} plan - Plan being built
+   * @param {Array} venues - Venues from loadVenues
+   * @param {Object} rec - SELL recommendation
+   * @param {number} price - Asset price in the base currency
+   * @param {Map} budgets - Quote budgets, credited with the proceeds
+   */
+  async planSell(userId, plan, venues, rec, price, budgets) {
+    const quotes = this.getQuoteCurrencies(plan.baseCurrency);
+    const holders = venues
+      .filter(venue => (venue.free[rec.asset] || 0) > 0)
+      .sort((a, b) => b.free[rec.asset] - a.free[rec.asset]);
+
+    if (holders.length === 0) {
+      plan.skipped.push({ asset: rec.asset, side: 'sell', reason: `No free ${rec.asset} balance` });
+      return;
+    }
+
+    let remaining = rec.recommendedAmount / price;
+
+    for (const venue of holders) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const symbol = quotes.map(quote => `${rec.asset}/${quote}`).find(pair => venue.markets[pair]);
+      if (!symbol) {
+        plan.skipped.push({
+          asset: rec.asset,
+          side: 'sell',
+          exchangeName: venue.exchangeName,
+          reason: `No ${rec.asset} market on ${venue.exchangeName}`
+        });
+        continue;
+      }
+
+      const amount = Math.min(remaining, venue.free[rec.asset]);
+      const order = await this.buildOrder(userId, plan, venue, symbol, 'sell', amount);
+      if (!order) {
+        continue;
+      }
+
+      plan.orders.push(order);
+      remaining -= order.amount;
+      venue.free[rec.asset] -= order.amount;
+
+      const budgetKey = `${venue.exchangeName}:${symbol.split('/')[1]}`;
+      budgets.set(budgetKey, budgets.get(budgetKey) + order.value - order.fee.cost);
+    }
+  }
+
+  /**
+   * Plan the buys for an underweight asset
+   * @param {string} userId - User ID
+   * @param {Object} plan - Plan being built
+   * @param {Array} venues - Venues from loadVenues
+   * @param {Object} rec - BUY recommendation
+   * @param {Map} budgets - Quote budgets, debited with the cost
+   */
+  async planBuy(userId, plan, venues, rec, budgets) {
+    const quotes = this.getQuoteCurrencies(plan.baseCurrency);
+    const candidates = [];
+
+    for (const venue of venues) {
+      for (const quote of quotes) {
+        const symbol = `${rec.asset}/${quote}`;
+        const budgetKey = `${venue.exchangeName}:${quote}`;
+        if (venue.markets[symbol] && budgets.get(budgetKey) > 0) {
+          candidates.push({ venue, symbol, budgetKey });
+        }
+      }
+    }
+
+    if (candidates.length === 0) {
+      plan.skipped.push({
+        asset: rec.asset,
+        side: 'buy',
+        reason: `No exchange with a ${rec.asset} market has ${quotes.join('/')} available`
+      });
+      return;
+    }
+
+    candidates.sort((a, b) => budgets.get(b.budgetKey) - budgets.get(a.budgetKey));
+    let remaining = rec.recommendedAmount;
+
+    for (const { venue, symbol, budgetKey } of candidates) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const price = await this.getPrice(venue, symbol);
+      const { taker } = await feeService.getRates(userId, venue.exchangeName, symbol);
+      // Leave room for the fee and for slippage on a market order
+      const affordable = budgets.get(budgetKey) / (1 + taker + config.rebalance.slippageBuffer);
+      const spend = Math.min(remaining, affordable);
+
+      const order = await this.buildOrder(userId, plan, venue, symbol, 'buy', spend / price, price);
+      if (!order) {
+        continue;
+      }
+
+      plan.orders.push(order);
+      remaining -= order.value;
+      budgets.set(budgetKey, budgets.get(budgetKey) - order.value - order.fee.cost);
+    }
+
+    if (remaining > rec.recommendedAmount * 0.01) {
+      plan.skipped.push({
+        asset: rec.asset,
+        side: 'buy',
+        value: remaining,
+        reason: `Not enough ${quotes.join('/')} to buy the full ${rec.asset} amount`
+      });
+    }
+  }
+
+  /**
+   * Build a market order, rounded to the exchange precision, or record why
+   * it was skipped when it falls below the exchange minimums
+   * @param {string} userId - User ID
+   * @param {Object} plan - Plan being built
+   * @param {Object} venue - Venue to trade on
+   * @param {string} symbol - Trading pair
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} amount - Amount of the base asset
+   * @param {number} price - Expected price, fetched when omitted
+   * @returns {Promise<Object|null>} Order, or null when skipped
+   */
+  async buildOrder(userId, plan, venue, symbol, side, amount, price = null) {
+    const [asset, quote] = symbol.split('/');
+    const market = venue.markets[symbol];
+    const expectedPrice = price || (await this.getPrice(venue, symbol));
+
+    let orderAmount;
+    try {
+      orderAmount = parseFloat(venue.exchange.amountToPrecision(symbol, amount));
+    } catch (error) {
+      // ccxt throws when the amount rounds below the smallest step
+      orderAmount = 0;
+    }
+
+    const limits = market.limits || {};
+    const minAmount = limits.amount?.min;
+    const minCost = limits.cost?.min;
+    const skip = reason => {
+      plan.skipped.push({ asset, side, exchangeName: venue.exchangeName, symbol, amount, reason });
+      return null;
+    };
+
+    if (!(orderAmount > 0) || (minAmount && orderAmount < minAmount)) {
+      return skip(`Amount below the ${venue.exchangeName} minimum of ${minAmount || 0} ${asset}`);
+    }
+    if (minCost && orderAmount * expectedPrice < minCost) {
+      return skip(`Order value below the ${venue.exchangeName} minimum of ${minCost} ${quote}`);
+    }
+
+    const { taker } = await feeService.getRates(userId, venue.exchangeName, symbol);
+    const value = orderAmount * expectedPrice;
+
+    return {
+      exchangeName: venue.exchangeName,
+      symbol,
+      side,
+      type: 'market',
+      amount: orderAmount,
+      price: expectedPrice,
+      value,
+      fee: { currency: quote, rate: taker, cost: value * taker }
+    };
+  }
+
+  /**
+   * Load balances and markets for the accounts a rebalance trades on
+   * @param {string} userId - User ID
+   * @param {string} mode - 'live' for connected exchanges, 'paper' for the paper account
+   * @returns {Promise<Array>} Venues: { exchangeName, exchange, markets, free, total, tickers }
+   */
+  async loadVenues(userId, mode) {
+    if (mode === 'paper') {
+      const account = await paperTradingService.getOrCreateAccount(userId);
+      const referenceExchange = await feeService.getPaperReferenceExchange(userId);
+      const exchange = marketDataService.getExchangeInstance(referenceExchange);
+      const venue = {
+        exchangeName: PAPER_EXCHANGE,
+        exchange,
+        markets: await exchange.loadMarkets(),
+        free: {},
+        total: {},
+        tickers: new Map()
+      };
+
+      for (const [asset, balance] of account.virtualBalances) {
+        if (balance.total > 0) {
+          venue.free[asset] = balance.available;
+          venue.total[asset] = balance.total;
+        }
+      }
+
+      return [venue];
+    }
+
+    const { connected, unavailable } = await exchangeManager.loadStoredExchanges(userId);
+    if (unavailable.length > 0) {
+      // Holdings on an unreachable exchange would be missing from the plan
+      const names = unavailable.map(({ exchangeName }) => exchangeName).join(', ');
+      throw new Error(`Failed to connect to ${names} for live rebalancing`);
+    }
+    if (connected.length === 0) {
+      throw new Error('No exchanges connected for live rebalancing');
+    }
+
+    const venues = [];
+    for (const { name } of connected) {
+      const exchange = exchangeManager.getExchange(userId, name);
+
+      let balance, markets;
+      try {
+        [balance, markets] = await Promise.all([exchange.fetchBalance(), exchange.loadMarkets()]);
+      } catch (error) {
+        // A partial view of the portfolio would produce the wrong trades
+        throw new Error(`Failed to load balances from ${name}: ${error.message}`);
+      }
+
+      const venue = {
+        exchangeName: name,
+        exchange,
+        markets,
+        free: {},
+        total: {},
+        tickers: new Map()
+      };
+      for (const [asset, total] of Object.entries(balance.total || {})) {
+        if (total > 0) {
+          venue.free[asset] = (balance.free && balance.free[asset]) || 0;
+          venue.total[asset] = total;
+        }
+      }
+      venues.push(venue);
+    }
+
+    return venues;
+  }
+
+  /**
+   * Currencies an asset can be bought or sold against, base currency first
+   * @param {string} baseCurrency - Portfolio base currency
+   * @returns {Array<string>} Quote currencies
+   */
+  getQuoteCurrencies(baseCurrency) {
+    if (!USD_EQUIVALENTS.includes(baseCurrency)) {
+      return [baseCurrency];
+    }
+
+    return [baseCurrency, ...USD_EQUIVALENTS.filter(currency => currency !== baseCurrency)];
+  }
+
+  /**
+   * Price an asset in the base currency from the venues' markets, falling back
+   * to the last price stored on the portfolio
+   * @param {Array} venues - Venues from loadVenues
+   * @param {string} asset - Asset symbol
+   * @param {string} baseCurrency - Portfolio base currency
+   * @param {Object} portfolio - Portfolio document
+   * @returns {Promise<number|null>} Price, or null when unknown
+   */
+  async getAssetPrice(venues, asset, baseCurrency, portfolio) {
+    const quotes = this.getQuoteCurrencies(baseCurrency);
+    if (quotes.includes(asset)) {
+      return 1;
+    }
+
+    for (const venue of venues) {
+      const symbol = quotes.map(quote => `${asset}/${quote}`).find(pair => venue.markets[pair]);
+      if (!symbol) {
+        continue;
+      }
+
+      try {
+        const price = await this.getPrice(venue, symbol);
+        if (price > 0) {
+          return price;
+        }
+      } catch (error) {
+        logger.warn(`Failed to price ${symbol} on ${venue.exchangeName}: ${error.message}`);
+      }
+    }
+
+    const holding = portfolio.holdings.get(asset);
+    return holding && holding.currentPrice > 0 ? holding.currentPrice : null;
+  }
+
+  /**
+   * Get the last price of a pair on a venue, cached for the duration of a plan
+   * @param {Object} venue - Venue from loadVenues
+   * @param {string} symbol - Trading pair
+   * @returns {Promise<number>} Last price
+   */
+  async getPrice(venue, symbol) {
+    if (!venue.tickers.has(symbol)) {
+      const ticker = await venue.exchange.fetchTicker(symbol);
+      venue.tickers.set(symbol, ticker.last || ticker.close);
+    }
+
+    return venue.tickers.get(symbol);
+  }
+
+  /**
+   * Plan a rebalance and place its orders, sells before buys
+   * @param {string} userId - User ID
+   * @param {Object} options - { mode: 'live' | 'paper', dryRun }
+   * @returns {Promise<Object>} { plan, results, dryRun }
+   */
+  async executeRebalance(userId, options = {}) {
+    const mode = options.mode || 'live';
+    const dryRun = options.dryRun || false;
+    const plan = await this.planRebalance(userId, { mode });
+
+    if (dryRun) {
+      return { plan, results: [], dryRun };
+    }
+
+    const results = [];
+    for (const order of plan.orders) {
+      const result = {
+        exchangeName: order.exchangeName,
+        symbol: order.symbol,
+        side: order.side,
+        amount: order.amount
+      };
+
+      try {
+        const placed = await this.placeOrder(userId, mode, order);
+        results.push({
+          ...result,
+          orderId: placed._id,
+          status: placed.status,
+          filled: placed.filled
+        });
+      } catch (error) {
+        logger.warn(
+          `Rebalance ${order.side} ${order.symbol} failed for user ${userId}: ${error.message}`
+        );
+        results.push({ ...result, status: 'failed', error: error.message });
+      }
+    }
+
+    await this.recordRun(userId);
+    logger.info(`Rebalanced portfolio for user ${userId} (${mode}): ${results.length} orders`);
+
+    return { plan, results, dryRun };
+  }
+
+  /**
+   * Place one planned order through trading or paper trading
+   * @param {string} userId - User ID
+   * @param {string} mode - 'live' or 'paper'
+   * @param {Object} order - Planned order
+   * @returns {Promise<Object>} Order document
+   */
+  placeOrder(userId, mode, order) {
+    const { symbol, side, type, amount } = order;
+
+    if (mode === 'paper') {
+      return paperTradingService.placeOrder(userId, { symbol, side, type, amount });
+    }
+
+    return tradingService.placeOrder(userId, {
+      exchangeName: order.exchangeName,
+      symbol,
+      side,
+      type,
+      amount,
+      strategy: 'rebalance',
+      notes: 'Portfolio rebalance'
+    });
+  }
+
+  /**
+   * Remember when a portfolio was last rebalanced
+   * @param {string} userId - User ID
+   */
+  async recordRun(userId) {
+    await Portfolio.updateOne({ userId }, { 'settings.autoRebalance.lastRunAt': new Date() });
+  }
+}
+
+// Export singleton instance
+module.exports = new RebalanceService();
@@ -0,0 +1,255 @@
+const TargetAllocation = require('../../models/TargetAllocation');
+const portfolioService = require('./portfolioService');
+const logger = require('../../utils/logger');
+
+const ASSET_CLASSES = ['crypto', 'stablecoin', 'fiat'];
+
+// Rounding slack when checking that weights add up to 100%
+const WEIGHT_TOLERANCE = 0.01;
+
+/**
+ * Target Allocation Service
+ * Manages named target allocation models. The active model's targets are
+ * copied onto the portfolio allocation, where the rebalancer and the daily
+ * drift history read them.
+ */
+class TargetAllocationService {
+  /**
+   * Create a target allocation model
+   * @param {string} userId - User ID
+   * @param {Object} modelData - name, description, defaultBand, assets and classes
+   * @returns {Promise<Object>} Model
+   */
+  async createModel(userId, modelData) {
+    this.validateWeights(modelData);
+
+    const existing = await TargetAllocation.findOne({ userId, name: modelData.name });
+    if (existing) {
+      throw new Error(`Target allocation model ${modelData.name} already exists`);
+    }
+
+    const model = new TargetAllocation({ ...modelData, userId });
+    await model.save();
+
+    logger.info(`Created target allocation model ${model._id} for user ${userId}`);
+    return model;
+  }
+
+  /**
+   * Get a user's target allocation models, flagging the active one
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Models
+   */
+  async getModels(userId) {
+    const [models, portfolio] = await Promise.all([
+      TargetAllocation.find({ userId }).sort({ name: 1 }),
+      portfolioService.getOrCreatePortfolio(userId)
+    ]);
+
+    return models.map(model => ({
+      ...model.toJSON(),
+      active: this.isActive(portfolio, model)
+    }));
+  }
+
+  /**
+   * Get a target allocation model
+   * @param {string} userId - User ID
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Object>} Model
+   */
+  async getModel(userId, modelId) {
+    const model = await TargetAllocation.findOne({ _id: modelId, userId });
+    if (!model) {
+      throw new Error('Target allocation model not found');
+    }
+
+    return model;
+  }
+
+  /**
+   * Update a target allocation model, re-applying it when active
+   * @param {string} userId - User ID
+   * @param {string} modelId - Model ID
+   * @param {Object} updates - Fields to replace
+   * @returns {Promise<Object>} Model
+   */
+  async updateModel(userId, modelId, updates) {
+    const model = await this.getModel(userId, modelId);
+
+    if (updates.name && updates.name !== model.name) {
+      const existing = await TargetAllocation.findOne({ userId, name: updates.name });
+      if (existing) {
+        throw new Error(`Target allocation model ${updates.name} already exists`);
+      }
+    }
+
+    model.set(updates);
+    this.validateWeights(model);
+    await model.save();
+
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+    if (this.isActive(portfolio, model)) {
+      this.applyModel(portfolio, model);
+      await portfolio.save();
+    }
+
+    return model;
+  }
+
+  /**
+   * Delete a target allocation model, clearing the targets when active
+   * @param {string} userId - User ID
+   * @param {string} modelId - Model ID
+   */
+  async deleteModel(userId, modelId) {
+    const model = await TargetAllocation.findOneAndDelete({ _id: modelId, userId });
+    if (!model) {
+      throw new Error('Target allocation model not found');
+    }
+
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+    if (this.isActive(portfolio, model)) {
+      this.applyModel(portfolio, null);
+      await portfolio.save();
+    }
+  }
+
+  /**
+   * Make a model the portfolio's target allocation
+   * @param {string} userId - User ID
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Object>} { model, drift }
+   */
+  async activateModel(userId, modelId) {
+    const model = await this.getModel(userId, modelId);
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+
+    this.applyModel(portfolio, model);
+    portfolio.addDailyDrift();
+    await portfolio.save();
+
+    logger.info(`Activated target allocation model ${model._id} for user ${userId}`);
+    return { model, drift: portfolio.calculateDrift() };
+  }
+
+  /**
+   * Stop targeting any model
+   * @param {string} userId - User ID
+   */
+  async deactivateModel(userId) {
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+
+    this.applyModel(portfolio, null);
+    await portfolio.save();
+  }
+
+  /**
+   * Current drift from the active model and its daily history
+   * @param {string} userId - User ID
+   * @param {number} days - Days of history
+   * @returns {Promise<Object>} { current, history }
+   */
+  async getDrift(userId, days = 30) {
+    const portfolio = await portfolioService.getOrCreatePortfolio(userId);
+
+    return {
+      current: portfolio.calculateDrift(),
+      history: portfolio.performance.driftHistory.slice(-days)
+    };
+  }
+
+  /**
+   * Copy a model's targets onto the portfolio allocation, replacing any
+   * previous targets
+   * @param {Object} portfolio - Portfolio document
+   * @param {Object|null} model - Model, or null to clear the targets
+   */
+  applyModel(portfolio, model) {
+    for (const [asset, allocation] of portfolio.allocation.byAsset) {
+      if (allocation.value > 0) {
+        portfolio.allocation.byAsset.set(asset, {
+          percentage: allocation.percentage,
+          value: allocation.value,
+          targetPercentage: 0
+        });
+      } else {
+        portfolio.allocation.byAsset.delete(asset);
+      }
+    }
+
+    for (const assetClass of ASSET_CLASSES) {
+      portfolio.allocation.byType[assetClass].targetPercentage = undefined;
+      portfolio.allocation.byType[assetClass].band = undefined;
+    }
+
+    portfolio.allocation.targetModelId = model ? model._id : undefined;
+    if (!model) {
+      return;
+    }
+
+    for (const { asset, weight, band } of model.assets) {
+      const allocation = portfolio.allocation.byAsset.get(asset);
+      portfolio.allocation.byAsset.set(asset, {
+        percentage: allocation ? allocation.percentage : 0,
+        value: allocation ? allocation.value : 0,
+        targetPercentage: weight,
+        band: band || model.defaultBand
+      });
+    }
+
+    // Classes left out of a model with class weights are targeted at 0%
+    if (model.classes.length > 0) {
+      for (const assetClass of ASSET_CLASSES) {
+        const target = model.classes.find(item => item.assetClass === assetClass);
+        portfolio.allocation.byType[assetClass].targetPercentage = target ? target.weight : 0;
+        portfolio.allocation.byType[assetClass].band = (target && target.band) || model.defaultBand;
+      }
+    }
+  }
+
+  /**
+   * Check that a model has weights and that each set sums to 100%
+   * @param {Object} modelData - Model or model fields
+   */
+  validateWeights(modelData) {
+    const assets = modelData.assets || [];
+    const classes = modelData.classes || [];
+
+    if (assets.length === 0 && classes.length === 0) {
+      throw new Error('A target allocation model needs asset or class weights');
+    }
+
+    const seen = new Set();
+    for (const { asset } of assets) {
+      if (seen.has(asset)) {
+        throw new Error(`Duplicate target for ${asset}`);
+      }
+      seen.add(asset);
+    }
+
+    for (const [label, targets] of [
+      ['Asset', assets],
+      ['Class', classes]
+    ]) {
+      const total = targets.reduce((sum, target) => sum + target.weight, 0);
+      if (targets.length > 0 && Math.abs(total - 100) > WEIGHT_TOLERANCE) {
+        throw new Error(`${label} weights must sum to 100% (got ${parseFloat(total.toFixed(4))}%)`);
+      }
+    }
+  }
+
+  /**
+   * Whether a model is the portfolio's active target allocation
+   * @param {Object} portfolio - Portfolio document
+   * @param {Object} model - Model
+   * @returns {boolean} True when active
+   */
+  isActive(portfolio, model) {
+    const activeId = portfolio.allocation.targetModelId;
+    return Boolean(activeId) && activeId.toString() === model._id.toString();
+  }
+}
+
+// Export singleton instance
+module.exports = new TargetAllocationService();
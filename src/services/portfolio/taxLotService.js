@@ -0,0 +1,669 @@
+const Order = require('../../models/Order');
+const Portfolio = require('../../models/Portfolio');
+const TaxLot = require('../../models/TaxLot');
+const marketDataService = require('../market/marketDataService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const EPSILON = 1e-12;
+const AMOUNT_TOLERANCE = 1e-9;
+const HOUR = 60 * 60 * 1000;
+const RATE_CACHE_SIZE = 50000;
+const DEFAULT_REPORTING_CURRENCY = 'USDT';
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'hifo', 'average'];
+const NON_EXCHANGE_VENUES = ['paper_trading', 'backtest', 'smart_router'];
+
+/**
+ * Tax Lot Service
+ * Per-lot cost basis accounting for filled exchange trades. Every buy fill
+ * opens a lot and every sell fill is matched against the open lots of the
+ * asset under FIFO, LIFO, HIFO or average cost, across all exchanges.
+ * Fills are valued in the reporting currency (the portfolio's base currency)
+ * at the time they happened, and a trade's quote leg counts too: spending
+ * ETH on BTC/ETH disposes of ETH, selling for EUR acquires EUR.
+ */
+class TaxLotService {
+  constructor() {
+    // `${currency}/${reportingCurrency}:${hour}` -> rate promise; past hourly
+    // rates do not change, so they stay until the cache is full
+    this.rates = new Map();
+    this.syncs = new Map(); // Serializes lot updates per user and method
+  }
+
+  /**
+   * Bring a user's tax lots for a cost basis method up to date with their
+   * order history. Trades newer than the last synced one are added to the
+   * stored lots; anything else (an older trade turning up, a changed fill,
+   * a new reporting currency) rebuilds the lots from scratch.
+   * @param {string} userId - User ID
+   * @param {string} method - 'fifo', 'lifo', 'hifo' or 'average'
+   * @param {Array} unvalued - Collects the trades that could not be valued
+   * @returns {Promise<Array>} The user's tax lots for the method
+   */
+  syncTaxLots(userId, method, unvalued = []) {
+    if (!COST_BASIS_METHODS.includes(method)) {
+      return Promise.reject(new Error(`Invalid cost basis method: ${method}`));
+    }
+
+    const key = `${userId}:${method}`;
+    const pending = this.syncs.get(key) || Promise.resolve();
+    const next = pending.catch(() => {}).then(() => this.updateTaxLots(userId, method, unvalued));
+
+    this.syncs.set(key, next);
+    next
+      .catch(() => {})
+      .then(() => {
+        if (this.syncs.get(key) === next) {
+          this.syncs.delete(key);
+        }
+      });
+
+    return next;
+  }
+
+  /**
+   * Update the stored lots, see syncTaxLots
+   * @param {string} userId - User ID
+   * @param {string} method - Cost basis method
+   * @param {Array} unvalued - Collects the trades that could not be valued
+   * @returns {Promise<Array>} The user's tax lots for the method
+   */
+  async updateTaxLots(userId, method, unvalued) {
+    const [{ trades, reportingCurrency }, stored] = await Promise.all([
+      this.loadTrades(userId),
+      TaxLot.find({ userId, method })
+    ]);
+
+    const synced = this.getSyncedAmounts(stored);
+    const pending = trades.filter(trade => !synced.has(trade.sourceKey));
+    const lastSynced = stored.reduce(
+      (latest, lot) =>
+        Math.max(latest, lot.acquiredAt || 0, ...lot.disposals.map(disposal => disposal.disposedAt)),
+      0
+    );
+
+    // Lots built from trades that have since changed or disappeared, or
+    // trades that belong before the synced ones, need a full rebuild
+    const current = new Map(trades.map(trade => [trade.sourceKey, trade.amount]));
+    const stale =
+      stored.some(lot => lot.currency !== reportingCurrency) ||
+      [...synced].some(([sourceKey, amount]) =>
+        !current.has(sourceKey) || Math.abs(current.get(sourceKey) - amount) > AMOUNT_TOLERANCE
+      ) ||
+      pending.some(trade => trade.timestamp < lastSynced);
+
+    if (stale || stored.length === 0) {
+      const valued = await this.toReportingCurrency(trades, reportingCurrency, unvalued);
+      const lots = this.buildLots(valued, method).map(lot => ({ ...lot, userId, method }));
+
+      await TaxLot.deleteMany({ userId, method });
+      const saved = lots.length > 0 ? await TaxLot.insertMany(lots) : [];
+
+      logger.info(`Rebuilt ${saved.length} ${method} tax lots for user ${userId} from ${valued.length} trades`);
+      return saved;
+    }
+
+    if (pending.length === 0) {
+      return stored;
+    }
+
+    // Only the open lots can be sold from, and the ones that are get updated
+    const valued = await this.toReportingCurrency(pending, reportingCurrency, unvalued);
+    const openLots = stored.filter(lot => lot.remaining > EPSILON);
+    const disposalCounts = new Map(openLots.map(lot => [lot, lot.disposals.length]));
+    const lots = this.buildLots(valued, method, openLots).map(lot => ({ ...lot, userId, method }));
+    const updated = openLots.filter(lot => lot.disposals.length > disposalCounts.get(lot));
+
+    if (updated.length > 0) {
+      await TaxLot.bulkWrite(
+        updated.map(lot => ({
+          updateOne: {
+            filter: { _id: lot._id },
+            update: { $set: { remaining: lot.remaining, disposals: lot.disposals } }
+          }
+        }))
+      );
+    }
+    const saved = lots.length > 0 ? await TaxLot.insertMany(lots) : [];
+
+    logger.info(`Added ${valued.length} trades to the ${method} tax lots of user ${userId}`);
+    return [...stored, ...saved];
+  }
+
+  /**
+   * Amount of each order trade the stored lots were built from, by the
+   * trade's source key
+   * @param {Array} lots - Stored tax lots
+   * @returns {Map} Source key -> amount
+   */
+  getSyncedAmounts(lots) {
+    const amounts = new Map();
+    const add = (sourceKey, amount) => {
+      // Quote legs, `${orderId}:${index}:${currency}`, move with their trade
+      if (sourceKey.split(':').length < 3) {
+        amounts.set(sourceKey, (amounts.get(sourceKey) || 0) + amount);
+      }
+    };
+
+    for (const lot of lots) {
+      if (!lot.basisUnknown && lot.sourceKey) {
+        add(lot.sourceKey, lot.amount);
+      }
+      lot.disposals.forEach(disposal => add(disposal.sourceKey, disposal.amount));
+    }
+
+    return amounts;
+  }
+
+  /**
+   * Build a per-disposal tax report for a calendar year
+   * @param {string} userId - User ID
+   * @param {Object} options - year and method
+   * @returns {Promise<Object>} Report with Form 8949 style rows, term totals
+   *   and the trades up to the end of the year that could not be valued
+   */
+  async getTaxReport(userId, { year, method }) {
+    const unvalued = [];
+    await this.syncTaxLots(userId, method, unvalued);
+
+    const start = new Date(Date.UTC(year, 0, 1));
+    const end = new Date(Date.UTC(year + 1, 0, 1));
+    const lots = await TaxLot.findDisposed(userId, method, start, end);
+    const rows = this.buildReportRows(lots, start, end);
+
+    return {
+      year,
+      method,
+      generatedAt: new Date(),
+      rows,
+      totals: this.summarizeRows(rows),
+      // Left out of the lots, so later sales of the asset may show an unknown basis
+      unvalued: unvalued
+        .filter(trade => trade.timestamp < end)
+        .map(trade => ({
+          description: `${this.formatAmount(trade.amount)} ${trade.asset}`,
+          asset: trade.asset,
+          side: trade.side,
+          amount: trade.amount,
+          date: trade.timestamp,
+          currency: trade.currency,
+          exchangeName: trade.exchangeName,
+          orderId: trade.orderId,
+          error: trade.error
+        }))
+    };
+  }
+
+  /**
+   * Load every filled trade from the user's exchange orders in time order,
+   * valued in the portfolio's base currency. Trades that cannot be valued
+   * are left out and collected in unvalued.
+   * @param {string} userId - User ID
+   * @param {Array} unvalued - Collects the trades that could not be valued
+   * @returns {Promise<Array>} Taxable trades
+   */
+  async getTaxableTrades(userId, unvalued = []) {
+    const { trades, reportingCurrency } = await this.loadTrades(userId);
+    return this.toReportingCurrency(trades, reportingCurrency, unvalued);
+  }
+
+  /**
+   * Load every filled trade from the user's exchange orders in time order,
+   * in their quote currency. Parent orders (smart routes, OCO legs, algo
+   * orders) only mirror their children's fills and are skipped.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} trades and the reportingCurrency to value them in
+   */
+  async loadTrades(userId) {
+    const [orders, portfolio] = await Promise.all([
+      Order.find({
+        userId,
+        exchangeName: { $nin: NON_EXCHANGE_VENUES },
+        isPaperTrade: { $ne: true },
+        filled: { $gt: 0 }
+      }),
+      Portfolio.findByUserId(userId)
+    ]);
+
+    const parentIds = new Set(
+      orders
+        .filter(order => order.metadata && order.metadata.parentOrderId)
+        .map(order => order.metadata.parentOrderId.toString())
+    );
+
+    const trades = orders
+      .filter(order => !parentIds.has(order._id.toString()))
+      .flatMap(order => this.extractTrades(order))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+      trades,
+      reportingCurrency: portfolio ? portfolio.baseCurrency : DEFAULT_REPORTING_CURRENCY
+    };
+  }
+
+  /**
+   * Turn an order's fills into taxable trades. Buys carry their cost
+   * including fees, sells their proceeds net of fees, both in the quote
+   * currency; quoteAmount is the quote currency spent or received.
+   * @param {Object} order - Filled order
+   * @returns {Array} Trades as { orderId, sourceKey, exchangeName, asset, currency, side, timestamp, amount, value, quoteAmount }
+   */
+  extractTrades(order) {
+    const [asset, currency] = order.symbol.split('/');
+    const orderFee = order.fee && order.fee.cost ? order.fee : null;
+    const fills = order.trades && order.trades.length > 0
+      ? order.trades
+      : [{
+        amount: order.filled,
+        price: order.cost / order.filled,
+        cost: order.cost,
+        fee: orderFee,
+        timestamp: order.executedAt || order.timestamps.filled || order.timestamps.lastUpdate
+      }];
+
+    // Spread the order's fee over fills that do not report their own
+    const fillsHaveFees = fills.some(fill => fill.fee && fill.fee.cost);
+    const filledAmount = fills.reduce((sum, fill) => sum + fill.amount, 0);
+
+    return fills
+      .filter(fill => fill.amount > 0)
+      .map((fill, index) => {
+        const cost = fill.cost || fill.amount * fill.price;
+        let fee = fill.fee && fill.fee.cost ? fill.fee : null;
+        if (!fillsHaveFees && orderFee) {
+          fee = { currency: orderFee.currency, cost: (orderFee.cost * fill.amount) / filledAmount };
+        }
+
+        // Fees charged in the base asset reduce what was received or sold,
+        // fees in a third currency are not part of this pair's basis
+        const feeCurrency = fee && fee.currency ? fee.currency.toUpperCase() : currency;
+        const feeInBase = fee && feeCurrency === asset ? fee.cost : 0;
+        const feeInQuote = fee && feeCurrency === currency ? fee.cost : 0;
+        const price = cost / fill.amount;
+
+        const trade = {
+          orderId: order._id,
+          sourceKey: `${order._id}:${index}`,
+          exchangeName: order.exchangeName,
+          asset,
+          currency,
+          side: order.side,
+          timestamp: new Date(fill.timestamp || order.executedAt || order.timestamps.lastUpdate)
+        };
+
+        if (order.side === 'buy') {
+          return {
+            ...trade,
+            amount: fill.amount - feeInBase,
+            value: cost + feeInQuote,
+            quoteAmount: cost + feeInQuote
+          };
+        }
+
+        return {
+          ...trade,
+          amount: fill.amount,
+          value: cost - feeInQuote - feeInBase * price,
+          quoteAmount: cost - feeInQuote
+        };
+      });
+  }
+
+  /**
+   * Value trades in the reporting currency at their time and split off the
+   * quote leg: a buy also disposes of the quote currency spent, a sell
+   * acquires the quote currency received. The reporting currency itself is
+   * the unit of account and gets no lots.
+   * @param {Array} trades - Trades from extractTrades in time order
+   * @param {string} reportingCurrency - Currency to report in
+   * @param {Array} unvalued - Collects the trades without a rate, with the error
+   * @returns {Promise<Array>} Trades in the reporting currency, in time order
+   */
+  async toReportingCurrency(trades, reportingCurrency, unvalued = []) {
+    const converted = [];
+
+    for (const { quoteAmount, ...trade } of trades) {
+      let rate;
+      try {
+        rate = await this.getRate(trade.currency, reportingCurrency, trade.timestamp);
+      } catch (error) {
+        logger.warn(`Could not value trade ${trade.sourceKey}: ${error.message}`);
+        unvalued.push({ ...trade, error: error.message });
+        continue;
+      }
+
+      converted.push({ ...trade, currency: reportingCurrency, value: trade.value * rate });
+
+      if (trade.currency !== reportingCurrency && quoteAmount > EPSILON) {
+        converted.push({
+          ...trade,
+          sourceKey: `${trade.sourceKey}:${trade.currency}`,
+          asset: trade.currency,
+          currency: reportingCurrency,
+          side: trade.side === 'buy' ? 'sell' : 'buy',
+          amount: quoteAmount,
+          value: quoteAmount * rate
+        });
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * Value of one unit of a currency in the reporting currency at a time,
+   * from the direct pair or else its inverse on the rate exchange. Rates are
+   * cached by hour; failed lookups are tried again next time.
+   * @param {string} currency - Currency to convert from
+   * @param {string} reportingCurrency - Currency to convert to
+   * @param {Date} timestamp - Time of the trade
+   * @returns {Promise<number>} Exchange rate
+   */
+  getRate(currency, reportingCurrency, timestamp) {
+    if (currency === reportingCurrency) {
+      return Promise.resolve(1);
+    }
+
+    const key = `${currency}/${reportingCurrency}:${Math.floor(timestamp.getTime() / HOUR)}`;
+    if (!this.rates.has(key)) {
+      if (this.rates.size >= RATE_CACHE_SIZE) {
+        this.rates.delete(this.rates.keys().next().value);
+      }
+
+      const rate = this.fetchRate(currency, reportingCurrency, timestamp);
+      rate.catch(() => this.rates.delete(key));
+      this.rates.set(key, rate);
+    }
+
+    return this.rates.get(key);
+  }
+
+  async fetchRate(currency, reportingCurrency, timestamp) {
+    const { rateExchange } = config.tax;
+
+    try {
+      return await marketDataService.getHistoricalPrice(rateExchange, `${currency}/${reportingCurrency}`, timestamp);
+    } catch (error) {
+      try {
+        const inverse = await marketDataService.getHistoricalPrice(rateExchange, `${reportingCurrency}/${currency}`, timestamp);
+        return 1 / inverse;
+      } catch (_inverseError) {
+        throw new Error(`No ${currency} to ${reportingCurrency} rate at ${timestamp.toISOString()}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Replay trades into tax lots under a cost basis method
+   * @param {Array} trades - Taxable trades in time order
+   * @param {string} method - 'fifo', 'lifo', 'hifo' or 'average'
+   * @param {Array} existingLots - Open lots from earlier trades, sold from in place
+   * @returns {Array} New lots with their disposals
+   */
+  buildLots(trades, method, existingLots = []) {
+    const lots = [];
+    const openLots = new Map(); // asset -> lots with a remaining amount
+
+    for (const lot of existingLots) {
+      if (!openLots.has(lot.asset)) {
+        openLots.set(lot.asset, []);
+      }
+      openLots.get(lot.asset).push(lot);
+    }
+
+    for (const trade of trades) {
+      if (!openLots.has(trade.asset)) {
+        openLots.set(trade.asset, []);
+      }
+      const assetLots = openLots.get(trade.asset);
+
+      if (trade.side === 'buy') {
+        const lot = {
+          asset: trade.asset,
+          currency: trade.currency,
+          exchangeName: trade.exchangeName,
+          orderId: trade.orderId,
+          sourceKey: trade.sourceKey,
+          acquiredAt: trade.timestamp,
+          amount: trade.amount,
+          remaining: trade.amount,
+          costBasis: trade.value,
+          disposals: []
+        };
+        lots.push(lot);
+        assetLots.push(lot);
+        continue;
+      }
+
+      const unmatched = this.disposeFromLots(assetLots, trade, method);
+      if (unmatched > EPSILON) {
+        // Nothing recorded to sell from: report it with a zero basis
+        const lot = {
+          asset: trade.asset,
+          currency: trade.currency,
+          exchangeName: trade.exchangeName,
+          basisUnknown: true,
+          amount: unmatched,
+          remaining: unmatched,
+          costBasis: 0,
+          disposals: []
+        };
+        lots.push(lot);
+        this.recordDisposal(lot, trade, unmatched);
+      }
+
+      openLots.set(trade.asset, assetLots.filter(lot => lot.remaining > EPSILON));
+    }
+
+    return lots;
+  }
+
+  /**
+   * Match a sell against open lots
+   * @param {Array} assetLots - Open lots of the asset
+   * @param {Object} trade - Sell trade
+   * @param {string} method - Cost basis method
+   * @returns {number} Amount sold that no lot covered
+   */
+  disposeFromLots(assetLots, trade, method) {
+    const available = assetLots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const matched = Math.min(trade.amount, available);
+
+    if (matched <= EPSILON) {
+      return trade.amount;
+    }
+
+    if (method === 'average') {
+      // Every open lot gives up the same share, so each unit costs the pool average
+      const share = matched / available;
+      assetLots.forEach(lot => this.recordDisposal(lot, trade, lot.remaining * share));
+    } else {
+      let remaining = matched;
+      for (const lot of this.orderLots(assetLots, method)) {
+        if (remaining <= EPSILON) {
+          break;
+        }
+
+        const amount = Math.min(lot.remaining, remaining);
+        this.recordDisposal(lot, trade, amount);
+        remaining -= amount;
+      }
+    }
+
+    return trade.amount - matched;
+  }
+
+  /**
+   * Order open lots by which a method sells first
+   * @param {Array} assetLots - Open lots
+   * @param {string} method - 'fifo', 'lifo' or 'hifo'
+   * @returns {Array} Lots in disposal order
+   */
+  orderLots(assetLots, method) {
+    const lots = [...assetLots];
+
+    if (method === 'lifo') {
+      return lots.sort((a, b) => b.acquiredAt - a.acquiredAt);
+    }
+
+    if (method === 'hifo') {
+      return lots.sort((a, b) => b.costBasis / b.amount - a.costBasis / a.amount);
+    }
+
+    return lots.sort((a, b) => a.acquiredAt - b.acquiredAt);
+  }
+
+  /**
+   * Record part of a sell against a lot
+   * @param {Object} lot - Tax lot
+   * @param {Object} trade - Sell trade
+   * @param {number} amount - Amount taken from the lot
+   */
+  recordDisposal(lot, trade, amount) {
+    if (amount <= EPSILON) {
+      return;
+    }
+
+    const costBasis = lot.amount > 0 ? (lot.costBasis * amount) / lot.amount : 0;
+    const proceeds = (trade.value * amount) / trade.amount;
+
+    lot.remaining = Math.max(lot.remaining - amount, 0);
+    lot.disposals.push({
+      orderId: trade.orderId,
+      sourceKey: trade.sourceKey,
+      exchangeName: trade.exchangeName,
+      disposedAt: trade.timestamp,
+      amount,
+      proceeds,
+      costBasis,
+      gain: proceeds - costBasis,
+      term: lot.acquiredAt && this.isLongTerm(lot.acquiredAt, trade.timestamp) ? 'long' : 'short'
+    });
+  }
+
+  /**
+   * Long-term holdings are disposed of more than one year after acquisition
+   * @param {Date} acquiredAt - Acquisition date
+   * @param {Date} disposedAt - Disposal date
+   * @returns {boolean} True for a long-term holding period
+   */
+  isLongTerm(acquiredAt, disposedAt) {
+    const anniversary = new Date(acquiredAt);
+    anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+
+    return disposedAt > anniversary;
+  }
+
+  /**
+   * Flatten lot disposals in a period into report rows, one per lot sold from
+   * @param {Array} lots - Tax lots
+   * @param {Date} start - Period start
+   * @param {Date} end - Period end (exclusive)
+   * @returns {Array} Rows sorted by date sold
+   */
+  buildReportRows(lots, start, end) {
+    return lots
+      .flatMap(lot =>
+        lot.disposals
+          .filter(disposal => disposal.disposedAt >= start && disposal.disposedAt < end)
+          .map(disposal => ({
+            description: `${this.formatAmount(disposal.amount)} ${lot.asset}`,
+            asset: lot.asset,
+            amount: disposal.amount,
+            dateAcquired: lot.basisUnknown ? null : lot.acquiredAt,
+            dateSold: disposal.disposedAt,
+            proceeds: disposal.proceeds,
+            costBasis: disposal.costBasis,
+            gain: disposal.gain,
+            term: disposal.term,
+            currency: lot.currency,
+            exchangeName: disposal.exchangeName,
+            basisUnknown: Boolean(lot.basisUnknown)
+          }))
+      )
+      .sort((a, b) => a.dateSold - b.dateSold);
+  }
+
+  /**
+   * Total proceeds, cost basis and gain per currency and holding period
+   * @param {Array} rows - Report rows
+   * @returns {Object} Totals keyed by currency, then 'short'/'long'
+   */
+  summarizeRows(rows) {
+    return rows.reduce((totals, row) => {
+      totals[row.currency] = totals[row.currency] || {
+        short: { proceeds: 0, costBasis: 0, gain: 0, count: 0 },
+        long: { proceeds: 0, costBasis: 0, gain: 0, count: 0 }
+      };
+
+      const term = totals[row.currency][row.term];
+      term.proceeds += row.proceeds;
+      term.costBasis += row.costBasis;
+      term.gain += row.gain;
+      term.count += 1;
+
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Render a tax report as CSV in the column order of Form 8949
+   * @param {Object} report - Report from getTaxReport
+   * @returns {string} CSV document
+   */
+  toCsv(report) {
+    const headers = [
+      'Description',
+      'Date Acquired',
+      'Date Sold',
+      'Proceeds',
+      'Cost Basis',
+      'Gain or Loss',
+      'Term',
+      'Currency',
+      'Exchange'
+    ];
+
+    const lines = report.rows.map(row =>
+      [
+        row.description,
+        row.dateAcquired ? this.formatDate(row.dateAcquired) : 'UNKNOWN',
+        this.formatDate(row.dateSold),
+        row.proceeds.toFixed(2),
+        row.costBasis.toFixed(2),
+        row.gain.toFixed(2),
+        row.term === 'long' ? 'Long-term' : 'Short-term',
+        row.currency,
+        row.exchangeName
+      ].join(',')
+    );
+
+    return [headers.join(','), ...lines].join('\n');
+  }
+
+  /**
+   * Format a date as MM/DD/YYYY
+   * @param {Date} date - Date
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    const value = new Date(date);
+    const month = String(value.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(value.getUTCDate()).padStart(2, '0');
+
+    return `${month}/${day}/${value.getUTCFullYear()}`;
+  }
+
+  /**
+   * Format an asset amount without float noise
+   * @param {number} amount - Amount
+   * @returns {string} Amount with up to 8 decimals
+   */
+  formatAmount(amount) {
+    return String(parseFloat(amount.toFixed(8)));
+  }
+}
+
+// Export singleton instance
+module.exports = new TaxLotService();
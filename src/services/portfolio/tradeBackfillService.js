@@ -0,0 +1,552 @@
+const ccxt = require('ccxt');
+const Order = require('../../models/Order');
+const TradingPosition = require('../../models/TradingPosition');
+const BackfillJob = require('../../models/BackfillJob');
+const Transfer = require('../../models/Transfer');
+const exchangeManager = require('../exchanges/exchangeManager');
+const portfolioService = require('./portfolioService');
+const websocketService = require('../websocket/websocketService');
+const logger = require('../../utils/logger');
+
+const IMPORT_SOURCE = 'exchange_backfill';
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit', 'take_profit'];
+// Quotes paired with held assets when an exchange only returns history per market
+const QUOTE_CURRENCIES = ['USDT', 'USD', 'USDC', 'BUSD', 'EUR', 'BTC', 'ETH'];
+const SOURCE_METHODS = {
+  orders: 'fetchClosedOrders',
+  trades: 'fetchMyTrades',
+  deposits: 'fetchDeposits',
+  withdrawals: 'fetchWithdrawals'
+};
+
+/**
+ * Trade Backfill Service
+ * Imports a user's closed orders, trades, deposits and withdrawals from a
+ * connected exchange, then rebuilds positions and portfolio cost basis from
+ * the imported history. Paging cursors are stored on the BackfillJob after
+ * every page, and records are matched on their exchange IDs, so a job can be
+ * resumed or re-run without duplicating anything.
+ */
+class TradeBackfillService {
+  constructor() {
+    this.runningJobs = new Map(); // `${userId}:${exchangeName}` -> run promise
+    this.settings = {
+      pageSize: 500,
+      defaultSince: Date.UTC(2017, 0, 1) // Earliest history requested when no start date is given
+    };
+  }
+
+  /**
+   * Start or resume the backfill for a connected exchange
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name
+   * @param {Object} options - since (Date) and restart (discard cursors)
+   * @returns {Promise<Object>} Backfill job
+   */
+  async startBackfill(userId, exchangeName, options = {}) {
+    const exchange = await exchangeManager.loadExchange(userId, exchangeName);
+    if (!exchange) {
+      throw new Error(`Exchange ${exchangeName} is not connected for this user`);
+    }
+
+    const jobKey = `${userId}:${exchangeName}`;
+    let job = await BackfillJob.findOne({ userId, exchangeName });
+
+    if (job && this.runningJobs.has(jobKey)) {
+      return job;
+    }
+
+    if (!job) {
+      job = new BackfillJob({
+        userId,
+        exchangeName,
+        since: options.since || new Date(this.settings.defaultSince)
+      });
+    } else if (options.restart) {
+      job.since = options.since || job.since;
+      job.cursors = [];
+      job.progress = {
+        symbolsTotal: 0,
+        symbolsDone: 0,
+        orders: 0,
+        trades: 0,
+        deposits: 0,
+        withdrawals: 0,
+        positions: 0,
+        duplicates: 0
+      };
+    } else {
+      // Pick up history newer than the last completed run
+      job.cursors.forEach(cursor => {
+        cursor.done = false;
+      });
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date();
+    job.completedAt = undefined;
+    job.lastError = undefined;
+    await job.save();
+
+    const run = this.runBackfill(job, exchange)
+      .catch(error => this.failJob(job, error))
+      .finally(() => this.runningJobs.delete(jobKey));
+    this.runningJobs.set(jobKey, run);
+
+    logger.info(`Started trade backfill for user ${userId} on ${exchangeName}`);
+    return job;
+  }
+
+  /**
+   * Get backfill jobs for a user
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Optional exchange filter
+   * @returns {Promise<Array|Object>} Job summaries, or one job when an exchange is given
+   */
+  async getBackfillStatus(userId, exchangeName = null) {
+    if (exchangeName) {
+      const job = await BackfillJob.findOne({ userId, exchangeName });
+      if (!job) {
+        throw new Error('Backfill job not found');
+      }
+      return this.summarizeJob(job);
+    }
+
+    const jobs = await BackfillJob.find({ userId }).sort({ createdAt: -1 });
+    return jobs.map(job => this.summarizeJob(job));
+  }
+
+  /**
+   * Run every import stage of a job, then rebuild positions and cost basis
+   * @param {Object} job - Backfill job
+   * @param {Object} exchange - Authenticated ccxt exchange
+   */
+  async runBackfill(job, exchange) {
+    let symbols = null;
+    const getSymbols = async () => {
+      symbols = symbols || await this.getBackfillSymbols(job, exchange);
+      return symbols;
+    };
+
+    for (const source of Object.keys(SOURCE_METHODS)) {
+      if (exchange.has && exchange.has[SOURCE_METHODS[source]]) {
+        await this.importSource(job, exchange, source, getSymbols);
+      }
+    }
+
+    await this.setStage(job, 'positions');
+    job.progress.positions += await this.rebuildPositions(job);
+
+    await this.setStage(job, 'cost_basis');
+    await portfolioService.rebuildCostBasis(job.userId);
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    await this.setStage(job, 'done');
+
+    logger.info(`Completed trade backfill for user ${job.userId} on ${job.exchangeName}`, job.progress);
+  }
+
+  /**
+   * Import one history source, market by market when the exchange requires it
+   * @param {Object} job - Backfill job
+   * @param {Object} exchange - Authenticated ccxt exchange
+   * @param {string} source - 'orders', 'trades', 'deposits' or 'withdrawals'
+   * @param {Function} getSymbols - Resolves the markets to page through
+   */
+  async importSource(job, exchange, source, getSymbols) {
+    await this.setStage(job, source);
+
+    try {
+      await this.importPages(job, exchange, source, null);
+    } catch (error) {
+      if (!(error instanceof ccxt.ArgumentsRequired)) {
+        throw error;
+      }
+
+      // The exchange only returns this history one market at a time
+      job.cursors = job.cursors.filter(cursor => cursor.source !== source || cursor.symbol);
+
+      const symbols = await getSymbols();
+      job.progress.symbolsTotal = symbols.length;
+      job.progress.symbolsDone = 0;
+
+      for (const symbol of symbols) {
+        await this.importPages(job, exchange, source, symbol);
+        job.progress.symbolsDone += 1;
+      }
+    }
+  }
+
+  /**
+   * Page through a source from its cursor, saving the cursor after each page
+   * @param {Object} job - Backfill job
+   * @param {Object} exchange - Authenticated ccxt exchange
+   * @param {string} source - History source
+   * @param {string|null} symbol - Market, or null for all markets
+   */
+  async importPages(job, exchange, source, symbol) {
+    const cursor = job.getCursor(source, symbol);
+
+    while (!cursor.done) {
+      const items = await exchange[SOURCE_METHODS[source]](symbol || undefined, cursor.since, this.settings.pageSize);
+
+      for (const item of items) {
+        await this.importItem(job, source, item);
+      }
+
+      const next = items.reduce((latest, item) => Math.max(latest, item.timestamp || 0), 0) + 1;
+
+      // An empty page, or one the exchange did not advance, ends the source
+      cursor.done = items.length === 0 || next <= cursor.since;
+      cursor.since = Math.max(next, cursor.since);
+
+      await job.save();
+      this.publishProgress(job);
+    }
+  }
+
+  /**
+   * Import a single history record
+   * @param {Object} job - Backfill job
+   * @param {string} source - History source
+   * @param {Object} item - ccxt order, trade or transaction
+   */
+  async importItem(job, source, item) {
+    if (source === 'orders') {
+      await this.importOrder(job, item);
+    } else if (source === 'trades') {
+      await this.importTrade(job, item);
+    } else {
+      await this.importTransfer(job, source === 'deposits' ? 'deposit' : 'withdrawal', item);
+    }
+  }
+
+  /**
+   * Import a closed exchange order unless it is already recorded
+   * @param {Object} job - Backfill job
+   * @param {Object} exchangeOrder - ccxt order
+   */
+  async importOrder(job, exchangeOrder) {
+    // Nothing traded, nothing to account for
+    if (!exchangeOrder.filled) {
+      return;
+    }
+
+    const existing = await Order.findOne({
+      userId: job.userId,
+      exchangeName: job.exchangeName,
+      exchangeOrderId: String(exchangeOrder.id)
+    });
+
+    if (existing) {
+      job.progress.duplicates += 1;
+      return;
+    }
+
+    const order = this.buildImportedOrder(job, exchangeOrder);
+    order.updateFromExchange(exchangeOrder);
+    order.exchangeOrderId = String(exchangeOrder.id);
+    if (!order.isComplete) {
+      order.status = 'closed';
+    }
+    this.setHistoricalTimestamps(order, exchangeOrder.timestamp, exchangeOrder.lastTradeTimestamp);
+
+    await order.save();
+    job.progress.orders += 1;
+  }
+
+  /**
+   * Import an exchange trade into its order, creating the order when the
+   * closed order history did not include it
+   * @param {Object} job - Backfill job
+   * @param {Object} trade - ccxt trade
+   */
+  async importTrade(job, trade) {
+    const tradeId = String(trade.id);
+    const exchangeOrderId = trade.order ? String(trade.order) : `trade:${tradeId}`;
+
+    let order = await Order.findOne({
+      userId: job.userId,
+      exchangeName: job.exchangeName,
+      exchangeOrderId
+    });
+
+    if (order && order.trades.some(existing => existing.id === tradeId)) {
+      job.progress.duplicates += 1;
+      return;
+    }
+
+    if (!order) {
+      order = this.buildImportedOrder(job, { ...trade, id: exchangeOrderId });
+      order.status = 'closed';
+    }
+
+    order.trades.push({
+      id: tradeId,
+      timestamp: new Date(trade.timestamp),
+      amount: trade.amount,
+      price: trade.price,
+      cost: trade.cost || trade.amount * trade.price,
+      fee: trade.fee
+    });
+
+    // Orders known only from their trades are sized by the trades imported so far
+    if (order.metadata.importSource === IMPORT_SOURCE) {
+      const filled = order.trades.reduce((sum, fill) => sum + fill.amount, 0);
+
+      if (filled > order.filled) {
+        order.filled = filled;
+        order.cost = order.trades.reduce((sum, fill) => sum + fill.cost, 0);
+        order.amount = Math.max(order.amount, filled);
+        order.remaining = order.amount - filled;
+      }
+
+      const timestamps = order.trades.map(fill => fill.timestamp.getTime());
+      this.setHistoricalTimestamps(order, Math.min(...timestamps), Math.max(...timestamps));
+    }
+
+    await order.save();
+    job.progress.trades += 1;
+  }
+
+  /**
+   * Import a deposit or withdrawal unless it is already recorded
+   * @param {Object} job - Backfill job
+   * @param {string} type - 'deposit' or 'withdrawal'
+   * @param {Object} transaction - ccxt transaction
+   */
+  async importTransfer(job, type, transaction) {
+    const result = await Transfer.updateOne(
+      {
+        userId: job.userId,
+        exchangeName: job.exchangeName,
+        transferId: String(transaction.id || transaction.txid)
+      },
+      {
+        $setOnInsert: {
+          type,
+          currency: transaction.currency.toUpperCase(),
+          amount: transaction.amount,
+          fee: transaction.fee,
+          status: transaction.status,
+          txid: transaction.txid,
+          network: transaction.network,
+          address: transaction.address,
+          timestamp: new Date(transaction.timestamp)
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      job.progress[type === 'deposit' ? 'deposits' : 'withdrawals'] += 1;
+    } else {
+      job.progress.duplicates += 1;
+    }
+  }
+
+  /**
+   * Build an order document for exchange history
+   * @param {Object} job - Backfill job
+   * @param {Object} source - ccxt order or trade
+   * @returns {Object} Order document
+   */
+  buildImportedOrder(job, source) {
+    let type = ORDER_TYPES.includes(source.type) ? source.type : null;
+    if (!type) {
+      type = source.price ? 'limit' : 'market';
+    }
+
+    return new Order({
+      userId: job.userId,
+      exchangeName: job.exchangeName,
+      exchangeOrderId: String(source.id),
+      symbol: source.symbol,
+      type,
+      side: source.side,
+      amount: source.amount,
+      price: source.price,
+      stopPrice: source.stopPrice,
+      metadata: {
+        importSource: IMPORT_SOURCE
+      }
+    });
+  }
+
+  /**
+   * Date an imported order by when it traded instead of when it was imported
+   * @param {Object} order - Imported order
+   * @param {number} createdAt - Creation timestamp (ms)
+   * @param {number} executedAt - Last fill timestamp (ms)
+   */
+  setHistoricalTimestamps(order, createdAt, executedAt) {
+    const created = new Date(createdAt || executedAt);
+    const executed = new Date(executedAt || createdAt);
+
+    order.timestamps.created = created;
+    order.timestamps.submitted = created;
+    order.timestamps.filled = executed;
+    order.timestamps.closed = executed;
+    order.executedAt = executed;
+  }
+
+  /**
+   * Markets to page through on exchanges that need a symbol: pairs of the
+   * assets currently held plus markets the user already has orders on
+   * @param {Object} job - Backfill job
+   * @param {Object} exchange - Authenticated ccxt exchange
+   * @returns {Promise<Array>} Symbols
+   */
+  async getBackfillSymbols(job, exchange) {
+    const [markets, balance, knownSymbols] = await Promise.all([
+      exchange.loadMarkets(),
+      exchange.fetchBalance(),
+      Order.distinct('symbol', { userId: job.userId, exchangeName: job.exchangeName })
+    ]);
+
+    const held = new Set(
+      Object.entries(balance.total || {})
+        .filter(([, amount]) => amount > 0)
+        .map(([currency]) => currency)
+    );
+
+    const symbols = new Set(knownSymbols.filter(symbol => markets[symbol]));
+    Object.values(markets).forEach(market => {
+      if (market.spot !== false && held.has(market.base) &&
+          (held.has(market.quote) || QUOTE_CURRENCIES.includes(market.quote))) {
+        symbols.add(market.symbol);
+      }
+    });
+
+    return [...symbols].sort();
+  }
+
+  /**
+   * Replay imported orders into long positions, skipping orders a position
+   * already holds
+   * @param {Object} job - Backfill job
+   * @returns {Promise<number>} Positions opened
+   */
+  async rebuildPositions(job) {
+    const orders = await Order.find({
+      userId: job.userId,
+      exchangeName: job.exchangeName,
+      'metadata.importSource': IMPORT_SOURCE,
+      filled: { $gt: 0 }
+    }).sort({ executedAt: 1 });
+
+    let opened = 0;
+    for (const order of orders) {
+      const tracked = await TradingPosition.exists({
+        userId: job.userId,
+        $or: [{ 'entryOrders.orderId': order._id }, { 'exitOrders.orderId': order._id }]
+      });
+      if (tracked) {
+        continue;
+      }
+
+      let position = await TradingPosition.findOne({
+        userId: job.userId,
+        exchangeName: job.exchangeName,
+        symbol: order.symbol,
+        side: 'long',
+        status: 'open',
+        strategy: IMPORT_SOURCE
+      });
+
+      if (order.side === 'buy') {
+        if (!position) {
+          position = new TradingPosition({
+            userId: job.userId,
+            exchangeName: job.exchangeName,
+            symbol: order.symbol,
+            side: 'long',
+            size: 0,
+            entryPrice: 0,
+            entryValue: 0,
+            entryDate: order.executedAt,
+            strategy: IMPORT_SOURCE
+          });
+          opened += 1;
+        }
+        position.addEntryOrder(order);
+      } else if (position) {
+        position.addExitOrder(order);
+        if (position.status === 'closed') {
+          position.exitDate = order.executedAt;
+          position.holdingPeriod = position.duration;
+        }
+      } else {
+        // Sold coins bought elsewhere, there is no position to close
+        continue;
+      }
+
+      await position.save();
+    }
+
+    return opened;
+  }
+
+  /**
+   * Move a job to its next stage and report it
+   * @param {Object} job - Backfill job
+   * @param {string} stage - Stage name
+   */
+  async setStage(job, stage) {
+    job.progress.stage = stage;
+    await job.save();
+    this.publishProgress(job);
+  }
+
+  /**
+   * Mark a job as failed; its cursors stay in place for a resume
+   * @param {Object} job - Backfill job
+   * @param {Error} error - Failure
+   */
+  async failJob(job, error) {
+    logger.error(`Trade backfill failed for user ${job.userId} on ${job.exchangeName}:`, error);
+
+    try {
+      job.status = 'failed';
+      job.lastError = error.message;
+      await job.save();
+      this.publishProgress(job);
+    } catch (saveError) {
+      logger.error('Error saving failed backfill job:', saveError);
+    }
+  }
+
+  /**
+   * Send job progress to the user's websocket room
+   * @param {Object} job - Backfill job
+   */
+  publishProgress(job) {
+    if (!websocketService.io) {
+      return;
+    }
+
+    websocketService.notifyBackfillProgress(job.userId, this.summarizeJob(job));
+  }
+
+  /**
+   * Public view of a job
+   * @param {Object} job - Backfill job
+   * @returns {Object} Job summary
+   */
+  summarizeJob(job) {
+    return {
+      id: job._id,
+      exchangeName: job.exchangeName,
+      status: job.status,
+      since: job.since,
+      progress: job.progress,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      lastError: job.lastError
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TradeBackfillService();
@@ -0,0 +1,203 @@
+const ExchangeCredentials = require('../../models/ExchangeCredentials');
+const envelopeEncryptionService = require('./envelopeEncryptionService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Failed records kept in the job summary
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Credential Rotation Service
+ * Online job moving stored exchange credentials to the current master key
+ * version. Envelope encrypted records get their data key rewrapped; records
+ * from before envelope encryption are re-encrypted. Each record is only
+ * written if it is unchanged since it was read, so the job can run while
+ * users keep connecting exchanges.
+ */
+class CredentialRotationService {
+  constructor() {
+    this.job = null;
+    this.stopRequested = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start re-encryption at boot when configured
+   */
+  initialize() {
+    if (config.encryption.reencryptOnStartup) {
+      this.start().catch(error => {
+        logger.error('Failed to start credential re-encryption:', error);
+      });
+    }
+  }
+
+  /**
+   * Ask a running job to stop after the current record
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Start the job in the background unless it is already running
+   * @param {Object} options - batchSize
+   * @returns {Promise<Object>} Job status
+   */
+  start(options = {}) {
+    if (!this.job) {
+      this.stopRequested = false;
+      this.job = this.run(options)
+        .catch(error => {
+          logger.error('Credential re-encryption failed:', error);
+        })
+        .finally(() => {
+          this.job = null;
+        });
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Re-encrypt every record not on the current master key version, in
+   * batches ordered by ID
+   * @param {Object} options - batchSize
+   * @returns {Promise<Object>} Run summary
+   */
+  async run(options = {}) {
+    const batchSize = options.batchSize || config.encryption.reencryptBatchSize;
+
+    // Pick up master keys added since boot
+    await envelopeEncryptionService.getKeyProvider().reload();
+    const targetVersion = await envelopeEncryptionService.getCurrentKeyVersion();
+
+    this.lastRun = {
+      state: 'running',
+      targetVersion,
+      startedAt: new Date(),
+      finishedAt: null,
+      rewrapped: 0,
+      reencrypted: 0,
+      skipped: 0,
+      failed: 0,
+      errors: []
+    };
+
+    try {
+      let lastId = null;
+      while (!this.stopRequested) {
+        const query = { keyVersion: { $ne: targetVersion } };
+        if (lastId) {
+          query._id = { $gt: lastId };
+        }
+
+        const batch = await ExchangeCredentials.find(query).sort({ _id: 1 }).limit(batchSize);
+        if (batch.length === 0) {
+          break;
+        }
+
+        for (const credentials of batch) {
+          if (this.stopRequested) {
+            break;
+          }
+          await this.migrateRecord(credentials);
+        }
+        lastId = batch[batch.length - 1]._id;
+      }
+
+      this.lastRun.state = this.stopRequested ? 'stopped' : 'completed';
+    } catch (error) {
+      this.lastRun.state = 'failed';
+      this.lastRun.errors.push({ error: error.message });
+      throw error;
+    } finally {
+      this.lastRun.finishedAt = new Date();
+
+      const { state, rewrapped, reencrypted, skipped, failed } = this.lastRun;
+      logger.info('Credential re-encryption finished', {
+        state,
+        targetVersion,
+        rewrapped,
+        reencrypted,
+        skipped,
+        failed
+      });
+    }
+
+    return this.lastRun;
+  }
+
+  /**
+   * Move one record to the current master key version
+   * @param {Object} credentials - ExchangeCredentials document
+   */
+  async migrateRecord(credentials) {
+    try {
+      let filter, update, outcome;
+
+      if (credentials.wrappedDataKey) {
+        const envelope = await envelopeEncryptionService.rewrapDataKey(credentials);
+
+        filter = { _id: credentials._id, wrappedDataKey: credentials.wrappedDataKey };
+        update = { $set: envelope };
+        outcome = 'rewrapped';
+      } else {
+        const previousApiKey = credentials.encryptedApiKey;
+        await credentials.setCredentials(credentials.getLegacyCredentials());
+
+        const fields = {
+          encryptedApiKey: credentials.encryptedApiKey,
+          encryptedSecret: credentials.encryptedSecret,
+          wrappedDataKey: credentials.wrappedDataKey,
+          keyVersion: credentials.keyVersion
+        };
+        if (credentials.encryptedPassphrase) {
+          fields.encryptedPassphrase = credentials.encryptedPassphrase;
+        }
+
+        filter = { _id: credentials._id, encryptedApiKey: previousApiKey };
+        update = { $set: fields, $unset: { iv: '' } };
+        outcome = 'reencrypted';
+      }
+
+      const result = await ExchangeCredentials.updateOne(filter, update);
+
+      // Records changed since they were read were re-encrypted by that change
+      this.lastRun[result.modifiedCount > 0 ? outcome : 'skipped']++;
+    } catch (error) {
+      this.lastRun.failed++;
+      if (this.lastRun.errors.length < MAX_REPORTED_ERRORS) {
+        this.lastRun.errors.push({ id: credentials._id.toString(), error: error.message });
+      }
+      logger.warn('Could not re-encrypt exchange credentials', {
+        id: credentials._id.toString(),
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get key version coverage and the latest run
+   * @returns {Promise<Object>} Status
+   */
+  async getStatus() {
+    const currentKeyVersion = await envelopeEncryptionService.getCurrentKeyVersion();
+    const pending = await ExchangeCredentials.countDocuments({
+      keyVersion: { $ne: currentKeyVersion }
+    });
+
+    return {
+      running: Boolean(this.job),
+      keyProvider: envelopeEncryptionService.getKeyProvider().name,
+      currentKeyVersion,
+      pending,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Create singleton instance
+const credentialRotationService = new CredentialRotationService();
+
+module.exports = credentialRotationService;
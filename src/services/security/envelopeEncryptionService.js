@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const { seal, open } = require('../../utils/aesGcm');
+const EnvKeyProvider = require('./keyProviders/envKeyProvider');
+const FileKeyProvider = require('./keyProviders/fileKeyProvider');
+const LocalKmsKeyProvider = require('./keyProviders/localKmsKeyProvider');
+
+/**
+ * Envelope Encryption Service
+ * Encrypts a record's fields with its own data key (AES-256-GCM). The data
+ * key is stored wrapped by a versioned master key held by the key provider,
+ * so rotating the master key only rewraps data keys.
+ */
+class EnvelopeEncryptionService {
+  constructor() {
+    this.keyProvider = null;
+  }
+
+  /**
+   * Get the configured key provider
+   * @returns {Object} Key provider
+   */
+  getKeyProvider() {
+    if (!this.keyProvider) {
+      this.keyProvider = this.createKeyProvider(config.encryption);
+    }
+
+    return this.keyProvider;
+  }
+
+  /**
+   * Replace the key provider, e.g. with a KMS backed one
+   * @param {Object} keyProvider - Key provider implementing the KeyProvider interface
+   */
+  setKeyProvider(keyProvider) {
+    this.keyProvider = keyProvider;
+  }
+
+  /**
+   * Create a key provider from the encryption configuration
+   * @param {Object} options - Encryption configuration
+   * @returns {Object} Key provider
+   */
+  createKeyProvider(options) {
+    const factories = {
+      env: () =>
+        new EnvKeyProvider({
+          masterKeys: options.masterKeys,
+          currentVersion: options.masterKeyVersion,
+          legacyKey: options.key
+        }),
+      file: () => new FileKeyProvider({ file: options.keyFile }),
+      'local-kms': () =>
+        new LocalKmsKeyProvider({ keyId: options.kmsKeyId, file: options.kmsKeyFile })
+    };
+
+    if (!factories[options.provider]) {
+      throw new Error(`Unknown encryption key provider: ${options.provider}`);
+    }
+
+    return factories[options.provider]();
+  }
+
+  /**
+   * Master key version new records are encrypted under
+   * @returns {Promise<number>} Key version
+   */
+  getCurrentKeyVersion() {
+    return this.getKeyProvider().getCurrentVersion();
+  }
+
+  /**
+   * Encrypt fields under a new data key
+   * @param {Object} fields - Field name to plaintext value; empty values are skipped
+   * @returns {Promise<Object>} { wrappedDataKey, keyVersion, fields } with the sealed values
+   */
+  async encryptFields(fields) {
+    const { plaintextKey, wrappedKey, keyVersion } = await this.getKeyProvider().generateDataKey();
+
+    try {
+      const encrypted = {};
+      for (const [name, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null && value !== '') {
+          // Binding each value to its field name stops values being swapped
+          encrypted[name] = seal(plaintextKey, String(value), name);
+        }
+      }
+
+      return { wrappedDataKey: wrappedKey, keyVersion, fields: encrypted };
+    } finally {
+      plaintextKey.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt fields sealed by encryptFields
+   * @param {Object} envelope - wrappedDataKey and keyVersion
+   * @param {Object} fields - Field name to sealed value; empty values are skipped
+   * @returns {Promise<Object>} Field name to plaintext value
+   */
+  async decryptFields(envelope, fields) {
+    const dataKey = await this.getKeyProvider().unwrapKey(
+      envelope.wrappedDataKey,
+      envelope.keyVersion
+    );
+
+    try {
+      const decrypted = {};
+      for (const [name, value] of Object.entries(fields)) {
+        if (value) {
+          decrypted[name] = open(dataKey, value, name).toString('utf8');
+        }
+      }
+
+      return decrypted;
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Rewrap a data key with the current master key; the fields it encrypts
+   * stay as they are
+   * @param {Object} envelope - wrappedDataKey and keyVersion
+   * @returns {Promise<Object>} New { wrappedDataKey, keyVersion }
+   */
+  async rewrapDataKey(envelope) {
+    const keyProvider = this.getKeyProvider();
+    const dataKey = await keyProvider.unwrapKey(envelope.wrappedDataKey, envelope.keyVersion);
+
+    try {
+      const { wrappedKey, keyVersion } = await keyProvider.wrapKey(dataKey);
+      return { wrappedDataKey: wrappedKey, keyVersion };
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Decrypt a value stored before envelope encryption: AES-256-CBC under the
+   * static ENCRYPTION_KEY with the record's shared IV
+   * @param {string} encryptedData - Hex encoded ciphertext
+   * @param {string} ivHex - Hex encoded IV
+   * @returns {string} Plaintext
+   */
+  decryptLegacy(encryptedData, ivHex) {
+    const key = Buffer.from(config.encryption.key, 'utf8');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+
+    return decipher.update(encryptedData, 'hex', 'utf8') + decipher.final('utf8');
+  }
+}
+
+// Create singleton instance
+const envelopeEncryptionService = new EnvelopeEncryptionService();
+
+module.exports = envelopeEncryptionService;
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { MasterKeyProvider } = require('./keyProvider');
+const { KEY_LENGTH } = require('../../../utils/aesGcm');
+
+/**
+ * Environment Key Provider
+ * Master keys come from ENCRYPTION_MASTER_KEYS as "version:base64Key" pairs
+ * separated by commas. Version 1 defaults to a key derived from the legacy
+ * ENCRYPTION_KEY so deployments without master keys keep working.
+ */
+class EnvKeyProvider extends MasterKeyProvider {
+  /**
+   * @param {Object} options - masterKeys, currentVersion and legacyKey
+   */
+  constructor(options = {}) {
+    super('env');
+    this.options = options;
+  }
+
+  loadKeys() {
+    const { masterKeys, currentVersion, legacyKey } = this.options;
+    const keys = new Map();
+
+    if (legacyKey) {
+      keys.set(1, deriveKey(legacyKey));
+    }
+
+    for (const entry of (masterKeys || '').split(',')) {
+      if (!entry.trim()) {
+        continue;
+      }
+
+      const [version, key] = entry.trim().split(':');
+      if (!/^\d+$/.test(version) || !key) {
+        throw new Error('ENCRYPTION_MASTER_KEYS entries must look like "2:base64Key"');
+      }
+      keys.set(parseInt(version), Buffer.from(key, 'base64'));
+    }
+
+    if (keys.size === 0) {
+      return Promise.reject(new Error('No master keys configured'));
+    }
+
+    return Promise.resolve({
+      currentVersion: currentVersion || Math.max(...keys.keys()),
+      keys
+    });
+  }
+}
+
+/**
+ * Derive a master key from a passphrase style key
+ * @param {string} secret - Legacy encryption key
+ * @returns {Buffer} 32 byte key
+ */
+function deriveKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, 'wire-trader', 'master-key:v1', KEY_LENGTH));
+}
+
+module.exports = EnvKeyProvider;
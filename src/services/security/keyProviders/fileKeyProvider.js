@@ -0,0 +1,42 @@
+const fs = require('fs');
+const { MasterKeyProvider } = require('./keyProvider');
+
+/**
+ * File Key Provider
+ * Master keys come from a JSON key file, e.g. one mounted from a secret store:
+ * { "currentVersion": 2, "keys": { "1": "base64Key", "2": "base64Key" } }
+ */
+class FileKeyProvider extends MasterKeyProvider {
+  /**
+   * @param {Object} options - file, the key file path
+   */
+  constructor(options = {}) {
+    super('file');
+    this.file = options.file;
+  }
+
+  async loadKeys() {
+    if (!this.file) {
+      throw new Error('ENCRYPTION_KEY_FILE is required for the file key provider');
+    }
+
+    const contents = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    const keys = new Map(
+      Object.entries(contents.keys || {}).map(([version, key]) => [
+        parseInt(version),
+        Buffer.from(key, 'base64')
+      ])
+    );
+
+    if (keys.size === 0) {
+      throw new Error(`No master keys in ${this.file}`);
+    }
+
+    return {
+      currentVersion: contents.currentVersion || Math.max(...keys.keys()),
+      keys
+    };
+  }
+}
+
+module.exports = FileKeyProvider;
@@ -0,0 +1,147 @@
+const { KEY_LENGTH, seal, open, generateKey } = require('../../../utils/aesGcm');
+
+/**
+ * Key Provider
+ * Wraps and unwraps per-record data keys with versioned master keys.
+ * Providers never hand out master keys, so one backed by a remote KMS can
+ * implement the same interface.
+ */
+class KeyProvider {
+  /**
+   * @param {string} name - Provider name, e.g. 'env'
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Master key version new data keys are wrapped with
+   * @returns {Promise<number>} Key version
+   */
+  getCurrentVersion() {
+    return Promise.reject(
+      new Error(`${this.name} key provider does not implement getCurrentVersion`)
+    );
+  }
+
+  /**
+   * Wrap a data key with the current master key
+   * @param {Buffer} _dataKey - Plaintext data key
+   * @returns {Promise<Object>} { wrappedKey, keyVersion }
+   */
+  wrapKey(_dataKey) {
+    return Promise.reject(new Error(`${this.name} key provider does not implement wrapKey`));
+  }
+
+  /**
+   * Unwrap a data key with the master key version that wrapped it
+   * @param {string} _wrappedKey - Wrapped data key
+   * @param {number} _keyVersion - Master key version
+   * @returns {Promise<Buffer>} Plaintext data key
+   */
+  unwrapKey(_wrappedKey, _keyVersion) {
+    return Promise.reject(new Error(`${this.name} key provider does not implement unwrapKey`));
+  }
+
+  /**
+   * Generate a data key along with its wrapped form
+   * @returns {Promise<Object>} { plaintextKey, wrappedKey, keyVersion }
+   */
+  async generateDataKey() {
+    const plaintextKey = generateKey();
+    const { wrappedKey, keyVersion } = await this.wrapKey(plaintextKey);
+
+    return { plaintextKey, wrappedKey, keyVersion };
+  }
+
+  /**
+   * Pick up master keys added since the provider was loaded
+   * @returns {Promise<void>}
+   */
+  reload() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Master Key Provider
+ * Base for providers holding the master keys in process, wrapping data keys
+ * with AES-256-GCM bound to the key version.
+ */
+class MasterKeyProvider extends KeyProvider {
+  constructor(name) {
+    super(name);
+    this.keys = null;
+  }
+
+  /**
+   * Load the master keys
+   * @returns {Promise<Object>} { currentVersion, keys } with keys a Map of version to Buffer
+   */
+  loadKeys() {
+    return Promise.reject(new Error(`${this.name} key provider does not implement loadKeys`));
+  }
+
+  /**
+   * Loaded master keys, loading and validating them on first use
+   * @returns {Promise<Object>} { currentVersion, keys }
+   */
+  async getKeys() {
+    if (!this.keys) {
+      const loaded = await this.loadKeys();
+
+      for (const [version, key] of loaded.keys) {
+        if (key.length !== KEY_LENGTH) {
+          throw new Error(`Master key version ${version} must be ${KEY_LENGTH} bytes`);
+        }
+      }
+      if (!loaded.keys.has(loaded.currentVersion)) {
+        throw new Error(`Current master key version ${loaded.currentVersion} is not configured`);
+      }
+
+      this.keys = loaded;
+    }
+
+    return this.keys;
+  }
+
+  async getCurrentVersion() {
+    const { currentVersion } = await this.getKeys();
+    return currentVersion;
+  }
+
+  async getKey(keyVersion) {
+    const { keys } = await this.getKeys();
+    const key = keys.get(Number(keyVersion));
+    if (!key) {
+      throw new Error(`Master key version ${keyVersion} is not available`);
+    }
+
+    return key;
+  }
+
+  async wrapKey(dataKey) {
+    const keyVersion = await this.getCurrentVersion();
+    const masterKey = await this.getKey(keyVersion);
+
+    return {
+      wrappedKey: seal(masterKey, dataKey, `data-key:v${keyVersion}`),
+      keyVersion
+    };
+  }
+
+  async unwrapKey(wrappedKey, keyVersion) {
+    const masterKey = await this.getKey(keyVersion);
+    return open(masterKey, wrappedKey, `data-key:v${keyVersion}`);
+  }
+
+  async reload() {
+    this.keys = null;
+    await this.getKeys();
+  }
+}
+
+module.exports = {
+  KeyProvider,
+  MasterKeyProvider
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const { KeyProvider } = require('./keyProvider');
+const { seal, open, generateKey } = require('../../../utils/aesGcm');
+
+/**
+ * Local KMS
+ * In-process stand-in for a key management service. Key material never
+ * leaves it; callers only see the key ID, key versions and ciphertext. Keys
+ * are kept in a JSON file; without one they would be lost on restart, taking
+ * every credential encrypted under them along.
+ */
+class LocalKms {
+  /**
+   * @param {Object} options - file to persist key versions in
+   */
+  constructor(options = {}) {
+    if (!options.file) {
+      throw new Error('ENCRYPTION_KMS_KEY_FILE is required for the local-kms key provider');
+    }
+
+    this.file = options.file;
+    this.keyRings = null;
+  }
+
+  async load() {
+    if (this.keyRings) {
+      return this.keyRings;
+    }
+
+    this.keyRings = new Map();
+    if (fs.existsSync(this.file)) {
+      const contents = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      for (const [keyId, versions] of Object.entries(contents)) {
+        this.keyRings.set(
+          keyId,
+          Object.values(versions).map(key => Buffer.from(key, 'base64'))
+        );
+      }
+    }
+
+    return this.keyRings;
+  }
+
+  async persist() {
+    const contents = {};
+    for (const [keyId, versions] of this.keyRings) {
+      contents[keyId] = Object.fromEntries(
+        versions.map((key, index) => [index + 1, key.toString('base64')])
+      );
+    }
+    await fs.promises.writeFile(this.file, JSON.stringify(contents, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Versions of a key, creating the key on first use
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Array>} Key material by version, oldest first
+   */
+  async getKeyRing(keyId) {
+    const keyRings = await this.load();
+    if (!keyRings.has(keyId)) {
+      keyRings.set(keyId, [generateKey()]);
+      await this.persist();
+    }
+
+    return keyRings.get(keyId);
+  }
+
+  async describeKey(keyId) {
+    const versions = await this.getKeyRing(keyId);
+    return { keyId, currentVersion: versions.length };
+  }
+
+  /**
+   * Add a key version; new encryptions use it, older versions still decrypt
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object>} { keyId, currentVersion }
+   */
+  async rotateKey(keyId) {
+    const versions = await this.getKeyRing(keyId);
+    versions.push(generateKey());
+    await this.persist();
+
+    return { keyId, currentVersion: versions.length };
+  }
+
+  async encrypt({ keyId, plaintext, context }) {
+    const versions = await this.getKeyRing(keyId);
+    const keyVersion = versions.length;
+
+    return {
+      ciphertext: seal(versions[keyVersion - 1], plaintext, `${keyId}:v${keyVersion}:${context}`),
+      keyVersion
+    };
+  }
+
+  async decrypt({ keyId, ciphertext, keyVersion, context }) {
+    const versions = await this.getKeyRing(keyId);
+    const key = versions[keyVersion - 1];
+    if (!key) {
+      throw new Error(`Key ${keyId} has no version ${keyVersion}`);
+    }
+
+    return open(key, ciphertext, `${keyId}:v${keyVersion}:${context}`);
+  }
+}
+
+/**
+ * Local KMS Key Provider
+ * Wraps data keys through a KMS-style API, backed by the local stand-in
+ */
+class LocalKmsKeyProvider extends KeyProvider {
+  /**
+   * @param {Object} options - keyId, file, or an existing kms client
+   */
+  constructor(options = {}) {
+    super('local-kms');
+    this.keyId = options.keyId || 'credentials';
+    this.kms = options.kms || new LocalKms({ file: options.file });
+  }
+
+  async getCurrentVersion() {
+    const { currentVersion } = await this.kms.describeKey(this.keyId);
+    return currentVersion;
+  }
+
+  async wrapKey(dataKey) {
+    const { ciphertext, keyVersion } = await this.kms.encrypt({
+      keyId: this.keyId,
+      plaintext: dataKey,
+      context: 'data-key'
+    });
+
+    return { wrappedKey: ciphertext, keyVersion };
+  }
+
+  unwrapKey(wrappedKey, keyVersion) {
+    return this.kms.decrypt({
+      keyId: this.keyId,
+      ciphertext: wrappedKey,
+      keyVersion: Number(keyVersion),
+      context: 'data-key'
+    });
+  }
+}
+
+LocalKmsKeyProvider.LocalKms = LocalKms;
+
+module.exports = LocalKmsKeyProvider;
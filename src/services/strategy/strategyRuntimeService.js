@@ -0,0 +1,706 @@
+const Strategy = require('../../models/Strategy');
+const Order = require('../../models/Order');
+const StrategySandbox = require('./strategySandbox');
+const marketDataService = require('../market/marketDataService');
+const tradingService = require('../trading/tradingService');
+const paperTradingService = require('../trading/paperTradingService');
+const riskManagementService = require('../trading/riskManagementService');
+const exchangeManager = require('../exchanges/exchangeManager');
+const logger = require('../../utils/logger');
+
+/**
+ * Strategy Runtime Service
+ * Runs user strategies on a polling loop. Each running strategy receives
+ * closed candles, tickers and updates for the orders it placed, and can
+ * only trade through the paper or live trading services after the risk
+ * management checks pass.
+ */
+class StrategyRuntimeService {
+  constructor() {
+    this.runners = new Map();
+    this.hookTimeout = 1000; // Max synchronous hook execution time in ms
+    this.hookDeadline = 30000; // Max wall-clock hook execution time in ms, async work included
+    this.candleLookback = 200;
+    this.maxConsecutiveErrors = 5;
+    this.maxLogEntries = 500;
+  }
+
+  /**
+   * Resume strategies that were running before the last shutdown
+   */
+  async initialize() {
+    try {
+      const strategies = await Strategy.find({ status: 'running' });
+
+      for (const strategy of strategies) {
+        try {
+          await this.startRunner(strategy);
+        } catch (error) {
+          this.stopRunner(strategy._id.toString());
+          await this.markFailed(strategy._id, error);
+        }
+      }
+
+      logger.info(`Strategy runtime initialized with ${this.runners.size} running strategies`);
+    } catch (error) {
+      logger.error('Error initializing strategy runtime:', error);
+    }
+  }
+
+  /**
+   * Stop all runners without changing their persisted status
+   */
+  stop() {
+    for (const runner of this.runners.values()) {
+      clearInterval(runner.timer);
+      runner.sandbox.terminate();
+    }
+    this.runners.clear();
+  }
+
+  /**
+   * Register a new strategy
+   * @param {string} userId - User ID
+   * @param {Object} strategyData - Strategy definition
+   * @returns {Promise<Object>} Created strategy
+   */
+  async createStrategy(userId, strategyData) {
+    try {
+      // Load once to reject broken code up front
+      await StrategySandbox.check(strategyData.code, this.getSandboxOptions());
+
+      const existing = await Strategy.findOne({ userId, name: strategyData.name });
+      if (existing) {
+        throw new Error(`Strategy with name ${strategyData.name} already exists`);
+      }
+
+      const strategy = await Strategy.create({ ...strategyData, userId });
+
+      logger.info(`Strategy ${strategy._id} registered for user ${userId}`);
+      return strategy;
+    } catch (error) {
+      logger.error('Error creating strategy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a stopped strategy
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated strategy
+   */
+  async updateStrategy(userId, strategyId, updates) {
+    try {
+      const strategy = await this.getStrategy(userId, strategyId);
+
+      if (strategy.isActive) {
+        throw new Error('Strategy must be stopped before it can be updated');
+      }
+
+      if (updates.code) {
+        await StrategySandbox.check(updates.code, this.getSandboxOptions());
+      }
+
+      Object.assign(strategy, updates);
+      await strategy.save();
+
+      return strategy;
+    } catch (error) {
+      logger.error('Error updating strategy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a strategy, stopping it first if needed
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   */
+  async deleteStrategy(userId, strategyId) {
+    try {
+      const strategy = await this.getStrategy(userId, strategyId);
+      this.stopRunner(strategy._id.toString());
+      await strategy.deleteOne();
+
+      logger.info(`Strategy ${strategyId} deleted`);
+    } catch (error) {
+      logger.error('Error deleting strategy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a strategy owned by user
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @returns {Promise<Object>} Strategy document
+   */
+  async getStrategy(userId, strategyId) {
+    const strategy = await Strategy.findOne({ _id: strategyId, userId });
+
+    if (!strategy) {
+      throw new Error('Strategy not found');
+    }
+
+    return strategy;
+  }
+
+  /**
+   * List strategies for user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Strategies
+   */
+  listStrategies(userId) {
+    return Strategy.findByUserId(userId);
+  }
+
+  /**
+   * Get recent log entries for a strategy
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @param {number} limit - Number of entries to return
+   * @returns {Promise<Array>} Log entries, newest last
+   */
+  async getLogs(userId, strategyId, limit = 100) {
+    const strategy = await Strategy.findOne({ _id: strategyId, userId }).select('logs');
+
+    if (!strategy) {
+      throw new Error('Strategy not found');
+    }
+
+    return strategy.logs.slice(-limit);
+  }
+
+  /**
+   * Start (or resume) a strategy
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @returns {Promise<Object>} Updated strategy
+   */
+  async startStrategy(userId, strategyId) {
+    try {
+      const strategy = await this.getStrategy(userId, strategyId);
+
+      if (strategy.status === 'running') {
+        throw new Error('Strategy is already running');
+      }
+
+      const resuming = strategy.status === 'paused';
+      strategy.status = 'running';
+      strategy.lastError = undefined;
+      if (!resuming) {
+        strategy.stats.startedAt = new Date();
+      }
+      await strategy.save();
+
+      try {
+        await this.startRunner(strategy, { resuming });
+      } catch (error) {
+        this.stopRunner(strategy._id.toString());
+        await this.markFailed(strategy._id, error);
+        throw error;
+      }
+      await this.log(strategy._id, 'info', resuming ? 'Strategy resumed' : 'Strategy started');
+
+      return strategy;
+    } catch (error) {
+      logger.error('Error starting strategy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause a running strategy, keeping its in-memory state
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @returns {Promise<Object>} Updated strategy
+   */
+  async pauseStrategy(userId, strategyId) {
+    try {
+      const strategy = await this.getStrategy(userId, strategyId);
+
+      if (strategy.status !== 'running') {
+        throw new Error('Only running strategies can be paused');
+      }
+
+      const runner = this.runners.get(strategy._id.toString());
+      if (runner) {
+        clearInterval(runner.timer);
+        runner.timer = null;
+      }
+
+      strategy.status = 'paused';
+      await strategy.save();
+      await this.log(strategy._id, 'info', 'Strategy paused');
+
+      return strategy;
+    } catch (error) {
+      logger.error('Error pausing strategy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a strategy and discard its runtime state
+   * @param {string} userId - User ID
+   * @param {string} strategyId - Strategy ID
+   * @returns {Promise<Object>} Updated strategy
+   */
+  async stopStrategy(userId, strategyId) {
+    try {
+      const strategy = await this.getStrategy(userId, strategyId);
+
+      if (strategy.status === 'stopped') {
+        throw new Error('Strategy is already stopped');
+      }
+
+      const runner = this.runners.get(strategy._id.toString());
+      if (runner) {
+        await this.invokeHook(runner, strategy, 'onStop');
+      }
+      this.stopRunner(strategy._id.toString());
+
+      strategy.status = 'stopped';
+      strategy.stats.stoppedAt = new Date();
+      await strategy.save();
+      await this.log(strategy._id, 'info', 'Strategy stopped');
+
+      return strategy;
+    } catch (error) {
+      logger.error('Error stopping strategy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Options for strategy sandboxes
+   * @param {string} filename - Filename used in stack traces
+   * @returns {Object} Sandbox options
+   */
+  getSandboxOptions(filename) {
+    return { timeout: this.hookTimeout, deadline: this.hookDeadline, filename };
+  }
+
+  /**
+   * Create or resume the in-memory runner for a strategy
+   * @param {Object} strategy - Strategy document
+   * @param {Object} options - Runner options
+   * @returns {Promise<void>} Resolves when the first tick has completed
+   */
+  async startRunner(strategy, { resuming = false } = {}) {
+    const strategyId = strategy._id.toString();
+    let runner = this.runners.get(strategyId);
+
+    if (!runner || !resuming) {
+      this.stopRunner(strategyId);
+
+      const sandbox = new StrategySandbox(
+        strategy.code,
+        this.getSandboxOptions(`strategy-${strategyId}.js`)
+      );
+      await sandbox.start();
+
+      runner = {
+        strategyId,
+        userId: strategy.userId.toString(),
+        sandbox,
+        state: {},
+        candles: [],
+        lastCandleTimestamp: null,
+        trackedOrders: new Map(),
+        consecutiveErrors: 0,
+        started: false,
+        busy: false,
+        timer: null
+      };
+      this.runners.set(strategyId, runner);
+    }
+
+    runner.timer = setInterval(() => this.runTick(runner), strategy.pollInterval);
+    await this.runTick(runner);
+  }
+
+  /**
+   * Remove a runner and clear its timer
+   * @param {string} strategyId - Strategy ID
+   */
+  stopRunner(strategyId) {
+    const runner = this.runners.get(strategyId);
+
+    if (runner) {
+      clearInterval(runner.timer);
+      runner.sandbox.terminate();
+      this.runners.delete(strategyId);
+    }
+  }
+
+  /**
+   * Run one polling cycle for a strategy
+   * @param {Object} runner - Runner state
+   */
+  async runTick(runner) {
+    if (runner.busy) {
+      return;
+    }
+    runner.busy = true;
+
+    try {
+      const strategy = await Strategy.findById(runner.strategyId).select('-logs');
+
+      if (!strategy || strategy.status !== 'running') {
+        if (!strategy) {
+          this.stopRunner(runner.strategyId);
+        }
+        return;
+      }
+
+      if (!runner.started) {
+        runner.started = true;
+        await this.invokeHook(runner, strategy, 'onStart');
+      }
+
+      await this.processCandles(runner, strategy);
+      await this.processTicker(runner, strategy);
+      await this.processOrderUpdates(runner, strategy);
+
+      strategy.stats.lastRunAt = new Date();
+      await Strategy.updateOne({ _id: strategy._id }, { 'stats.lastRunAt': strategy.stats.lastRunAt });
+    } catch (error) {
+      logger.error(`Strategy ${runner.strategyId} tick failed:`, error);
+      await this.log(runner.strategyId, 'error', `Runtime error: ${error.message}`);
+    } finally {
+      runner.busy = false;
+    }
+  }
+
+  /**
+   * Deliver newly closed candles to onCandle
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   */
+  async processCandles(runner, strategy) {
+    if (!runner.sandbox.hasHook('onCandle')) {
+      return;
+    }
+
+    const { candles } = await marketDataService.getCandles(
+      strategy.exchangeName,
+      strategy.symbol,
+      strategy.timeframe,
+      this.candleLookback
+    );
+
+    // The last candle is still forming
+    const closedCandles = candles.slice(0, -1);
+
+    if (runner.lastCandleTimestamp === null) {
+      // First run only seeds history, strategies react to new candles
+      runner.candles = closedCandles;
+      runner.lastCandleTimestamp = closedCandles.length > 0
+        ? closedCandles[closedCandles.length - 1].timestamp
+        : 0;
+      return;
+    }
+
+    const newCandles = closedCandles.filter(candle => candle.timestamp > runner.lastCandleTimestamp);
+
+    for (const candle of newCandles) {
+      runner.candles.push(candle);
+      runner.candles = runner.candles.slice(-this.candleLookback);
+      runner.lastCandleTimestamp = candle.timestamp;
+
+      await this.invokeHook(runner, strategy, 'onCandle', candle);
+    }
+
+    if (newCandles.length > 0) {
+      await Strategy.updateOne(
+        { _id: strategy._id },
+        { 'stats.lastCandleAt': new Date(runner.lastCandleTimestamp) }
+      );
+    }
+  }
+
+  /**
+   * Deliver the latest ticker to onTicker
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   */
+  async processTicker(runner, strategy) {
+    if (!runner.sandbox.hasHook('onTicker')) {
+      return;
+    }
+
+    const ticker = await marketDataService.getTicker(strategy.exchangeName, strategy.symbol);
+    await this.invokeHook(runner, strategy, 'onTicker', ticker);
+  }
+
+  /**
+   * Deliver status changes of strategy orders to onOrderUpdate
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   */
+  async processOrderUpdates(runner, strategy) {
+    if (runner.trackedOrders.size === 0) {
+      return;
+    }
+
+    const orders = await Order.find({
+      _id: { $in: Array.from(runner.trackedOrders.keys()) },
+      userId: runner.userId
+    });
+
+    for (const order of orders) {
+      const orderId = order._id.toString();
+      const previous = runner.trackedOrders.get(orderId);
+
+      if (previous.status === order.status && previous.filled === order.filled) {
+        continue;
+      }
+
+      runner.trackedOrders.set(orderId, { status: order.status, filled: order.filled });
+
+      if (!['pending', 'open', 'partially_filled'].includes(order.status)) {
+        runner.trackedOrders.delete(orderId);
+      }
+
+      await this.invokeHook(runner, strategy, 'onOrderUpdate', this.summarizeOrder(order));
+    }
+  }
+
+  /**
+   * Invoke a strategy hook with the strategy context, recording errors
+   * Repeated failures put the strategy into the error state.
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   * @param {string} hook - Hook name
+   * @param {...*} args - Hook arguments before the context
+   */
+  async invokeHook(runner, strategy, hook, ...args) {
+    try {
+      const result = await runner.sandbox.invoke(hook, args, this.createContext(runner, strategy));
+      if (result) {
+        runner.state = result.state || {};
+      }
+      runner.consecutiveErrors = 0;
+    } catch (error) {
+      runner.consecutiveErrors += 1;
+      await this.log(strategy._id, 'error', `${hook} failed: ${error.message}`);
+
+      if (runner.consecutiveErrors >= this.maxConsecutiveErrors) {
+        this.stopRunner(runner.strategyId);
+        await this.markFailed(strategy._id, error);
+      }
+    }
+  }
+
+  /**
+   * Build the context passed to strategy hooks
+   * Data goes to the sandbox as a copy and the functions become messages;
+   * the sandbox adds the indicator helpers itself.
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   * @returns {Object} Strategy context
+   */
+  createContext(runner, strategy) {
+    return {
+      strategy: {
+        id: runner.strategyId,
+        name: strategy.name,
+        mode: strategy.mode,
+        exchangeName: strategy.exchangeName,
+        symbol: strategy.symbol,
+        timeframe: strategy.timeframe,
+        params: { ...strategy.params }
+      },
+      candles: runner.candles,
+      state: runner.state,
+      placeOrder: orderData => this.placeStrategyOrder(runner, strategy, orderData),
+      cancelOrder: orderId => this.cancelStrategyOrder(runner, strategy, orderId),
+      getBalance: asset => this.getStrategyBalance(runner, strategy, asset),
+      log: (message, level = 'info') => this.log(
+        strategy._id,
+        ['debug', 'info', 'warn', 'error'].includes(level) ? level : 'info',
+        String(message)
+      )
+    };
+  }
+
+  /**
+   * Place an order on behalf of a strategy
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   * @param {Object} orderData - Order parameters from the strategy
+   * @returns {Promise<Object>} Order summary
+   */
+  async placeStrategyOrder(runner, strategy, orderData = {}) {
+    const order = {
+      symbol: strategy.symbol,
+      type: 'market',
+      side: orderData.side,
+      amount: orderData.amount,
+      price: orderData.price,
+      stopPrice: orderData.stopPrice,
+      ...(orderData.type && { type: orderData.type }),
+      ...(orderData.symbol && { symbol: orderData.symbol.toUpperCase() }),
+      exchangeName: strategy.exchangeName,
+      strategy: strategy.name,
+      strategyId: strategy._id,
+      notes: orderData.notes
+    };
+
+    const riskCheck = await riskManagementService.validateOrder(runner.userId, order, {
+      source: 'strategy'
+    });
+
+    if (riskCheck.warnings.length > 0) {
+      await this.log(strategy._id, 'warn', `Risk warnings: ${riskCheck.warnings.map(item => item.message).join('; ')}`);
+    }
+
+    if (!riskCheck.allowed) {
+      await Strategy.updateOne({ _id: strategy._id }, { $inc: { 'stats.ordersRejected': 1 } });
+      const message = `Order rejected by risk management: ${riskCheck.violations.map(item => item.message).join('; ')}`;
+      await this.log(strategy._id, 'warn', message);
+      throw new Error(message);
+    }
+
+    // Already checked above; the placing service still honours the kill switch
+    const placedOrder = strategy.mode === 'live'
+      ? await tradingService.placeOrder(runner.userId, order, { riskChecked: true })
+      : await paperTradingService.placeOrder(runner.userId, order, { riskChecked: true });
+
+    runner.trackedOrders.set(placedOrder._id.toString(), {
+      status: placedOrder.status,
+      filled: placedOrder.filled
+    });
+
+    await Strategy.updateOne({ _id: strategy._id }, { $inc: { 'stats.ordersPlaced': 1 } });
+    await this.log(
+      strategy._id,
+      'info',
+      `Placed ${order.type} ${order.side} order ${placedOrder._id} for ${order.amount} ${order.symbol}`
+    );
+
+    return this.summarizeOrder(placedOrder);
+  }
+
+  /**
+   * Cancel an order previously placed by the strategy
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Order summary
+   */
+  async cancelStrategyOrder(runner, strategy, orderId) {
+    const order = await Order.findOne({
+      _id: orderId,
+      userId: runner.userId,
+      'metadata.strategyId': strategy._id
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const cancelledOrder = strategy.mode === 'live'
+      ? await tradingService.cancelOrder(runner.userId, orderId)
+      : await paperTradingService.cancelOrder(runner.userId, orderId);
+
+    await this.log(strategy._id, 'info', `Cancelled order ${orderId}`);
+    return this.summarizeOrder(cancelledOrder);
+  }
+
+  /**
+   * Get balance available to the strategy
+   * @param {Object} runner - Runner state
+   * @param {Object} strategy - Strategy document
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<Object>} Balance with total, free and used amounts
+   */
+  async getStrategyBalance(runner, strategy, asset) {
+    if (strategy.mode !== 'live') {
+      const balance = await paperTradingService.getBalance(runner.userId, asset);
+      return { total: balance.total, free: balance.available, used: balance.locked };
+    }
+
+    const exchange = await exchangeManager.loadExchange(runner.userId, strategy.exchangeName);
+    if (!exchange) {
+      throw new Error(`Exchange ${strategy.exchangeName} not connected`);
+    }
+
+    const balance = await exchange.fetchBalance();
+    const assetBalance = balance[asset] || {};
+
+    return {
+      total: assetBalance.total || 0,
+      free: assetBalance.free || 0,
+      used: assetBalance.used || 0
+    };
+  }
+
+  /**
+   * Plain order representation handed to strategies
+   * @param {Object} order - Order document
+   * @returns {Object} Order summary
+   */
+  summarizeOrder(order) {
+    return {
+      id: order._id.toString(),
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      amount: order.amount,
+      price: order.price,
+      stopPrice: order.stopPrice,
+      status: order.status,
+      filled: order.filled,
+      remaining: order.remaining,
+      averagePrice: order.averagePrice
+    };
+  }
+
+  /**
+   * Put a strategy into the error state
+   * @param {string} strategyId - Strategy ID
+   * @param {Error} error - Cause
+   */
+  async markFailed(strategyId, error) {
+    await Strategy.updateOne(
+      { _id: strategyId },
+      { status: 'error', lastError: error.message, 'stats.stoppedAt': new Date() }
+    );
+    await this.log(strategyId, 'error', `Strategy stopped after error: ${error.message}`);
+  }
+
+  /**
+   * Write a strategy log entry
+   * @param {string} strategyId - Strategy ID
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   */
+  async log(strategyId, level, message) {
+    try {
+      await Strategy.appendLog(strategyId, level, message, this.maxLogEntries);
+    } catch (error) {
+      logger.error(`Failed to write log for strategy ${strategyId}:`, error);
+    }
+  }
+
+  /**
+   * Get runtime statistics
+   * @returns {Object} Runtime statistics
+   */
+  getStats() {
+    const runners = Array.from(this.runners.values());
+
+    return {
+      loadedStrategies: runners.length,
+      activeStrategies: runners.filter(runner => runner.timer).length,
+      trackedOrders: runners.reduce((sum, runner) => sum + runner.trackedOrders.size, 0)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new StrategyRuntimeService();
@@ -0,0 +1,292 @@
+const { fork } = require('child_process');
+const path = require('path');
+
+const HOOKS = ['onStart', 'onCandle', 'onTicker', 'onOrderUpdate', 'onStop'];
+const EVENT_HOOKS = ['onCandle', 'onTicker', 'onOrderUpdate'];
+
+const PROCESS_PATH = path.join(__dirname, 'strategySandboxProcess.js');
+const MEMORY_LIMIT_MB = 64;
+
+/**
+ * Node flags for the sandbox process. Strings never compile to code, so a
+ * function leaked to strategy code cannot be turned into an eval of host
+ * code. Where the permission model exists, the process cannot read files
+ * other than its own modules, write files, or spawn processes or workers.
+ * @returns {Array<string>} execArgv
+ */
+const getExecArgv = () => {
+  const execArgv = [
+    '--disallow-code-generation-from-strings',
+    `--max-old-space-size=${MEMORY_LIMIT_MB}`
+  ];
+
+  if (process.allowedNodeEnvironmentFlags.has('--experimental-permission')) {
+    execArgv.push(
+      '--experimental-permission',
+      `--allow-fs-read=${PROCESS_PATH}`,
+      `--allow-fs-read=${require.resolve('../../utils/indicators')}`
+    );
+  }
+
+  return execArgv;
+};
+
+/**
+ * Strategy Sandbox
+ * Runs user strategy code in a child process that has no environment, no
+ * file system access and no way to load modules. Hooks only receive plain
+ * data; functions in the hook context are exposed to the strategy as
+ * messages to this process. Each call is bounded by a wall-clock deadline
+ * that covers async hooks too: a strategy that overruns it is killed and
+ * restarted on its next call.
+ */
+class StrategySandbox {
+  /**
+   * @param {string} code - Strategy module source
+   * @param {Object} options - Sandbox options
+   * @param {number} options.timeout - Max synchronous execution time per call in ms
+   * @param {number} options.deadline - Max wall-clock time per call in ms
+   * @param {string} options.filename - Filename used in stack traces
+   */
+  constructor(code, { timeout = 1000, deadline = 30000, filename = 'strategy.js' } = {}) {
+    this.code = code;
+    this.timeout = timeout;
+    this.deadline = deadline;
+    this.filename = filename;
+    this.hooks = [];
+    this.child = null;
+    this.loading = null;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Check that strategy code loads and exports an event hook
+   * @param {string} code - Strategy module source
+   * @param {Object} options - Sandbox options, see constructor
+   */
+  static async check(code, options) {
+    const sandbox = new StrategySandbox(code, options);
+
+    try {
+      await sandbox.start();
+    } finally {
+      sandbox.terminate();
+    }
+  }
+
+  /**
+   * Start the sandbox process and load the strategy, if not running
+   * @returns {Promise<void>} Resolves once the strategy is loaded
+   */
+  start() {
+    if (this.loading) {
+      return this.loading;
+    }
+
+    const child = fork(PROCESS_PATH, [], {
+      env: {},
+      execArgv: getExecArgv(),
+      serialization: 'json',
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+    });
+
+    // The sandbox never keeps the server alive by itself
+    child.unref();
+    child.channel.unref();
+
+    child.on('message', message => {
+      if (this.child === child) {
+        this.handleMessage(message);
+      }
+    });
+    child.on('exit', (code, signal) => {
+      if (this.child === child) {
+        this.terminate(new Error(`Strategy sandbox exited (${signal || code})`));
+      }
+    });
+    child.on('error', error => {
+      if (this.child === child) {
+        this.terminate(error);
+      }
+    });
+    this.child = child;
+
+    this.loading = this.request(
+      {
+        type: 'load',
+        code: this.code,
+        filename: this.filename,
+        timeout: this.timeout,
+        hooks: HOOKS
+      },
+      {},
+      'Strategy loading'
+    )
+      .then(({ hooks, error }) => {
+        if (error !== undefined) {
+          throw new Error(error);
+        }
+        if (!hooks.some(hook => EVENT_HOOKS.includes(hook))) {
+          throw new Error(
+            `Invalid strategy code: module must export one of ${EVENT_HOOKS.join(', ')}`
+          );
+        }
+        this.hooks = hooks;
+      })
+      .catch(error => {
+        this.terminate();
+        throw error;
+      });
+
+    return this.loading;
+  }
+
+  /**
+   * Kill the sandbox process, failing calls still in flight
+   * @param {Error} reason - Error the pending calls are rejected with
+   */
+  terminate(reason = new Error('Strategy sandbox stopped')) {
+    const { child } = this;
+    this.child = null;
+    this.loading = null;
+
+    if (child) {
+      child.kill('SIGKILL');
+    }
+
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(reason);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Check whether the strategy implements a hook
+   * @param {string} hook - Hook name
+   * @returns {boolean} True if the hook exists
+   */
+  hasHook(hook) {
+    return this.hooks.includes(hook);
+  }
+
+  /**
+   * Invoke a strategy hook inside the sandbox
+   * The hook is called with args followed by the context. Context values
+   * must be JSON-compatible, except functions, which the strategy calls
+   * through messages. context.state is carried across calls: the hook's
+   * changes to it come back in the result.
+   * @param {string} hook - Hook name
+   * @param {Array} args - Hook arguments
+   * @param {Object} context - Hook context
+   * @returns {Promise<Object|undefined>} { state }, or undefined if the hook does not exist
+   */
+  async invoke(hook, args = [], context = {}) {
+    await this.start();
+
+    if (!this.hasHook(hook)) {
+      return undefined;
+    }
+
+    const data = {};
+    const api = {};
+    for (const [key, value] of Object.entries(context)) {
+      if (typeof value === 'function') {
+        api[key] = value;
+      } else {
+        data[key] = value;
+      }
+    }
+
+    const result = await this.request(
+      { type: 'invoke', hook, args, context: data, methods: Object.keys(api) },
+      api,
+      `Strategy hook ${hook}`
+    );
+
+    if (result.error !== undefined) {
+      throw new Error(result.error);
+    }
+
+    return { state: result.state };
+  }
+
+  /**
+   * Send a request to the sandbox process and wait for its outcome
+   * @param {Object} message - Request
+   * @param {Object} api - Functions the strategy may call meanwhile
+   * @param {string} label - Name used in the timeout error
+   * @returns {Promise<Object>} Outcome message
+   */
+  request(message, api, label) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      if (!this.child) {
+        throw new Error('Strategy sandbox stopped');
+      }
+      this.child.send({ ...message, id });
+
+      const timer = setTimeout(
+        () => this.terminate(new Error(`${label} timed out after ${this.deadline}ms`)),
+        this.deadline
+      );
+      this.pending.set(id, { resolve, reject, timer, api });
+    });
+  }
+
+  /**
+   * Handle a message from the sandbox process
+   * @param {Object} message - Outcome of a request, or an API call
+   */
+  handleMessage(message) {
+    const pending = this.pending.get(message.id);
+
+    if (message.type === 'call') {
+      this.handleCall(pending, message);
+      return;
+    }
+
+    if (message.type === 'done' && pending) {
+      this.pending.delete(message.id);
+      clearTimeout(pending.timer);
+      pending.resolve(message);
+    }
+  }
+
+  /**
+   * Run an API call made by the strategy and send back the result
+   * @param {Object} pending - Request the call belongs to
+   * @param {Object} message - Call message
+   */
+  handleCall(pending, { callId, method, args }) {
+    const reply = outcome => {
+      if (this.child && this.child.connected) {
+        this.child.send({ type: 'reply', callId, ...outcome });
+      }
+    };
+
+    if (!pending) {
+      reply({ error: `Cannot call ${method} after the hook has returned` });
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(pending.api, method) || !Array.isArray(args)) {
+      reply({ error: `Unknown strategy API method ${method}` });
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => pending.api[method](...args))
+      .then(
+        value => reply({ value }),
+        error => reply({ error: (error && error.message) || String(error) })
+      )
+      .catch(error =>
+        reply({ error: `Result of ${method} could not be returned: ${error.message}` })
+      );
+  }
+}
+
+module.exports = StrategySandbox;
@@ -0,0 +1,142 @@
+'use strict';
+
+const vm = require('vm');
+const indicators = require('../../utils/indicators');
+
+/**
+ * Strategy Sandbox Process
+ * Entry point of the child process a StrategySandbox forks. It holds one
+ * strategy module and runs its hooks on request. Hooks receive plain data;
+ * the trading API is a set of stubs that message the parent and wait for
+ * its reply, so no host object is ever shared with strategy code.
+ */
+
+// Process APIs that could load modules, signal other processes or reach
+// native bindings if strategy code got hold of the process object
+const RESTRICTED_PROCESS_APIS = [
+  'mainModule',
+  'binding',
+  '_linkedBinding',
+  'dlopen',
+  'kill',
+  '_kill',
+  'getBuiltinModule'
+];
+
+for (const name of RESTRICTED_PROCESS_APIS) {
+  delete process[name];
+}
+
+const pendingCalls = new Map();
+let nextCallId = 1;
+let context = null;
+let strategy = null;
+let invoker = null;
+let syncTimeout = 1000;
+
+const send = message => {
+  if (process.connected) {
+    process.send(message);
+  }
+};
+
+const describeError = error => {
+  try {
+    return error && error.message !== undefined ? String(error.message) : String(error);
+  } catch (_error) {
+    return 'Unknown error';
+  }
+};
+
+/**
+ * Evaluate the strategy module
+ * @param {Object} message - Load request
+ */
+const load = ({ id, code, filename, timeout, hooks }) => {
+  syncTimeout = timeout;
+
+  const moduleObject = { exports: {} };
+  context = vm.createContext(
+    { module: moduleObject, exports: moduleObject.exports },
+    { codeGeneration: { strings: false, wasm: false } }
+  );
+
+  try {
+    new vm.Script(code, { filename }).runInContext(context, { timeout });
+    strategy = context.module.exports;
+    invoker = new vm.Script('__strategy__[__hook__].apply(__strategy__, __args__)', {
+      filename: `${filename}:invoke`
+    });
+
+    send({
+      type: 'done',
+      id,
+      hooks: hooks.filter(hook => strategy && typeof strategy[hook] === 'function')
+    });
+  } catch (error) {
+    send({ type: 'done', id, error: `Invalid strategy code: ${describeError(error)}` });
+  }
+};
+
+/**
+ * Ask the parent to run a trading API method
+ * @param {number} invocationId - Hook invocation the call belongs to
+ * @param {string} method - API method name
+ * @param {Array} args - Method arguments
+ * @returns {Promise<*>} Method result
+ */
+const call = (invocationId, method, args) =>
+  new Promise((resolve, reject) => {
+    const callId = nextCallId++;
+    send({ type: 'call', id: invocationId, callId, method, args });
+    pendingCalls.set(callId, { resolve, reject });
+  });
+
+/**
+ * Run a strategy hook, reporting its outcome and the updated state
+ * @param {Object} message - Invoke request
+ */
+const invoke = async ({ id, hook, args, context: data, methods }) => {
+  const ctx = { ...data, indicators };
+  for (const method of methods) {
+    ctx[method] = (...methodArgs) => call(id, method, methodArgs);
+  }
+
+  let outcome;
+  try {
+    Object.assign(context, { __strategy__: strategy, __hook__: hook, __args__: [...args, ctx] });
+    const result = invoker.runInContext(context, { timeout: syncTimeout });
+    delete context.__args__;
+
+    await result;
+    outcome = { state: ctx.state };
+  } catch (error) {
+    outcome = { error: describeError(error) };
+  }
+
+  try {
+    send({ type: 'done', id, ...outcome });
+  } catch (error) {
+    send({ type: 'done', id, error: `Strategy state could not be returned: ${error.message}` });
+  }
+};
+
+process.on('message', message => {
+  if (message.type === 'load') {
+    load(message);
+  } else if (message.type === 'invoke') {
+    invoke(message);
+  } else if (message.type === 'reply' && pendingCalls.has(message.callId)) {
+    const { resolve, reject } = pendingCalls.get(message.callId);
+    pendingCalls.delete(message.callId);
+
+    if (message.error !== undefined) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.value);
+    }
+  }
+});
+
+// A strategy's unawaited promise must not take the process down
+process.on('unhandledRejection', () => {});
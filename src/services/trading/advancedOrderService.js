@@ -1,17 +1,34 @@
 const Order = require('../../models/Order');
+const TradingPosition = require('../../models/TradingPosition');
+const exchangeManager = require('../exchanges/exchangeManager');
 const marketDataService = require('../market/marketDataService');
 const paperTradingService = require('./paperTradingService');
+const tradingService = require('./tradingService');
+const riskManagementService = require('./riskManagementService');
+const tradingEventService = require('./tradingEventService');
 const logger = require('../../utils/logger');
 
+// Order statuses that can still fill, across paper and exchange orders
+const ACTIVE_ORDER_STATUSES = ['pending', 'open', 'partially_filled'];
+
 /**
  * Advanced Order Service
- * Handles complex order types like OCO, Trailing Stop, and Iceberg orders
+ * Handles complex order types like OCO, Trailing Stop, Iceberg, TWAP, VWAP and Bracket orders
  */
 class AdvancedOrderService {
   constructor() {
     this.activeTrailingStops = new Map(); // Track active trailing stop orders
     this.processingInterval = null;
     this.priceUpdateInterval = 60000; // Update prices every minute
+    this.algoInterval = null;
+    this.algoCheckInterval = 5000; // Check for due TWAP/VWAP slices every 5 seconds
+    this.isProcessingAlgoOrders = false;
+    this.isProcessingOCOTriggers = false;
+    this.minSliceInterval = 10000; // Slices must be at least 10 seconds apart
+    this.maxSliceRetries = 3; // Pause the order after a slice fails this many times
+    this.bracketSyncs = new Map(); // Serializes updates per bracket order
+    this.resizingOCOLegs = new Set(); // Triggered legs whose exchange order is being replaced
+    this.handleTradingEvent = this.handleTradingEvent.bind(this);
   }
 
   /**
@@ -19,6 +36,8 @@ class AdvancedOrderService {
    */
   initialize() {
     this.startPriceMonitoring();
+    this.startAlgoExecution();
+    tradingEventService.on('event', this.handleTradingEvent);
     logger.info('Advanced Order Service initialized');
   }
 
@@ -39,6 +58,29 @@ class AdvancedOrderService {
     }, this.priceUpdateInterval);
   }
 
+  /**
+   * Start background execution of TWAP/VWAP slices and live OCO exits
+   */
+  startAlgoExecution() {
+    if (this.algoInterval) {
+      clearInterval(this.algoInterval);
+    }
+
+    this.algoInterval = setInterval(async () => {
+      try {
+        await this.processAlgoOrders();
+      } catch (error) {
+        logger.error('Error processing TWAP/VWAP orders:', error);
+      }
+
+      try {
+        await this.processOCOTriggers();
+      } catch (error) {
+        logger.error('Error processing OCO triggers:', error);
+      }
+    }, this.algoCheckInterval);
+  }
+
   /**
    * Stop background monitoring
    */
@@ -47,15 +89,23 @@ class AdvancedOrderService {
       clearInterval(this.processingInterval);
       this.processingInterval = null;
     }
+
+    if (this.algoInterval) {
+      clearInterval(this.algoInterval);
+      this.algoInterval = null;
+    }
+
+    tradingEventService.off('event', this.handleTradingEvent);
   }
 
   /**
    * Place an OCO (One-Cancels-Other) order
    * @param {string} userId - User ID
    * @param {Object} orderData - OCO order parameters
+   * @param {Object} options - riskReducing skips the pre-trade gate for exits of a filled entry
    * @returns {Promise<Object>} Created OCO orders
    */
-  async placeOCOOrder(userId, orderData) {
+  async placeOCOOrder(userId, orderData, options = {}) {
     try {
       const {
         symbol,
@@ -68,6 +118,7 @@ class AdvancedOrderService {
       } = orderData;
 
       this.validateOCOParameters(orderData);
+      await this.assertOrderAllowed(userId, orderData, options);
 
       // Generate order list ID for linking
       const orderListId = this.generateOrderListId();
@@ -81,6 +132,7 @@ class AdvancedOrderService {
         type: 'limit',
         amount,
         price,
+        status: 'open',
         isPaperTrade: exchangeName === 'paper_trading',
         advancedOrderData: {
           oco: {
@@ -91,7 +143,8 @@ class AdvancedOrderService {
           }
         },
         metadata: {
-          strategy: 'OCO'
+          strategy: orderData.strategy || 'OCO',
+          parentOrderId: orderData.parentOrderId
         }
       });
 
@@ -106,6 +159,7 @@ class AdvancedOrderService {
         amount,
         price: stopLimitPrice,
         stopPrice,
+        status: 'open',
         isPaperTrade: exchangeName === 'paper_trading',
         advancedOrderData: {
           oco: {
@@ -116,7 +170,8 @@ class AdvancedOrderService {
           }
         },
         metadata: {
-          strategy: 'OCO'
+          strategy: orderData.strategy || 'OCO',
+          parentOrderId: orderData.parentOrderId
         }
       });
 
@@ -127,6 +182,8 @@ class AdvancedOrderService {
       // Save both orders
       await limitOrder.save();
       await stopOrder.save();
+      tradingEventService.publishOrderUpdate(limitOrder);
+      tradingEventService.publishOrderUpdate(stopOrder);
 
       logger.info(`OCO order placed: ${orderListId} with orders ${limitOrder._id} and ${stopOrder._id}`);
 
@@ -160,6 +217,7 @@ class AdvancedOrderService {
       } = orderData;
 
       this.validateTrailingStopParameters(orderData);
+      await this.assertOrderAllowed(userId, orderData);
 
       // Get current market price
       const currentPrice = await this.getCurrentPrice(symbol);
@@ -206,6 +264,7 @@ class AdvancedOrderService {
       });
 
       await order.save();
+      tradingEventService.publishOrderUpdate(order);
 
       // Add to active monitoring
       this.activeTrailingStops.set(order._id.toString(), order);
@@ -238,6 +297,7 @@ class AdvancedOrderService {
       } = orderData;
 
       this.validateIcebergParameters(orderData);
+      await this.assertOrderAllowed(userId, orderData);
 
       // Create parent iceberg order
       const parentOrder = new Order({
@@ -264,6 +324,7 @@ class AdvancedOrderService {
       });
 
       await parentOrder.save();
+      tradingEventService.publishOrderUpdate(parentOrder);
 
       // Create first visible child order
       const firstChildOrder = await this.createIcebergChildOrder(parentOrder, type);
@@ -302,19 +363,11 @@ class AdvancedOrderService {
       const cancelledOrders = [];
 
       if (order.status === 'open') {
-        order.status = 'cancelled';
-        order.cancelledAt = new Date();
-        order.advancedOrderData.oco.listOrderStatus = 'ALL_DONE';
-        await order.save();
-        cancelledOrders.push(order);
+        cancelledOrders.push(await this.cancelOCOLeg(order));
       }
 
       if (linkedOrder && linkedOrder.status === 'open') {
-        linkedOrder.status = 'cancelled';
-        linkedOrder.cancelledAt = new Date();
-        linkedOrder.advancedOrderData.oco.listOrderStatus = 'ALL_DONE';
-        await linkedOrder.save();
-        cancelledOrders.push(linkedOrder);
+        cancelledOrders.push(await this.cancelOCOLeg(linkedOrder));
       }
 
       logger.info(`OCO order cancelled: ${order.advancedOrderData.oco.orderListId}`);
@@ -344,9 +397,11 @@ class AdvancedOrderService {
         throw new Error('Trailing stop order not found');
       }
 
+      const previous = tradingEventService.snapshotOrder(order);
       order.status = 'cancelled';
       order.cancelledAt = new Date();
       await order.save();
+      tradingEventService.publishOrderUpdate(order, previous);
 
       // Remove from active monitoring
       this.activeTrailingStops.delete(orderId);
@@ -360,6 +415,52 @@ class AdvancedOrderService {
     }
   }
 
+  /**
+   * Cancel an iceberg order and its visible slices still open
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelIcebergOrder(userId, orderId) {
+    try {
+      const order = await this.findAdvancedOrder(userId, orderId, 'iceberg');
+
+      if (order.status !== 'open') {
+        throw new Error(`Cannot cancel a ${order.status} order`);
+      }
+
+      const openChildren = await Order.find({
+        userId,
+        'metadata.parentOrderId': order._id,
+        status: { $in: ACTIVE_ORDER_STATUSES }
+      });
+
+      for (const child of openChildren) {
+        try {
+          await this.cancelChildOrder(child);
+        } catch (error) {
+          logger.warn(`Failed to cancel slice ${child._id} of ${orderId}:`, error.message);
+        }
+      }
+
+      const previous = tradingEventService.snapshotOrder(order);
+      order.status = 'cancelled';
+      order.cancelledAt = new Date();
+      // Nothing hidden is left to reveal as a new slice
+      order.advancedOrderData.iceberg.hiddenRemaining = 0;
+      order.markModified('advancedOrderData');
+      await order.save();
+      tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+
+      logger.info(`Iceberg order cancelled: ${orderId}`);
+      return order;
+
+    } catch (error) {
+      logger.error('Error cancelling iceberg order:', error);
+      throw error;
+    }
+  }
+
   /**
    * Process active trailing stop orders
    */
@@ -469,15 +570,19 @@ class AdvancedOrderService {
   async triggerTrailingStop(order, triggerPrice) {
     try {
       // Convert to market order and execute
+      const previous = tradingEventService.snapshotOrder(order);
       order.type = 'market';
       order.status = 'filled';
       order.executedAt = new Date();
-      order.averagePrice = triggerPrice;
+      order.cost = order.amount * triggerPrice;
       order.filled = order.amount;
       order.remaining = 0;
 
       await order.save();
 
+      // The trigger is only recorded on the order, no balances are moved yet
+      tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+
       // Remove from active monitoring
       this.activeTrailingStops.delete(order._id.toString());
 
@@ -522,6 +627,7 @@ class AdvancedOrderService {
       });
 
       await childOrder.save();
+      tradingEventService.publishOrderUpdate(childOrder);
 
       // Update parent order
       icebergData.childOrders.push({
@@ -543,67 +649,1363 @@ class AdvancedOrderService {
     }
   }
 
-  // Helper methods
-  validateOCOParameters(orderData) {
-    const { symbol, side, amount, price, stopPrice } = orderData;
-    
-    if (!symbol || !side || !amount || !price || !stopPrice) {
-      throw new Error('Missing required OCO parameters');
-    }
-    
-    if (amount <= 0 || price <= 0 || stopPrice <= 0) {
-      throw new Error('All amounts and prices must be positive');
-    }
-    
-    if (side === 'sell' && stopPrice >= price) {
-      throw new Error('For sell OCO, stop price must be less than limit price');
-    }
-    
-    if (side === 'buy' && stopPrice <= price) {
-      throw new Error('For buy OCO, stop price must be greater than limit price');
+  /**
+   * Place a TWAP order - equal slices spread evenly over the duration
+   * @param {string} userId - User ID
+   * @param {Object} orderData - TWAP order parameters
+   * @returns {Promise<Object>} Created TWAP parent order
+   */
+  async placeTWAPOrder(userId, orderData) {
+    try {
+      const {
+        amount,
+        duration,       // Execution window in minutes
+        sliceCount = 10,
+        randomization = 0, // Max +/- percent jitter on slice size and timing
+        exchangeName = 'paper_trading'
+      } = orderData;
+
+      this.validateAlgoParameters(orderData);
+      await this.validateExchangeConnection(userId, exchangeName);
+      await this.assertOrderAllowed(userId, orderData);
+
+      const startTime = new Date();
+      const schedule = this.buildTWAPSchedule(amount, duration, sliceCount, randomization, startTime);
+
+      const order = await this.createAlgoOrder(userId, 'twap', orderData, schedule, startTime, {
+        randomization
+      });
+      return order;
+
+    } catch (error) {
+      logger.error('Error placing TWAP order:', error);
+      throw error;
     }
   }
 
-  validateTrailingStopParameters(orderData) {
-    const { symbol, side, amount, trailingAmount, trailingPercent } = orderData;
-    
-    if (!symbol || !side || !amount) {
-      throw new Error('Missing required trailing stop parameters');
+  /**
+   * Place a VWAP order - slices weighted by the historical intraday volume profile
+   * @param {string} userId - User ID
+   * @param {Object} orderData - VWAP order parameters
+   * @returns {Promise<Object>} Created VWAP parent order
+   */
+  async placeVWAPOrder(userId, orderData) {
+    try {
+      const {
+        symbol,
+        amount,
+        duration,
+        sliceCount = 10,
+        profileDays = 7,
+        exchangeName = 'paper_trading'
+      } = orderData;
+
+      this.validateAlgoParameters(orderData);
+      await this.validateExchangeConnection(userId, exchangeName);
+      await this.assertOrderAllowed(userId, orderData);
+
+      // Paper orders have no venue of their own, so default to a liquid public one
+      const profileExchange = orderData.profileExchange ||
+        (exchangeName === 'paper_trading' ? 'binance' : exchangeName);
+      const volumeProfile = await this.getVolumeProfile(profileExchange, symbol, profileDays);
+
+      const startTime = new Date();
+      const schedule = this.buildVWAPSchedule(amount, duration, sliceCount, volumeProfile, startTime);
+
+      const order = await this.createAlgoOrder(userId, 'vwap', orderData, schedule, startTime, {
+        profileExchange,
+        profileDays,
+        volumeProfile
+      });
+      return order;
+
+    } catch (error) {
+      logger.error('Error placing VWAP order:', error);
+      throw error;
     }
-    
-    if (!trailingAmount && !trailingPercent) {
-      throw new Error('Either trailingAmount or trailingPercent must be specified');
+  }
+
+  /**
+   * Create and save a TWAP/VWAP parent order
+   * @param {string} userId - User ID
+   * @param {string} type - 'twap' or 'vwap'
+   * @param {Object} orderData - Order parameters
+   * @param {Array} schedule - Planned slices
+   * @param {Date} startTime - Execution start
+   * @param {Object} extra - Type specific sub-document fields
+   * @returns {Promise<Object>} Created parent order
+   */
+  async createAlgoOrder(userId, type, orderData, schedule, startTime, extra = {}) {
+    const { symbol, side, amount, duration, exchangeName = 'paper_trading' } = orderData;
+
+    const order = new Order({
+      userId,
+      exchangeName,
+      symbol,
+      side,
+      type,
+      amount,
+      status: 'open',
+      isPaperTrade: exchangeName === 'paper_trading',
+      timestamps: {
+        submitted: startTime
+      },
+      advancedOrderData: {
+        [type]: {
+          duration,
+          sliceCount: schedule.length,
+          startTime,
+          endTime: new Date(startTime.getTime() + duration * 60000),
+          schedule,
+          nextSlice: 0,
+          nextSliceAt: schedule[0].scheduledAt,
+          executedSize: 0,
+          remainingSize: amount,
+          sliceRetries: 0,
+          isPaused: false,
+          childOrders: [],
+          ...extra
+        }
+      },
+      metadata: {
+        strategy: type.toUpperCase()
+      }
+    });
+
+    await order.save();
+    tradingEventService.publishOrderUpdate(order);
+
+    logger.info(
+      `${type.toUpperCase()} order placed: ${order._id} for ${amount} ${symbol} ` +
+      `in ${schedule.length} slices over ${duration} minutes`
+    );
+    return order;
+  }
+
+  /**
+   * Pause a running TWAP/VWAP order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {string} type - 'twap' or 'vwap'
+   * @returns {Promise<Object>} Paused order
+   */
+  async pauseAlgoOrder(userId, orderId, type) {
+    try {
+      const order = await this.findAdvancedOrder(userId, orderId, type);
+      const algoData = order.advancedOrderData[order.type];
+
+      if (order.status !== 'open') {
+        throw new Error(`Cannot pause a ${order.status} order`);
+      }
+
+      if (algoData.isPaused) {
+        throw new Error('Cannot pause an order that is already paused');
+      }
+
+      algoData.isPaused = true;
+      algoData.pausedAt = new Date();
+      algoData.pauseReason = 'Paused by user';
+      order.markModified('advancedOrderData');
+      await order.save();
+
+      logger.info(`${order.type.toUpperCase()} order paused: ${orderId}`);
+      return order;
+
+    } catch (error) {
+      logger.error('Error pausing TWAP/VWAP order:', error);
+      throw error;
     }
-    
-    if (trailingAmount && trailingAmount <= 0) {
-      throw new Error('Trailing amount must be positive');
+  }
+
+  /**
+   * Resume a paused TWAP/VWAP order, shifting the remaining slices by the paused time
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {string} type - 'twap' or 'vwap'
+   * @returns {Promise<Object>} Resumed order
+   */
+  async resumeAlgoOrder(userId, orderId, type) {
+    try {
+      const order = await this.findAdvancedOrder(userId, orderId, type);
+      const algoData = order.advancedOrderData[order.type];
+
+      if (order.status !== 'open' || !algoData.isPaused) {
+        throw new Error('Cannot resume an order that is not paused');
+      }
+      await riskManagementService.assertTradingAllowed(userId);
+
+      const pausedFor = Date.now() - algoData.pausedAt.getTime();
+      algoData.schedule.slice(algoData.nextSlice).forEach(slice => {
+        slice.scheduledAt = new Date(slice.scheduledAt.getTime() + pausedFor);
+      });
+      algoData.endTime = new Date(algoData.endTime.getTime() + pausedFor);
+      algoData.nextSliceAt = algoData.schedule[algoData.nextSlice].scheduledAt;
+      algoData.isPaused = false;
+      algoData.pausedAt = undefined;
+      algoData.pauseReason = undefined;
+      algoData.sliceRetries = 0;
+      order.markModified('advancedOrderData');
+      await order.save();
+
+      logger.info(`${order.type.toUpperCase()} order resumed: ${orderId}`);
+      return order;
+
+    } catch (error) {
+      logger.error('Error resuming TWAP/VWAP order:', error);
+      throw error;
     }
-    
-    if (trailingPercent && (trailingPercent <= 0 || trailingPercent >= 100)) {
-      throw new Error('Trailing percent must be between 0 and 100');
+  }
+
+  /**
+   * Cancel a TWAP/VWAP order and any of its slices still open on the exchange
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {string} type - 'twap' or 'vwap'
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelAlgoOrder(userId, orderId, type) {
+    try {
+      const order = await this.findAdvancedOrder(userId, orderId, type);
+
+      if (order.status !== 'open') {
+        throw new Error(`Cannot cancel a ${order.status} order`);
+      }
+
+      const openChildren = await Order.find({
+        userId,
+        'metadata.parentOrderId': order._id,
+        status: { $in: ['pending', 'open'] }
+      });
+
+      for (const child of openChildren) {
+        try {
+          await this.cancelChildOrder(child);
+        } catch (error) {
+          logger.warn(`Failed to cancel slice ${child._id} of ${orderId}:`, error.message);
+        }
+      }
+
+      const previous = tradingEventService.snapshotOrder(order);
+      await this.syncAlgoFills(order);
+
+      order.status = 'cancelled';
+      order.cancelledAt = new Date();
+      order.advancedOrderData[order.type].nextSliceAt = undefined;
+      order.markModified('advancedOrderData');
+      await order.save();
+      tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+
+      logger.info(`${order.type.toUpperCase()} order cancelled: ${orderId}`);
+      return order;
+
+    } catch (error) {
+      logger.error('Error cancelling TWAP/VWAP order:', error);
+      throw error;
     }
   }
 
-  validateIcebergParameters(orderData) {
-    const { symbol, side, totalAmount, visibleSize } = orderData;
-    
-    if (!symbol || !side || !totalAmount || !visibleSize) {
-      throw new Error('Missing required iceberg parameters');
+  /**
+   * Get execution progress of a TWAP/VWAP order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {string} type - 'twap' or 'vwap'
+   * @returns {Promise<Object>} Progress summary
+   */
+  async getAlgoOrderProgress(userId, orderId, type) {
+    try {
+      const order = await this.findAdvancedOrder(userId, orderId, type);
+      const previous = tradingEventService.snapshotOrder(order);
+
+      // Live slices may have filled since they were placed
+      await this.syncAlgoFills(order);
+      order.markModified('advancedOrderData');
+      await order.save();
+      tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+
+      const algoData = order.advancedOrderData[order.type];
+      const now = Date.now();
+      const scheduledSize = algoData.schedule
+        .filter(slice => slice.scheduledAt.getTime() <= now)
+        .reduce((sum, slice) => sum + slice.size, 0);
+
+      return {
+        orderId: order._id,
+        type: order.type,
+        status: order.status,
+        exchangeName: order.exchangeName,
+        symbol: order.symbol,
+        side: order.side,
+        amount: order.amount,
+        executedSize: algoData.executedSize,
+        remainingSize: algoData.remainingSize,
+        filled: order.filled,
+        averagePrice: order.averagePrice,
+        percentComplete: (algoData.executedSize / order.amount) * 100,
+        slicesExecuted: algoData.nextSlice,
+        sliceCount: algoData.sliceCount,
+        scheduledSize,
+        // Negative when execution is behind schedule
+        scheduleDeviation: algoData.executedSize - scheduledSize,
+        startTime: algoData.startTime,
+        endTime: algoData.endTime,
+        nextSliceAt: algoData.nextSliceAt,
+        isPaused: algoData.isPaused,
+        pausedAt: algoData.pausedAt,
+        pauseReason: algoData.pauseReason,
+        childOrders: algoData.childOrders
+      };
+
+    } catch (error) {
+      logger.error('Error fetching TWAP/VWAP order progress:', error);
+      throw error;
     }
-    
-    if (totalAmount <= 0 || visibleSize <= 0) {
-      throw new Error('Total amount and visible size must be positive');
+  }
+
+  /**
+   * Place a bracket order: an entry with a take-profit/stop-loss OCO pair
+   * that is armed for whatever quantity the entry fills
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Bracket order parameters
+   * @returns {Promise<Object>} Created bracket order
+   */
+  async placeBracketOrder(userId, orderData) {
+    try {
+      const {
+        symbol,
+        side,
+        amount,
+        entryType = 'market',
+        entryPrice,
+        takeProfitPrice,
+        stopLossPrice,
+        stopLimitPrice,
+        exchangeName = 'paper_trading'
+      } = orderData;
+
+      this.validateBracketParameters(orderData);
+      const referencePrice = entryType === 'limit' ? entryPrice : await this.getCurrentPrice(symbol);
+      this.validateBracketPrices(side, referencePrice, takeProfitPrice, stopLossPrice);
+      await this.validateExchangeConnection(userId, exchangeName);
+      await this.assertOrderAllowed(userId, orderData);
+
+      const order = new Order({
+        userId,
+        exchangeName,
+        symbol,
+        side,
+        type: 'bracket',
+        amount,
+        price: entryPrice,
+        stopPrice: stopLossPrice,
+        status: 'open',
+        isPaperTrade: exchangeName === 'paper_trading',
+        advancedOrderData: {
+          bracket: {
+            stage: 'pending_entry',
+            entryType,
+            entryPrice,
+            takeProfitPrice,
+            stopLossPrice,
+            stopLimitPrice,
+            armedSize: 0
+          }
+        },
+        metadata: {
+          strategy: 'Bracket'
+        }
+      });
+
+      await order.save();
+      tradingEventService.publishOrderUpdate(order);
+
+      let entry;
+      try {
+        entry = await this.placeChildOrder(order, {
+          type: entryType,
+          amount,
+          price: entryType === 'limit' ? entryPrice : undefined,
+          strategy: 'BracketEntry'
+        });
+      } catch (error) {
+        const previous = tradingEventService.snapshotOrder(order);
+        order.status = 'rejected';
+        order.advancedOrderData.bracket.stage = 'cancelled';
+        order.markModified('advancedOrderData');
+        await order.save();
+        tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+        throw error;
+      }
+
+      order.advancedOrderData.bracket.entryOrderId = entry._id;
+      order.markModified('advancedOrderData');
+      await order.save();
+
+      logger.info(`Bracket order placed: ${order._id} with entry ${entry._id}`);
+
+      return this.queueBracketUpdate(order._id, () => this.syncBracket(order._id));
+
+    } catch (error) {
+      logger.error('Error placing bracket order:', error);
+      throw error;
     }
-    
-    if (visibleSize >= totalAmount) {
-      throw new Error('Visible size must be less than total amount');
+  }
+
+  /**
+   * Cancel a bracket order, unwinding the entry and any live exit legs.
+   * Quantity that has already been bought or sold stays in the position.
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Cancelled bracket order
+   */
+  async cancelBracketOrder(userId, orderId) {
+    try {
+      const { _id } = await this.findAdvancedOrder(userId, orderId, 'bracket');
+
+      return await this.queueBracketUpdate(_id, async () => {
+        const order = await Order.findById(_id);
+        const bracket = order.advancedOrderData.bracket;
+
+        if (['closed', 'cancelled'].includes(bracket.stage)) {
+          throw new Error(`Cannot cancel a ${bracket.stage} bracket order`);
+        }
+
+        const previous = tradingEventService.snapshotOrder(order);
+        const entry = await Order.findById(bracket.entryOrderId);
+
+        if (entry && ACTIVE_ORDER_STATUSES.includes(entry.status)) {
+          try {
+            await this.cancelChildOrder(entry);
+          } catch (error) {
+            logger.warn(`Failed to cancel entry ${entry._id} of bracket ${orderId}:`, error.message);
+          }
+        }
+
+        for (const leg of await this.findBracketExits(order)) {
+          if (leg.status !== 'open') {
+            continue;
+          }
+
+          const children = await Order.find({ userId, 'metadata.parentOrderId': leg._id });
+          if (children.length === 0) {
+            await this.cancelOCOLeg(leg);
+            continue;
+          }
+
+          for (const child of children.filter(child => ACTIVE_ORDER_STATUSES.includes(child.status))) {
+            try {
+              await this.cancelChildOrder(child);
+            } catch (error) {
+              logger.warn(`Failed to cancel exit ${child._id} of bracket ${orderId}:`, error.message);
+            }
+          }
+          await this.syncOCOLeg(leg);
+        }
+
+        const filledEntry = entry ? await Order.findById(entry._id) : null;
+        order.filled = filledEntry ? filledEntry.filled : 0;
+        order.cost = filledEntry ? filledEntry.cost : 0;
+        order.remaining = Math.max(order.amount - order.filled, 0);
+        order.status = 'cancelled';
+        order.cancelledAt = new Date();
+        bracket.stage = 'cancelled';
+        order.markModified('advancedOrderData');
+        await order.save();
+        tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+
+        logger.info(`Bracket order cancelled: ${orderId}`);
+        return order;
+      });
+
+    } catch (error) {
+      logger.error('Error cancelling bracket order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a bracket order with its entry, exit legs and position
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Bracket order details
+   */
+  async getBracketOrder(userId, orderId) {
+    try {
+      const order = await this.findAdvancedOrder(userId, orderId, 'bracket');
+      const bracket = order.advancedOrderData.bracket;
+
+      const [entry, exits, position] = await Promise.all([
+        bracket.entryOrderId ? Order.findById(bracket.entryOrderId) : null,
+        this.findBracketExits(order),
+        bracket.positionId ? TradingPosition.findById(bracket.positionId) : null
+      ]);
+
+      return { order, entry, exits, position };
+
+    } catch (error) {
+      logger.error('Error fetching bracket order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a bracket in line with its entry and exit legs: arm or resize the
+   * exits for the filled entry quantity and close the bracket once an exit fills.
+   * Runs through queueBracketUpdate so concurrent fills are applied in order.
+   * @param {string} orderId - Bracket order ID
+   * @returns {Promise<Object>} Updated bracket order
+   */
+  async syncBracket(orderId) {
+    const order = await Order.findById(orderId);
+    const bracket = order && order.advancedOrderData.bracket;
+
+    if (!bracket || !bracket.entryOrderId || ['closed', 'cancelled'].includes(bracket.stage)) {
+      return order;
+    }
+
+    const entry = await Order.findById(bracket.entryOrderId);
+    if (!entry) {
+      return order;
+    }
+
+    const previous = tradingEventService.snapshotOrder(order);
+    const exits = await this.findBracketExits(order);
+    const exit = exits.find(leg => leg.filled > 0);
+
+    if (exit) {
+      if (ACTIVE_ORDER_STATUSES.includes(entry.status)) {
+        try {
+          await this.cancelChildOrder(entry);
+        } catch (error) {
+          logger.warn(`Failed to cancel entry ${entry._id} of bracket ${order._id}:`, error.message);
+        }
+      }
+
+      if (!ACTIVE_ORDER_STATUSES.includes(exit.status)) {
+        await this.recordBracketExit(order, exit);
+        bracket.stage = 'closed';
+        order.status = 'closed';
+      }
+    } else if (entry.filled > (bracket.armedSize || 0)) {
+      const position = await this.syncBracketPosition(order, entry);
+      bracket.positionId = position._id;
+
+      await this.armBracketExits(order, entry.filled, exits);
+      bracket.armedSize = entry.filled;
+      bracket.stage = 'armed';
+    } else if (!entry.filled && !ACTIVE_ORDER_STATUSES.includes(entry.status)) {
+      bracket.stage = 'cancelled';
+      order.status = entry.status === 'rejected' ? 'rejected' : 'cancelled';
+    }
+
+    order.filled = entry.filled;
+    order.cost = entry.cost;
+    order.remaining = Math.max(order.amount - order.filled, 0);
+    order.markModified('advancedOrderData');
+    await order.save();
+    tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+
+    return order;
+  }
+
+  /**
+   * Place the take-profit/stop-loss OCO pair for a bracket, or resize the
+   * open legs when more of the entry has filled. A triggered leg already has
+   * an order on the exchange, which is replaced with one for the new size.
+   * @param {Object} order - Bracket order
+   * @param {number} amount - Filled entry quantity to protect
+   * @param {Array} exits - Existing exit legs
+   */
+  async armBracketExits(order, amount, exits) {
+    const bracket = order.advancedOrderData.bracket;
+
+    if (exits.length > 0) {
+      for (const leg of exits.filter(leg => leg.status === 'open')) {
+        if (leg.advancedOrderData.oco.listStatusType === 'EXEC_STARTED') {
+          await this.resizeTriggeredOCOLeg(leg, amount);
+          continue;
+        }
+
+        const previous = tradingEventService.snapshotOrder(leg);
+        leg.amount = amount;
+        leg.remaining = Math.max(amount - (leg.filled || 0), 0);
+        await leg.save();
+        tradingEventService.publishOrderUpdate(leg, previous, { balanceChanges: false });
+      }
+      return;
+    }
+
+    // The exits protect a filled entry, so neither the kill switch nor the risk rules hold them back
+    const { orderListId, orders } = await this.placeOCOOrder(
+      order.userId,
+      {
+        symbol: order.symbol,
+        side: order.side === 'buy' ? 'sell' : 'buy',
+        amount,
+        price: bracket.takeProfitPrice,
+        stopPrice: bracket.stopLossPrice,
+        stopLimitPrice: bracket.stopLimitPrice,
+        exchangeName: order.exchangeName,
+        strategy: 'BracketExit',
+        parentOrderId: order._id
+      },
+      { riskReducing: true }
+    );
+
+    bracket.orderListId = orderListId;
+    bracket.takeProfitOrderId = orders[0]._id;
+    bracket.stopLossOrderId = orders[1]._id;
+  }
+
+  /**
+   * Open or resize the position held by a bracket's entry
+   * @param {Object} order - Bracket order
+   * @param {Object} entry - Entry order
+   * @returns {Promise<Object>} Trading position
+   */
+  async syncBracketPosition(order, entry) {
+    const { positionId } = order.advancedOrderData.bracket;
+    let position = positionId ? await TradingPosition.findById(positionId) : null;
+
+    if (!position) {
+      position = new TradingPosition({
+        userId: order.userId,
+        symbol: order.symbol,
+        exchangeName: order.exchangeName,
+        side: order.side === 'buy' ? 'long' : 'short',
+        size: 0,
+        entryPrice: entry.averagePrice,
+        entryValue: 0,
+        entryDate: entry.executedAt || new Date(),
+        strategy: 'Bracket',
+        tags: ['bracket']
+      });
+    }
+
+    // The entry is a single order, so rebuild its fill rather than adding it again
+    position.entryOrders = [];
+    position.totalFees = 0;
+    position.addEntryOrder(entry);
+    await position.save();
+
+    return position;
+  }
+
+  /**
+   * Record the filled exit leg against the bracket's position
+   * @param {Object} order - Bracket order
+   * @param {Object} exit - Filled exit leg
+   */
+  async recordBracketExit(order, exit) {
+    const { positionId } = order.advancedOrderData.bracket;
+    const position = positionId ? await TradingPosition.findById(positionId) : null;
+
+    if (position && position.status === 'open') {
+      position.addExitOrder(exit);
+      await position.save();
+    }
+  }
+
+  /**
+   * Find the OCO exit legs of a bracket
+   * @param {Object} order - Bracket order
+   * @returns {Promise<Array>} Exit legs
+   */
+  findBracketExits(order) {
+    const { orderListId } = order.advancedOrderData.bracket;
+
+    if (!orderListId) {
+      return Promise.resolve([]);
+    }
+
+    return Order.find({ userId: order.userId, 'advancedOrderData.oco.orderListId': orderListId });
+  }
+
+  /**
+   * Run a bracket update after any update already queued for the same bracket
+   * @param {string} orderId - Bracket order ID
+   * @param {Function} task - Update to run
+   * @returns {Promise<*>} Result of the task
+   */
+  queueBracketUpdate(orderId, task) {
+    const key = orderId.toString();
+    const pending = this.bracketSyncs.get(key) || Promise.resolve();
+    const next = pending.catch(() => {}).then(task);
+
+    this.bracketSyncs.set(key, next);
+    next
+      .catch(() => {})
+      .then(() => {
+        if (this.bracketSyncs.get(key) === next) {
+          this.bracketSyncs.delete(key);
+        }
+      });
+
+    return next;
+  }
+
+  /**
+   * React to order updates: cancel the other side of a filled OCO pair,
+   * roll exchange fills up into triggered OCO legs and keep brackets in sync
+   * @param {Object} event - Trading event
+   */
+  async handleTradingEvent(event) {
+    if (event.type !== 'order' || !event.data) {
+      return;
+    }
+
+    const { id, filled, status } = event.data;
+    if (!(filled > 0) && ACTIVE_ORDER_STATUSES.includes(status)) {
+      return;
+    }
+
+    try {
+      const order = await Order.findById(id);
+      if (!order) {
+        return;
+      }
+
+      if (order.advancedOrderData?.oco?.orderListId && order.filled > 0) {
+        await this.cancelLinkedOCOOrder(order);
+      }
+
+      const parentOrderId = order.metadata?.parentOrderId;
+      const parent = parentOrderId ? await Order.findById(parentOrderId) : null;
+
+      if (parent?.advancedOrderData?.oco?.orderListId) {
+        // A leg being resized is synced once its replacement order is placed
+        if (!this.resizingOCOLegs.has(parent._id.toString())) {
+          await this.syncOCOLeg(parent);
+        }
+      } else if (parent?.type === 'bracket') {
+        await this.queueBracketUpdate(parent._id, () => this.syncBracket(parent._id));
+      }
+    } catch (error) {
+      logger.error(`Error handling update of order ${id}:`, error);
+    }
+  }
+
+  /**
+   * Trigger open OCO legs whose limit or stop price has been reached.
+   * Paper legs fill through the paper trading engine, live legs are sent
+   * to the exchange as a market order (or a limit order for stop limits).
+   */
+  async processOCOTriggers() {
+    if (this.isProcessingOCOTriggers) {
+      return;
+    }
+
+    this.isProcessingOCOTriggers = true;
+    try {
+      const legs = await Order.find({
+        status: 'open',
+        'advancedOrderData.oco.listStatusType': 'RESPONSE'
+      });
+      const prices = new Map();
+
+      for (const leg of legs) {
+        try {
+          if (leg.isPaperTrade) {
+            await paperTradingService.checkAndExecuteLimitOrder(leg);
+            continue;
+          }
+
+          if (!prices.has(leg.symbol)) {
+            prices.set(leg.symbol, await this.getCurrentPrice(leg.symbol));
+          }
+
+          if (paperTradingService.shouldExecuteOrder(leg, prices.get(leg.symbol))) {
+            await this.triggerOCOLeg(leg);
+          }
+        } catch (error) {
+          logger.error(`Error checking OCO order ${leg._id}:`, error);
+        }
+      }
+    } finally {
+      this.isProcessingOCOTriggers = false;
+    }
+  }
+
+  /**
+   * Send a triggered live OCO leg to the exchange and cancel the other leg.
+   * If the exchange rejects the order the leg stays armed and is retried.
+   * @param {Object} leg - Triggered OCO leg
+   * @returns {Promise<Object>} Updated leg
+   */
+  async triggerOCOLeg(leg) {
+    await this.placeOCOTriggerOrder(leg, leg.amount);
+
+    const previous = tradingEventService.snapshotOrder(leg);
+    leg.advancedOrderData.oco.listStatusType = 'EXEC_STARTED';
+    await leg.save();
+    tradingEventService.publishOrderUpdate(leg, previous, { balanceChanges: false });
+
+    await this.cancelLinkedOCOOrder(leg);
+    return this.syncOCOLeg(leg);
+  }
+
+  /**
+   * Place the exchange order for a triggered OCO leg
+   * @param {Object} leg - Triggered OCO leg
+   * @param {number} amount - Quantity to close
+   * @returns {Promise<Object>} Child order
+   */
+  placeOCOTriggerOrder(leg, amount) {
+    const isLimit = ['limit', 'stop_limit'].includes(leg.type);
+    // A triggered leg closes risk already taken, so neither the kill switch nor the risk rules hold it back
+    return this.placeChildOrder(
+      leg,
+      {
+        type: isLimit ? 'limit' : 'market',
+        amount,
+        price: isLimit ? leg.price : undefined,
+        strategy: 'OCOTrigger'
+      },
+      { riskReducing: true }
+    );
+  }
+
+  /**
+   * Resize a triggered OCO leg by cancelling its open exchange orders and
+   * placing one for the part of the new amount that has not filled yet.
+   * If a cancel fails the leg keeps its size, so the next sync retries.
+   * @param {Object} leg - Triggered OCO leg
+   * @param {number} amount - New leg quantity
+   * @returns {Promise<Object>} Updated leg
+   */
+  async resizeTriggeredOCOLeg(leg, amount) {
+    const key = leg._id.toString();
+    const findChildren = () => Order.find({ userId: leg.userId, 'metadata.parentOrderId': leg._id });
+
+    this.resizingOCOLegs.add(key);
+    try {
+      const children = await findChildren();
+      for (const child of children.filter(child => ACTIVE_ORDER_STATUSES.includes(child.status))) {
+        await this.cancelChildOrder(child);
+      }
+
+      const filled = (await findChildren()).reduce((sum, child) => sum + (child.filled || 0), 0);
+      if (amount > filled) {
+        await this.placeOCOTriggerOrder(leg, amount - filled);
+      }
+
+      leg.amount = amount;
+    } finally {
+      this.resizingOCOLegs.delete(key);
+    }
+
+    return this.syncOCOLeg(leg);
+  }
+
+  /**
+   * Roll the fills of a triggered OCO leg's exchange orders up into the leg
+   * @param {Object} leg - Triggered OCO leg
+   * @returns {Promise<Object>} Updated leg
+   */
+  async syncOCOLeg(leg) {
+    const children = await Order.find({ userId: leg.userId, 'metadata.parentOrderId': leg._id });
+    const previous = tradingEventService.snapshotOrder(leg);
+
+    leg.filled = children.reduce((sum, child) => sum + (child.filled || 0), 0);
+    leg.cost = children.reduce((sum, child) => sum + (child.cost || 0), 0);
+    leg.remaining = Math.max(leg.amount - leg.filled, 0);
+
+    if (!children.some(child => ACTIVE_ORDER_STATUSES.includes(child.status))) {
+      leg.status = leg.filled > 0 ? 'closed' : 'cancelled';
+      leg.advancedOrderData.oco.listOrderStatus = 'ALL_DONE';
+    }
+
+    await leg.save();
+    tradingEventService.publishOrderUpdate(leg, previous, { balanceChanges: false });
+
+    return leg;
+  }
+
+  /**
+   * Cancel the other leg of an OCO pair once this leg has filled or triggered
+   * @param {Object} order - OCO leg
+   * @returns {Promise<Object|null>} Cancelled leg
+   */
+  async cancelLinkedOCOOrder(order) {
+    const linkedOrder = await Order.findById(order.advancedOrderData.oco.linkedOrderId);
+
+    if (!linkedOrder || linkedOrder.status !== 'open' || linkedOrder.filled > 0 ||
+        linkedOrder.advancedOrderData.oco.listStatusType !== 'RESPONSE') {
+      return null;
+    }
+
+    return this.cancelOCOLeg(linkedOrder);
+  }
+
+  /**
+   * Mark an untriggered OCO leg as cancelled
+   * @param {Object} leg - OCO leg
+   * @returns {Promise<Object>} Cancelled leg
+   */
+  async cancelOCOLeg(leg) {
+    const previous = tradingEventService.snapshotOrder(leg);
+    leg.status = 'cancelled';
+    leg.cancelledAt = new Date();
+    leg.advancedOrderData.oco.listOrderStatus = 'ALL_DONE';
+    await leg.save();
+    tradingEventService.publishOrderUpdate(leg, previous);
+    return leg;
+  }
+
+  /**
+   * Execute the due slices of running TWAP/VWAP orders
+   */
+  async processAlgoOrders() {
+    if (this.isProcessingAlgoOrders) {
+      return;
+    }
+
+    this.isProcessingAlgoOrders = true;
+    try {
+      const now = new Date();
+      const dueOrders = await Order.find({
+        status: 'open',
+        $or: ['twap', 'vwap'].map(type => ({
+          type,
+          [`advancedOrderData.${type}.isPaused`]: false,
+          [`advancedOrderData.${type}.nextSliceAt`]: { $lte: now }
+        }))
+      });
+
+      for (const order of dueOrders) {
+        try {
+          await this.executeAlgoSlice(order);
+        } catch (error) {
+          logger.error(`Error executing slice of ${order.type} order ${order._id}:`, error);
+        }
+      }
+    } finally {
+      this.isProcessingAlgoOrders = false;
+    }
+  }
+
+  /**
+   * Execute the next slice of a TWAP/VWAP order as a market child order
+   * @param {Object} order - TWAP/VWAP parent order
+   * @returns {Promise<Object>} Updated parent order
+   */
+  async executeAlgoSlice(order) {
+    const algoData = order.advancedOrderData[order.type];
+    const index = algoData.nextSlice;
+    const isLastSlice = index === algoData.schedule.length - 1;
+    // The last slice takes whatever is left so the slices add up to the order amount
+    const size = isLastSlice
+      ? algoData.remainingSize
+      : Math.min(algoData.schedule[index].size, algoData.remainingSize);
+
+    const previous = tradingEventService.snapshotOrder(order);
+
+    if (size > 0) {
+      try {
+        const child = await this.placeChildOrder(order, {
+          type: 'market',
+          amount: size,
+          strategy: `${order.type.toUpperCase()}Child`
+        });
+
+        algoData.childOrders.push({
+          orderId: child._id,
+          sliceIndex: index,
+          size,
+          filled: child.filled,
+          cost: child.cost,
+          status: child.status,
+          executedAt: new Date()
+        });
+        algoData.executedSize += size;
+        algoData.remainingSize = Math.max(order.amount - algoData.executedSize, 0);
+        order.filled += child.filled || 0;
+        order.cost += child.cost || 0;
+        order.remaining = Math.max(order.amount - order.filled, 0);
+      } catch (error) {
+        // Retry the slice on the next check, and pause once it keeps failing
+        algoData.sliceRetries += 1;
+        algoData.childOrders.push({
+          sliceIndex: index,
+          size,
+          status: 'rejected',
+          executedAt: new Date(),
+          error: error.message
+        });
+
+        if (algoData.sliceRetries >= this.maxSliceRetries) {
+          algoData.isPaused = true;
+          algoData.pausedAt = new Date();
+          algoData.pauseReason = `Slice ${index + 1} failed ${algoData.sliceRetries} times: ${error.message}`;
+        }
+
+        order.markModified('advancedOrderData');
+        await order.save();
+
+        logger.warn(`Slice ${index + 1} of ${order.type} order ${order._id} failed:`, error.message);
+        return order;
+      }
+    }
+
+    algoData.sliceRetries = 0;
+    algoData.nextSlice = index + 1;
+
+    if (algoData.nextSlice >= algoData.schedule.length) {
+      algoData.nextSliceAt = undefined;
+      order.status = 'closed';
+      order.executedAt = new Date();
+      order.timestamps.closed = new Date();
+      logger.info(`${order.type.toUpperCase()} order completed: ${order._id}`);
+    } else {
+      algoData.nextSliceAt = algoData.schedule[algoData.nextSlice].scheduledAt;
+    }
+
+    order.markModified('advancedOrderData');
+    await order.save();
+
+    // Child orders publish their own balance changes
+    tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+    return order;
+  }
+
+  /**
+   * Run an advanced order through the pre-trade risk gate as a whole
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Advanced order parameters
+   * @param {Object} options - Passed on to the risk gate
+   * @returns {Promise<Object>} Validation result
+   */
+  assertOrderAllowed(userId, orderData, options) {
+    return riskManagementService.assertOrderAllowed(
+      userId,
+      {
+        symbol: orderData.symbol,
+        side: orderData.side,
+        amount: orderData.amount || orderData.totalAmount,
+        price: orderData.price || orderData.entryPrice,
+        stopPrice: orderData.stopPrice || orderData.stopLossPrice,
+        leverage: orderData.leverage,
+        exchangeName: orderData.exchangeName || 'paper_trading'
+      },
+      options
+    );
+  }
+
+  /**
+   * Place a child order on the parent's exchange or the paper trading account.
+   * The parent passed the pre-trade gate, so children only answer to the kill switch.
+   * @param {Object} parentOrder - Parent order
+   * @param {Object} orderData - Child order type, amount and price
+   * @param {Object} options - Passed on to the placing service
+   * @returns {Promise<Object>} Child order
+   */
+  placeChildOrder(parentOrder, orderData, options = {}) {
+    const childOptions = { riskChecked: true, ...options };
+    const childData = {
+      symbol: parentOrder.symbol,
+      side: parentOrder.side,
+      ...orderData,
+      parentOrderId: parentOrder._id
+    };
+
+    if (parentOrder.exchangeName === 'paper_trading') {
+      return paperTradingService.placeOrder(parentOrder.userId, childData, childOptions);
+    }
+
+    return tradingService.placeOrder(
+      parentOrder.userId,
+      {
+        ...childData,
+        exchangeName: parentOrder.exchangeName
+      },
+      childOptions
+    );
+  }
+
+  /**
+   * Cancel a child order on its exchange or the paper trading account
+   * @param {Object} child - Child order
+   * @returns {Promise<Object>} Cancelled order
+   */
+  cancelChildOrder(child) {
+    if (child.exchangeName === 'paper_trading') {
+      return paperTradingService.cancelOrder(child.userId, child._id);
+    }
+
+    return tradingService.cancelOrder(child.userId, child._id.toString());
+  }
+
+  /**
+   * Refresh the parent's fills from its child orders
+   * @param {Object} order - TWAP/VWAP parent order
+   * @returns {Promise<Array>} Child orders
+   */
+  async syncAlgoFills(order) {
+    const children = await Order.find({
+      userId: order.userId,
+      'metadata.parentOrderId': order._id
+    });
+    const childrenById = new Map(children.map(child => [child._id.toString(), child]));
+
+    order.advancedOrderData[order.type].childOrders.forEach(entry => {
+      const child = entry.orderId && childrenById.get(entry.orderId.toString());
+      if (child) {
+        entry.filled = child.filled;
+        entry.cost = child.cost;
+        entry.status = child.status;
+      }
+    });
+
+    order.filled = children.reduce((sum, child) => sum + (child.filled || 0), 0);
+    order.cost = children.reduce((sum, child) => sum + (child.cost || 0), 0);
+    order.remaining = Math.max(order.amount - order.filled, 0);
+
+    return children;
+  }
+
+  /**
+   * Find an advanced order of the given type owned by the user
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {string} type - Order type
+   * @returns {Promise<Object>} Order
+   */
+  async findAdvancedOrder(userId, orderId, type) {
+    const order = await Order.findOne({ _id: orderId, userId, type });
+
+    if (!order) {
+      throw new Error(`${type.toUpperCase()} order not found`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Build a TWAP schedule of equal slices with optional size and timing jitter
+   * @param {number} amount - Total amount
+   * @param {number} duration - Execution window in minutes
+   * @param {number} sliceCount - Number of slices
+   * @param {number} randomization - Max +/- percent jitter
+   * @param {Date} startTime - Execution start
+   * @param {Function} random - Random number source in [0, 1)
+   * @returns {Array} Planned slices
+   */
+  buildTWAPSchedule(amount, duration, sliceCount, randomization = 0, startTime = new Date(), random = Math.random) {
+    const interval = (duration * 60000) / sliceCount;
+    const jitter = randomization / 100;
+    const weights = Array.from({ length: sliceCount }, () => 1 + jitter * (random() * 2 - 1));
+
+    // The first slice starts right away, the others move by at most half an interval
+    return this.buildSchedule(amount, weights, startTime, interval, index =>
+      index === 0 ? 0 : jitter * interval * (random() * 2 - 1)
+    );
+  }
+
+  /**
+   * Build a VWAP schedule with slices sized by the volume expected in their hour
+   * @param {number} amount - Total amount
+   * @param {number} duration - Execution window in minutes
+   * @param {number} sliceCount - Number of slices
+   * @param {Array} volumeProfile - Average volume per UTC hour
+   * @param {Date} startTime - Execution start
+   * @returns {Array} Planned slices
+   */
+  buildVWAPSchedule(amount, duration, sliceCount, volumeProfile, startTime = new Date()) {
+    const interval = (duration * 60000) / sliceCount;
+    let weights = Array.from({ length: sliceCount }, (value, index) => {
+      const midpoint = new Date(startTime.getTime() + (index + 0.5) * interval);
+      return volumeProfile[midpoint.getUTCHours()] || 0;
+    });
+
+    // Fall back to equal slices when the window only covers hours without volume
+    if (weights.every(weight => weight === 0)) {
+      weights = weights.map(() => 1);
+    }
+
+    return this.buildSchedule(amount, weights, startTime, interval);
+  }
+
+  /**
+   * Split an amount into weighted slices at fixed intervals
+   * @param {number} amount - Total amount
+   * @param {Array} weights - Relative slice weights
+   * @param {Date} startTime - Execution start
+   * @param {number} interval - Milliseconds between slices
+   * @param {Function} offset - Timing offset in milliseconds for a slice index
+   * @returns {Array} Planned slices
+   */
+  buildSchedule(amount, weights, startTime, interval, offset = () => 0) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let allocated = 0;
+
+    return weights.map((weight, index) => {
+      const size = index === weights.length - 1 ? amount - allocated : (amount * weight) / totalWeight;
+      allocated += size;
+
+      return {
+        size,
+        scheduledAt: new Date(startTime.getTime() + index * interval + offset(index))
+      };
+    });
+  }
+
+  /**
+   * Average traded volume per UTC hour from recent hourly candles
+   * @param {string} exchangeName - Exchange to take candles from
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} days - Days of history
+   * @returns {Promise<Array>} 24 hourly volume averages
+   */
+  async getVolumeProfile(exchangeName, symbol, days = 7) {
+    let candles;
+    try {
+      const candleData = await marketDataService.getCandles(exchangeName, symbol, '1h', days * 24);
+      candles = candleData.candles;
+    } catch (error) {
+      throw new Error(`Unable to load volume profile for ${symbol} from ${exchangeName}: ${error.message}`);
+    }
+
+    const totals = new Array(24).fill(0);
+    const counts = new Array(24).fill(0);
+
+    candles.forEach(candle => {
+      const hour = new Date(candle.timestamp).getUTCHours();
+      totals[hour] += candle.volume || 0;
+      counts[hour] += 1;
+    });
+
+    const profile = totals.map((total, hour) => (counts[hour] > 0 ? total / counts[hour] : 0));
+
+    if (profile.every(volume => volume === 0)) {
+      throw new Error(`Unable to load volume profile for ${symbol} from ${exchangeName}: no volume history`);
+    }
+
+    return profile;
+  }
+
+  // Helper methods
+  validateOCOParameters(orderData) {
+    const { symbol, side, amount, price, stopPrice } = orderData;
+    
+    if (!symbol || !side || !amount || !price || !stopPrice) {
+      throw new Error('Missing required OCO parameters');
+    }
+    
+    if (amount <= 0 || price <= 0 || stopPrice <= 0) {
+      throw new Error('All amounts and prices must be positive');
+    }
+    
+    if (side === 'sell' && stopPrice >= price) {
+      throw new Error('For sell OCO, stop price must be less than limit price');
+    }
+    
+    if (side === 'buy' && stopPrice <= price) {
+      throw new Error('For buy OCO, stop price must be greater than limit price');
+    }
+  }
+
+  validateTrailingStopParameters(orderData) {
+    const { symbol, side, amount, trailingAmount, trailingPercent } = orderData;
+    
+    if (!symbol || !side || !amount) {
+      throw new Error('Missing required trailing stop parameters');
+    }
+    
+    if (!trailingAmount && !trailingPercent) {
+      throw new Error('Either trailingAmount or trailingPercent must be specified');
+    }
+    
+    if (trailingAmount && trailingAmount <= 0) {
+      throw new Error('Trailing amount must be positive');
+    }
+    
+    if (trailingPercent && (trailingPercent <= 0 || trailingPercent >= 100)) {
+      throw new Error('Trailing percent must be between 0 and 100');
+    }
+  }
+
+  validateIcebergParameters(orderData) {
+    const { symbol, side, totalAmount, visibleSize } = orderData;
+    
+    if (!symbol || !side || !totalAmount || !visibleSize) {
+      throw new Error('Missing required iceberg parameters');
+    }
+    
+    if (totalAmount <= 0 || visibleSize <= 0) {
+      throw new Error('Total amount and visible size must be positive');
+    }
+    
+    if (visibleSize >= totalAmount) {
+      throw new Error('Visible size must be less than total amount');
+    }
+  }
+
+  validateAlgoParameters(orderData) {
+    const { symbol, side, amount, duration, sliceCount = 10, randomization = 0 } = orderData;
+
+    if (!symbol || !side || !amount || !duration) {
+      throw new Error('Missing required TWAP/VWAP parameters');
+    }
+
+    if (amount <= 0 || duration <= 0) {
+      throw new Error('Amount and duration must be positive');
+    }
+
+    if (!Number.isInteger(sliceCount) || sliceCount < 1) {
+      throw new Error('Slice count must be a positive integer');
+    }
+
+    if ((duration * 60000) / sliceCount < this.minSliceInterval) {
+      throw new Error(`Slices must be at least ${this.minSliceInterval / 1000} seconds apart`);
+    }
+
+    if (randomization < 0 || randomization > 50) {
+      throw new Error('Randomization must be between 0 and 50 percent');
+    }
+  }
+
+  validateBracketParameters(orderData) {
+    const { symbol, side, amount, entryType = 'market', entryPrice, takeProfitPrice, stopLossPrice, stopLimitPrice } = orderData;
+
+    if (!symbol || !side || !amount || !takeProfitPrice || !stopLossPrice) {
+      throw new Error('Missing required bracket parameters');
+    }
+
+    if (!['market', 'limit'].includes(entryType)) {
+      throw new Error('Entry type must be market or limit');
+    }
+
+    if (entryType === 'limit' && !entryPrice) {
+      throw new Error('Missing entry price for limit entry');
+    }
+
+    if ([amount, entryPrice, takeProfitPrice, stopLossPrice, stopLimitPrice].some(value => value !== undefined && value <= 0)) {
+      throw new Error('All amounts and prices must be positive');
+    }
+  }
+
+  validateBracketPrices(side, referencePrice, takeProfitPrice, stopLossPrice) {
+    if (side === 'buy' && !(stopLossPrice < referencePrice && referencePrice < takeProfitPrice)) {
+      throw new Error('For buy brackets, stop loss must be below and take profit above the entry price');
+    }
+
+    if (side === 'sell' && !(takeProfitPrice < referencePrice && referencePrice < stopLossPrice)) {
+      throw new Error('For sell brackets, take profit must be below and stop loss above the entry price');
+    }
+  }
+
+  async validateExchangeConnection(userId, exchangeName) {
+    if (
+      exchangeName !== 'paper_trading' &&
+      !(await exchangeManager.loadExchange(userId, exchangeName))
+    ) {
+      throw new Error(`Exchange ${exchangeName} is not connected`);
     }
   }
 
   async getCurrentPrice(symbol) {
     try {
-      const ticker = await marketDataService.getTicker(symbol);
-      return ticker.data.unified ? ticker.data.unified.averagePrice : ticker.data.byExchange[0].last;
+      const ticker = await marketDataService.getUnifiedTicker(symbol);
+      return ticker.unified.averagePrice;
     } catch (error) {
       throw new Error(`Unable to get current price for ${symbol}`);
     }
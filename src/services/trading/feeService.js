@@ -0,0 +1,373 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const PaperTradingAccount = require('../../models/PaperTradingAccount');
+const exchangeManager = require('../exchanges/exchangeManager');
+const marketDataService = require('../market/marketDataService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const USD_QUOTES = ['USD', 'USDT', 'USDC', 'BUSD', 'DAI'];
+const TAKER_ORDER_TYPES = ['market', 'stop', 'stop_limit'];
+
+/**
+ * Fee Service
+ * Resolves maker/taker fee schedules per user and exchange. Rates come from
+ * the configured volume tiers, the exchange's own fetchTradingFees (which
+ * already reflects the account's tier) or the published market fees, and
+ * the user's 30-day traded volume is tracked alongside.
+ */
+class FeeService {
+  constructor() {
+    this.schedules = new Map(); // `${userId}:${exchangeName}` -> { data, timestamp }
+    this.marketFees = new Map(); // Paper reference exchange -> { data, timestamp }
+  }
+
+  /**
+   * Get the fee schedule for a user on an exchange
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name or 'paper_trading'
+   * @returns {Promise<Object>} Schedule with 30-day volume, tier and per-symbol rates
+   */
+  async getSchedule(userId, exchangeName) {
+    const cacheKey = `${userId}:${exchangeName}`;
+    const cached = this.schedules.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < config.fees.cacheTtl) {
+      return cached.data;
+    }
+
+    const referenceExchange = exchangeName === 'paper_trading'
+      ? await this.getPaperReferenceExchange(userId)
+      : exchangeName;
+    const volume30d = await this.getThirtyDayVolume(userId, exchangeName);
+    const tiers = config.fees.schedules[referenceExchange];
+
+    let schedule;
+    if (tiers) {
+      const tier = this.selectTier(tiers, volume30d);
+      schedule = { source: 'config', tier, maker: tier.maker, taker: tier.taker, symbols: {} };
+    } else {
+      const symbols = exchangeName === 'paper_trading'
+        ? await this.loadMarketFees(referenceExchange)
+        : await this.loadExchangeFees(userId, exchangeName);
+
+      schedule = {
+        ...symbols,
+        tier: null,
+        maker: config.fees.default.maker,
+        taker: config.fees.default.taker
+      };
+    }
+
+    const data = { exchangeName, referenceExchange, volume30d, ...schedule };
+    this.schedules.set(cacheKey, { data, timestamp: Date.now() });
+
+    return data;
+  }
+
+  /**
+   * Get maker and taker rates for a symbol
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name or 'paper_trading'
+   * @param {string} symbol - Trading pair
+   * @returns {Promise<Object>} { maker, taker, source }
+   */
+  async getRates(userId, exchangeName, symbol) {
+    const schedule = await this.getSchedule(userId, exchangeName);
+    const rates = schedule.symbols[symbol];
+
+    if (rates) {
+      return { maker: rates.maker, taker: rates.taker, source: schedule.source };
+    }
+
+    return {
+      maker: schedule.maker,
+      taker: schedule.taker,
+      source: schedule.source === 'config' ? 'config' : 'default'
+    };
+  }
+
+  /**
+   * Estimate the fee an order will pay
+   * @param {string} userId - User ID
+   * @param {Object} orderData - exchangeName, symbol, type, side, amount, price, stopPrice, postOnly
+   * @param {Object} ticker - Optional ticker with bid/ask/last used to price market orders
+   * @returns {Promise<Object>} { role, rate, currency, price, notional, cost, source }
+   */
+  async estimateFee(userId, orderData, ticker = null) {
+    const { exchangeName, symbol, amount } = orderData;
+    const quoteAsset = symbol.split('/')[1];
+
+    const marketTicker = ticker || await this.getTicker(userId, exchangeName, symbol);
+    const rates = await this.getRates(userId, exchangeName, symbol);
+    const role = this.getLiquidityRole(orderData, marketTicker);
+    const price = this.getExpectedPrice(orderData, marketTicker);
+    const notional = amount * price;
+
+    return {
+      role,
+      rate: rates[role],
+      currency: quoteAsset,
+      price,
+      notional,
+      cost: notional * rates[role],
+      source: rates.source
+    };
+  }
+
+  /**
+   * Build a pre-trade quote: expected price, fee and total for an order
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Order parameters
+   * @returns {Promise<Object>} Quote
+   */
+  async getQuote(userId, orderData) {
+    const { exchangeName, symbol, side, type, amount } = orderData;
+
+    if (
+      exchangeName !== 'paper_trading' &&
+      !(await exchangeManager.loadExchange(userId, exchangeName))
+    ) {
+      throw new Error(`Exchange ${exchangeName} is not connected for this user`);
+    }
+
+    const fee = await this.estimateFee(userId, orderData);
+    const schedule = await this.getSchedule(userId, exchangeName);
+
+    return {
+      exchangeName,
+      symbol,
+      side,
+      type,
+      amount,
+      expectedPrice: fee.price,
+      notional: fee.notional,
+      fee: {
+        role: fee.role,
+        rate: fee.rate,
+        currency: fee.currency,
+        cost: fee.cost
+      },
+      total: side === 'buy' ? fee.notional + fee.cost : fee.notional - fee.cost,
+      schedule: {
+        source: fee.source,
+        referenceExchange: schedule.referenceExchange,
+        volume30d: schedule.volume30d,
+        tier: schedule.tier
+      }
+    };
+  }
+
+  /**
+   * Whether an order adds liquidity (maker) or takes it (taker). Limit
+   * orders priced through the current spread take liquidity on arrival.
+   * @param {Object} orderData - type, side, price and postOnly
+   * @param {Object} ticker - Optional ticker with bid/ask
+   * @returns {string} 'maker' or 'taker'
+   */
+  getLiquidityRole(orderData, ticker = null) {
+    const { type, side, price, postOnly } = orderData;
+
+    if (TAKER_ORDER_TYPES.includes(type)) {
+      return 'taker';
+    }
+
+    if (postOnly || !ticker) {
+      return 'maker';
+    }
+
+    const crosses = side === 'buy' ? ticker.ask && price >= ticker.ask : ticker.bid && price <= ticker.bid;
+    return crosses ? 'taker' : 'maker';
+  }
+
+  /**
+   * Price an order is expected to execute at
+   * @param {Object} orderData - Order parameters
+   * @param {Object} ticker - Ticker with bid/ask/last
+   * @returns {number} Expected price
+   */
+  getExpectedPrice(orderData, ticker) {
+    const { type, side, price, stopPrice } = orderData;
+
+    if (price && type !== 'market') {
+      return price;
+    }
+
+    if (type === 'stop' && stopPrice) {
+      return stopPrice;
+    }
+
+    return (side === 'buy' ? ticker.ask : ticker.bid) || ticker.last;
+  }
+
+  /**
+   * Pick the volume tier for a 30-day volume
+   * @param {Array} tiers - Tiers with minVolume, maker and taker
+   * @param {number} volume - 30-day volume in USD
+   * @returns {Object} Highest tier the volume qualifies for
+   */
+  selectTier(tiers, volume) {
+    const sorted = [...tiers].sort((a, b) => a.minVolume - b.minVolume);
+    return sorted.reduce((selected, tier) => (volume >= tier.minVolume ? tier : selected), sorted[0]);
+  }
+
+  /**
+   * Sum the user's filled order value over the volume window in USD
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name or 'paper_trading'
+   * @returns {Promise<number>} Traded volume
+   */
+  async getThirtyDayVolume(userId, exchangeName) {
+    const since = new Date(Date.now() - config.fees.volumeWindowDays * 24 * 60 * 60 * 1000);
+
+    const volumes = await Order.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          exchangeName,
+          filled: { $gt: 0 },
+          updatedAt: { $gte: since }
+        }
+      },
+      { $group: { _id: '$symbol', cost: { $sum: '$cost' } } }
+    ]);
+
+    let total = 0;
+    for (const { _id: symbol, cost } of volumes) {
+      const quoteAsset = symbol.split('/')[1];
+
+      if (USD_QUOTES.includes(quoteAsset)) {
+        total += cost;
+        continue;
+      }
+
+      try {
+        const ticker = await marketDataService.getUnifiedTicker(`${quoteAsset}/USDT`);
+        total += cost * ticker.unified.averagePrice;
+      } catch (error) {
+        logger.warn('Unable to convert traded volume to USD', { symbol, error: error.message });
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Load per-symbol rates for a connected exchange, preferring the
+   * account's own fee tier from fetchTradingFees over published market fees
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name
+   * @returns {Promise<Object>} { source, symbols }
+   */
+  async loadExchangeFees(userId, exchangeName) {
+    const exchange = await exchangeManager.loadExchange(userId, exchangeName);
+
+    if (!exchange) {
+      return { source: 'default', symbols: {} };
+    }
+
+    if (exchange.has && exchange.has.fetchTradingFees) {
+      try {
+        const fees = await exchange.fetchTradingFees();
+        return { source: 'exchange', symbols: this.mapRates(fees) };
+      } catch (error) {
+        logger.warn('Failed to fetch trading fees', { userId, exchangeName, error: error.message });
+      }
+    }
+
+    try {
+      const markets = await exchange.loadMarkets();
+      return { source: 'markets', symbols: this.mapRates(markets) };
+    } catch (error) {
+      logger.warn('Failed to load market fees', { userId, exchangeName, error: error.message });
+      return { source: 'default', symbols: {} };
+    }
+  }
+
+  /**
+   * Load published market fees from a public exchange instance
+   * @param {string} exchangeName - Exchange name
+   * @returns {Promise<Object>} { source, symbols }
+   */
+  async loadMarketFees(exchangeName) {
+    const cached = this.marketFees.get(exchangeName);
+
+    if (cached && Date.now() - cached.timestamp < config.fees.cacheTtl) {
+      return cached.data;
+    }
+
+    let data;
+    try {
+      const markets = await marketDataService.getExchangeInstance(exchangeName).loadMarkets();
+      data = { source: 'markets', symbols: this.mapRates(markets) };
+    } catch (error) {
+      logger.warn('Failed to load market fees', { exchangeName, error: error.message });
+      return { source: 'default', symbols: {} };
+    }
+
+    this.marketFees.set(exchangeName, { data, timestamp: Date.now() });
+    return data;
+  }
+
+  /**
+   * Keep the maker/taker rates of a ccxt fee or market map
+   * @param {Object} entries - Map of symbol to ccxt fee or market structure
+   * @returns {Object} Map of symbol to { maker, taker }
+   */
+  mapRates(entries) {
+    const rates = {};
+
+    Object.entries(entries || {}).forEach(([symbol, entry]) => {
+      if (entry && typeof entry.maker === 'number' && typeof entry.taker === 'number') {
+        rates[symbol] = { maker: entry.maker, taker: entry.taker };
+      }
+    });
+
+    return rates;
+  }
+
+  /**
+   * Get the ticker used to price an order
+   * @param {string} userId - User ID
+   * @param {string} exchangeName - Exchange name or 'paper_trading'
+   * @param {string} symbol - Trading pair
+   * @returns {Promise<Object>} Ticker with bid/ask/last
+   */
+  async getTicker(userId, exchangeName, symbol) {
+    if (exchangeName === 'paper_trading') {
+      const ticker = await marketDataService.getUnifiedTicker(symbol);
+      const { averagePrice } = ticker.unified;
+
+      // Paper orders fill around the average price across exchanges
+      return { bid: averagePrice, ask: averagePrice, last: averagePrice };
+    }
+
+    const exchange = await exchangeManager.loadExchange(userId, exchangeName);
+    return exchange ? exchange.fetchTicker(symbol) : marketDataService.getTicker(exchangeName, symbol);
+  }
+
+  /**
+   * Reference exchange a user's paper orders are simulated against
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Exchange name
+   */
+  async getPaperReferenceExchange(userId) {
+    const account = await PaperTradingAccount.findByUserId(userId);
+    return (account && account.simulationSettings && account.simulationSettings.referenceExchange) || 'binance';
+  }
+
+  /**
+   * Drop cached schedules, e.g. after a user's exchange connection changes
+   * @param {string} userId - Optional user ID, all users when omitted
+   */
+  clearCache(userId = null) {
+    for (const key of this.schedules.keys()) {
+      if (!userId || key.startsWith(`${userId}:`)) {
+        this.schedules.delete(key);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new FeeService();
@@ -0,0 +1,516 @@
+const KillSwitch = require('../../models/KillSwitch');
+const Order = require('../../models/Order');
+const Portfolio = require('../../models/Portfolio');
+const TradingPosition = require('../../models/TradingPosition');
+const exchangeManager = require('../exchanges/exchangeManager');
+const riskManagementService = require('./riskManagementService');
+const advancedOrderService = require('./advancedOrderService');
+const paperTradingService = require('./paperTradingService');
+const tradingService = require('./tradingService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const PAPER_EXCHANGE = 'paper_trading';
+
+const ACTIVE_ORDER_STATUSES = ['pending', 'open', 'partially_filled'];
+
+/**
+ * Kill Switch Service
+ * Halts a user's trading: engaging the switch blocks new orders at every
+ * entry point, then cancels open orders and flattens positions as asked.
+ * Circuit breakers engage it automatically when a loss limit is breached.
+ */
+class KillSwitchService {
+  constructor() {
+    this.monitorInterval = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Start the circuit breaker monitor
+   */
+  initialize() {
+    this.stop();
+
+    this.monitorInterval = setInterval(() => {
+      this.checkCircuitBreakers().catch(error => {
+        logger.error('Error checking circuit breakers:', error);
+      });
+    }, config.killSwitch.checkInterval);
+
+    logger.info('Kill switch service initialized');
+  }
+
+  /**
+   * Stop the circuit breaker monitor
+   */
+  stop() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+
+  /**
+   * Get a user's kill switch state and audit log
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Kill switch
+   */
+  getStatus(userId) {
+    return KillSwitch.findOrInitialize(userId);
+  }
+
+  /**
+   * Engage the kill switch, then cancel open orders and flatten positions
+   * @param {string} userId - User ID
+   * @param {Object} options - reason, message, actor, ip, cancelOrders, flattenPositions, details
+   * @returns {Promise<Object>} Kill switch
+   */
+  async engage(userId, options = {}) {
+    const {
+      reason = 'manual',
+      message = 'Trading halted manually',
+      actor = 'user',
+      ip,
+      cancelOrders = true,
+      flattenPositions = false,
+      details = {}
+    } = options;
+
+    // Block new orders before touching anything on the exchanges
+    const killSwitch = await KillSwitch.findOrInitialize(userId);
+    killSwitch.engaged = true;
+    killSwitch.reason = reason;
+    killSwitch.message = message;
+    killSwitch.engagedAt = new Date();
+    killSwitch.engagedBy = actor;
+    killSwitch.addAuditEntry({
+      action: 'engaged',
+      actor,
+      reason: message,
+      ip,
+      details: { ...details, cancelOrders, flattenPositions }
+    });
+    await killSwitch.save();
+
+    logger.warn(`Kill switch engaged for user ${userId}: ${message}`);
+
+    const actions = {
+      ordersCancelled: 0,
+      positionsFlattened: 0,
+      failures: [],
+      incompleteExchanges: []
+    };
+
+    if (cancelOrders || flattenPositions) {
+      await this.cancelAllOrders(userId, actions);
+    }
+    if (flattenPositions) {
+      await this.flattenPositions(userId, actions);
+    }
+
+    // Orders or positions may still be live; trading stays blocked regardless
+    actions.incomplete = actions.failures.length > 0;
+    if (actions.incomplete) {
+      logger.error(
+        `Kill switch incomplete for user ${userId}: ${actions.failures.length} failure(s)`,
+        { incompleteExchanges: actions.incompleteExchanges }
+      );
+    }
+
+    killSwitch.lastActions = actions;
+    await killSwitch.save();
+
+    return killSwitch;
+  }
+
+  /**
+   * Lift the kill switch. Breaker engagements can only be lifted after a
+   * cooldown, and the unlock acknowledges the breached loss levels.
+   * @param {string} userId - User ID
+   * @param {Object} options - reason and ip
+   * @returns {Promise<Object>} Kill switch
+   */
+  async unlock(userId, { reason, ip } = {}) {
+    const killSwitch = await KillSwitch.findOrInitialize(userId);
+    if (!killSwitch.engaged) {
+      throw new Error('Kill switch is not engaged');
+    }
+
+    if (killSwitch.engagedBy === 'system') {
+      const unlockableAt = new Date(
+        killSwitch.engagedAt.getTime() + config.killSwitch.unlockCooldown
+      );
+      if (unlockableAt > new Date()) {
+        throw new Error(
+          `Kill switch cannot be unlocked before ${unlockableAt.toISOString()} after a breach`
+        );
+      }
+    }
+
+    const portfolio = await Portfolio.findByUserId(userId);
+    const breaches = portfolio
+      ? await riskManagementService.checkCircuitBreakers(userId, portfolio)
+      : [];
+    this.acknowledgeBreaches(killSwitch, breaches);
+
+    killSwitch.engaged = false;
+    killSwitch.addAuditEntry({
+      action: 'unlocked',
+      actor: 'user',
+      reason,
+      ip,
+      details: {
+        engagedReason: killSwitch.reason,
+        engagedAt: killSwitch.engagedAt,
+        openBreaches: breaches.map(breach => breach.message)
+      }
+    });
+    await killSwitch.save();
+
+    logger.warn(`Kill switch unlocked for user ${userId}: ${reason}`);
+    return killSwitch;
+  }
+
+  /**
+   * Update what the circuit breakers do on a breach
+   * @param {string} userId - User ID
+   * @param {Object} policy - onBreach
+   * @param {string} ip - Request IP
+   * @returns {Promise<Object>} Kill switch
+   */
+  async updatePolicy(userId, policy, ip) {
+    const killSwitch = await KillSwitch.findOrInitialize(userId);
+    const previous = killSwitch.policy.onBreach;
+
+    killSwitch.policy.onBreach = policy.onBreach;
+    killSwitch.addAuditEntry({
+      action: 'policy_updated',
+      actor: 'user',
+      ip,
+      details: { previous, onBreach: policy.onBreach }
+    });
+    await killSwitch.save();
+
+    return killSwitch;
+  }
+
+  /**
+   * Engage the kill switch of every user whose portfolio breaches a loss limit
+   */
+  async checkCircuitBreakers() {
+    if (this.isChecking) {
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const portfolios = await Portfolio.find({ 'totalValue.current': { $gt: 0 } });
+
+      for (const portfolio of portfolios) {
+        try {
+          await this.checkPortfolio(portfolio);
+        } catch (error) {
+          logger.error(`Circuit breaker check failed for user ${portfolio.userId}:`, error);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Trip the circuit breaker for one portfolio when a limit is newly breached
+   * @param {Object} portfolio - Portfolio document
+   * @returns {Promise<Object|null>} Kill switch when engaged
+   */
+  async checkPortfolio(portfolio) {
+    const userId = portfolio.userId.toString();
+    const killSwitch = await KillSwitch.findOrInitialize(userId);
+    if (killSwitch.engaged) {
+      return null;
+    }
+
+    const breaches = await riskManagementService.checkCircuitBreakers(userId, portfolio);
+
+    // A recovered drawdown re-arms its breaker
+    if (
+      killSwitch.acknowledged.drawdown !== undefined &&
+      !breaches.some(breach => breach.type === 'drawdown')
+    ) {
+      killSwitch.acknowledged.drawdown = undefined;
+      await killSwitch.save();
+    }
+
+    const tripped = breaches.filter(breach => !this.isAcknowledged(killSwitch, breach));
+    if (tripped.length === 0) {
+      return null;
+    }
+
+    await riskManagementService.recordEvents(
+      userId,
+      tripped.map(breach => ({ type: 'violation', rule: breach.type, message: breach.message })),
+      { source: 'circuit_breaker' }
+    );
+
+    const { onBreach } = killSwitch.policy;
+    return this.engage(userId, {
+      reason: tripped[0].type,
+      message: tripped.map(breach => breach.message).join('; '),
+      actor: 'system',
+      cancelOrders: onBreach !== 'block',
+      flattenPositions: onBreach === 'flatten',
+      details: { breaches: tripped, policy: onBreach }
+    });
+  }
+
+  /**
+   * Cancel the user's open orders: advanced orders with their children first,
+   * then plain orders, then anything else still open on connected exchanges
+   * @param {string} userId - User ID
+   * @param {Object} actions - Tally of cancellations and failures
+   */
+  async cancelAllOrders(userId, actions) {
+    const attempt = async (label, task) => {
+      try {
+        await task();
+        actions.ordersCancelled++;
+        return true;
+      } catch (error) {
+        actions.failures.push(`${label}: ${error.message}`);
+        logger.error(`Kill switch failed to cancel ${label} for user ${userId}:`, error.message);
+        return false;
+      }
+    };
+
+    // Symbols with live orders per exchange, read before cancelling changes them
+    const symbolsByExchange = new Map();
+    const activeOrders = await Order.find(
+      { userId, status: { $in: ACTIVE_ORDER_STATUSES } },
+      'exchangeName symbol'
+    );
+    for (const { exchangeName, symbol } of activeOrders) {
+      if (!symbolsByExchange.has(exchangeName)) {
+        symbolsByExchange.set(exchangeName, new Set());
+      }
+      symbolsByExchange.get(exchangeName).add(symbol);
+    }
+
+    const advancedOrders = await Order.find({
+      userId,
+      status: 'open',
+      type: { $in: ['twap', 'vwap', 'bracket', 'trailing_stop', 'iceberg'] }
+    });
+    for (const order of advancedOrders) {
+      const id = order._id.toString();
+      await attempt(`${order.type} order ${id}`, () => {
+        if (order.type === 'bracket') {
+          return advancedOrderService.cancelBracketOrder(userId, id);
+        }
+        if (order.type === 'trailing_stop') {
+          return advancedOrderService.cancelTrailingStopOrder(userId, id);
+        }
+        if (order.type === 'iceberg') {
+          return advancedOrderService.cancelIcebergOrder(userId, id);
+        }
+        return advancedOrderService.cancelAlgoOrder(userId, id, order.type);
+      });
+    }
+
+    // Standalone OCO pairs; bracket exit legs went with their bracket
+    const ocoLegs = await Order.find({
+      userId,
+      status: 'open',
+      'advancedOrderData.oco.orderListId': { $exists: true }
+    });
+    const lists = new Set();
+    for (const leg of ocoLegs) {
+      const { orderListId } = leg.advancedOrderData.oco;
+      if (!lists.has(orderListId)) {
+        lists.add(orderListId);
+        await attempt(`OCO order ${orderListId}`, () =>
+          advancedOrderService.cancelOCOOrder(userId, leg._id)
+        );
+      }
+    }
+
+    const orders = await Order.find({
+      userId,
+      status: { $in: ACTIVE_ORDER_STATUSES },
+      type: { $in: ['market', 'limit', 'stop', 'stop_limit', 'take_profit'] },
+      'advancedOrderData.oco.orderListId': { $exists: false }
+    });
+    for (const order of orders) {
+      const id = order._id.toString();
+      await attempt(`order ${id}`, () =>
+        order.isPaperTrade
+          ? paperTradingService.cancelOrder(userId, id)
+          : tradingService.cancelOrder(userId, id)
+      );
+    }
+
+    // Orders placed outside this application, on all exchanges at once. A
+    // stored exchange that cannot be reached, or whose open orders cannot all
+    // be listed and cancelled, leaves the kill switch incomplete.
+    const unreachable = (name, message) => {
+      actions.failures.push(`${name} open orders: ${message}`);
+      actions.incompleteExchanges.push(name);
+      logger.error(
+        `Kill switch could not list open orders on ${name} for user ${userId}:`,
+        message
+      );
+    };
+
+    const { connected, unavailable } = await exchangeManager.loadStoredExchanges(userId);
+    for (const { exchangeName, error } of unavailable) {
+      unreachable(exchangeName, error);
+    }
+
+    await Promise.all(
+      connected.map(async ({ name }) => {
+        const exchange = exchangeManager.getExchange(userId, name);
+        if (!exchange) {
+          unreachable(name, 'Exchange disconnected');
+          return;
+        }
+
+        let openOrders;
+        try {
+          openOrders = await this.fetchOpenOrders(exchange, [
+            ...(symbolsByExchange.get(name) || [])
+          ]);
+        } catch (error) {
+          unreachable(name, error.message);
+          return;
+        }
+
+        let cleared = true;
+        for (const order of openOrders) {
+          const cancelled = await attempt(`${name} order ${order.id}`, () =>
+            exchange.cancelOrder(order.id, order.symbol)
+          );
+          cleared = cleared && cancelled;
+        }
+        if (!cleared) {
+          actions.incompleteExchanges.push(name);
+        }
+      })
+    );
+  }
+
+  /**
+   * List open orders on an exchange. Many exchanges refuse a fetch without
+   * a symbol (Binance only allows it after acknowledging its rate limit
+   * cost), so those are asked once per symbol the user has live orders for.
+   * @param {Object} exchange - Exchange instance
+   * @param {Array<string>} symbols - Symbols to ask for if a symbol is required
+   * @returns {Promise<Array>} Open orders
+   */
+  async fetchOpenOrders(exchange, symbols) {
+    if (!exchange.has.fetchOpenOrders) {
+      throw new Error('Exchange cannot list open orders');
+    }
+
+    try {
+      return await exchange.fetchOpenOrders();
+    } catch (error) {
+      if (symbols.length === 0) {
+        throw error;
+      }
+    }
+
+    const openOrders = [];
+    for (const symbol of symbols) {
+      openOrders.push(...(await exchange.fetchOpenOrders(symbol)));
+    }
+
+    return openOrders;
+  }
+
+  /**
+   * Close the user's open positions with market orders
+   * @param {string} userId - User ID
+   * @param {Object} actions - Tally of liquidations and failures
+   */
+  async flattenPositions(userId, actions) {
+    const positions = await TradingPosition.findOpenPositions(userId);
+
+    for (const position of positions) {
+      const exited = position.exitOrders.reduce((sum, exit) => sum + (exit.amount || 0), 0);
+      const amount = position.size - exited;
+      if (amount <= 0) {
+        continue;
+      }
+
+      const orderData = {
+        exchangeName: position.exchangeName,
+        symbol: position.symbol,
+        type: 'market',
+        side: position.side === 'long' ? 'sell' : 'buy',
+        amount,
+        strategy: 'kill_switch'
+      };
+
+      try {
+        if (position.exchangeName === PAPER_EXCHANGE) {
+          await paperTradingService.placeOrder(userId, orderData, { riskReducing: true });
+        } else {
+          await tradingService.placeOrder(userId, orderData, { riskReducing: true });
+        }
+        actions.positionsFlattened++;
+      } catch (error) {
+        actions.failures.push(`${position.symbol} position ${position._id}: ${error.message}`);
+        logger.error(
+          `Kill switch failed to flatten ${position.symbol} for user ${userId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Record the breached loss levels an unlock accepts
+   * @param {Object} killSwitch - Kill switch document
+   * @param {Array} breaches - Current breaches
+   */
+  acknowledgeBreaches(killSwitch, breaches) {
+    const acknowledged = {};
+
+    for (const breach of breaches) {
+      if (breach.type === 'daily_loss') {
+        acknowledged.dailyLoss = breach.value;
+        acknowledged.dailyLossDate = this.getDateKey();
+      } else if (breach.type === 'drawdown') {
+        acknowledged.drawdown = breach.value;
+      }
+    }
+
+    killSwitch.acknowledged = acknowledged;
+  }
+
+  /**
+   * Whether a breach is no worse than the level accepted by the last unlock
+   * @param {Object} killSwitch - Kill switch document
+   * @param {Object} breach - Breach
+   * @returns {boolean} True when acknowledged
+   */
+  isAcknowledged(killSwitch, breach) {
+    const { acknowledged } = killSwitch;
+
+    if (breach.type === 'daily_loss') {
+      return (
+        acknowledged.dailyLossDate === this.getDateKey() && breach.value <= acknowledged.dailyLoss
+      );
+    }
+
+    return acknowledged.drawdown !== undefined && breach.value <= acknowledged.drawdown;
+  }
+
+  // Daily losses are counted from local midnight
+  getDateKey(date = new Date()) {
+    return date.toDateString();
+  }
+}
+
+// Export singleton instance
+module.exports = new KillSwitchService();
@@ -0,0 +1,198 @@
+const EPSILON = 1e-12;
+
+/**
+ * Paper Fill Simulator
+ * Order book aware fill model for paper trading. Takers walk the opposite
+ * side of the book level by level; resting limit orders join the back of the
+ * queue at their price and only fill once public trades have consumed the
+ * volume ahead of them.
+ */
+class PaperFillSimulator {
+  /**
+   * Walk the opposite side of the book for a taker order
+   * @param {Object} orderbook - Orderbook with bids/asks as [price, amount] levels
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} amount - Amount to fill
+   * @param {number|null} limitPrice - Worst acceptable price, null for market orders
+   * @returns {Array} Fills as { price, amount }
+   */
+  walkBook(orderbook, side, amount, limitPrice = null) {
+    const levels = (side === 'buy' ? orderbook.asks : orderbook.bids) || [];
+    const fills = [];
+    let remaining = amount;
+
+    for (const [price, size] of levels) {
+      if (remaining <= EPSILON) {
+        break;
+      }
+
+      if (limitPrice !== null && (side === 'buy' ? price > limitPrice : price < limitPrice)) {
+        break;
+      }
+
+      const fillAmount = Math.min(remaining, size);
+      if (fillAmount > 0) {
+        fills.push({ price, amount: fillAmount });
+        remaining -= fillAmount;
+      }
+    }
+
+    return fills;
+  }
+
+  /**
+   * Apply a time in force to taker fills: fill-or-kill orders get nothing
+   * unless the whole amount is available
+   * @param {Array} fills - Fills from walkBook
+   * @param {number} amount - Order amount
+   * @param {string} timeInForce - 'GTC', 'IOC' or 'FOK'
+   * @returns {Array} Fills that execute
+   */
+  applyTimeInForce(fills, amount, timeInForce) {
+    if (timeInForce === 'FOK' && this.sumFills(fills).amount < amount - EPSILON) {
+      return [];
+    }
+
+    return fills;
+  }
+
+  /**
+   * Trim fills to what a budget in the quote currency can pay for
+   * @param {Array} fills - Fills in book order
+   * @param {number} budget - Quote currency available
+   * @returns {Array} Affordable fills
+   */
+  capFillsToBudget(fills, budget) {
+    const affordable = [];
+    let remainingBudget = budget;
+
+    for (const fill of fills) {
+      const amount = Math.min(fill.amount, remainingBudget / fill.price);
+      if (amount <= EPSILON) {
+        break;
+      }
+
+      affordable.push({ price: fill.price, amount });
+      remainingBudget -= amount * fill.price;
+    }
+
+    return affordable;
+  }
+
+  /**
+   * Check whether a limit price would take liquidity on arrival
+   * @param {Object} orderbook - Orderbook
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} price - Limit price
+   * @returns {boolean} True if the order crosses the spread
+   */
+  isMarketable(orderbook, side, price) {
+    const [best] = (side === 'buy' ? orderbook.asks : orderbook.bids) || [];
+
+    if (!best) {
+      return false;
+    }
+
+    return side === 'buy' ? best[0] <= price : best[0] >= price;
+  }
+
+  /**
+   * Volume already resting at a price on the order's own side of the book
+   * @param {Object} orderbook - Orderbook
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} price - Limit price
+   * @returns {number} Amount queued ahead of a new order at that price
+   */
+  getQueueAhead(orderbook, side, price) {
+    const levels = (side === 'buy' ? orderbook.bids : orderbook.asks) || [];
+    const level = levels.find(([levelPrice]) => Math.abs(levelPrice - price) <= EPSILON);
+
+    return level ? level[1] : 0;
+  }
+
+  /**
+   * Match public trades against a resting limit order.
+   * Trades through the limit price fill the order directly; trades at the
+   * limit price first consume the queue ahead of it.
+   * @param {Object} order - Resting limit order
+   * @param {Array} trades - Recent public trades
+   * @param {Object} state - Queue state { queueAhead, lastTradeAt }
+   * @returns {Object} Fills and the updated queue state
+   */
+  matchTrades(order, trades, state = {}) {
+    const { side, price } = order;
+    let remaining = order.amount - (order.filled || 0);
+    let queueAhead = state.queueAhead || 0;
+    let lastTradeAt = state.lastTradeAt ? new Date(state.lastTradeAt).getTime() : 0;
+    const fills = [];
+
+    const newTrades = trades
+      .filter(trade => trade.timestamp > lastTradeAt)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const trade of newTrades) {
+      lastTradeAt = trade.timestamp;
+
+      // Only the other side's aggressive orders trade against a resting order
+      if (remaining <= EPSILON || trade.side === side) {
+        continue;
+      }
+
+      const tradedThrough = side === 'buy' ? trade.price < price : trade.price > price;
+      const tradedAt = Math.abs(trade.price - price) <= EPSILON;
+
+      if (!tradedThrough && !tradedAt) {
+        continue;
+      }
+
+      let available = trade.amount;
+      if (tradedThrough) {
+        queueAhead = 0;
+      } else {
+        const consumed = Math.min(queueAhead, available);
+        queueAhead -= consumed;
+        available -= consumed;
+      }
+
+      const fillAmount = Math.min(remaining, available);
+      if (fillAmount > 0) {
+        fills.push({ price, amount: fillAmount });
+        remaining -= fillAmount;
+      }
+    }
+
+    return {
+      fills,
+      queueAhead,
+      lastTradeAt: lastTradeAt ? new Date(lastTradeAt) : state.lastTradeAt
+    };
+  }
+
+  /**
+   * Total amount and cost of a set of fills
+   * @param {Array} fills - Fills
+   * @returns {Object} { amount, cost }
+   */
+  sumFills(fills) {
+    return fills.reduce(
+      (total, fill) => ({
+        amount: total.amount + fill.amount,
+        cost: total.cost + fill.amount * fill.price
+      }),
+      { amount: 0, cost: 0 }
+    );
+  }
+
+  /**
+   * Whether an amount is fully filled, allowing for rounding
+   * @param {number} filled - Filled amount
+   * @param {number} amount - Order amount
+   * @returns {boolean} True if nothing meaningful remains
+   */
+  isComplete(filled, amount) {
+    return filled >= amount - EPSILON;
+  }
+}
+
+// Export singleton instance
+module.exports = new PaperFillSimulator();
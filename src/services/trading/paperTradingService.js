@@ -1,6 +1,10 @@
 const PaperTradingAccount = require('../../models/PaperTradingAccount');
 const Order = require('../../models/Order');
 const marketDataService = require('../market/marketDataService');
+const paperFillSimulator = require('./paperFillSimulator');
+const feeService = require('./feeService');
+const tradingEventService = require('./tradingEventService');
+const riskManagementService = require('./riskManagementService');
 const logger = require('../../utils/logger');
 
 /**
@@ -11,6 +15,8 @@ class PaperTradingService {
   constructor() {
     this.simulatedLatency = 100; // ms delay to simulate exchange latency
     this.slippageFactor = 0.0005; // 0.05% slippage on market orders
+    this.tradingFeeRate = 0.001; // 0.1% fallback when no fee schedule is available
+    this.recentTradesLimit = 100; // Public trades matched against resting orders per pass
   }
 
   /**
@@ -73,15 +79,22 @@ class PaperTradingService {
    * Place paper trading order
    * @param {string} userId - User ID
    * @param {Object} orderData - Order parameters
+   * @param {Object} options - riskReducing or riskChecked, see RiskManagementService.assertOrderAllowed
    * @returns {Promise<Object>} Created order
    */
-  async placeOrder(userId, orderData) {
+  async placeOrder(userId, orderData, options = {}) {
     try {
-      const account = await this.getOrCreateAccount(userId);
-      const { symbol, side, type, amount, price, stopPrice } = orderData;
-      
       // Validate order parameters
       this.validateOrderParameters(orderData);
+
+      await riskManagementService.assertOrderAllowed(userId, orderData, options);
+
+      const account = await this.getOrCreateAccount(userId);
+      const { symbol, side, type, amount, price } = orderData;
+
+      if (account.simulationSettings.fillModel === 'orderbook') {
+        return await this.placeSimulatedOrder(userId, account, orderData);
+      }
       
       // Parse symbol to get base and quote assets
       const [baseAsset, quoteAsset] = symbol.split('/');
@@ -98,20 +111,7 @@ class PaperTradingService {
       account.lockBalance(requiredAsset, requiredAmount);
       
       // Create order with paper trading flag
-      const order = new Order({
-        userId,
-        exchangeName: 'paper_trading',
-        symbol,
-        side,
-        type,
-        amount,
-        price,
-        stopPrice,
-        status: type === 'market' ? 'filled' : 'open',
-        isPaperTrade: true,
-        clientOrderId: this.generateClientOrderId(userId),
-        exchangeOrderId: this.generateExchangeOrderId()
-      });
+      const order = this.buildOrder(userId, orderData, type === 'market' ? 'filled' : 'open');
       
       // For market orders, execute immediately
       if (type === 'market') {
@@ -120,6 +120,7 @@ class PaperTradingService {
       
       await order.save();
       await account.save();
+      tradingEventService.publishOrderUpdate(order);
       
       logger.info(`Paper trading order placed: ${order.clientOrderId}`);
       return order;
@@ -130,6 +131,337 @@ class PaperTradingService {
     }
   }
 
+  /**
+   * Place a paper order filled against the reference exchange's order book.
+   * Market and marketable limit orders take liquidity level by level, the
+   * rest of a GTC limit order rests at the back of the queue at its price.
+   * @param {string} userId - User ID
+   * @param {Object} account - Paper trading account
+   * @param {Object} orderData - Order parameters
+   * @returns {Promise<Object>} Created order
+   */
+  async placeSimulatedOrder(userId, account, orderData) {
+    const { symbol, side, type, amount, price, timeInForce = 'GTC', postOnly = false } = orderData;
+    const { referenceExchange, orderbookDepth } = account.simulationSettings;
+    const [baseAsset, quoteAsset] = symbol.split('/');
+
+    let orderbook = null;
+    let fills = [];
+
+    if (['market', 'limit'].includes(type)) {
+      // Simulate latency
+      await new Promise(resolve => setTimeout(resolve, this.simulatedLatency));
+
+      orderbook = await this.getSimulationOrderbook(referenceExchange, symbol, orderbookDepth);
+
+      if (postOnly && paperFillSimulator.isMarketable(orderbook, side, price)) {
+        throw new Error('Invalid order: post-only order would take liquidity');
+      }
+
+      fills = paperFillSimulator.applyTimeInForce(
+        paperFillSimulator.walkBook(orderbook, side, amount, type === 'limit' ? price : null),
+        amount,
+        timeInForce
+      );
+    }
+
+    // Reserve what the order can spend: the book cost for market buys,
+    // the limit (or current) price for resting buys and the amount for sells
+    const requiredAsset = side === 'buy' ? quoteAsset : baseAsset;
+    let requiredAmount = amount;
+    if (side === 'buy') {
+      requiredAmount = type === 'market'
+        ? paperFillSimulator.sumFills(fills).cost
+        : amount * (price || await this.getCurrentPrice(symbol));
+    }
+
+    if (account.getAvailableBalance(requiredAsset) < requiredAmount) {
+      throw new Error(`Insufficient balance. Required: ${requiredAmount} ${requiredAsset}, Available: ${account.getAvailableBalance(requiredAsset)}`);
+    }
+
+    account.lockBalance(requiredAsset, requiredAmount);
+
+    const order = this.buildOrder(userId, orderData, 'open');
+    order.timeInForce = timeInForce;
+    order.postOnly = postOnly;
+    order.paperFill = {
+      fillModel: 'orderbook',
+      referenceExchange,
+      reserved: requiredAmount,
+      lastTradeAt: new Date()
+    };
+
+    if (orderbook) {
+      await this.applyFills(order, account, fills, 'taker');
+
+      if (type === 'limit') {
+        order.paperFill.queueAhead = fills.length > 0 ? 0 : paperFillSimulator.getQueueAhead(orderbook, side, price);
+      }
+    }
+
+    order.status = this.getSimulatedStatus(order);
+    this.releaseUnusedBalance(order, account);
+
+    await order.save();
+    await account.save();
+    tradingEventService.publishOrderUpdate(order);
+
+    logger.info(`Paper trading order placed: ${order.clientOrderId} (${order.status}, ${fills.length} fills)`);
+    return order;
+  }
+
+  /**
+   * Progress a resting orderbook-mode order: limit orders fill from public
+   * trades once the queue ahead is consumed, triggered stops take liquidity
+   * from the book
+   * @param {Object} order - Resting paper order
+   * @param {Object} account - Paper trading account
+   */
+  async processSimulatedOrder(order, account) {
+    const previous = tradingEventService.snapshotOrder(order);
+    const { referenceExchange } = order.paperFill;
+    let fills = [];
+    let role = 'taker';
+
+    if (order.type === 'limit') {
+      role = 'maker';
+      const { trades } = await marketDataService.getRecentTrades(referenceExchange, order.symbol, this.recentTradesLimit);
+      const result = paperFillSimulator.matchTrades(order, trades, order.paperFill);
+
+      fills = result.fills;
+      order.paperFill.queueAhead = result.queueAhead;
+      order.paperFill.lastTradeAt = result.lastTradeAt;
+    } else {
+      if (!order.paperFill.triggered) {
+        const currentPrice = await this.getCurrentPrice(order.symbol);
+        if (!this.shouldExecuteOrder(order, currentPrice)) {
+          return;
+        }
+        order.paperFill.triggered = true;
+      }
+
+      const orderbook = await this.getSimulationOrderbook(
+        referenceExchange,
+        order.symbol,
+        account.simulationSettings.orderbookDepth
+      );
+      const limitPrice = order.type === 'stop' ? null : order.price;
+      fills = paperFillSimulator.walkBook(orderbook, order.side, order.amount - order.filled, limitPrice);
+
+      if (order.side === 'buy') {
+        fills = this.reserveForFills(order, account, fills);
+      }
+    }
+
+    await this.applyFills(order, account, fills, role);
+    order.status = this.getSimulatedStatus(order);
+    this.releaseUnusedBalance(order, account);
+    order.markModified('paperFill');
+
+    await order.save();
+    await account.save();
+
+    if (fills.length > 0 || order.status !== previous.status) {
+      tradingEventService.publishOrderUpdate(order, previous);
+      logger.info(`Paper trading order ${order.clientOrderId} filled ${order.filled}/${order.amount} (${order.status})`);
+    }
+  }
+
+  /**
+   * Apply simulated fills to an order and the account balances
+   * @param {Object} order - Paper order
+   * @param {Object} account - Paper trading account
+   * @param {Array} fills - Fills as { price, amount }
+   * @param {string} role - 'maker' for queue fills, 'taker' for book walks
+   */
+  async applyFills(order, account, fills, role) {
+    const [baseAsset, quoteAsset] = order.symbol.split('/');
+    const feeRate = fills.length > 0 ? await this.getFeeRate(order, role) : this.tradingFeeRate;
+
+    for (const fill of fills) {
+      const cost = fill.amount * fill.price;
+      const fee = this.calculateTradingFee(cost, feeRate);
+
+      if (order.side === 'buy') {
+        account.updateBalanceAfterTrade(quoteAsset, cost, baseAsset, fill.amount);
+      } else {
+        account.updateBalanceAfterTrade(baseAsset, fill.amount, quoteAsset, cost);
+      }
+
+      order.trades.push({
+        price: fill.price,
+        amount: fill.amount,
+        cost,
+        timestamp: new Date(),
+        fee: {
+          currency: quoteAsset,
+          cost: fee,
+          rate: feeRate
+        }
+      });
+      order.filled += fill.amount;
+      order.cost += cost;
+      this.addOrderFee(order, fee, feeRate);
+
+      this.updateAccountPerformance(account, order, fill.price, fill.amount, fee);
+    }
+
+    order.remaining = paperFillSimulator.isComplete(order.filled, order.amount) ? 0 : order.amount - order.filled;
+    if (fills.length > 0) {
+      order.executedAt = new Date();
+    }
+  }
+
+  /**
+   * Make sure a buy has enough quote balance locked for its book fills,
+   * trimming the fills to what the account can afford
+   * @param {Object} order - Paper buy order
+   * @param {Object} account - Paper trading account
+   * @param {Array} fills - Planned fills
+   * @returns {Array} Affordable fills
+   */
+  reserveForFills(order, account, fills) {
+    const quoteAsset = order.symbol.split('/')[1];
+    const reserve = order.paperFill.reserved - order.cost;
+    const affordable = paperFillSimulator.capFillsToBudget(fills, reserve + account.getAvailableBalance(quoteAsset));
+    const shortfall = paperFillSimulator.sumFills(affordable).cost - reserve;
+
+    if (shortfall > 0) {
+      account.lockBalance(quoteAsset, shortfall);
+      order.paperFill.reserved += shortfall;
+    }
+
+    return affordable;
+  }
+
+  /**
+   * Status of an orderbook-mode order after fills: market orders, IOC/FOK
+   * orders and triggered stops expire with whatever did not fill
+   * @param {Object} order - Paper order
+   * @returns {string} Order status
+   */
+  getSimulatedStatus(order) {
+    if (paperFillSimulator.isComplete(order.filled, order.amount)) {
+      return 'filled';
+    }
+
+    const takesLiquidityOnly = order.type === 'market' || (order.type === 'stop' && order.paperFill.triggered);
+    if (takesLiquidityOnly || order.timeInForce !== 'GTC') {
+      return 'expired';
+    }
+
+    return order.filled > 0 ? 'partially_filled' : 'open';
+  }
+
+  /**
+   * Unlock the part of an orderbook-mode order's reserve it no longer needs
+   * @param {Object} order - Paper order
+   * @param {Object} account - Paper trading account
+   */
+  releaseUnusedBalance(order, account) {
+    const isResting = ['open', 'partially_filled'].includes(order.status);
+
+    // Resting sells need their whole remaining amount, resting buys without
+    // a limit price keep the reserve they were placed with
+    if (isResting && (order.side === 'sell' || !order.price)) {
+      return;
+    }
+
+    const unused = this.getLockedAmount(order) - (isResting ? order.remaining * order.price : 0);
+    if (unused > 0) {
+      const [baseAsset, quoteAsset] = order.symbol.split('/');
+      account.unlockBalance(order.side === 'buy' ? quoteAsset : baseAsset, unused);
+      order.paperFill.reserved -= unused;
+    }
+  }
+
+  /**
+   * Balance still locked for an order
+   * @param {Object} order - Paper order
+   * @returns {number} Locked amount in the order's spending asset
+   */
+  getLockedAmount(order) {
+    if (order.paperFill && order.paperFill.reserved !== undefined) {
+      return order.paperFill.reserved - (order.side === 'buy' ? order.cost : order.filled);
+    }
+
+    return order.side === 'buy'
+      ? (order.amount - order.filled) * order.price
+      : (order.amount - order.filled);
+  }
+
+  /**
+   * Get the order book used for simulated fills
+   * @param {string} exchangeName - Reference exchange
+   * @param {string} symbol - Trading pair
+   * @param {number} depth - Levels per side
+   * @returns {Promise<Object>} Orderbook
+   */
+  async getSimulationOrderbook(exchangeName, symbol, depth) {
+    try {
+      return await marketDataService.getOrderbook(exchangeName, symbol, depth);
+    } catch (error) {
+      throw new Error(`Unable to load ${exchangeName} orderbook for ${symbol}`);
+    }
+  }
+
+  /**
+   * Update how paper orders are filled for the account
+   * @param {string} userId - User ID
+   * @param {Object} settings - fillModel, referenceExchange and/or orderbookDepth
+   * @returns {Promise<Object>} Updated simulation settings
+   */
+  async updateSimulationSettings(userId, settings) {
+    try {
+      const account = await this.getOrCreateAccount(userId);
+
+      Object.entries(settings).forEach(([key, value]) => {
+        account.simulationSettings[key] = value;
+      });
+      await account.save();
+      feeService.clearCache(userId);
+
+      logger.info(`Paper trading fill model for user ${userId}: ${account.simulationSettings.fillModel}`);
+      return account.simulationSettings;
+
+    } catch (error) {
+      logger.error('Error updating paper trading simulation settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a paper order document
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Order parameters
+   * @param {string} status - Initial status
+   * @returns {Object} Order document
+   */
+  buildOrder(userId, orderData, status) {
+    const { symbol, side, type, amount, price, stopPrice } = orderData;
+
+    return new Order({
+      userId,
+      exchangeName: 'paper_trading',
+      symbol,
+      side,
+      type,
+      amount,
+      price,
+      stopPrice,
+      status,
+      isPaperTrade: true,
+      clientOrderId: this.generateClientOrderId(userId),
+      exchangeOrderId: this.generateExchangeOrderId(),
+      metadata: {
+        strategy: orderData.strategy,
+        strategyId: orderData.strategyId,
+        notes: orderData.notes,
+        parentOrderId: orderData.parentOrderId
+      }
+    });
+  }
+
   /**
    * Execute market order immediately
    * @param {Object} order - Order document
@@ -166,21 +498,27 @@ class PaperTradingService {
       // Update account balances
       account.updateBalanceAfterTrade(fromAsset, fromAmount, toAsset, toAmount);
       
+      // Market orders take liquidity
+      const feeRate = await this.getFeeRate(order, 'taker');
+      const fee = this.calculateTradingFee(order.amount * executionPrice, feeRate);
+      
       // Update order with execution details
       order.status = 'filled';
       order.filled = order.amount;
       order.remaining = 0;
-      order.averagePrice = executionPrice;
+      order.cost = order.amount * executionPrice;
       order.executedAt = new Date();
       order.trades = [{
         price: executionPrice,
         amount: order.amount,
+        cost: order.cost,
         timestamp: new Date(),
-        fee: this.calculateTradingFee(order.amount * executionPrice)
+        fee: { currency: quoteAsset, cost: fee, rate: feeRate }
       }];
+      this.addOrderFee(order, fee, feeRate);
       
       // Update account performance
-      await this.updateAccountPerformance(account, order, executionPrice);
+      this.updateAccountPerformance(account, order, executionPrice, order.amount, fee);
       
     } catch (error) {
       logger.error('Error executing market order:', error);
@@ -212,19 +550,19 @@ class PaperTradingService {
       // Calculate amount to unlock
       const [baseAsset, quoteAsset] = order.symbol.split('/');
       const requiredAsset = order.side === 'buy' ? quoteAsset : baseAsset;
-      const lockedAmount = order.side === 'buy' 
-        ? (order.amount - order.filled) * order.price 
-        : (order.amount - order.filled);
+      const lockedAmount = this.getLockedAmount(order);
       
       // Unlock the balance
       account.unlockBalance(requiredAsset, lockedAmount);
       
       // Update order status
+      const previous = tradingEventService.snapshotOrder(order);
       order.status = 'cancelled';
       order.cancelledAt = new Date();
       
       await order.save();
       await account.save();
+      tradingEventService.publishOrderUpdate(order, previous);
       
       logger.info(`Paper trading order cancelled: ${order.clientOrderId}`);
       return order;
@@ -316,17 +654,25 @@ class PaperTradingService {
       const account = await this.getOrCreateAccount(userId);
       
       // Cancel all open orders first
+      const openOrders = await Order.find({
+        userId,
+        isPaperTrade: true,
+        status: { $in: ['open', 'partially_filled'] }
+      });
+
       await Order.updateMany(
-        { 
-          userId, 
-          isPaperTrade: true, 
-          status: { $in: ['open', 'partially_filled'] } 
-        },
+        { _id: { $in: openOrders.map(order => order._id) } },
         { 
           status: 'cancelled',
           cancelledAt: new Date()
         }
       );
+
+      openOrders.forEach(order => {
+        const previous = tradingEventService.snapshotOrder(order);
+        order.status = 'cancelled';
+        tradingEventService.publishOrderUpdate(order, previous);
+      });
       
       // Reset the account
       account.resetAccount(newBalance, reason);
@@ -375,32 +721,17 @@ class PaperTradingService {
    */
   async checkAndExecuteLimitOrder(order) {
     try {
+      if (order.paperFill && order.paperFill.fillModel === 'orderbook') {
+        const account = await this.getOrCreateAccount(order.userId);
+        await this.processSimulatedOrder(order, account);
+        return;
+      }
+
       const currentPrice = await this.getCurrentPrice(order.symbol);
       const account = await this.getOrCreateAccount(order.userId);
       
-      let shouldExecute = false;
-      
-      switch (order.type) {
-        case 'limit':
-          shouldExecute = (order.side === 'buy' && currentPrice <= order.price) ||
-                         (order.side === 'sell' && currentPrice >= order.price);
-          break;
-        case 'stop':
-          shouldExecute = (order.side === 'buy' && currentPrice >= order.stopPrice) ||
-                         (order.side === 'sell' && currentPrice <= order.stopPrice);
-          break;
-        case 'stop_limit':
-          shouldExecute = (order.side === 'buy' && currentPrice >= order.stopPrice) ||
-                         (order.side === 'sell' && currentPrice <= order.stopPrice);
-          break;
-        case 'take_profit':
-          shouldExecute = (order.side === 'buy' && currentPrice <= order.price) ||
-                         (order.side === 'sell' && currentPrice >= order.price);
-          break;
-      }
-      
-      if (shouldExecute) {
-        const executionPrice = order.type === 'stop' ? currentPrice : order.price;
+      if (this.shouldExecuteOrder(order, currentPrice)) {
+        const executionPrice = this.getExecutionPrice(order, currentPrice);
         await this.executeLimitOrder(order, account, executionPrice);
       }
       
@@ -409,6 +740,38 @@ class PaperTradingService {
     }
   }
 
+  /**
+   * Check whether a resting order is triggered at the given market price
+   * @param {Object} order - Order document (or plain order object)
+   * @param {number} currentPrice - Market price to evaluate against
+   * @returns {boolean} True if the order should execute
+   */
+  shouldExecuteOrder(order, currentPrice) {
+    const { side, price, stopPrice } = order;
+
+    if (['limit', 'take_profit'].includes(order.type)) {
+      return side === 'buy' ? currentPrice <= price : currentPrice >= price;
+    }
+
+    if (['stop', 'stop_limit'].includes(order.type)) {
+      return side === 'buy' ? currentPrice >= stopPrice : currentPrice <= stopPrice;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the execution price for a triggered resting order
+   * Stop orders become market orders and fill at the market price,
+   * everything else fills at its limit price
+   * @param {Object} order - Order document (or plain order object)
+   * @param {number} currentPrice - Market price at trigger time
+   * @returns {number} Execution price
+   */
+  getExecutionPrice(order, currentPrice) {
+    return order.type === 'stop' ? currentPrice : order.price;
+  }
+
   /**
    * Execute limit order
    * @param {Object} order - Order document
@@ -417,6 +780,7 @@ class PaperTradingService {
    */
   async executeLimitOrder(order, account, executionPrice) {
     try {
+      const previous = tradingEventService.snapshotOrder(order);
       const [baseAsset, quoteAsset] = order.symbol.split('/');
       
       let fromAsset, fromAmount, toAsset, toAmount;
@@ -436,22 +800,29 @@ class PaperTradingService {
       // Update account balances
       account.updateBalanceAfterTrade(fromAsset, fromAmount, toAsset, toAmount);
       
+      // Resting limits add liquidity, triggered stops take it
+      const feeRate = await this.getFeeRate(order, feeService.getLiquidityRole(order));
+      const fee = this.calculateTradingFee(order.amount * executionPrice, feeRate);
+      
       // Update order
       order.status = 'filled';
       order.filled = order.amount;
       order.remaining = 0;
-      order.averagePrice = executionPrice;
+      order.cost = order.amount * executionPrice;
       order.executedAt = new Date();
       order.trades = [{
         price: executionPrice,
         amount: order.amount,
+        cost: order.cost,
         timestamp: new Date(),
-        fee: this.calculateTradingFee(order.amount * executionPrice)
+        fee: { currency: quoteAsset, cost: fee, rate: feeRate }
       }];
+      this.addOrderFee(order, fee, feeRate);
       
       await order.save();
-      await this.updateAccountPerformance(account, order, executionPrice);
+      this.updateAccountPerformance(account, order, executionPrice, order.amount, fee);
       await account.save();
+      tradingEventService.publishOrderUpdate(order, previous);
       
       logger.info(`Limit order executed: ${order.clientOrderId} at price ${executionPrice}`);
       
@@ -463,7 +834,7 @@ class PaperTradingService {
 
   // Helper methods
   validateOrderParameters(orderData) {
-    const { symbol, side, type, amount, price, stopPrice } = orderData;
+    const { symbol, side, type, amount, price, stopPrice, timeInForce = 'GTC', postOnly = false } = orderData;
     
     if (!symbol || !side || !type || !amount) {
       throw new Error('Missing required order parameters');
@@ -488,12 +859,24 @@ class PaperTradingService {
     if (['stop', 'stop_limit'].includes(type) && (!stopPrice || stopPrice <= 0)) {
       throw new Error('Stop price is required for stop orders');
     }
+
+    if (!['GTC', 'IOC', 'FOK'].includes(timeInForce)) {
+      throw new Error('Invalid order time in force');
+    }
+
+    if (timeInForce !== 'GTC' && !['market', 'limit'].includes(type)) {
+      throw new Error('Invalid order: IOC and FOK are only supported for market and limit orders');
+    }
+
+    if (postOnly && (type !== 'limit' || timeInForce !== 'GTC')) {
+      throw new Error('Invalid order: post-only is only supported for GTC limit orders');
+    }
   }
 
   async getCurrentPrice(symbol) {
     try {
-      const ticker = await marketDataService.getTicker(symbol);
-      return ticker.data.unified ? ticker.data.unified.averagePrice : ticker.data.byExchange[0].last;
+      const ticker = await marketDataService.getUnifiedTicker(symbol);
+      return ticker.unified.averagePrice;
     } catch (error) {
       throw new Error(`Unable to get current price for ${symbol}`);
     }
@@ -504,11 +887,41 @@ class PaperTradingService {
     return price * (1 + slippage);
   }
 
-  calculateTradingFee(value) {
-    const feeRate = 0.001; // 0.1% trading fee
+  calculateTradingFee(value, feeRate = this.tradingFeeRate) {
     return value * feeRate;
   }
 
+  /**
+   * Fee rate for a paper fill from the user's schedule on the reference
+   * exchange, falling back to the flat rate
+   * @param {Object} order - Paper order
+   * @param {string} role - 'maker' or 'taker'
+   * @returns {Promise<number>} Fee rate
+   */
+  async getFeeRate(order, role) {
+    try {
+      const rates = await feeService.getRates(order.userId, 'paper_trading', order.symbol);
+      return rates[role];
+    } catch (error) {
+      logger.warn(`Using default paper trading fee for ${order.symbol}: ${error.message}`);
+      return this.tradingFeeRate;
+    }
+  }
+
+  /**
+   * Add a fill's fee to the order's fee total
+   * @param {Object} order - Paper order
+   * @param {number} fee - Fee paid in the quote currency
+   * @param {number} feeRate - Rate the fee was charged at
+   */
+  addOrderFee(order, fee, feeRate) {
+    order.fee = {
+      currency: order.symbol.split('/')[1],
+      cost: ((order.fee && order.fee.cost) || 0) + fee,
+      rate: feeRate
+    };
+  }
+
   generateClientOrderId(userId) {
     return `WRT_PAPER_${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
   }
@@ -517,18 +930,23 @@ class PaperTradingService {
     return `PAPER_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
   }
 
-  async updateAccountPerformance(account, order, executionPrice) {
+  updateAccountPerformance(
+    account,
+    order,
+    executionPrice,
+    amount = order.amount,
+    tradeFee = this.calculateTradingFee(amount * executionPrice)
+  ) {
     // Update basic stats
     account.performance.totalTrades += 1;
-    account.performance.totalVolume += order.amount * executionPrice;
+    account.performance.totalVolume += amount * executionPrice;
     
     // For now, we'll calculate basic metrics
     // More sophisticated P&L tracking would require position tracking
-    const tradeFee = this.calculateTradingFee(order.amount * executionPrice);
     account.performance.realizedPnL -= tradeFee; // Subtract fees
     
     // Update daily stats
-    account.updateDailyStats(1, -tradeFee, order.amount * executionPrice);
+    account.updateDailyStats(1, -tradeFee, amount * executionPrice);
   }
 }
 
@@ -2,17 +2,43 @@ const User = require('../../models/User');
 const Order = require('../../models/Order');
 const TradingPosition = require('../../models/TradingPosition');
 const Portfolio = require('../../models/Portfolio');
+const KillSwitch = require('../../models/KillSwitch');
+const RiskProfile = require('../../models/RiskProfile');
+const RiskEvent = require('../../models/RiskEvent');
 const marketDataService = require('../market/marketDataService');
+const riskAnalyticsService = require('../analytics/riskAnalyticsService');
+const config = require('../../config');
 const logger = require('../../utils/logger');
 
+// Pre-trade rules and whether a breach blocks the order or only warns
+const DEFAULT_RULE_MODES = {
+  positionSize: 'block',
+  concentration: 'block',
+  correlation: 'warn',
+  dailyLoss: 'block',
+  leverage: 'block',
+  assetClass: 'block',
+  stopLoss: 'block'
+};
+
+const RISK_LEVELS = ['conservative', 'moderate', 'aggressive'];
+
+// Limits that are looser when raised; the other numeric limits are looser when lowered
+const LOOSER_WHEN_RAISED = [
+  'maxPositionSize',
+  'maxDailyLoss',
+  'maxDrawdown',
+  'maxLeverage',
+  'maxOpenPositions',
+  'maxCorrelation'
+];
+
 /**
  * Risk Management Service
  * Advanced risk controls and portfolio protection
  */
 class RiskManagementService {
   constructor() {
-    this.riskLimits = new Map();
-    this.activeMonitoring = new Map();
     this.alertThresholds = {
       portfolioDrawdown: 0.10, // 10%
       positionSize: 0.05, // 5% of portfolio
@@ -23,45 +49,186 @@ class RiskManagementService {
   }
 
   /**
-   * Initialize risk management for user
+   * Get a user's risk profile, creating it with the default limits on first
+   * use and applying loosened limits whose cooling-off period is over
    * @param {string} userId - User ID
-   * @param {Object} riskProfile - User's risk profile
+   * @returns {Promise<Object>} Risk profile document
    */
-  async initializeRiskProfile(userId, riskProfile = {}) {
+  async getRiskProfile(userId) {
+    const profile = await RiskProfile.findOne({ userId });
+
+    if (profile) {
+      if (profile.applyDueChanges() > 0) {
+        await profile.save();
+        logger.info(`Pending risk limit changes applied for user ${userId}`, {
+          version: profile.version
+        });
+      }
+      return profile;
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const riskLevel = 'moderate';
+    const created = new RiskProfile({
+      userId,
+      riskLevel,
+      limits: this.getDefaultRiskLimits({ riskLevel }),
+      history: [{ version: 1, changes: [], reason: 'Default limits' }]
+    });
+
     try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
+      await created.save();
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) {
+        return RiskProfile.findOne({ userId });
       }
+      throw error;
+    }
 
-      // Set default risk limits based on user profile
-      const defaultLimits = this.getDefaultRiskLimits(riskProfile);
-      
-      // Merge with user preferences
-      const riskLimits = {
-        ...defaultLimits,
-        ...user.preferences?.trading?.riskManagement,
-        ...riskProfile
-      };
+    logger.info(`Risk profile created for user ${userId}`, { riskLevel });
+    return created;
+  }
 
-      // Store risk limits
-      this.riskLimits.set(userId, riskLimits);
+  /**
+   * Effective risk limits of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Limits with ruleModes and the profile version
+   */
+  async getRiskLimits(userId) {
+    const profile = await this.getRiskProfile(userId);
+    const { limits, ruleModes } = profile.toObject();
 
-      // Initialize monitoring
-      this.activeMonitoring.set(userId, {
-        enabled: true,
-        lastCheck: Date.now(),
-        violations: [],
-        warnings: []
-      });
+    return { ...limits, ruleModes, version: profile.version };
+  }
 
-      logger.info(`Risk management initialized for user ${userId}`, { riskLimits });
-      return riskLimits;
+  /**
+   * Change a user's risk level, limits or rule modes. Tightening takes effect
+   * immediately; loosening waits out the cooling-off period as a pending
+   * change. A new request for a field replaces its pending change.
+   * @param {string} userId - User ID
+   * @param {Object} updates - riskLevel, limits and ruleModes
+   * @param {Object} meta - reason and ip of the request
+   * @returns {Promise<Object>} Profile, applied history entry and new pending changes
+   */
+  async updateRiskProfile(userId, updates, meta = {}) {
+    const profile = await this.getRiskProfile(userId);
+    const now = new Date();
+    const effectiveAt = new Date(now.getTime() + config.riskProfile.coolingOffPeriod);
 
-    } catch (error) {
-      logger.error('Error initializing risk profile:', error);
-      throw error;
+    // A new risk level starts from its preset limits
+    const limits = {
+      ...(updates.riskLevel && updates.riskLevel !== profile.riskLevel
+        ? this.getDefaultRiskLimits({ riskLevel: updates.riskLevel })
+        : {}),
+      ...updates.limits
+    };
+
+    const changes = [
+      ...(updates.riskLevel ? [{ field: 'riskLevel', value: updates.riskLevel }] : []),
+      ...Object.entries(limits).map(([key, value]) => ({ field: `limits.${key}`, value })),
+      ...Object.entries(updates.ruleModes || {}).map(([key, value]) => ({
+        field: `ruleModes.${key}`,
+        value
+      }))
+    ];
+
+    const immediate = [];
+    const pending = [];
+    for (const change of changes) {
+      const current = profile.get(change.field);
+      const from = current && current.toObject ? current.toObject() : current;
+      const loosening = this.isLoosening(change.field, from, change.value);
+      if (loosening && config.riskProfile.coolingOffPeriod > 0) {
+        pending.push({
+          ...change,
+          requestedBy: userId,
+          reason: meta.reason,
+          ip: meta.ip,
+          requestedAt: now,
+          effectiveAt
+        });
+      } else {
+        immediate.push(change);
+      }
     }
+
+    const requested = new Set(changes.map(change => change.field));
+    profile.pendingChanges = [
+      ...profile.pendingChanges.filter(change => !requested.has(change.field)),
+      ...pending
+    ];
+
+    const applied = profile.applyChanges(immediate, {
+      changedBy: userId,
+      reason: meta.reason,
+      ip: meta.ip,
+      requestedAt: now,
+      effectiveAt: now
+    });
+
+    await profile.save();
+
+    logger.info(`Risk profile updated for user ${userId}`, {
+      version: profile.version,
+      applied: applied ? applied.changes.map(change => change.field) : [],
+      pending: pending.map(change => change.field)
+    });
+
+    return { profile, applied, pending };
+  }
+
+  /**
+   * Cancel loosened limits that are still cooling off
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Risk profile document
+   */
+  async cancelPendingChanges(userId) {
+    const profile = await this.getRiskProfile(userId);
+    const cancelled = profile.pendingChanges.map(change => change.field);
+
+    profile.pendingChanges = [];
+    await profile.save();
+
+    logger.info(`Pending risk limit changes cancelled for user ${userId}`, { cancelled });
+    return profile;
+  }
+
+  /**
+   * Whether changing a risk profile field would loosen risk control
+   * @param {string} field - Field path, e.g. 'limits.maxLeverage'
+   * @param {*} from - Current value
+   * @param {*} to - Requested value
+   * @returns {boolean} True when the change loosens
+   */
+  isLoosening(field, from, to) {
+    const [group, key] = field.split('.');
+
+    if (from === undefined || from === null) {
+      return false;
+    }
+
+    if (group === 'riskLevel') {
+      return RISK_LEVELS.indexOf(to) > RISK_LEVELS.indexOf(from);
+    }
+
+    if (group === 'ruleModes') {
+      return from === 'block' && to === 'warn';
+    }
+
+    if (key === 'stopLossRequired') {
+      return from === true && to === false;
+    }
+
+    if (key === 'allowedAssetClasses') {
+      return to.some(assetClass => !from.includes(assetClass));
+    }
+
+    return LOOSER_WHEN_RAISED.includes(key) ? to > from : to < from;
   }
 
   /**
@@ -118,14 +285,12 @@ class RiskManagementService {
    * Validate order against risk limits
    * @param {string} userId - User ID
    * @param {Object} orderData - Order data
+   * @param {Object} options - dryRun to skip recording risk events, source of the order
    * @returns {Promise<Object>} Validation result
    */
-  async validateOrder(userId, orderData) {
+  async validateOrder(userId, orderData, options = {}) {
     try {
-      const riskLimits = this.riskLimits.get(userId);
-      if (!riskLimits) {
-        await this.initializeRiskProfile(userId);
-      }
+      const limits = await this.getRiskLimits(userId);
 
       const validationResult = {
         allowed: true,
@@ -138,29 +303,50 @@ class RiskManagementService {
       const portfolio = await Portfolio.findByUserId(userId);
       const openPositions = await TradingPosition.findOpenPositions(userId);
       
+      // Orders that only shrink exposure are exempt from the size and loss limits,
+      // so an oversized holding can still be sold and losses cut after a breach
+      const reducesExposure = this.reducesExposure(orderData, portfolio, openPositions);
+
       // Validate position size
-      await this.validatePositionSize(userId, orderData, portfolio, validationResult);
+      if (!reducesExposure) {
+        await this.validatePositionSize(userId, limits, orderData, portfolio, validationResult);
+      }
       
       // Validate portfolio concentration
-      await this.validateConcentration(userId, orderData, portfolio, validationResult);
+      await this.validateConcentration(userId, limits, orderData, portfolio, validationResult);
       
       // Validate correlation limits
-      await this.validateCorrelation(userId, orderData, openPositions, validationResult);
+      await this.validateCorrelation(userId, limits, orderData, openPositions, validationResult);
       
       // Validate daily loss limits
-      await this.validateDailyLoss(userId, orderData, portfolio, validationResult);
+      if (!reducesExposure) {
+        await this.validateDailyLoss(userId, limits, orderData, portfolio, validationResult);
+      }
       
       // Validate leverage limits
-      await this.validateLeverage(userId, orderData, portfolio, validationResult);
+      this.validateLeverage(userId, limits, orderData, portfolio, validationResult);
       
       // Validate asset class restrictions
-      await this.validateAssetClass(userId, orderData, validationResult);
+      this.validateAssetClass(userId, limits, orderData, validationResult);
       
       // Check for required stop loss
-      await this.validateStopLoss(userId, orderData, validationResult);
+      await this.validateStopLoss(userId, limits, orderData, validationResult);
+
+      // Rules in warn-only mode report their breaches as warnings
+      const ruleModes = this.getRuleModes(limits);
+      const violations = validationResult.violations;
+      validationResult.violations = violations.filter(item => ruleModes[item.rule] === 'block');
+      validationResult.warnings.push(
+        ...violations.filter(item => ruleModes[item.rule] !== 'block')
+      );
 
       // Determine if order should be allowed
       validationResult.allowed = validationResult.violations.length === 0;
+      validationResult.profileVersion = limits.version;
+
+      if (!options.dryRun) {
+        await this.recordOrderEvents(userId, orderData, validationResult, options.source);
+      }
 
       return validationResult;
 
@@ -168,18 +354,237 @@ class RiskManagementService {
       logger.error('Error validating order against risk limits:', error);
       return {
         allowed: false,
-        violations: ['Risk validation failed'],
+        violations: [{ rule: 'system', message: 'Risk validation failed' }],
         warnings: [],
         adjustments: {}
       };
     }
   }
 
+  /**
+   * Run the pre-trade gate, rejecting orders the kill switch or a blocking
+   * risk rule does not allow. Orders that only reduce risk (kill switch
+   * liquidations, triggered exits) skip it; child orders of an advanced order
+   * were checked with their parent and only answer to the kill switch.
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Order data
+   * @param {Object} options - riskReducing or riskChecked
+   * @returns {Promise<Object|null>} Validation result of an allowed order
+   */
+  async assertOrderAllowed(userId, orderData, options = {}) {
+    if (options.riskReducing) {
+      return null;
+    }
+
+    await this.assertTradingAllowed(userId);
+    if (options.riskChecked) {
+      return null;
+    }
+
+    const result = await this.validateOrder(userId, orderData);
+    if (!result.allowed) {
+      const error = new Error(
+        `Order rejected by risk management: ${result.violations.map(item => item.message).join('; ')}`
+      );
+      error.riskCheck = result;
+      throw error;
+    }
+
+    if (result.warnings.length > 0) {
+      logger.warn(`Risk warnings for user ${userId} order on ${orderData.symbol}`, {
+        warnings: result.warnings.map(item => item.message)
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the pre-trade gate without placing the order
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Order data
+   * @returns {Promise<Object>} Validation result, including a kill switch violation
+   */
+  async checkOrder(userId, orderData) {
+    const result = await this.validateOrder(userId, orderData, { dryRun: true });
+
+    try {
+      await this.assertTradingAllowed(userId);
+    } catch (error) {
+      result.violations.unshift({ rule: 'killSwitch', message: error.message });
+      result.allowed = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether each pre-trade rule blocks orders or only warns
+   * @param {Object} limits - Risk limits
+   * @returns {Object} Rule to 'block' or 'warn'
+   */
+  getRuleModes(limits) {
+    const configured = limits.ruleModes || {};
+    const ruleModes = { ...DEFAULT_RULE_MODES };
+
+    for (const rule of Object.keys(ruleModes)) {
+      if (configured[rule]) {
+        ruleModes[rule] = configured[rule];
+      }
+    }
+
+    return ruleModes;
+  }
+
+  /**
+   * Set which pre-trade rules block orders and which only warn. Switching a
+   * rule from block to warn loosens it and waits out the cooling-off period.
+   * @param {string} userId - User ID
+   * @param {Object} ruleModes - Rule to 'block' or 'warn'
+   * @param {Object} meta - reason and ip of the request
+   * @returns {Promise<Object>} Effective rule modes and pending changes
+   */
+  async updateRuleModes(userId, ruleModes, meta = {}) {
+    const { profile, pending } = await this.updateRiskProfile(userId, { ruleModes }, meta);
+
+    return {
+      ruleModes: this.getRuleModes(profile.toObject()),
+      pendingChanges: pending
+    };
+  }
+
+  /**
+   * Rule modes of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Rule to 'block' or 'warn'
+   */
+  async loadRuleModes(userId) {
+    return this.getRuleModes(await this.getRiskLimits(userId));
+  }
+
+  /**
+   * Persist the violations and warnings of a pre-trade check
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Order data
+   * @param {Object} result - Validation result
+   * @param {string} source - 'order' or 'strategy'
+   */
+  async recordOrderEvents(userId, orderData, result, source = 'order') {
+    const events = [
+      ...result.violations.map(item => ({ ...item, type: 'violation' })),
+      ...result.warnings.map(item => ({ ...item, type: 'warning' }))
+    ];
+
+    await this.recordEvents(userId, events, {
+      source,
+      outcome: result.allowed ? 'allowed' : 'blocked',
+      profileVersion: result.profileVersion,
+      order: {
+        exchangeName: orderData.exchangeName,
+        symbol: orderData.symbol,
+        side: orderData.side,
+        type: orderData.type,
+        amount: orderData.amount,
+        price: orderData.price
+      }
+    });
+  }
+
+  /**
+   * Persist risk events; failures are logged so they never block trading
+   * @param {string} userId - User ID
+   * @param {Array} events - Events as { type, rule, message }
+   * @param {Object} context - source, and outcome, order and profileVersion for order checks
+   */
+  async recordEvents(userId, events, context) {
+    if (events.length === 0) {
+      return;
+    }
+
+    try {
+      await RiskEvent.insertMany(
+        events.map(event => ({
+          userId,
+          type: event.type,
+          rule: event.rule,
+          message: event.message,
+          ...context
+        }))
+      );
+    } catch (error) {
+      logger.error(`Failed to record risk events for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Recent risk events of a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - type, rule, source, startDate, endDate, limit and offset
+   * @returns {Promise<Object>} Events, newest first, and the total count
+   */
+  async getRiskEvents(userId, filters = {}) {
+    const { type, rule, source, startDate, endDate, limit = 100, offset = 0 } = filters;
+    const query = { userId };
+
+    if (type) {
+      query.type = type;
+    }
+    if (rule) {
+      query.rule = rule;
+    }
+    if (source) {
+      query.source = source;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
+
+    const [events, total] = await Promise.all([
+      RiskEvent.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit),
+      RiskEvent.countDocuments(query)
+    ]);
+
+    return { events, total };
+  }
+
+  /**
+   * Whether an order only reduces exposure: a sell of no more than the
+   * portfolio holds of the asset, or an exit of no more than what is left
+   * of an open position in the symbol
+   * @param {Object} orderData - Order parameters
+   * @param {Object} portfolio - Portfolio document, if any
+   * @param {Array} positions - Open trading positions
+   * @returns {boolean} True for exposure reducing orders
+   */
+  reducesExposure(orderData, portfolio, positions) {
+    const [baseAsset] = orderData.symbol.split('/');
+    const holding = portfolio && portfolio.holdings ? portfolio.holdings.get(baseAsset) : null;
+
+    if (orderData.side === 'sell' && holding && holding.totalAmount >= orderData.amount) {
+      return true;
+    }
+
+    return positions.some(position => {
+      if (position.symbol !== orderData.symbol) {
+        return false;
+      }
+
+      const exitSide = position.side === 'short' ? 'buy' : 'sell';
+      const exited = (position.exitOrders || []).reduce((sum, exit) => sum + (exit.amount || 0), 0);
+      return orderData.side === exitSide && position.size - exited >= orderData.amount;
+    });
+  }
+
   /**
    * Validate position size against limits
    */
-  async validatePositionSize(userId, orderData, portfolio, result) {
-    const limits = this.riskLimits.get(userId);
+  async validatePositionSize(userId, limits, orderData, portfolio, result) {
     const portfolioValue = portfolio?.totalValue?.current || 100000; // Default for new users
     
     // Calculate order value
@@ -187,23 +592,28 @@ class RiskManagementService {
     const positionPercentage = orderValue / portfolioValue;
 
     if (positionPercentage > limits.maxPositionSize) {
-      result.violations.push(`Position size ${(positionPercentage * 100).toFixed(2)}% exceeds limit of ${(limits.maxPositionSize * 100).toFixed(2)}%`);
+      result.violations.push({
+        rule: 'positionSize',
+        message: `Position size ${(positionPercentage * 100).toFixed(2)}% exceeds limit of ${(limits.maxPositionSize * 100).toFixed(2)}%`
+      });
       
       // Suggest adjustment
       const maxAmount = (portfolioValue * limits.maxPositionSize) / (orderData.price || 1);
       result.adjustments.suggestedAmount = Math.floor(maxAmount * 100) / 100;
     } else if (positionPercentage > limits.maxPositionSize * 0.8) {
-      result.warnings.push(`Position size ${(positionPercentage * 100).toFixed(2)}% approaching limit of ${(limits.maxPositionSize * 100).toFixed(2)}%`);
+      result.warnings.push({
+        rule: 'positionSize',
+        message: `Position size ${(positionPercentage * 100).toFixed(2)}% approaching limit of ${(limits.maxPositionSize * 100).toFixed(2)}%`
+      });
     }
   }
 
   /**
    * Validate portfolio concentration
    */
-  async validateConcentration(userId, orderData, portfolio, result) {
+  async validateConcentration(userId, limits, orderData, portfolio, result) {
     if (!portfolio) return;
 
-    const limits = this.riskLimits.get(userId);
     const [baseAsset] = orderData.symbol.split('/');
     
     // Get current holding of this asset
@@ -218,23 +628,33 @@ class RiskManagementService {
     const newPercentage = newValue / portfolio.totalValue.current;
 
     if (newPercentage > limits.maxPositionSize * 1.5) {
-      result.violations.push(`Asset concentration ${(newPercentage * 100).toFixed(2)}% would be too high`);
+      result.violations.push({
+        rule: 'concentration',
+        message: `Asset concentration ${(newPercentage * 100).toFixed(2)}% would be too high`
+      });
     }
   }
 
   /**
    * Validate correlation limits
    */
-  async validateCorrelation(userId, orderData, positions, result) {
-    const limits = this.riskLimits.get(userId);
+  async validateCorrelation(userId, limits, orderData, positions, result) {
     const [baseAsset] = orderData.symbol.split('/');
     
     // Calculate correlation with existing positions
     for (const position of positions) {
-      const correlation = await this.calculateAssetCorrelation(baseAsset, position.symbol);
+      const [positionAsset] = position.symbol.split('/');
+      if (positionAsset === baseAsset) {
+        continue;
+      }
+
+      const correlation = await this.calculateAssetCorrelation(baseAsset, positionAsset);
       
-      if (correlation > limits.maxCorrelation) {
-        result.warnings.push(`High correlation (${(correlation * 100).toFixed(1)}%) with existing ${position.symbol} position`);
+      if (correlation !== null && correlation > limits.maxCorrelation) {
+        result.violations.push({
+          rule: 'correlation',
+          message: `High correlation (${(correlation * 100).toFixed(1)}%) with existing ${position.symbol} position`
+        });
       }
     }
   }
@@ -242,63 +662,61 @@ class RiskManagementService {
   /**
    * Validate daily loss limits
    */
-  async validateDailyLoss(userId, orderData, portfolio, result) {
-    const limits = this.riskLimits.get(userId);
-    
-    // Get today's P&L
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const todayPositions = await TradingPosition.find({
-      userId,
-      exitDate: { $gte: today },
-      netPnL: { $lt: 0 }
-    });
-
-    const todayLoss = todayPositions.reduce((sum, pos) => sum + Math.abs(pos.netPnL), 0);
-    const portfolioValue = portfolio?.totalValue?.current || 100000;
-    const lossPercentage = todayLoss / portfolioValue;
+  async validateDailyLoss(userId, limits, orderData, portfolio, result) {
+    const lossPercentage = await this.getDailyLoss(userId, portfolio);
 
     if (lossPercentage > limits.maxDailyLoss) {
-      result.violations.push(`Daily loss limit ${(limits.maxDailyLoss * 100).toFixed(2)}% already exceeded`);
+      result.violations.push({
+        rule: 'dailyLoss',
+        message: `Daily loss limit ${(limits.maxDailyLoss * 100).toFixed(2)}% already exceeded`
+      });
     } else if (lossPercentage > limits.maxDailyLoss * 0.8) {
-      result.warnings.push(`Approaching daily loss limit: ${(lossPercentage * 100).toFixed(2)}%`);
+      result.warnings.push({
+        rule: 'dailyLoss',
+        message: `Approaching daily loss limit: ${(lossPercentage * 100).toFixed(2)}%`
+      });
     }
   }
 
   /**
    * Validate leverage limits
    */
-  async validateLeverage(userId, orderData, portfolio, result) {
-    const limits = this.riskLimits.get(userId);
+  validateLeverage(userId, limits, orderData, portfolio, result) {
     
     // For now, assume spot trading (no leverage)
     // This would be enhanced for margin/futures trading
     if (orderData.leverage && orderData.leverage > limits.maxLeverage) {
-      result.violations.push(`Leverage ${orderData.leverage}x exceeds limit of ${limits.maxLeverage}x`);
+      result.violations.push({
+        rule: 'leverage',
+        message: `Leverage ${orderData.leverage}x exceeds limit of ${limits.maxLeverage}x`
+      });
     }
   }
 
   /**
    * Validate asset class restrictions
    */
-  async validateAssetClass(userId, orderData, result) {
-    const limits = this.riskLimits.get(userId);
+  validateAssetClass(userId, limits, orderData, result) {
     const assetClass = this.getAssetClass(orderData.symbol);
     
     if (!limits.allowedAssetClasses.includes(assetClass)) {
-      result.violations.push(`Asset class '${assetClass}' not allowed in risk profile`);
+      result.violations.push({
+        rule: 'assetClass',
+        message: `Asset class '${assetClass}' not allowed in risk profile`
+      });
     }
   }
 
   /**
    * Validate stop loss requirements
    */
-  async validateStopLoss(userId, orderData, result) {
-    const limits = this.riskLimits.get(userId);
+  async validateStopLoss(userId, limits, orderData, result) {
     
     if (limits.stopLossRequired && orderData.side === 'buy' && !orderData.stopPrice) {
-      result.violations.push('Stop loss is required for buy orders');
+      result.violations.push({
+        rule: 'stopLoss',
+        message: 'Stop loss is required for buy orders'
+      });
       
       // Suggest stop loss price
       const currentPrice = await this.getCurrentPrice(orderData.symbol);
@@ -313,22 +731,24 @@ class RiskManagementService {
    */
   async monitorPortfolioRisk(userId) {
     try {
-      const monitoring = this.activeMonitoring.get(userId);
-      if (!monitoring || !monitoring.enabled) return;
+      const profile = await this.getRiskProfile(userId);
+      if (!profile.monitoring.enabled) {
+        return;
+      }
 
       const portfolio = await Portfolio.findByUserId(userId);
       if (!portfolio) return;
 
       const riskMetrics = await this.calculateRiskMetrics(userId, portfolio);
-      const alerts = this.checkRiskAlerts(userId, riskMetrics);
+      const alerts = this.checkRiskAlerts(profile.toObject().limits, riskMetrics);
 
       if (alerts.length > 0) {
         await this.sendRiskAlerts(userId, alerts);
       }
 
       // Update monitoring timestamp
-      monitoring.lastCheck = Date.now();
-      this.activeMonitoring.set(userId, monitoring);
+      profile.monitoring.lastCheck = new Date();
+      await profile.save();
 
     } catch (error) {
       logger.error(`Error monitoring portfolio risk for user ${userId}:`, error);
@@ -343,14 +763,15 @@ class RiskManagementService {
    */
   async calculateRiskMetrics(userId, portfolio) {
     const positions = await TradingPosition.findOpenPositions(userId);
-    const limits = this.riskLimits.get(userId);
-
-    // Value at Risk (VaR) calculation
-    const var95 = await this.calculateVaR(positions, 0.95);
-    const var99 = await this.calculateVaR(positions, 0.99);
+    const limits = await this.getRiskLimits(userId);
 
-    // Portfolio beta (market correlation)
-    const beta = await this.calculatePortfolioBeta(positions);
+    // Value at Risk and beta from the historical returns of the open positions
+    const risk = await riskAnalyticsService.getPortfolioRisk(
+      riskAnalyticsService.getPositionExposures(positions)
+    );
+    const historicalVaR = risk.valueAtRisk
+      ? risk.valueAtRisk.historical
+      : { var95: null, var99: null, cvar95: null, cvar99: null };
 
     // Concentration risk
     const concentrationRisk = this.calculateConcentrationRisk(portfolio);
@@ -362,9 +783,15 @@ class RiskManagementService {
     const diversificationScore = this.calculateDiversificationScore(portfolio);
 
     return {
-      var95,
-      var99,
-      beta,
+      ...historicalVaR,
+      drawdown: this.getDrawdown(portfolio),
+      dailyLoss: await this.getDailyLoss(userId, portfolio),
+      valueAtRisk: risk.valueAtRisk,
+      volatility: risk.volatility,
+      beta: risk.beta,
+      benchmark: risk.benchmark,
+      correlation: risk.correlation,
+      portfolioValue: portfolio?.totalValue?.current || 0,
       concentrationRisk,
       leverageUtilization,
       diversificationScore,
@@ -376,13 +803,12 @@ class RiskManagementService {
 
   /**
    * Check for risk alerts
-   * @param {string} userId - User ID
+   * @param {Object} limits - Risk limits
    * @param {Object} metrics - Risk metrics
    * @returns {Array} Risk alerts
    */
-  checkRiskAlerts(userId, metrics) {
+  checkRiskAlerts(limits, metrics) {
     const alerts = [];
-    const limits = this.riskLimits.get(userId);
 
     // Check drawdown
     if (metrics.drawdown > limits.maxDrawdown) {
@@ -405,7 +831,7 @@ class RiskManagementService {
     }
 
     // Check VaR
-    if (metrics.var95 > limits.maxDailyLoss * portfolio?.totalValue?.current) {
+    if (metrics.var95 > limits.maxDailyLoss * metrics.portfolioValue) {
       alerts.push({
         type: 'var',
         severity: 'high',
@@ -424,21 +850,17 @@ class RiskManagementService {
    */
   async sendRiskAlerts(userId, alerts) {
     try {
+      await this.recordEvents(
+        userId,
+        alerts.map(alert => ({ type: 'warning', rule: alert.type, message: alert.message })),
+        { source: 'monitor' }
+      );
+
       const user = await User.findById(userId);
       if (!user || !user.preferences.notifications.email.enabled) return;
 
       for (const alert of alerts) {
         logger.warn(`Risk alert for user ${userId}:`, alert);
-        
-        // Store alert in monitoring data
-        const monitoring = this.activeMonitoring.get(userId);
-        if (monitoring) {
-          monitoring.warnings.push({
-            ...alert,
-            timestamp: Date.now()
-          });
-          this.activeMonitoring.set(userId, monitoring);
-        }
 
         // Send notification (email, push, etc.)
         // Implementation would depend on notification service
@@ -449,29 +871,110 @@ class RiskManagementService {
     }
   }
 
+  /**
+   * Reject orders while the user's kill switch is engaged
+   * @param {string} userId - User ID
+   */
+  async assertTradingAllowed(userId) {
+    const killSwitch = await KillSwitch.findOne({ userId, engaged: true });
+    if (killSwitch) {
+      throw new Error(`Trading halted by kill switch: ${killSwitch.message}`);
+    }
+  }
+
+  /**
+   * Loss limits breached by the portfolio, for the circuit breakers
+   * @param {string} userId - User ID
+   * @param {Object} portfolio - Portfolio document
+   * @returns {Promise<Array>} Breaches as { type, value, limit, message }
+   */
+  async checkCircuitBreakers(userId, portfolio) {
+    const limits = await this.getRiskLimits(userId);
+    const breaches = [];
+
+    const dailyLoss = await this.getDailyLoss(userId, portfolio);
+    if (dailyLoss > limits.maxDailyLoss) {
+      breaches.push({
+        type: 'daily_loss',
+        value: dailyLoss,
+        limit: limits.maxDailyLoss,
+        message: `Daily loss ${(dailyLoss * 100).toFixed(2)}% exceeds limit of ${(limits.maxDailyLoss * 100).toFixed(2)}%`
+      });
+    }
+
+    const drawdown = this.getDrawdown(portfolio);
+    if (drawdown > limits.maxDrawdown) {
+      breaches.push({
+        type: 'drawdown',
+        value: drawdown,
+        limit: limits.maxDrawdown,
+        message: `Drawdown ${(drawdown * 100).toFixed(2)}% exceeds limit of ${(limits.maxDrawdown * 100).toFixed(2)}%`
+      });
+    }
+
+    return breaches;
+  }
+
+  /**
+   * Losses realized today as a fraction of the portfolio value
+   * @param {string} userId - User ID
+   * @param {Object} portfolio - Portfolio document
+   * @returns {Promise<number>} Daily loss fraction
+   */
+  async getDailyLoss(userId, portfolio) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const todayPositions = await TradingPosition.find({
+      userId,
+      exitDate: { $gte: today },
+      netPnL: { $lt: 0 }
+    });
+
+    const todayLoss = todayPositions.reduce((sum, pos) => sum + Math.abs(pos.netPnL), 0);
+    const portfolioValue = portfolio?.totalValue?.current || 100000;
+    return todayLoss / portfolioValue;
+  }
+
+  /**
+   * Current decline from the portfolio's high water mark
+   * @param {Object} portfolio - Portfolio document
+   * @returns {number} Drawdown fraction
+   */
+  getDrawdown(portfolio) {
+    const highWaterMark = portfolio?.performance?.highWaterMark?.value || 0;
+    if (highWaterMark <= 0) {
+      return 0;
+    }
+
+    return Math.max(0, (highWaterMark - portfolio.totalValue.current) / highWaterMark);
+  }
+
   // Helper methods
   async getCurrentPrice(symbol) {
     try {
       // Try to get unified price from multiple exchanges
-      const ticker = await marketDataService.getTicker(symbol);
-      return ticker.data?.unified?.averagePrice || ticker.data?.byExchange?.[0]?.last || 0;
+      const ticker = await marketDataService.getUnifiedTicker(symbol);
+      return ticker.unified?.averagePrice || ticker.byExchange?.[0]?.last || 0;
     } catch (error) {
       logger.warn(`Could not get price for ${symbol}:`, error);
       return 0;
     }
   }
 
+  /**
+   * Correlation of two assets' historical returns
+   * @param {string} asset1 - Asset symbol
+   * @param {string} asset2 - Asset symbol
+   * @returns {Promise<number|null>} Correlation, or null when there is no price history
+   */
   async calculateAssetCorrelation(asset1, asset2) {
-    // Simplified correlation calculation
-    // In production, this would use historical price data
-    if (asset1 === asset2) return 1.0;
-    
-    const correlationMap = {
-      'BTC': { 'ETH': 0.8, 'LTC': 0.7, 'BCH': 0.6 },
-      'ETH': { 'BTC': 0.8, 'LTC': 0.6, 'BCH': 0.5 }
-    };
-    
-    return correlationMap[asset1]?.[asset2] || 0.3; // Default low correlation
+    try {
+      return await riskAnalyticsService.calculateCorrelation(asset1, asset2);
+    } catch (error) {
+      logger.warn(`Could not correlate ${asset1} with ${asset2}:`, error.message);
+      return null;
+    }
   }
 
   getAssetClass(symbol) {
@@ -516,23 +1019,6 @@ class RiskManagementService {
     return Math.max(0, 1 - hhi);
   }
 
-  async calculateVaR(positions, confidence) {
-    // Simplified VaR calculation
-    // Production version would use historical simulation or Monte Carlo
-    const portfolioValue = positions.reduce((sum, pos) => sum + pos.entryValue, 0);
-    const volatility = 0.02; // Assume 2% daily volatility
-    
-    // Normal distribution approximation
-    const zScore = confidence === 0.95 ? 1.645 : 2.326; // 95% or 99%
-    return portfolioValue * volatility * zScore;
-  }
-
-  async calculatePortfolioBeta(positions) {
-    // Simplified beta calculation against BTC as market proxy
-    // Production version would use regression analysis
-    return 1.0; // Placeholder
-  }
-
   calculateLeverageUtilization(positions, limits) {
     // Calculate current leverage usage vs limits
     const totalLeverage = positions.reduce((sum, pos) => 
@@ -546,19 +1032,24 @@ class RiskManagementService {
   /**
    * Get risk management statistics
    * @param {string} userId - User ID
-   * @returns {Object} Risk management stats
+   * @returns {Promise<Object>} Risk management stats
    */
-  getRiskStats(userId) {
-    const limits = this.riskLimits.get(userId);
-    const monitoring = this.activeMonitoring.get(userId);
-    
+  async getRiskStats(userId) {
+    const profile = await this.getRiskProfile(userId);
+    const [violations, warnings] = await Promise.all([
+      this.getRiskEvents(userId, { type: 'violation', limit: 5 }),
+      this.getRiskEvents(userId, { type: 'warning', limit: 5 })
+    ]);
+
     return {
-      limitsConfigured: !!limits,
-      monitoringActive: monitoring?.enabled || false,
-      lastCheck: monitoring?.lastCheck,
-      recentViolations: monitoring?.violations?.slice(-5) || [],
-      recentWarnings: monitoring?.warnings?.slice(-5) || [],
-      riskProfile: limits ? this.getRiskProfileSummary(limits) : null
+      limitsConfigured: true,
+      profileVersion: profile.version,
+      pendingChanges: profile.pendingChanges.length,
+      monitoringActive: profile.monitoring.enabled,
+      lastCheck: profile.monitoring.lastCheck,
+      recentViolations: violations.events,
+      recentWarnings: warnings.events,
+      riskProfile: this.getRiskProfileSummary(profile.toObject().limits)
     };
   }
 
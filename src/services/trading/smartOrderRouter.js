@@ -0,0 +1,555 @@
+const Order = require('../../models/Order');
+const exchangeManager = require('../exchanges/exchangeManager');
+const marketDataService = require('../market/marketDataService');
+const tradingService = require('./tradingService');
+const riskManagementService = require('./riskManagementService');
+const tradingEventService = require('./tradingEventService');
+const logger = require('../../utils/logger');
+
+const EPSILON = 1e-12;
+
+/**
+ * Smart Order Router
+ * Splits market orders across the user's connected exchanges by walking the
+ * unified orderbook with each venue's taker fee applied, and tracks the
+ * per-exchange orders as children of a smart_router parent order.
+ */
+class SmartOrderRouter {
+  constructor() {
+    this.settings = {
+      depth: 100, // Merged orderbook levels to walk
+      defaultTakerFee: 0.001 // Used when a market does not publish its taker fee
+    };
+  }
+
+  /**
+   * Route a market order across connected exchanges
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Symbol, side, amount and optional strategy/notes
+   * @returns {Promise<Object>} Parent order, child orders and routing report
+   */
+  async routeOrder(userId, orderData) {
+    const symbol = orderData.symbol.toUpperCase();
+    const plan = await this.planRoute(userId, { ...orderData, symbol });
+
+    if (orderData.dryRun) {
+      return {
+        order: null,
+        children: [],
+        routing: this.buildReport(orderData.side, plan)
+      };
+    }
+
+    // The order passes the pre-trade gate as a whole, not per venue
+    await riskManagementService.assertOrderAllowed(userId, {
+      symbol,
+      side: orderData.side,
+      amount: orderData.amount,
+      price: plan.expected.averagePrice
+    });
+
+    const parent = new Order({
+      userId,
+      exchangeName: 'smart_router',
+      symbol,
+      type: 'market',
+      side: orderData.side,
+      amount: orderData.amount,
+      status: 'open',
+      timestamps: { submitted: new Date() },
+      metadata: {
+        strategy: orderData.strategy,
+        notes: orderData.notes,
+        routing: {
+          allocations: plan.allocations.map(allocation => ({
+            exchangeName: allocation.exchangeName,
+            amount: allocation.amount,
+            averagePrice: allocation.averagePrice,
+            takerFee: allocation.takerFee
+          })),
+          expectedPrice: plan.expected.averagePrice,
+          expectedEffectivePrice: plan.expected.effectivePrice,
+          singleVenue: plan.singleVenue && {
+            exchangeName: plan.singleVenue.exchangeName,
+            averagePrice: plan.singleVenue.averagePrice,
+            effectivePrice: plan.singleVenue.effectivePrice,
+            complete: plan.singleVenue.complete
+          }
+        }
+      }
+    });
+
+    await parent.save();
+    tradingEventService.publishOrderUpdate(parent);
+
+    const results = await Promise.allSettled(
+      plan.allocations.map(allocation =>
+        tradingService.placeOrder(
+          userId,
+          {
+            exchangeName: allocation.exchangeName,
+            symbol,
+            type: 'market',
+            side: orderData.side,
+            amount: allocation.orderAmount,
+            strategy: orderData.strategy,
+            notes: orderData.notes,
+            parentOrderId: parent._id
+          },
+          { riskChecked: true }
+        )
+      )
+    );
+
+    const failures = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failures.push({
+          exchangeName: plan.allocations[index].exchangeName,
+          amount: plan.allocations[index].orderAmount,
+          error: result.reason.message
+        });
+      }
+    });
+
+    const children = await this.syncParentOrder(parent);
+
+    logger.info('Smart order routed', {
+      userId,
+      orderId: parent._id,
+      symbol,
+      side: orderData.side,
+      amount: orderData.amount,
+      venues: plan.allocations.map(allocation => allocation.exchangeName),
+      failures: failures.length
+    });
+
+    return {
+      order: parent,
+      children,
+      routing: {
+        ...this.buildReport(orderData.side, plan, this.summarizeRealized(parent.symbol, parent.side, children)),
+        failures
+      }
+    };
+  }
+
+  /**
+   * Plan the split of an order across connected exchanges without placing it
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Symbol, side and amount
+   * @returns {Promise<Object>} Allocations, expected fill and best single-venue fill
+   */
+  async planRoute(userId, { symbol, side, amount }) {
+    const venues = await this.getVenues(userId, symbol);
+    if (venues.size === 0) {
+      throw new Error(`Symbol ${symbol} is not available on any connected exchange`);
+    }
+
+    const orderbook = await marketDataService.getUnifiedOrderbook(symbol, this.settings.depth);
+    const levels = (side === 'buy' ? orderbook.unified.asks : orderbook.unified.bids).filter(level =>
+      venues.has(level[2])
+    );
+
+    // Drop venues whose share falls below their minimum order size and re-walk
+    const excluded = new Set();
+    let fill;
+    let undersized;
+    do {
+      fill = this.walkBook(levels, side, amount, venues, excluded);
+      undersized = fill.allocations.filter(
+        allocation => allocation.amount < venues.get(allocation.exchangeName).minAmount
+      );
+      undersized.forEach(allocation => excluded.add(allocation.exchangeName));
+    } while (undersized.length > 0);
+
+    if (fill.filled < amount - EPSILON) {
+      throw new Error(
+        `Insufficient liquidity for ${amount} ${symbol} across connected exchanges. Available: ${fill.filled}`
+      );
+    }
+
+    const allocations = fill.allocations.map(allocation => {
+      const { exchange } = venues.get(allocation.exchangeName);
+      return {
+        ...allocation,
+        orderAmount:
+          typeof exchange.amountToPrecision === 'function'
+            ? parseFloat(exchange.amountToPrecision(symbol, allocation.amount))
+            : allocation.amount
+      };
+    });
+
+    return {
+      symbol,
+      side,
+      amount,
+      allocations,
+      expected: this.summarizeFill(side, fill),
+      singleVenue: this.getBestSingleVenue(levels, side, amount, venues),
+      excluded: Array.from(excluded)
+    };
+  }
+
+  /**
+   * Collect the user's connected exchanges that list the symbol
+   * @param {string} userId - User ID
+   * @param {string} symbol - Trading pair symbol
+   * @returns {Promise<Map>} Exchange name to { exchange, takerFee, minAmount }
+   */
+  async getVenues(userId, symbol) {
+    const venues = new Map();
+
+    await Promise.all(
+      (await exchangeManager.loadUserExchanges(userId)).map(async ({ name }) => {
+        try {
+          const exchange = exchangeManager.getExchange(userId, name);
+          if (!exchange) {
+            return;
+          }
+
+          await exchange.loadMarkets();
+          const market = exchange.markets && exchange.markets[symbol];
+          if (!market) {
+            return;
+          }
+
+          venues.set(name, {
+            exchange,
+            takerFee: typeof market.taker === 'number' ? market.taker : this.settings.defaultTakerFee,
+            minAmount: (market.limits && market.limits.amount && market.limits.amount.min) || 0
+          });
+        } catch (error) {
+          logger.warn(`Skipping ${name} for smart routing of ${symbol}:`, error.message);
+        }
+      })
+    );
+
+    return venues;
+  }
+
+  /**
+   * Walk orderbook levels in order of fee-adjusted price
+   * @param {Array} levels - [price, amount, exchange] levels
+   * @param {string} side - Order side
+   * @param {number} amount - Amount to fill
+   * @param {Map} venues - Venues keyed by exchange name
+   * @param {Set} excluded - Exchanges to leave out
+   * @returns {Object} Per-exchange allocations and totals
+   */
+  walkBook(levels, side, amount, venues, excluded = new Set()) {
+    const direction = side === 'buy' ? 1 : -1;
+    const candidates = levels
+      .filter(([, , exchangeName]) => venues.has(exchangeName) && !excluded.has(exchangeName))
+      .map(([price, size, exchangeName]) => ({
+        price,
+        size,
+        exchangeName,
+        effectivePrice: price * (1 + direction * venues.get(exchangeName).takerFee)
+      }))
+      .sort((a, b) => direction * (a.effectivePrice - b.effectivePrice));
+
+    const byExchange = new Map();
+    let remaining = amount;
+    let cost = 0;
+    let fees = 0;
+
+    for (const level of candidates) {
+      if (remaining <= EPSILON) {
+        break;
+      }
+
+      const take = Math.min(remaining, level.size);
+      const levelCost = take * level.price;
+      const levelFee = levelCost * venues.get(level.exchangeName).takerFee;
+
+      if (!byExchange.has(level.exchangeName)) {
+        byExchange.set(level.exchangeName, {
+          exchangeName: level.exchangeName,
+          takerFee: venues.get(level.exchangeName).takerFee,
+          amount: 0,
+          cost: 0,
+          fees: 0,
+          levels: 0,
+          worstPrice: level.price
+        });
+      }
+
+      const allocation = byExchange.get(level.exchangeName);
+      allocation.amount += take;
+      allocation.cost += levelCost;
+      allocation.fees += levelFee;
+      allocation.levels += 1;
+      allocation.worstPrice = level.price;
+
+      remaining -= take;
+      cost += levelCost;
+      fees += levelFee;
+    }
+
+    const allocations = Array.from(byExchange.values()).map(allocation => ({
+      ...allocation,
+      averagePrice: allocation.cost / allocation.amount
+    }));
+
+    return {
+      allocations,
+      filled: amount - Math.max(remaining, 0),
+      cost,
+      fees
+    };
+  }
+
+  /**
+   * Find the best fill available from a single exchange
+   * @param {Array} levels - [price, amount, exchange] levels
+   * @param {string} side - Order side
+   * @param {number} amount - Amount to fill
+   * @param {Map} venues - Venues keyed by exchange name
+   * @returns {Object|null} Best single-venue fill, preferring venues that fill completely
+   */
+  getBestSingleVenue(levels, side, amount, venues) {
+    let best = null;
+
+    for (const exchangeName of venues.keys()) {
+      const fill = this.walkBook(
+        levels.filter(level => level[2] === exchangeName),
+        side,
+        amount,
+        venues
+      );
+      if (fill.filled <= 0) {
+        continue;
+      }
+
+      const candidate = {
+        exchangeName,
+        ...this.summarizeFill(side, fill),
+        complete: fill.filled >= amount - EPSILON
+      };
+
+      const better =
+        !best ||
+        (candidate.complete && !best.complete) ||
+        (candidate.complete === best.complete &&
+          (candidate.complete
+            ? this.isBetterPrice(side, candidate.effectivePrice, best.effectivePrice)
+            : candidate.filled > best.filled));
+
+      if (better) {
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Summarize a fill into average and fee-adjusted prices
+   * @param {string} side - Order side
+   * @param {Object} fill - Totals with filled, cost and fees
+   * @returns {Object} Fill summary
+   */
+  summarizeFill(side, { filled, cost, fees }) {
+    return {
+      filled,
+      averagePrice: filled > 0 ? cost / filled : 0,
+      effectivePrice: filled > 0 ? (side === 'buy' ? cost + fees : cost - fees) / filled : 0,
+      fees
+    };
+  }
+
+  /**
+   * Summarize the fills reported for child orders
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} side - Order side
+   * @param {Array} children - Child orders
+   * @returns {Object|null} Realized fill, or null before anything has filled
+   */
+  summarizeRealized(symbol, side, children) {
+    const [base, quote] = symbol.split('/');
+    let filled = 0;
+    let cost = 0;
+    const fees = {};
+
+    children.forEach(child => {
+      filled += child.filled || 0;
+      cost += child.cost || 0;
+      if (child.fee && child.fee.currency && child.fee.cost) {
+        fees[child.fee.currency] = (fees[child.fee.currency] || 0) + child.fee.cost;
+      }
+    });
+
+    if (filled <= 0) {
+      return null;
+    }
+
+    // Fees charged in the base currency change the amount received or given up
+    const quoteFees = fees[quote] || 0;
+    const baseFees = fees[base] || 0;
+    const effectivePrice =
+      side === 'buy'
+        ? (cost + quoteFees) / (filled - baseFees)
+        : (cost - quoteFees) / (filled + baseFees);
+
+    return {
+      filled,
+      averagePrice: cost / filled,
+      effectivePrice,
+      fees
+    };
+  }
+
+  /**
+   * Build the routing report returned to clients
+   * @param {string} side - Order side
+   * @param {Object} plan - Routing plan
+   * @param {Object|null} realized - Realized fill
+   * @returns {Object} Allocations, expected, realized and single-venue prices
+   */
+  buildReport(side, plan, realized = null) {
+    const reference = plan.singleVenue && plan.singleVenue.effectivePrice;
+
+    return {
+      allocations: plan.allocations.map(allocation => ({
+        exchangeName: allocation.exchangeName,
+        amount: allocation.orderAmount,
+        averagePrice: allocation.averagePrice,
+        worstPrice: allocation.worstPrice,
+        takerFee: allocation.takerFee,
+        estimatedFee: allocation.fees,
+        levels: allocation.levels
+      })),
+      expected: plan.expected,
+      realized,
+      singleVenue: plan.singleVenue,
+      improvement: {
+        expected: this.getImprovement(side, reference, plan.expected.effectivePrice, plan.amount),
+        realized: realized && this.getImprovement(side, reference, realized.effectivePrice, realized.filled)
+      },
+      excluded: plan.excluded || []
+    };
+  }
+
+  /**
+   * Price improvement of a fill over a reference price
+   * @param {string} side - Order side
+   * @param {number} reference - Reference (single-venue) price
+   * @param {number} price - Achieved price
+   * @param {number} amount - Filled amount
+   * @returns {Object|null} Improvement in quote currency and basis points
+   */
+  getImprovement(side, reference, price, amount) {
+    if (!reference || !price) {
+      return null;
+    }
+
+    const difference = side === 'buy' ? reference - price : price - reference;
+    return {
+      amount: difference * amount,
+      bps: (difference / reference) * 10000
+    };
+  }
+
+  /**
+   * @param {string} side - Order side
+   * @param {number} price - Candidate price
+   * @param {number} reference - Price to beat
+   * @returns {boolean} Whether the candidate price is better for the side
+   */
+  isBetterPrice(side, price, reference) {
+    return side === 'buy' ? price < reference : price > reference;
+  }
+
+  /**
+   * Recompute a parent order's fills and status from its children
+   * @param {Object} parent - Smart router parent order
+   * @returns {Promise<Array>} Child orders
+   */
+  async syncParentOrder(parent) {
+    const children = await Order.find({
+      userId: parent.userId,
+      'metadata.parentOrderId': parent._id
+    }).sort({ createdAt: 1 });
+
+    const previous = tradingEventService.snapshotOrder(parent);
+    const filled = children.reduce((sum, child) => sum + (child.filled || 0), 0);
+    const active = children.some(child => child.isActive || child.status === 'partially_filled');
+
+    parent.filled = filled;
+    parent.cost = children.reduce((sum, child) => sum + (child.cost || 0), 0);
+    parent.remaining = Math.max(parent.amount - filled, 0);
+    parent.metadata.relatedOrders = children.map(child => ({
+      orderId: child._id,
+      relationship: 'child'
+    }));
+
+    if (active) {
+      parent.status = filled > 0 ? 'partially_filled' : 'open';
+    } else if (filled > 0) {
+      parent.status = 'closed';
+    } else {
+      parent.status = children.every(child => child.status === 'rejected') ? 'rejected' : 'canceled';
+    }
+
+    if (parent.isComplete && !parent.timestamps.closed) {
+      parent.timestamps.closed = new Date();
+    }
+    if (parent.status === 'closed' && !parent.timestamps.filled) {
+      parent.timestamps.filled = new Date();
+    }
+
+    await parent.save();
+    // Children already published their balance changes
+    tradingEventService.publishOrderUpdate(parent, previous, { balanceChanges: false });
+
+    return children;
+  }
+
+  /**
+   * Get a smart order with refreshed child fills
+   * @param {string} userId - User ID
+   * @param {string} orderId - Parent order ID
+   * @returns {Promise<Object>} Parent order, child orders and routing report
+   */
+  async getSmartOrder(userId, orderId) {
+    const parent = await Order.findOne({ _id: orderId, userId, exchangeName: 'smart_router' });
+    if (!parent) {
+      throw new Error('Smart order not found');
+    }
+
+    const pending = await Order.find({
+      userId,
+      'metadata.parentOrderId': parent._id,
+      status: { $in: ['pending', 'open', 'partially_filled'] }
+    });
+    for (const child of pending) {
+      await tradingService.updateOrderStatus(userId, child._id.toString());
+    }
+
+    const children = await this.syncParentOrder(parent);
+    const routing = parent.metadata.routing || {};
+    const realized = this.summarizeRealized(parent.symbol, parent.side, children);
+    const reference = routing.singleVenue && routing.singleVenue.effectivePrice;
+
+    return {
+      order: parent,
+      children,
+      routing: {
+        allocations: routing.allocations,
+        expected: {
+          averagePrice: routing.expectedPrice,
+          effectivePrice: routing.expectedEffectivePrice
+        },
+        realized,
+        singleVenue: routing.singleVenue,
+        improvement: {
+          expected: this.getImprovement(parent.side, reference, routing.expectedEffectivePrice, parent.amount),
+          realized: realized && this.getImprovement(parent.side, reference, realized.effectivePrice, realized.filled)
+        }
+      }
+    };
+  }
+}
+
+module.exports = new SmartOrderRouter();
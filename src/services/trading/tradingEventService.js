@@ -0,0 +1,203 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Trading Event Service
+ * Publishes private order and balance events for each user. Every event
+ * gets a per-user sequence number and is kept in a bounded replay buffer
+ * so clients that reconnect can fetch the events they missed.
+ */
+class TradingEventService extends EventEmitter {
+  constructor() {
+    super();
+    // Changes on every restart so clients know their sequence numbers are stale
+    this.epoch = crypto.randomBytes(8).toString('hex');
+    this.sequences = new Map();
+    this.buffers = new Map();
+    this.maxBufferedEvents = 500;
+  }
+
+  /**
+   * Capture the order fields compared by publishOrderUpdate
+   * @param {Object} order - Order document
+   * @returns {Object} Order state before a change
+   */
+  snapshotOrder(order) {
+    return {
+      status: order.status,
+      filled: order.filled || 0,
+      cost: order.cost || 0,
+      fee: order.fee?.cost || 0
+    };
+  }
+
+  /**
+   * Publish an order status change, plus a balance delta when it filled
+   * @param {Object} order - Order document after the change
+   * @param {Object|null} previous - Snapshot from snapshotOrder, null for new orders
+   * @param {Object} options - Publish options
+   * @param {boolean} options.balanceChanges - Set to false when the fill did not move balances
+   * @returns {Object|null} Published order event, or null if nothing changed
+   */
+  publishOrderUpdate(order, previous = null, { balanceChanges = true } = {}) {
+    try {
+      const before = previous || { status: null, filled: 0, cost: 0, fee: 0 };
+      const current = this.snapshotOrder(order);
+
+      if (previous && before.status === current.status && before.filled === current.filled) {
+        return null;
+      }
+
+      const event = this.publish(order.userId, 'order', {
+        ...this.summarizeOrder(order),
+        previousStatus: before.status
+      });
+
+      if (balanceChanges && current.filled > before.filled) {
+        this.publish(order.userId, 'balance', {
+          exchangeName: order.exchangeName,
+          orderId: order._id,
+          symbol: order.symbol,
+          changes: this.calculateBalanceChanges(order, before, current)
+        });
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('Failed to publish order update', {
+        orderId: order._id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Publish an event to a user's stream
+   * @param {string} userId - User ID
+   * @param {string} type - Event type (order, balance)
+   * @param {Object} data - Event payload
+   * @returns {Object} Published event
+   */
+  publish(userId, type, data) {
+    const key = userId.toString();
+    const sequence = (this.sequences.get(key) || 0) + 1;
+    this.sequences.set(key, sequence);
+
+    const event = {
+      sequence,
+      type,
+      userId: key,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!this.buffers.has(key)) {
+      this.buffers.set(key, []);
+    }
+    const buffer = this.buffers.get(key);
+    buffer.push(event);
+    if (buffer.length > this.maxBufferedEvents) {
+      buffer.splice(0, buffer.length - this.maxBufferedEvents);
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Get the latest sequence number for a user
+   * @param {string} userId - User ID
+   * @returns {number} Sequence number (0 if no events yet)
+   */
+  getSequence(userId) {
+    return this.sequences.get(userId.toString()) || 0;
+  }
+
+  /**
+   * Get the events a client missed since its last sequence number
+   * @param {string} userId - User ID
+   * @param {number} lastSequence - Last sequence number the client processed
+   * @param {string} epoch - Epoch the client's sequence numbers belong to
+   * @returns {Object} Missed events; complete is false when the client must reload from the API
+   */
+  getEventsSince(userId, lastSequence, epoch = this.epoch) {
+    const sequence = this.getSequence(userId);
+    const buffer = this.buffers.get(userId.toString()) || [];
+    const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+
+    const complete = epoch === this.epoch && lastSequence <= sequence && lastSequence >= oldest - 1;
+
+    return {
+      epoch: this.epoch,
+      sequence,
+      complete,
+      events: complete ? buffer.filter(event => event.sequence > lastSequence) : []
+    };
+  }
+
+  /**
+   * Calculate how a fill moved the user's balances
+   * @param {Object} order - Order document
+   * @param {Object} before - State before the fill
+   * @param {Object} current - State after the fill
+   * @returns {Object} Balance change per asset
+   */
+  calculateBalanceChanges(order, before, current) {
+    const [baseAsset, quoteAsset] = order.symbol.split('/');
+    const filled = current.filled - before.filled;
+    const cost = current.cost - before.cost;
+    const direction = order.side === 'buy' ? 1 : -1;
+
+    const changes = {
+      [baseAsset]: direction * filled,
+      [quoteAsset]: -direction * cost
+    };
+
+    const fee = current.fee - before.fee;
+    if (fee > 0 && order.fee?.currency) {
+      changes[order.fee.currency] = (changes[order.fee.currency] || 0) - fee;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Build the order payload sent to clients
+   * @param {Object} order - Order document
+   * @returns {Object} Order summary
+   */
+  summarizeOrder(order) {
+    return {
+      id: order._id,
+      clientOrderId: order.clientOrderId,
+      exchangeOrderId: order.exchangeOrderId,
+      exchangeName: order.exchangeName,
+      symbol: order.symbol,
+      type: order.type,
+      side: order.side,
+      amount: order.amount,
+      price: order.price,
+      stopPrice: order.stopPrice,
+      status: order.status,
+      filled: order.filled || 0,
+      remaining: order.remaining,
+      averagePrice: order.averagePrice,
+      cost: order.cost || 0,
+      isPaperTrade: order.isPaperTrade || false
+    };
+  }
+
+  getStats() {
+    return {
+      epoch: this.epoch,
+      users: this.sequences.size,
+      bufferedEvents: Array.from(this.buffers.values()).reduce((sum, buffer) => sum + buffer.length, 0)
+    };
+  }
+}
+
+const tradingEventService = new TradingEventService();
+
+module.exports = tradingEventService;
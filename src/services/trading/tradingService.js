@@ -1,5 +1,9 @@
 const Order = require('../../models/Order');
 const exchangeManager = require('../exchanges/exchangeManager');
+const tradingEventService = require('./tradingEventService');
+const feeService = require('./feeService');
+const riskManagementService = require('./riskManagementService');
+const permissionDetector = require('../exchanges/permissionDetector');
 const logger = require('../../utils/logger');
 
 class TradingService {
@@ -9,9 +13,9 @@ class TradingService {
     this.startOrderMonitoring();
   }
 
-  async placeOrder(userId, orderData) {
+  async placeOrder(userId, orderData, options = {}) {
     try {
-      const validatedOrder = await this.validateOrder(userId, orderData);
+      const validatedOrder = await this.validateOrder(userId, orderData, options);
 
       const order = new Order({
         userId,
@@ -25,22 +29,32 @@ class TradingService {
         timeInForce: orderData.timeInForce || 'GTC',
         reduceOnly: orderData.reduceOnly || false,
         postOnly: orderData.postOnly || false,
+        estimatedFee: validatedOrder.feeEstimate || undefined,
         metadata: {
           strategy: orderData.strategy,
-          notes: orderData.notes
+          strategyId: orderData.strategyId,
+          notes: orderData.notes,
+          parentOrderId: orderData.parentOrderId
         }
       });
 
       await order.save();
+      tradingEventService.publishOrderUpdate(order);
+
+      const previous = tradingEventService.snapshotOrder(order);
 
       try {
         const exchangeOrder = await this.submitOrderToExchange(userId, order);
 
         order.updateFromExchange(exchangeOrder);
-        order.status = 'open';
+        // Keep the exchange status when it already reports a fill or rejection
+        if (order.status === 'pending') {
+          order.status = 'open';
+        }
         order.timestamps.submitted = new Date();
 
         await order.save();
+        tradingEventService.publishOrderUpdate(order, previous);
 
         if (order.isActive) {
           this.activeOrders.set(order._id.toString(), order);
@@ -62,6 +76,7 @@ class TradingService {
         order.status = 'rejected';
         order.addError(exchangeError.message, exchangeError.code, 'exchange');
         await order.save();
+        tradingEventService.publishOrderUpdate(order, previous);
 
         logger.error('Order rejected by exchange', {
           userId,
@@ -81,7 +96,7 @@ class TradingService {
     }
   }
 
-  async validateOrder(userId, orderData) {
+  async validateOrder(userId, orderData, options = {}) {
     const requiredFields = ['exchangeName', 'symbol', 'type', 'side', 'amount'];
     const missingFields = requiredFields.filter(field => !orderData[field]);
 
@@ -118,18 +133,44 @@ class TradingService {
       throw new Error(`Stop price is required for ${orderData.type} orders`);
     }
 
-    const exchange = exchangeManager.getExchange(userId, orderData.exchangeName);
+    const exchange = await exchangeManager.loadExchange(userId, orderData.exchangeName);
     if (!exchange) {
       throw new Error(`Exchange ${orderData.exchangeName} is not connected for this user`);
     }
 
-    await this.validateBalance(userId, orderData);
+    const feeEstimate = await this.estimateFee(userId, orderData);
+
+    await this.validateBalance(userId, orderData, feeEstimate);
     await this.validateSymbol(userId, orderData);
+    await this.validatePermissions(userId, orderData);
+
+    const riskCheck = await riskManagementService.assertOrderAllowed(userId, orderData, options);
+
+    return { ...orderData, feeEstimate, riskCheck };
+  }
 
-    return orderData;
+  /**
+   * Estimate the fee an order will pay from the user's fee schedule.
+   * An unavailable schedule does not block the order.
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Order parameters
+   * @returns {Promise<Object|null>} Fee estimate or null
+   */
+  async estimateFee(userId, orderData) {
+    try {
+      return await feeService.estimateFee(userId, orderData);
+    } catch (error) {
+      logger.warn('Fee estimate unavailable', {
+        userId,
+        exchangeName: orderData.exchangeName,
+        symbol: orderData.symbol,
+        error: error.message
+      });
+      return null;
+    }
   }
 
-  async validateBalance(userId, orderData) {
+  async validateBalance(userId, orderData, feeEstimate = null) {
     try {
       const exchange = exchangeManager.getExchange(userId, orderData.exchangeName);
       const balance = await exchange.fetchBalance();
@@ -145,6 +186,11 @@ class TradingService {
         } else {
           requiredAmount = orderData.amount * orderData.price;
         }
+
+        // Buys pay their fee in the quote currency on top of the order value
+        if (feeEstimate && feeEstimate.currency === requiredCurrency) {
+          requiredAmount += feeEstimate.cost;
+        }
       } else {
         requiredAmount = orderData.amount;
       }
@@ -166,6 +212,29 @@ class TradingService {
     }
   }
 
+  /**
+   * Check the exchange API key may trade the order's market type. Keys whose
+   * permissions were never detected, or not verified for that market type,
+   * are left to the exchange to reject.
+   * @param {string} userId - User ID
+   * @param {Object} orderData - Order parameters
+   */
+  async validatePermissions(userId, orderData) {
+    const { exchangeName, symbol } = orderData;
+    const permissions = await exchangeManager.getPermissions(userId, exchangeName);
+    if (!permissions) {
+      return;
+    }
+
+    const exchange = exchangeManager.getExchange(userId, exchangeName);
+    const markets = await exchange.loadMarkets();
+    const marketType = permissionDetector.getMarketType(markets[symbol], orderData);
+
+    if (!permissions[marketType] && !(permissions.unverified || []).includes(marketType)) {
+      throw new Error(`API key for ${exchangeName} is not permitted to trade ${marketType}`);
+    }
+  }
+
   async validateSymbol(userId, orderData) {
     try {
       const exchange = exchangeManager.getExchange(userId, orderData.exchangeName);
@@ -265,16 +334,18 @@ class TradingService {
         throw new Error('Cannot cancel completed order');
       }
 
-      const exchange = exchangeManager.getExchange(userId, order.exchangeName);
+      const exchange = await exchangeManager.loadExchange(userId, order.exchangeName);
       if (!exchange) {
         throw new Error(`Exchange ${order.exchangeName} is not connected`);
       }
 
       await exchange.cancelOrder(order.exchangeOrderId, order.symbol);
 
+      const previous = tradingEventService.snapshotOrder(order);
       order.status = 'canceled';
       order.timestamps.canceled = new Date();
       await order.save();
+      tradingEventService.publishOrderUpdate(order, previous);
 
       this.activeOrders.delete(orderId);
 
@@ -372,14 +443,16 @@ class TradingService {
         return order;
       }
 
-      const exchange = exchangeManager.getExchange(userId, order.exchangeName);
+      const exchange = await exchangeManager.loadExchange(userId, order.exchangeName);
       if (!exchange) {
         return order;
       }
 
       const exchangeOrder = await exchange.fetchOrder(order.exchangeOrderId, order.symbol);
+      const previous = tradingEventService.snapshotOrder(order);
       order.updateFromExchange(exchangeOrder);
       await order.save();
+      tradingEventService.publishOrderUpdate(order, previous);
 
       if (order.isComplete) {
         this.activeOrders.delete(orderId);
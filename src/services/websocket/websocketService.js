@@ -3,15 +3,22 @@ const jwt = require('jsonwebtoken');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const marketDataService = require('../market/marketDataService');
+const marketStreamService = require('../market/marketStreamService');
 const tradingService = require('../trading/tradingService');
+const tradingEventService = require('../trading/tradingEventService');
 const exchangeManager = require('../exchanges/exchangeManager');
 
+const SYMBOL_PATTERN = /^[A-Z0-9]+\/[A-Z0-9]+(:[A-Z0-9]+)?$/;
+
+const isValidSymbol = symbol => typeof symbol === 'string' && SYMBOL_PATTERN.test(symbol);
+
 class WebSocketService {
   constructor() {
     this.io = null;
     this.connectedUsers = new Map();
     this.subscriptions = new Map();
     this.marketDataUnsubscribe = null;
+    this.tradingEventListener = null;
   }
 
   initialize(server) {
@@ -28,6 +35,7 @@ class WebSocketService {
     this.setupAuthentication();
     this.setupEventHandlers();
     this.subscribeToMarketData();
+    this.subscribeToTradingEvents();
 
     logger.info('WebSocket service initialized');
   }
@@ -91,6 +99,8 @@ class WebSocketService {
     socket.emit('connected', {
       message: 'Connected to Wire-Trader WebSocket',
       userId,
+      epoch: tradingEventService.epoch,
+      sequence: tradingEventService.getSequence(userId),
       timestamp: new Date().toISOString()
     });
 
@@ -136,6 +146,11 @@ class WebSocketService {
       this.handleBalancesUnsubscription(socket);
     });
 
+    // Replay order and balance events missed while disconnected
+    socket.on('resync', data => {
+      this.handleResync(socket, data);
+    });
+
     // Handle ping/pong for connection health
     socket.on('ping', () => {
       socket.emit('pong', { timestamp: Date.now() });
@@ -159,19 +174,13 @@ class WebSocketService {
   handleTickerSubscription(socket, data) {
     try {
       const { symbols } = data;
-      if (!Array.isArray(symbols) || symbols.length === 0) {
+      if (!Array.isArray(symbols) || symbols.length === 0 || !symbols.every(isValidSymbol)) {
         socket.emit('error', { message: 'Invalid symbols array' });
         return;
       }
 
       symbols.forEach(symbol => {
-        const room = `ticker:${symbol}`;
-        socket.join(room);
-
-        if (!this.subscriptions.has(room)) {
-          this.subscriptions.set(room, new Set());
-        }
-        this.subscriptions.get(room).add(socket.id);
+        this.addMarketSubscription(socket, 'ticker', symbol);
       });
 
       socket.emit('subscribed:ticker', { symbols });
@@ -195,15 +204,8 @@ class WebSocketService {
       }
 
       symbols.forEach(symbol => {
-        const room = `ticker:${symbol}`;
-        socket.leave(room);
-
-        if (this.subscriptions.has(room)) {
-          this.subscriptions.get(room).delete(socket.id);
-          if (this.subscriptions.get(room).size === 0) {
-            this.subscriptions.delete(room);
-          }
-        }
+        socket.leave(`ticker:${symbol}`);
+        this.removeMarketSubscription(socket.id, `ticker:${symbol}`);
       });
 
       socket.emit('unsubscribed:ticker', { symbols });
@@ -216,19 +218,13 @@ class WebSocketService {
   handleOrderbookSubscription(socket, data) {
     try {
       const { symbols } = data;
-      if (!Array.isArray(symbols) || symbols.length === 0) {
+      if (!Array.isArray(symbols) || symbols.length === 0 || !symbols.every(isValidSymbol)) {
         socket.emit('error', { message: 'Invalid symbols array' });
         return;
       }
 
       symbols.forEach(symbol => {
-        const room = `orderbook:${symbol}`;
-        socket.join(room);
-
-        if (!this.subscriptions.has(room)) {
-          this.subscriptions.set(room, new Set());
-        }
-        this.subscriptions.get(room).add(socket.id);
+        this.addMarketSubscription(socket, 'orderbook', symbol);
       });
 
       socket.emit('subscribed:orderbook', { symbols });
@@ -247,15 +243,8 @@ class WebSocketService {
       }
 
       symbols.forEach(symbol => {
-        const room = `orderbook:${symbol}`;
-        socket.leave(room);
-
-        if (this.subscriptions.has(room)) {
-          this.subscriptions.get(room).delete(socket.id);
-          if (this.subscriptions.get(room).size === 0) {
-            this.subscriptions.delete(room);
-          }
-        }
+        socket.leave(`orderbook:${symbol}`);
+        this.removeMarketSubscription(socket.id, `orderbook:${symbol}`);
       });
 
       socket.emit('unsubscribed:orderbook', { symbols });
@@ -268,19 +257,13 @@ class WebSocketService {
   handleTradesSubscription(socket, data) {
     try {
       const { symbols } = data;
-      if (!Array.isArray(symbols) || symbols.length === 0) {
+      if (!Array.isArray(symbols) || symbols.length === 0 || !symbols.every(isValidSymbol)) {
         socket.emit('error', { message: 'Invalid symbols array' });
         return;
       }
 
       symbols.forEach(symbol => {
-        const room = `trades:${symbol}`;
-        socket.join(room);
-
-        if (!this.subscriptions.has(room)) {
-          this.subscriptions.set(room, new Set());
-        }
-        this.subscriptions.get(room).add(socket.id);
+        this.addMarketSubscription(socket, 'trades', symbol);
       });
 
       socket.emit('subscribed:trades', { symbols });
@@ -299,15 +282,8 @@ class WebSocketService {
       }
 
       symbols.forEach(symbol => {
-        const room = `trades:${symbol}`;
-        socket.leave(room);
-
-        if (this.subscriptions.has(room)) {
-          this.subscriptions.get(room).delete(socket.id);
-          if (this.subscriptions.get(room).size === 0) {
-            this.subscriptions.delete(room);
-          }
-        }
+        socket.leave(`trades:${symbol}`);
+        this.removeMarketSubscription(socket.id, `trades:${symbol}`);
       });
 
       socket.emit('unsubscribed:trades', { symbols });
@@ -321,7 +297,11 @@ class WebSocketService {
     try {
       const room = `orders:${socket.userId}`;
       socket.join(room);
-      socket.emit('subscribed:orders', { userId: socket.userId });
+      socket.emit('subscribed:orders', {
+        userId: socket.userId,
+        epoch: tradingEventService.epoch,
+        sequence: tradingEventService.getSequence(socket.userId)
+      });
 
       logger.info('Client subscribed to order updates', {
         userId: socket.userId
@@ -347,7 +327,11 @@ class WebSocketService {
     try {
       const room = `balances:${socket.userId}`;
       socket.join(room);
-      socket.emit('subscribed:balances', { userId: socket.userId });
+      socket.emit('subscribed:balances', {
+        userId: socket.userId,
+        epoch: tradingEventService.epoch,
+        sequence: tradingEventService.getSequence(socket.userId)
+      });
 
       logger.info('Client subscribed to balance updates', {
         userId: socket.userId
@@ -369,6 +353,36 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Send a reconnecting client the order and balance events it missed.
+   * When the events are no longer buffered (or the server restarted),
+   * complete is false and the client should reload orders and balances.
+   * @param {Object} socket - Client socket
+   * @param {Object} data - { epoch, lastSequence } from the client's last event
+   */
+  handleResync(socket, data) {
+    try {
+      const { epoch, lastSequence } = data || {};
+      if (!Number.isInteger(lastSequence) || lastSequence < 0) {
+        socket.emit('error', { message: 'Invalid lastSequence' });
+        return;
+      }
+
+      const result = tradingEventService.getEventsSince(socket.userId, lastSequence, epoch);
+      const rooms = socket.rooms || new Set();
+
+      socket.emit('resync', {
+        ...result,
+        events: result.events.filter(event =>
+          rooms.has(event.type === 'order' ? `orders:${socket.userId}` : `balances:${socket.userId}`)
+        )
+      });
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to resync events' });
+      logger.error('Resync error', error);
+    }
+  }
+
   handleDisconnection(socket, reason) {
     const userId = socket.userId;
 
@@ -381,11 +395,8 @@ class WebSocketService {
     }
 
     // Clean up subscriptions
-    this.subscriptions.forEach((sockets, room) => {
-      sockets.delete(socket.id);
-      if (sockets.size === 0) {
-        this.subscriptions.delete(room);
-      }
+    Array.from(this.subscriptions.keys()).forEach(room => {
+      this.removeMarketSubscription(socket.id, room);
     });
 
     logger.info('WebSocket client disconnected', {
@@ -396,14 +407,73 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Join a market data room, starting the exchange stream for its first subscriber
+   * @param {Object} socket - Client socket
+   * @param {string} channel - ticker, orderbook or trades
+   * @param {string} symbol - Trading symbol
+   */
+  addMarketSubscription(socket, channel, symbol) {
+    const room = `${channel}:${symbol}`;
+    socket.join(room);
+
+    if (!this.subscriptions.has(room)) {
+      this.subscriptions.set(room, new Set());
+    }
+
+    const sockets = this.subscriptions.get(room);
+    if (sockets.has(socket.id)) {
+      return;
+    }
+
+    sockets.add(socket.id);
+    if (sockets.size === 1) {
+      marketStreamService.subscribe(channel, symbol);
+    }
+  }
+
+  /**
+   * Remove a socket from a market data room, stopping the stream when the room empties
+   * @param {string} socketId - Client socket ID
+   * @param {string} room - Room name (channel:symbol)
+   */
+  removeMarketSubscription(socketId, room) {
+    const sockets = this.subscriptions.get(room);
+    if (!sockets || !sockets.delete(socketId)) {
+      return;
+    }
+
+    if (sockets.size === 0) {
+      this.subscriptions.delete(room);
+
+      const separator = room.indexOf(':');
+      marketStreamService.unsubscribe(room.slice(0, separator), room.slice(separator + 1));
+    }
+  }
+
   subscribeToMarketData() {
     this.marketDataUnsubscribe = marketDataService.subscribe((type, data) => {
       if (type === 'ticker') {
         this.broadcastTicker(data.symbol, data.data);
+      } else if (type === 'orderbook') {
+        this.broadcastOrderbook(data.symbol, data.data);
+      } else if (type === 'trades') {
+        this.broadcastTrades(data.symbol, data.data);
       }
     });
   }
 
+  subscribeToTradingEvents() {
+    this.tradingEventListener = event => {
+      if (event.type === 'order') {
+        this.notifyOrderUpdate(event.userId, event.data, event.sequence);
+      } else if (event.type === 'balance') {
+        this.notifyBalanceUpdate(event.userId, event.data, event.sequence);
+      }
+    };
+    tradingEventService.on('event', this.tradingEventListener);
+  }
+
   broadcastTicker(symbol, tickerData) {
     const room = `ticker:${symbol}`;
     this.io.to(room).emit('ticker:update', {
@@ -431,27 +501,38 @@ class WebSocketService {
     });
   }
 
-  notifyOrderUpdate(userId, orderData) {
+  notifyOrderUpdate(userId, orderData, sequence) {
     const room = `orders:${userId}`;
     this.io.to(room).emit('order:update', {
+      sequence,
       data: orderData,
       timestamp: new Date().toISOString()
     });
   }
 
-  notifyBalanceUpdate(userId, balanceData) {
+  notifyBalanceUpdate(userId, balanceData, sequence) {
     const room = `balances:${userId}`;
     this.io.to(room).emit('balance:update', {
+      sequence,
       data: balanceData,
       timestamp: new Date().toISOString()
     });
   }
 
-  notifyUserMessage(userId, message, type = 'info') {
+  notifyUserMessage(userId, message, type = 'info', data = undefined) {
     const room = `user:${userId}`;
     this.io.to(room).emit('notification', {
       type,
       message,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  notifyBackfillProgress(userId, progress) {
+    const room = `user:${userId}`;
+    this.io.to(room).emit('backfill:progress', {
+      data: progress,
       timestamp: new Date().toISOString()
     });
   }
@@ -485,6 +566,14 @@ class WebSocketService {
       this.marketDataUnsubscribe();
     }
 
+    if (this.tradingEventListener) {
+      tradingEventService.off('event', this.tradingEventListener);
+      this.tradingEventListener = null;
+    }
+
+    marketStreamService.stop();
+    this.subscriptions.clear();
+
     if (this.io) {
       this.io.close();
     }
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+/**
+ * AES-256-GCM helpers
+ * Sealed values are stored as "iv:authTag:ciphertext", each part base64 encoded.
+ */
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+/**
+ * Encrypt and authenticate a value
+ * @param {Buffer} key - 32 byte key
+ * @param {Buffer|string} plaintext - Value to encrypt, strings as UTF-8
+ * @param {string} aad - Additional authenticated data the value is bound to
+ * @returns {string} Sealed value
+ */
+function seal(key, plaintext, aad = '') {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a sealed value, failing if it or its additional data was altered
+ * @param {Buffer} key - 32 byte key
+ * @param {string} sealed - Sealed value
+ * @param {string} aad - Additional authenticated data used when sealing
+ * @returns {Buffer} Plaintext
+ */
+function open(key, sealed, aad = '') {
+  const parts = String(sealed).split(':');
+  if (parts.length !== 3) {
+    throw new Error('Malformed encrypted value');
+  }
+
+  const [iv, authTag, ciphertext] = parts.map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Generate a random key
+ * @returns {Buffer} 32 byte key
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+module.exports = {
+  KEY_LENGTH,
+  seal,
+  open,
+  generateKey
+};
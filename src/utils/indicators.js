@@ -0,0 +1,83 @@
+/**
+ * Technical indicator helpers
+ * All functions take an array of numbers (oldest first) and return the
+ * latest indicator value, or null when there is not enough data
+ */
+
+/**
+ * Simple moving average
+ * @param {Array<number>} values - Input series
+ * @param {number} period - Lookback period
+ * @returns {number|null} Latest SMA value
+ */
+const sma = (values, period) => {
+  if (!Array.isArray(values) || period <= 0 || values.length < period) {
+    return null;
+  }
+
+  const window = values.slice(-period);
+  return window.reduce((sum, value) => sum + value, 0) / period;
+};
+
+/**
+ * Exponential moving average, seeded with the SMA of the first period
+ * @param {Array<number>} values - Input series
+ * @param {number} period - Lookback period
+ * @returns {number|null} Latest EMA value
+ */
+const ema = (values, period) => {
+  if (!Array.isArray(values) || period <= 0 || values.length < period) {
+    return null;
+  }
+
+  const multiplier = 2 / (period + 1);
+  let current = sma(values.slice(0, period), period);
+
+  for (let i = period; i < values.length; i++) {
+    current = (values[i] - current) * multiplier + current;
+  }
+
+  return current;
+};
+
+/**
+ * Relative strength index using Wilder's smoothing
+ * @param {Array<number>} values - Input series
+ * @param {number} period - Lookback period
+ * @returns {number|null} Latest RSI value (0-100)
+ */
+const rsi = (values, period = 14) => {
+  if (!Array.isArray(values) || period <= 0 || values.length <= period) {
+    return null;
+  }
+
+  let averageGain = 0;
+  let averageLoss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    averageGain += Math.max(change, 0);
+    averageLoss += Math.max(-change, 0);
+  }
+
+  averageGain /= period;
+  averageLoss /= period;
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (averageLoss === 0) {
+    return 100;
+  }
+
+  return 100 - 100 / (1 + averageGain / averageLoss);
+};
+
+module.exports = {
+  sma,
+  ema,
+  rsi
+};
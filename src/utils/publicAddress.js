@@ -0,0 +1,81 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Public address helpers
+ * Keep server-side requests to user supplied URLs off loopback, private,
+ * link-local and other non-public networks.
+ */
+const NON_PUBLIC_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, embeds IPv4 addresses
+  ['fc00::', 7, 'ipv6'], // unique-local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+const nonPublic = new net.BlockList();
+for (const [network, prefix, family] of NON_PUBLIC_RANGES) {
+  nonPublic.addSubnet(network, prefix, family);
+}
+
+/**
+ * Check whether an IP address is publicly routable
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for public addresses, false otherwise or if not an IP
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+
+  return !nonPublic.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup replacement for http(s) requests that fails when a host
+ * resolves to any non-public address. Checking in the lookup means the
+ * address checked is the address connected to.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(entry => !isPublicAddress(entry));
+
+    if (blocked) {
+      const lookupError = new Error(`${hostname} resolves to non-public address ${blocked}`);
+      lookupError.code = 'ENONPUBLIC';
+      callback(lookupError);
+      return;
+    }
+
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  publicLookup
+};
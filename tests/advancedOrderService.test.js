@@ -0,0 +1,513 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  loadExchange: jest.fn(() => Promise.resolve(null))
+}));
+jest.mock('../src/services/market/marketDataService', () => ({
+  getCandles: jest.fn(),
+  getUnifiedTicker: jest.fn()
+}));
+jest.mock('../src/services/trading/paperTradingService', () => ({
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  checkAndExecuteLimitOrder: jest.fn(),
+  shouldExecuteOrder: jest.requireActual('../src/services/trading/paperTradingService').shouldExecuteOrder
+}));
+jest.mock('../src/services/trading/tradingService', () => ({
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+
+const advancedOrderService = require('../src/services/trading/advancedOrderService');
+const marketDataService = require('../src/services/market/marketDataService');
+const paperTradingService = require('../src/services/trading/paperTradingService');
+const tradingService = require('../src/services/trading/tradingService');
+const riskManagementService = require('../src/services/trading/riskManagementService');
+const Order = require('../src/models/Order');
+const User = require('../src/models/User');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2024-01-01T10:00:00Z');
+
+const buildAlgoOrder = (schedule, overrides = {}) => {
+  const amount = schedule.reduce((sum, slice) => sum + slice.size, 0);
+  return {
+    _id: '64b0000000000000000000aa',
+    userId: '64b000000000000000000001',
+    exchangeName: 'paper_trading',
+    symbol: 'BTC/USDT',
+    side: 'buy',
+    type: 'twap',
+    amount,
+    status: 'open',
+    filled: 0,
+    cost: 0,
+    timestamps: {},
+    advancedOrderData: {
+      twap: {
+        schedule,
+        nextSlice: 0,
+        nextSliceAt: schedule[0].scheduledAt,
+        executedSize: 0,
+        remainingSize: amount,
+        sliceRetries: 0,
+        isPaused: false,
+        childOrders: []
+      }
+    },
+    markModified: jest.fn(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  };
+};
+
+const buildLeg = (overrides = {}) => ({
+  _id: `64b0000000000000000000${overrides.suffix || 'b1'}`,
+  userId: '64b000000000000000000001',
+  exchangeName: 'binance',
+  symbol: 'BTC/USDT',
+  side: 'sell',
+  type: 'limit',
+  amount: 1,
+  price: 110,
+  status: 'open',
+  filled: 0,
+  cost: 0,
+  isPaperTrade: false,
+  advancedOrderData: {
+    oco: { orderListId: 'OCO_1', listStatusType: 'RESPONSE', listOrderStatus: 'EXECUTING' }
+  },
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('Advanced Order Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('TWAP schedule', () => {
+    test('should split the amount into equal slices over the duration', () => {
+      const schedule = advancedOrderService.buildTWAPSchedule(10, 60, 4, 0, START);
+
+      expect(schedule.map(slice => slice.size)).toEqual([2.5, 2.5, 2.5, 2.5]);
+      expect(schedule.map(slice => slice.scheduledAt.getTime() - START.getTime())).toEqual([
+        0,
+        15 * MINUTE,
+        30 * MINUTE,
+        45 * MINUTE
+      ]);
+    });
+
+    test('should keep randomized slices within bounds and summing to the amount', () => {
+      const values = [0, 1, 0.5, 0.99, 0.01, 0.25, 0.75, 0.6];
+      const random = () => values.shift();
+      const schedule = advancedOrderService.buildTWAPSchedule(8, 40, 4, 20, START, random);
+
+      const sizes = schedule.map(slice => slice.size);
+      expect(sizes.reduce((sum, size) => sum + size, 0)).toBeCloseTo(8);
+      // +/-20% jitter keeps the largest slice within 1.2 / 0.8 of the smallest
+      expect(Math.max(...sizes) / Math.min(...sizes)).toBeLessThanOrEqual(1.5);
+
+      expect(schedule[0].scheduledAt).toEqual(START);
+      schedule.slice(1).forEach((slice, index) => {
+        const offset = slice.scheduledAt.getTime() - START.getTime() - (index + 1) * 10 * MINUTE;
+        expect(Math.abs(offset)).toBeLessThanOrEqual(2 * MINUTE);
+      });
+    });
+  });
+
+  describe('VWAP schedule', () => {
+    test('should size slices by the volume expected in their hour', () => {
+      const profile = new Array(24).fill(0);
+      profile[10] = 100;
+      profile[11] = 300;
+
+      const schedule = advancedOrderService.buildVWAPSchedule(8, 120, 2, profile, START);
+
+      expect(schedule.map(slice => slice.size)).toEqual([2, 6]);
+    });
+
+    test('should fall back to equal slices without volume in the window', () => {
+      const schedule = advancedOrderService.buildVWAPSchedule(4, 60, 2, new Array(24).fill(0), START);
+
+      expect(schedule.map(slice => slice.size)).toEqual([2, 2]);
+    });
+
+    test('should average candle volume per UTC hour', async () => {
+      const hour = 60 * MINUTE;
+      marketDataService.getCandles.mockResolvedValue({
+        candles: [
+          { timestamp: START.getTime(), volume: 10 },
+          { timestamp: START.getTime() + hour, volume: 40 },
+          { timestamp: START.getTime() + 24 * hour, volume: 30 }
+        ]
+      });
+
+      const profile = await advancedOrderService.getVolumeProfile('binance', 'BTC/USDT', 2);
+
+      expect(marketDataService.getCandles).toHaveBeenCalledWith('binance', 'BTC/USDT', '1h', 48);
+      expect(profile[10]).toBe(20);
+      expect(profile[11]).toBe(40);
+      expect(profile[12]).toBe(0);
+    });
+
+    test('should fail when no volume profile is available', async () => {
+      marketDataService.getCandles.mockRejectedValue(new Error('kraken does not support OHLCV data'));
+
+      await expect(advancedOrderService.getVolumeProfile('kraken', 'BTC/USDT')).rejects.toThrow(
+        'Unable to load volume profile'
+      );
+    });
+  });
+
+  describe('slice execution', () => {
+    const schedule = [
+      { size: 1, scheduledAt: START },
+      { size: 1, scheduledAt: new Date(START.getTime() + MINUTE) }
+    ];
+
+    test('should place the next slice as a paper child order', async () => {
+      paperTradingService.placeOrder.mockResolvedValue({ _id: 'child1', status: 'filled', filled: 1, cost: 100 });
+      const order = buildAlgoOrder(schedule);
+
+      await advancedOrderService.executeAlgoSlice(order);
+
+      expect(paperTradingService.placeOrder).toHaveBeenCalledWith(
+        order.userId,
+        expect.objectContaining({ type: 'market', amount: 1, parentOrderId: order._id }),
+        { riskChecked: true }
+      );
+      expect(order.filled).toBe(1);
+      expect(order.advancedOrderData.twap).toMatchObject({
+        nextSlice: 1,
+        nextSliceAt: schedule[1].scheduledAt,
+        executedSize: 1,
+        remainingSize: 1
+      });
+      expect(order.status).toBe('open');
+    });
+
+    test('should route live slices through the trading service and complete the order', async () => {
+      tradingService.placeOrder.mockResolvedValue({ _id: 'child2', status: 'closed', filled: 1, cost: 101 });
+      const order = buildAlgoOrder(schedule, { exchangeName: 'binance' });
+      Object.assign(order.advancedOrderData.twap, { nextSlice: 1, executedSize: 1, remainingSize: 1 });
+
+      await advancedOrderService.executeAlgoSlice(order);
+
+      expect(tradingService.placeOrder).toHaveBeenCalledWith(
+        order.userId,
+        expect.objectContaining({ exchangeName: 'binance', amount: 1 }),
+        { riskChecked: true }
+      );
+      expect(order.status).toBe('closed');
+      expect(order.advancedOrderData.twap.nextSliceAt).toBeUndefined();
+    });
+
+    test('should pause the order after repeated slice failures', async () => {
+      paperTradingService.placeOrder.mockRejectedValue(new Error('Insufficient balance'));
+      const order = buildAlgoOrder(schedule);
+
+      for (let attempt = 0; attempt < advancedOrderService.maxSliceRetries; attempt++) {
+        await advancedOrderService.executeAlgoSlice(order);
+      }
+
+      const algoData = order.advancedOrderData.twap;
+      expect(algoData.nextSlice).toBe(0);
+      expect(algoData.isPaused).toBe(true);
+      expect(algoData.pauseReason).toContain('Insufficient balance');
+      expect(algoData.childOrders).toHaveLength(3);
+    });
+  });
+
+  describe('bracket exits', () => {
+    test('should require exits on either side of the entry price', () => {
+      expect(() => advancedOrderService.validateBracketPrices('buy', 100, 110, 95)).not.toThrow();
+      expect(() => advancedOrderService.validateBracketPrices('buy', 100, 99, 95)).toThrow('take profit above');
+      expect(() => advancedOrderService.validateBracketPrices('sell', 100, 90, 105)).not.toThrow();
+      expect(() => advancedOrderService.validateBracketPrices('sell', 100, 90, 99)).toThrow('stop loss above');
+    });
+
+    test('should resize open exit legs when more of the entry fills', async () => {
+      const takeProfit = buildLeg();
+      const stopLoss = buildLeg({ suffix: 'b2', type: 'stop', stopPrice: 95, status: 'cancelled' });
+
+      await advancedOrderService.armBracketExits({ advancedOrderData: { bracket: {} } }, 1.5, [takeProfit, stopLoss]);
+
+      expect(takeProfit).toMatchObject({ amount: 1.5, remaining: 1.5 });
+      expect(takeProfit.save).toHaveBeenCalled();
+      expect(stopLoss.amount).toBe(1);
+      expect(stopLoss.save).not.toHaveBeenCalled();
+    });
+
+    test('should replace the exchange order of a triggered exit leg when more of the entry fills', async () => {
+      const takeProfit = buildLeg({ status: 'cancelled' });
+      const stopLoss = buildLeg({ suffix: 'b2', type: 'stop', stopPrice: 95 });
+      stopLoss.advancedOrderData.oco.listStatusType = 'EXEC_STARTED';
+      const children = [
+        { _id: 'child', userId: stopLoss.userId, exchangeName: 'binance', status: 'open', filled: 0, cost: 0 }
+      ];
+
+      tradingService.cancelOrder.mockImplementation(() => {
+        children[0].status = 'cancelled';
+        return Promise.resolve(children[0]);
+      });
+      tradingService.placeOrder.mockImplementation((userId, orderData) => {
+        const child = { _id: 'replacement', status: 'open', filled: 0, cost: 0, amount: orderData.amount };
+        children.push(child);
+        return Promise.resolve(child);
+      });
+      jest.spyOn(Order, 'find').mockImplementation(() => Promise.resolve([...children]));
+
+      await advancedOrderService.armBracketExits({ advancedOrderData: { bracket: {} } }, 1.5, [takeProfit, stopLoss]);
+
+      expect(tradingService.cancelOrder).toHaveBeenCalledWith(stopLoss.userId, 'child');
+      expect(tradingService.placeOrder).toHaveBeenCalledTimes(1);
+      expect(tradingService.placeOrder).toHaveBeenCalledWith(
+        stopLoss.userId,
+        expect.objectContaining({ type: 'market', amount: 1.5, parentOrderId: stopLoss._id }),
+        expect.objectContaining({ riskReducing: true })
+      );
+      expect(stopLoss).toMatchObject({ status: 'open', amount: 1.5, remaining: 1.5 });
+      expect(advancedOrderService.resizingOCOLegs.size).toBe(0);
+      expect(takeProfit.save).not.toHaveBeenCalled();
+    });
+
+    test('should arm full-size exits even when the risk rules would reject them', async () => {
+      jest.spyOn(riskManagementService, 'validateOrder').mockResolvedValue({
+        allowed: false,
+        violations: [{ rule: 'positionSize', message: 'Position size exceeds limit' }],
+        warnings: []
+      });
+      jest.spyOn(Order.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      const order = {
+        _id: '64b0000000000000000000c1',
+        userId: '64b000000000000000000001',
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        side: 'buy',
+        advancedOrderData: { bracket: { takeProfitPrice: 110, stopLossPrice: 95 } }
+      };
+
+      await advancedOrderService.armBracketExits(order, 50, []);
+
+      expect(riskManagementService.validateOrder).not.toHaveBeenCalled();
+      expect(order.advancedOrderData.bracket.orderListId).toBeDefined();
+      expect(Order.prototype.save).toHaveBeenCalledTimes(2);
+    });
+
+    test('should send triggered live legs to the exchange and cancel the other leg', async () => {
+      const stopLoss = buildLeg({ suffix: 'b2', type: 'stop', stopPrice: 95 });
+      const takeProfit = buildLeg();
+      takeProfit.advancedOrderData.oco.linkedOrderId = stopLoss._id;
+      stopLoss.advancedOrderData.oco.linkedOrderId = takeProfit._id;
+      const child = { _id: 'child', status: 'closed', filled: 1, cost: 94 };
+
+      marketDataService.getUnifiedTicker.mockResolvedValue({ unified: { averagePrice: 94 } });
+      tradingService.placeOrder.mockResolvedValue(child);
+      jest.spyOn(Order, 'find').mockImplementation(query =>
+        Promise.resolve(query['metadata.parentOrderId'] ? [child] : [takeProfit, stopLoss])
+      );
+      jest.spyOn(Order, 'findById').mockResolvedValue(takeProfit);
+
+      await advancedOrderService.processOCOTriggers();
+
+      expect(tradingService.placeOrder).toHaveBeenCalledTimes(1);
+      expect(tradingService.placeOrder).toHaveBeenCalledWith(
+        stopLoss.userId,
+        expect.objectContaining({ type: 'market', amount: 1, exchangeName: 'binance', parentOrderId: stopLoss._id }),
+        expect.objectContaining({ riskReducing: true })
+      );
+      expect(stopLoss).toMatchObject({ status: 'closed', filled: 1, cost: 94 });
+      expect(stopLoss.advancedOrderData.oco.listStatusType).toBe('EXEC_STARTED');
+      expect(takeProfit.status).toBe('cancelled');
+    });
+  });
+
+  describe('iceberg orders', () => {
+    test('should cancel open slices and stop revealing new ones', async () => {
+      const order = {
+        _id: '64b0000000000000000000d1',
+        userId: '64b000000000000000000001',
+        type: 'iceberg',
+        status: 'open',
+        advancedOrderData: { iceberg: { visibleSize: 1, hiddenRemaining: 3 } },
+        markModified: jest.fn(),
+        save: jest.fn().mockResolvedValue()
+      };
+      const slice = { _id: 'slice1', userId: order.userId, exchangeName: 'paper_trading', status: 'open' };
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+      jest.spyOn(Order, 'find').mockResolvedValue([slice]);
+
+      await advancedOrderService.cancelIcebergOrder(order.userId, order._id);
+
+      expect(paperTradingService.cancelOrder).toHaveBeenCalledWith(order.userId, 'slice1');
+      expect(order).toMatchObject({ status: 'cancelled' });
+      expect(order.advancedOrderData.iceberg.hiddenRemaining).toBe(0);
+      expect(order.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('TWAP/VWAP lifecycle', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = new User(global.testConfig.testUser);
+      await testUser.save();
+    });
+
+    test('should shift the remaining slices by the paused time on resume', async () => {
+      const order = await advancedOrderService.placeTWAPOrder(testUser._id, {
+        symbol: 'BTC/USDT',
+        side: 'buy',
+        amount: 1,
+        duration: 10,
+        sliceCount: 5
+      });
+      const scheduledAt = order.advancedOrderData.twap.schedule[0].scheduledAt.getTime();
+
+      await advancedOrderService.pauseAlgoOrder(testUser._id, order._id, 'twap');
+      await expect(advancedOrderService.pauseAlgoOrder(testUser._id, order._id, 'twap')).rejects.toThrow(
+        'already paused'
+      );
+
+      const resumed = await advancedOrderService.resumeAlgoOrder(testUser._id, order._id, 'twap');
+      const algoData = resumed.advancedOrderData.twap;
+
+      expect(algoData.isPaused).toBe(false);
+      expect(algoData.schedule[0].scheduledAt.getTime()).toBeGreaterThanOrEqual(scheduledAt);
+      expect(algoData.nextSliceAt).toEqual(algoData.schedule[0].scheduledAt);
+    });
+
+    test('should report progress and stop slicing once cancelled', async () => {
+      const order = await advancedOrderService.placeTWAPOrder(testUser._id, {
+        symbol: 'BTC/USDT',
+        side: 'sell',
+        amount: 2,
+        duration: 10,
+        sliceCount: 2
+      });
+
+      const progress = await advancedOrderService.getAlgoOrderProgress(testUser._id, order._id, 'twap');
+      expect(progress).toMatchObject({ type: 'twap', slicesExecuted: 0, sliceCount: 2, percentComplete: 0 });
+
+      const cancelled = await advancedOrderService.cancelAlgoOrder(testUser._id, order._id, 'twap');
+      expect(cancelled.status).toBe('cancelled');
+
+      await advancedOrderService.processAlgoOrders();
+      expect(paperTradingService.placeOrder).not.toHaveBeenCalled();
+    });
+
+    test('should reject live orders on exchanges that are not connected', async () => {
+      await expect(
+        advancedOrderService.placeTWAPOrder(testUser._id, {
+          symbol: 'BTC/USDT',
+          side: 'buy',
+          amount: 1,
+          duration: 10,
+          exchangeName: 'kraken'
+        })
+      ).rejects.toThrow('not connected');
+    });
+  });
+
+  describe('bracket lifecycle', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = new User(global.testConfig.testUser);
+      await testUser.save();
+
+      marketDataService.getUnifiedTicker.mockResolvedValue({ unified: { averagePrice: 100 } });
+      paperTradingService.placeOrder.mockImplementation(async (userId, orderData) => {
+        const order = new Order({
+          userId,
+          exchangeName: 'paper_trading',
+          symbol: orderData.symbol,
+          side: orderData.side,
+          type: orderData.type,
+          amount: orderData.amount,
+          price: orderData.price,
+          status: orderData.type === 'market' ? 'filled' : 'open',
+          filled: orderData.type === 'market' ? orderData.amount : 0,
+          cost: orderData.type === 'market' ? orderData.amount * 100 : 0,
+          isPaperTrade: true,
+          metadata: { parentOrderId: orderData.parentOrderId }
+        });
+        await order.save();
+        return order;
+      });
+    });
+
+    test('should arm exits for the filled entry and close with the position', async () => {
+      const bracket = await advancedOrderService.placeBracketOrder(testUser._id, {
+        symbol: 'BTC/USDT',
+        side: 'buy',
+        amount: 1,
+        takeProfitPrice: 110,
+        stopLossPrice: 95
+      });
+
+      const { exits, position } = await advancedOrderService.getBracketOrder(testUser._id, bracket._id);
+      expect(bracket.advancedOrderData.bracket).toMatchObject({ stage: 'armed', armedSize: 1 });
+      expect(exits.map(leg => [leg.type, leg.side, leg.amount])).toEqual([
+        ['limit', 'sell', 1],
+        ['stop', 'sell', 1]
+      ]);
+      expect(position).toMatchObject({ side: 'long', size: 1, entryPrice: 100, status: 'open' });
+
+      const takeProfit = exits[0];
+      Object.assign(takeProfit, { status: 'filled', filled: 1, cost: 110 });
+      await takeProfit.save();
+      await advancedOrderService.handleTradingEvent({
+        type: 'order',
+        data: { id: takeProfit._id, status: 'filled', filled: 1 }
+      });
+
+      const closed = await advancedOrderService.getBracketOrder(testUser._id, bracket._id);
+      expect(closed.order.advancedOrderData.bracket.stage).toBe('closed');
+      expect(closed.exits[1].status).toBe('cancelled');
+      expect(closed.position).toMatchObject({ status: 'closed', exitPrice: 110 });
+    });
+
+    test('should resize exits on partial fills and unwind them on cancel', async () => {
+      const bracket = await advancedOrderService.placeBracketOrder(testUser._id, {
+        symbol: 'BTC/USDT',
+        side: 'sell',
+        amount: 2,
+        entryType: 'limit',
+        entryPrice: 105,
+        takeProfitPrice: 95,
+        stopLossPrice: 110
+      });
+      expect(bracket.advancedOrderData.bracket.stage).toBe('pending_entry');
+
+      const entry = await Order.findById(bracket.advancedOrderData.bracket.entryOrderId);
+      for (const filled of [0.5, 1.5]) {
+        Object.assign(entry, { status: 'partially_filled', filled, cost: filled * 105 });
+        await entry.save();
+        await advancedOrderService.syncBracket(bracket._id);
+      }
+
+      const armed = await advancedOrderService.getBracketOrder(testUser._id, bracket._id);
+      expect(armed.exits.map(leg => [leg.side, leg.amount])).toEqual([
+        ['buy', 1.5],
+        ['buy', 1.5]
+      ]);
+      expect(armed.position).toMatchObject({ side: 'short', size: 1.5 });
+
+      paperTradingService.cancelOrder.mockImplementation(async (userId, orderId) => {
+        await Order.updateOne({ _id: orderId }, { status: 'cancelled' });
+      });
+      const cancelled = await advancedOrderService.cancelBracketOrder(testUser._id, bracket._id);
+
+      expect(paperTradingService.cancelOrder).toHaveBeenCalledWith(entry.userId, entry._id);
+      expect(cancelled).toMatchObject({ status: 'cancelled', filled: 1.5 });
+      const unwound = await advancedOrderService.getBracketOrder(testUser._id, bracket._id);
+      expect(unwound.exits.map(leg => leg.status)).toEqual(['cancelled', 'cancelled']);
+      expect(unwound.position.status).toBe('open');
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const backtestingService = require('../src/services/backtesting/backtestingService');
+const paperTradingService = require('../src/services/trading/paperTradingService');
+const marketDataService = require('../src/services/market/marketDataService');
+const BacktestRun = require('../src/models/BacktestRun');
+const Order = require('../src/models/Order');
+const TradingPosition = require('../src/models/TradingPosition');
+const User = require('../src/models/User');
+
+// Mock market data so no exchange is contacted
+jest.mock('../src/services/market/marketDataService', () => ({
+  getCandles: jest.fn()
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+const buildCandles = prices =>
+  prices.map(([open, high, low, close], index) => ({
+    timestamp: 1700000000000 + index * HOUR,
+    open,
+    high,
+    low,
+    close,
+    volume: 10
+  }));
+
+const scheduledStrategy = orders => ({
+  onCandle(candle, context) {
+    orders
+      .filter(order => order.index === context.candles.length - 1)
+      .forEach(({ index: _index, ...orderData }) => context.placeOrder(orderData));
+  }
+});
+
+describe('Backtesting Service', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = new User(global.testConfig.testUser);
+    await testUser.save();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const createRun = (overrides = {}) =>
+    new BacktestRun({
+      userId: testUser._id,
+      config: {
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        timeframe: '1h',
+        initialBalance: 10000,
+        strategy: { name: 'scheduled_orders', params: {} },
+        ...overrides
+      }
+    });
+
+  describe('simulate', () => {
+    test('should fill market orders at the next bar open with slippage and fees', async () => {
+      const candles = buildCandles([
+        [100, 101, 99, 100],
+        [102, 103, 101, 102],
+        [104, 105, 103, 104]
+      ]);
+      const strategy = scheduledStrategy([{ index: 0, side: 'buy', type: 'market', amount: 10 }]);
+
+      const simulation = await backtestingService.simulate(createRun(), candles, strategy);
+      const [order] = simulation.orders;
+
+      const expectedPrice = paperTradingService.applySlippage(102, 'buy');
+      const expectedFee = paperTradingService.calculateTradingFee(10 * expectedPrice);
+
+      expect(order.status).toBe('filled');
+      expect(order.trades[0].price).toBeCloseTo(expectedPrice);
+      expect(order.executedAt).toEqual(new Date(candles[1].timestamp));
+      expect(order.fee.cost).toBeCloseTo(expectedFee);
+      expect(simulation.balances.base).toBe(10);
+      expect(simulation.balances.quote).toBeCloseTo(10000 - 10 * expectedPrice - expectedFee);
+    });
+
+    test('should trigger limit orders on intrabar prices and fill at the limit', async () => {
+      const candles = buildCandles([
+        [100, 101, 99, 100],
+        [100, 101, 96, 100],
+        [100, 101, 99, 100]
+      ]);
+      const strategy = scheduledStrategy([
+        { index: 0, side: 'buy', type: 'limit', amount: 5, price: 97 },
+        { index: 0, side: 'buy', type: 'limit', amount: 5, price: 90 }
+      ]);
+
+      const simulation = await backtestingService.simulate(createRun(), candles, strategy);
+      const [filled, resting] = simulation.orders;
+
+      expect(filled.status).toBe('filled');
+      expect(filled.trades[0].price).toBe(97);
+      expect(resting.status).toBe('expired');
+    });
+
+    test('should fill stop orders at the open when the bar gaps through the stop', async () => {
+      const candles = buildCandles([
+        [100, 101, 99, 100],
+        [110, 112, 109, 111]
+      ]);
+      const strategy = scheduledStrategy([
+        { index: 0, side: 'buy', type: 'stop', amount: 1, stopPrice: 105 }
+      ]);
+
+      const simulation = await backtestingService.simulate(createRun(), candles, strategy);
+
+      expect(simulation.orders[0].trades[0].price).toBeCloseTo(
+        paperTradingService.applySlippage(110, 'buy')
+      );
+    });
+
+    test('should reject orders that exceed the available balance', async () => {
+      const candles = buildCandles([
+        [100, 101, 99, 100],
+        [100, 101, 99, 100]
+      ]);
+      const strategy = scheduledStrategy([{ index: 0, side: 'sell', type: 'market', amount: 1 }]);
+
+      const simulation = await backtestingService.simulate(createRun(), candles, strategy);
+
+      expect(simulation.orders[0].status).toBe('rejected');
+      expect(simulation.balances.quote).toBe(10000);
+    });
+
+    test('should open and close positions from fills', async () => {
+      const candles = buildCandles([
+        [100, 101, 99, 100],
+        [100, 101, 99, 100],
+        [110, 111, 109, 110],
+        [110, 111, 109, 110]
+      ]);
+      const strategy = scheduledStrategy([
+        { index: 0, side: 'buy', type: 'market', amount: 10 },
+        { index: 2, side: 'sell', type: 'market', amount: 10 }
+      ]);
+
+      const simulation = await backtestingService.simulate(createRun(), candles, strategy);
+      const [position] = simulation.positions;
+
+      expect(simulation.positions).toHaveLength(1);
+      expect(position.status).toBe('closed');
+      expect(position.netPnL).toBeGreaterThan(0);
+      expect(position.exitDate).toEqual(new Date(candles[3].timestamp));
+    });
+  });
+
+  describe('executeBacktest', () => {
+    test('should persist tagged orders, positions and results', async () => {
+      const candles = buildCandles([
+        [100, 101, 99, 100],
+        [100, 101, 99, 100],
+        [110, 111, 109, 110],
+        [110, 111, 109, 110]
+      ]);
+      marketDataService.getCandles.mockResolvedValue({ candles });
+
+      const run = createRun();
+      await run.save();
+
+      const strategy = scheduledStrategy([
+        { index: 0, side: 'buy', type: 'market', amount: 10 },
+        { index: 2, side: 'sell', type: 'market', amount: 10 }
+      ]);
+
+      await backtestingService.executeBacktest(run, strategy);
+
+      expect(run.status).toBe('completed');
+      expect(run.results.totalOrders).toBe(2);
+      expect(run.results.winRate).toBe(100);
+      expect(run.results.equityCurve).toHaveLength(candles.length);
+      expect(typeof run.results.sharpeRatio).toBe('number');
+
+      const orders = await Order.find({ backtestRunId: run._id });
+      const positions = await TradingPosition.find({ backtestRunId: run._id });
+      expect(orders).toHaveLength(2);
+      expect(positions).toHaveLength(1);
+
+      // Simulated history stays out of regular queries
+      expect(await Order.countDocuments({ userId: testUser._id })).toBe(0);
+      expect(await TradingPosition.findClosedPositions(testUser._id)).toHaveLength(0);
+    });
+
+    test('should mark the run as failed when there is not enough data', async () => {
+      marketDataService.getCandles.mockResolvedValue({ candles: [] });
+
+      const run = createRun();
+      await run.save();
+
+      await backtestingService.executeBacktest(run, scheduledStrategy([]));
+
+      expect(run.status).toBe('failed');
+      expect(run.error).toBe('Not enough historical data to run backtest');
+    });
+  });
+
+  describe('calculateMaxDrawdown', () => {
+    test('should measure peak to trough on the equity curve, including open positions', () => {
+      const equityCurve = [10000, 10500, 9450, 9800, 10800].map(equity => ({ equity }));
+
+      expect(backtestingService.calculateMaxDrawdown(equityCurve)).toEqual({
+        value: 1050,
+        percentage: 10
+      });
+      expect(backtestingService.calculateMaxDrawdown([{ equity: 10000 }])).toEqual({
+        value: 0,
+        percentage: 0
+      });
+    });
+  });
+});
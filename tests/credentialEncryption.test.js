@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const ExchangeCredentials = require('../src/models/ExchangeCredentials');
+const envelopeEncryptionService = require('../src/services/security/envelopeEncryptionService');
+const credentialRotationService = require('../src/services/security/credentialRotationService');
+const EnvKeyProvider = require('../src/services/security/keyProviders/envKeyProvider');
+const LocalKmsKeyProvider = require('../src/services/security/keyProviders/localKmsKeyProvider');
+
+const USER_ID = '64b000000000000000000001';
+const LEGACY_KEY = '0123456789abcdef0123456789abcdef';
+const MASTER_KEY_V2 = crypto.randomBytes(32).toString('base64');
+
+const plainCredentials = {
+  apiKey: 'api-key-123',
+  secret: 'secret-456',
+  passphrase: 'passphrase-789'
+};
+
+const buildCredentials = async () => {
+  const credentials = new ExchangeCredentials({
+    userId: USER_ID,
+    exchangeName: 'coinbase',
+    exchangeDisplayName: 'Coinbase Pro'
+  });
+  await credentials.setCredentials(plainCredentials);
+  return credentials;
+};
+
+// Serve the given records to the rotation job and apply its updates to them
+const stubStore = records => {
+  jest.spyOn(ExchangeCredentials, 'find').mockImplementation(query => ({
+    sort: () => ({
+      limit: () =>
+        Promise.resolve(
+          records.filter(
+            record =>
+              record.keyVersion !== query.keyVersion.$ne &&
+              (!query._id || record._id.toString() > query._id.$gt.toString())
+          )
+        )
+    })
+  }));
+  jest.spyOn(ExchangeCredentials, 'updateOne').mockImplementation((filter, update) => {
+    const record = records.find(item => item._id.equals(filter._id));
+    record.set(update.$set);
+    if (update.$unset) {
+      record.set('iv', undefined);
+    }
+    return Promise.resolve({ modifiedCount: 1 });
+  });
+};
+
+describe('Credential Encryption', () => {
+  beforeEach(() => {
+    envelopeEncryptionService.setKeyProvider(new EnvKeyProvider({ legacyKey: LEGACY_KEY }));
+  });
+
+  afterEach(() => {
+    envelopeEncryptionService.setKeyProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('envelope encryption', () => {
+    test('should encrypt each record under its own wrapped data key', async () => {
+      const first = await buildCredentials();
+      const second = await buildCredentials();
+
+      expect(first.keyVersion).toBe(1);
+      expect(first.wrappedDataKey).not.toBe(second.wrappedDataKey);
+      expect(first.encryptedSecret).not.toBe(second.encryptedSecret);
+      expect(first.iv).toBeUndefined();
+      expect(first.toJSON()).not.toHaveProperty('wrappedDataKey');
+      await expect(first.getDecryptedCredentials()).resolves.toEqual(plainCredentials);
+    });
+
+    test('should refuse tampered or swapped values', async () => {
+      const credentials = await buildCredentials();
+      const [iv, tag, ciphertext] = credentials.encryptedSecret.split(':');
+      const flipped = Buffer.from(ciphertext, 'base64');
+      flipped[0] ^= 1;
+      credentials.encryptedSecret = [iv, tag, flipped.toString('base64')].join(':');
+
+      await expect(credentials.getDecryptedCredentials()).rejects.toThrow(
+        'Failed to decrypt credentials'
+      );
+
+      const swapped = await buildCredentials();
+      swapped.encryptedSecret = swapped.encryptedApiKey;
+      await expect(swapped.getDecryptedCredentials()).rejects.toThrow(
+        'Failed to decrypt credentials'
+      );
+    });
+
+    test('should rewrap data keys through a KMS style provider', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wire-trader-kms-'));
+      const file = path.join(dir, 'keys.json');
+
+      try {
+        const keyProvider = new LocalKmsKeyProvider({ file });
+        envelopeEncryptionService.setKeyProvider(keyProvider);
+        const credentials = await buildCredentials();
+
+        await keyProvider.kms.rotateKey('credentials');
+        const envelope = await envelopeEncryptionService.rewrapDataKey(credentials);
+        credentials.set(envelope);
+
+        expect(envelope.keyVersion).toBe(2);
+        await expect(credentials.getDecryptedCredentials()).resolves.toEqual(plainCredentials);
+
+        // Key versions survive a restart
+        envelopeEncryptionService.setKeyProvider(new LocalKmsKeyProvider({ file }));
+        await expect(credentials.getDecryptedCredentials()).resolves.toEqual(plainCredentials);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should refuse a KMS provider without a key file', () => {
+      expect(() => new LocalKmsKeyProvider()).toThrow('ENCRYPTION_KMS_KEY_FILE is required');
+    });
+  });
+
+  describe('re-encryption job', () => {
+    let originalKey;
+
+    beforeEach(() => {
+      originalKey = config.encryption.key;
+      config.encryption.key = LEGACY_KEY;
+    });
+
+    afterEach(() => {
+      config.encryption.key = originalKey;
+    });
+
+    test('should move envelope and legacy records to the new master key', async () => {
+      const envelopeRecord = await buildCredentials();
+      const encryptedApiKey = envelopeRecord.encryptedApiKey;
+
+      // Encrypted with the static key and a shared IV, as before envelope encryption
+      const iv = crypto.randomBytes(16);
+      const legacyEncrypt = text => {
+        const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(LEGACY_KEY), iv);
+        return cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+      };
+      const legacyRecord = new ExchangeCredentials({
+        userId: USER_ID,
+        exchangeName: 'binance',
+        exchangeDisplayName: 'Binance',
+        encryptedApiKey: legacyEncrypt('legacy-key'),
+        encryptedSecret: legacyEncrypt('legacy-secret'),
+        iv: iv.toString('hex')
+      });
+
+      envelopeEncryptionService.setKeyProvider(
+        new EnvKeyProvider({ legacyKey: LEGACY_KEY, masterKeys: `2:${MASTER_KEY_V2}` })
+      );
+      stubStore([envelopeRecord, legacyRecord]);
+
+      const summary = await credentialRotationService.run({ batchSize: 1 });
+
+      expect(summary).toMatchObject({
+        state: 'completed',
+        targetVersion: 2,
+        rewrapped: 1,
+        reencrypted: 1,
+        failed: 0
+      });
+      expect(envelopeRecord.keyVersion).toBe(2);
+      expect(envelopeRecord.encryptedApiKey).toBe(encryptedApiKey);
+      expect(legacyRecord.keyVersion).toBe(2);
+      expect(legacyRecord.iv).toBeUndefined();
+      await expect(envelopeRecord.getDecryptedCredentials()).resolves.toEqual(plainCredentials);
+      await expect(legacyRecord.getDecryptedCredentials()).resolves.toEqual({
+        apiKey: 'legacy-key',
+        secret: 'legacy-secret'
+      });
+
+      // Only version 2 is needed from now on
+      envelopeEncryptionService.setKeyProvider(
+        new EnvKeyProvider({ masterKeys: `2:${MASTER_KEY_V2}` })
+      );
+      await expect(envelopeRecord.getDecryptedCredentials()).resolves.toEqual(plainCredentials);
+    });
+
+    test('should report records it cannot decrypt and carry on', async () => {
+      const unreadable = await buildCredentials();
+      unreadable.wrappedDataKey = 'bm90:YSB3cmFwcGVk:a2V5';
+      const readable = await buildCredentials();
+
+      envelopeEncryptionService.setKeyProvider(
+        new EnvKeyProvider({ legacyKey: LEGACY_KEY, masterKeys: `2:${MASTER_KEY_V2}` })
+      );
+      stubStore([unreadable, readable]);
+
+      const summary = await credentialRotationService.run();
+
+      expect(summary).toMatchObject({ rewrapped: 1, failed: 1 });
+      expect(summary.errors).toEqual([expect.objectContaining({ id: unreadable._id.toString() })]);
+      expect(readable.keyVersion).toBe(2);
+    });
+  });
+});
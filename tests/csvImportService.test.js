@@ -0,0 +1,278 @@
+const csvImportService = require('../src/services/portfolio/csvImportService');
+const {
+  formats,
+  parseNumber,
+  parseSymbol,
+  parseTimestamp
+} = require('../src/services/portfolio/importFormats');
+const portfolioService = require('../src/services/portfolio/portfolioService');
+const ImportBatch = require('../src/models/ImportBatch');
+const Order = require('../src/models/Order');
+const TradingPosition = require('../src/models/TradingPosition');
+
+// Mock services that would reach exchanges
+jest.mock('../src/services/portfolio/portfolioService', () => ({
+  syncImportedHoldings: jest.fn(),
+  rebuildCostBasis: jest.fn()
+}));
+
+const USER_ID = '64b000000000000000000001';
+
+const BITSTAMP_CSV = [
+  'ID,Account,Object,Activity,Datetime,Amount,Amount currency,Value,Value currency,Rate,Rate currency,Fee,Fee currency,Order ID',
+  '101,Main Account,Trade,Buy,2023-03-01T10:00:00Z,0.50000000,BTC,"11,500.00",USD,23000.00,USD,23.00,USD,9001',
+  '102,Main Account,Deposit,,2023-03-02T10:00:00Z,1000.00,USD,,,,,,,',
+  '103,Main Account,Trade,Sell,2023-04-01T10:00:00Z,0.20000000,BTC,5600.00,USD,28000.00,USD,11.20,USD,9002',
+  '104,Main Account,Trade,Hold,2023-04-02T10:00:00Z,0.10000000,BTC,2800.00,USD,28000.00,USD,0,USD,9003'
+].join('\n');
+
+const MAPPING = {
+  delimiter: ';',
+  columns: { timestamp: 'When', base: 'Coin', side: 'Direction', amount: 'Qty', cost: 'Total' },
+  sideValues: { buy: ['B'], sell: ['S'] },
+  defaultQuote: 'EUR'
+};
+
+describe('CSV Import Service', () => {
+  beforeEach(() => {
+    jest.spyOn(Order, 'distinct').mockResolvedValue([]);
+    jest.spyOn(ImportBatch.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('import formats', () => {
+    test('should read numbers, pairs and dates as exchanges print them', () => {
+      expect(parseNumber('$1,234.50')).toBe(1234.5);
+      expect(parseNumber('(0.25 BTC)')).toBe(-0.25);
+      expect(parseNumber('EUR -12')).toBe(-12);
+      expect(parseNumber('')).toBeNull();
+
+      expect(parseSymbol('btc-usd')).toBe('BTC/USD');
+      expect(parseSymbol('ETHUSDT')).toBe('ETH/USDT');
+      expect(parseSymbol('SOL', 'EUR')).toBe('SOL/EUR');
+      expect(parseSymbol('SOL')).toBeNull();
+
+      expect(parseTimestamp('2023-03-01 10:00:00')).toEqual(new Date('2023-03-01T10:00:00Z'));
+      expect(parseTimestamp('1677664800')).toEqual(new Date('2023-03-01T10:00:00Z'));
+    });
+
+    test('should map Gemini rows from their per-currency columns', () => {
+      const trade = formats.gemini.mapRow({
+        Date: '2023-03-01',
+        'Time (UTC)': '10:00:00.000',
+        Type: 'Sell',
+        Symbol: 'ETHUSD',
+        'ETH Amount ETH': '(2.0 ETH)',
+        'USD Amount USD': '$3,200.00',
+        'Fee (USD) USD': '($4.80)',
+        'Trade ID': '555'
+      });
+
+      expect(trade).toMatchObject({
+        symbol: 'ETH/USD',
+        side: 'sell',
+        amount: 2,
+        cost: 3200,
+        fee: 4.8,
+        feeCurrency: 'USD',
+        tradeId: '555'
+      });
+    });
+
+    test('should read the side of Bitfinex trades from the amount sign', () => {
+      const trade = formats.bitfinex.mapRow({
+        '#': '7',
+        PAIR: 'BTC/USD',
+        AMOUNT: '-0.1',
+        PRICE: '30000',
+        FEE: '-6',
+        'FEE CURRENCY': 'USD',
+        DATE: '23-03-01 10:00:00'
+      });
+
+      expect(trade).toMatchObject({ side: 'sell', amount: 0.1, fee: 6 });
+      expect(trade.timestamp).toEqual(new Date('2023-03-01T10:00:00Z'));
+    });
+  });
+
+  describe('parseRecords', () => {
+    test('should handle quoted fields with delimiters, quotes and line breaks', () => {
+      const records = csvImportService.parseRecords(
+        'a,b\r\n"1,5","say ""hi""\nthere"\r\n\r\n2,x\n'
+      );
+
+      expect(records).toEqual([
+        { __row: 2, a: '1,5', b: 'say "hi"\nthere' },
+        { __row: 4, a: '2', b: 'x' }
+      ]);
+    });
+  });
+
+  describe('previewImport', () => {
+    test('should validate rows, skip non-trades and store the preview', async () => {
+      const batch = await csvImportService.previewImport(USER_ID, {
+        venue: 'bitstamp',
+        format: 'bitstamp',
+        csv: BITSTAMP_CSV
+      });
+
+      expect(batch.status).toBe('preview');
+      expect(batch.expiresAt).toBeInstanceOf(Date);
+      expect(batch.summary.toObject()).toMatchObject({
+        rows: 4,
+        valid: 2,
+        invalid: 1,
+        duplicates: 0,
+        skipped: 1
+      });
+      expect(batch.rowErrors[0]).toMatchObject({ row: 5, message: 'Side must be buy or sell' });
+      expect(batch.trades[0]).toMatchObject({
+        key: 'bitstamp:101',
+        symbol: 'BTC/USD',
+        side: 'buy',
+        amount: 0.5,
+        price: 23000,
+        cost: 11500,
+        fee: { currency: 'USD', cost: 23 }
+      });
+    });
+
+    test('should drop trades that were already imported or repeat in the file', async () => {
+      Order.distinct.mockResolvedValue(['bitstamp:101']);
+      const csv = `${BITSTAMP_CSV}\n${BITSTAMP_CSV.split('\n')[3]}`;
+
+      const batch = await csvImportService.previewImport(USER_ID, {
+        venue: 'bitstamp',
+        format: 'bitstamp',
+        csv
+      });
+
+      expect(batch.trades.map(trade => trade.key)).toEqual(['bitstamp:103']);
+      expect(batch.summary.duplicates).toBe(2);
+    });
+
+    test('should key rows without trade IDs by content and occurrence', async () => {
+      const csv = [
+        'When;Coin;Direction;Qty;Total',
+        '2023-01-05;SOL;B;10;100',
+        '2023-01-05;SOL;B;10;100'
+      ].join('\n');
+
+      const first = await csvImportService.previewImport(USER_ID, {
+        venue: 'otc',
+        mapping: MAPPING,
+        csv
+      });
+      const second = await csvImportService.previewImport(USER_ID, {
+        venue: 'otc',
+        mapping: MAPPING,
+        csv
+      });
+
+      const keys = first.trades.map(trade => trade.key);
+      expect(keys).toHaveLength(2);
+      expect(keys[0]).not.toBe(keys[1]);
+      expect(second.trades.map(trade => trade.key)).toEqual(keys);
+      expect(first.trades[0]).toMatchObject({ symbol: 'SOL/EUR', price: 10 });
+    });
+
+    test('should reject files missing the mapped columns', async () => {
+      await expect(
+        csvImportService.previewImport(USER_ID, {
+          venue: 'otc',
+          mapping: MAPPING,
+          csv: 'When;Coin\n2023-01-05;SOL'
+        })
+      ).rejects.toThrow('Missing required columns: Direction, Qty, Total');
+    });
+  });
+
+  describe('commitImport', () => {
+    test('should create imported orders and positions tagged with the batch', async () => {
+      const preview = await csvImportService.previewImport(USER_ID, {
+        venue: 'bitstamp',
+        format: 'bitstamp',
+        csv: BITSTAMP_CSV
+      });
+      jest.spyOn(ImportBatch, 'findOne').mockResolvedValue(preview);
+      jest.spyOn(Order, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(TradingPosition.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+
+      const batch = await csvImportService.commitImport(USER_ID, preview._id);
+
+      const [orders] = Order.insertMany.mock.calls[0];
+      expect(
+        orders.map(order => [order.exchangeName, order.exchangeOrderId, order.status, order.filled])
+      ).toEqual([
+        ['imported', 'bitstamp:101', 'closed', 0.5],
+        ['imported', 'bitstamp:103', 'closed', 0.2]
+      ]);
+      expect(orders[0].metadata.toObject()).toMatchObject({
+        importSource: 'csv_import',
+        importBatchId: batch._id,
+        venue: 'bitstamp'
+      });
+      expect(orders[0].executedAt).toEqual(new Date('2023-03-01T10:00:00Z'));
+
+      const [position] = TradingPosition.prototype.save.mock.contexts;
+      expect(position).toMatchObject({
+        exchangeName: 'imported',
+        symbol: 'BTC/USD',
+        size: 0.5,
+        status: 'open'
+      });
+      expect(position.exitOrders).toHaveLength(1);
+      expect(position.tags).toContain(`import_batch:${batch._id}`);
+
+      expect(batch).toMatchObject({ status: 'committed', expiresAt: undefined });
+      expect(batch.summary.toObject()).toMatchObject({ orders: 2, positions: 1 });
+      expect(portfolioService.syncImportedHoldings).toHaveBeenCalledWith(USER_ID);
+      expect(portfolioService.rebuildCostBasis).toHaveBeenCalledWith(USER_ID);
+    });
+  });
+
+  describe('revertImport', () => {
+    test('should delete what the batch created', async () => {
+      const batch = new ImportBatch({
+        userId: USER_ID,
+        venue: 'otc',
+        format: 'mapping',
+        status: 'committed'
+      });
+      jest.spyOn(ImportBatch, 'findOne').mockResolvedValue(batch);
+      jest.spyOn(Order, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+      jest.spyOn(TradingPosition, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      await csvImportService.revertImport(USER_ID, batch._id);
+
+      expect(Order.deleteMany).toHaveBeenCalledWith({
+        userId: USER_ID,
+        'metadata.importBatchId': batch._id
+      });
+      expect(TradingPosition.deleteMany).toHaveBeenCalledWith({
+        userId: USER_ID,
+        tags: `import_batch:${batch._id}`
+      });
+      expect(batch.status).toBe('reverted');
+      expect(portfolioService.syncImportedHoldings).toHaveBeenCalled();
+    });
+
+    test('should only revert committed batches', async () => {
+      jest
+        .spyOn(ImportBatch, 'findOne')
+        .mockResolvedValue(new ImportBatch({ userId: USER_ID, venue: 'otc', format: 'mapping' }));
+
+      await expect(
+        csvImportService.revertImport(USER_ID, '64b000000000000000000002')
+      ).rejects.toThrow('Only committed import batches can be reverted');
+    });
+  });
+});
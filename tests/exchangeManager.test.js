@@ -1,4 +1,5 @@
 const exchangeManager = require('../src/services/exchanges/exchangeManager');
+const ExchangeCredentials = require('../src/models/ExchangeCredentials');
 
 // Mock CCXT to avoid real API calls in tests
 jest.mock('ccxt', () => {
@@ -43,7 +44,16 @@ describe('Exchange Manager', () => {
     secret: 'test-secret-key'
   };
 
+  beforeEach(() => {
+    // No stored credentials unless a test provides them
+    jest.spyOn(ExchangeCredentials, 'findByUserAndExchange').mockResolvedValue(null);
+    jest.spyOn(ExchangeCredentials, 'findActiveByUser').mockResolvedValue([]);
+    jest.spyOn(ExchangeCredentials, 'findNeedingHealthCheck').mockResolvedValue([]);
+  });
+
   afterEach(() => {
+    jest.restoreAllMocks();
+
     // Clean up exchanges after each test
     exchangeManager.removeExchange(testUserId, 'binance');
     exchangeManager.removeExchange(testUserId, 'coinbase');
@@ -241,6 +251,101 @@ describe('Exchange Manager', () => {
     });
   });
 
+  describe('Connection Lifecycle', () => {
+    let stored;
+    let mockExchange;
+
+    beforeEach(async () => {
+      // Every mocked binance instance is the same object
+      mockExchange = await exchangeManager.createExchange('binance', testCredentials, true);
+      stored = {
+        userId: testUserId,
+        exchangeName: 'binance',
+        sandbox: true,
+        getDecryptedCredentials: jest.fn().mockResolvedValue(testCredentials),
+        updateConnectionStatus: jest.fn().mockResolvedValue(),
+        updatePermissions: jest.fn().mockResolvedValue()
+      };
+      ExchangeCredentials.findByUserAndExchange.mockResolvedValue(stored);
+      ExchangeCredentials.findActiveByUser.mockResolvedValue([stored]);
+    });
+
+    test('should rebuild a connection from stored credentials on first use', async () => {
+      const [first, second] = await Promise.all([
+        exchangeManager.loadExchange(testUserId, 'binance'),
+        exchangeManager.loadExchange(testUserId, 'binance')
+      ]);
+
+      expect(first).toBe(mockExchange);
+      expect(second).toBe(mockExchange);
+      expect(stored.getDecryptedCredentials).toHaveBeenCalledTimes(1);
+      expect(stored.updateConnectionStatus).toHaveBeenCalledWith('connected', null);
+      expect(exchangeManager.getExchange(testUserId, 'binance')).toBe(mockExchange);
+      // Keys stored before permission detection get their permissions detected
+      expect(stored.updatePermissions).toHaveBeenCalledWith(
+        expect.objectContaining({ spot: true, detectedAt: expect.any(Date) })
+      );
+    });
+
+    test('should back off after a failed reconnect and report it', async () => {
+      mockExchange.fetchBalance.mockRejectedValueOnce(new Error('Invalid API key'));
+
+      expect(await exchangeManager.loadExchange(testUserId, 'binance')).toBeNull();
+      expect(await exchangeManager.loadExchange(testUserId, 'binance')).toBeNull();
+      expect(stored.getDecryptedCredentials).toHaveBeenCalledTimes(1);
+      expect(stored.updateConnectionStatus).toHaveBeenCalledWith(
+        'error',
+        'Invalid API credentials'
+      );
+
+      const [status] = await exchangeManager.getConnectionStatuses(testUserId);
+      expect(status).toMatchObject({
+        name: 'binance',
+        status: 'reconnecting',
+        lastError: 'Invalid API credentials',
+        reconnectAttempts: 1
+      });
+      expect(status.nextRetryAt.getTime()).toBeGreaterThan(Date.now());
+
+      // The next health check after the backoff reconnects
+      exchangeManager.connectionFailures.get(`${testUserId}_binance`).nextRetryAt = new Date();
+      await exchangeManager.runHealthChecks();
+
+      const [reconnected] = await exchangeManager.getConnectionStatuses(testUserId);
+      expect(reconnected).toMatchObject({ status: 'connected', reconnectAttempts: 0 });
+    });
+
+    test('should report stored exchanges that fail to reconnect', async () => {
+      mockExchange.fetchBalance.mockRejectedValueOnce(new Error('Invalid API key'));
+
+      const { connected, unavailable } = await exchangeManager.loadStoredExchanges(testUserId);
+
+      expect(connected).toEqual([]);
+      expect(unavailable).toEqual([{ exchangeName: 'binance', error: 'Invalid API credentials' }]);
+
+      // While backed off the exchange is still reported
+      const retry = await exchangeManager.loadStoredExchanges(testUserId);
+      expect(retry.unavailable).toEqual([
+        { exchangeName: 'binance', error: expect.stringContaining('backed off') }
+      ]);
+    });
+
+    test('should drop connections that fail their health check', async () => {
+      await exchangeManager.addExchange(testUserId, 'binance', testCredentials, true);
+      ExchangeCredentials.findNeedingHealthCheck.mockResolvedValue([stored]);
+      mockExchange.fetchBalance.mockRejectedValueOnce(new Error('Network timeout'));
+
+      await exchangeManager.runHealthChecks();
+
+      expect(exchangeManager.getExchange(testUserId, 'binance')).toBeNull();
+      expect(stored.updateConnectionStatus).toHaveBeenCalledWith(
+        'error',
+        'Connection test failed: Network timeout'
+      );
+      expect(exchangeManager.connectionFailures.get(`${testUserId}_binance`).attempts).toBe(1);
+    });
+  });
+
   describe('Cleanup', () => {
     test('should cleanup inactive exchanges', async () => {
       await exchangeManager.addExchange(testUserId, 'binance', testCredentials, true);
@@ -0,0 +1,127 @@
+// Minimal ccxt style classes exposing the metadata the registry reads
+jest.mock('ccxt', () => {
+  const defineExchange = metadata =>
+    class {
+      constructor(options = {}) {
+        Object.assign(this, metadata, options);
+      }
+    };
+
+  return {
+    exchanges: ['binance', 'bitget', 'hyperliquid'],
+    binance: defineExchange({ name: 'Binance', has: { spot: true } }),
+    bitget: defineExchange({
+      name: 'Bitget',
+      has: { spot: true, margin: true, swap: true, future: false, option: false },
+      requiredCredentials: { apiKey: true, secret: true, password: true, uid: false },
+      timeframes: { '1m': '1min', '1h': '1h', '1d': '1day' }
+    }),
+    hyperliquid: defineExchange({
+      name: 'Hyperliquid',
+      has: { spot: true, swap: true },
+      requiredCredentials: { apiKey: false, secret: false, walletAddress: true, privateKey: true }
+    }),
+    pro: { bitget: class {} }
+  };
+});
+
+jest.mock('../src/services/exchanges/adapters/lcxAdapter', () =>
+  jest.fn().mockImplementation(() => ({ name: 'LCX', has: { spot: true } }))
+);
+
+const config = require('../src/config');
+const exchangeRegistry = require('../src/services/exchanges/exchangeRegistry');
+
+describe('Exchange Registry', () => {
+  let enabled;
+
+  beforeEach(() => {
+    enabled = config.exchangeRegistry.enabled;
+    config.exchangeRegistry.enabled = ['binance', 'bitget', 'hyperliquid', 'lcx', 'unknown'];
+  });
+
+  afterEach(() => {
+    config.exchangeRegistry.enabled = enabled;
+  });
+
+  test('should describe a ccxt exchange from its class', () => {
+    expect(exchangeRegistry.describe('bitget')).toEqual({
+      id: 'bitget',
+      name: 'Bitget',
+      has: expect.objectContaining({ margin: true }),
+      features: { spot: true, futures: true, margin: true, options: false, websocket: true },
+      credentials: ['apiKey', 'secret', 'passphrase'],
+      unsupportedCredentials: [],
+      timeframes: ['1m', '1h', '1d']
+    });
+  });
+
+  test('should only support enabled exchanges with storable credentials', () => {
+    expect(exchangeRegistry.getExchangeIds()).toEqual(['binance', 'bitget', 'lcx']);
+    expect(exchangeRegistry.isSupported('hyperliquid')).toBe(false);
+    expect(exchangeRegistry.describe('hyperliquid').unsupportedCredentials).toEqual([
+      'walletAddress',
+      'privateKey'
+    ]);
+
+    config.exchangeRegistry.enabled = ['binance'];
+    expect(exchangeRegistry.isSupported('bitget')).toBe(false);
+  });
+
+  test('should use configured display names and default credential fields', () => {
+    expect(exchangeRegistry.describe('lcx')).toMatchObject({
+      name: 'LCX',
+      credentials: ['apiKey', 'secret'],
+      features: { spot: true, futures: false, websocket: false }
+    });
+  });
+
+  test('should create instances through registered adapters with ccxt credential names', () => {
+    const CustomExchange = jest.fn().mockImplementation(options => ({ options }));
+    exchangeRegistry.register('bitget', CustomExchange);
+
+    const exchange = exchangeRegistry.create(
+      'bitget',
+      { apiKey: 'key', secret: 'secret', passphrase: 'phrase' },
+      { enableRateLimit: true }
+    );
+
+    expect(exchange.options).toEqual({
+      apiKey: 'key',
+      secret: 'secret',
+      password: 'phrase',
+      enableRateLimit: true
+    });
+    expect(() => exchangeRegistry.create('unknown')).toThrow('Exchange class unknown not found');
+  });
+
+  test('should keep documents on exchanges that are no longer enabled valid', () => {
+    const env = { ...process.env };
+    process.env.EXCHANGES_ENABLED = 'binance';
+    process.env.EXCHANGES_KNOWN = 'bitget';
+
+    try {
+      jest.isolateModules(() => {
+        const isolatedConfig = require('../src/config');
+        const Order = require('../src/models/Order');
+
+        expect(isolatedConfig.exchangeRegistry.enabled).toEqual(['binance']);
+        expect(isolatedConfig.exchangeRegistry.known).toEqual(
+          expect.arrayContaining(['binance', 'kraken', 'lcx', 'bitget'])
+        );
+
+        const order = new Order({
+          userId: '64b000000000000000000001',
+          exchangeName: 'bitget',
+          symbol: 'BTC/USDT',
+          type: 'market',
+          side: 'buy',
+          amount: 1
+        });
+        expect(order.validateSync()?.errors?.exchangeName).toBeUndefined();
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,156 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  loadExchange: jest.fn()
+}));
+jest.mock('../src/services/market/marketDataService', () => ({
+  getUnifiedTicker: jest.fn(),
+  getExchangeInstance: jest.fn()
+}));
+
+const feeService = require('../src/services/trading/feeService');
+const exchangeManager = require('../src/services/exchanges/exchangeManager');
+const marketDataService = require('../src/services/market/marketDataService');
+const Order = require('../src/models/Order');
+const config = require('../src/config');
+
+const USER_ID = '64b000000000000000000001';
+
+const buildExchange = (overrides = {}) => ({
+  has: { fetchTradingFees: true },
+  fetchTradingFees: jest.fn().mockResolvedValue({
+    'BTC/USDT': { symbol: 'BTC/USDT', maker: 0.0008, taker: 0.001 }
+  }),
+  loadMarkets: jest.fn().mockResolvedValue({}),
+  fetchTicker: jest.fn().mockResolvedValue({ bid: 49990, ask: 50010, last: 50000 }),
+  ...overrides
+});
+
+describe('Fee Service', () => {
+  beforeEach(() => {
+    jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    feeService.clearCache();
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('getLiquidityRole', () => {
+    test('should charge market and stop orders the taker rate', () => {
+      expect(feeService.getLiquidityRole({ type: 'market', side: 'buy' })).toBe('taker');
+      expect(feeService.getLiquidityRole({ type: 'stop', side: 'sell', stopPrice: 100 })).toBe('taker');
+    });
+
+    test('should charge limit orders that cross the spread the taker rate', () => {
+      const ticker = { bid: 99, ask: 100 };
+
+      expect(feeService.getLiquidityRole({ type: 'limit', side: 'buy', price: 100 }, ticker)).toBe('taker');
+      expect(feeService.getLiquidityRole({ type: 'limit', side: 'buy', price: 99.5 }, ticker)).toBe('maker');
+      expect(feeService.getLiquidityRole({ type: 'limit', side: 'buy', price: 101, postOnly: true }, ticker)).toBe(
+        'maker'
+      );
+    });
+  });
+
+  describe('getSchedule', () => {
+    test('should use the account rates the exchange reports', async () => {
+      const exchange = buildExchange();
+      exchangeManager.loadExchange.mockResolvedValue(exchange);
+
+      const rates = await feeService.getRates(USER_ID, 'binance', 'BTC/USDT');
+
+      expect(rates).toEqual({ maker: 0.0008, taker: 0.001, source: 'exchange' });
+      expect(exchange.loadMarkets).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to market fees when the fee API fails', async () => {
+      exchangeManager.loadExchange.mockResolvedValue(
+        buildExchange({
+          fetchTradingFees: jest.fn().mockRejectedValue(new Error('Permission denied')),
+          loadMarkets: jest.fn().mockResolvedValue({
+            'ETH/USDT': { symbol: 'ETH/USDT', maker: 0.002, taker: 0.003 }
+          })
+        })
+      );
+
+      expect(await feeService.getRates(USER_ID, 'kraken', 'ETH/USDT')).toEqual({
+        maker: 0.002,
+        taker: 0.003,
+        source: 'markets'
+      });
+      expect(await feeService.getRates(USER_ID, 'kraken', 'SOL/USDT')).toEqual({
+        ...config.fees.default,
+        source: 'default'
+      });
+    });
+
+    test('should pick the configured tier from 30-day volume', async () => {
+      const schedules = config.fees.schedules;
+      config.fees.schedules = {
+        lcx: [
+          { minVolume: 100000, maker: 0.002, taker: 0.0025 },
+          { minVolume: 0, maker: 0.003, taker: 0.003 }
+        ]
+      };
+      Order.aggregate.mockResolvedValue([
+        { _id: 'BTC/USDT', cost: 80000 },
+        { _id: 'ETH/EUR', cost: 20000 }
+      ]);
+      marketDataService.getUnifiedTicker.mockResolvedValue({ unified: { averagePrice: 1.1 } });
+
+      try {
+        const schedule = await feeService.getSchedule(USER_ID, 'lcx');
+
+        expect(marketDataService.getUnifiedTicker).toHaveBeenCalledWith('EUR/USDT');
+        expect(schedule.volume30d).toBeCloseTo(102000);
+        expect(schedule).toMatchObject({ source: 'config', maker: 0.002, taker: 0.0025 });
+      } finally {
+        config.fees.schedules = schedules;
+      }
+    });
+  });
+
+  describe('getQuote', () => {
+    test('should price market buys at the ask with the taker fee', async () => {
+      exchangeManager.loadExchange.mockResolvedValue(buildExchange());
+
+      const quote = await feeService.getQuote(USER_ID, {
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        type: 'market',
+        side: 'buy',
+        amount: 2
+      });
+
+      expect(quote.expectedPrice).toBe(50010);
+      expect(quote.fee).toEqual({ role: 'taker', rate: 0.001, currency: 'USDT', cost: 100.02 });
+      expect(quote.total).toBeCloseTo(100120.02);
+      expect(quote.schedule).toMatchObject({ source: 'exchange', volume30d: 0, tier: null });
+    });
+
+    test('should quote resting limit sells with the maker fee', async () => {
+      exchangeManager.loadExchange.mockResolvedValue(buildExchange());
+
+      const quote = await feeService.getQuote(USER_ID, {
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        type: 'limit',
+        side: 'sell',
+        amount: 1,
+        price: 51000
+      });
+
+      expect(quote.fee).toMatchObject({ role: 'maker', rate: 0.0008 });
+      expect(quote.total).toBeCloseTo(51000 - 40.8);
+    });
+
+    test('should reject exchanges the user has not connected', async () => {
+      exchangeManager.loadExchange.mockResolvedValue(null);
+
+      await expect(
+        feeService.getQuote(USER_ID, { exchangeName: 'kraken', symbol: 'BTC/USDT', type: 'market', side: 'buy', amount: 1 })
+      ).rejects.toThrow('not connected');
+    });
+  });
+});
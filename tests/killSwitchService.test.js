@@ -0,0 +1,300 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  loadStoredExchanges: jest.fn(() => Promise.resolve({ connected: [], unavailable: [] })),
+  getExchange: jest.fn()
+}));
+jest.mock('../src/services/market/marketDataService', () => ({
+  getCandles: jest.fn(),
+  getUnifiedTicker: jest.fn()
+}));
+jest.mock('../src/services/trading/advancedOrderService', () => ({
+  cancelAlgoOrder: jest.fn(),
+  cancelBracketOrder: jest.fn(),
+  cancelTrailingStopOrder: jest.fn(),
+  cancelIcebergOrder: jest.fn(),
+  cancelOCOOrder: jest.fn()
+}));
+jest.mock('../src/services/trading/paperTradingService', () => ({
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+jest.mock('../src/services/trading/tradingService', () => ({
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+
+const killSwitchService = require('../src/services/trading/killSwitchService');
+const riskManagementService = require('../src/services/trading/riskManagementService');
+const advancedOrderService = require('../src/services/trading/advancedOrderService');
+const paperTradingService = require('../src/services/trading/paperTradingService');
+const tradingService = require('../src/services/trading/tradingService');
+const exchangeManager = require('../src/services/exchanges/exchangeManager');
+const KillSwitch = require('../src/models/KillSwitch');
+const RiskProfile = require('../src/models/RiskProfile');
+const RiskEvent = require('../src/models/RiskEvent');
+const Order = require('../src/models/Order');
+const Portfolio = require('../src/models/Portfolio');
+const TradingPosition = require('../src/models/TradingPosition');
+
+const USER_ID = '64b000000000000000000001';
+const MINUTE = 60 * 1000;
+
+const buildPortfolio = (current, highWaterMark) => {
+  const portfolio = new Portfolio({ userId: USER_ID, baseCurrency: 'USDT' });
+  portfolio.totalValue.current = current;
+  portfolio.performance.highWaterMark.value = highWaterMark;
+  return portfolio;
+};
+
+describe('Kill Switch Service', () => {
+  let killSwitch;
+
+  beforeEach(() => {
+    killSwitch = new KillSwitch({ userId: USER_ID });
+    jest
+      .spyOn(KillSwitch, 'findOne')
+      .mockImplementation(query =>
+        Promise.resolve(!query.engaged || killSwitch.engaged ? killSwitch : null)
+      );
+    jest.spyOn(KillSwitch.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Order, 'find').mockResolvedValue([]);
+    jest.spyOn(TradingPosition, 'find').mockResolvedValue([]);
+    jest.spyOn(TradingPosition, 'findOpenPositions').mockResolvedValue([]);
+    jest.spyOn(RiskProfile, 'findOne').mockResolvedValue(
+      new RiskProfile({
+        userId: USER_ID,
+        limits: riskManagementService.getDefaultRiskLimits({ riskLevel: 'moderate' })
+      })
+    );
+    jest.spyOn(RiskEvent, 'insertMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('engage', () => {
+    test('should block new orders and cancel orders on every venue', async () => {
+      const exchange = {
+        has: { fetchOpenOrders: true },
+        fetchOpenOrders: jest.fn().mockResolvedValue([{ id: 'ext-1', symbol: 'ETH/USDT' }]),
+        cancelOrder: jest.fn().mockResolvedValue({})
+      };
+      exchangeManager.loadStoredExchanges.mockResolvedValue({
+        connected: [{ name: 'binance' }],
+        unavailable: []
+      });
+      exchangeManager.getExchange.mockReturnValue(exchange);
+      Order.find.mockImplementation(query => {
+        if (!query.type && !query['advancedOrderData.oco.orderListId']) {
+          return Promise.resolve([]);
+        }
+        if (query.type && query.type.$in.includes('twap')) {
+          return Promise.resolve([{ _id: 'algo1', type: 'twap' }]);
+        }
+        if (query['advancedOrderData.oco.orderListId'].$exists) {
+          return Promise.resolve([
+            { _id: 'leg1', advancedOrderData: { oco: { orderListId: 'list1' } } },
+            { _id: 'leg2', advancedOrderData: { oco: { orderListId: 'list1' } } }
+          ]);
+        }
+        return Promise.resolve([
+          { _id: 'paper1', isPaperTrade: true },
+          { _id: 'live1', isPaperTrade: false }
+        ]);
+      });
+      tradingService.cancelOrder.mockRejectedValue(new Error('Order not found'));
+
+      const result = await killSwitchService.engage(USER_ID, {
+        message: 'Desk halt',
+        ip: '10.0.0.1'
+      });
+
+      await expect(riskManagementService.assertTradingAllowed(USER_ID)).rejects.toThrow(
+        'Trading halted by kill switch: Desk halt'
+      );
+      expect(advancedOrderService.cancelAlgoOrder).toHaveBeenCalledWith(USER_ID, 'algo1', 'twap');
+      expect(advancedOrderService.cancelOCOOrder).toHaveBeenCalledTimes(1);
+      expect(paperTradingService.cancelOrder).toHaveBeenCalledWith(USER_ID, 'paper1');
+      expect(exchange.cancelOrder).toHaveBeenCalledWith('ext-1', 'ETH/USDT');
+      expect(result.lastActions.ordersCancelled).toBe(4);
+      expect(result.lastActions.failures).toEqual(['order live1: Order not found']);
+      expect(result.lastActions.incomplete).toBe(true);
+      expect(result.lastActions.incompleteExchanges).toEqual([]);
+      expect(result.auditLog[0]).toMatchObject({
+        action: 'engaged',
+        actor: 'user',
+        reason: 'Desk halt',
+        ip: '10.0.0.1'
+      });
+    });
+
+    test('should cancel iceberg parents so they stop revealing slices', async () => {
+      exchangeManager.loadStoredExchanges.mockResolvedValue({ connected: [], unavailable: [] });
+      Order.find.mockImplementation(query =>
+        Promise.resolve(query.type && query.type.$in.includes('iceberg') ? [{ _id: 'ice1', type: 'iceberg' }] : [])
+      );
+
+      const result = await killSwitchService.engage(USER_ID, { message: 'Desk halt' });
+
+      expect(advancedOrderService.cancelIcebergOrder).toHaveBeenCalledWith(USER_ID, 'ice1');
+      expect(advancedOrderService.cancelAlgoOrder).not.toHaveBeenCalled();
+      expect(result.lastActions.ordersCancelled).toBe(1);
+      expect(result.lastActions.failures).toEqual([]);
+    });
+
+    test('should list open orders per symbol where the exchange needs one', async () => {
+      const binance = {
+        has: { fetchOpenOrders: true },
+        fetchOpenOrders: jest.fn(symbol =>
+          symbol
+            ? Promise.resolve([{ id: `${symbol}-ext`, symbol }])
+            : Promise.reject(new Error('fetching open orders without a symbol'))
+        ),
+        cancelOrder: jest.fn().mockResolvedValue({})
+      };
+      const kraken = {
+        has: { fetchOpenOrders: true },
+        fetchOpenOrders: jest.fn().mockRejectedValue(new Error('requires a symbol argument')),
+        cancelOrder: jest.fn()
+      };
+      exchangeManager.loadStoredExchanges.mockResolvedValue({
+        connected: [{ name: 'binance' }, { name: 'kraken' }],
+        unavailable: []
+      });
+      exchangeManager.getExchange.mockImplementation((userId, name) =>
+        name === 'binance' ? binance : kraken
+      );
+      const activeOrders = [
+        { exchangeName: 'binance', symbol: 'BTC/USDT' },
+        { exchangeName: 'binance', symbol: 'ETH/USDT' },
+        { exchangeName: 'binance', symbol: 'BTC/USDT' }
+      ];
+      Order.find.mockImplementation(query => {
+        if (!query.type && !query['advancedOrderData.oco.orderListId']) {
+          return Promise.resolve(activeOrders);
+        }
+        return Promise.resolve([]);
+      });
+
+      const result = await killSwitchService.engage(USER_ID);
+
+      expect(binance.fetchOpenOrders.mock.calls).toEqual([[], ['BTC/USDT'], ['ETH/USDT']]);
+      expect(binance.cancelOrder).toHaveBeenCalledWith('BTC/USDT-ext', 'BTC/USDT');
+      expect(binance.cancelOrder).toHaveBeenCalledWith('ETH/USDT-ext', 'ETH/USDT');
+      expect(result.lastActions.ordersCancelled).toBe(2);
+      expect(result.lastActions.failures).toEqual([
+        'kraken open orders: requires a symbol argument'
+      ]);
+      expect(result.lastActions.incomplete).toBe(true);
+      expect(result.lastActions.incompleteExchanges).toEqual(['kraken']);
+    });
+
+    test('should leave stored exchanges that cannot be reached incomplete', async () => {
+      const binance = {
+        has: { fetchOpenOrders: true },
+        fetchOpenOrders: jest.fn().mockResolvedValue([]),
+        cancelOrder: jest.fn()
+      };
+      exchangeManager.loadStoredExchanges.mockResolvedValue({
+        connected: [{ name: 'binance' }, { name: 'coinbase' }],
+        unavailable: [{ exchangeName: 'kraken', error: 'Reconnecting to kraken is backed off' }]
+      });
+      exchangeManager.getExchange.mockImplementation((userId, name) =>
+        name === 'binance' ? binance : null
+      );
+
+      const result = await killSwitchService.engage(USER_ID);
+
+      expect(binance.fetchOpenOrders).toHaveBeenCalled();
+      expect(result.lastActions.failures).toEqual([
+        'kraken open orders: Reconnecting to kraken is backed off',
+        'coinbase open orders: Exchange disconnected'
+      ]);
+      expect(result.lastActions.incomplete).toBe(true);
+      expect(result.lastActions.incompleteExchanges).toEqual(['kraken', 'coinbase']);
+    });
+
+    test('should flatten open positions past the kill switch', async () => {
+      TradingPosition.findOpenPositions.mockResolvedValue([
+        {
+          _id: 'pos1',
+          symbol: 'BTC/USDT',
+          exchangeName: 'binance',
+          side: 'long',
+          size: 2,
+          exitOrders: [{ amount: 0.5 }]
+        },
+        {
+          _id: 'pos2',
+          symbol: 'ETH/USDT',
+          exchangeName: 'paper_trading',
+          side: 'short',
+          size: 3,
+          exitOrders: []
+        }
+      ]);
+
+      const result = await killSwitchService.engage(USER_ID, { flattenPositions: true });
+
+      expect(tradingService.placeOrder).toHaveBeenCalledWith(
+        USER_ID,
+        expect.objectContaining({ symbol: 'BTC/USDT', side: 'sell', type: 'market', amount: 1.5 }),
+        { riskReducing: true }
+      );
+      expect(paperTradingService.placeOrder).toHaveBeenCalledWith(
+        USER_ID,
+        expect.objectContaining({ symbol: 'ETH/USDT', side: 'buy', amount: 3 }),
+        { riskReducing: true }
+      );
+      expect(result.lastActions.positionsFlattened).toBe(2);
+    });
+  });
+
+  describe('circuit breakers', () => {
+    test('should trip on a drawdown breach following the user policy', async () => {
+      killSwitch.policy.onBreach = 'block';
+
+      const result = await killSwitchService.checkPortfolio(buildPortfolio(85000, 100000));
+
+      expect(result).toMatchObject({ engaged: true, reason: 'drawdown', engagedBy: 'system' });
+      expect(result.message).toBe('Drawdown 15.00% exceeds limit of 10.00%');
+      expect(RiskEvent.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ type: 'violation', rule: 'drawdown', source: 'circuit_breaker' })
+      ]);
+      expect(Order.find).not.toHaveBeenCalled();
+      expect(await killSwitchService.checkPortfolio(buildPortfolio(95000, 100000))).toBeNull();
+    });
+
+    test('should hold breaker unlocks for the cooldown and acknowledge the breach', async () => {
+      const portfolio = buildPortfolio(85000, 100000);
+      jest.spyOn(Portfolio, 'findByUserId').mockResolvedValue(portfolio);
+      await killSwitchService.checkPortfolio(portfolio);
+
+      await expect(
+        killSwitchService.unlock(USER_ID, { reason: 'Reviewed the losses' })
+      ).rejects.toThrow('cannot be unlocked before');
+
+      killSwitch.engagedAt = new Date(Date.now() - 16 * MINUTE);
+      await killSwitchService.unlock(USER_ID, { reason: 'Reviewed the losses', ip: '10.0.0.1' });
+
+      expect(killSwitch.engaged).toBe(false);
+      expect(killSwitch.auditLog.map(entry => entry.action)).toEqual(['engaged', 'unlocked']);
+      await expect(riskManagementService.assertTradingAllowed(USER_ID)).resolves.toBeUndefined();
+
+      // The acknowledged drawdown does not trip again, a deeper one does
+      expect(await killSwitchService.checkPortfolio(portfolio)).toBeNull();
+      const result = await killSwitchService.checkPortfolio(buildPortfolio(80000, 100000));
+      expect(result.engaged).toBe(true);
+    });
+
+    test('should refuse to unlock a kill switch that is not engaged', async () => {
+      await expect(killSwitchService.unlock(USER_ID, { reason: 'Nothing to do' })).rejects.toThrow(
+        'Kill switch is not engaged'
+      );
+    });
+  });
+});
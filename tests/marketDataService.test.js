@@ -480,9 +480,7 @@ describe('Market Data Service', () => {
         orderbooksCount: expect.any(Number),
         tradesCount: expect.any(Number),
         candlesCount: expect.any(Number),
-        subscribersCount: expect.any(Number),
-        updateInterval: expect.any(Number),
-        isUpdating: expect.any(Boolean)
+        subscribersCount: expect.any(Number)
       });
     });
   });
@@ -536,5 +534,21 @@ describe('Market Data Service', () => {
 
       expect(callback).toHaveBeenCalledWith('ticker', { symbol: 'BTC/USDT', data: {} });
     });
+
+    test('should publish updates to every subscriber', () => {
+      const failing = jest.fn(() => {
+        throw new Error('Subscriber failed');
+      });
+      const callback = jest.fn();
+      const unsubscribeFailing = marketDataService.subscribe(failing);
+      const unsubscribe = marketDataService.subscribe(callback);
+
+      marketDataService.publish('orderbook', { symbol: 'BTC/USDT', data: {} });
+
+      expect(callback).toHaveBeenCalledWith('orderbook', { symbol: 'BTC/USDT', data: {} });
+
+      unsubscribeFailing();
+      unsubscribe();
+    });
   });
 });
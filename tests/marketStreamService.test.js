@@ -0,0 +1,279 @@
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  getSupportedExchanges: jest.fn()
+}));
+
+const { WebSocketServer, WebSocket } = require('ws');
+const marketStreamService = require('../src/services/market/marketStreamService');
+const marketDataService = require('../src/services/market/marketDataService');
+const exchangeManager = require('../src/services/exchanges/exchangeManager');
+
+/**
+ * Minimal ccxt pro style client backed by a websocket connection.
+ * Each watch call resolves with the next message for its channel and symbol.
+ */
+class MockStreamingExchange {
+  constructor(url) {
+    this.url = url;
+    this.pending = new Map();
+    this.subscribed = new Set();
+    this.closed = false;
+  }
+
+  connect() {
+    if (!this.ready) {
+      this.ready = new Promise((resolve, reject) => {
+        this.socket = new WebSocket(this.url);
+        this.socket.on('open', resolve);
+        this.socket.on('error', reject);
+        this.socket.on('message', raw => this.handleMessage(JSON.parse(raw)));
+      });
+    }
+    return this.ready;
+  }
+
+  handleMessage({ channel, symbol, data }) {
+    const key = `${channel}:${symbol}`;
+    const waiters = this.pending.get(key) || [];
+    this.pending.delete(key);
+    waiters.forEach(waiter => waiter.resolve(data));
+  }
+
+  async watch(channel, symbol) {
+    await this.connect();
+
+    const key = `${channel}:${symbol}`;
+    if (!this.subscribed.has(key)) {
+      this.subscribed.add(key);
+      this.socket.send(JSON.stringify({ op: 'subscribe', channel, symbol }));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(key, [...(this.pending.get(key) || []), { resolve, reject }]);
+    });
+  }
+
+  watchTicker(symbol) {
+    return this.watch('ticker', symbol);
+  }
+
+  watchOrderBook(symbol) {
+    return this.watch('orderbook', symbol);
+  }
+
+  watchTrades(symbol) {
+    return this.watch('trades', symbol);
+  }
+
+  unWatchTicker(symbol) {
+    this.subscribed.delete(`ticker:${symbol}`);
+    this.socket.send(JSON.stringify({ op: 'unsubscribe', channel: 'ticker', symbol }));
+  }
+
+  close() {
+    this.closed = true;
+    this.pending.forEach(waiters => waiters.forEach(waiter => waiter.reject(new Error('closed'))));
+    this.pending.clear();
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const startedAt = Date.now();
+  while (!predicate()) {
+    if (Date.now() - startedAt > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const buildTicker = last => ({
+  last,
+  bid: last - 1,
+  ask: last + 1,
+  high: last + 100,
+  low: last - 100,
+  quoteVolume: 1000,
+  timestamp: Date.now()
+});
+
+const buildTrade = (id, timestamp) => ({
+  id,
+  timestamp,
+  datetime: new Date(timestamp).toISOString(),
+  price: 50000,
+  amount: 0.1,
+  cost: 5000,
+  side: 'buy'
+});
+
+describe('Market Stream Service', () => {
+  let server;
+  let serverMessages;
+  let clients;
+  let updates;
+  let unsubscribeUpdates;
+
+  const push = (channel, symbol, data) => {
+    server.clients.forEach(socket => socket.send(JSON.stringify({ channel, symbol, data })));
+  };
+
+  const waitForSubscription = (channel, symbol) =>
+    waitFor(() =>
+      serverMessages.some(
+        message => message.op === 'subscribe' && message.channel === channel && message.symbol === symbol
+      )
+    );
+
+  beforeEach(async () => {
+    serverMessages = [];
+    server = new WebSocketServer({ port: 0 });
+    server.on('connection', socket => {
+      socket.on('message', raw => serverMessages.push(JSON.parse(raw)));
+    });
+    await new Promise(resolve => server.on('listening', resolve));
+
+    clients = [];
+    marketStreamService.setExchangeFactory(() => {
+      const client = new MockStreamingExchange(`ws://127.0.0.1:${server.address().port}`);
+      clients.push(client);
+      return client;
+    });
+    marketStreamService.publishInterval = 0;
+    marketStreamService.pollInterval = 20;
+    marketStreamService.retryDelay = 5;
+
+    exchangeManager.getSupportedExchanges.mockReturnValue([
+      { id: 'binance', enabled: true, features: { websocket: true } }
+    ]);
+
+    updates = [];
+    unsubscribeUpdates = marketDataService.subscribe((type, data) => updates.push({ type, ...data }));
+  });
+
+  afterEach(async () => {
+    marketStreamService.stop();
+    unsubscribeUpdates();
+    jest.restoreAllMocks();
+    server.clients.forEach(socket => socket.terminate());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should publish unified tickers from the exchange websocket', async () => {
+    marketStreamService.subscribe('ticker', 'BTC/USDT');
+    await waitForSubscription('ticker', 'BTC/USDT');
+
+    push('ticker', 'BTC/USDT', buildTicker(50000));
+    await waitFor(() => updates.length === 1);
+
+    expect(updates[0]).toMatchObject({ type: 'ticker', symbol: 'BTC/USDT' });
+    expect(updates[0].data.unified).toMatchObject({
+      averagePrice: 50000,
+      bestBid: 49999,
+      bestAsk: 50001,
+      exchangeCount: 1
+    });
+    expect(updates[0].data.byExchange[0].exchange).toBe('binance');
+  });
+
+  test('should publish merged order books', async () => {
+    marketStreamService.subscribe('orderbook', 'BTC/USDT');
+    await waitForSubscription('orderbook', 'BTC/USDT');
+
+    push('orderbook', 'BTC/USDT', {
+      bids: [[49999, 1], [49998, 2]],
+      asks: [[50001, 1.5]],
+      timestamp: Date.now()
+    });
+    await waitFor(() => updates.length === 1);
+
+    expect(updates[0].type).toBe('orderbook');
+    expect(updates[0].data.unified).toMatchObject({
+      bestBid: 49999,
+      bestAsk: 50001,
+      totalBidDepth: 3,
+      totalAskDepth: 1.5
+    });
+  });
+
+  test('should only publish trades that have not been seen before', async () => {
+    const now = Date.now();
+    marketStreamService.subscribe('trades', 'BTC/USDT');
+    await waitForSubscription('trades', 'BTC/USDT');
+
+    push('trades', 'BTC/USDT', [buildTrade('1', now), buildTrade('2', now + 1)]);
+    await waitFor(() => updates.length === 1);
+
+    push('trades', 'BTC/USDT', [buildTrade('1', now), buildTrade('2', now + 1), buildTrade('3', now + 1)]);
+    await waitFor(() => updates.length === 2);
+
+    expect(updates[0].data.trades.map(trade => trade.id)).toEqual(['1', '2']);
+    expect(updates[1].data.trades.map(trade => trade.id)).toEqual(['3']);
+  });
+
+  test('should poll over REST for exchanges without websocket support', async () => {
+    exchangeManager.getSupportedExchanges.mockReturnValue([
+      { id: 'binance', enabled: true, features: { websocket: true } },
+      { id: 'lcx', enabled: true, features: { websocket: false } }
+    ]);
+    jest.spyOn(marketDataService, 'getTicker').mockResolvedValue(
+      marketDataService.formatTicker('lcx', 'BTC/USDT', buildTicker(50100))
+    );
+
+    marketStreamService.subscribe('ticker', 'BTC/USDT');
+    await waitForSubscription('ticker', 'BTC/USDT');
+    push('ticker', 'BTC/USDT', buildTicker(49900));
+
+    await waitFor(() => updates.some(update => update.data.unified.exchangeCount === 2));
+
+    expect(marketDataService.getTicker).toHaveBeenCalledWith('lcx', 'BTC/USDT');
+    expect(marketDataService.getTicker).not.toHaveBeenCalledWith('binance', 'BTC/USDT');
+    expect(clients).toHaveLength(1);
+
+    const latest = updates[updates.length - 1];
+    expect(latest.data.unified.averagePrice).toBe(50000);
+  });
+
+  test('should share a stream between subscribers and close it after the last one leaves', async () => {
+    expect(marketStreamService.subscribe('ticker', 'BTC/USDT')).toBe(1);
+    expect(marketStreamService.subscribe('ticker', 'BTC/USDT')).toBe(2);
+    await waitForSubscription('ticker', 'BTC/USDT');
+
+    expect(marketStreamService.unsubscribe('ticker', 'BTC/USDT')).toBe(1);
+    expect(clients[0].closed).toBe(false);
+
+    expect(marketStreamService.unsubscribe('ticker', 'BTC/USDT')).toBe(0);
+    await waitFor(() => serverMessages.some(message => message.op === 'unsubscribe'));
+
+    expect(serverMessages.filter(message => message.op === 'subscribe')).toHaveLength(1);
+    expect(clients[0].closed).toBe(true);
+    expect(marketStreamService.getStats().activeStreams).toBe(0);
+
+    push('ticker', 'BTC/USDT', buildTicker(50000));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(updates).toHaveLength(0);
+  });
+
+  test('should fall back to REST polling when the websocket keeps failing', async () => {
+    marketStreamService.setExchangeFactory(() => ({
+      watchTicker: jest.fn().mockRejectedValue(new Error('connection refused')),
+      close: jest.fn()
+    }));
+    marketStreamService.maxStreamErrors = 2;
+    jest.spyOn(marketDataService, 'getTicker').mockResolvedValue(
+      marketDataService.formatTicker('binance', 'BTC/USDT', buildTicker(50000))
+    );
+
+    marketStreamService.subscribe('ticker', 'BTC/USDT');
+    await waitFor(() => updates.length > 0);
+
+    expect(marketStreamService.getStats().streams[0].exchanges).toEqual([
+      { exchange: 'binance', mode: 'polling' }
+    ]);
+    expect(marketStreamService.getStats().connectedClients).toBe(0);
+
+    marketStreamService.maxStreamErrors = 5;
+  });
+});
@@ -0,0 +1,106 @@
+const paperFillSimulator = require('../src/services/trading/paperFillSimulator');
+
+const orderbook = {
+  bids: [
+    [99, 2],
+    [98, 3]
+  ],
+  asks: [
+    [100, 1],
+    [101, 1],
+    [102, 5]
+  ]
+};
+
+const buildTrade = (offset, price, amount, side) => ({
+  timestamp: 1700000000000 + offset,
+  price,
+  amount,
+  side
+});
+
+describe('Paper Fill Simulator', () => {
+  describe('walkBook', () => {
+    test('should fill market orders level by level', () => {
+      const fills = paperFillSimulator.walkBook(orderbook, 'buy', 2.5);
+
+      expect(fills).toEqual([
+        { price: 100, amount: 1 },
+        { price: 101, amount: 1 },
+        { price: 102, amount: 0.5 }
+      ]);
+      expect(paperFillSimulator.sumFills(fills)).toEqual({ amount: 2.5, cost: 252 });
+    });
+
+    test('should stop at the limit price', () => {
+      const fills = paperFillSimulator.walkBook(orderbook, 'sell', 4, 98.5);
+
+      expect(fills).toEqual([{ price: 99, amount: 2 }]);
+    });
+
+    test('should only fill fill-or-kill orders completely', () => {
+      const partial = paperFillSimulator.walkBook(orderbook, 'buy', 10);
+
+      expect(paperFillSimulator.applyTimeInForce(partial, 10, 'FOK')).toEqual([]);
+      expect(paperFillSimulator.applyTimeInForce(partial, 10, 'IOC')).toBe(partial);
+    });
+
+    test('should trim fills to the available budget', () => {
+      const fills = paperFillSimulator.capFillsToBudget(paperFillSimulator.walkBook(orderbook, 'buy', 3), 150.5);
+
+      expect(fills).toEqual([
+        { price: 100, amount: 1 },
+        { price: 101, amount: 0.5 }
+      ]);
+    });
+  });
+
+  describe('queue position', () => {
+    test('should detect orders that would take liquidity', () => {
+      expect(paperFillSimulator.isMarketable(orderbook, 'buy', 100)).toBe(true);
+      expect(paperFillSimulator.isMarketable(orderbook, 'buy', 99.5)).toBe(false);
+      expect(paperFillSimulator.isMarketable(orderbook, 'sell', 99)).toBe(true);
+    });
+
+    test('should queue behind the volume resting at the same price', () => {
+      expect(paperFillSimulator.getQueueAhead(orderbook, 'buy', 99)).toBe(2);
+      expect(paperFillSimulator.getQueueAhead(orderbook, 'buy', 99.5)).toBe(0);
+    });
+
+    test('should fill only after trades consume the queue ahead', () => {
+      const order = { side: 'buy', price: 99, amount: 3, filled: 0 };
+      const trades = [
+        buildTrade(1, 99, 1.5, 'sell'),
+        buildTrade(2, 99.5, 5, 'buy'),
+        buildTrade(3, 99, 1, 'sell')
+      ];
+
+      const result = paperFillSimulator.matchTrades(order, trades, { queueAhead: 2 });
+
+      expect(result.fills).toEqual([{ price: 99, amount: 0.5 }]);
+      expect(result.queueAhead).toBe(0);
+      expect(result.lastTradeAt).toEqual(new Date(trades[2].timestamp));
+    });
+
+    test('should fill when the price trades through the limit', () => {
+      const order = { side: 'sell', price: 101, amount: 2, filled: 0.5 };
+
+      const result = paperFillSimulator.matchTrades(order, [buildTrade(1, 101.5, 4, 'buy')], { queueAhead: 10 });
+
+      expect(result.fills).toEqual([{ price: 101, amount: 1.5 }]);
+      expect(result.queueAhead).toBe(0);
+    });
+
+    test('should ignore trades already matched', () => {
+      const order = { side: 'buy', price: 99, amount: 1, filled: 0 };
+      const trades = [buildTrade(1, 98, 1, 'sell'), buildTrade(2, 98, 1, 'sell')];
+
+      const result = paperFillSimulator.matchTrades(order, trades, {
+        queueAhead: 0,
+        lastTradeAt: new Date(trades[1].timestamp)
+      });
+
+      expect(result.fills).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const permissionDetector = require('../src/services/exchanges/permissionDetector');
+
+const permissionDenied = message => {
+  const error = new Error(message);
+  error.name = 'PermissionDenied';
+  return error;
+};
+
+describe('Permission Detector', () => {
+  describe('key permission endpoints', () => {
+    test('should read Binance API restrictions', async () => {
+      const exchange = {
+        sapiGetAccountApiRestrictions: jest.fn().mockResolvedValue({
+          enableReading: true,
+          enableSpotAndMarginTrading: true,
+          enableMargin: false,
+          enableFutures: true,
+          enableWithdrawals: true
+        })
+      };
+
+      const permissions = await permissionDetector.detect(exchange, 'binance');
+
+      expect(permissions).toMatchObject({
+        spot: true,
+        margin: false,
+        futures: true,
+        withdraw: true,
+        source: 'exchange',
+        unverified: []
+      });
+      expect(permissions.detectedAt).toBeInstanceOf(Date);
+    });
+
+    test('should read KuCoin key permissions', async () => {
+      const exchange = {
+        privateGetUserApiKey: jest.fn().mockResolvedValue({
+          code: '200000',
+          data: { permission: 'General, Spot, Margin' }
+        })
+      };
+
+      await expect(permissionDetector.detect(exchange, 'kucoin')).resolves.toMatchObject({
+        spot: true,
+        margin: true,
+        futures: false,
+        withdraw: false,
+        source: 'exchange'
+      });
+    });
+
+    test('should fall back to probing when the endpoint fails', async () => {
+      const exchange = {
+        has: {},
+        v3PrivateGetBrokerageKeyPermissions: jest.fn().mockRejectedValue(new Error('Not found')),
+        fetchBalance: jest.fn().mockResolvedValue({})
+      };
+
+      const permissions = await permissionDetector.detect(exchange, 'coinbase');
+
+      expect(exchange.fetchBalance).toHaveBeenCalled();
+      expect(permissions.source).toBe('probe');
+    });
+  });
+
+  describe('read-only probes', () => {
+    test('should treat permission errors as denied and other outcomes as unverified', async () => {
+      const exchange = {
+        has: { fetchPositions: true },
+        fetchBalance: jest.fn().mockResolvedValue({}),
+        fetchPositions: jest.fn().mockRejectedValue(permissionDenied('futures not enabled')),
+        privatePostWithdrawMethods: jest.fn().mockRejectedValue(new Error('Request timed out'))
+      };
+
+      const permissions = await permissionDetector.detect(exchange, 'kraken');
+
+      expect(permissions).toMatchObject({
+        spot: true,
+        futures: false,
+        margin: false,
+        withdraw: false,
+        source: 'probe'
+      });
+      expect(permissions.unverified.sort()).toEqual(['margin', 'spot', 'withdraw']);
+    });
+
+    test('should leave spot unverified when the balance probe fails for another reason', async () => {
+      const exchange = {
+        has: {},
+        fetchBalance: jest.fn().mockRejectedValue(new Error('Request timed out'))
+      };
+
+      const permissions = await permissionDetector.detect(exchange, 'kraken');
+
+      expect(permissions.spot).toBe(false);
+      expect(permissions.unverified.sort()).toEqual(['futures', 'margin', 'spot', 'withdraw']);
+    });
+
+    test('should report withdrawal access found by a probe', async () => {
+      const exchange = {
+        has: {},
+        fetchBalance: jest.fn().mockRejectedValue(permissionDenied('Permission denied')),
+        privatePostWithdrawMethods: jest.fn().mockResolvedValue([])
+      };
+
+      const permissions = await permissionDetector.detect(exchange, 'kraken');
+
+      expect(permissions).toMatchObject({ spot: false, futures: false, withdraw: true });
+      expect(permissions.unverified.sort()).toEqual(['futures', 'margin']);
+    });
+  });
+
+  describe('market type', () => {
+    test('should classify orders by market and leverage', () => {
+      expect(permissionDetector.getMarketType({ type: 'spot' }, {})).toBe('spot');
+      expect(permissionDetector.getMarketType({ type: 'spot' }, { leverage: 3 })).toBe('margin');
+      expect(permissionDetector.getMarketType({ type: 'swap', contract: true }, {})).toBe(
+        'futures'
+      );
+    });
+  });
+});
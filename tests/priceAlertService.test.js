@@ -0,0 +1,348 @@
+// Mock services that would reach exchanges or sockets
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  getSupportedExchanges: jest.fn(() => [
+    { id: 'binance', enabled: true },
+    { id: 'kraken', enabled: true }
+  ])
+}));
+jest.mock('../src/services/market/marketStreamService', () => ({
+  subscribe: jest.fn(),
+  unsubscribe: jest.fn()
+}));
+jest.mock('../src/services/websocket/websocketService', () => ({
+  io: {},
+  notifyUserMessage: jest.fn()
+}));
+
+const http = require('http');
+const priceAlertService = require('../src/services/alerts/priceAlertService');
+const marketStreamService = require('../src/services/market/marketStreamService');
+const websocketService = require('../src/services/websocket/websocketService');
+const config = require('../src/config');
+const PriceAlert = require('../src/models/PriceAlert');
+const User = require('../src/models/User');
+
+const MINUTE = 60 * 1000;
+let alertCounter = 0;
+
+const buildAlert = (condition, overrides = {}) => ({
+  _id: `64b0000000000000000000${String(++alertCounter).padStart(2, '0')}`,
+  userId: '64b000000000000000000001',
+  symbol: 'BTC/USDT',
+  exchangeName: null,
+  condition,
+  channels: ['websocket'],
+  recurring: false,
+  isCoolingDown: false,
+  ...overrides
+});
+
+const buildTicker = ({ price = 50000, volume = 1000, spreadPercentage = 0.01, byExchange = [] } = {}) => ({
+  symbol: 'BTC/USDT',
+  unified: {
+    averagePrice: price,
+    totalVolume: volume,
+    spreadPercentage
+  },
+  byExchange
+});
+
+describe('Price Alert Service', () => {
+  afterEach(() => {
+    priceAlertService.state.clear();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('evaluateAlert', () => {
+    test('should only trigger price alerts when the level is crossed', () => {
+      const alert = buildAlert({ type: 'price_above', value: 50000 });
+
+      expect(priceAlertService.evaluateAlert(alert, buildTicker({ price: 50100 }))).toBeNull();
+      expect(priceAlertService.evaluateAlert(alert, buildTicker({ price: 49900 }))).toBeNull();
+
+      const result = priceAlertService.evaluateAlert(alert, buildTicker({ price: 50050 }));
+      expect(result.value).toBe(50050);
+      expect(result.message).toContain('crossed above 50000');
+    });
+
+    test('should trigger on percent change within the window', () => {
+      const alert = buildAlert({ type: 'percent_change', value: 5, windowMinutes: 60, direction: 'down' });
+      const start = Date.now();
+
+      expect(priceAlertService.evaluateAlert(alert, buildTicker({ price: 100 }), start)).toBeNull();
+      expect(
+        priceAlertService.evaluateAlert(alert, buildTicker({ price: 110 }), start + 10 * MINUTE)
+      ).toBeNull();
+
+      const result = priceAlertService.evaluateAlert(alert, buildTicker({ price: 94 }), start + 20 * MINUTE);
+      expect(result.value).toBeCloseTo(-6);
+    });
+
+    test('should ignore prices that have left the window', () => {
+      const alert = buildAlert({ type: 'percent_change', value: 5, windowMinutes: 10 });
+      const start = Date.now();
+
+      priceAlertService.evaluateAlert(alert, buildTicker({ price: 100 }), start);
+      priceAlertService.evaluateAlert(alert, buildTicker({ price: 104 }), start + 8 * MINUTE);
+
+      expect(
+        priceAlertService.evaluateAlert(alert, buildTicker({ price: 107 }), start + 15 * MINUTE)
+      ).toBeNull();
+    });
+
+    test('should trigger on volume spikes', () => {
+      const alert = buildAlert({ type: 'volume_spike', value: 20, windowMinutes: 15 });
+      const start = Date.now();
+
+      priceAlertService.evaluateAlert(alert, buildTicker({ volume: 1000 }), start);
+      const result = priceAlertService.evaluateAlert(
+        alert,
+        buildTicker({ volume: 1250 }),
+        start + 5 * MINUTE
+      );
+
+      expect(result.value).toBeCloseTo(25);
+    });
+
+    test('should evaluate spreads on the alert exchange', () => {
+      const alert = buildAlert({ type: 'spread_widening', value: 0.5 }, { exchangeName: 'kraken' });
+      const ticker = buildTicker({
+        byExchange: [
+          { exchange: 'binance', last: 100, bid: 99.99, ask: 100.01 },
+          { exchange: 'kraken', last: 100, bid: 99.5, ask: 100.5 }
+        ]
+      });
+
+      const result = priceAlertService.evaluateAlert(alert, ticker);
+      expect(result.value).toBeCloseTo(1);
+      expect(result.message).toContain('kraken');
+    });
+
+    test('should not trigger while the alert is cooling down', () => {
+      const alert = buildAlert({ type: 'spread_widening', value: 0.5 }, { isCoolingDown: true });
+
+      expect(
+        priceAlertService.evaluateAlert(alert, buildTicker({ spreadPercentage: 2 }))
+      ).toBeNull();
+    });
+  });
+
+  describe('deliver', () => {
+    let server;
+    let received;
+
+    beforeEach(async () => {
+      received = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          res.writeHead(req.url === '/fail' ? 500 : 204);
+          res.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      // The test receiver runs on loopback
+      config.alerts.allowPrivateWebhooks = true;
+
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: () =>
+          Promise.resolve({
+            email: 'trader@example.com',
+            preferences: {
+              notifications: {
+                email: { enabled: true, priceAlerts: true },
+                push: { enabled: true, priceMovements: true },
+                sound: { enabled: true, priceAlerts: false }
+              }
+            }
+          })
+      });
+    });
+
+    afterEach(async () => {
+      config.alerts.allowPrivateWebhooks = false;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const notification = { symbol: 'BTC/USDT', message: 'BTC/USDT crossed above 50000', value: 50010 };
+
+    test('should deliver through websocket and webhook channels', async () => {
+      const alert = buildAlert(
+        { type: 'price_above', value: 50000 },
+        {
+          channels: ['websocket', 'webhook'],
+          webhookUrl: `http://127.0.0.1:${server.address().port}/hook`
+        }
+      );
+
+      const deliveries = await priceAlertService.deliver(alert, notification);
+
+      expect(deliveries).toEqual([
+        { channel: 'websocket', success: true },
+        { channel: 'webhook', success: true }
+      ]);
+      expect(websocketService.notifyUserMessage).toHaveBeenCalledWith(
+        alert.userId,
+        notification.message,
+        'price_alert',
+        expect.objectContaining({ symbol: 'BTC/USDT', sound: false, push: true })
+      );
+      expect(received[0]).toMatchObject({ event: 'price_alert', value: 50010 });
+    });
+
+    test('should report failed deliveries without failing the others', async () => {
+      const alert = buildAlert(
+        { type: 'price_above', value: 50000 },
+        {
+          channels: ['email', 'webhook'],
+          webhookUrl: `http://127.0.0.1:${server.address().port}/fail`
+        }
+      );
+
+      const deliveries = await priceAlertService.deliver(alert, notification);
+
+      expect(deliveries[0]).toMatchObject({ channel: 'email', success: false });
+      expect(deliveries[0].error).toContain('not available');
+      expect(deliveries[1]).toMatchObject({ channel: 'webhook', success: false });
+    });
+
+    test('should refuse webhooks to non-public addresses', async () => {
+      config.alerts.allowPrivateWebhooks = false;
+      const port = server.address().port;
+
+      const deliveries = await Promise.all(
+        [
+          `http://127.0.0.1:${port}/hook`,
+          `http://localhost:${port}/hook`,
+          'http://169.254.169.254/latest/meta-data/',
+          'http://[::ffff:10.0.0.1]/hook'
+        ].map(webhookUrl =>
+          priceAlertService.deliver(
+            buildAlert({ type: 'price_above', value: 50000 }, { channels: ['webhook'], webhookUrl }),
+            notification
+          )
+        )
+      );
+
+      deliveries.forEach(([delivery]) => {
+        expect(delivery).toMatchObject({ channel: 'webhook', success: false });
+        expect(delivery.error).toMatch(/not public|non-public/);
+      });
+      expect(received).toHaveLength(0);
+    });
+
+    test('should use registered channels', async () => {
+      const sendEmail = jest.fn().mockResolvedValue();
+      priceAlertService.registerChannel('email', sendEmail);
+
+      try {
+        const alert = buildAlert({ type: 'price_above', value: 50000 }, { channels: ['email'] });
+        const deliveries = await priceAlertService.deliver(alert, notification);
+
+        expect(deliveries).toEqual([{ channel: 'email', success: true }]);
+        expect(sendEmail).toHaveBeenCalledWith(
+          alert,
+          notification,
+          expect.objectContaining({ email: 'trader@example.com' })
+        );
+      } finally {
+        priceAlertService.channels.delete('email');
+      }
+    });
+
+    test('should skip email when price alert emails are disabled', async () => {
+      User.findById.mockReturnValue({
+        select: () =>
+          Promise.resolve({
+            email: 'trader@example.com',
+            preferences: { notifications: { email: { enabled: true, priceAlerts: false } } }
+          })
+      });
+      const sendEmail = jest.fn().mockResolvedValue();
+      priceAlertService.registerChannel('email', sendEmail);
+
+      try {
+        const alert = buildAlert({ type: 'price_above', value: 50000 }, { channels: ['email', 'websocket'] });
+        const deliveries = await priceAlertService.deliver(alert, notification);
+
+        expect(deliveries[0]).toMatchObject({ channel: 'email', success: false, skipped: true });
+        expect(deliveries[1]).toEqual({ channel: 'websocket', success: true });
+        expect(sendEmail).not.toHaveBeenCalled();
+      } finally {
+        priceAlertService.channels.delete('email');
+      }
+    });
+
+    test('should not accept channels without a registered handler', async () => {
+      await expect(
+        priceAlertService.createAlert('64b000000000000000000001', {
+          symbol: 'BTC/USDT',
+          condition: { type: 'price_above', value: 50000 },
+          channels: ['websocket', 'email']
+        })
+      ).rejects.toThrow('Channel email is not available');
+    });
+  });
+
+  describe('alert lifecycle', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = new User(global.testConfig.testUser);
+      await testUser.save();
+      await priceAlertService.initialize();
+    });
+
+    afterEach(() => {
+      priceAlertService.stop();
+    });
+
+    test('should watch the symbol ticker while the alert is active', async () => {
+      const alert = await priceAlertService.createAlert(testUser._id, {
+        symbol: 'ETH/USDT',
+        condition: { type: 'price_below', value: 2000 }
+      });
+
+      expect(marketStreamService.subscribe).toHaveBeenCalledWith('ticker', 'ETH/USDT');
+
+      await priceAlertService.deleteAlert(testUser._id, alert._id);
+      expect(marketStreamService.unsubscribe).toHaveBeenCalledWith('ticker', 'ETH/USDT');
+    });
+
+    test('should deactivate one-shot alerts after they trigger', async () => {
+      const alert = await priceAlertService.createAlert(testUser._id, {
+        symbol: 'BTC/USDT',
+        condition: { type: 'spread_widening', value: 0.5 }
+      });
+
+      await priceAlertService.triggerAlert(alert, { value: 1, message: 'spread widened' });
+
+      const updated = await PriceAlert.findById(alert._id);
+      expect(updated.status).toBe('triggered');
+      expect(updated.triggerCount).toBe(1);
+      expect(updated.history[0]).toMatchObject({ value: 1, message: 'spread widened' });
+      expect(priceAlertService.alerts.has(alert._id.toString())).toBe(false);
+    });
+
+    test('should keep recurring alerts active with a cooldown', async () => {
+      const alert = await priceAlertService.createAlert(testUser._id, {
+        symbol: 'BTC/USDT',
+        condition: { type: 'spread_widening', value: 0.5 },
+        recurring: true,
+        cooldownMinutes: 5
+      });
+
+      await priceAlertService.triggerAlert(alert, { value: 1, message: 'spread widened' });
+
+      const tracked = priceAlertService.alerts.get(alert._id.toString());
+      expect(tracked.status).toBe('active');
+      expect(tracked.isCoolingDown).toBe(true);
+      expect(
+        priceAlertService.evaluateAlert(tracked, buildTicker({ spreadPercentage: 2 }))
+      ).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,281 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  loadStoredExchanges: jest.fn(),
+  getExchange: jest.fn()
+}));
+jest.mock('../src/services/market/marketDataService', () => ({
+  getExchangeInstance: jest.fn()
+}));
+jest.mock('../src/services/trading/feeService', () => ({
+  getRates: jest.fn(() => Promise.resolve({ maker: 0.001, taker: 0.001 })),
+  getPaperReferenceExchange: jest.fn(() => Promise.resolve('binance'))
+}));
+jest.mock('../src/services/trading/paperTradingService', () => ({
+  getOrCreateAccount: jest.fn(),
+  placeOrder: jest.fn()
+}));
+jest.mock('../src/services/trading/tradingService', () => ({
+  placeOrder: jest.fn()
+}));
+jest.mock('../src/services/portfolio/portfolioService', () => ({
+  getOrCreatePortfolio: jest.fn()
+}));
+
+const rebalanceService = require('../src/services/portfolio/rebalanceService');
+const exchangeManager = require('../src/services/exchanges/exchangeManager');
+const marketDataService = require('../src/services/market/marketDataService');
+const paperTradingService = require('../src/services/trading/paperTradingService');
+const tradingService = require('../src/services/trading/tradingService');
+const portfolioService = require('../src/services/portfolio/portfolioService');
+const Portfolio = require('../src/models/Portfolio');
+
+const USER_ID = '64b000000000000000000001';
+
+const market = (min = {}) => ({ limits: { amount: { min: min.amount }, cost: { min: min.cost } } });
+
+const buildExchange = ({ balances, prices, markets }) => ({
+  fetchBalance: jest.fn(() =>
+    Promise.resolve({
+      free: { ...balances },
+      total: { ...balances }
+    })
+  ),
+  loadMarkets: jest.fn(() => Promise.resolve(markets)),
+  fetchTicker: jest.fn(symbol => Promise.resolve({ last: prices[symbol] })),
+  amountToPrecision: (symbol, amount) => (Math.floor(amount * 1e4) / 1e4).toString()
+});
+
+const buildPortfolio = targets =>
+  new Portfolio({
+    userId: USER_ID,
+    baseCurrency: 'USDT',
+    allocation: {
+      byAsset: new Map(
+        Object.entries(targets).map(([asset, targetPercentage]) => [
+          asset,
+          { percentage: 0, value: 0, targetPercentage }
+        ])
+      )
+    }
+  });
+
+describe('Rebalance Service', () => {
+  let binance;
+  let kraken;
+
+  beforeEach(() => {
+    binance = buildExchange({
+      balances: { BTC: 1 },
+      prices: { 'BTC/USDT': 30000, 'ETH/USDT': 2000 },
+      markets: { 'BTC/USDT': market({ amount: 0.0001 }), 'ETH/USDT': market({ cost: 10 }) }
+    });
+    kraken = buildExchange({
+      balances: { ETH: 2, USDT: 6000 },
+      prices: { 'ETH/USDT': 2000 },
+      markets: { 'ETH/USDT': market({ cost: 10 }) }
+    });
+
+    exchangeManager.loadStoredExchanges.mockResolvedValue({
+      connected: [{ name: 'binance' }, { name: 'kraken' }],
+      unavailable: []
+    });
+    exchangeManager.getExchange.mockImplementation((userId, name) =>
+      name === 'binance' ? binance : kraken
+    );
+    portfolioService.getOrCreatePortfolio.mockResolvedValue(buildPortfolio({ BTC: 50, ETH: 50 }));
+    jest.spyOn(Portfolio, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('getRecommendations', () => {
+    test('should recommend trades for assets outside their band', () => {
+      const recommendations = rebalanceService.getRecommendations(
+        new Map([
+          ['BTC', { percentage: 62, targetPercentage: 50 }],
+          ['ETH', { percentage: 38, targetPercentage: 40 }],
+          ['SOL', { percentage: 0, targetPercentage: 10 }],
+          ['ADA', { percentage: 0, targetPercentage: 8, band: 10 }]
+        ]),
+        10000,
+        5
+      );
+
+      expect(recommendations).toEqual([
+        {
+          asset: 'BTC',
+          action: 'SELL',
+          currentPercentage: 62,
+          targetPercentage: 50,
+          band: 5,
+          deviation: 12,
+          recommendedAmount: 1200,
+          priority: 'HIGH'
+        },
+        expect.objectContaining({ asset: 'SOL', action: 'BUY', recommendedAmount: 1000 })
+      ]);
+    });
+  });
+
+  describe('planRebalance', () => {
+    test('should sell where the asset is held and fund buys with quote balances and proceeds', async () => {
+      const plan = await rebalanceService.planRebalance(USER_ID, { mode: 'live' });
+
+      expect(plan.totalValue).toBe(40000);
+      expect(
+        plan.recommendations.map(rec => [rec.asset, rec.action, rec.recommendedAmount])
+      ).toEqual([
+        ['ETH', 'BUY', 16000],
+        ['BTC', 'SELL', 10000]
+      ]);
+
+      const [sell, ...buys] = plan.orders;
+      expect(sell).toMatchObject({
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        side: 'sell',
+        type: 'market',
+        amount: 0.3333,
+        price: 30000
+      });
+      expect(buys.map(order => [order.exchangeName, order.symbol, order.side])).toEqual([
+        ['binance', 'ETH/USDT', 'buy'],
+        ['kraken', 'ETH/USDT', 'buy']
+      ]);
+
+      // Buys never spend more than the proceeds or free balance on their exchange
+      const proceeds = sell.value - sell.fee.cost;
+      expect(buys[0].value + buys[0].fee.cost).toBeLessThanOrEqual(proceeds);
+      expect(buys[1].value + buys[1].fee.cost).toBeLessThanOrEqual(6000);
+      expect(plan.totals.fees).toBeCloseTo(
+        plan.orders.reduce((sum, order) => sum + order.value * 0.001, 0)
+      );
+    });
+
+    test('should skip orders below the exchange minimums', async () => {
+      binance.amountToPrecision = () => '0.00005';
+      portfolioService.getOrCreatePortfolio.mockResolvedValue(buildPortfolio({ BTC: 60, ETH: 40 }));
+
+      const plan = await rebalanceService.planRebalance(USER_ID, { mode: 'live' });
+
+      expect(plan.orders.filter(order => order.side === 'sell')).toHaveLength(0);
+      expect(plan.skipped).toContainEqual(
+        expect.objectContaining({
+          asset: 'BTC',
+          side: 'sell',
+          exchangeName: 'binance',
+          reason: 'Amount below the binance minimum of 0.0001 BTC'
+        })
+      );
+    });
+
+    test('should refuse to plan from a partial view of the portfolio', async () => {
+      kraken.fetchBalance.mockRejectedValue(new Error('Invalid nonce'));
+
+      await expect(rebalanceService.planRebalance(USER_ID, { mode: 'live' })).rejects.toThrow(
+        'Failed to load balances from kraken: Invalid nonce'
+      );
+    });
+
+    test('should refuse to plan while a stored exchange cannot be reconnected', async () => {
+      exchangeManager.loadStoredExchanges.mockResolvedValue({
+        connected: [{ name: 'binance' }],
+        unavailable: [{ exchangeName: 'kraken', error: 'Invalid API credentials' }]
+      });
+
+      await expect(rebalanceService.planRebalance(USER_ID, { mode: 'live' })).rejects.toThrow(
+        'Failed to connect to kraken for live rebalancing'
+      );
+      expect(binance.fetchBalance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('executeRebalance', () => {
+    test('should run paper rebalances against the paper account', async () => {
+      marketDataService.getExchangeInstance.mockReturnValue(binance);
+      paperTradingService.getOrCreateAccount.mockResolvedValue({
+        virtualBalances: new Map([
+          ['USDT', { total: 10000, available: 10000, locked: 0 }],
+          ['BTC', { total: 0.5, available: 0.5, locked: 0 }]
+        ])
+      });
+      paperTradingService.placeOrder
+        .mockResolvedValueOnce({ _id: 'order-1', status: 'filled', filled: 0.0833 })
+        .mockRejectedValueOnce(new Error('Insufficient balance'));
+
+      const { plan, results } = await rebalanceService.executeRebalance(USER_ID, {
+        mode: 'paper'
+      });
+
+      expect(plan.orders.map(order => [order.exchangeName, order.side])).toEqual([
+        ['paper_trading', 'sell'],
+        ['paper_trading', 'buy']
+      ]);
+      expect(paperTradingService.placeOrder).toHaveBeenNthCalledWith(1, USER_ID, {
+        symbol: 'BTC/USDT',
+        side: 'sell',
+        type: 'market',
+        amount: 0.0833
+      });
+      expect(results.map(result => result.status)).toEqual(['filled', 'failed']);
+      expect(results[1].error).toBe('Insufficient balance');
+      expect(tradingService.placeOrder).not.toHaveBeenCalled();
+      expect(Portfolio.updateOne).toHaveBeenCalledWith(
+        { userId: USER_ID },
+        { 'settings.autoRebalance.lastRunAt': expect.any(Date) }
+      );
+    });
+
+    test('should not place orders on a dry run', async () => {
+      const { plan, results, dryRun } = await rebalanceService.executeRebalance(USER_ID, {
+        mode: 'live',
+        dryRun: true
+      });
+
+      expect(dryRun).toBe(true);
+      expect(plan.orders).toHaveLength(3);
+      expect(results).toEqual([]);
+      expect(tradingService.placeOrder).not.toHaveBeenCalled();
+      expect(Portfolio.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isDue', () => {
+    test('should wait for the configured interval between runs', () => {
+      const now = new Date('2024-01-02T00:00:00Z');
+
+      expect(rebalanceService.isDue({ intervalHours: 24 }, now)).toBe(true);
+      expect(
+        rebalanceService.isDue(
+          { intervalHours: 24, lastRunAt: new Date('2024-01-01T06:00:00Z') },
+          now
+        )
+      ).toBe(false);
+      expect(
+        rebalanceService.isDue(
+          { intervalHours: 12, lastRunAt: new Date('2024-01-01T06:00:00Z') },
+          now
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('Portfolio.recalculatePortfolio', () => {
+    test('should keep target allocations across recalculations', () => {
+      const portfolio = buildPortfolio({ BTC: 60, SOL: 10 });
+      portfolio.updateHolding('BTC', 'binance', 1, 30000);
+
+      portfolio.recalculatePortfolio();
+
+      expect(portfolio.allocation.byAsset.get('BTC').targetPercentage).toBe(60);
+      expect(portfolio.allocation.byAsset.get('BTC').percentage).toBe(100);
+      expect(portfolio.allocation.byAsset.get('SOL')).toMatchObject({
+        percentage: 0,
+        targetPercentage: 10
+      });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+// Mock market data so candles come from the fixtures below
+jest.mock('../src/services/market/marketDataService', () => ({
+  getCandles: jest.fn()
+}));
+
+const riskAnalyticsService = require('../src/services/analytics/riskAnalyticsService');
+const marketDataService = require('../src/services/market/marketDataService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// Alternating daily moves with a slow drift, scaled per asset
+const BASE_RETURNS = Array.from(
+  { length: 30 },
+  (_, i) => (i % 2 === 0 ? 0.02 : -0.015) + i * 0.0001
+);
+
+const buildCandles = (returns, { offset = 0 } = {}) => {
+  let close = 100;
+  const candles = [{ timestamp: START + offset * DAY, close }];
+  returns.forEach((value, i) => {
+    close *= 1 + value;
+    candles.push({ timestamp: START + (i + 1 + offset) * DAY, close });
+  });
+  return { candles };
+};
+
+const CANDLES = {
+  'BTC/USDT': buildCandles(BASE_RETURNS),
+  'ETH/USDT': buildCandles(BASE_RETURNS.map(value => value * 2)),
+  'XRP/USDT': buildCandles(BASE_RETURNS.map(value => -value)),
+  // Listed five days later; misaligned by index it would anti-correlate with BTC
+  'SOL/USDT': buildCandles(BASE_RETURNS.slice(5), { offset: 5 })
+};
+
+describe('Risk Analytics Service', () => {
+  beforeEach(() => {
+    marketDataService.getCandles.mockImplementation((exchange, symbol) =>
+      CANDLES[symbol]
+        ? Promise.resolve(CANDLES[symbol])
+        : Promise.reject(new Error('Unknown symbol'))
+    );
+  });
+
+  afterEach(() => {
+    riskAnalyticsService.clearCache();
+    jest.clearAllMocks();
+  });
+
+  describe('getReturns', () => {
+    test('should compute returns from candles and cache them per symbol', async () => {
+      const returns = await riskAnalyticsService.getReturns('BTC/USDT');
+      await riskAnalyticsService.getReturns('BTC/USDT');
+
+      expect(returns).toHaveLength(30);
+      expect(returns[0].timestamp).toBe(START + DAY);
+      expect(returns[0].value).toBeCloseTo(0.02, 10);
+      expect(marketDataService.getCandles).toHaveBeenCalledTimes(1);
+      expect(marketDataService.getCandles).toHaveBeenCalledWith('binance', 'BTC/USDT', '1d', 91);
+    });
+  });
+
+  describe('correlation', () => {
+    test('should correlate assets over the periods they share', async () => {
+      expect(await riskAnalyticsService.calculateCorrelation('BTC', 'ETH')).toBeCloseTo(1, 10);
+      expect(await riskAnalyticsService.calculateCorrelation('BTC', 'XRP')).toBeCloseTo(-1, 10);
+      expect(await riskAnalyticsService.calculateCorrelation('BTC', 'USDT')).toBe(0);
+      expect(await riskAnalyticsService.calculateCorrelation('SOL', 'BTC')).toBeCloseTo(1, 10);
+    });
+
+    test('should build a matrix and report assets without history', async () => {
+      const { assets, matrix, unavailable } = await riskAnalyticsService.getCorrelationMatrix([
+        'BTC',
+        'ETH',
+        'USDC',
+        'NOPE'
+      ]);
+
+      expect(assets).toEqual(['BTC', 'ETH']);
+      expect(matrix[0][0]).toBe(1);
+      expect(matrix[0][1]).toBeCloseTo(1, 10);
+      expect(unavailable).toEqual(['NOPE']);
+    });
+  });
+
+  describe('calculateVaR', () => {
+    test('should take historical VaR and CVaR from the loss tail', () => {
+      const pnl = Array.from({ length: 100 }, (_, i) => i - 50);
+
+      expect(riskAnalyticsService.calculateVaR(pnl, 'historical')).toEqual({
+        var95: 46,
+        cvar95: 48,
+        var99: 50,
+        cvar99: 50
+      });
+    });
+
+    test('should scale parametric VaR with the standard deviation', () => {
+      const pnl = Array.from({ length: 1000 }, (_, i) => (i % 2 === 0 ? 10 : -10));
+      const { var95, cvar95, var99 } = riskAnalyticsService.calculateVaR(pnl, 'parametric');
+
+      expect(var95).toBeCloseTo(1.6449 * 10.005, 2);
+      expect(var99).toBeCloseTo(2.3263 * 10.005, 2);
+      expect(cvar95).toBeGreaterThan(var95);
+    });
+  });
+
+  describe('getPortfolioRisk', () => {
+    test('should measure beta and VaR of current exposures against the benchmark', async () => {
+      const risk = await riskAnalyticsService.getPortfolioRisk([
+        { asset: 'ETH', value: 5000 },
+        { asset: 'USDT', value: 5000 }
+      ]);
+
+      expect(risk.value).toBe(10000);
+      expect(risk.observations).toBe(30);
+      // Half the value moves twice as much as BTC
+      expect(risk.beta).toBeCloseTo(1, 10);
+      expect(risk.valueAtRisk.historical.var95).toBeGreaterThan(0);
+      expect(risk.valueAtRisk.historical.cvar99).toBeGreaterThanOrEqual(
+        risk.valueAtRisk.historical.var99
+      );
+      expect(risk.correlation.assets).toEqual(['ETH']);
+    });
+
+    test('should not report statistics without enough history', async () => {
+      marketDataService.getCandles.mockResolvedValue(buildCandles(BASE_RETURNS.slice(0, 5)));
+
+      const risk = await riskAnalyticsService.getPortfolioRisk([{ asset: 'BTC', value: 1000 }]);
+
+      expect(risk).toMatchObject({
+        observations: 5,
+        valueAtRisk: null,
+        beta: null,
+        volatility: null
+      });
+    });
+  });
+
+  describe('getPositionExposures', () => {
+    test('should net positions per asset and mark shorts negative', () => {
+      const exposures = riskAnalyticsService.getPositionExposures([
+        { symbol: 'BTC/USDT', side: 'long', entryValue: 1000, unrealizedPnL: 100 },
+        { symbol: 'BTC/USD', side: 'short', entryValue: 400, unrealizedPnL: 0 },
+        { symbol: 'ETH/USDT', side: 'long', entryValue: 500, unrealizedPnL: -50 }
+      ]);
+
+      expect(exposures).toEqual([
+        { asset: 'BTC', value: 700 },
+        { asset: 'ETH', value: 450 }
+      ]);
+    });
+  });
+});
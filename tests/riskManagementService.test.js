@@ -0,0 +1,244 @@
+const riskManagementService = require('../src/services/trading/riskManagementService');
+const KillSwitch = require('../src/models/KillSwitch');
+const RiskProfile = require('../src/models/RiskProfile');
+const RiskEvent = require('../src/models/RiskEvent');
+const Portfolio = require('../src/models/Portfolio');
+const TradingPosition = require('../src/models/TradingPosition');
+
+// Mock market data so prices never reach an exchange
+jest.mock('../src/services/market/marketDataService', () => ({
+  getCandles: jest.fn(),
+  getUnifiedTicker: jest.fn()
+}));
+
+const USER_ID = '64b000000000000000000001';
+const HOUR = 60 * 60 * 1000;
+
+const buildOrder = (overrides = {}) => ({
+  exchangeName: 'binance',
+  symbol: 'BTC/USDT',
+  type: 'limit',
+  side: 'buy',
+  amount: 0.02,
+  price: 30000,
+  ...overrides
+});
+
+describe('Risk Management Service', () => {
+  let profile;
+
+  beforeEach(() => {
+    const portfolio = new Portfolio({ userId: USER_ID, baseCurrency: 'USDT' });
+    portfolio.totalValue.current = 100000;
+
+    jest.spyOn(Portfolio, 'findByUserId').mockResolvedValue(portfolio);
+    jest.spyOn(TradingPosition, 'findOpenPositions').mockResolvedValue([{ symbol: 'ETH/USDT' }]);
+    jest.spyOn(KillSwitch, 'findOne').mockResolvedValue(null);
+    jest.spyOn(riskManagementService, 'getDailyLoss').mockResolvedValue(0);
+    jest.spyOn(riskManagementService, 'getCurrentPrice').mockResolvedValue(30000);
+    jest.spyOn(riskManagementService, 'calculateAssetCorrelation').mockResolvedValue(0.9);
+
+    profile = new RiskProfile({
+      userId: USER_ID,
+      riskLevel: 'conservative',
+      limits: riskManagementService.getDefaultRiskLimits({ riskLevel: 'conservative' })
+    });
+    jest.spyOn(RiskProfile, 'findOne').mockImplementation(() => Promise.resolve(profile));
+    jest.spyOn(RiskProfile.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(RiskEvent, 'insertMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateOrder', () => {
+    test('should report breaches per rule, warning on correlation by default', async () => {
+      const result = await riskManagementService.validateOrder(
+        USER_ID,
+        buildOrder({ leverage: 2 })
+      );
+
+      expect(result.allowed).toBe(false);
+      expect(result.violations).toEqual([
+        { rule: 'leverage', message: 'Leverage 2x exceeds limit of 1x' },
+        { rule: 'stopLoss', message: 'Stop loss is required for buy orders' }
+      ]);
+      expect(result.warnings).toEqual([
+        { rule: 'correlation', message: 'High correlation (90.0%) with existing ETH/USDT position' }
+      ]);
+      expect(result.adjustments.suggestedStopPrice).toBe(28500);
+      expect(RiskEvent.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ type: 'violation', rule: 'leverage', outcome: 'blocked' }),
+        expect.objectContaining({ type: 'violation', rule: 'stopLoss', outcome: 'blocked' }),
+        expect.objectContaining({ type: 'warning', rule: 'correlation', outcome: 'blocked' })
+      ]);
+    });
+
+    test('should downgrade breaches of warn-only rules to warnings', async () => {
+      profile.ruleModes.stopLoss = 'warn';
+      profile.ruleModes.correlation = 'block';
+
+      const result = await riskManagementService.validateOrder(USER_ID, buildOrder());
+
+      expect(result.allowed).toBe(false);
+      expect(result.violations.map(item => item.rule)).toEqual(['correlation']);
+      expect(result.warnings.map(item => item.rule)).toEqual(['stopLoss']);
+    });
+  });
+
+  describe('exposure reducing orders', () => {
+    test('should let a holding be sold after a daily loss breach', async () => {
+      riskManagementService.getDailyLoss.mockResolvedValue(0.5);
+      const portfolio = new Portfolio({ userId: USER_ID, baseCurrency: 'USDT' });
+      portfolio.totalValue.current = 100000;
+      portfolio.updateHolding('BTC', 'binance', 0.05, 30000);
+      Portfolio.findByUserId.mockResolvedValue(portfolio);
+
+      const sell = await riskManagementService.validateOrder(
+        USER_ID,
+        buildOrder({ side: 'sell', amount: 0.05 })
+      );
+      const buy = await riskManagementService.validateOrder(
+        USER_ID,
+        buildOrder({ stopPrice: 28000 })
+      );
+
+      expect(sell.allowed).toBe(true);
+      expect(buy.violations.map(item => item.rule)).toEqual(['dailyLoss']);
+    });
+
+    test('should let an oversized position be closed', async () => {
+      TradingPosition.findOpenPositions.mockResolvedValue([
+        { symbol: 'BTC/USDT', side: 'long', size: 2, exitOrders: [{ amount: 0.5 }] }
+      ]);
+
+      const close = await riskManagementService.validateOrder(
+        USER_ID,
+        buildOrder({ side: 'sell', amount: 1.5 })
+      );
+      const oversell = await riskManagementService.validateOrder(
+        USER_ID,
+        buildOrder({ side: 'sell', amount: 2 })
+      );
+
+      expect(close.allowed).toBe(true);
+      expect(oversell.violations.map(item => item.rule)).toEqual(['positionSize']);
+    });
+  });
+
+  describe('assertOrderAllowed', () => {
+    test('should reject blocked orders with the check report attached', async () => {
+      const error = await riskManagementService
+        .assertOrderAllowed(USER_ID, buildOrder({ amount: 1 }))
+        .catch(rejection => rejection);
+
+      expect(error.message).toBe(
+        'Order rejected by risk management: Position size 30.00% exceeds limit of 2.00%; ' +
+          'Asset concentration 30.00% would be too high; Stop loss is required for buy orders'
+      );
+      expect(error.riskCheck.violations.map(item => item.rule)).toEqual([
+        'positionSize',
+        'concentration',
+        'stopLoss'
+      ]);
+      expect(error.riskCheck.warnings).toHaveLength(1);
+    });
+
+    test('should pass orders that satisfy every blocking rule', async () => {
+      const result = await riskManagementService.assertOrderAllowed(
+        USER_ID,
+        buildOrder({ stopPrice: 28000 })
+      );
+
+      expect(result.allowed).toBe(true);
+      expect(result.warnings.map(item => item.rule)).toEqual(['correlation']);
+    });
+
+    test('should let risk reducing orders through and hold checked ones to the kill switch', async () => {
+      KillSwitch.findOne.mockResolvedValue({ message: 'Desk halt' });
+      const order = buildOrder({ amount: 1 });
+
+      await expect(
+        riskManagementService.assertOrderAllowed(USER_ID, order, { riskReducing: true })
+      ).resolves.toBeNull();
+      await expect(
+        riskManagementService.assertOrderAllowed(USER_ID, order, { riskChecked: true })
+      ).rejects.toThrow('Trading halted by kill switch: Desk halt');
+      expect(Portfolio.findByUserId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkOrder', () => {
+    test('should report a kill switch halt alongside the rule checks', async () => {
+      KillSwitch.findOne.mockResolvedValue({ message: 'Desk halt' });
+
+      const result = await riskManagementService.checkOrder(
+        USER_ID,
+        buildOrder({ stopPrice: 28000 })
+      );
+
+      expect(result.allowed).toBe(false);
+      expect(result.violations).toEqual([
+        { rule: 'killSwitch', message: 'Trading halted by kill switch: Desk halt' }
+      ]);
+      expect(RiskEvent.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateRiskProfile', () => {
+    test('should tighten limits at once and hold loosened ones for the cooling-off period', async () => {
+      const { applied, pending } = await riskManagementService.updateRiskProfile(
+        USER_ID,
+        {
+          limits: { maxPositionSize: 0.01, maxLeverage: 3 },
+          ruleModes: { stopLoss: 'warn' }
+        },
+        { reason: 'New plan', ip: '10.0.0.1' }
+      );
+
+      expect(profile.version).toBe(2);
+      expect(profile.limits.maxPositionSize).toBe(0.01);
+      expect(profile.limits.maxLeverage).toBe(1);
+      expect(applied).toMatchObject({
+        version: 2,
+        changes: [{ field: 'limits.maxPositionSize', from: 0.02, to: 0.01 }],
+        reason: 'New plan',
+        ip: '10.0.0.1'
+      });
+      expect(applied.changedBy.toString()).toBe(USER_ID);
+      expect(pending.map(change => [change.field, change.value])).toEqual([
+        ['limits.maxLeverage', 3],
+        ['ruleModes.stopLoss', 'warn']
+      ]);
+      expect(pending[0].effectiveAt - pending[0].requestedAt).toBe(24 * HOUR);
+    });
+
+    test('should apply loosened limits once the cooling-off period is over', async () => {
+      await riskManagementService.updateRiskProfile(USER_ID, { riskLevel: 'moderate' });
+      expect(profile.riskLevel).toBe('conservative');
+      expect(profile.limits.stopLossRequired).toBe(true);
+
+      // Tightening a pending field again replaces its pending change
+      await riskManagementService.updateRiskProfile(USER_ID, { limits: { maxDrawdown: 0.04 } });
+      expect(profile.limits.maxDrawdown).toBe(0.04);
+
+      profile.pendingChanges.forEach(change => {
+        change.effectiveAt = new Date(Date.now() - HOUR);
+      });
+      const limits = await riskManagementService.getRiskLimits(USER_ID);
+
+      expect(profile.pendingChanges).toHaveLength(0);
+      expect(limits).toMatchObject({
+        maxPositionSize: 0.05,
+        maxDrawdown: 0.04,
+        stopLossRequired: false,
+        version: 3
+      });
+      expect(profile.riskLevel).toBe('moderate');
+      expect(profile.history.map(entry => entry.version)).toEqual([2, 3]);
+    });
+  });
+});
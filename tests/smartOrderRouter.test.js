@@ -0,0 +1,232 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  loadUserExchanges: jest.fn(),
+  getExchange: jest.fn()
+}));
+jest.mock('../src/services/market/marketDataService', () => ({
+  getUnifiedOrderbook: jest.fn()
+}));
+jest.mock('../src/services/trading/tradingService', () => ({
+  placeOrder: jest.fn(),
+  updateOrderStatus: jest.fn()
+}));
+jest.mock('../src/services/trading/riskManagementService', () => ({
+  assertOrderAllowed: jest.fn()
+}));
+
+const smartOrderRouter = require('../src/services/trading/smartOrderRouter');
+const exchangeManager = require('../src/services/exchanges/exchangeManager');
+const marketDataService = require('../src/services/market/marketDataService');
+const tradingService = require('../src/services/trading/tradingService');
+const Order = require('../src/models/Order');
+const User = require('../src/models/User');
+
+const USER_ID = '64b000000000000000000001';
+
+const buildExchange = (taker, minAmount = 0.001) => {
+  const exchange = {
+    markets: {},
+    loadMarkets: jest.fn(() => {
+      exchange.markets = {
+        'BTC/USDT': { symbol: 'BTC/USDT', taker, limits: { amount: { min: minAmount } } }
+      };
+      return Promise.resolve(exchange.markets);
+    })
+  };
+  return exchange;
+};
+
+const connect = exchanges => {
+  exchangeManager.loadUserExchanges.mockResolvedValue(Object.keys(exchanges).map(name => ({ name })));
+  exchangeManager.getExchange.mockImplementation((userId, name) => exchanges[name] || null);
+};
+
+const mockBook = ({ asks = [], bids = [] }) => {
+  marketDataService.getUnifiedOrderbook.mockResolvedValue({
+    symbol: 'BTC/USDT',
+    unified: { asks, bids }
+  });
+};
+
+describe('Smart Order Router', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('planRoute', () => {
+    test('should split a buy across exchanges by fee-adjusted price', async () => {
+      connect({ binance: buildExchange(0.001), kraken: buildExchange(0.0026) });
+      mockBook({
+        asks: [
+          [100.1, 1, 'binance'],
+          [100.15, 1, 'kraken'],
+          [100.2, 1, 'binance'],
+          [100.3, 2, 'kraken']
+        ]
+      });
+
+      const plan = await smartOrderRouter.planRoute(USER_ID, { symbol: 'BTC/USDT', side: 'buy', amount: 2.5 });
+
+      // kraken at 100.15 costs 100.41 with fees, so both binance levels come first
+      expect(plan.allocations.map(({ exchangeName, amount }) => ({ exchangeName, amount }))).toEqual([
+        { exchangeName: 'binance', amount: 2 },
+        { exchangeName: 'kraken', amount: 0.5 }
+      ]);
+      expect(plan.expected.averagePrice).toBeCloseTo((100.1 + 100.2 + 50.075) / 2.5);
+      expect(plan.singleVenue).toMatchObject({ exchangeName: 'kraken', complete: true });
+      expect(plan.expected.effectivePrice).toBeLessThan(plan.singleVenue.effectivePrice);
+    });
+
+    test('should walk bids for sells', async () => {
+      connect({ binance: buildExchange(0.001), kucoin: buildExchange(0.001) });
+      mockBook({
+        bids: [
+          [101, 0.5, 'kucoin'],
+          [100, 2, 'binance']
+        ]
+      });
+
+      const plan = await smartOrderRouter.planRoute(USER_ID, { symbol: 'BTC/USDT', side: 'sell', amount: 1 });
+
+      expect(plan.allocations.map(allocation => allocation.exchangeName)).toEqual(['kucoin', 'binance']);
+      expect(plan.expected.averagePrice).toBeCloseTo(100.5);
+      expect(plan.singleVenue.exchangeName).toBe('binance');
+      expect(plan.expected.effectivePrice).toBeGreaterThan(plan.singleVenue.effectivePrice);
+    });
+
+    test('should ignore levels from exchanges the user has not connected', async () => {
+      connect({ binance: buildExchange(0.001) });
+      mockBook({
+        asks: [
+          [99, 5, 'coinbase'],
+          [100, 5, 'binance']
+        ]
+      });
+
+      const plan = await smartOrderRouter.planRoute(USER_ID, { symbol: 'BTC/USDT', side: 'buy', amount: 1 });
+
+      expect(plan.allocations).toHaveLength(1);
+      expect(plan.allocations[0]).toMatchObject({ exchangeName: 'binance', averagePrice: 100 });
+    });
+
+    test('should move shares below the minimum order size to other exchanges', async () => {
+      connect({ binance: buildExchange(0.001), kraken: buildExchange(0.001, 1) });
+      mockBook({
+        asks: [
+          [99, 0.5, 'kraken'],
+          [100, 5, 'binance']
+        ]
+      });
+
+      const plan = await smartOrderRouter.planRoute(USER_ID, { symbol: 'BTC/USDT', side: 'buy', amount: 2 });
+
+      expect(plan.allocations).toHaveLength(1);
+      expect(plan.allocations[0]).toMatchObject({ exchangeName: 'binance', amount: 2 });
+      expect(plan.excluded).toEqual(['kraken']);
+    });
+
+    test('should reject orders larger than the available liquidity', async () => {
+      connect({ binance: buildExchange(0.001) });
+      mockBook({ asks: [[100, 1, 'binance']] });
+
+      await expect(
+        smartOrderRouter.planRoute(USER_ID, { symbol: 'BTC/USDT', side: 'buy', amount: 2 })
+      ).rejects.toThrow('Insufficient liquidity');
+    });
+
+    test('should reject symbols no connected exchange lists', async () => {
+      connect({ binance: buildExchange(0.001) });
+
+      await expect(
+        smartOrderRouter.planRoute(USER_ID, { symbol: 'ETH/USDT', side: 'buy', amount: 1 })
+      ).rejects.toThrow('not available on any connected exchange');
+    });
+  });
+
+  describe('summarizeRealized', () => {
+    test('should include quote and base currency fees in the effective price', () => {
+      const realized = smartOrderRouter.summarizeRealized('BTC/USDT', 'buy', [
+        { filled: 1, cost: 100, fee: { currency: 'USDT', cost: 0.1 } },
+        { filled: 1, cost: 102, fee: { currency: 'BTC', cost: 0.01 } }
+      ]);
+
+      expect(realized.averagePrice).toBeCloseTo(101);
+      expect(realized.effectivePrice).toBeCloseTo(202.1 / 1.99);
+      expect(realized.fees).toEqual({ USDT: 0.1, BTC: 0.01 });
+    });
+
+    test('should return null before anything has filled', () => {
+      expect(smartOrderRouter.summarizeRealized('BTC/USDT', 'sell', [{ filled: 0, cost: 0 }])).toBeNull();
+    });
+  });
+
+  describe('routeOrder', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = new User(global.testConfig.testUser);
+      await testUser.save();
+
+      connect({ binance: buildExchange(0.001), kraken: buildExchange(0.0026) });
+      mockBook({
+        asks: [
+          [100, 1, 'binance'],
+          [100.5, 1, 'kraken']
+        ]
+      });
+
+      tradingService.placeOrder.mockImplementation(async (userId, orderData) => {
+        const price = orderData.exchangeName === 'binance' ? 100 : 100.6;
+        const order = new Order({
+          userId,
+          exchangeName: orderData.exchangeName,
+          symbol: orderData.symbol,
+          type: 'market',
+          side: orderData.side,
+          amount: orderData.amount,
+          status: 'closed',
+          filled: orderData.amount,
+          cost: orderData.amount * price,
+          metadata: { parentOrderId: orderData.parentOrderId }
+        });
+        await order.save();
+        return order;
+      });
+    });
+
+    test('should place child orders and report expected and realized prices', async () => {
+      const result = await smartOrderRouter.routeOrder(testUser._id, {
+        symbol: 'BTC/USDT',
+        side: 'buy',
+        amount: 2
+      });
+
+      expect(result.order.exchangeName).toBe('smart_router');
+      expect(result.order.status).toBe('closed');
+      expect(result.order.filled).toBe(2);
+      expect(result.order.metadata.relatedOrders).toHaveLength(2);
+      expect(result.children.map(child => child.metadata.parentOrderId.toString())).toEqual([
+        result.order._id.toString(),
+        result.order._id.toString()
+      ]);
+
+      expect(result.routing.expected.averagePrice).toBeCloseTo(100.25);
+      expect(result.routing.realized.averagePrice).toBeCloseTo(100.3);
+      expect(result.routing.singleVenue).toMatchObject({ exchangeName: 'binance', complete: false });
+      expect(result.routing.failures).toEqual([]);
+    });
+
+    test('should not place orders on a dry run', async () => {
+      const result = await smartOrderRouter.routeOrder(testUser._id, {
+        symbol: 'BTC/USDT',
+        side: 'buy',
+        amount: 1,
+        dryRun: true
+      });
+
+      expect(result.order).toBeNull();
+      expect(result.routing.allocations).toHaveLength(1);
+      expect(tradingService.placeOrder).not.toHaveBeenCalled();
+    });
+  });
+});
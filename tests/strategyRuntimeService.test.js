@@ -0,0 +1,300 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/market/marketDataService', () => ({
+  getCandles: jest.fn(),
+  getTicker: jest.fn()
+}));
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  loadExchange: jest.fn()
+}));
+jest.mock('../src/services/trading/tradingService', () => ({
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+jest.mock('../src/services/trading/paperTradingService', () => ({
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  getBalance: jest.fn()
+}));
+jest.mock('../src/services/trading/riskManagementService', () => ({
+  validateOrder: jest.fn()
+}));
+
+const strategyRuntimeService = require('../src/services/strategy/strategyRuntimeService');
+const StrategySandbox = require('../src/services/strategy/strategySandbox');
+const marketDataService = require('../src/services/market/marketDataService');
+const paperTradingService = require('../src/services/trading/paperTradingService');
+const riskManagementService = require('../src/services/trading/riskManagementService');
+const Strategy = require('../src/models/Strategy');
+const User = require('../src/models/User');
+
+const HOUR = 60 * 60 * 1000;
+
+const buildCandles = count =>
+  Array.from({ length: count }, (_, index) => ({
+    timestamp: 1700000000000 + index * HOUR,
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100 + index,
+    volume: 10
+  }));
+
+const BUY_ON_CANDLE = `
+  module.exports = {
+    async onCandle(candle, ctx) {
+      ctx.log('candle ' + candle.close);
+      await ctx.placeOrder({ side: 'buy', amount: 0.5 });
+    }
+  };
+`;
+
+describe('Strategy Runtime Service', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = new User(global.testConfig.testUser);
+    await testUser.save();
+
+    riskManagementService.validateOrder.mockResolvedValue({
+      allowed: true,
+      warnings: [],
+      violations: [],
+      adjustments: {}
+    });
+    paperTradingService.placeOrder.mockImplementation((userId, orderData) =>
+      Promise.resolve({ _id: '64b000000000000000000001', status: 'filled', filled: orderData.amount, ...orderData })
+    );
+  });
+
+  afterEach(() => {
+    strategyRuntimeService.stop();
+    jest.clearAllMocks();
+  });
+
+  const createStrategy = (overrides = {}) =>
+    strategyRuntimeService.createStrategy(testUser._id, {
+      name: 'RSI dip buyer',
+      code: BUY_ON_CANDLE,
+      exchangeName: 'binance',
+      symbol: 'BTC/USDT',
+      ...overrides
+    });
+
+  describe('StrategySandbox', () => {
+    let sandbox;
+
+    afterEach(() => {
+      if (sandbox) {
+        sandbox.terminate();
+        sandbox = null;
+      }
+    });
+
+    const startSandbox = async (code, options) => {
+      sandbox = new StrategySandbox(code, options);
+      await sandbox.start();
+      return sandbox;
+    };
+
+    test('should expose exported hooks', async () => {
+      await startSandbox(BUY_ON_CANDLE);
+
+      expect(sandbox.hasHook('onCandle')).toBe(true);
+      expect(sandbox.hasHook('onTicker')).toBe(false);
+    });
+
+    test('should not give strategies access to node globals', async () => {
+      await startSandbox(`
+        module.exports = {
+          onTicker(ticker, ctx) {
+            ctx.state.globals = [typeof require, typeof process, typeof setTimeout];
+          }
+        };
+      `);
+
+      const { state } = await sandbox.invoke('onTicker', [{}], { state: {} });
+
+      expect(state.globals).toEqual(['undefined', 'undefined', 'undefined']);
+    });
+
+    test('should not let strategies compile code through API functions', async () => {
+      await startSandbox(`
+        module.exports = {
+          onTicker(ticker, ctx) {
+            return ctx.log.constructor('return process')();
+          }
+        };
+      `);
+
+      await expect(
+        sandbox.invoke('onTicker', [{}], { state: {}, log: jest.fn() })
+      ).rejects.toThrow('Code generation from strings disallowed');
+    });
+
+    test('should run API calls in the host and return their results', async () => {
+      await startSandbox(`
+        module.exports = {
+          async onCandle(candle, ctx) {
+            ctx.state.order = await ctx.placeOrder({ side: 'buy', amount: candle.close });
+            ctx.state.sma = ctx.indicators.sma([1, 2, 3], 3);
+          }
+        };
+      `);
+      const placeOrder = jest.fn().mockResolvedValue({ id: 'order-1', status: 'open' });
+
+      const { state } = await sandbox.invoke('onCandle', [{ close: 2 }], { state: {}, placeOrder });
+
+      expect(placeOrder).toHaveBeenCalledWith({ side: 'buy', amount: 2 });
+      expect(state).toEqual({ order: { id: 'order-1', status: 'open' }, sma: 2 });
+    });
+
+    test('should stop hooks that run past the timeout', async () => {
+      await startSandbox('module.exports = { onTicker() { while (true) {} } };', { timeout: 50 });
+
+      await expect(sandbox.invoke('onTicker')).rejects.toThrow('timed out');
+    });
+
+    test('should kill async hooks that run past the deadline and restart', async () => {
+      await startSandbox(
+        `
+          module.exports = {
+            async onTicker(ticker) {
+              if (ticker.block) {
+                await null;
+                while (true) {}
+              }
+            }
+          };
+        `,
+        { deadline: 500 }
+      );
+
+      await expect(sandbox.invoke('onTicker', [{ block: true }])).rejects.toThrow(
+        'Strategy hook onTicker timed out after 500ms'
+      );
+      await expect(sandbox.invoke('onTicker', [{ block: false }], { state: {} })).resolves.toEqual({
+        state: {}
+      });
+    });
+
+    test('should reject modules without event hooks', async () => {
+      await expect(StrategySandbox.check('module.exports = {};')).rejects.toThrow(
+        'Invalid strategy code'
+      );
+    });
+  });
+
+  describe('createStrategy', () => {
+    test('should store a valid strategy as stopped', async () => {
+      const strategy = await createStrategy();
+
+      expect(strategy.status).toBe('stopped');
+      expect(strategy.mode).toBe('paper');
+    });
+
+    test('should reject code that does not compile', async () => {
+      await expect(createStrategy({ code: 'module.exports = {' })).rejects.toThrow(
+        'Invalid strategy code'
+      );
+    });
+  });
+
+  describe('lifecycle', () => {
+    test('should seed history on the first tick and deliver new candles afterwards', async () => {
+      const strategy = await createStrategy();
+      marketDataService.getCandles.mockResolvedValue({ candles: buildCandles(5) });
+
+      await strategyRuntimeService.startStrategy(testUser._id, strategy._id);
+      const runner = strategyRuntimeService.runners.get(strategy._id.toString());
+      await strategyRuntimeService.runTick(runner);
+
+      expect(paperTradingService.placeOrder).not.toHaveBeenCalled();
+
+      marketDataService.getCandles.mockResolvedValue({ candles: buildCandles(6) });
+      await strategyRuntimeService.runTick(runner);
+
+      expect(paperTradingService.placeOrder).toHaveBeenCalledTimes(1);
+      const [, orderData] = paperTradingService.placeOrder.mock.calls[0];
+      expect(orderData).toMatchObject({
+        symbol: 'BTC/USDT',
+        side: 'buy',
+        type: 'market',
+        amount: 0.5,
+        strategy: 'RSI dip buyer'
+      });
+      expect(orderData.strategyId.toString()).toBe(strategy._id.toString());
+
+      const logs = await strategyRuntimeService.getLogs(testUser._id, strategy._id);
+      expect(logs.map(entry => entry.message)).toContain('candle 104');
+    });
+
+    test('should not place orders rejected by risk management', async () => {
+      const strategy = await createStrategy();
+      riskManagementService.validateOrder.mockResolvedValue({
+        allowed: false,
+        warnings: [],
+        violations: [{ rule: 'positionSize', message: 'Position size 50.00% exceeds limit of 5.00%' }],
+        adjustments: {}
+      });
+
+      const runner = { strategyId: strategy._id.toString(), userId: testUser._id.toString(), trackedOrders: new Map() };
+
+      await expect(
+        strategyRuntimeService.placeStrategyOrder(runner, strategy, { side: 'buy', amount: 5 })
+      ).rejects.toThrow('Order rejected by risk management');
+      expect(paperTradingService.placeOrder).not.toHaveBeenCalled();
+
+      const updated = await Strategy.findById(strategy._id);
+      expect(updated.stats.ordersRejected).toBe(1);
+    });
+
+    test('should mark a strategy failed when its sandbox does not start', async () => {
+      const strategy = await createStrategy();
+      jest.spyOn(StrategySandbox.prototype, 'start').mockRejectedValue(new Error('Sandbox exited'));
+
+      try {
+        await expect(strategyRuntimeService.startStrategy(testUser._id, strategy._id)).rejects.toThrow(
+          'Sandbox exited'
+        );
+      } finally {
+        StrategySandbox.prototype.start.mockRestore();
+      }
+
+      const updated = await Strategy.findById(strategy._id);
+      expect(updated.status).toBe('error');
+      expect(updated.lastError).toBe('Sandbox exited');
+      expect(strategyRuntimeService.runners.has(strategy._id.toString())).toBe(false);
+
+      marketDataService.getCandles.mockResolvedValue({ candles: buildCandles(5) });
+      const restarted = await strategyRuntimeService.startStrategy(testUser._id, strategy._id);
+      expect(restarted.status).toBe('running');
+    });
+
+    test('should pause, resume and stop a strategy', async () => {
+      const strategy = await createStrategy();
+      marketDataService.getCandles.mockResolvedValue({ candles: buildCandles(5) });
+
+      await strategyRuntimeService.startStrategy(testUser._id, strategy._id);
+      const paused = await strategyRuntimeService.pauseStrategy(testUser._id, strategy._id);
+      expect(paused.status).toBe('paused');
+
+      const resumed = await strategyRuntimeService.startStrategy(testUser._id, strategy._id);
+      expect(resumed.status).toBe('running');
+
+      const stopped = await strategyRuntimeService.stopStrategy(testUser._id, strategy._id);
+      expect(stopped.status).toBe('stopped');
+      expect(strategyRuntimeService.runners.has(strategy._id.toString())).toBe(false);
+    });
+
+    test('should refuse to update a running strategy', async () => {
+      const strategy = await createStrategy();
+      marketDataService.getCandles.mockResolvedValue({ candles: buildCandles(5) });
+
+      await strategyRuntimeService.startStrategy(testUser._id, strategy._id);
+
+      await expect(
+        strategyRuntimeService.updateStrategy(testUser._id, strategy._id, { timeframe: '4h' })
+      ).rejects.toThrow('must be stopped');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/portfolio/portfolioService', () => ({
+  getOrCreatePortfolio: jest.fn()
+}));
+jest.mock('../src/services/market/marketDataService', () => ({
+  getCandles: jest.fn()
+}));
+
+const stressTestService = require('../src/services/analytics/stressTestService');
+const portfolioService = require('../src/services/portfolio/portfolioService');
+const riskAnalyticsService = require('../src/services/analytics/riskAnalyticsService');
+const Portfolio = require('../src/models/Portfolio');
+
+const USER_ID = '64b000000000000000000001';
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildPortfolio = () => {
+  const portfolio = new Portfolio({ userId: USER_ID, baseCurrency: 'USDT' });
+  portfolio.updateHolding('BTC', 'binance', 1, 30000);
+  portfolio.updateHolding('BTC', 'ftx', 1, 30000);
+  portfolio.updateHolding('ETH', 'binance', 10, 2000);
+  portfolio.updateHolding('USDT', 'ftx', 20000, 1);
+  return portfolio;
+};
+
+const buildReturns = values => values.map((value, i) => ({ timestamp: i * DAY, value }));
+
+describe('Stress Test Service', () => {
+  beforeEach(() => {
+    portfolioService.getOrCreatePortfolio.mockResolvedValue(buildPortfolio());
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('runScenario', () => {
+    test('should prefer asset shocks over class shocks and report P&L per holding', async () => {
+      const result = await stressTestService.runScenario(USER_ID, [
+        { type: 'asset', target: 'BTC', change: -30 },
+        { type: 'class', target: 'crypto', change: -50 }
+      ]);
+
+      expect(result.value).toBe(100000);
+      expect(result.pnl).toBeCloseTo(-28000, 6);
+      expect(result.holdings.map(item => [item.asset, item.priceShock, item.pnl])).toEqual([
+        ['BTC', -30, expect.closeTo(-18000, 6)],
+        ['ETH', -50, -10000],
+        ['USDT', 0, 0]
+      ]);
+      expect(result.holdings[0].exchanges).toHaveLength(2);
+    });
+
+    test('should compound exchange insolvency on top of price shocks', async () => {
+      const result = await stressTestService.runScenario(USER_ID, [
+        { type: 'class', target: 'stablecoin', change: -90 },
+        { type: 'exchange', target: 'ftx', change: -100 }
+      ]);
+
+      expect(result.exchanges).toEqual([
+        expect.objectContaining({ exchange: 'ftx', value: 50000, pnl: -50000 }),
+        expect.objectContaining({ exchange: 'binance', value: 50000, pnl: 0 })
+      ]);
+      expect(result.pnlPercentage).toBe(-50);
+    });
+
+    test('should classify holdings by asset whatever the base currency', async () => {
+      const portfolio = new Portfolio({ userId: USER_ID, baseCurrency: 'BTC' });
+      portfolio.updateHolding('BTC', 'binance', 1, 1);
+      portfolio.updateHolding('USDC', 'binance', 30000, 0.00003);
+      portfolio.updateHolding('EUR', 'kraken', 20000, 0.00002);
+      portfolio.updateHolding('UNI', 'binance', 1000, 0.0001);
+      portfolioService.getOrCreatePortfolio.mockResolvedValue(portfolio);
+
+      const result = await stressTestService.runScenario(USER_ID, [
+        { type: 'class', target: 'crypto', change: -50 },
+        { type: 'class', target: 'stablecoin', change: -20 },
+        { type: 'class', target: 'defi', change: -80 }
+      ]);
+
+      expect(result.holdings.map(item => [item.asset, item.assetClass, item.priceShock])).toEqual(
+        expect.arrayContaining([
+          ['BTC', 'crypto', -50],
+          ['USDC', 'stablecoin', -20],
+          ['EUR', 'fiat', 0],
+          ['UNI', 'defi', -80]
+        ])
+      );
+    });
+
+    test('should refuse an empty portfolio', async () => {
+      portfolioService.getOrCreatePortfolio.mockResolvedValue(
+        new Portfolio({ userId: USER_ID, baseCurrency: 'USDT' })
+      );
+
+      await expect(stressTestService.runScenario(USER_ID, [])).rejects.toThrow(
+        'Portfolio has no holdings to stress test'
+      );
+    });
+  });
+
+  describe('runMonteCarlo', () => {
+    test('should resample historical returns into a reproducible loss distribution', async () => {
+      const btc = Array.from({ length: 20 }, (_, i) => (i % 2 === 0 ? 0.05 : -0.04));
+      jest
+        .spyOn(riskAnalyticsService, 'getReturns')
+        .mockImplementation(symbol =>
+          symbol === 'BTC/USDT'
+            ? Promise.resolve(buildReturns(btc))
+            : Promise.resolve(buildReturns(btc.map(value => value * 2)))
+        );
+
+      const options = { paths: 500, horizon: 1, seed: 42 };
+      const result = await stressTestService.runMonteCarlo(USER_ID, options);
+      const again = await stressTestService.runMonteCarlo(USER_ID, options);
+
+      // Each path draws one day: BTC 60k and ETH 20k move 4% and 8% down together
+      expect(result.worst).toBeCloseTo(-(60000 * 0.04 + 20000 * 0.08), 6);
+      expect(result.best).toBeCloseTo(60000 * 0.05 + 20000 * 0.1, 6);
+      expect(result.valueAtRisk.var99).toBeCloseTo(4000, 6);
+      expect(result.probabilityOfLoss).toBeGreaterThan(0.3);
+      expect(result.probabilityOfLoss).toBeLessThan(0.7);
+      expect(result.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(500);
+      expect(result.assets).toEqual(['BTC', 'ETH']);
+      expect(again.percentiles).toEqual(result.percentiles);
+    });
+
+    test('should require enough history to resample', async () => {
+      jest.spyOn(riskAnalyticsService, 'getReturns').mockResolvedValue(buildReturns([0.01, 0.02]));
+
+      await expect(stressTestService.runMonteCarlo(USER_ID, { paths: 100 })).rejects.toThrow(
+        'Not enough return history'
+      );
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/portfolio/portfolioService', () => ({
+  getOrCreatePortfolio: jest.fn()
+}));
+
+const targetAllocationService = require('../src/services/portfolio/targetAllocationService');
+const portfolioService = require('../src/services/portfolio/portfolioService');
+const TargetAllocation = require('../src/models/TargetAllocation');
+const Portfolio = require('../src/models/Portfolio');
+
+const USER_ID = '64b000000000000000000001';
+
+const buildPortfolio = () => {
+  const portfolio = new Portfolio({ userId: USER_ID, baseCurrency: 'USDT' });
+  portfolio.updateHolding('BTC', 'binance', 1, 30000);
+  portfolio.updateHolding('ETH', 'binance', 5, 2000);
+  portfolio.updateHolding('USDT', 'binance', 10000, 1);
+  portfolio.recalculatePortfolio();
+  portfolio.allocation.byType.crypto.percentage = 80;
+  portfolio.allocation.byType.stablecoin.percentage = 20;
+  portfolio.save = jest.fn().mockResolvedValue(portfolio);
+  return portfolio;
+};
+
+const buildModel = fields =>
+  new TargetAllocation({
+    userId: USER_ID,
+    name: 'Core',
+    defaultBand: 3,
+    assets: [
+      { asset: 'BTC', weight: 50, band: 10 },
+      { asset: 'SOL', weight: 20 },
+      { asset: 'USDT', weight: 30 }
+    ],
+    classes: [
+      { assetClass: 'crypto', weight: 70 },
+      { assetClass: 'stablecoin', weight: 30 }
+    ],
+    ...fields
+  });
+
+describe('Target Allocation Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('validateWeights', () => {
+    test('should require each set of weights to sum to 100%', () => {
+      expect(() =>
+        targetAllocationService.validateWeights({
+          assets: [
+            { asset: 'BTC', weight: 60 },
+            { asset: 'ETH', weight: 30 }
+          ]
+        })
+      ).toThrow('Asset weights must sum to 100% (got 90%)');
+
+      expect(() =>
+        targetAllocationService.validateWeights({
+          assets: [{ asset: 'BTC', weight: 100 }],
+          classes: [{ assetClass: 'crypto', weight: 90 }]
+        })
+      ).toThrow('Class weights must sum to 100% (got 90%)');
+
+      expect(() =>
+        targetAllocationService.validateWeights({
+          assets: ['BTC', 'ETH', 'SOL'].map(asset => ({ asset, weight: 33.333 }))
+        })
+      ).not.toThrow();
+    });
+
+    test('should reject empty models and repeated assets', () => {
+      expect(() => targetAllocationService.validateWeights({ assets: [] })).toThrow(
+        'A target allocation model needs asset or class weights'
+      );
+      expect(() =>
+        targetAllocationService.validateWeights({
+          assets: [
+            { asset: 'BTC', weight: 50 },
+            { asset: 'BTC', weight: 50 }
+          ]
+        })
+      ).toThrow('Duplicate target for BTC');
+    });
+  });
+
+  describe('activateModel', () => {
+    test('should copy the model targets onto the portfolio and record drift', async () => {
+      const portfolio = buildPortfolio();
+      portfolio.allocation.byAsset.get('ETH').targetPercentage = 25;
+      const model = buildModel();
+      jest.spyOn(TargetAllocation, 'findOne').mockResolvedValue(model);
+      portfolioService.getOrCreatePortfolio.mockResolvedValue(portfolio);
+
+      const { drift } = await targetAllocationService.activateModel(USER_ID, model._id);
+
+      const { byAsset, byType } = portfolio.allocation;
+      expect(portfolio.allocation.targetModelId).toEqual(model._id);
+      expect(byAsset.get('BTC')).toMatchObject({ percentage: 60, targetPercentage: 50, band: 10 });
+      expect(byAsset.get('SOL')).toMatchObject({ percentage: 0, targetPercentage: 20, band: 3 });
+      expect(byAsset.get('ETH').targetPercentage).toBe(0);
+      expect(byType.crypto.toObject()).toMatchObject({ targetPercentage: 70, band: 3 });
+      expect(byType.fiat.targetPercentage).toBe(0);
+
+      expect(drift.assets.map(item => [item.name, item.drift, item.outOfBand])).toEqual([
+        ['BTC', 10, false],
+        ['USDT', -10, true],
+        ['SOL', -20, true]
+      ]);
+      expect(drift).toMatchObject({ assetDrift: 20, classDrift: 10, maxDrift: 20, outOfBand: 4 });
+
+      const [record] = portfolio.performance.driftHistory;
+      expect(record.modelId).toEqual(model._id);
+      expect(record.assets.get('SOL')).toBe(-20);
+      expect(record.classes.get('crypto')).toBe(10);
+      expect(portfolio.save).toHaveBeenCalled();
+    });
+
+    test('should report unknown models as not found', async () => {
+      jest.spyOn(TargetAllocation, 'findOne').mockResolvedValue(null);
+
+      await expect(
+        targetAllocationService.activateModel(USER_ID, '64b000000000000000000002')
+      ).rejects.toThrow('Target allocation model not found');
+    });
+  });
+
+  describe('deleteModel', () => {
+    test('should clear the targets of the active model', async () => {
+      const portfolio = buildPortfolio();
+      const model = buildModel();
+      targetAllocationService.applyModel(portfolio, model);
+      jest.spyOn(TargetAllocation, 'findOneAndDelete').mockResolvedValue(model);
+      portfolioService.getOrCreatePortfolio.mockResolvedValue(portfolio);
+
+      await targetAllocationService.deleteModel(USER_ID, model._id);
+
+      expect(portfolio.allocation.targetModelId).toBeUndefined();
+      expect(portfolio.allocation.byAsset.has('SOL')).toBe(false);
+      expect(portfolio.allocation.byAsset.get('BTC').targetPercentage).toBe(0);
+      expect(portfolio.allocation.byType.crypto.targetPercentage).toBeUndefined();
+      expect(portfolio.calculateDrift().assets).toEqual([]);
+      expect(portfolio.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('Portfolio drift history', () => {
+    test('should keep one record per day and targets across recalculations', () => {
+      const portfolio = buildPortfolio();
+      targetAllocationService.applyModel(portfolio, buildModel({ classes: [] }));
+
+      portfolio.addDailyDrift();
+      portfolio.updateHolding('BTC', 'binance', 0.5, 30000);
+      portfolio.recalculatePortfolio();
+      portfolio.addDailyDrift();
+
+      expect(portfolio.allocation.byAsset.get('BTC')).toMatchObject({
+        targetPercentage: 50,
+        band: 10
+      });
+      expect(portfolio.performance.driftHistory).toHaveLength(1);
+      expect(portfolio.performance.driftHistory[0].assets.get('BTC')).toBeCloseTo(-7.1429, 4);
+    });
+  });
+});
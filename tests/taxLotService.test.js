@@ -0,0 +1,378 @@
+// Mock services that would reach exchanges
+jest.mock('../src/services/market/marketDataService', () => ({
+  getHistoricalPrice: jest.fn()
+}));
+
+const taxLotService = require('../src/services/portfolio/taxLotService');
+const marketDataService = require('../src/services/market/marketDataService');
+const TaxLot = require('../src/models/TaxLot');
+const Order = require('../src/models/Order');
+const User = require('../src/models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+let tradeCounter = 0;
+
+const buildTrade = (side, days, amount, price, asset = 'BTC') => ({
+  orderId: null,
+  sourceKey: `trade-${++tradeCounter}:0`,
+  exchangeName: 'binance',
+  asset,
+  currency: 'USDT',
+  side,
+  timestamp: new Date(START + days * DAY),
+  amount,
+  value: amount * price
+});
+
+// Bought 1 @ 100, 1 @ 300, 1 @ 200, then sold 1 @ 250 after 400 days
+const buildHistory = () => [
+  buildTrade('buy', 0, 1, 100),
+  buildTrade('buy', 10, 1, 300),
+  buildTrade('buy', 380, 1, 200),
+  buildTrade('sell', 400, 1, 250)
+];
+
+const disposalsOf = lots => lots.flatMap(lot => lot.disposals);
+
+describe('Tax Lot Service', () => {
+  describe('buildLots', () => {
+    test('should sell the oldest lot first under FIFO', () => {
+      const [disposal] = disposalsOf(taxLotService.buildLots(buildHistory(), 'fifo'));
+
+      expect(disposal).toMatchObject({ amount: 1, proceeds: 250, costBasis: 100, gain: 150, term: 'long' });
+    });
+
+    test('should sell the newest lot first under LIFO', () => {
+      const [disposal] = disposalsOf(taxLotService.buildLots(buildHistory(), 'lifo'));
+
+      expect(disposal).toMatchObject({ costBasis: 200, gain: 50, term: 'short' });
+    });
+
+    test('should sell the most expensive lot first under HIFO', () => {
+      const [disposal] = disposalsOf(taxLotService.buildLots(buildHistory(), 'hifo'));
+
+      expect(disposal).toMatchObject({ costBasis: 300, gain: -50, term: 'long' });
+    });
+
+    test('should sell a share of every lot at the average cost', () => {
+      const disposals = disposalsOf(taxLotService.buildLots(buildHistory(), 'average'));
+
+      expect(disposals).toHaveLength(3);
+      expect(disposals.reduce((sum, disposal) => sum + disposal.costBasis, 0)).toBeCloseTo(200);
+      expect(disposals.map(disposal => disposal.term)).toEqual(['long', 'long', 'short']);
+    });
+
+    test('should split a sale across lots and keep what remains', () => {
+      const lots = taxLotService.buildLots(
+        [buildTrade('buy', 0, 1, 100), buildTrade('buy', 1, 2, 110), buildTrade('sell', 2, 2, 120)],
+        'fifo'
+      );
+
+      expect(lots.map(lot => lot.remaining)).toEqual([0, 1]);
+      expect(disposalsOf(lots).map(disposal => disposal.costBasis)).toEqual([100, 110]);
+    });
+
+    test('should report sales without recorded acquisitions with a zero basis', () => {
+      const lots = taxLotService.buildLots([buildTrade('buy', 0, 1, 100), buildTrade('sell', 1, 1.5, 200)], 'fifo');
+
+      const unknown = lots.find(lot => lot.basisUnknown);
+      expect(unknown.disposals[0]).toMatchObject({ amount: 0.5, costBasis: 0, proceeds: 100, term: 'short' });
+    });
+
+    test('should keep lots of different assets apart', () => {
+      const lots = taxLotService.buildLots(
+        [buildTrade('buy', 0, 1, 100), buildTrade('buy', 1, 1, 10, 'ETH'), buildTrade('sell', 2, 1, 20, 'ETH')],
+        'fifo'
+      );
+
+      expect(lots[0].remaining).toBe(1);
+      expect(lots[1].disposals[0].gain).toBe(10);
+    });
+  });
+
+  describe('isLongTerm', () => {
+    test('should require more than one year between acquisition and sale', () => {
+      const acquiredAt = new Date(Date.UTC(2023, 2, 15));
+
+      expect(taxLotService.isLongTerm(acquiredAt, new Date(Date.UTC(2024, 2, 15)))).toBe(false);
+      expect(taxLotService.isLongTerm(acquiredAt, new Date(Date.UTC(2024, 2, 16)))).toBe(true);
+    });
+  });
+
+  describe('extractTrades', () => {
+    test('should add quote fees to the cost and net them from proceeds', () => {
+      const buy = new Order({
+        userId: '64b000000000000000000001',
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        type: 'market',
+        side: 'buy',
+        amount: 1,
+        filled: 1,
+        cost: 100,
+        trades: [
+          { amount: 0.4, price: 100, cost: 40, timestamp: new Date(START), fee: { currency: 'USDT', cost: 0.04 } },
+          { amount: 0.6, price: 100, cost: 60, timestamp: new Date(START), fee: { currency: 'BTC', cost: 0.0006 } }
+        ]
+      });
+
+      const trades = taxLotService.extractTrades(buy);
+
+      expect(trades.map(trade => trade.value)).toEqual([40.04, 60]);
+      expect(trades[1].amount).toBeCloseTo(0.5994);
+    });
+
+    test('should spread the order fee when fills do not report one', () => {
+      const sell = new Order({
+        userId: '64b000000000000000000001',
+        exchangeName: 'kraken',
+        symbol: 'ETH/USD',
+        type: 'limit',
+        side: 'sell',
+        amount: 2,
+        price: 10,
+        filled: 2,
+        cost: 20,
+        fee: { currency: 'USD', cost: 0.2 }
+      });
+
+      expect(taxLotService.extractTrades(sell)).toEqual([
+        expect.objectContaining({ side: 'sell', asset: 'ETH', currency: 'USD', amount: 2, value: 19.8 })
+      ]);
+    });
+  });
+
+  describe('toReportingCurrency', () => {
+    const buildQuoteTrade = (side, days, asset, currency, amount, quoteAmount) => ({
+      ...buildTrade(side, days, amount, quoteAmount / amount, asset),
+      currency,
+      quoteAmount
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+      taxLotService.rates.clear();
+    });
+
+    test('should value fills at their time and dispose of the quote spent', async () => {
+      // BTC is worth 20000 USDT on day 0 and 30000 USDT on day 1
+      marketDataService.getHistoricalPrice.mockImplementation((exchangeName, symbol, timestamp) =>
+        Promise.resolve(timestamp.getTime() < START + DAY ? 20000 : 30000)
+      );
+
+      const trades = await taxLotService.toReportingCurrency(
+        [
+          buildQuoteTrade('buy', 0, 'BTC', 'USDT', 1, 20000),
+          buildQuoteTrade('buy', 1, 'ETH', 'BTC', 10, 0.5),
+          buildQuoteTrade('buy', 1, 'LINK', 'BTC', 100, 0.1)
+        ],
+        'USDT'
+      );
+
+      expect(trades.map(trade => [trade.asset, trade.side, trade.amount, trade.value, trade.currency])).toEqual([
+        ['BTC', 'buy', 1, 20000, 'USDT'],
+        ['ETH', 'buy', 10, 15000, 'USDT'],
+        ['BTC', 'sell', 0.5, 15000, 'USDT'],
+        ['LINK', 'buy', 100, 3000, 'USDT'],
+        ['BTC', 'sell', 0.1, 3000, 'USDT']
+      ]);
+      expect(marketDataService.getHistoricalPrice).toHaveBeenCalledTimes(1);
+      expect(marketDataService.getHistoricalPrice).toHaveBeenCalledWith('binance', 'BTC/USDT', new Date(START + DAY));
+
+      const [btcLot] = taxLotService.buildLots(trades, 'fifo');
+      expect(btcLot.remaining).toBeCloseTo(0.4);
+      expect(btcLot.disposals[0]).toMatchObject({ amount: 0.5, proceeds: 15000, costBasis: 10000, gain: 5000 });
+    });
+
+    test('should acquire the quote received and fall back to the inverse pair', async () => {
+      marketDataService.getHistoricalPrice.mockImplementation((exchangeName, symbol) =>
+        symbol === 'USDT/EUR' ? Promise.resolve(1.25) : Promise.reject(new Error('bad symbol'))
+      );
+
+      const trades = await taxLotService.toReportingCurrency(
+        [buildQuoteTrade('sell', 0, 'BTC', 'EUR', 1, 20000)],
+        'USDT'
+      );
+
+      expect(trades.map(trade => [trade.asset, trade.side, trade.amount, trade.value])).toEqual([
+        ['BTC', 'sell', 1, 16000],
+        ['EUR', 'buy', 20000, 16000]
+      ]);
+    });
+
+    test('should set aside trades it cannot value', async () => {
+      marketDataService.getHistoricalPrice.mockRejectedValue(new Error('bad symbol'));
+      const unvalued = [];
+
+      const trades = await taxLotService.toReportingCurrency(
+        [buildQuoteTrade('buy', 0, 'ETH', 'BTC', 1, 0.05), buildQuoteTrade('buy', 1, 'BTC', 'USDT', 1, 20000)],
+        'USDT',
+        unvalued
+      );
+
+      expect(trades.map(trade => trade.asset)).toEqual(['BTC']);
+      expect(unvalued).toHaveLength(1);
+      expect(unvalued[0]).toMatchObject({ asset: 'ETH', currency: 'BTC' });
+      expect(unvalued[0].error).toContain('No BTC to USDT rate');
+    });
+
+    test('should reuse rates across calls and retry failed lookups', async () => {
+      marketDataService.getHistoricalPrice
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockResolvedValue(20000);
+      const trades = [buildQuoteTrade('buy', 0, 'ETH', 'BTC', 10, 0.5)];
+
+      await taxLotService.toReportingCurrency(trades, 'USDT');
+      await taxLotService.toReportingCurrency(trades, 'USDT');
+      await taxLotService.toReportingCurrency(trades, 'USDT');
+
+      // The direct pair and its inverse fail, the retry succeeds and is cached
+      expect(marketDataService.getHistoricalPrice).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('syncTaxLots', () => {
+    const USER_ID = '64b000000000000000000001';
+
+    // Lots as stored after a sync, sold from in place like documents
+    const storeLots = lots => lots.map((lot, index) => ({ ...lot, _id: `lot-${index}`, userId: USER_ID, method: 'fifo' }));
+
+    beforeEach(() => {
+      marketDataService.getHistoricalPrice.mockResolvedValue(1.25);
+      jest.spyOn(TaxLot, 'deleteMany').mockResolvedValue({});
+      jest.spyOn(TaxLot, 'bulkWrite').mockResolvedValue({});
+      jest.spyOn(TaxLot, 'insertMany').mockImplementation(lots => Promise.resolve(lots));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+      taxLotService.rates.clear();
+    });
+
+    const inEur = trades => trades.map(trade => ({ ...trade, currency: 'EUR', quoteAmount: trade.value }));
+
+    test('should add trades since the last sync to the stored lots', async () => {
+      const history = inEur(buildHistory());
+      const stored = storeLots(
+        taxLotService.buildLots(await taxLotService.toReportingCurrency(history.slice(0, 3), 'USDT'), 'fifo')
+      );
+      taxLotService.rates.clear();
+      marketDataService.getHistoricalPrice.mockClear();
+      jest.spyOn(taxLotService, 'loadTrades').mockResolvedValue({ trades: history, reportingCurrency: 'USDT' });
+      jest.spyOn(TaxLot, 'find').mockResolvedValue(stored);
+
+      await taxLotService.syncTaxLots(USER_ID, 'fifo');
+
+      // Only the new sale is valued, sold from the oldest BTC lot and adds a EUR lot
+      expect(marketDataService.getHistoricalPrice).toHaveBeenCalledTimes(1);
+      expect(TaxLot.deleteMany).not.toHaveBeenCalled();
+      const [[updates]] = TaxLot.bulkWrite.mock.calls;
+      expect(updates).toHaveLength(1);
+      expect(updates[0].updateOne.filter).toEqual({ _id: stored[0]._id });
+      expect(updates[0].updateOne.update.$set.remaining).toBe(0);
+      const [[added]] = TaxLot.insertMany.mock.calls;
+      expect(added.map(lot => [lot.asset, lot.amount])).toEqual([['EUR', 250]]);
+    });
+
+    test('should rebuild the lots when an older trade turns up', async () => {
+      const history = inEur(buildHistory());
+      const stored = storeLots(
+        taxLotService.buildLots(await taxLotService.toReportingCurrency(history.slice(1), 'USDT'), 'fifo')
+      );
+      jest.spyOn(taxLotService, 'loadTrades').mockResolvedValue({ trades: history, reportingCurrency: 'USDT' });
+      jest.spyOn(TaxLot, 'find').mockResolvedValue(stored);
+
+      await taxLotService.syncTaxLots(USER_ID, 'fifo');
+
+      expect(TaxLot.deleteMany).toHaveBeenCalledWith({ userId: USER_ID, method: 'fifo' });
+      expect(TaxLot.bulkWrite).not.toHaveBeenCalled();
+      const [[lots]] = TaxLot.insertMany.mock.calls;
+      expect(lots.filter(lot => lot.asset === 'BTC')).toHaveLength(3);
+    });
+
+    test('should report trades it cannot value instead of failing', async () => {
+      marketDataService.getHistoricalPrice.mockRejectedValue(new Error('bad symbol'));
+      jest.spyOn(taxLotService, 'loadTrades').mockResolvedValue({
+        trades: inEur(buildHistory()).slice(0, 1),
+        reportingCurrency: 'USDT'
+      });
+      jest.spyOn(TaxLot, 'find').mockResolvedValue([]);
+      jest.spyOn(TaxLot, 'findDisposed').mockResolvedValue([]);
+
+      const report = await taxLotService.getTaxReport(USER_ID, { year: 2023, method: 'fifo' });
+
+      expect(report.rows).toEqual([]);
+      expect(report.unvalued).toEqual([
+        expect.objectContaining({ description: '1 BTC', side: 'buy', currency: 'EUR', error: expect.stringContaining('No EUR to USDT rate') })
+      ]);
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should render one Form 8949 style row per disposal', () => {
+      const lots = taxLotService.buildLots(buildHistory(), 'fifo');
+      const rows = taxLotService.buildReportRows(lots, new Date(Date.UTC(2024, 0, 1)), new Date(Date.UTC(2025, 0, 1)));
+
+      expect(taxLotService.toCsv({ rows }).split('\n')).toEqual([
+        'Description,Date Acquired,Date Sold,Proceeds,Cost Basis,Gain or Loss,Term,Currency,Exchange',
+        '1 BTC,01/01/2023,02/05/2024,250.00,100.00,150.00,Long-term,USDT,binance'
+      ]);
+      expect(taxLotService.summarizeRows(rows).USDT.long).toEqual({
+        proceeds: 250,
+        costBasis: 100,
+        gain: 150,
+        count: 1
+      });
+    });
+  });
+
+  describe('getTaxReport', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = new User(global.testConfig.testUser);
+      await testUser.save();
+    });
+
+    afterEach(async () => {
+      await TaxLot.deleteMany({});
+    });
+
+    const saveOrder = async (side, date, amount, cost, overrides = {}) => {
+      const order = new Order({
+        userId: testUser._id,
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        type: 'market',
+        side,
+        amount,
+        status: 'closed',
+        filled: amount,
+        cost,
+        executedAt: date,
+        ...overrides
+      });
+      await order.save();
+      return order;
+    };
+
+    test('should report disposals in the year from exchange orders only', async () => {
+      await saveOrder('buy', new Date(Date.UTC(2023, 5, 1)), 2, 200);
+      await saveOrder('buy', new Date(Date.UTC(2023, 6, 1)), 1, 50, { exchangeName: 'paper_trading', isPaperTrade: true });
+
+      const parent = await saveOrder('sell', new Date(Date.UTC(2024, 1, 1)), 1, 150, { exchangeName: 'smart_router' });
+      await saveOrder('sell', new Date(Date.UTC(2024, 1, 1)), 1, 150, { metadata: { parentOrderId: parent._id } });
+      await saveOrder('sell', new Date(Date.UTC(2025, 1, 1)), 1, 300);
+
+      const report = await taxLotService.getTaxReport(testUser._id, { year: 2024, method: 'fifo' });
+
+      expect(report.rows).toHaveLength(1);
+      expect(report.rows[0]).toMatchObject({ amount: 1, proceeds: 150, costBasis: 100, gain: 50, term: 'short' });
+      expect(await TaxLot.countDocuments({ userId: testUser._id, method: 'fifo' })).toBe(1);
+    });
+  });
+});
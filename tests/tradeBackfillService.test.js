@@ -0,0 +1,222 @@
+const ccxt = require('ccxt');
+const tradeBackfillService = require('../src/services/portfolio/tradeBackfillService');
+const BackfillJob = require('../src/models/BackfillJob');
+const Transfer = require('../src/models/Transfer');
+const Order = require('../src/models/Order');
+
+// Mock CCXT errors without loading the exchange classes
+jest.mock('ccxt', () => {
+  class ArgumentsRequired extends Error {}
+  class NetworkError extends Error {}
+
+  return { ArgumentsRequired, NetworkError };
+});
+
+// Mock services that would reach exchanges
+jest.mock('../src/services/exchanges/exchangeManager', () => ({
+  loadExchange: jest.fn()
+}));
+jest.mock('../src/services/portfolio/portfolioService', () => ({
+  rebuildCostBasis: jest.fn()
+}));
+jest.mock('../src/services/websocket/websocketService', () => ({
+  notifyBackfillProgress: jest.fn()
+}));
+
+const USER_ID = '64b000000000000000000001';
+const SINCE = Date.UTC(2023, 0, 1);
+
+const buildJob = () => {
+  const job = new BackfillJob({ userId: USER_ID, exchangeName: 'binance', since: new Date(SINCE) });
+  job.save = jest.fn().mockResolvedValue(job);
+  return job;
+};
+
+const buildTrade = (id, timestamp, overrides = {}) => ({
+  id,
+  order: `order-${id}`,
+  symbol: 'BTC/USDT',
+  side: 'buy',
+  type: 'limit',
+  timestamp,
+  amount: 0.1,
+  price: 30000,
+  cost: 3000,
+  ...overrides
+});
+
+describe('Trade Backfill Service', () => {
+  beforeEach(() => {
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('importPages', () => {
+    test('should page from the stored cursor until the exchange returns nothing new', async () => {
+      const job = buildJob();
+      jest.spyOn(tradeBackfillService, 'importItem').mockResolvedValue();
+
+      const fetchMyTrades = jest
+        .fn()
+        .mockResolvedValueOnce([buildTrade('1', SINCE + 1000), buildTrade('2', SINCE + 2000)])
+        .mockResolvedValueOnce([buildTrade('3', SINCE + 5000)])
+        .mockResolvedValueOnce([]);
+
+      await tradeBackfillService.importPages(job, { fetchMyTrades }, 'trades', null);
+
+      expect(fetchMyTrades.mock.calls.map(call => call[1])).toEqual([SINCE, SINCE + 2001, SINCE + 5001]);
+      expect(job.getCursor('trades')).toMatchObject({ since: SINCE + 5001, done: true });
+      expect(tradeBackfillService.importItem).toHaveBeenCalledTimes(3);
+      expect(job.save).toHaveBeenCalledTimes(3);
+    });
+
+    test('should resume from where an interrupted run stopped', async () => {
+      const job = buildJob();
+      jest.spyOn(tradeBackfillService, 'importItem').mockResolvedValue();
+
+      const fetchMyTrades = jest
+        .fn()
+        .mockResolvedValueOnce([buildTrade('1', SINCE + 1000)])
+        .mockRejectedValueOnce(new ccxt.NetworkError('timeout'));
+
+      await expect(tradeBackfillService.importPages(job, { fetchMyTrades }, 'trades', null)).rejects.toThrow('timeout');
+
+      fetchMyTrades.mockResolvedValueOnce([]);
+      await tradeBackfillService.importPages(job, { fetchMyTrades }, 'trades', null);
+
+      expect(fetchMyTrades.mock.calls.map(call => call[1])).toEqual([SINCE, SINCE + 1001, SINCE + 1001]);
+      expect(job.cursors).toHaveLength(1);
+    });
+
+    test('should stop when the exchange does not move past the cursor', async () => {
+      const job = buildJob();
+      jest.spyOn(tradeBackfillService, 'importItem').mockResolvedValue();
+
+      const fetchDeposits = jest.fn().mockResolvedValue([{ id: 'd1', timestamp: SINCE - 5000 }]);
+
+      await tradeBackfillService.importPages(job, { fetchDeposits }, 'deposits', null);
+
+      expect(fetchDeposits).toHaveBeenCalledTimes(1);
+      expect(job.getCursor('deposits')).toMatchObject({ since: SINCE, done: true });
+    });
+  });
+
+  describe('importSource', () => {
+    test('should page market by market when the exchange requires a symbol', async () => {
+      const job = buildJob();
+      jest.spyOn(tradeBackfillService, 'importItem').mockResolvedValue();
+
+      const fetchMyTrades = jest.fn(symbol =>
+        symbol
+          ? Promise.resolve([])
+          : Promise.reject(new ccxt.ArgumentsRequired('fetchMyTrades() requires a symbol argument'))
+      );
+      const getSymbols = jest.fn().mockResolvedValue(['BTC/USDT', 'ETH/USDT']);
+
+      await tradeBackfillService.importSource(job, { fetchMyTrades }, 'trades', getSymbols);
+
+      expect(fetchMyTrades.mock.calls.map(call => call[0])).toEqual([undefined, 'BTC/USDT', 'ETH/USDT']);
+      expect(job.cursors.map(cursor => cursor.symbol)).toEqual(['BTC/USDT', 'ETH/USDT']);
+      expect(job.progress).toMatchObject({ stage: 'trades', symbolsTotal: 2, symbolsDone: 2 });
+    });
+  });
+
+  describe('importOrder', () => {
+    test('should skip orders that are already recorded', async () => {
+      const job = buildJob();
+      jest.spyOn(Order, 'findOne').mockResolvedValue(new Order({
+        userId: USER_ID,
+        exchangeName: 'binance',
+        symbol: 'BTC/USDT',
+        side: 'buy',
+        amount: 1
+      }));
+
+      await tradeBackfillService.importOrder(job, { id: 'abc', filled: 1, status: 'closed' });
+
+      expect(Order.findOne).toHaveBeenCalledWith({ userId: job.userId, exchangeName: 'binance', exchangeOrderId: 'abc' });
+      expect(Order.prototype.save).not.toHaveBeenCalled();
+      expect(job.progress).toMatchObject({ orders: 0, duplicates: 1 });
+    });
+
+    test('should date new orders by their exchange history', async () => {
+      const job = buildJob();
+      jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+
+      await tradeBackfillService.importOrder(job, {
+        id: 123,
+        symbol: 'BTC/USDT',
+        type: 'limit',
+        side: 'sell',
+        price: 31000,
+        amount: 1,
+        filled: 0.5,
+        cost: 15500,
+        status: 'canceled',
+        timestamp: SINCE,
+        lastTradeTimestamp: SINCE + 60000
+      });
+
+      const order = Order.prototype.save.mock.contexts[0];
+      expect(order).toMatchObject({ exchangeOrderId: '123', status: 'canceled', filled: 0.5, cost: 15500 });
+      expect(order.metadata.importSource).toBe('exchange_backfill');
+      expect(order.executedAt).toEqual(new Date(SINCE + 60000));
+      expect(job.progress.orders).toBe(1);
+    });
+  });
+
+  describe('importTrade', () => {
+    test('should not add a trade its order already holds', async () => {
+      const job = buildJob();
+      const order = new Order({ userId: USER_ID, exchangeName: 'binance', symbol: 'BTC/USDT', side: 'buy', amount: 1 });
+      order.trades.push({ id: '7', amount: 0.1, price: 30000, cost: 3000 });
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+      await tradeBackfillService.importTrade(job, buildTrade('7', SINCE));
+
+      expect(order.trades).toHaveLength(1);
+      expect(job.progress).toMatchObject({ trades: 0, duplicates: 1 });
+    });
+
+    test('should size orders known only from their trades', async () => {
+      const job = buildJob();
+      let order = null;
+      jest.spyOn(Order, 'findOne').mockImplementation(() => Promise.resolve(order));
+      Order.prototype.save.mockImplementation(function () {
+        order = this;
+        return Promise.resolve(this);
+      });
+
+      await tradeBackfillService.importTrade(job, buildTrade('1', SINCE, { order: 'o1' }));
+      await tradeBackfillService.importTrade(job, buildTrade('2', SINCE + 1000, { order: 'o1', price: 32000, cost: 3200 }));
+
+      expect(order).toMatchObject({ exchangeOrderId: 'o1', status: 'closed', amount: 0.2, filled: 0.2, cost: 6200 });
+      expect(order.executedAt).toEqual(new Date(SINCE + 1000));
+      expect(job.progress.trades).toBe(2);
+    });
+  });
+
+  describe('importTransfer', () => {
+    test('should count transfers that were already imported as duplicates', async () => {
+      const job = buildJob();
+      jest
+        .spyOn(Transfer, 'updateOne')
+        .mockResolvedValueOnce({ upsertedCount: 1 })
+        .mockResolvedValueOnce({ upsertedCount: 0 });
+
+      const deposit = { id: 'd1', currency: 'btc', amount: 0.5, status: 'ok', timestamp: SINCE };
+      await tradeBackfillService.importTransfer(job, 'deposit', deposit);
+      await tradeBackfillService.importTransfer(job, 'deposit', deposit);
+
+      expect(Transfer.updateOne.mock.calls[0][0]).toEqual({ userId: job.userId, exchangeName: 'binance', transferId: 'd1' });
+      expect(Transfer.updateOne.mock.calls[0][1].$setOnInsert).toMatchObject({ type: 'deposit', currency: 'BTC' });
+      expect(job.progress).toMatchObject({ deposits: 1, duplicates: 1 });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const tradingEventService = require('../src/services/trading/tradingEventService');
+
+const USER_ID = '64b000000000000000000001';
+
+const buildOrder = overrides => ({
+  _id: '64b0000000000000000000aa',
+  userId: USER_ID,
+  exchangeName: 'binance',
+  symbol: 'BTC/USDT',
+  type: 'limit',
+  side: 'buy',
+  amount: 1,
+  price: 50000,
+  status: 'open',
+  filled: 0,
+  cost: 0,
+  ...overrides
+});
+
+describe('Trading Event Service', () => {
+  let events;
+  const listener = event => events.push(event);
+
+  beforeEach(() => {
+    events = [];
+    tradingEventService.sequences.clear();
+    tradingEventService.buffers.clear();
+    tradingEventService.maxBufferedEvents = 500;
+    tradingEventService.on('event', listener);
+  });
+
+  afterEach(() => {
+    tradingEventService.off('event', listener);
+  });
+
+  describe('publishOrderUpdate', () => {
+    test('should publish new orders with increasing sequence numbers', () => {
+      tradingEventService.publishOrderUpdate(buildOrder());
+      tradingEventService.publishOrderUpdate(buildOrder({ _id: '64b0000000000000000000ab' }));
+
+      expect(events.map(event => event.sequence)).toEqual([1, 2]);
+      expect(events[0]).toMatchObject({
+        type: 'order',
+        userId: USER_ID,
+        data: { status: 'open', previousStatus: null, symbol: 'BTC/USDT' }
+      });
+    });
+
+    test('should skip updates that did not change status or fills', () => {
+      const order = buildOrder();
+      const previous = tradingEventService.snapshotOrder(order);
+
+      expect(tradingEventService.publishOrderUpdate(order, previous)).toBeNull();
+      expect(events).toHaveLength(0);
+    });
+
+    test('should publish a balance delta for fills', () => {
+      const order = buildOrder();
+      const previous = tradingEventService.snapshotOrder(order);
+
+      Object.assign(order, {
+        status: 'partially_filled',
+        filled: 0.4,
+        cost: 20000,
+        fee: { currency: 'BNB', cost: 0.01 }
+      });
+      tradingEventService.publishOrderUpdate(order, previous);
+
+      expect(events.map(event => event.type)).toEqual(['order', 'balance']);
+      expect(events[0].data.previousStatus).toBe('open');
+      expect(events[1].data.changes).toEqual({ BTC: 0.4, USDT: -20000, BNB: -0.01 });
+    });
+
+    test('should only report the new part of a fill', () => {
+      const order = buildOrder({ side: 'sell', status: 'partially_filled', filled: 0.4, cost: 20000 });
+      const previous = tradingEventService.snapshotOrder(order);
+
+      Object.assign(order, { status: 'closed', filled: 1, cost: 50500 });
+      tradingEventService.publishOrderUpdate(order, previous);
+
+      expect(events[1].data.changes).toEqual({ BTC: -0.6, USDT: 30500 });
+    });
+
+    test('should not publish balance changes when told the fill moved no balances', () => {
+      const order = buildOrder();
+      const previous = tradingEventService.snapshotOrder(order);
+
+      Object.assign(order, { status: 'filled', filled: 1, cost: 50000 });
+      tradingEventService.publishOrderUpdate(order, previous, { balanceChanges: false });
+
+      expect(events.map(event => event.type)).toEqual(['order']);
+    });
+  });
+
+  describe('getEventsSince', () => {
+    test('should return the events after the last sequence', () => {
+      ['open', 'partially_filled', 'canceled'].forEach(status =>
+        tradingEventService.publish(USER_ID, 'order', { status })
+      );
+
+      const result = tradingEventService.getEventsSince(USER_ID, 1, tradingEventService.epoch);
+
+      expect(result.complete).toBe(true);
+      expect(result.sequence).toBe(3);
+      expect(result.events.map(event => event.data.status)).toEqual(['partially_filled', 'canceled']);
+    });
+
+    test('should report a gap once events have left the buffer', () => {
+      tradingEventService.maxBufferedEvents = 2;
+      [1, 2, 3, 4].forEach(index => tradingEventService.publish(USER_ID, 'order', { index }));
+
+      expect(tradingEventService.getEventsSince(USER_ID, 2).complete).toBe(true);
+
+      const result = tradingEventService.getEventsSince(USER_ID, 1);
+      expect(result.complete).toBe(false);
+      expect(result.events).toEqual([]);
+    });
+
+    test('should require a full reload for sequences from another epoch', () => {
+      tradingEventService.publish(USER_ID, 'order', {});
+
+      expect(tradingEventService.getEventsSince(USER_ID, 0, 'stale-epoch').complete).toBe(false);
+      expect(tradingEventService.getEventsSince(USER_ID, 5).complete).toBe(false);
+    });
+
+    test('should keep separate sequences per user', () => {
+      tradingEventService.publish(USER_ID, 'order', {});
+      tradingEventService.publish('64b000000000000000000002', 'order', {});
+
+      expect(tradingEventService.getSequence(USER_ID)).toBe(1);
+      expect(tradingEventService.getSequence('64b000000000000000000002')).toBe(1);
+    });
+  });
+});
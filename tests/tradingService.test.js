@@ -41,6 +41,7 @@ describe('Trading Service', () => {
     ]);
 
     exchangeManager.getExchange.mockReturnValue(mockExchange);
+    exchangeManager.loadExchange.mockResolvedValue(mockExchange);
 
     // Setup default mock responses
     mockExchange.fetchBalance.mockResolvedValue({
@@ -279,7 +280,7 @@ describe('Trading Service', () => {
     });
 
     test('should validate exchange connection', async () => {
-      exchangeManager.getExchange.mockReturnValue(null);
+      exchangeManager.loadExchange.mockResolvedValue(null);
 
       const orderData = {
         exchangeName: 'binance',